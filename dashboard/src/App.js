@@ -6,8 +6,12 @@ import { ShortcutsHelp } from './components/Shortcuts';
 import './App.css';
 
 import Landing from './pages/public/Landing';
+import SharedView from './pages/public/SharedView';
+import VerifyEmail from './pages/public/VerifyEmail';
 import Login from './pages/auth/Login';
 import Register from './pages/auth/Register';
+import ForgotPassword from './pages/auth/ForgotPassword';
+import ResetPassword from './pages/auth/ResetPassword';
 import MainLayout from './components/Layout/MainLayout';
 
 // Lazy load page components for code splitting
@@ -18,6 +22,10 @@ const VideoAnalysis = lazy(() => import('./pages/app/VideoAnalysis'));
 const Collection = lazy(() => import('./pages/app/Collection'));
 const SaveView = lazy(() => import('./pages/app/SaveView'));
 const Settings = lazy(() => import('./pages/app/Settings'));
+const Research = lazy(() => import('./pages/app/Research'));
+const Review = lazy(() => import('./pages/app/Review'));
+const Topics = lazy(() => import('./pages/app/Topics'));
+const Admin = lazy(() => import('./pages/app/Admin'));
 
 // PageLoader component with spinner
 function PageLoader() {
@@ -57,6 +65,12 @@ function PrivateRoute({ children }) {
   return user ? children : <Navigate to="/login" />;
 }
 
+function AdminRoute({ children }) {
+  const { user } = useAuth();
+
+  return user?.role === 'admin' ? children : <Navigate to="/app" />;
+}
+
 function PublicRoute({ children }) {
   const { user, loading } = useAuth();
 
@@ -76,6 +90,10 @@ function App() {
             <Route path="/" element={<Landing />} />
             <Route path="/login" element={<PublicRoute><Login /></PublicRoute>} />
             <Route path="/register" element={<PublicRoute><Register /></PublicRoute>} />
+            <Route path="/forgot-password" element={<PublicRoute><ForgotPassword /></PublicRoute>} />
+            <Route path="/reset-password" element={<PublicRoute><ResetPassword /></PublicRoute>} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route path="/s/:token" element={<SharedView />} />
             <Route path="/app" element={<PrivateRoute><MainLayout /></PrivateRoute>}>
               <Route index element={<Suspense fallback={<PageLoader />}><Home /></Suspense>} />
               <Route path="videos" element={<Suspense fallback={<PageLoader />}><Videos /></Suspense>} />
@@ -83,7 +101,12 @@ function App() {
               <Route path="video/:id" element={<Suspense fallback={<PageLoader />}><VideoAnalysis /></Suspense>} />
               <Route path="collection" element={<Suspense fallback={<PageLoader />}><Collection /></Suspense>} />
               <Route path="collection/save/:saveId" element={<Suspense fallback={<PageLoader />}><SaveView /></Suspense>} />
+              <Route path="research" element={<Suspense fallback={<PageLoader />}><Research /></Suspense>} />
+              <Route path="research/:threadId" element={<Suspense fallback={<PageLoader />}><Research /></Suspense>} />
+              <Route path="review" element={<Suspense fallback={<PageLoader />}><Review /></Suspense>} />
+              <Route path="topics" element={<Suspense fallback={<PageLoader />}><Topics /></Suspense>} />
               <Route path="settings" element={<Suspense fallback={<PageLoader />}><Settings /></Suspense>} />
+              <Route path="admin" element={<AdminRoute><Suspense fallback={<PageLoader />}><Admin /></Suspense></AdminRoute>} />
             </Route>
             <Route path="/dashboard" element={<Navigate to="/app" replace />} />
             <Route path="*" element={<Navigate to="/" />} />
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import authService from '../../services/authService';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * PasswordForm - Change the password with the current one
+ * The server signs out every other session of the account afterwards.
+ */
+function PasswordForm() {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+    setError(null);
+
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await authService.changePassword({ currentPassword, newPassword });
+      setMessage(response.data.message);
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to change password');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="setting-item">
+        <label htmlFor="current-password">Current Password</label>
+        <input
+          id="current-password"
+          type="password"
+          className="input"
+          autoComplete="current-password"
+          value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)}
+          required
+        />
+      </div>
+      <div className="setting-item">
+        <label htmlFor="new-password">New Password</label>
+        <input
+          id="new-password"
+          type="password"
+          className="input"
+          autoComplete="new-password"
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+          required
+        />
+      </div>
+      <div className="setting-item">
+        <label htmlFor="confirm-password">Confirm New Password</label>
+        <input
+          id="confirm-password"
+          type="password"
+          className="input"
+          autoComplete="new-password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          required
+        />
+      </div>
+      {error && <p style={styles.error}>{error}</p>}
+      {message && <p style={styles.success}>{message}</p>}
+      <button type="submit" className="button button-secondary" disabled={isSaving}>
+        {isSaving ? 'Updating...' : 'Update Password'}
+      </button>
+    </form>
+  );
+}
+
+const styles = {
+  error: {
+    margin: '0 0 12px',
+    color: '#b91c1c',
+    fontSize: '0.875rem'
+  },
+  success: {
+    margin: '0 0 12px',
+    color: '#15803d',
+    fontSize: '0.875rem'
+  }
+};
+
+export default PasswordForm;
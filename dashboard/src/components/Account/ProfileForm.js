@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { CheckCircle, WarningCircle } from '@phosphor-icons/react';
+import { useAuth } from '../../contexts/AuthContext';
+import authService from '../../services/authService';
+
+/**
+ * ProfileForm - Edit name and avatar, and verify the email address
+ */
+function ProfileForm() {
+  const { user, updateUser } = useAuth();
+  const [firstName, setFirstName] = useState(user?.firstName || '');
+  const [lastName, setLastName] = useState(user?.lastName || '');
+  const [avatarUrl, setAvatarUrl] = useState(user?.avatarUrl || '');
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [verificationSent, setVerificationSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setMessage(null);
+    setError(null);
+
+    try {
+      const response = await authService.updateProfile({
+        firstName,
+        lastName,
+        avatarUrl: avatarUrl.trim() || null
+      });
+      updateUser(response.data.user);
+      setMessage('Profile saved');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save profile');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSendVerification = async () => {
+    setError(null);
+    try {
+      await authService.sendVerificationEmail();
+      setVerificationSent(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send verification email');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {avatarUrl.trim() && (
+        <img src={avatarUrl.trim()} alt="" style={styles.avatar} />
+      )}
+      <div className="setting-item">
+        <label htmlFor="profile-first-name">First Name</label>
+        <input
+          id="profile-first-name"
+          type="text"
+          className="input"
+          value={firstName}
+          onChange={(e) => setFirstName(e.target.value)}
+          maxLength={100}
+          required
+        />
+      </div>
+      <div className="setting-item">
+        <label htmlFor="profile-last-name">Last Name</label>
+        <input
+          id="profile-last-name"
+          type="text"
+          className="input"
+          value={lastName}
+          onChange={(e) => setLastName(e.target.value)}
+          maxLength={100}
+          required
+        />
+      </div>
+      <div className="setting-item">
+        <label htmlFor="profile-avatar">Avatar URL</label>
+        <input
+          id="profile-avatar"
+          type="url"
+          className="input"
+          placeholder="https://..."
+          value={avatarUrl}
+          onChange={(e) => setAvatarUrl(e.target.value)}
+        />
+      </div>
+      <div className="setting-item">
+        <label htmlFor="profile-email">Email</label>
+        <input
+          id="profile-email"
+          type="email"
+          className="input"
+          value={user?.email || ''}
+          disabled
+        />
+        {user?.emailVerified ? (
+          <p style={{ ...styles.status, color: '#15803d' }}>
+            <CheckCircle size={16} weight="fill" /> Verified
+          </p>
+        ) : (
+          <p style={{ ...styles.status, color: '#92400e' }}>
+            <WarningCircle size={16} weight="fill" /> Not verified
+            {verificationSent ? (
+              <span> · Check your inbox for the verification link</span>
+            ) : (
+              <button type="button" onClick={handleSendVerification} style={styles.linkButton}>
+                Send verification email
+              </button>
+            )}
+          </p>
+        )}
+      </div>
+      {error && <p style={styles.error}>{error}</p>}
+      {message && <p style={styles.success}>{message}</p>}
+      <button type="submit" className="button button-primary" disabled={isSaving}>
+        {isSaving ? 'Saving...' : 'Save Profile'}
+      </button>
+    </form>
+  );
+}
+
+const styles = {
+  avatar: {
+    width: '64px',
+    height: '64px',
+    borderRadius: '50%',
+    objectFit: 'cover',
+    marginBottom: '1rem'
+  },
+  status: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+    margin: '0.5rem 0 0',
+    fontSize: '0.875rem'
+  },
+  linkButton: {
+    marginLeft: '8px',
+    padding: 0,
+    border: 'none',
+    background: 'none',
+    color: '#1a73e8',
+    fontSize: '0.875rem',
+    cursor: 'pointer'
+  },
+  error: {
+    margin: '0 0 12px',
+    color: '#b91c1c',
+    fontSize: '0.875rem'
+  },
+  success: {
+    margin: '0 0 12px',
+    color: '#15803d',
+    fontSize: '0.875rem'
+  }
+};
+
+export default ProfileForm;
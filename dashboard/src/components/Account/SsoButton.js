@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import { SignIn } from '@phosphor-icons/react';
+import authService from '../../services/authService';
+
+/**
+ * SsoButton - "Sign in with ..." link to the configured OpenID Connect provider
+ * Renders nothing when single sign-on is not configured on the server.
+ */
+function SsoButton() {
+  const [config, setConfig] = useState(null);
+
+  useEffect(() => {
+    authService.getOidcConfig()
+      .then(response => setConfig(response.data))
+      .catch(() => setConfig(null));
+  }, []);
+
+  if (!config?.enabled) {
+    return null;
+  }
+
+  return (
+    <>
+      <div style={styles.divider}>
+        <span style={styles.dividerLine} />
+        <span>or</span>
+        <span style={styles.dividerLine} />
+      </div>
+      <a href={authService.getOidcLoginUrl()} style={styles.button}>
+        <SignIn size={18} />
+        Sign in with {config.displayName}
+      </a>
+    </>
+  );
+}
+
+const styles = {
+  divider: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    margin: '1rem 0',
+    color: '#6b7280',
+    fontSize: '0.875rem'
+  },
+  dividerLine: {
+    flex: 1,
+    height: '1px',
+    backgroundColor: '#ddd'
+  },
+  button: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '8px',
+    padding: '0.5rem',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    color: '#111827',
+    textDecoration: 'none'
+  }
+};
+
+export default SsoButton;
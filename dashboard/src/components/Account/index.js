@@ -0,0 +1,3 @@
+export { default as ProfileForm } from './ProfileForm';
+export { default as PasswordForm } from './PasswordForm';
+export { default as SsoButton } from './SsoButton';
@@ -0,0 +1,281 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ArrowClockwise } from '@phosphor-icons/react';
+import adminService from '../../services/adminService';
+
+const QUEUE_LABELS = {
+  frameExtraction: 'Frame extraction',
+  analysis: 'Frame analysis',
+  transcription: 'Transcription',
+  diarization: 'Speaker diarization',
+  embedding: 'Search index'
+};
+
+const STATES = ['waiting', 'active', 'delayed', 'failed', 'completed'];
+
+/**
+ * AdminQueues - Job counts per background queue, with failed jobs to retry or remove
+ */
+function AdminQueues() {
+  const [health, setHealth] = useState(null);
+  const [selected, setSelected] = useState({ queue: null, state: 'failed' });
+  const [jobs, setJobs] = useState([]);
+  const [error, setError] = useState(null);
+  const [isCleaning, setIsCleaning] = useState(false);
+
+  const loadHealth = useCallback(() => {
+    adminService.getQueues()
+      .then(response => setHealth(response.data))
+      .catch((err) => {
+        console.error('Error loading queues:', err);
+        setError('Failed to load queues');
+      });
+  }, []);
+
+  const loadJobs = useCallback(({ queue, state }) => {
+    if (!queue) {
+      return;
+    }
+    adminService.getJobs(queue, state)
+      .then(response => setJobs(response.data.jobs))
+      .catch((err) => {
+        console.error('Error loading jobs:', err);
+        setError(err.response?.data?.error || 'Failed to load jobs');
+      });
+  }, []);
+
+  useEffect(() => {
+    loadHealth();
+  }, [loadHealth]);
+
+  useEffect(() => {
+    loadJobs(selected);
+  }, [selected, loadJobs]);
+
+  const refresh = () => {
+    setError(null);
+    loadHealth();
+    loadJobs(selected);
+  };
+
+  const handleClean = async () => {
+    setIsCleaning(true);
+    try {
+      const response = await adminService.cleanQueues();
+      setHealth(response.data.queues);
+      loadJobs(selected);
+    } catch (err) {
+      console.error('Error cleaning queues:', err);
+      setError('Failed to clean queues');
+    } finally {
+      setIsCleaning(false);
+    }
+  };
+
+  const handleJobAction = async (action, jobId) => {
+    if (action === 'remove' && !window.confirm('Remove this job?')) {
+      return;
+    }
+
+    try {
+      if (action === 'retry') {
+        await adminService.retryJob(selected.queue, jobId);
+      } else {
+        await adminService.removeJob(selected.queue, jobId);
+      }
+      refresh();
+    } catch (err) {
+      console.error(`Error running ${action} on job:`, err);
+      setError(err.response?.data?.error || `Failed to ${action} job`);
+    }
+  };
+
+  if (!health) {
+    return error ? <p style={styles.error}>{error}</p> : <p className="help-text">Loading...</p>;
+  }
+
+  if (!health.healthy) {
+    return <p style={styles.error}>Queues are unavailable: {health.error}</p>;
+  }
+
+  return (
+    <div>
+      <div style={styles.toolbar}>
+        <button type="button" className="button button-secondary" onClick={refresh}>
+          <ArrowClockwise size={14} /> Refresh
+        </button>
+        <button type="button" className="button button-secondary" onClick={handleClean} disabled={isCleaning}>
+          {isCleaning ? 'Cleaning...' : 'Clean old jobs'}
+        </button>
+      </div>
+
+      {error && <p style={styles.error}>{error}</p>}
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>Queue</th>
+            {STATES.map(state => <th key={state} style={{ ...styles.th, textAlign: 'right' }}>{state}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(QUEUE_LABELS).map(([queue, label]) => (
+            <tr key={queue}>
+              <td style={styles.td}>{label}</td>
+              {STATES.map(state => {
+                const isSelected = selected.queue === queue && selected.state === state;
+                return (
+                  <td key={state} style={{ ...styles.td, textAlign: 'right' }}>
+                    <button
+                      type="button"
+                      onClick={() => setSelected({ queue, state })}
+                      style={{
+                        ...styles.countButton,
+                        ...(state === 'failed' && health[queue][state] > 0 ? { color: '#dc2626' } : {}),
+                        ...(isSelected ? styles.countSelected : {})
+                      }}
+                    >
+                      {health[queue][state]}
+                    </button>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {selected.queue && (
+        <div style={{ marginTop: '1.5rem' }}>
+          <h3 style={styles.subheading}>
+            {QUEUE_LABELS[selected.queue]} · {selected.state} jobs
+          </h3>
+          {jobs.length === 0 && <p className="help-text">No jobs.</p>}
+          {jobs.map(job => (
+            <div key={job.id} style={styles.job}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={styles.jobTitle}>
+                  #{job.id} {job.data?.videoId && <code style={styles.code}>{job.data.videoId}</code>}
+                </div>
+                <div style={styles.meta}>
+                  created {new Date(job.created_at).toLocaleString()}
+                  {' · '}{job.attempts_made} attempt{job.attempts_made === 1 ? '' : 's'}
+                  {typeof job.progress === 'number' && job.progress > 0 && ` · ${job.progress}%`}
+                </div>
+                {job.failed_reason && <div style={styles.failure}>{job.failed_reason}</div>}
+              </div>
+              {selected.state === 'failed' && (
+                <button type="button" style={styles.actionButton} onClick={() => handleJobAction('retry', job.id)}>
+                  Retry
+                </button>
+              )}
+              {selected.state !== 'active' && (
+                <button type="button" style={styles.dangerButton} onClick={() => handleJobAction('remove', job.id)}>
+                  Remove
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  toolbar: {
+    display: 'flex',
+    gap: '8px',
+    marginBottom: '12px'
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '0.875rem'
+  },
+  th: {
+    padding: '8px',
+    borderBottom: '1px solid #e5e7eb',
+    textAlign: 'left',
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    color: '#6b7280',
+    textTransform: 'uppercase'
+  },
+  td: {
+    padding: '6px 8px',
+    borderBottom: '1px solid #f3f4f6',
+    color: '#374151'
+  },
+  countButton: {
+    padding: '2px 8px',
+    border: '1px solid transparent',
+    borderRadius: '6px',
+    background: 'none',
+    color: '#374151',
+    fontSize: '0.875rem',
+    cursor: 'pointer'
+  },
+  countSelected: {
+    borderColor: '#1a73e8',
+    backgroundColor: '#eff6ff'
+  },
+  subheading: {
+    margin: '0 0 8px',
+    fontSize: '1rem',
+    fontWeight: 600,
+    color: '#111827'
+  },
+  job: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '8px',
+    padding: '10px 0',
+    borderBottom: '1px solid #f3f4f6'
+  },
+  jobTitle: {
+    fontSize: '0.875rem',
+    fontWeight: 500,
+    color: '#111827'
+  },
+  code: {
+    fontFamily: 'monospace',
+    fontSize: '0.75rem',
+    color: '#6b7280'
+  },
+  meta: {
+    marginTop: '2px',
+    fontSize: '0.75rem',
+    color: '#6b7280'
+  },
+  failure: {
+    marginTop: '4px',
+    fontSize: '0.75rem',
+    color: '#b91c1c',
+    overflowWrap: 'anywhere'
+  },
+  actionButton: {
+    padding: '6px 10px',
+    borderRadius: '6px',
+    border: '1px solid #d1d5db',
+    backgroundColor: '#ffffff',
+    color: '#374151',
+    fontSize: '0.8125rem',
+    cursor: 'pointer'
+  },
+  dangerButton: {
+    padding: '6px 10px',
+    borderRadius: '6px',
+    border: '1px solid #fecaca',
+    backgroundColor: '#ffffff',
+    color: '#dc2626',
+    fontSize: '0.8125rem',
+    cursor: 'pointer'
+  },
+  error: {
+    margin: '0 0 12px',
+    color: '#b91c1c',
+    fontSize: '0.875rem'
+  }
+};
+
+export default AdminQueues;
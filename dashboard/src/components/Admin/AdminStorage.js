@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import adminService from '../../services/adminService';
+import { formatFileSize } from '../../utils/formatters';
+
+/**
+ * AdminStorage - Disk space taken by extracted frames, per video
+ * Directories whose video no longer exists are flagged as orphaned.
+ */
+function AdminStorage() {
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    adminService.getFrameStorage()
+      .then(response => setUsage(response.data))
+      .catch((err) => {
+        console.error('Error loading frame storage:', err);
+        setError('Failed to load frame storage');
+      });
+  }, []);
+
+  if (error) {
+    return <p style={styles.error}>{error}</p>;
+  }
+
+  if (!usage) {
+    return <p className="help-text">Calculating...</p>;
+  }
+
+  return (
+    <div>
+      <p style={styles.total}>
+        {formatFileSize(usage.total_bytes)} in {usage.total_files.toLocaleString()} files
+        across {usage.videos.length} video{usage.videos.length === 1 ? '' : 's'}
+      </p>
+
+      {usage.videos.map(video => (
+        <div key={video.video_id} style={styles.row}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={styles.title}>
+              {video.title || <span style={{ color: '#92400e' }}>Orphaned frames</span>}
+            </div>
+            <div style={styles.meta}>
+              {video.owner_email ? `${video.owner_email} · ` : ''}
+              <code>{video.video_id}</code>
+            </div>
+          </div>
+          <div style={styles.size}>
+            <div>{formatFileSize(video.bytes)}</div>
+            <div style={styles.meta}>{video.files.toLocaleString()} files</div>
+          </div>
+          <div style={styles.barTrack}>
+            <div
+              style={{
+                ...styles.bar,
+                width: `${usage.total_bytes > 0 ? Math.max((video.bytes / usage.total_bytes) * 100, 1) : 0}%`
+              }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const styles = {
+  total: {
+    margin: '0 0 12px',
+    fontSize: '0.875rem',
+    fontWeight: 600,
+    color: '#111827'
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '10px 0',
+    borderBottom: '1px solid #f3f4f6'
+  },
+  title: {
+    fontSize: '0.875rem',
+    fontWeight: 500,
+    color: '#111827',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  meta: {
+    marginTop: '2px',
+    fontSize: '0.75rem',
+    color: '#6b7280'
+  },
+  size: {
+    textAlign: 'right',
+    fontSize: '0.875rem',
+    color: '#374151',
+    whiteSpace: 'nowrap'
+  },
+  barTrack: {
+    width: '120px',
+    height: '6px',
+    borderRadius: '3px',
+    backgroundColor: '#f3f4f6',
+    flexShrink: 0
+  },
+  bar: {
+    height: '100%',
+    borderRadius: '3px',
+    backgroundColor: '#1a73e8'
+  },
+  error: {
+    margin: '0 0 12px',
+    color: '#b91c1c',
+    fontSize: '0.875rem'
+  }
+};
+
+export default AdminStorage;
@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import adminService from '../../services/adminService';
+import { formatDate } from '../../utils/formatters';
+
+const DAY_OPTIONS = [7, 30, 90, 365];
+
+/**
+ * AdminUsage - Regeneration and AI token totals per user
+ */
+function AdminUsage() {
+  const [days, setDays] = useState(30);
+  const [rows, setRows] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    adminService.getUsage(days)
+      .then((response) => {
+        setRows(response.data.users);
+        setError(null);
+      })
+      .catch((err) => {
+        console.error('Error loading usage:', err);
+        setError('Failed to load usage');
+      });
+  }, [days]);
+
+  return (
+    <div>
+      <div style={styles.toolbar}>
+        <label htmlFor="admin-usage-days" style={styles.label}>AI usage over</label>
+        <select id="admin-usage-days" value={days} onChange={(e) => setDays(parseInt(e.target.value, 10))} style={styles.select}>
+          {DAY_OPTIONS.map(option => <option key={option} value={option}>last {option} days</option>)}
+        </select>
+      </div>
+
+      {error && <p style={styles.error}>{error}</p>}
+      {!rows && !error && <p className="help-text">Loading...</p>}
+      {rows && rows.length === 0 && <p className="help-text">No usage recorded yet.</p>}
+
+      {rows && rows.length > 0 && (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>User</th>
+              <th style={styles.thNumber}>AI requests</th>
+              <th style={styles.thNumber}>AI tokens (in / out)</th>
+              <th style={styles.thNumber}>Regenerations</th>
+              <th style={styles.thNumber}>Billed periods</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.user_id}>
+                <td style={styles.td}>
+                  <div style={{ color: '#111827', fontWeight: 500 }}>{row.email}</div>
+                  {row.last_regeneration_at && (
+                    <div style={styles.meta}>last regeneration {formatDate(row.last_regeneration_at)}</div>
+                  )}
+                </td>
+                <td style={styles.tdNumber}>{row.llm_requests.toLocaleString()}</td>
+                <td style={styles.tdNumber}>
+                  {row.llm_input_tokens.toLocaleString()} / {row.llm_output_tokens.toLocaleString()}
+                </td>
+                <td style={styles.tdNumber}>
+                  {row.regenerations.toLocaleString()}
+                  {row.failed_regenerations > 0 && <span style={styles.failed}> ({row.failed_regenerations} failed)</span>}
+                </td>
+                <td style={styles.tdNumber}>
+                  {row.tracked_regenerations.toLocaleString()} regen · {row.tracked_tokens.toLocaleString()} tokens
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p className="help-text">
+        Regeneration and billed-period totals cover all time; AI requests cover the selected window.
+      </p>
+    </div>
+  );
+}
+
+const styles = {
+  toolbar: {
+    display: 'flex',
+    gap: '8px',
+    alignItems: 'center',
+    marginBottom: '12px'
+  },
+  label: {
+    fontSize: '0.875rem',
+    color: '#374151'
+  },
+  select: {
+    padding: '0.5rem',
+    borderRadius: '8px',
+    border: '1px solid #d1d5db',
+    fontSize: '0.875rem',
+    backgroundColor: '#ffffff'
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '0.875rem'
+  },
+  th: {
+    padding: '8px',
+    borderBottom: '1px solid #e5e7eb',
+    textAlign: 'left',
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    color: '#6b7280',
+    textTransform: 'uppercase'
+  },
+  thNumber: {
+    padding: '8px',
+    borderBottom: '1px solid #e5e7eb',
+    textAlign: 'right',
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    color: '#6b7280',
+    textTransform: 'uppercase'
+  },
+  td: {
+    padding: '10px 8px',
+    borderBottom: '1px solid #f3f4f6',
+    color: '#374151'
+  },
+  tdNumber: {
+    padding: '10px 8px',
+    borderBottom: '1px solid #f3f4f6',
+    color: '#374151',
+    textAlign: 'right',
+    whiteSpace: 'nowrap'
+  },
+  meta: {
+    marginTop: '2px',
+    fontSize: '0.75rem',
+    color: '#6b7280'
+  },
+  failed: {
+    color: '#b91c1c',
+    fontSize: '0.75rem'
+  },
+  error: {
+    margin: '0 0 12px',
+    color: '#b91c1c',
+    fontSize: '0.875rem'
+  }
+};
+
+export default AdminUsage;
@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from 'react';
+import { MagnifyingGlass } from '@phosphor-icons/react';
+import { useAuth } from '../../contexts/AuthContext';
+import adminService from '../../services/adminService';
+import { formatDate, debounce } from '../../utils/formatters';
+
+const PAGE_SIZE = 25;
+
+const STATUS_STYLES = {
+  active: { color: '#15803d', backgroundColor: '#f0fdf4' },
+  suspended: { color: '#b91c1c', backgroundColor: '#fef2f2' }
+};
+
+/**
+ * AdminUsers - Search users and suspend or reactivate their accounts
+ */
+function AdminUsers() {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Debounced so typing does not send a request per keystroke
+  const [applySearch] = useState(() => debounce((value) => {
+    setOffset(0);
+    setQuery(value);
+  }, 300));
+
+  useEffect(() => {
+    setLoading(true);
+    adminService.getUsers({ search: query || undefined, status: status || undefined, limit: PAGE_SIZE, offset })
+      .then((response) => {
+        setUsers(response.data.users);
+        setTotal(response.data.total);
+        setError(null);
+      })
+      .catch((err) => {
+        console.error('Error loading users:', err);
+        setError('Failed to load users');
+      })
+      .finally(() => setLoading(false));
+  }, [query, status, offset]);
+
+  const handleSearchChange = (e) => {
+    setSearch(e.target.value);
+    applySearch(e.target.value.trim());
+  };
+
+  const handleStatusChange = async (user, newStatus) => {
+    if (newStatus === 'suspended' && !window.confirm(`Suspend ${user.email}? They will be signed out everywhere.`)) {
+      return;
+    }
+
+    try {
+      const response = await adminService.setUserStatus(user.id, newStatus);
+      setUsers(prev => prev.map(u => (u.id === user.id ? { ...u, ...response.data.user } : u)));
+    } catch (err) {
+      console.error('Error updating user status:', err);
+      setError(err.response?.data?.error || 'Failed to update user');
+    }
+  };
+
+  return (
+    <div>
+      <div style={styles.toolbar}>
+        <div style={{ position: 'relative', flex: 1 }}>
+          <MagnifyingGlass size={16} style={styles.searchIcon} />
+          <input
+            type="search"
+            className="input"
+            placeholder="Search by email or name"
+            value={search}
+            onChange={handleSearchChange}
+            style={{ paddingLeft: '2rem' }}
+          />
+        </div>
+        <select
+          value={status}
+          onChange={(e) => { setOffset(0); setStatus(e.target.value); }}
+          style={styles.select}
+          aria-label="Status"
+        >
+          <option value="">All statuses</option>
+          <option value="active">Active</option>
+          <option value="suspended">Suspended</option>
+        </select>
+      </div>
+
+      {error && <p style={styles.error}>{error}</p>}
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>User</th>
+            <th style={styles.th}>Videos</th>
+            <th style={styles.th}>Last login</th>
+            <th style={styles.th}>Status</th>
+            <th style={styles.th} />
+          </tr>
+        </thead>
+        <tbody>
+          {users.map(user => (
+            <tr key={user.id}>
+              <td style={styles.td}>
+                <div style={styles.primary}>
+                  {[user.first_name, user.last_name].filter(Boolean).join(' ') || user.email}
+                  {user.role === 'admin' && <span style={styles.badge}>admin</span>}
+                </div>
+                <div style={styles.secondary}>{user.email} · joined {formatDate(user.created_at)}</div>
+              </td>
+              <td style={styles.td}>{user.video_count}</td>
+              <td style={styles.td}>{user.last_login_at ? formatDate(user.last_login_at) : 'Never'}</td>
+              <td style={styles.td}>
+                <span style={{ ...styles.status, ...STATUS_STYLES[user.status] }}>{user.status}</span>
+              </td>
+              <td style={{ ...styles.td, textAlign: 'right' }}>
+                {user.id !== currentUser?.id && (
+                  user.status === 'suspended' ? (
+                    <button type="button" style={styles.actionButton} onClick={() => handleStatusChange(user, 'active')}>
+                      Reactivate
+                    </button>
+                  ) : (
+                    <button type="button" style={styles.dangerButton} onClick={() => handleStatusChange(user, 'suspended')}>
+                      Suspend
+                    </button>
+                  )
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {!loading && users.length === 0 && <p className="help-text">No users match.</p>}
+
+      <div style={styles.pager}>
+        <span style={styles.secondary}>
+          {total === 0 ? '0 users' : `${offset + 1}–${Math.min(offset + PAGE_SIZE, total)} of ${total} users`}
+        </span>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button
+            type="button"
+            className="button button-secondary"
+            disabled={loading || offset === 0}
+            onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+          >
+            Previous
+          </button>
+          <button
+            type="button"
+            className="button button-secondary"
+            disabled={loading || offset + PAGE_SIZE >= total}
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  toolbar: {
+    display: 'flex',
+    gap: '8px',
+    alignItems: 'center',
+    marginBottom: '12px'
+  },
+  searchIcon: {
+    position: 'absolute',
+    left: '0.75rem',
+    top: '50%',
+    transform: 'translateY(-50%)',
+    color: '#9ca3af'
+  },
+  select: {
+    padding: '0.75rem 0.5rem',
+    borderRadius: '8px',
+    border: '1px solid #d1d5db',
+    fontSize: '0.875rem',
+    backgroundColor: '#ffffff'
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '0.875rem'
+  },
+  th: {
+    padding: '8px',
+    borderBottom: '1px solid #e5e7eb',
+    textAlign: 'left',
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    color: '#6b7280',
+    textTransform: 'uppercase'
+  },
+  td: {
+    padding: '10px 8px',
+    borderBottom: '1px solid #f3f4f6',
+    color: '#374151',
+    verticalAlign: 'middle'
+  },
+  primary: {
+    fontWeight: 500,
+    color: '#111827'
+  },
+  secondary: {
+    marginTop: '2px',
+    fontSize: '0.75rem',
+    color: '#6b7280'
+  },
+  badge: {
+    marginLeft: '6px',
+    padding: '1px 6px',
+    borderRadius: '10px',
+    backgroundColor: '#eef2ff',
+    color: '#4338ca',
+    fontSize: '0.6875rem',
+    fontWeight: 600
+  },
+  status: {
+    padding: '2px 8px',
+    borderRadius: '10px',
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    textTransform: 'capitalize'
+  },
+  actionButton: {
+    padding: '6px 10px',
+    borderRadius: '6px',
+    border: '1px solid #d1d5db',
+    backgroundColor: '#ffffff',
+    color: '#374151',
+    fontSize: '0.8125rem',
+    cursor: 'pointer'
+  },
+  dangerButton: {
+    padding: '6px 10px',
+    borderRadius: '6px',
+    border: '1px solid #fecaca',
+    backgroundColor: '#ffffff',
+    color: '#dc2626',
+    fontSize: '0.8125rem',
+    cursor: 'pointer'
+  },
+  pager: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: '12px'
+  },
+  error: {
+    margin: '0 0 12px',
+    color: '#b91c1c',
+    fontSize: '0.875rem'
+  }
+};
+
+export default AdminUsers;
@@ -0,0 +1,4 @@
+export { default as AdminUsers } from './AdminUsers';
+export { default as AdminQueues } from './AdminQueues';
+export { default as AdminUsage } from './AdminUsage';
+export { default as AdminStorage } from './AdminStorage';
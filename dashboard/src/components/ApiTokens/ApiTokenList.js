@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import { Key } from '@phosphor-icons/react';
+import CopyButton from '../Export/CopyButton';
+import apiTokenService from '../../services/apiTokenService';
+import { formatDate } from '../../utils/formatters';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' }
+];
+
+const STATUS_STYLES = {
+  active: { color: '#15803d', backgroundColor: '#f0fdf4' },
+  expired: { color: '#92400e', backgroundColor: '#fffbeb' },
+  revoked: { color: '#b91c1c', backgroundColor: '#fef2f2' }
+};
+
+/**
+ * ApiTokenList - Create, list and revoke personal access tokens for the REST API
+ * A new token is shown once, right after it is created; afterwards only its prefix is known.
+ */
+function ApiTokenList() {
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState('');
+  const [scope, setScope] = useState('read');
+  const [expiresInDays, setExpiresInDays] = useState('90');
+  const [newToken, setNewToken] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    apiTokenService.getAll()
+      .then(response => setTokens(response.data.apiTokens))
+      .catch((err) => {
+        console.error('Error loading API tokens:', err);
+        setError('Failed to load API tokens');
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await apiTokenService.create({
+        name,
+        scope,
+        expires_in_days: expiresInDays ? parseInt(expiresInDays, 10) : null
+      });
+      setTokens(prev => [response.data.apiToken, ...prev]);
+      setNewToken(response.data.token);
+      setName('');
+    } catch (err) {
+      console.error('Error creating API token:', err);
+      setError(err.response?.data?.error || 'Failed to create API token');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async (tokenId) => {
+    if (!window.confirm('Revoke this token? Scripts using it will stop working.')) {
+      return;
+    }
+
+    try {
+      const response = await apiTokenService.revoke(tokenId);
+      setTokens(prev => prev.map(token => (token.id === tokenId ? response.data.apiToken : token)));
+    } catch (err) {
+      console.error('Error revoking API token:', err);
+      setError(err.response?.data?.error || 'Failed to revoke API token');
+    }
+  };
+
+  if (loading) {
+    return <p className="help-text">Loading...</p>;
+  }
+
+  return (
+    <div>
+      {error && <p style={styles.error}>{error}</p>}
+
+      <form onSubmit={handleCreate} style={styles.form}>
+        <input
+          type="text"
+          className="input"
+          placeholder="Token name, e.g. Nightly import script"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={255}
+          required
+        />
+        <select value={scope} onChange={(e) => setScope(e.target.value)} style={styles.select} aria-label="Scope">
+          <option value="read">Read-only</option>
+          <option value="write">Read-write</option>
+        </select>
+        <select value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)} style={styles.select} aria-label="Expires">
+          {EXPIRY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button type="submit" className="button button-secondary" disabled={isSubmitting || !name.trim()}>
+          Create
+        </button>
+      </form>
+
+      {newToken && (
+        <div style={styles.newToken}>
+          <p style={{ margin: '0 0 8px' }}>
+            Copy your new token now. It will not be shown again.
+          </p>
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            <code style={styles.code}>{newToken}</code>
+            <CopyButton text={newToken} label="Copy token" />
+          </div>
+        </div>
+      )}
+
+      {tokens.length === 0 && (
+        <p className="help-text">
+          You have no API tokens. Send one as <code>Authorization: Bearer &lt;token&gt;</code> to call the API from scripts.
+        </p>
+      )}
+
+      {tokens.map(token => (
+        <div key={token.id} style={styles.row}>
+          <Key size={20} style={{ flexShrink: 0, color: '#6b7280' }} />
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={styles.title}>
+              {token.name} <code style={styles.prefix}>{token.token_prefix}…</code>
+            </div>
+            <div style={styles.meta}>
+              {token.scope === 'read' ? 'Read-only' : 'Read-write'}
+              {' · '}{token.last_used_at ? `last used ${formatDate(token.last_used_at)}` : 'never used'}
+              {' · '}created {formatDate(token.created_at)}
+              {token.status === 'active' && (token.expires_at ? ` · expires ${formatDate(token.expires_at)}` : ' · never expires')}
+            </div>
+          </div>
+          <span style={{ ...styles.status, ...STATUS_STYLES[token.status] }}>
+            {token.status}
+          </span>
+          {token.status === 'active' && (
+            <button type="button" onClick={() => handleRevoke(token.id)} style={styles.revokeButton}>
+              Revoke
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const styles = {
+  form: {
+    display: 'flex',
+    gap: '8px',
+    alignItems: 'center',
+    marginBottom: '12px'
+  },
+  select: {
+    padding: '0.75rem 0.5rem',
+    borderRadius: '8px',
+    border: '1px solid #d1d5db',
+    fontSize: '0.875rem',
+    backgroundColor: '#ffffff'
+  },
+  newToken: {
+    padding: '12px',
+    marginBottom: '12px',
+    borderRadius: '8px',
+    border: '1px solid #bbf7d0',
+    backgroundColor: '#f0fdf4',
+    fontSize: '0.875rem',
+    color: '#166534'
+  },
+  code: {
+    flex: 1,
+    minWidth: 0,
+    overflowWrap: 'anywhere',
+    fontFamily: 'monospace',
+    fontSize: '0.8125rem',
+    color: '#111827'
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '12px 0',
+    borderBottom: '1px solid #f3f4f6'
+  },
+  title: {
+    fontSize: '0.875rem',
+    fontWeight: 500,
+    color: '#111827',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  prefix: {
+    fontFamily: 'monospace',
+    fontSize: '0.75rem',
+    color: '#6b7280'
+  },
+  meta: {
+    marginTop: '2px',
+    fontSize: '0.75rem',
+    color: '#6b7280'
+  },
+  status: {
+    padding: '2px 8px',
+    borderRadius: '10px',
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    textTransform: 'capitalize'
+  },
+  revokeButton: {
+    padding: '6px 10px',
+    borderRadius: '6px',
+    border: '1px solid #fecaca',
+    backgroundColor: '#ffffff',
+    color: '#dc2626',
+    fontSize: '0.8125rem',
+    cursor: 'pointer'
+  },
+  error: {
+    margin: '0 0 12px',
+    color: '#b91c1c',
+    fontSize: '0.875rem'
+  }
+};
+
+export default ApiTokenList;
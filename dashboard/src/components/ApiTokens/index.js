@@ -0,0 +1 @@
+export { default as ApiTokenList } from './ApiTokenList';
@@ -1,24 +1,72 @@
-import React from 'react';
-import { Folder, FolderOpen } from '@phosphor-icons/react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useDndContext } from '@dnd-kit/core';
+import { Folder, FolderOpen, FolderStar } from '@phosphor-icons/react';
 import DroppableFolderItem from '../Folder/DroppableFolderItem';
+import { buildFolderTree, getFolderPath } from '../../utils/folderTree';
 
 /**
- * FolderList component - displays folders for filtering saves
- * @param {Array} folders - List of folders
+ * FolderList component - displays the folder tree for filtering saves
+ * Saves can be dropped onto folders, and folders onto other folders to nest them
+ * @param {Array} folders - Flat list of folders (with parent_id)
  * @param {string|null} activeFolder - Currently selected folder ID
  * @param {Function} onSelect - Callback when a folder is selected
+ * @param {Function} [onCreateSmartFolder] - Shows a "New smart folder" button that calls this
  */
-function FolderList({ folders = [], activeFolder, onSelect }) {
+function FolderList({ folders = [], activeFolder, onSelect, onCreateSmartFolder }) {
+  const { active } = useDndContext();
+  const [expandedIds, setExpandedIds] = useState(() => new Set());
+
+  const tree = useMemo(() => buildFolderTree(folders), [folders]);
+  const isDraggingFolder = active?.data.current?.type === 'folder';
+
+  // Keep the selected folder visible by expanding its ancestors
+  useEffect(() => {
+    const ancestors = getFolderPath(folders, activeFolder).slice(0, -1);
+    if (ancestors.length === 0) return;
+
+    setExpandedIds(prev => {
+      if (ancestors.every(folder => prev.has(folder.id))) return prev;
+      const next = new Set(prev);
+      ancestors.forEach(folder => next.add(folder.id));
+      return next;
+    });
+  }, [folders, activeFolder]);
+
   const handleSelect = (folderId) => {
     onSelect(folderId);
   };
 
+  const handleToggleExpand = useCallback((folderId) => {
+    setExpandedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(folderId)) {
+        next.delete(folderId);
+      } else {
+        next.add(folderId);
+      }
+      return next;
+    });
+  }, []);
+
   // Calculate total saves count across all folders
-  const totalSaves = folders.reduce((sum, folder) => sum + (folder.saveCount || 0), 0);
+  const totalSaves = folders.reduce((sum, folder) => sum + (folder.save_count || 0), 0);
 
   return (
     <div style={styles.container}>
-      <h3 style={styles.title}>Folders</h3>
+      <div style={styles.titleRow}>
+        <h3 style={styles.title}>Folders</h3>
+        {onCreateSmartFolder && (
+          <button
+            type="button"
+            onClick={onCreateSmartFolder}
+            style={styles.titleButton}
+            title="New smart folder"
+            aria-label="New smart folder"
+          >
+            <FolderStar size={16} />
+          </button>
+        )}
+      </div>
 
       {/* All Saves option - NOT droppable */}
       <div
@@ -41,13 +89,25 @@ function FolderList({ folders = [], activeFolder, onSelect }) {
         )}
       </div>
 
-      {/* Folder list - droppable */}
-      {folders.map((folder) => (
+      {/* Top-level target, shown while a folder is being dragged */}
+      {isDraggingFolder && (
+        <DroppableFolderItem
+          folder={{ id: 'root', name: 'Move to top level' }}
+          isActive={false}
+        />
+      )}
+
+      {/* Folder tree - droppable, folders draggable */}
+      {tree.map((folder) => (
         <DroppableFolderItem
           key={folder.id}
           folder={folder}
           isActive={activeFolder === folder.id}
           onClick={() => handleSelect(folder.id)}
+          activeFolder={activeFolder}
+          onSelect={handleSelect}
+          expandedIds={expandedIds}
+          onToggleExpand={handleToggleExpand}
         />
       ))}
 
@@ -56,7 +116,7 @@ function FolderList({ folders = [], activeFolder, onSelect }) {
         folder={{
           id: 'uncategorized',
           name: 'Uncategorized',
-          saveCount: 0
+          save_count: 0
         }}
         isActive={activeFolder === 'uncategorized'}
         onClick={() => handleSelect('uncategorized')}
@@ -69,14 +129,30 @@ const styles = {
   container: {
     width: '100%'
   },
+  titleRow: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: '12px'
+  },
   title: {
     fontSize: '0.875rem',
     fontWeight: 600,
     color: '#6b7280',
     textTransform: 'uppercase',
     letterSpacing: '0.05em',
-    marginBottom: '12px',
-    marginTop: 0
+    margin: 0
+  },
+  titleButton: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '4px',
+    border: 'none',
+    borderRadius: '6px',
+    backgroundColor: 'transparent',
+    color: '#6b7280',
+    cursor: 'pointer'
   },
   folderItem: {
     display: 'flex',
@@ -6,6 +6,7 @@ import {
   ArrowsOutSimple,
   FloppyDisk,
   Export,
+  ShareNetwork,
   DotsThree
 } from '@phosphor-icons/react';
 import './CompactHeader.css';
@@ -21,6 +22,7 @@ function CompactHeader({
   onViewModeChange,
   onSave,
   onExport,
+  onShare,
   actions = []
 }) {
   const [showMoreMenu, setShowMoreMenu] = useState(false);
@@ -135,6 +137,13 @@ function CompactHeader({
           </button>
         )}
 
+        {/* Share Button */}
+        {onShare && (
+          <button className="header-action-btn" onClick={onShare} title="Share">
+            <ShareNetwork size={20} />
+          </button>
+        )}
+
         {/* More Actions */}
         {actions.length > 0 && (
           <div className="more-menu-container" ref={menuRef}>
@@ -1,15 +1,18 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { DownloadSimple, CaretDown, FilePdf, FileText, FileDoc, FileCode } from '@phosphor-icons/react';
+import { DownloadSimple, CaretDown, FilePdf, FileText, FileDoc, FileCode, Cards, FileCsv } from '@phosphor-icons/react';
 import exportService from '../../services/exportService';
 import './ExportMenu.css';
 
 /**
  * ExportMenu Component
- * Dropdown menu for exporting saves and transcripts
+ * Dropdown menu for exporting saves, transcripts and flashcards
  *
  * @param {object} props
- * @param {string} props.type - Type of export ('save' or 'transcript')
- * @param {string} props.id - ID of the save or video
+ * @param {string} props.type - Type of export ('save', 'transcript' or 'flashcards')
+ * @param {string|string[]} props.id - ID of the save or video; for flashcards, the ID
+ *   matching `source` (an array of save IDs for 'saves')
+ * @param {string} [props.source] - Flashcard source: 'video', 'folder' or 'saves'
+ * @param {string} [props.language] - Transcript track language (default: primary track)
  * @param {string} [props.label] - Button label (default: 'Export')
  * @param {string} [props.className] - Additional CSS classes
  * @param {function} [props.onExportStart] - Callback when export starts
@@ -19,6 +22,8 @@ import './ExportMenu.css';
 const ExportMenu = ({
   type,
   id,
+  source = 'saves',
+  language,
   label = 'Export',
   className = '',
   onExportStart,
@@ -33,16 +38,25 @@ const ExportMenu = ({
   const saveFormats = [
     { value: 'json', label: 'JSON', icon: FileCode, description: 'Structured data format' },
     { value: 'markdown', label: 'Markdown', icon: FileDoc, description: 'Formatted document' },
-    { value: 'txt', label: 'Plain Text', icon: FileText, description: 'Simple text format' }
+    { value: 'txt', label: 'Plain Text', icon: FileText, description: 'Simple text format' },
+    { value: 'pdf', label: 'PDF', icon: FilePdf, description: 'Printable document with frames' }
   ];
 
   const transcriptFormats = [
     { value: 'txt', label: 'Plain Text', icon: FileText, description: 'Simple text format' },
     { value: 'srt', label: 'SRT', icon: FilePdf, description: 'SubRip subtitle format' },
-    { value: 'vtt', label: 'WebVTT', icon: FilePdf, description: 'Web Video Text Tracks' }
+    { value: 'vtt', label: 'WebVTT', icon: FilePdf, description: 'Web Video Text Tracks' },
+    { value: 'md', label: 'Markdown', icon: FileDoc, description: 'Paragraphs by speaker' }
+  ];
+
+  const flashcardFormats = [
+    { value: 'apkg', label: 'Anki deck', icon: Cards, description: 'Cards with the nearest frame' },
+    { value: 'csv', label: 'CSV', icon: FileCsv, description: 'One card per row, for any flashcard app' }
   ];
 
-  const formats = type === 'transcript' ? transcriptFormats : saveFormats;
+  const formats = type === 'transcript'
+    ? transcriptFormats
+    : type === 'flashcards' ? flashcardFormats : saveFormats;
 
   // Close menu when clicking outside
   useEffect(() => {
@@ -80,9 +94,10 @@ const ExportMenu = ({
   /**
    * Get filename from response headers
    * @param {object} response - API response
+   * @param {string} format - Export format, used for the fallback name
    * @returns {string} - Filename
    */
-  const getFilenameFromResponse = (response) => {
+  const getFilenameFromResponse = (response, format) => {
     const contentDisposition = response.headers['content-disposition'];
     if (contentDisposition) {
       const filenameMatch = contentDisposition.match(/filename="(.+)"/);
@@ -110,13 +125,17 @@ const ExportMenu = ({
 
       // Call appropriate export service
       if (type === 'transcript') {
-        response = await exportService.exportTranscript(id, format);
+        response = language
+          ? await exportService.exportTranscript(id, format, { language })
+          : await exportService.exportTranscript(id, format);
+      } else if (type === 'flashcards') {
+        response = await exportService.exportFlashcards(source, id, { format, frames: format === 'apkg' });
       } else {
         response = await exportService.exportSave(id, format);
       }
 
       // Get filename from response
-      const filename = getFilenameFromResponse(response);
+      const filename = getFilenameFromResponse(response, format);
 
       // Download file
       downloadFile(response.data, filename);
@@ -9,8 +9,9 @@ const DEFAULT_COLOR = '#6366f1';
  * @param {Object} props
  * @param {Function} props.onClose - Callback to close the modal
  * @param {Function} props.onCreate - Callback when folder is created
+ * @param {Object} [props.parentFolder] - Folder the new folder is created in (omit for top level)
  */
-function CreateFolderModal({ onClose, onCreate }) {
+function CreateFolderModal({ onClose, onCreate, parentFolder = null }) {
   const [name, setName] = useState('');
   const [color, setColor] = useState(DEFAULT_COLOR);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -83,7 +84,7 @@ function CreateFolderModal({ onClose, onCreate }) {
     <Modal
       isOpen={true}
       onClose={onClose}
-      title="Create New Folder"
+      title={parentFolder ? `New Folder in "${parentFolder.name}"` : 'Create New Folder'}
       footer={footer}
       size="small"
     >
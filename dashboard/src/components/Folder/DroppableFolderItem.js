@@ -1,18 +1,35 @@
 import React from 'react';
-import { useDroppable } from '@dnd-kit/core';
-import { Folder, FolderOpen, BookmarkSimple } from '@phosphor-icons/react';
+import { Folder, FolderOpen, FolderStar, BookmarkSimple, CaretRight, CaretDown, ArrowLineUp } from '@phosphor-icons/react';
+import useFolderDragDrop from '../../hooks/useFolderDragDrop';
 
 /**
- * DroppableFolderItem - Folder item that accepts dropped saves
- * @param {Object} folder - Folder object with { id, name, saveCount, icon }
+ * DroppableFolderItem - Folder tree node that accepts dropped saves and folders
+ * User folders can also be dragged onto other folders to nest them. Nested folders
+ * (folder.children) are rendered below the item while it is expanded.
+ * @param {Object} folder - Folder object with { id, name, save_count, total_save_count, children }
  * @param {boolean} isActive - Whether this folder is currently selected
  * @param {Function} onClick - Click handler for folder selection
+ * @param {number} depth - Nesting level, used for indentation
+ * @param {Array<string>} ancestorIds - IDs of the folders above this one
+ * @param {string|null} activeFolder - Selected folder ID, passed down to nested items
+ * @param {Function} onSelect - Called with a folder ID when a nested item is clicked
+ * @param {Set<string>} expandedIds - IDs of folders whose children are shown
+ * @param {Function} onToggleExpand - Called with a folder ID to expand or collapse it
  */
-function DroppableFolderItem({ folder, isActive, onClick }) {
-  const { setNodeRef, isOver } = useDroppable({
-    id: folder.id,
-    data: folder // Store folder data for access during drop
-  });
+function DroppableFolderItem({
+  folder,
+  isActive,
+  onClick,
+  depth = 0,
+  ancestorIds = [],
+  activeFolder,
+  onSelect,
+  expandedIds,
+  onToggleExpand
+}) {
+  const { setNodeRef, dragProps, isOver, isDragging, isUserFolder } = useFolderDragDrop(folder, ancestorIds);
+  const children = folder.children || [];
+  const isExpanded = Boolean(expandedIds?.has(folder.id));
 
   const getIcon = () => {
     // Special icon for uncategorized
@@ -20,6 +37,15 @@ function DroppableFolderItem({ folder, isActive, onClick }) {
       return <BookmarkSimple size={20} />;
     }
 
+    if (folder.id === 'root') {
+      return <ArrowLineUp size={20} />;
+    }
+
+    // Smart folders are evaluated from rules rather than holding saves
+    if (folder.kind === 'smart') {
+      return <FolderStar size={20} weight={isActive ? 'fill' : 'regular'} />;
+    }
+
     // Active folder icon
     if (isActive) {
       return <FolderOpen size={20} weight="fill" />;
@@ -29,25 +55,67 @@ function DroppableFolderItem({ folder, isActive, onClick }) {
     return <Folder size={20} />;
   };
 
+  const handleToggle = (e) => {
+    e.stopPropagation();
+    onToggleExpand(folder.id);
+  };
+
+  const count = folder.total_save_count ?? folder.save_count ?? folder.saveCount;
+
   return (
-    <div
-      ref={setNodeRef}
-      className={`folder-item ${isOver ? 'drop-target' : ''}`}
-      style={{
-        ...styles.folderItem,
-        ...(isActive ? styles.folderItemActive : {}),
-        ...(isOver ? styles.dropTarget : {})
-      }}
-      onClick={onClick}
-    >
-      <div style={styles.folderIcon}>
-        {getIcon()}
+    <>
+      <div
+        ref={setNodeRef}
+        {...dragProps}
+        className={`folder-item ${isOver ? 'drop-target' : ''}`}
+        style={{
+          ...styles.folderItem,
+          paddingLeft: `${12 + depth * 16}px`,
+          ...(isActive ? styles.folderItemActive : {}),
+          ...(isOver ? styles.dropTarget : {}),
+          ...(isDragging ? styles.dragging : {})
+        }}
+        onClick={onClick}
+      >
+        {isUserFolder && (
+          <button
+            type="button"
+            onClick={handleToggle}
+            onPointerDown={(e) => e.stopPropagation()}
+            style={{
+              ...styles.toggle,
+              visibility: children.length > 0 ? 'visible' : 'hidden'
+            }}
+            aria-label={isExpanded ? `Collapse ${folder.name}` : `Expand ${folder.name}`}
+            aria-expanded={isExpanded}
+          >
+            {isExpanded ? <CaretDown size={12} weight="bold" /> : <CaretRight size={12} weight="bold" />}
+          </button>
+        )}
+        <div style={styles.folderIcon}>
+          {getIcon()}
+        </div>
+        <span style={styles.folderName}>{folder.name}</span>
+        {folder.kind !== 'smart' && count > 0 && (
+          <span style={styles.count}>{count}</span>
+        )}
       </div>
-      <span style={styles.folderName}>{folder.name}</span>
-      {folder.saveCount > 0 && (
-        <span style={styles.count}>{folder.saveCount}</span>
-      )}
-    </div>
+
+      {isExpanded && children.map((child) => (
+        <DroppableFolderItem
+          key={child.id}
+          folder={child}
+          isActive={activeFolder === child.id}
+          onClick={() => onSelect(child.id)}
+          depth={depth + 1}
+          ancestorIds={[...ancestorIds, folder.id]}
+          activeFolder={activeFolder}
+          onSelect={onSelect}
+          expandedIds={expandedIds}
+          onToggleExpand={onToggleExpand}
+        />
+      ))}
+    </>
   );
 }
 
@@ -72,6 +140,22 @@ const styles = {
     backgroundColor: '#dbeafe',
     border: '2px dashed #2563eb'
   },
+  dragging: {
+    opacity: 0.5
+  },
+  toggle: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    width: '16px',
+    height: '16px',
+    marginRight: '-8px',
+    padding: 0,
+    border: 'none',
+    backgroundColor: 'transparent',
+    color: '#6b7280',
+    cursor: 'pointer'
+  },
   folderIcon: {
     display: 'flex',
     alignItems: 'center',
@@ -82,7 +166,10 @@ const styles = {
     flex: 1,
     fontSize: '0.875rem',
     fontWeight: 500,
-    color: 'inherit'
+    color: 'inherit',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
   },
   count: {
     fontSize: '0.75rem',
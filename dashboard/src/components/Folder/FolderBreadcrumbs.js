@@ -0,0 +1,66 @@
+import React from 'react';
+import { CaretRight } from '@phosphor-icons/react';
+import { getFolderPath } from '../../utils/folderTree';
+
+/**
+ * FolderBreadcrumbs - Path from "All Saves" down to the selected folder
+ * @param {Array} folders - Flat list of folders (with parent_id)
+ * @param {string|null} activeFolder - Selected folder ID, 'uncategorized' or null
+ * @param {Function} onSelect - Called with a folder ID (or null for All Saves) when a crumb is clicked
+ */
+function FolderBreadcrumbs({ folders = [], activeFolder, onSelect }) {
+  const path = activeFolder === 'uncategorized'
+    ? [{ id: 'uncategorized', name: 'Uncategorized' }]
+    : getFolderPath(folders, activeFolder);
+
+  const crumbs = [{ id: null, name: 'All Saves' }, ...path];
+
+  return (
+    <nav aria-label="Folder path" style={styles.nav}>
+      {crumbs.map((crumb, index) => {
+        const isLast = index === crumbs.length - 1;
+
+        return (
+          <React.Fragment key={crumb.id || 'all'}>
+            {index > 0 && <CaretRight size={12} style={styles.separator} />}
+            {isLast ? (
+              <span style={styles.current} aria-current="page">{crumb.name}</span>
+            ) : (
+              <button type="button" onClick={() => onSelect(crumb.id)} style={styles.link}>
+                {crumb.name}
+              </button>
+            )}
+          </React.Fragment>
+        );
+      })}
+    </nav>
+  );
+}
+
+const styles = {
+  nav: {
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '6px',
+    marginBottom: '8px',
+    fontSize: '0.875rem'
+  },
+  separator: {
+    color: '#9ca3af'
+  },
+  link: {
+    padding: 0,
+    border: 'none',
+    backgroundColor: 'transparent',
+    color: '#2563eb',
+    fontSize: 'inherit',
+    cursor: 'pointer'
+  },
+  current: {
+    color: '#6b7280',
+    fontWeight: 500
+  }
+};
+
+export default FolderBreadcrumbs;
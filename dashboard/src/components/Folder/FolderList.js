@@ -1,22 +1,74 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { Folder, FolderOpen, Plus, DotsThree, PencilSimple, Trash } from '@phosphor-icons/react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import {
+  Folder,
+  FolderOpen,
+  FolderPlus,
+  FolderStar,
+  Plus,
+  DotsThree,
+  PencilSimple,
+  Trash,
+  CaretRight,
+  CaretDown,
+  ArrowLineUp
+} from '@phosphor-icons/react';
 import useFolders from '../../hooks/useFolders';
+import useFolderDragDrop from '../../hooks/useFolderDragDrop';
+import { DragDropProvider } from '../../contexts/DragDropContext';
+import { useToast } from '../../contexts/ToastContext';
+import { buildFolderTree } from '../../utils/folderTree';
 import CreateFolderModal from './CreateFolderModal';
 import EditFolderModal from './EditFolderModal';
+import SmartFolderModal from './SmartFolderModal';
 
 /**
- * FolderList component for displaying and managing folders
+ * Folder row that can be dragged onto another folder, and accepts dropped folders
+ * @param {Object} props
+ * @param {Object} props.folder - Folder shown in the row
+ * @param {Array<string>} props.ancestorIds - IDs of the folders above this one
+ * @param {Object} props.style - Row style
+ */
+function DraggableFolderRow({ folder, ancestorIds, style, children, ...rowProps }) {
+  const { setNodeRef, dragProps, isOver, isDragging } = useFolderDragDrop(folder, ancestorIds);
+
+  return (
+    <div
+      ref={setNodeRef}
+      {...dragProps}
+      {...rowProps}
+      style={{
+        ...style,
+        opacity: isDragging ? 0.5 : 1,
+        outline: isOver ? '2px dashed #3b82f6' : 'none',
+        outlineOffset: '-2px'
+      }}
+    >
+      {children}
+    </div>
+  );
+}
+
+/**
+ * FolderList component for displaying and managing the folder tree
+ * Folders can be nested by dragging them onto another folder or with "New subfolder".
+ * Smart folders are listed alongside and edited through the rule builder.
  * @param {Object} props
  * @param {string|null} props.activeFolder - Currently active folder ID or special value ('uncategorized', null)
  * @param {Function} props.onSelect - Callback when a folder is selected
  */
 function FolderList({ activeFolder, onSelect }) {
-  const { folders, loading, error, createFolder, updateFolder, deleteFolder } = useFolders();
+  const { folders, loading, error, createFolder, updateFolder, moveFolder, deleteFolder } = useFolders();
+  const { showToast } = useToast();
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showSmartModal, setShowSmartModal] = useState(false);
+  const [createParent, setCreateParent] = useState(null);
   const [editingFolder, setEditingFolder] = useState(null);
   const [openMenuId, setOpenMenuId] = useState(null);
+  const [expandedIds, setExpandedIds] = useState(() => new Set());
   const menuRef = useRef(null);
 
+  const tree = useMemo(() => buildFolderTree(folders), [folders]);
+
   // Close menu when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -35,8 +87,53 @@ function FolderList({ activeFolder, onSelect }) {
   }, [openMenuId]);
 
   const handleCreateFolder = async (data) => {
-    await createFolder(data);
+    await createFolder({ ...data, parent_id: createParent?.id || null });
+
+    // Show the new subfolder
+    if (createParent) {
+      setExpandedIds(prev => new Set(prev).add(createParent.id));
+    }
+
+    setShowCreateModal(false);
+    setCreateParent(null);
+  };
+
+  const handleCreateSmartFolder = async (data) => {
+    await createFolder({ ...data, kind: 'smart' });
+    setShowSmartModal(false);
+  };
+
+  const handleCloseCreateModal = () => {
     setShowCreateModal(false);
+    setCreateParent(null);
+  };
+
+  const handleMoveFolder = async ({ folderId, folderData, parentId }) => {
+    if ((folderData.parent_id || null) === parentId) {
+      return;
+    }
+
+    try {
+      await moveFolder(folderId, parentId);
+      if (parentId) {
+        setExpandedIds(prev => new Set(prev).add(parentId));
+      }
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to move folder', 'error');
+    }
+  };
+
+  const toggleExpanded = (folderId, e) => {
+    e.stopPropagation();
+    setExpandedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(folderId)) {
+        next.delete(folderId);
+      } else {
+        next.add(folderId);
+      }
+      return next;
+    });
   };
 
   const handleUpdateFolder = async (data) => {
@@ -47,7 +144,7 @@ function FolderList({ activeFolder, onSelect }) {
   };
 
   const handleDeleteFolder = async (folder) => {
-    if (window.confirm(`Are you sure you want to delete "${folder.name}"? Saves in this folder will be moved to Uncategorized.`)) {
+    if (window.confirm(`Are you sure you want to delete "${folder.name}"? Saves in this folder will be moved to Uncategorized and its subfolders will move up one level.`)) {
       await deleteFolder(folder.id);
       setOpenMenuId(null);
 
@@ -74,180 +171,282 @@ function FolderList({ activeFolder, onSelect }) {
     handleDeleteFolder(folder);
   };
 
-  const renderFolderItem = (folder, isSpecial = false) => {
+  const handleNewSubfolder = (folder, e) => {
+    e.stopPropagation();
+    setCreateParent(folder);
+    setShowCreateModal(true);
+    setOpenMenuId(null);
+  };
+
+  const handleMoveToTop = (folder, e) => {
+    e.stopPropagation();
+    setOpenMenuId(null);
+    handleMoveFolder({ folderId: folder.id, folderData: folder, parentId: null });
+  };
+
+  const renderFolderItem = (folder, isSpecial = false, depth = 0, ancestorIds = []) => {
     const isActive = activeFolder === folder.id;
-    const Icon = isActive ? FolderOpen : Folder;
+    const isSmart = folder.kind === 'smart';
+    const Icon = isSmart ? FolderStar : isActive ? FolderOpen : Folder;
+    const children = folder.children || [];
+    const isExpanded = expandedIds.has(folder.id);
+    const Row = isSpecial ? 'div' : DraggableFolderRow;
 
     return (
-      <div
-        key={folder.id}
-        onClick={() => onSelect(folder.id)}
-        style={{
-          display: 'flex',
-          alignItems: 'center',
-          justifyContent: 'space-between',
-          padding: '10px 12px',
-          cursor: 'pointer',
-          borderRadius: '6px',
-          backgroundColor: isActive ? '#eff6ff' : 'transparent',
-          transition: 'background-color 0.2s ease',
-          marginBottom: '4px',
-          position: 'relative'
-        }}
-        onMouseEnter={(e) => {
-          if (!isActive) {
-            e.currentTarget.style.backgroundColor = '#f9fafb';
-          }
-        }}
-        onMouseLeave={(e) => {
-          if (!isActive) {
-            e.currentTarget.style.backgroundColor = 'transparent';
-          }
-        }}
-      >
-        <div style={{ display: 'flex', alignItems: 'center', gap: '10px', flex: 1, minWidth: 0 }}>
-          {folder.color && !isSpecial && (
-            <div
-              style={{
-                width: '12px',
-                height: '12px',
-                borderRadius: '50%',
-                backgroundColor: folder.color,
-                flexShrink: 0
-              }}
+      <React.Fragment key={folder.id}>
+        <Row
+          {...(isSpecial ? {} : { folder, ancestorIds })}
+          onClick={() => onSelect(folder.id)}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            padding: '10px 12px',
+            paddingLeft: `${12 + depth * 16}px`,
+            cursor: 'pointer',
+            borderRadius: '6px',
+            backgroundColor: isActive ? '#eff6ff' : 'transparent',
+            transition: 'background-color 0.2s ease',
+            marginBottom: '4px',
+            position: 'relative'
+          }}
+          onMouseEnter={(e) => {
+            if (!isActive) {
+              e.currentTarget.style.backgroundColor = '#f9fafb';
+            }
+          }}
+          onMouseLeave={(e) => {
+            if (!isActive) {
+              e.currentTarget.style.backgroundColor = 'transparent';
+            }
+          }}
+        >
+          <div style={{ display: 'flex', alignItems: 'center', gap: '10px', flex: 1, minWidth: 0 }}>
+            {!isSpecial && (
+              <button
+                onClick={(e) => toggleExpanded(folder.id, e)}
+                onPointerDown={(e) => e.stopPropagation()}
+                aria-label={isExpanded ? `Collapse ${folder.name}` : `Expand ${folder.name}`}
+                aria-expanded={isExpanded}
+                style={{
+                  padding: 0,
+                  width: '16px',
+                  height: '16px',
+                  border: 'none',
+                  backgroundColor: 'transparent',
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  color: '#6b7280',
+                  flexShrink: 0,
+                  visibility: children.length > 0 ? 'visible' : 'hidden'
+                }}
+              >
+                {isExpanded ? <CaretDown size={12} weight="bold" /> : <CaretRight size={12} weight="bold" />}
+              </button>
+            )}
+            {folder.color && !isSpecial && (
+              <div
+                style={{
+                  width: '12px',
+                  height: '12px',
+                  borderRadius: '50%',
+                  backgroundColor: folder.color,
+                  flexShrink: 0
+                }}
+              />
+            )}
+            <Icon
+              size={20}
+              weight={isActive ? 'fill' : 'regular'}
+              color={isActive ? '#3b82f6' : '#6b7280'}
             />
-          )}
-          <Icon
-            size={20}
-            weight={isActive ? 'fill' : 'regular'}
-            color={isActive ? '#3b82f6' : '#6b7280'}
-          />
-          <span
-            style={{
-              fontSize: '14px',
-              fontWeight: isActive ? '600' : '500',
-              color: isActive ? '#3b82f6' : '#374151',
-              overflow: 'hidden',
-              textOverflow: 'ellipsis',
-              whiteSpace: 'nowrap'
-            }}
-          >
-            {folder.name}
-          </span>
-          {folder.save_count !== undefined && (
             <span
               style={{
-                fontSize: '12px',
-                color: '#9ca3af',
-                backgroundColor: '#f3f4f6',
-                padding: '2px 8px',
-                borderRadius: '10px',
-                marginLeft: 'auto',
-                flexShrink: 0
+                fontSize: '14px',
+                fontWeight: isActive ? '600' : '500',
+                color: isActive ? '#3b82f6' : '#374151',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                whiteSpace: 'nowrap'
               }}
             >
-              {folder.save_count}
+              {folder.name}
             </span>
-          )}
-        </div>
-
-        {!isSpecial && (
-          <div style={{ position: 'relative' }}>
-            <button
-              onClick={(e) => toggleMenu(folder.id, e)}
-              style={{
-                padding: '4px',
-                border: 'none',
-                backgroundColor: 'transparent',
-                cursor: 'pointer',
-                borderRadius: '4px',
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                marginLeft: '4px'
-              }}
-              onMouseEnter={(e) => {
-                e.currentTarget.style.backgroundColor = '#e5e7eb';
-              }}
-              onMouseLeave={(e) => {
-                e.currentTarget.style.backgroundColor = 'transparent';
-              }}
-            >
-              <DotsThree size={20} weight="bold" color="#6b7280" />
-            </button>
+            {!isSmart && (folder.total_save_count ?? folder.save_count) !== undefined && (
+              <span
+                style={{
+                  fontSize: '12px',
+                  color: '#9ca3af',
+                  backgroundColor: '#f3f4f6',
+                  padding: '2px 8px',
+                  borderRadius: '10px',
+                  marginLeft: 'auto',
+                  flexShrink: 0
+                }}
+              >
+                {folder.total_save_count ?? folder.save_count}
+              </span>
+            )}
+          </div>
 
-            {openMenuId === folder.id && (
-              <div
-                ref={menuRef}
+          {!isSpecial && (
+            <div style={{ position: 'relative' }}>
+              <button
+                onClick={(e) => toggleMenu(folder.id, e)}
                 style={{
-                  position: 'absolute',
-                  top: '100%',
-                  right: '0',
-                  marginTop: '4px',
-                  backgroundColor: '#ffffff',
-                  border: '1px solid #e5e7eb',
-                  borderRadius: '6px',
-                  boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
-                  zIndex: 1000,
-                  minWidth: '140px',
-                  overflow: 'hidden'
+                  padding: '4px',
+                  border: 'none',
+                  backgroundColor: 'transparent',
+                  cursor: 'pointer',
+                  borderRadius: '4px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  marginLeft: '4px'
+                }}
+                onMouseEnter={(e) => {
+                  e.currentTarget.style.backgroundColor = '#e5e7eb';
+                }}
+                onMouseLeave={(e) => {
+                  e.currentTarget.style.backgroundColor = 'transparent';
                 }}
               >
-                <button
-                  onClick={(e) => handleEdit(folder, e)}
-                  style={{
-                    width: '100%',
-                    padding: '10px 12px',
-                    border: 'none',
-                    backgroundColor: 'transparent',
-                    cursor: 'pointer',
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '8px',
-                    fontSize: '14px',
-                    color: '#374151',
-                    textAlign: 'left'
-                  }}
-                  onMouseEnter={(e) => {
-                    e.currentTarget.style.backgroundColor = '#f9fafb';
-                  }}
-                  onMouseLeave={(e) => {
-                    e.currentTarget.style.backgroundColor = 'transparent';
-                  }}
-                >
-                  <PencilSimple size={16} />
-                  Edit
-                </button>
-                <button
-                  onClick={(e) => handleDelete(folder, e)}
+                <DotsThree size={20} weight="bold" color="#6b7280" />
+              </button>
+
+              {openMenuId === folder.id && (
+                <div
+                  ref={menuRef}
                   style={{
-                    width: '100%',
-                    padding: '10px 12px',
-                    border: 'none',
-                    backgroundColor: 'transparent',
-                    cursor: 'pointer',
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '8px',
-                    fontSize: '14px',
-                    color: '#ef4444',
-                    textAlign: 'left'
-                  }}
-                  onMouseEnter={(e) => {
-                    e.currentTarget.style.backgroundColor = '#fef2f2';
-                  }}
-                  onMouseLeave={(e) => {
-                    e.currentTarget.style.backgroundColor = 'transparent';
+                    position: 'absolute',
+                    top: '100%',
+                    right: '0',
+                    marginTop: '4px',
+                    backgroundColor: '#ffffff',
+                    border: '1px solid #e5e7eb',
+                    borderRadius: '6px',
+                    boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+                    zIndex: 1000,
+                    minWidth: '140px',
+                    overflow: 'hidden'
                   }}
                 >
-                  <Trash size={16} />
-                  Delete
-                </button>
-              </div>
-            )}
-          </div>
+                  {!isSmart && (
+                    <button
+                      onClick={(e) => handleNewSubfolder(folder, e)}
+                      style={{
+                        width: '100%',
+                        padding: '10px 12px',
+                        border: 'none',
+                        backgroundColor: 'transparent',
+                        cursor: 'pointer',
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '8px',
+                        fontSize: '14px',
+                        color: '#374151',
+                        textAlign: 'left'
+                      }}
+                      onMouseEnter={(e) => {
+                        e.currentTarget.style.backgroundColor = '#f9fafb';
+                      }}
+                      onMouseLeave={(e) => {
+                        e.currentTarget.style.backgroundColor = 'transparent';
+                      }}
+                    >
+                      <FolderPlus size={16} />
+                      New subfolder
+                    </button>
+                  )}
+                  {folder.parent_id && (
+                    <button
+                      onClick={(e) => handleMoveToTop(folder, e)}
+                      style={{
+                        width: '100%',
+                        padding: '10px 12px',
+                        border: 'none',
+                        backgroundColor: 'transparent',
+                        cursor: 'pointer',
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '8px',
+                        fontSize: '14px',
+                        color: '#374151',
+                        textAlign: 'left'
+                      }}
+                      onMouseEnter={(e) => {
+                        e.currentTarget.style.backgroundColor = '#f9fafb';
+                      }}
+                      onMouseLeave={(e) => {
+                        e.currentTarget.style.backgroundColor = 'transparent';
+                      }}
+                    >
+                      <ArrowLineUp size={16} />
+                      Move to top level
+                    </button>
+                  )}
+                  <button
+                    onClick={(e) => handleEdit(folder, e)}
+                    style={{
+                      width: '100%',
+                      padding: '10px 12px',
+                      border: 'none',
+                      backgroundColor: 'transparent',
+                      cursor: 'pointer',
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '8px',
+                      fontSize: '14px',
+                      color: '#374151',
+                      textAlign: 'left'
+                    }}
+                    onMouseEnter={(e) => {
+                      e.currentTarget.style.backgroundColor = '#f9fafb';
+                    }}
+                    onMouseLeave={(e) => {
+                      e.currentTarget.style.backgroundColor = 'transparent';
+                    }}
+                  >
+                    <PencilSimple size={16} />
+                    Edit
+                  </button>
+                  <button
+                    onClick={(e) => handleDelete(folder, e)}
+                    style={{
+                      width: '100%',
+                      padding: '10px 12px',
+                      border: 'none',
+                      backgroundColor: 'transparent',
+                      cursor: 'pointer',
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '8px',
+                      fontSize: '14px',
+                      color: '#ef4444',
+                      textAlign: 'left'
+                    }}
+                    onMouseEnter={(e) => {
+                      e.currentTarget.style.backgroundColor = '#fef2f2';
+                    }}
+                    onMouseLeave={(e) => {
+                      e.currentTarget.style.backgroundColor = 'transparent';
+                    }}
+                  >
+                    <Trash size={16} />
+                    Delete
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </Row>
+
+        {isExpanded && children.map((child) =>
+          renderFolderItem(child, false, depth + 1, [...ancestorIds, folder.id])
         )}
-      </div>
+      </React.Fragment>
     );
   };
 
@@ -268,82 +467,125 @@ function FolderList({ activeFolder, onSelect }) {
   }
 
   return (
-    <div style={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
-      {/* Header */}
-      <div
-        style={{
-          padding: '16px',
-          borderBottom: '1px solid #e5e7eb',
-          display: 'flex',
-          alignItems: 'center',
-          justifyContent: 'space-between'
-        }}
-      >
-        <h3 style={{ margin: 0, fontSize: '16px', fontWeight: '600', color: '#111827' }}>
-          Folders
-        </h3>
-        <button
-          onClick={() => setShowCreateModal(true)}
+    <DragDropProvider onFolderDrop={handleMoveFolder}>
+      <div style={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+        {/* Header */}
+        <div
           style={{
-            padding: '6px',
-            border: 'none',
-            backgroundColor: '#3b82f6',
-            borderRadius: '6px',
-            cursor: 'pointer',
+            padding: '16px',
+            borderBottom: '1px solid #e5e7eb',
             display: 'flex',
             alignItems: 'center',
-            justifyContent: 'center',
-            transition: 'background-color 0.2s ease'
-          }}
-          onMouseEnter={(e) => {
-            e.currentTarget.style.backgroundColor = '#2563eb';
-          }}
-          onMouseLeave={(e) => {
-            e.currentTarget.style.backgroundColor = '#3b82f6';
+            justifyContent: 'space-between'
           }}
-          title="Create new folder"
         >
-          <Plus size={20} weight="bold" color="#ffffff" />
-        </button>
-      </div>
+          <h3 style={{ margin: 0, fontSize: '16px', fontWeight: '600', color: '#111827' }}>
+            Folders
+          </h3>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button
+              onClick={() => setShowSmartModal(true)}
+              style={{
+                padding: '6px',
+                border: '1px solid #d1d5db',
+                backgroundColor: '#ffffff',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                transition: 'background-color 0.2s ease'
+              }}
+              onMouseEnter={(e) => {
+                e.currentTarget.style.backgroundColor = '#f9fafb';
+              }}
+              onMouseLeave={(e) => {
+                e.currentTarget.style.backgroundColor = '#ffffff';
+              }}
+              title="Create smart folder"
+            >
+              <FolderStar size={20} color="#6b7280" />
+            </button>
+            <button
+              onClick={() => setShowCreateModal(true)}
+              style={{
+                padding: '6px',
+                border: 'none',
+                backgroundColor: '#3b82f6',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                transition: 'background-color 0.2s ease'
+              }}
+              onMouseEnter={(e) => {
+                e.currentTarget.style.backgroundColor = '#2563eb';
+              }}
+              onMouseLeave={(e) => {
+                e.currentTarget.style.backgroundColor = '#3b82f6';
+              }}
+              title="Create new folder"
+            >
+              <Plus size={20} weight="bold" color="#ffffff" />
+            </button>
+          </div>
+        </div>
 
-      {/* Folder List */}
-      <div style={{ flex: 1, overflowY: 'auto', padding: '12px' }}>
-        {/* Special folders */}
-        {renderFolderItem({ id: null, name: 'All Saves', save_count: folders.reduce((sum, f) => sum + (f.save_count || 0), 0) }, true)}
-        {renderFolderItem({ id: 'uncategorized', name: 'Uncategorized' }, true)}
-
-        {/* Divider */}
-        {folders.length > 0 && (
-          <div
-            style={{
-              height: '1px',
-              backgroundColor: '#e5e7eb',
-              margin: '12px 0'
-            }}
+        {/* Folder List */}
+        <div style={{ flex: 1, overflowY: 'auto', padding: '12px' }}>
+          {/* Special folders */}
+          {renderFolderItem({ id: null, name: 'All Saves', save_count: folders.reduce((sum, f) => sum + (f.save_count || 0), 0) }, true)}
+          {renderFolderItem({ id: 'uncategorized', name: 'Uncategorized' }, true)}
+
+          {/* Divider */}
+          {folders.length > 0 && (
+            <div
+              style={{
+                height: '1px',
+                backgroundColor: '#e5e7eb',
+                margin: '12px 0'
+              }}
+            />
+          )}
+
+          {/* User folders */}
+          {tree.map((folder) => renderFolderItem(folder))}
+        </div>
+
+        {/* Modals */}
+        {showCreateModal && (
+          <CreateFolderModal
+            parentFolder={createParent}
+            onClose={handleCloseCreateModal}
+            onCreate={handleCreateFolder}
           />
         )}
 
-        {/* User folders */}
-        {folders.map((folder) => renderFolderItem(folder))}
-      </div>
+        {showSmartModal && (
+          <SmartFolderModal
+            onClose={() => setShowSmartModal(false)}
+            onSave={handleCreateSmartFolder}
+          />
+        )}
 
-      {/* Modals */}
-      {showCreateModal && (
-        <CreateFolderModal
-          onClose={() => setShowCreateModal(false)}
-          onCreate={handleCreateFolder}
-        />
-      )}
-
-      {editingFolder && (
-        <EditFolderModal
-          folder={editingFolder}
-          onClose={() => setEditingFolder(null)}
-          onSave={handleUpdateFolder}
-        />
-      )}
-    </div>
+        {editingFolder?.kind === 'smart' && (
+          <SmartFolderModal
+            folder={editingFolder}
+            onClose={() => setEditingFolder(null)}
+            onSave={handleUpdateFolder}
+          />
+        )}
+
+        {editingFolder && editingFolder.kind !== 'smart' && (
+          <EditFolderModal
+            folder={editingFolder}
+            onClose={() => setEditingFolder(null)}
+            onSave={handleUpdateFolder}
+          />
+        )}
+      </div>
+    </DragDropProvider>
   );
 }
 
@@ -0,0 +1,392 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import Modal from '../Common/Modal';
+import ColorPicker from '../common/ColorPicker';
+import useTags from '../../hooks/useTags';
+import folderService from '../../services/folderService';
+
+const DEFAULT_COLOR = '#8b5cf6';
+
+// Tag chips cycle through these states when clicked
+const TAG_STATES = ['any', 'include', 'exclude'];
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '14px',
+  fontWeight: '500',
+  color: '#374151',
+  marginBottom: '8px'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '10px 12px',
+  border: '1px solid #d1d5db',
+  borderRadius: '6px',
+  fontSize: '14px',
+  outline: 'none',
+  boxSizing: 'border-box',
+  backgroundColor: '#ffffff'
+};
+
+/**
+ * Turn a stored boolean rule into a select value
+ * @param {boolean|undefined} value - Rule value
+ * @returns {string} 'any', 'yes' or 'no'
+ */
+const toChoice = (value) => {
+  if (value === true) return 'yes';
+  if (value === false) return 'no';
+  return 'any';
+};
+
+/**
+ * Build the rule set sent to the API, leaving out rules that are not set
+ * @param {Object} form - Form state
+ * @returns {Object} Rule set
+ */
+const buildRules = (form) => {
+  const rules = {};
+  const include = Object.keys(form.tagStates).filter(id => form.tagStates[id] === 'include');
+  const exclude = Object.keys(form.tagStates).filter(id => form.tagStates[id] === 'exclude');
+
+  if (include.length > 0) rules.tags_include = include;
+  if (exclude.length > 0) rules.tags_exclude = exclude;
+  if (form.channel) rules.channel = form.channel;
+  if (form.videoType) rules.video_type = form.videoType;
+  if (form.createdAfter) rules.created_after = form.createdAfter;
+  if (form.createdBefore) rules.created_before = form.createdBefore;
+  if (form.hasFrames !== 'any') rules.has_frames = form.hasFrames === 'yes';
+  if (form.hasTranscripts !== 'any') rules.has_transcripts = form.hasTranscripts === 'yes';
+  if (form.text.trim()) rules.text = form.text.trim();
+
+  return rules;
+};
+
+/**
+ * Build form state from a stored rule set
+ * @param {Object} rules - Rule set
+ * @returns {Object} Form state
+ */
+const rulesToForm = (rules = {}) => {
+  const tagStates = {};
+  (rules.tags_include || []).forEach(id => { tagStates[id] = 'include'; });
+  (rules.tags_exclude || []).forEach(id => { tagStates[id] = 'exclude'; });
+
+  return {
+    tagStates,
+    channel: rules.channel || '',
+    videoType: rules.video_type || '',
+    createdAfter: rules.created_after || '',
+    createdBefore: rules.created_before || '',
+    hasFrames: toChoice(rules.has_frames),
+    hasTranscripts: toChoice(rules.has_transcripts),
+    text: rules.text || ''
+  };
+};
+
+/**
+ * SmartFolderModal - Rule builder for creating or editing a smart folder
+ * Shows a live count of matching saves while the rules are edited
+ * @param {Object} props
+ * @param {Object} [props.folder] - Smart folder being edited (omit to create one)
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Function} props.onSave - Called with { name, color, rules }
+ */
+function SmartFolderModal({ folder = null, onClose, onSave }) {
+  const { tags } = useTags();
+  const [name, setName] = useState(folder?.name || '');
+  const [color, setColor] = useState(folder?.color || DEFAULT_COLOR);
+  const [form, setForm] = useState(() => rulesToForm(folder?.rules));
+  const [options, setOptions] = useState({ channels: [], videoTypes: [] });
+  const [preview, setPreview] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const rules = useMemo(() => buildRules(form), [form]);
+  const hasRules = Object.keys(rules).length > 0;
+
+  useEffect(() => {
+    folderService.getSmartOptions()
+      .then(response => setOptions(response.data))
+      .catch(err => console.error('Error loading smart folder options:', err));
+  }, []);
+
+  // Live preview, debounced while the rules are being edited
+  useEffect(() => {
+    if (!hasRules) {
+      setPreview(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      try {
+        const response = await folderService.previewSmartFolder(rules);
+        if (!cancelled) {
+          setPreview({ total: response.data.pagination?.total ?? 0 });
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setPreview({ error: err.response?.data?.error || 'Could not evaluate rules' });
+        }
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [rules, hasRules]);
+
+  const updateForm = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setError(null);
+  };
+
+  const cycleTag = (tagId) => {
+    setForm(prev => {
+      const current = prev.tagStates[tagId] || 'any';
+      const next = TAG_STATES[(TAG_STATES.indexOf(current) + 1) % TAG_STATES.length];
+      return { ...prev, tagStates: { ...prev.tagStates, [tagId]: next } };
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!name.trim()) {
+      setError('Folder name is required');
+      return;
+    }
+
+    if (!hasRules) {
+      setError('Add at least one rule');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      await onSave({ name: name.trim(), color, rules });
+      onClose();
+    } catch (err) {
+      console.error('Error saving smart folder:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to save smart folder');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const canSubmit = !isSubmitting && name.trim() && hasRules;
+
+  const footer = (
+    <div style={{ display: 'flex', gap: '12px', alignItems: 'center', justifyContent: 'flex-end' }}>
+      <span style={{ marginRight: 'auto', fontSize: '13px', color: preview?.error ? '#ef4444' : '#6b7280' }}>
+        {preview?.error || (preview && `${preview.total} ${preview.total === 1 ? 'save matches' : 'saves match'}`)}
+      </span>
+      <button
+        type="button"
+        onClick={onClose}
+        disabled={isSubmitting}
+        style={{
+          padding: '10px 20px',
+          borderRadius: '6px',
+          border: '1px solid #d1d5db',
+          backgroundColor: '#ffffff',
+          color: '#374151',
+          fontSize: '14px',
+          fontWeight: '500',
+          cursor: isSubmitting ? 'not-allowed' : 'pointer',
+          opacity: isSubmitting ? 0.6 : 1
+        }}
+      >
+        Cancel
+      </button>
+      <button
+        type="submit"
+        onClick={handleSubmit}
+        disabled={!canSubmit}
+        style={{
+          padding: '10px 20px',
+          borderRadius: '6px',
+          border: 'none',
+          backgroundColor: canSubmit ? '#3b82f6' : '#93c5fd',
+          color: '#ffffff',
+          fontSize: '14px',
+          fontWeight: '500',
+          cursor: canSubmit ? 'pointer' : 'not-allowed'
+        }}
+      >
+        {isSubmitting ? 'Saving...' : folder ? 'Save Rules' : 'Create Smart Folder'}
+      </button>
+    </div>
+  );
+
+  const tagChipStyle = (state) => ({
+    padding: '4px 10px',
+    borderRadius: '12px',
+    fontSize: '13px',
+    cursor: 'pointer',
+    border: `1px solid ${state === 'include' ? '#22c55e' : state === 'exclude' ? '#ef4444' : '#d1d5db'}`,
+    backgroundColor: state === 'include' ? '#f0fdf4' : state === 'exclude' ? '#fef2f2' : '#ffffff',
+    color: state === 'include' ? '#15803d' : state === 'exclude' ? '#b91c1c' : '#374151',
+    textDecoration: state === 'exclude' ? 'line-through' : 'none'
+  });
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title={folder ? `Edit "${folder.name}"` : 'New Smart Folder'}
+      footer={footer}
+    >
+      <form onSubmit={handleSubmit}>
+        <div style={{ marginBottom: '20px' }}>
+          <label htmlFor="smart-folder-name" style={labelStyle}>Folder Name</label>
+          <input
+            id="smart-folder-name"
+            type="text"
+            value={name}
+            onChange={(e) => {
+              setName(e.target.value);
+              setError(null);
+            }}
+            placeholder="e.g. Unreviewed talks"
+            autoFocus
+            style={inputStyle}
+          />
+        </div>
+
+        <div style={{ marginBottom: '20px' }}>
+          <span style={labelStyle}>Tags</span>
+          <p style={{ margin: '0 0 8px', fontSize: '12px', color: '#6b7280' }}>
+            Click a tag once to require it, twice to exclude it.
+          </p>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+            {tags.length === 0 && (
+              <span style={{ fontSize: '13px', color: '#9ca3af' }}>No tags yet</span>
+            )}
+            {tags.map(tag => {
+              const state = form.tagStates[tag.id] || 'any';
+              return (
+                <button
+                  key={tag.id}
+                  type="button"
+                  onClick={() => cycleTag(tag.id)}
+                  style={tagChipStyle(state)}
+                  aria-pressed={state !== 'any'}
+                  title={state === 'include' ? 'Required' : state === 'exclude' ? 'Excluded' : 'Not used'}
+                >
+                  {tag.name}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '20px' }}>
+          <div>
+            <label htmlFor="smart-folder-channel" style={labelStyle}>Channel</label>
+            <select
+              id="smart-folder-channel"
+              value={form.channel}
+              onChange={(e) => updateForm('channel', e.target.value)}
+              style={inputStyle}
+            >
+              <option value="">Any channel</option>
+              {options.channels.map(channel => (
+                <option key={channel} value={channel}>{channel}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="smart-folder-type" style={labelStyle}>Video type</label>
+            <select
+              id="smart-folder-type"
+              value={form.videoType}
+              onChange={(e) => updateForm('videoType', e.target.value)}
+              style={inputStyle}
+            >
+              <option value="">Any type</option>
+              {options.videoTypes.map(type => (
+                <option key={type} value={type}>{type.replace(/_/g, ' ')}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="smart-folder-after" style={labelStyle}>Saved on or after</label>
+            <input
+              id="smart-folder-after"
+              type="date"
+              value={form.createdAfter}
+              onChange={(e) => updateForm('createdAfter', e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label htmlFor="smart-folder-before" style={labelStyle}>Saved on or before</label>
+            <input
+              id="smart-folder-before"
+              type="date"
+              value={form.createdBefore}
+              onChange={(e) => updateForm('createdBefore', e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label htmlFor="smart-folder-frames" style={labelStyle}>Has frames</label>
+            <select
+              id="smart-folder-frames"
+              value={form.hasFrames}
+              onChange={(e) => updateForm('hasFrames', e.target.value)}
+              style={inputStyle}
+            >
+              <option value="any">Any</option>
+              <option value="yes">Yes</option>
+              <option value="no">No</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="smart-folder-transcripts" style={labelStyle}>Has transcript excerpts</label>
+            <select
+              id="smart-folder-transcripts"
+              value={form.hasTranscripts}
+              onChange={(e) => updateForm('hasTranscripts', e.target.value)}
+              style={inputStyle}
+            >
+              <option value="any">Any</option>
+              <option value="yes">Yes</option>
+              <option value="no">No</option>
+            </select>
+          </div>
+        </div>
+
+        <div style={{ marginBottom: '20px' }}>
+          <label htmlFor="smart-folder-text" style={labelStyle}>Matches text</label>
+          <input
+            id="smart-folder-text"
+            type="text"
+            value={form.text}
+            onChange={(e) => updateForm('text', e.target.value)}
+            placeholder="Words in the save title or notes"
+            style={inputStyle}
+          />
+        </div>
+
+        <div>
+          <span style={labelStyle}>Color</span>
+          <ColorPicker selected={color} onChange={setColor} />
+        </div>
+
+        {error && (
+          <p style={{ color: '#ef4444', fontSize: '12px', marginTop: '12px' }}>
+            {error}
+          </p>
+        )}
+      </form>
+    </Modal>
+  );
+}
+
+export default SmartFolderModal;
@@ -4,3 +4,5 @@ export { default as FolderList } from './FolderList';
 export { default as CreateFolderModal } from './CreateFolderModal';
 export { default as EditFolderModal } from './EditFolderModal';
 export { default as DroppableFolderItem } from './DroppableFolderItem';
+export { default as FolderBreadcrumbs } from './FolderBreadcrumbs';
+export { default as SmartFolderModal } from './SmartFolderModal';
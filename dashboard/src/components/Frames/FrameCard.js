@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Star, TextAa, Sparkle, Play, CheckSquare, Square } from '@phosphor-icons/react';
+import { Star, TextAa, Sparkle, Play, CheckSquare, Square, Copy } from '@phosphor-icons/react';
 import { formatTimestamp } from '../../utils/formatters';
 import { useSelection } from '../../contexts/SelectionContext';
 
@@ -37,7 +37,7 @@ function FrameCard({ frame, isActive, onClick, onTimestampClick }) {
 
   return (
     <div
-      className={`frame-card ${isActive ? 'active' : ''} ${isClicked ? 'clicked' : ''} ${isSelected ? 'selected' : ''}`}
+      className={`frame-card ${isActive ? 'active' : ''} ${isClicked ? 'clicked' : ''} ${isSelected ? 'selected' : ''} ${frame.is_duplicate ? 'duplicate' : ''}`}
       onClick={handleClick}
     >
       {/* Thumbnail */}
@@ -83,6 +83,11 @@ function FrameCard({ frame, isActive, onClick, onTimestampClick }) {
               <Sparkle size={12} weight="fill" />
             </span>
           )}
+          {frame.is_duplicate && (
+            <span className="badge duplicate-badge" title="Near-duplicate of an earlier frame">
+              <Copy size={12} weight="bold" />
+            </span>
+          )}
         </div>
       </div>
 
@@ -221,6 +226,14 @@ const styles = `
     color: #a78bfa;
   }
 
+  .duplicate-badge {
+    color: #d1d5db;
+  }
+
+  .frame-card.duplicate img {
+    opacity: 0.5;
+  }
+
   .frame-info {
     padding: 0.5rem;
   }
@@ -10,7 +10,8 @@ import {
   Warning,
   Camera,
   Trash,
-  CameraPlus
+  CameraPlus,
+  Copy
 } from '@phosphor-icons/react';
 import frameService from '../../services/frameService';
 import FrameCard from './FrameCard';
@@ -19,7 +20,8 @@ import FrameTimeline from './FrameTimeline';
 
 /**
  * FrameGallery Component
- * Manual frame capture gallery - users capture frames at interesting moments
+ * Manual frame capture gallery - users capture frames at interesting moments.
+ * Also lists frames extracted by analysis; near-duplicates are hidden unless "show duplicates" is on
  */
 function FrameGallery({ videoId, currentTime = 0, onFrameClick }) {
   const [capturedFrames, setCapturedFrames] = useState([]);
@@ -31,6 +33,9 @@ function FrameGallery({ videoId, currentTime = 0, onFrameClick }) {
   const [lastClickedFrame, setLastClickedFrame] = useState(null);
   const [capturing, setCapturing] = useState(false);
   const [captureMessage, setCaptureMessage] = useState('');
+  const [extractedFrames, setExtractedFrames] = useState([]);
+  const [duplicateCount, setDuplicateCount] = useState(0);
+  const [showDuplicates, setShowDuplicates] = useState(false);
 
   // Load captured frames from localStorage
   useEffect(() => {
@@ -62,6 +67,27 @@ function FrameGallery({ videoId, currentTime = 0, onFrameClick }) {
     loadCapturedFrames();
   }, [videoId]);
 
+  // Load frames extracted by the analysis pipeline
+  useEffect(() => {
+    if (!videoId) return;
+
+    const fetchExtractedFrames = async () => {
+      try {
+        const response = await frameService.getFrames(videoId, {
+          limit: 500,
+          includeDuplicates: showDuplicates
+        });
+        setExtractedFrames(response.data.frames || []);
+        setDuplicateCount(response.data.duplicateCount || 0);
+      } catch (err) {
+        console.error('Error loading extracted frames:', err);
+        setExtractedFrames([]);
+      }
+    };
+
+    fetchExtractedFrames();
+  }, [videoId, showDuplicates]);
+
   // Save captured frames to localStorage
   const saveCapturedFrames = useCallback((frames) => {
     try {
@@ -197,7 +223,7 @@ function FrameGallery({ videoId, currentTime = 0, onFrameClick }) {
   }
 
   // Empty state - no captured frames yet
-  if (!capturedFrames.length) {
+  if (!capturedFrames.length && !extractedFrames.length) {
     return (
       <div className="frame-gallery">
         <div className="gallery-header">
@@ -255,18 +281,49 @@ function FrameGallery({ videoId, currentTime = 0, onFrameClick }) {
 
       {/* Content */}
       <div className="gallery-content">
-        <div className="frames-grid">
-          {capturedFrames.map((frame, index) => (
-            <CapturedFrameCard
-              key={frame.id || index}
-              frame={frame}
-              isActive={index === activeFrameIndex}
-              onClick={handleFrameClick}
-              onTimestampClick={handleSeek}
-              onDelete={handleDeleteFrame}
-            />
-          ))}
-        </div>
+        {capturedFrames.length > 0 && (
+          <div className="frames-grid">
+            {capturedFrames.map((frame, index) => (
+              <CapturedFrameCard
+                key={frame.id || index}
+                frame={frame}
+                isActive={index === activeFrameIndex}
+                onClick={handleFrameClick}
+                onTimestampClick={handleSeek}
+                onDelete={handleDeleteFrame}
+              />
+            ))}
+          </div>
+        )}
+
+        {/* Extracted Frames */}
+        {extractedFrames.length > 0 && (
+          <div className="extracted-frames">
+            <div className="extracted-header">
+              <h4>Extracted Frames ({extractedFrames.length})</h4>
+              {duplicateCount > 0 && (
+                <button
+                  className={`duplicates-toggle ${showDuplicates ? 'active' : ''}`}
+                  onClick={() => setShowDuplicates(!showDuplicates)}
+                  title="Near-identical frames are skipped by OCR and AI analysis"
+                >
+                  <Copy size={14} />
+                  {showDuplicates ? 'Hide duplicates' : `Show duplicates (${duplicateCount})`}
+                </button>
+              )}
+            </div>
+            <div className="frames-grid">
+              {extractedFrames.map(frame => (
+                <FrameCard
+                  key={frame.id}
+                  frame={frame}
+                  onClick={handleFrameClick}
+                  onTimestampClick={handleSeek}
+                />
+              ))}
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Frame Detail Modal */}
@@ -451,6 +508,50 @@ const styles = `
     gap: 1rem;
   }
 
+  .frames-grid + .extracted-frames {
+    margin-top: 1.5rem;
+  }
+
+  .extracted-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-bottom: 0.75rem;
+  }
+
+  .extracted-header h4 {
+    margin: 0;
+    font-size: 0.8125rem;
+    font-weight: 600;
+    color: #6b7280;
+  }
+
+  .duplicates-toggle {
+    display: flex;
+    align-items: center;
+    gap: 0.375rem;
+    padding: 0.375rem 0.625rem;
+    font-size: 0.75rem;
+    font-weight: 500;
+    color: #6b7280;
+    background: transparent;
+    border: 1px solid #e5e7eb;
+    border-radius: 6px;
+    cursor: pointer;
+    transition: all 0.15s;
+  }
+
+  .duplicates-toggle:hover {
+    color: #374151;
+    border-color: #d1d5db;
+  }
+
+  .duplicates-toggle.active {
+    color: #1d4ed8;
+    background: #dbeafe;
+    border-color: #bfdbfe;
+  }
+
   .gallery-loading,
   .gallery-error,
   .gallery-empty {
@@ -3,6 +3,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { MagnifyingGlass, User, Gear, SignOut } from '@phosphor-icons/react';
 import { useAuth } from '../../contexts/AuthContext';
 import ThemeToggle from '../Common/ThemeToggle';
+import WorkspaceSwitcher from './WorkspaceSwitcher';
 import './Layout.css';
 
 function Header() {
@@ -25,6 +26,7 @@ function Header() {
         <Link to="/app" className="logo">
           Vidlyx
         </Link>
+        <WorkspaceSwitcher />
         <div className="search-container">
           <MagnifyingGlass size={20} className="search-icon" />
           <input
@@ -41,7 +43,11 @@ function Header() {
             className="user-menu-button"
             onClick={() => setShowUserMenu(!showUserMenu)}
           >
-            <User size={24} weight="fill" />
+            {user?.avatarUrl ? (
+              <img src={user.avatarUrl} alt="" className="user-avatar" />
+            ) : (
+              <User size={24} weight="fill" />
+            )}
             <span>{user?.firstName || 'User'}</span>
           </button>
           {showUserMenu && (
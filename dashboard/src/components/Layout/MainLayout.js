@@ -51,50 +51,57 @@ function MainLayout() {
   };
 
   // Create a wrapper hook that adapts useSearch to SearchModal's expected API
-  const useSearchAdapter = (query, activeFilter) => {
+  const useSearchAdapter = (query, activeFilter, mode = 'keyword') => {
+    const allTypes = mode === 'keyword'
+      ? ['videos', 'saves', 'transcripts', 'frames']
+      : ['videos', 'saves', 'transcripts', 'frames', 'sections'];
+
     const searchHook = useSearch({
-      types: activeFilter === 'all'
-        ? ['videos', 'saves', 'transcripts', 'frames']
-        : [activeFilter],
-      limit: 20
+      types: activeFilter === 'all' ? allTypes : [activeFilter],
+      limit: 20,
+      mode
     });
 
-    // Trigger search when query changes
+    // Trigger search when query or mode changes
     useEffect(() => {
       if (query) {
         searchHook.updateQuery(query);
       } else {
         searchHook.clearSearch();
       }
-    }, [query]);
+    }, [query, mode]);
 
     // Transform results to flat array for SearchModal
-    // searchHook.results has structure: { videos: {items: [], total: 0}, saves: {items: [], total: 0}, ... }
-    const flatResults = searchHook.results
-      ? Object.entries(searchHook.results).flatMap(([type, typeResults]) => {
+    // searchHook.results has structure: { mode, results: { videos: {items: [], total: 0}, saves: {...}, ... } }
+    const flatResults = searchHook.results?.results
+      ? Object.entries(searchHook.results.results).flatMap(([type, typeResults]) => {
           const items = typeResults?.items || [];
           // Map plural type names to singular for SearchResultItem
           const singularType = type === 'videos' ? 'video'
             : type === 'saves' ? 'save'
             : type === 'transcripts' ? 'transcript'
             : type === 'frames' ? 'frame'
+            : type === 'sections' ? 'section'
             : type;
 
           return items.map(item => ({
             ...item,
             type: singularType,
-            videoId: item.id || item.video_id || item.youtube_id,
-            saveId: item.id,
-            title: item.title || item.text || 'Untitled',
-            excerpt: item.description_highlight || item.description || item.text || '',
-            thumbnail: item.thumbnail_url || item.thumbnail,
-            timestamp: item.timestamp
+            // Semantic results carry the embedded row id in id and the saved item in source_id
+            videoId: singularType === 'video' ? item.id : item.video_id,
+            saveId: singularType === 'save' ? (item.source_id || item.id) : null,
+            title: item.title_highlight || item.section_title || item.title || item.video_title || 'Untitled',
+            excerpt: item.passage_highlight || item.text_highlight || item.notes_highlight ||
+              item.description_highlight || item.description || '',
+            thumbnail: item.thumbnail_url || item.video_thumbnail,
+            timestamp: item.start_time ?? item.timestamp_seconds ?? null
           }));
         })
       : [];
 
     return {
       results: flatResults,
+      mode: searchHook.results?.mode || null,
       isLoading: searchHook.loading,
       error: searchHook.error
     };
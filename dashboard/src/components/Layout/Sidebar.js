@@ -1,9 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { NavLink } from 'react-router-dom';
-import { House, Plus, Folder, Gear, List, Video } from '@phosphor-icons/react';
+import { House, Plus, Folder, Gear, List, Video, ShieldCheck, Books, Cards, Graph } from '@phosphor-icons/react';
+import { useAuth } from '../../contexts/AuthContext';
 import './Layout.css';
 
 function Sidebar() {
+  const { user } = useAuth();
+
   // Initialize collapsed state from localStorage, default to false
   const [isCollapsed, setIsCollapsed] = useState(() => {
     const saved = localStorage.getItem('sidebarCollapsed');
@@ -22,7 +25,11 @@ function Sidebar() {
     { path: '/app/videos', label: 'Videos', icon: Video },
     { path: '/app/new', label: 'New Analysis', icon: Plus },
     { path: '/app/collection', label: 'Collection', icon: Folder },
+    { path: '/app/research', label: 'Research', icon: Books },
+    { path: '/app/review', label: 'Review', icon: Cards },
+    { path: '/app/topics', label: 'Topics', icon: Graph },
     { path: '/app/settings', label: 'Settings', icon: Gear },
+    ...(user?.role === 'admin' ? [{ path: '/app/admin', label: 'Admin', icon: ShieldCheck }] : []),
   ];
 
   const toggleSidebar = () => {
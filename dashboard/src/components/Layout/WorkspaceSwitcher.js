@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { UsersThree, CaretDown, Check, Gear } from '@phosphor-icons/react';
+import workspaceService from '../../services/workspaceService';
+
+/**
+ * WorkspaceSwitcher - Header dropdown listing the user's workspaces
+ * Switching reloads the app so every page refetches from the new workspace.
+ */
+function WorkspaceSwitcher() {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [current, setCurrent] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [switching, setSwitching] = useState(false);
+
+  useEffect(() => {
+    workspaceService.getAll()
+      .then((response) => {
+        setWorkspaces(response.data.workspaces);
+        setCurrent(response.data.current);
+      })
+      .catch(err => console.error('Error loading workspaces:', err));
+  }, []);
+
+  const handleSwitch = async (workspaceId) => {
+    if (workspaceId === current?.id) {
+      setOpen(false);
+      return;
+    }
+
+    try {
+      setSwitching(true);
+      await workspaceService.switch(workspaceId);
+      window.location.assign('/app');
+    } catch (err) {
+      console.error('Error switching workspace:', err);
+      setSwitching(false);
+    }
+  };
+
+  if (!current) {
+    return null;
+  }
+
+  return (
+    <div className="workspace-switcher">
+      <button
+        className="workspace-switcher-button"
+        onClick={() => setOpen(!open)}
+        disabled={switching}
+        aria-haspopup="listbox"
+        aria-expanded={open}
+      >
+        <UsersThree size={18} />
+        <span className="workspace-switcher-name">{current.name}</span>
+        <CaretDown size={14} />
+      </button>
+      {open && (
+        <div className="workspace-switcher-dropdown" role="listbox">
+          {workspaces.map(workspace => (
+            <button
+              key={workspace.id}
+              className="user-menu-item"
+              role="option"
+              aria-selected={workspace.id === current.id}
+              onClick={() => handleSwitch(workspace.id)}
+            >
+              <span className="workspace-switcher-check">
+                {workspace.id === current.id && <Check size={16} />}
+              </span>
+              <span className="workspace-switcher-label">
+                <span>{workspace.name}</span>
+                <span className="workspace-switcher-meta">
+                  {workspace.role}
+                  {!workspace.is_personal && ` · ${workspace.member_count} ${workspace.member_count === 1 ? 'member' : 'members'}`}
+                </span>
+              </span>
+            </button>
+          ))}
+          <div className="user-menu-divider" />
+          <Link
+            to="/app/settings"
+            className="user-menu-item"
+            onClick={() => setOpen(false)}
+          >
+            <Gear size={20} />
+            <span>Manage workspaces</span>
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WorkspaceSwitcher;
@@ -1,3 +1,4 @@
 export { default as MainLayout } from './MainLayout';
 export { default as Header } from './Header';
 export { default as Sidebar } from './Sidebar';
+export { default as WorkspaceSwitcher } from './WorkspaceSwitcher';
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { CircleNotch, MagnifyingGlass } from '@phosphor-icons/react';
+import folderService from '../../services/folderService';
+import tagService from '../../services/tagService';
+import videoService from '../../services/videoService';
+
+// Matches the server's limit on videos searched at once
+const MAX_VIDEOS = 50;
+
+/**
+ * NewResearchForm Component
+ * Pick a folder, a tag or some videos and ask the first question of a research thread
+ */
+function NewResearchForm({ onSubmit, submitting }) {
+  const [scopeType, setScopeType] = useState('folder');
+  const [folders, setFolders] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [videos, setVideos] = useState([]);
+  const [folderId, setFolderId] = useState('');
+  const [tagId, setTagId] = useState('');
+  const [videoIds, setVideoIds] = useState([]);
+  const [question, setQuestion] = useState('');
+
+  useEffect(() => {
+    Promise.all([
+      folderService.getAll(),
+      tagService.getAll(),
+      videoService.getAll({ limit: 100 })
+    ])
+      .then(([foldersResponse, tagsResponse, videosResponse]) => {
+        setFolders(foldersResponse.data.folders || []);
+        setTags(tagsResponse.data.tags || []);
+        setVideos(videosResponse.data.videos || []);
+      })
+      .catch(err => console.error('Error loading research scopes:', err));
+  }, []);
+
+  const toggleVideo = (id) => {
+    setVideoIds(prev => (prev.includes(id)
+      ? prev.filter(videoId => videoId !== id)
+      : [...prev, id].slice(0, MAX_VIDEOS)));
+  };
+
+  const scope = {
+    folder: folderId ? { folderId } : null,
+    tag: tagId ? { tagId } : null,
+    videos: videoIds.length > 0 ? { videoIds } : null
+  }[scopeType];
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!scope || !question.trim() || submitting) return;
+    onSubmit(scope, question.trim());
+  };
+
+  return (
+    <form className="research-form" onSubmit={handleSubmit}>
+      <div className="research-scope-tabs">
+        {[['folder', 'Folder'], ['tag', 'Tag'], ['videos', 'Videos']].map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            className={`research-scope-tab ${scopeType === value ? 'active' : ''}`}
+            onClick={() => setScopeType(value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {scopeType === 'folder' && (
+        <select className="input" value={folderId} onChange={(e) => setFolderId(e.target.value)}>
+          <option value="">Choose a folder...</option>
+          {folders.map(folder => (
+            <option key={folder.id} value={folder.id}>{folder.name}</option>
+          ))}
+        </select>
+      )}
+
+      {scopeType === 'tag' && (
+        <select className="input" value={tagId} onChange={(e) => setTagId(e.target.value)}>
+          <option value="">Choose a tag...</option>
+          {tags.map(tag => (
+            <option key={tag.id} value={tag.id}>{tag.name}</option>
+          ))}
+        </select>
+      )}
+
+      {scopeType === 'videos' && (
+        <div className="research-video-list">
+          {videos.length === 0 && <p className="help-text">No videos in this workspace yet.</p>}
+          {videos.map(video => (
+            <label key={video.id} className="research-video-option">
+              <input
+                type="checkbox"
+                checked={videoIds.includes(video.id)}
+                onChange={() => toggleVideo(video.id)}
+              />
+              <span>{video.title || 'Untitled video'}</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      <textarea
+        className="input research-question"
+        placeholder="What do these videos say about..."
+        value={question}
+        onChange={(e) => setQuestion(e.target.value)}
+        maxLength={2000}
+        rows={3}
+      />
+
+      <button type="submit" className="button button-primary" disabled={!scope || !question.trim() || submitting}>
+        {submitting ? <CircleNotch size={16} className="spinning" /> : <MagnifyingGlass size={16} />}
+        {submitting ? 'Researching...' : 'Research'}
+      </button>
+    </form>
+  );
+}
+
+export default NewResearchForm;
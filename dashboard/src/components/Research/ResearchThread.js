@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { PaperPlaneRight, CircleNotch, DownloadSimple, Trash, VideoCamera } from '@phosphor-icons/react';
+import { formatTimestamp } from '../../utils/formatters';
+import { splitCitations } from '../../utils/citations';
+
+/**
+ * ResearchThread Component
+ * Questions and answers of a research thread; citations open the video at the cited moment
+ */
+function ResearchThread({ thread, asking, onAsk, onExport, onDelete }) {
+  const navigate = useNavigate();
+  const [question, setQuestion] = useState('');
+
+  const openCitation = (citation) => {
+    const seconds = Math.floor(parseFloat(citation.start_time) || 0);
+    navigate(`/app/video/${citation.video_id}?t=${seconds}`);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const text = question.trim();
+    if (!text || asking) return;
+    setQuestion('');
+    onAsk(text);
+  };
+
+  /**
+   * Render answer text with its [n] markers as buttons that open the cited video
+   */
+  const renderContent = (message) => {
+    if (message.role !== 'assistant' || !message.citations?.length) {
+      return message.content;
+    }
+
+    return splitCitations(message.content, message.citations).map(({ key, text, citation }) => {
+      if (!citation) return <React.Fragment key={key}>{text}</React.Fragment>;
+
+      return (
+        <button
+          key={key}
+          type="button"
+          className="research-cite"
+          onClick={() => openCitation(citation)}
+          title={`${citation.video_title || 'Untitled video'}: ${citation.excerpt}`}
+        >
+          {citation.index}
+        </button>
+      );
+    });
+  };
+
+  const scopeLabel = {
+    folder: `Folder: ${thread.scope_name || 'deleted folder'}`,
+    tag: `Tag: ${thread.scope_name || 'deleted tag'}`,
+    videos: `${thread.video_ids.length} selected video${thread.video_ids.length === 1 ? '' : 's'}`
+  }[thread.scope_type];
+
+  return (
+    <div className="research-thread">
+      <div className="research-thread-header">
+        <div>
+          <h2>{thread.title}</h2>
+          <span className="research-scope-label">{scopeLabel}</span>
+        </div>
+        <div className="research-thread-actions">
+          <button type="button" className="button button-secondary" onClick={onExport} title="Export as Markdown">
+            <DownloadSimple size={16} /> Markdown
+          </button>
+          <button type="button" className="button button-secondary" onClick={onDelete} title="Delete thread">
+            <Trash size={16} />
+          </button>
+        </div>
+      </div>
+
+      <div className="research-messages">
+        {thread.messages.map(message => (
+          <div key={message.id} className={`research-message research-${message.role}`}>
+            <div className="research-bubble">{renderContent(message)}</div>
+            {message.role === 'assistant' && message.citations?.length > 0 && (
+              <ol className="research-sources">
+                {message.citations.map(citation => (
+                  <li key={citation.index} value={citation.index}>
+                    <button type="button" className="research-source" onClick={() => openCitation(citation)}>
+                      <VideoCamera size={14} />
+                      <span className="research-source-video">{citation.video_title || 'Untitled video'}</span>
+                      <span className="research-source-time">{formatTimestamp(parseFloat(citation.start_time) || 0)}</span>
+                      <span className="research-source-excerpt">{citation.excerpt}</span>
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        ))}
+
+        {asking && (
+          <div className="research-message research-assistant">
+            <div className="research-bubble research-thinking">
+              <CircleNotch size={16} className="spinning" /> Searching the videos...
+            </div>
+          </div>
+        )}
+      </div>
+
+      <form className="research-followup" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          className="input"
+          placeholder="Ask a follow-up question..."
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          maxLength={2000}
+          disabled={asking}
+        />
+        <button type="submit" className="button button-primary" disabled={asking || !question.trim()} title="Ask">
+          <PaperPlaneRight size={16} weight="fill" />
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default ResearchThread;
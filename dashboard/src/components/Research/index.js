@@ -0,0 +1,2 @@
+export { default as NewResearchForm } from './NewResearchForm';
+export { default as ResearchThread } from './ResearchThread';
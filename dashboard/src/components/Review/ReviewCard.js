@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { PlayCircle, Image, Eye, Trash } from '@phosphor-icons/react';
+import { formatTimestamp } from '../../utils/formatters';
+
+const GRADE_BUTTONS = [
+  { grade: 'again', label: 'Again' },
+  { grade: 'hard', label: 'Hard' },
+  { grade: 'good', label: 'Good' },
+  { grade: 'easy', label: 'Easy' }
+];
+
+/**
+ * Format a review interval in days as a short label
+ * @param {number} days - Days until the next review
+ * @returns {string}
+ */
+function formatInterval(days) {
+  if (days === 0) return '<10m';
+  if (days < 30) return `${days}d`;
+  if (days < 365) return `${Math.round(days / 30)}mo`;
+  return `${(days / 365).toFixed(1)}y`;
+}
+
+/**
+ * ReviewCard Component
+ * One card of a review session: the prompt, then the answer and the grade buttons
+ */
+function ReviewCard({ card, grading, onGrade, onRemove }) {
+  const navigate = useNavigate();
+  const [revealed, setRevealed] = useState(false);
+
+  useEffect(() => {
+    setRevealed(false);
+  }, [card.id]);
+
+  const hasTimestamp = card.timestamp_seconds !== null;
+
+  const openMoment = () => {
+    const seconds = Math.floor(card.timestamp_seconds || 0);
+    navigate(`/app/video/${card.video_id}${hasTimestamp ? `?t=${seconds}` : ''}`);
+  };
+
+  return (
+    <div className="review-card">
+      <div className="review-card-media">
+        {card.thumbnail_url ? (
+          <img src={card.thumbnail_url} alt="" className="review-card-thumbnail" />
+        ) : (
+          <div className="review-card-thumbnail review-card-placeholder">
+            <Image size={32} />
+          </div>
+        )}
+        <div className="review-card-source">
+          <span className="review-card-video">{card.video_title}</span>
+          {card.section_title && <span className="review-card-section">{card.section_title}</span>}
+          <button type="button" className="review-jump" onClick={openMoment}>
+            <PlayCircle size={16} />
+            {hasTimestamp ? `Jump to ${formatTimestamp(card.timestamp_seconds)}` : 'Open video'}
+          </button>
+        </div>
+      </div>
+
+      <p className="review-card-front">{card.front}</p>
+
+      {revealed ? (
+        <>
+          <div className="review-card-back">
+            <p>{card.back}</p>
+            {card.context && <blockquote>{card.context}</blockquote>}
+          </div>
+
+          <div className="review-grades">
+            {GRADE_BUTTONS.map(({ grade, label }) => (
+              <button
+                key={grade}
+                type="button"
+                className={`review-grade review-grade-${grade}`}
+                onClick={() => onGrade(grade)}
+                disabled={grading}
+              >
+                <span>{label}</span>
+                <span className="review-grade-interval">{formatInterval(card.next_intervals[grade])}</span>
+              </button>
+            ))}
+          </div>
+        </>
+      ) : (
+        <button type="button" className="button button-primary review-reveal" onClick={() => setRevealed(true)}>
+          <Eye size={16} /> Show answer
+        </button>
+      )}
+
+      <button type="button" className="review-remove" onClick={onRemove} title="Remove from review deck">
+        <Trash size={14} /> Remove from deck
+      </button>
+    </div>
+  );
+}
+
+export default ReviewCard;
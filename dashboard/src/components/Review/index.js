@@ -0,0 +1 @@
+export { default as ReviewCard } from './ReviewCard';
@@ -10,20 +10,32 @@ import './SearchModal.css';
  * - Centered overlay with blur backdrop
  * - Search input with icon
  * - Filter tabs for different result types
+ * - Keyword / semantic / hybrid match modes
  * - Results list with loading and empty states
  * - Keyboard navigation support (ESC to close)
  */
 // Default no-op search hook for when useSearch is not provided
-const defaultSearchHook = () => ({ results: [], isLoading: false, error: null });
+const defaultSearchHook = () => ({ results: [], mode: null, isLoading: false, error: null });
+
+// Match modes offered by the search API
+const SEARCH_MODES = [
+  { id: 'keyword', label: 'Keyword', hint: 'Exact words' },
+  { id: 'semantic', label: 'Semantic', hint: 'Similar meaning' },
+  { id: 'hybrid', label: 'Hybrid', hint: 'Words and meaning' }
+];
 
 const SearchModal = ({ isOpen, onClose, useSearch = defaultSearchHook }) => {
   const [query, setQuery] = useState('');
   const [activeFilter, setActiveFilter] = useState('all');
+  const [searchMode, setSearchMode] = useState('keyword');
   const inputRef = useRef(null);
 
   // Use the search hook (passed as prop to allow flexibility)
   // Always call the hook unconditionally to follow React's rules of hooks
-  const { results, isLoading, error } = useSearch(query, activeFilter);
+  const { results, mode: resultMode, isLoading, error } = useSearch(query, activeFilter, searchMode);
+
+  // The API answers in keyword mode when semantic search is not set up
+  const semanticUnavailable = searchMode !== 'keyword' && resultMode === 'keyword';
 
   // Focus input when modal opens
   useEffect(() => {
@@ -70,8 +82,17 @@ const SearchModal = ({ isOpen, onClose, useSearch = defaultSearchHook }) => {
     { id: 'videos', label: 'Videos' },
     { id: 'saves', label: 'Saves' },
     { id: 'transcripts', label: 'Transcripts' },
+    ...(searchMode !== 'keyword' ? [{ id: 'sections', label: 'Sections' }] : []),
   ];
 
+  // Switch match mode, leaving the sections filter when returning to keyword search
+  const handleModeChange = (modeId) => {
+    setSearchMode(modeId);
+    if (modeId === 'keyword' && activeFilter === 'sections') {
+      setActiveFilter('all');
+    }
+  };
+
   if (!isOpen) return null;
 
   return (
@@ -112,7 +133,26 @@ const SearchModal = ({ isOpen, onClose, useSearch = defaultSearchHook }) => {
                 {filter.label}
               </button>
             ))}
+
+            <div className="search-modal-modes" role="group" aria-label="Match mode">
+              {SEARCH_MODES.map((mode) => (
+                <button
+                  key={mode.id}
+                  className={`search-modal-mode-btn ${searchMode === mode.id ? 'active' : ''}`}
+                  onClick={() => handleModeChange(mode.id)}
+                  title={mode.hint}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
           </div>
+
+          {semanticUnavailable && (
+            <p className="search-modal-mode-notice">
+              Semantic search is not set up on this server, showing keyword matches.
+            </p>
+          )}
         </div>
 
         {/* Results List */}
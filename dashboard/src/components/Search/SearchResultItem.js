@@ -1,6 +1,6 @@
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Video, BookmarkSimple, TextT, CaretRight } from '@phosphor-icons/react';
+import { Video, BookmarkSimple, TextT, Image, ListBullets, CaretRight, Play } from '@phosphor-icons/react';
 import HighlightedText from './HighlightedText';
 import './SearchResultItem.css';
 
@@ -8,7 +8,8 @@ import './SearchResultItem.css';
  * SearchResultItem Component
  *
  * Displays a single search result with icon, title, excerpt, and thumbnail.
- * Supports different result types: video, save, transcript.
+ * Supports different result types: video, save, transcript, frame, section.
+ * Semantic matches show the matched passage and a link that jumps to it in the video.
  */
 const SearchResultItem = ({ result, onSelect }) => {
   const navigate = useNavigate();
@@ -22,6 +23,10 @@ const SearchResultItem = ({ result, onSelect }) => {
         return <BookmarkSimple size={20} weight="duotone" />;
       case 'transcript':
         return <TextT size={20} weight="duotone" />;
+      case 'frame':
+        return <Image size={20} weight="duotone" />;
+      case 'section':
+        return <ListBullets size={20} weight="duotone" />;
       default:
         return <Video size={20} weight="duotone" />;
     }
@@ -36,6 +41,10 @@ const SearchResultItem = ({ result, onSelect }) => {
         return 'Save';
       case 'transcript':
         return 'Transcript';
+      case 'frame':
+        return 'Frame';
+      case 'section':
+        return 'Section';
       default:
         return result.type;
     }
@@ -66,12 +75,23 @@ const SearchResultItem = ({ result, onSelect }) => {
       navigate(`/app/video/${result.videoId}`);
     } else if (result.type === 'save' && result.saveId) {
       navigate(`/app/save/${result.saveId}`);
-    } else if (result.type === 'transcript' && result.videoId) {
-      const timestamp = result.timestamp ? `?t=${result.timestamp}` : '';
+    } else if (result.videoId) {
+      const timestamp = result.timestamp ? `?t=${Math.floor(result.timestamp)}` : '';
       navigate(`/app/video/${result.videoId}${timestamp}`);
     }
   };
 
+  const hasTimestamp = result.timestamp !== undefined && result.timestamp !== null;
+
+  // Jump straight to the matched passage
+  const handleJump = (e) => {
+    e.stopPropagation();
+    if (onSelect) {
+      onSelect(result);
+    }
+    navigate(`/app/video/${result.videoId}?t=${Math.floor(result.timestamp)}`);
+  };
+
   return (
     <div className="search-result-item" onClick={handleClick}>
       <div className={`search-result-icon search-result-icon--${result.type}`}>
@@ -81,7 +101,7 @@ const SearchResultItem = ({ result, onSelect }) => {
       <div className="search-result-content">
         <div className="search-result-header">
           <span className="search-result-type">{getTypeLabel()}</span>
-          {result.timestamp !== undefined && result.timestamp !== null && (
+          {hasTimestamp && (
             <>
               <span className="search-result-separator">•</span>
               <span className="search-result-timestamp">
@@ -96,10 +116,17 @@ const SearchResultItem = ({ result, onSelect }) => {
         </div>
 
         {result.excerpt && (
-          <div className="search-result-excerpt">
+          <div className={`search-result-excerpt ${result.passage ? 'search-result-excerpt--passage' : ''}`}>
             <HighlightedText text={result.excerpt} />
           </div>
         )}
+
+        {result.passage && hasTimestamp && result.videoId && (
+          <button className="search-result-jump" onClick={handleJump}>
+            <Play size={12} weight="fill" />
+            Jump to {formatTimestamp(result.timestamp)}
+          </button>
+        )}
       </div>
 
       {result.thumbnail && (
@@ -0,0 +1,356 @@
+import React, { useState, useEffect } from 'react';
+import { LinkSimple, Eye } from '@phosphor-icons/react';
+import Modal from '../Common/Modal';
+import CopyButton from '../Export/CopyButton';
+import shareService, { getShareUrl } from '../../services/shareService';
+import { formatDate, formatTimestamp } from '../../utils/formatters';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never' },
+  { value: '1', label: 'In 1 day' },
+  { value: '7', label: 'In 7 days' },
+  { value: '30', label: 'In 30 days' },
+  { value: '90', label: 'In 90 days' }
+];
+
+const RESOURCE_LABELS = {
+  save: 'save',
+  folder: 'folder',
+  video: 'video analysis'
+};
+
+/**
+ * ShareModal - Create and manage public links to a save, folder or video analysis
+ * Anyone with a link can view the shared content without an account until it is revoked or expires.
+ * @param {Object} props
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {string} props.resourceType - 'save', 'folder' or 'video'
+ * @param {string} props.resourceId - ID of the shared resource
+ * @param {string} [props.resourceTitle] - Shown in the modal title
+ * @param {Array} [props.frames] - Video frames the owner can pick from (video shares only)
+ */
+function ShareModal({ onClose, resourceType, resourceId, resourceTitle, frames = [] }) {
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expiresInDays, setExpiresInDays] = useState('');
+  const [frameMode, setFrameMode] = useState('keyframes'); // 'keyframes' | 'selected'
+  const [selectedFrameIds, setSelectedFrameIds] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    shareService.getAll({ resource_type: resourceType, resource_id: resourceId })
+      .then((response) => {
+        if (!cancelled) {
+          setLinks(response.data.shareLinks.filter(link => link.status === 'active'));
+        }
+      })
+      .catch((err) => {
+        console.error('Error loading share links:', err);
+        if (!cancelled) {
+          setError('Failed to load existing links');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [resourceType, resourceId]);
+
+  const canChooseFrames = resourceType === 'video' && frames.length > 0;
+  const canSubmit = !isSubmitting && (frameMode === 'keyframes' || selectedFrameIds.length > 0);
+
+  const toggleFrame = (frameId) => {
+    setSelectedFrameIds(prev => (
+      prev.includes(frameId) ? prev.filter(id => id !== frameId) : [...prev, frameId]
+    ));
+  };
+
+  const handleCreate = async () => {
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await shareService.create({
+        resource_type: resourceType,
+        resource_id: resourceId,
+        expires_in_days: expiresInDays ? parseInt(expiresInDays, 10) : undefined,
+        frame_ids: canChooseFrames && frameMode === 'selected' ? selectedFrameIds : undefined
+      });
+      setLinks(prev => [response.data.shareLink, ...prev]);
+    } catch (err) {
+      console.error('Error creating share link:', err);
+      setError(err.response?.data?.error || 'Failed to create share link');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async (linkId) => {
+    try {
+      await shareService.revoke(linkId);
+      setLinks(prev => prev.filter(link => link.id !== linkId));
+    } catch (err) {
+      console.error('Error revoking share link:', err);
+      setError(err.response?.data?.error || 'Failed to revoke share link');
+    }
+  };
+
+  const footer = (
+    <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
+      <button type="button" onClick={onClose} style={styles.secondaryButton}>
+        Done
+      </button>
+      <button
+        type="button"
+        onClick={handleCreate}
+        disabled={!canSubmit}
+        style={{
+          ...styles.primaryButton,
+          backgroundColor: canSubmit ? '#3b82f6' : '#93c5fd',
+          cursor: canSubmit ? 'pointer' : 'not-allowed'
+        }}
+      >
+        {isSubmitting ? 'Creating...' : 'Create Link'}
+      </button>
+    </div>
+  );
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title={resourceTitle ? `Share "${resourceTitle}"` : `Share ${RESOURCE_LABELS[resourceType]}`}
+      footer={footer}
+    >
+      <p style={styles.help}>
+        Anyone with the link can view this {RESOURCE_LABELS[resourceType]} without signing in.
+        Revoke a link to turn it off.
+      </p>
+
+      <div style={{ marginBottom: '20px' }}>
+        <label htmlFor="share-expiry" style={styles.label}>Link expires</label>
+        <select
+          id="share-expiry"
+          value={expiresInDays}
+          onChange={(e) => setExpiresInDays(e.target.value)}
+          style={styles.input}
+        >
+          {EXPIRY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {canChooseFrames && (
+        <div style={{ marginBottom: '20px' }}>
+          <span style={styles.label}>Frames</span>
+          <div style={{ display: 'flex', gap: '16px', marginBottom: '8px', fontSize: '14px' }}>
+            <label style={styles.radio}>
+              <input
+                type="radio"
+                checked={frameMode === 'keyframes'}
+                onChange={() => setFrameMode('keyframes')}
+              />
+              Key frames
+            </label>
+            <label style={styles.radio}>
+              <input
+                type="radio"
+                checked={frameMode === 'selected'}
+                onChange={() => setFrameMode('selected')}
+              />
+              Choose frames ({selectedFrameIds.length} selected)
+            </label>
+          </div>
+          {frameMode === 'selected' && (
+            <div style={styles.frameGrid}>
+              {frames.map(frame => {
+                const isSelected = selectedFrameIds.includes(frame.id);
+                return (
+                  <button
+                    key={frame.id}
+                    type="button"
+                    onClick={() => toggleFrame(frame.id)}
+                    aria-pressed={isSelected}
+                    style={{
+                      ...styles.frameOption,
+                      borderColor: isSelected ? '#3b82f6' : 'transparent'
+                    }}
+                  >
+                    <img
+                      src={frame.thumbnail_url || frame.image_url}
+                      alt={`Frame at ${formatTimestamp(frame.timestamp ?? frame.timestamp_seconds)}`}
+                      style={styles.frameImage}
+                    />
+                    <span style={styles.frameTime}>
+                      {formatTimestamp(frame.timestamp ?? frame.timestamp_seconds)}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div style={styles.error}>{error}</div>
+      )}
+
+      <span style={styles.label}>Active links</span>
+      {loading && <p style={styles.help}>Loading...</p>}
+      {!loading && links.length === 0 && (
+        <p style={styles.help}>No active links yet.</p>
+      )}
+      {links.map(link => (
+        <div key={link.id} style={styles.linkRow}>
+          <LinkSimple size={18} style={{ flexShrink: 0, color: '#6b7280' }} />
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={styles.linkUrl} title={getShareUrl(link.token)}>
+              {getShareUrl(link.token)}
+            </div>
+            <div style={styles.linkMeta}>
+              <Eye size={12} /> {link.view_count} {link.view_count === 1 ? 'view' : 'views'}
+              {' · '}
+              {link.expires_at ? `Expires ${formatDate(link.expires_at)}` : 'Never expires'}
+              {link.frame_count !== null && ` · ${link.frame_count} frames`}
+            </div>
+          </div>
+          <CopyButton text={getShareUrl(link.token)} label="Copy" />
+          <button type="button" onClick={() => handleRevoke(link.id)} style={styles.revokeButton}>
+            Revoke
+          </button>
+        </div>
+      ))}
+    </Modal>
+  );
+}
+
+const styles = {
+  help: {
+    margin: '0 0 16px',
+    fontSize: '13px',
+    color: '#6b7280'
+  },
+  label: {
+    display: 'block',
+    marginBottom: '8px',
+    fontSize: '14px',
+    fontWeight: '500',
+    color: '#374151'
+  },
+  input: {
+    width: '100%',
+    padding: '10px 12px',
+    borderRadius: '6px',
+    border: '1px solid #d1d5db',
+    fontSize: '14px',
+    outline: 'none',
+    boxSizing: 'border-box'
+  },
+  radio: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    cursor: 'pointer'
+  },
+  frameGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(110px, 1fr))',
+    gap: '8px',
+    maxHeight: '240px',
+    overflowY: 'auto'
+  },
+  frameOption: {
+    position: 'relative',
+    padding: 0,
+    border: '3px solid transparent',
+    borderRadius: '6px',
+    overflow: 'hidden',
+    backgroundColor: '#f3f4f6',
+    cursor: 'pointer'
+  },
+  frameImage: {
+    display: 'block',
+    width: '100%',
+    aspectRatio: '16 / 9',
+    objectFit: 'cover'
+  },
+  frameTime: {
+    position: 'absolute',
+    right: '4px',
+    bottom: '4px',
+    padding: '1px 4px',
+    borderRadius: '3px',
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    color: '#ffffff',
+    fontSize: '11px'
+  },
+  error: {
+    marginBottom: '16px',
+    padding: '10px 12px',
+    borderRadius: '6px',
+    backgroundColor: '#fef2f2',
+    color: '#b91c1c',
+    fontSize: '13px'
+  },
+  linkRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    padding: '10px 0',
+    borderBottom: '1px solid #f3f4f6'
+  },
+  linkUrl: {
+    fontSize: '13px',
+    color: '#111827',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  linkMeta: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+    marginTop: '2px',
+    fontSize: '12px',
+    color: '#6b7280'
+  },
+  revokeButton: {
+    padding: '6px 10px',
+    borderRadius: '6px',
+    border: '1px solid #fecaca',
+    backgroundColor: '#ffffff',
+    color: '#dc2626',
+    fontSize: '13px',
+    cursor: 'pointer'
+  },
+  secondaryButton: {
+    padding: '10px 20px',
+    borderRadius: '6px',
+    border: '1px solid #d1d5db',
+    backgroundColor: '#ffffff',
+    color: '#374151',
+    fontSize: '14px',
+    fontWeight: '500',
+    cursor: 'pointer'
+  },
+  primaryButton: {
+    padding: '10px 20px',
+    borderRadius: '6px',
+    border: 'none',
+    color: '#ffffff',
+    fontSize: '14px',
+    fontWeight: '500'
+  }
+};
+
+export default ShareModal;
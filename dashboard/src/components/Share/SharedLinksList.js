@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { BookmarkSimple, Folder, VideoCamera } from '@phosphor-icons/react';
+import CopyButton from '../Export/CopyButton';
+import shareService, { getShareUrl } from '../../services/shareService';
+import { formatDate } from '../../utils/formatters';
+
+const TYPE_ICONS = {
+  save: BookmarkSimple,
+  folder: Folder,
+  video: VideoCamera
+};
+
+const STATUS_STYLES = {
+  active: { color: '#15803d', backgroundColor: '#f0fdf4' },
+  expired: { color: '#92400e', backgroundColor: '#fffbeb' },
+  revoked: { color: '#b91c1c', backgroundColor: '#fef2f2' }
+};
+
+/**
+ * SharedLinksList - Every public link created in the current workspace, with view counts
+ * Active links can be copied or revoked; revoked and expired links stay listed for their history.
+ */
+function SharedLinksList() {
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    shareService.getAll()
+      .then(response => setLinks(response.data.shareLinks))
+      .catch((err) => {
+        console.error('Error loading share links:', err);
+        setError('Failed to load shared links');
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleRevoke = async (linkId) => {
+    try {
+      const response = await shareService.revoke(linkId);
+      setLinks(prev => prev.map(link => (link.id === linkId ? response.data.shareLink : link)));
+    } catch (err) {
+      console.error('Error revoking share link:', err);
+      setError(err.response?.data?.error || 'Failed to revoke share link');
+    }
+  };
+
+  if (loading) {
+    return <p className="help-text">Loading...</p>;
+  }
+
+  return (
+    <div>
+      {error && <p style={styles.error}>{error}</p>}
+      {links.length === 0 && (
+        <p className="help-text">
+          You haven't shared anything yet. Use the share button on a save, folder or video.
+        </p>
+      )}
+      {links.map(link => {
+        const Icon = TYPE_ICONS[link.resource_type];
+        return (
+          <div key={link.id} style={styles.row}>
+            <Icon size={20} style={{ flexShrink: 0, color: '#6b7280' }} />
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={styles.title}>
+                {link.resource_title || `Deleted ${link.resource_type}`}
+              </div>
+              <div style={styles.meta}>
+                {link.view_count} {link.view_count === 1 ? 'view' : 'views'}
+                {link.last_viewed_at && ` · last viewed ${formatDate(link.last_viewed_at)}`}
+                {' · '}created {formatDate(link.created_at)}
+                {link.status === 'active' && (link.expires_at ? ` · expires ${formatDate(link.expires_at)}` : ' · never expires')}
+              </div>
+            </div>
+            <span style={{ ...styles.status, ...STATUS_STYLES[link.status] }}>
+              {link.status}
+            </span>
+            {link.status === 'active' && (
+              <>
+                <CopyButton text={getShareUrl(link.token)} label="Copy link" />
+                <button type="button" onClick={() => handleRevoke(link.id)} style={styles.revokeButton}>
+                  Revoke
+                </button>
+              </>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+const styles = {
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '12px 0',
+    borderBottom: '1px solid #f3f4f6'
+  },
+  title: {
+    fontSize: '0.875rem',
+    fontWeight: 500,
+    color: '#111827',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  meta: {
+    marginTop: '2px',
+    fontSize: '0.75rem',
+    color: '#6b7280'
+  },
+  status: {
+    padding: '2px 8px',
+    borderRadius: '10px',
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    textTransform: 'capitalize'
+  },
+  revokeButton: {
+    padding: '6px 10px',
+    borderRadius: '6px',
+    border: '1px solid #fecaca',
+    backgroundColor: '#ffffff',
+    color: '#dc2626',
+    fontSize: '0.8125rem',
+    cursor: 'pointer'
+  },
+  error: {
+    margin: '0 0 12px',
+    color: '#b91c1c',
+    fontSize: '0.875rem'
+  }
+};
+
+export default SharedLinksList;
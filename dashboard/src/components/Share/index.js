@@ -0,0 +1,2 @@
+export { default as ShareModal } from './ShareModal';
+export { default as SharedLinksList } from './SharedLinksList';
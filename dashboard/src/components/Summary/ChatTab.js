@@ -0,0 +1,385 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  PaperPlaneRight,
+  CircleNotch,
+  Trash,
+  ChatCircleText,
+  Image as ImageIcon,
+  Article,
+  Subtitles
+} from '@phosphor-icons/react';
+import videoChatService from '../../services/videoChatService';
+import { seekToFrame } from '../../utils/videoSeek';
+import { formatTimestamp } from '../../utils/formatters';
+import { splitCitations } from '../../utils/citations';
+
+const CITATION_ICONS = {
+  transcript: Subtitles,
+  frame: ImageIcon,
+  section: Article
+};
+
+/**
+ * ChatTab Component
+ * Ask questions about the video; answers cite timestamps that seek the player
+ */
+function ChatTab({ videoId, onSeek }) {
+  const [messages, setMessages] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [asking, setAsking] = useState(false);
+  const [error, setError] = useState(null);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    setLoading(true);
+    videoChatService.getMessages(videoId)
+      .then(response => setMessages(response.data.messages))
+      .catch((err) => {
+        console.error('Error loading conversation:', err);
+        setError('Failed to load the conversation');
+      })
+      .finally(() => setLoading(false));
+  }, [videoId]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages, asking]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const text = question.trim();
+    if (!text || asking) return;
+
+    setAsking(true);
+    setError(null);
+    setQuestion('');
+    // Show the question right away; the stored copy replaces it when the answer arrives
+    setMessages(prev => [...prev, { id: 'pending', role: 'user', content: text, citations: [] }]);
+
+    try {
+      const response = await videoChatService.ask(videoId, text);
+      setMessages(prev => [
+        ...prev.filter(m => m.id !== 'pending'),
+        response.data.question,
+        response.data.answer
+      ]);
+    } catch (err) {
+      console.error('Error asking question:', err);
+      setError(err.response?.data?.error || 'Failed to answer. Please try again.');
+      setMessages(prev => prev.map(m => (m.id === 'pending' ? { ...m, id: `unanswered-${Date.now()}` } : m)));
+    } finally {
+      setAsking(false);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Clear this conversation?')) return;
+
+    try {
+      await videoChatService.clear(videoId);
+      setMessages([]);
+    } catch (err) {
+      console.error('Error clearing conversation:', err);
+      setError('Failed to clear the conversation');
+    }
+  };
+
+  const seekToCitation = (citation) => {
+    if (citation && citation.start_time !== null) {
+      seekToFrame(onSeek, { timestamp: parseFloat(citation.start_time) });
+    }
+  };
+
+  /**
+   * Render answer text with its [n] markers as buttons that seek to the source
+   */
+  const renderContent = (message) => {
+    if (message.role !== 'assistant' || !message.citations?.length) {
+      return message.content;
+    }
+
+    return splitCitations(message.content, message.citations).map(({ key, text, citation }) => {
+      if (!citation) return <React.Fragment key={key}>{text}</React.Fragment>;
+
+      return (
+        <button
+          key={key}
+          type="button"
+          className="chat-cite"
+          onClick={() => seekToCitation(citation)}
+          title={citation.excerpt}
+        >
+          {formatTimestamp(parseFloat(citation.start_time))}
+        </button>
+      );
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="chat-tab chat-empty">
+        <CircleNotch size={24} className="spinning" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="chat-tab">
+      <div className="chat-messages" ref={listRef}>
+        {messages.length === 0 && !asking && (
+          <div className="chat-empty">
+            <ChatCircleText size={32} />
+            <p>Ask anything about this video. Answers link to the moments they come from.</p>
+          </div>
+        )}
+
+        {messages.map(message => (
+          <div key={message.id} className={`chat-message chat-${message.role}`}>
+            <div className="chat-bubble">{renderContent(message)}</div>
+            {message.role === 'assistant' && message.citations?.length > 0 && (
+              <div className="chat-sources">
+                {message.citations.map(citation => {
+                  const Icon = CITATION_ICONS[citation.type] || Subtitles;
+                  return (
+                    <button
+                      key={citation.index}
+                      type="button"
+                      className="chat-source"
+                      onClick={() => seekToCitation(citation)}
+                    >
+                      <Icon size={14} />
+                      <span className="chat-source-time">{formatTimestamp(parseFloat(citation.start_time))}</span>
+                      <span className="chat-source-excerpt">{citation.excerpt}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        ))}
+
+        {asking && (
+          <div className="chat-message chat-assistant">
+            <div className="chat-bubble chat-thinking">
+              <CircleNotch size={16} className="spinning" /> Thinking...
+            </div>
+          </div>
+        )}
+      </div>
+
+      {error && <p className="chat-error">{error}</p>}
+
+      <form className="chat-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          className="chat-input"
+          placeholder="Ask about this video..."
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          maxLength={2000}
+          disabled={asking}
+        />
+        <button type="submit" className="chat-send" disabled={asking || !question.trim()} title="Ask">
+          <PaperPlaneRight size={18} weight="fill" />
+        </button>
+        {messages.length > 0 && (
+          <button type="button" className="chat-clear" onClick={handleClear} title="Clear conversation">
+            <Trash size={18} />
+          </button>
+        )}
+      </form>
+
+      <style>{styles}</style>
+    </div>
+  );
+}
+
+const styles = `
+  .chat-tab {
+    display: flex;
+    flex-direction: column;
+    height: 100%;
+    min-height: 320px;
+  }
+
+  .chat-messages {
+    flex: 1;
+    overflow-y: auto;
+    display: flex;
+    flex-direction: column;
+    gap: 0.75rem;
+    padding-bottom: 0.75rem;
+  }
+
+  .chat-empty {
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    justify-content: center;
+    gap: 0.5rem;
+    padding: 2rem;
+    color: #9ca3af;
+    text-align: center;
+  }
+
+  .chat-empty p {
+    margin: 0;
+    font-size: 0.875rem;
+  }
+
+  .chat-message {
+    display: flex;
+    flex-direction: column;
+    max-width: 90%;
+  }
+
+  .chat-user {
+    align-self: flex-end;
+    align-items: flex-end;
+  }
+
+  .chat-assistant {
+    align-self: flex-start;
+  }
+
+  .chat-bubble {
+    padding: 0.625rem 0.875rem;
+    border-radius: 12px;
+    font-size: 0.875rem;
+    line-height: 1.5;
+    white-space: pre-wrap;
+  }
+
+  .chat-user .chat-bubble {
+    background: #2563eb;
+    color: #ffffff;
+  }
+
+  .chat-assistant .chat-bubble {
+    background: #f3f4f6;
+    color: #111827;
+  }
+
+  .chat-thinking {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+    color: #6b7280;
+  }
+
+  .chat-cite {
+    display: inline-block;
+    margin: 0 2px;
+    padding: 0 6px;
+    border: none;
+    border-radius: 8px;
+    background: #dbeafe;
+    color: #1d4ed8;
+    font-size: 0.75rem;
+    font-weight: 600;
+    cursor: pointer;
+  }
+
+  .chat-cite:hover {
+    background: #bfdbfe;
+  }
+
+  .chat-sources {
+    display: flex;
+    flex-direction: column;
+    gap: 0.25rem;
+    margin-top: 0.375rem;
+  }
+
+  .chat-source {
+    display: flex;
+    align-items: center;
+    gap: 0.375rem;
+    padding: 0.25rem 0.5rem;
+    border: 1px solid #e5e7eb;
+    border-radius: 6px;
+    background: #ffffff;
+    color: #6b7280;
+    font-size: 0.75rem;
+    text-align: left;
+    cursor: pointer;
+  }
+
+  .chat-source:hover {
+    border-color: #2563eb;
+    color: #1d4ed8;
+  }
+
+  .chat-source-time {
+    font-weight: 600;
+    color: #374151;
+  }
+
+  .chat-source-excerpt {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+
+  .chat-error {
+    margin: 0 0 0.5rem;
+    color: #b91c1c;
+    font-size: 0.8125rem;
+  }
+
+  .chat-form {
+    display: flex;
+    gap: 0.5rem;
+    padding-top: 0.75rem;
+    border-top: 1px solid #e5e7eb;
+  }
+
+  .chat-input {
+    flex: 1;
+    padding: 0.5rem 0.75rem;
+    border: 1px solid #d1d5db;
+    border-radius: 8px;
+    font-size: 0.875rem;
+  }
+
+  .chat-input:focus {
+    outline: none;
+    border-color: #2563eb;
+  }
+
+  .chat-send,
+  .chat-clear {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    padding: 0 0.75rem;
+    border: none;
+    border-radius: 8px;
+    cursor: pointer;
+  }
+
+  .chat-send {
+    background: #2563eb;
+    color: #ffffff;
+  }
+
+  .chat-send:disabled {
+    background: #93c5fd;
+    cursor: not-allowed;
+  }
+
+  .chat-clear {
+    background: #f3f4f6;
+    color: #6b7280;
+  }
+
+  .chat-clear:hover {
+    color: #dc2626;
+  }
+`;
+
+export default ChatTab;
@@ -9,7 +9,8 @@ import {
   Play,
   Copy,
   Check,
-  Clock
+  Clock,
+  Star
 } from '@phosphor-icons/react';
 import { formatTimestamp } from '../../utils/formatters';
 
@@ -22,8 +23,10 @@ function KeyPointCard({
   category = 'insight',
   timestamp,
   sectionTitle,
+  starred = false,
   onSeek,
-  onCopy
+  onCopy,
+  onToggleStar
 }) {
   const [copied, setCopied] = useState(false);
 
@@ -48,6 +51,11 @@ function KeyPointCard({
     }
   };
 
+  const handleStar = (e) => {
+    e.stopPropagation();
+    onToggleStar?.();
+  };
+
   return (
     <div
       className="keypoint-card"
@@ -100,6 +108,17 @@ function KeyPointCard({
             </>
           )}
         </button>
+
+        {onToggleStar && (
+          <button
+            className={`keypoint-action star-btn ${starred ? 'starred' : ''}`}
+            onClick={handleStar}
+            title={starred ? 'Remove from review deck' : 'Add to review deck'}
+          >
+            <Star size={12} weight={starred ? 'fill' : 'regular'} />
+            {starred ? 'In review' : 'Review'}
+          </button>
+        )}
       </div>
     </div>
   );
@@ -285,6 +304,17 @@ const styles = `
     border-color: #d1d5db;
     color: #374151;
   }
+
+  .keypoint-action.star-btn {
+    color: #6b7280;
+  }
+
+  .keypoint-action.star-btn:hover,
+  .keypoint-action.star-btn.starred {
+    color: #d97706;
+    border-color: #fcd34d;
+    background: #fffbeb;
+  }
 `;
 
 // Inject styles
@@ -1,4 +1,4 @@
-import React, { useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import {
   Lightbulb,
   ChartBar,
@@ -9,17 +9,37 @@ import {
   Clock
 } from '@phosphor-icons/react';
 import KeyPointCard, { POINT_CATEGORIES } from './KeyPointCard';
+import reviewService from '../../services/reviewService';
+import { useToast } from '../../contexts/ToastContext';
 
 /**
  * KeyPointsTab Component
- * Displays key points with category filtering
+ * Displays key points with category filtering; starring a point adds it to the review deck
  */
 function KeyPointsTab({
+  videoId,
   summary,
   sections = [],
   onSeek
 }) {
   const [activeFilter, setActiveFilter] = useState('all');
+  // Review card ID for each starred point's text
+  const [starredCards, setStarredCards] = useState({});
+  const { showToast } = useToast();
+
+  useEffect(() => {
+    if (!videoId) return;
+
+    reviewService.getCards({ videoId })
+      .then(response => {
+        const cards = {};
+        response.data.cards
+          .filter(card => card.source_type === 'key_point')
+          .forEach(card => { cards[card.back] = card.id; });
+        setStarredCards(cards);
+      })
+      .catch(err => console.error('Error loading review cards:', err));
+  }, [videoId]);
 
   // Combine and categorize all key points
   const allKeyPoints = useMemo(() => {
@@ -59,6 +79,7 @@ function KeyPointsTab({
             type: 'section',
             category: detectCategory(point),
             timestamp: section.start_time,
+            sectionId: section.id,
             sectionTitle: section.title
           });
         });
@@ -83,6 +104,34 @@ function KeyPointsTab({
     return counts;
   }, [allKeyPoints]);
 
+  const handleToggleStar = async (point) => {
+    const cardId = starredCards[point.text];
+
+    try {
+      if (cardId) {
+        await reviewService.remove(cardId);
+        setStarredCards(prev => {
+          const next = { ...prev };
+          delete next[point.text];
+          return next;
+        });
+      } else {
+        const response = await reviewService.addKeyPoint({
+          videoId,
+          text: point.text,
+          sectionId: point.sectionId,
+          timestamp: point.timestamp,
+          category: point.category
+        });
+        const card = response.data.card;
+        setStarredCards(prev => ({ ...prev, [card.back]: card.id }));
+      }
+    } catch (err) {
+      console.error('Error updating review deck:', err);
+      showToast(err.response?.data?.error || 'Failed to update your review deck', 'error');
+    }
+  };
+
   // Empty state
   if (allKeyPoints.length === 0) {
     return (
@@ -155,7 +204,9 @@ function KeyPointsTab({
             category={point.category}
             timestamp={point.timestamp}
             sectionTitle={point.sectionTitle}
+            starred={!!starredCards[point.text]}
             onSeek={onSeek}
+            onToggleStar={videoId ? () => handleToggleStar(point) : undefined}
           />
         ))}
       </div>
@@ -19,6 +19,10 @@ import { summaryService } from '../../services/summaryService';
 import { detectVideoType, getTypeConfig, VIDEO_TYPES } from './VideoTypeDetector';
 import ContentMetrics from './ContentMetrics';
 import { GeneratingOverlay } from '../Loading';
+import { formatLanguageName } from '../../utils/formatters';
+
+// Languages offered for summary generation ('' keeps the video's own language)
+const SUMMARY_LANGUAGES = ['en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'pl', 'ru', 'ja', 'ko', 'zh', 'hi', 'ar'];
 
 /**
  * OverviewTab Component
@@ -38,6 +42,7 @@ function OverviewTab({
   const [generating, setGenerating] = useState(false);
   const [progress, setProgress] = useState('');
   const [error, setError] = useState(null);
+  const [summaryLanguage, setSummaryLanguage] = useState('');
 
   // Detect video type
   const videoTypeResult = useMemo(() => {
@@ -90,11 +95,13 @@ function OverviewTab({
       setProgress('Detecting video sections...');
       await summaryService.detectSections(videoId);
 
+      const options = summaryLanguage ? { language: summaryLanguage } : {};
+
       setProgress('Generating section summaries...');
-      await summaryService.generateSummaries(videoId);
+      await summaryService.generateSummaries(videoId, options);
 
       setProgress('Creating full video summary...');
-      await summaryService.generateFullSummary(videoId);
+      await summaryService.generateFullSummary(videoId, options);
 
       setProgress('Extracting key points...');
       await summaryService.extractKeyPoints(videoId);
@@ -141,6 +148,18 @@ function OverviewTab({
               </div>
             )}
 
+            {!generating && (
+              <label className="summary-language">
+                Summary language
+                <select value={summaryLanguage} onChange={(e) => setSummaryLanguage(e.target.value)}>
+                  <option value="">Same as video</option>
+                  {SUMMARY_LANGUAGES.map(code => (
+                    <option key={code} value={code}>{formatLanguageName(code)}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+
             {!generating && (
               <button className="generate-btn" onClick={handleGenerateSummary}>
                 <Sparkle size={18} weight="fill" />
@@ -518,6 +537,25 @@ const styles = `
     word-break: break-word;
   }
 
+  .summary-language {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    gap: 0.5rem;
+    margin-bottom: 0.75rem;
+    font-size: 0.8125rem;
+    color: #6b7280;
+  }
+
+  .summary-language select {
+    padding: 0.25rem 0.5rem;
+    font-size: 0.8125rem;
+    border: 1px solid #d1d5db;
+    border-radius: 6px;
+    background: white;
+    color: #374151;
+  }
+
   .generation-note {
     font-size: 0.6875rem;
     color: #9ca3af;
@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { ArrowLeft, CheckCircle, XCircle, ArrowCounterClockwise, PlayCircle, CircleNotch } from '@phosphor-icons/react';
+import quizService from '../../services/quizService';
+import { seekToFrame } from '../../utils/videoSeek';
+import { formatTimestamp } from '../../utils/formatters';
+
+/**
+ * QuizPlayer Component
+ * Take a quiz, then see which answers were wrong with a link to rewatch the part that answers them
+ */
+function QuizPlayer({ quiz, onSeek, onBack, onSubmitted }) {
+  const [answers, setAnswers] = useState({});
+  const [attempt, setAttempt] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const setAnswer = (questionId, value) => {
+    setAnswers(prev => ({ ...prev, [questionId]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await quizService.submit(
+        quiz.id,
+        quiz.questions.map(question => ({ questionId: question.id, answer: answers[question.id] ?? '' }))
+      );
+      setAttempt(response.data.attempt);
+      onSubmitted?.(response.data.attempt);
+    } catch (err) {
+      console.error('Error submitting quiz:', err);
+      setError(err.response?.data?.error || 'Failed to submit answers. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRetry = () => {
+    setAnswers({});
+    setAttempt(null);
+  };
+
+  const rewatch = (seconds) => {
+    seekToFrame(onSeek, { timestamp: seconds });
+  };
+
+  const results = attempt ? new Map(attempt.results.map(result => [result.question_id, result])) : null;
+  const answeredCount = quiz.questions.filter(question => (answers[question.id] ?? '').toString().trim()).length;
+
+  return (
+    <form className="quiz-player" onSubmit={handleSubmit}>
+      <div className="quiz-player-header">
+        <button type="button" className="quiz-link" onClick={onBack}>
+          <ArrowLeft size={14} /> All quizzes
+        </button>
+        <h4>{quiz.title}</h4>
+        {attempt && (
+          <div className="quiz-score">
+            Score: <strong>{attempt.score} / {attempt.total}</strong>
+          </div>
+        )}
+      </div>
+
+      <ol className="quiz-questions">
+        {quiz.questions.map(question => {
+          const result = results?.get(question.id);
+          const value = answers[question.id] ?? '';
+
+          return (
+            <li
+              key={question.id}
+              className={`quiz-question ${result ? (result.correct ? 'quiz-correct' : 'quiz-wrong') : ''}`}
+            >
+              <p className="quiz-prompt">{question.prompt}</p>
+
+              {question.question_type === 'short_answer' ? (
+                <input
+                  type="text"
+                  className="quiz-input"
+                  value={value}
+                  onChange={(e) => setAnswer(question.id, e.target.value)}
+                  disabled={!!attempt}
+                  placeholder="Your answer"
+                />
+              ) : (
+                <div className="quiz-options">
+                  {question.options.map(option => (
+                    <label key={option} className="quiz-option">
+                      <input
+                        type="radio"
+                        name={question.id}
+                        value={option}
+                        checked={value === option}
+                        onChange={() => setAnswer(question.id, option)}
+                        disabled={!!attempt}
+                      />
+                      <span>{option}</span>
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              {result && (
+                <div className="quiz-feedback">
+                  {result.correct ? (
+                    <span className="quiz-feedback-label"><CheckCircle size={16} weight="fill" /> Correct</span>
+                  ) : (
+                    <>
+                      <span className="quiz-feedback-label">
+                        <XCircle size={16} weight="fill" /> Answer: {result.correct_answer}
+                      </span>
+                      {result.timestamp_seconds !== null && (
+                        <button type="button" className="quiz-rewatch" onClick={() => rewatch(result.timestamp_seconds)}>
+                          <PlayCircle size={16} /> Rewatch this part ({formatTimestamp(result.timestamp_seconds)})
+                        </button>
+                      )}
+                    </>
+                  )}
+                  {result.explanation && <p className="quiz-explanation">{result.explanation}</p>}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      {error && <p className="quiz-error">{error}</p>}
+
+      <div className="quiz-actions">
+        {attempt ? (
+          <button type="button" className="quiz-button" onClick={handleRetry}>
+            <ArrowCounterClockwise size={16} /> Try again
+          </button>
+        ) : (
+          <button type="submit" className="quiz-button quiz-button-primary" disabled={submitting || answeredCount === 0}>
+            {submitting && <CircleNotch size={16} className="spinning" />}
+            Check answers ({answeredCount}/{quiz.questions.length})
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default QuizPlayer;
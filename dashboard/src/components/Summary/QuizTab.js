@@ -0,0 +1,414 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Exam, CircleNotch, Trash, Sparkle } from '@phosphor-icons/react';
+import quizService from '../../services/quizService';
+import QuizPlayer from './QuizPlayer';
+import { formatDate } from '../../utils/formatters';
+
+/**
+ * QuizTab Component
+ * Generate quizzes for the video or one section and test yourself on them
+ */
+function QuizTab({ videoId, sections = [], onSeek }) {
+  const [quizzes, setQuizzes] = useState([]);
+  const [activeQuiz, setActiveQuiz] = useState(null);
+  const [sectionId, setSectionId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadQuizzes = useCallback(() => {
+    return quizService.getForVideo(videoId)
+      .then(response => setQuizzes(response.data.quizzes))
+      .catch((err) => {
+        console.error('Error loading quizzes:', err);
+        setError('Failed to load quizzes');
+      });
+  }, [videoId]);
+
+  useEffect(() => {
+    setLoading(true);
+    setActiveQuiz(null);
+    loadQuizzes().finally(() => setLoading(false));
+  }, [loadQuizzes]);
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    setError(null);
+
+    try {
+      const response = await quizService.generate(videoId, sectionId ? { sectionId } : {});
+      setActiveQuiz(response.data.quiz);
+      loadQuizzes();
+    } catch (err) {
+      console.error('Error generating quiz:', err);
+      setError(err.response?.data?.error || 'Failed to generate a quiz. Please try again.');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleOpen = async (quizId) => {
+    setError(null);
+    try {
+      const response = await quizService.getById(quizId);
+      setActiveQuiz(response.data.quiz);
+    } catch (err) {
+      console.error('Error loading quiz:', err);
+      setError('Failed to load the quiz');
+    }
+  };
+
+  const handleDelete = async (quizId) => {
+    if (!window.confirm('Delete this quiz and its results?')) return;
+
+    try {
+      await quizService.delete(quizId);
+      setQuizzes(prev => prev.filter(quiz => quiz.id !== quizId));
+    } catch (err) {
+      console.error('Error deleting quiz:', err);
+      setError(err.response?.data?.error || 'Failed to delete the quiz');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="quiz-tab quiz-empty">
+        <CircleNotch size={24} className="spinning" />
+        <style>{styles}</style>
+      </div>
+    );
+  }
+
+  if (activeQuiz) {
+    return (
+      <div className="quiz-tab">
+        <QuizPlayer
+          quiz={activeQuiz}
+          onSeek={onSeek}
+          onBack={() => setActiveQuiz(null)}
+          onSubmitted={loadQuizzes}
+        />
+        <style>{styles}</style>
+      </div>
+    );
+  }
+
+  return (
+    <div className="quiz-tab">
+      <div className="quiz-generate">
+        <select className="quiz-select" value={sectionId} onChange={(e) => setSectionId(e.target.value)}>
+          <option value="">Whole video</option>
+          {sections.map(section => (
+            <option key={section.id} value={section.id}>{section.title}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="quiz-button quiz-button-primary"
+          onClick={handleGenerate}
+          disabled={generating || sections.length === 0}
+        >
+          {generating ? <CircleNotch size={16} className="spinning" /> : <Sparkle size={16} />}
+          {generating ? 'Writing questions...' : 'New quiz'}
+        </button>
+      </div>
+
+      {error && <p className="quiz-error">{error}</p>}
+
+      {quizzes.length === 0 ? (
+        <div className="quiz-empty">
+          <Exam size={32} />
+          <p>
+            {sections.length === 0
+              ? 'Quizzes are written from the video\'s sections, which are not ready yet.'
+              : 'Test yourself on this video. Wrong answers link back to the part that explains them.'}
+          </p>
+        </div>
+      ) : (
+        <ul className="quiz-list">
+          {quizzes.map(quiz => (
+            <li key={quiz.id} className="quiz-list-item">
+              <button type="button" className="quiz-list-open" onClick={() => handleOpen(quiz.id)}>
+                <span className="quiz-list-title">{quiz.section_id ? quiz.section_title || quiz.title : 'Whole video'}</span>
+                <span className="quiz-list-meta">
+                  {quiz.question_count} questions · {formatDate(quiz.created_at)}
+                  {quiz.best_score !== null && ` · Best ${quiz.best_score}/${quiz.question_count}`}
+                </span>
+              </button>
+              <button type="button" className="quiz-list-delete" onClick={() => handleDelete(quiz.id)} title="Delete quiz">
+                <Trash size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <style>{styles}</style>
+    </div>
+  );
+}
+
+const styles = `
+  .quiz-tab {
+    display: flex;
+    flex-direction: column;
+    gap: 0.75rem;
+  }
+
+  .quiz-empty {
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    justify-content: center;
+    gap: 0.5rem;
+    padding: 2rem;
+    color: #9ca3af;
+    text-align: center;
+  }
+
+  .quiz-empty p {
+    margin: 0;
+    font-size: 0.875rem;
+  }
+
+  .quiz-generate {
+    display: flex;
+    gap: 0.5rem;
+  }
+
+  .quiz-select,
+  .quiz-input {
+    flex: 1;
+    padding: 0.5rem 0.75rem;
+    border: 1px solid #d1d5db;
+    border-radius: 8px;
+    font-size: 0.875rem;
+    background: #ffffff;
+  }
+
+  .quiz-select:focus,
+  .quiz-input:focus {
+    outline: none;
+    border-color: #2563eb;
+  }
+
+  .quiz-button {
+    display: inline-flex;
+    align-items: center;
+    gap: 0.375rem;
+    padding: 0.5rem 0.875rem;
+    border: 1px solid #d1d5db;
+    border-radius: 8px;
+    background: #f3f4f6;
+    color: #374151;
+    font-size: 0.875rem;
+    font-weight: 600;
+    cursor: pointer;
+    white-space: nowrap;
+  }
+
+  .quiz-button-primary {
+    border-color: #2563eb;
+    background: #2563eb;
+    color: #ffffff;
+  }
+
+  .quiz-button:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+
+  .quiz-error {
+    margin: 0;
+    color: #b91c1c;
+    font-size: 0.8125rem;
+  }
+
+  .quiz-list {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+    display: flex;
+    flex-direction: column;
+    gap: 0.5rem;
+  }
+
+  .quiz-list-item {
+    display: flex;
+    align-items: stretch;
+    border: 1px solid #e5e7eb;
+    border-radius: 8px;
+  }
+
+  .quiz-list-item:hover {
+    border-color: #2563eb;
+  }
+
+  .quiz-list-open {
+    flex: 1;
+    display: flex;
+    flex-direction: column;
+    gap: 0.125rem;
+    padding: 0.625rem 0.75rem;
+    border: none;
+    background: transparent;
+    text-align: left;
+    cursor: pointer;
+  }
+
+  .quiz-list-title {
+    font-size: 0.875rem;
+    font-weight: 600;
+    color: #111827;
+  }
+
+  .quiz-list-meta {
+    font-size: 0.75rem;
+    color: #6b7280;
+  }
+
+  .quiz-list-delete {
+    padding: 0 0.75rem;
+    border: none;
+    background: transparent;
+    color: #9ca3af;
+    cursor: pointer;
+  }
+
+  .quiz-list-delete:hover {
+    color: #dc2626;
+  }
+
+  .quiz-player-header {
+    display: flex;
+    flex-direction: column;
+    gap: 0.25rem;
+    margin-bottom: 0.75rem;
+  }
+
+  .quiz-player-header h4 {
+    margin: 0;
+    font-size: 1rem;
+    color: #111827;
+  }
+
+  .quiz-link {
+    display: inline-flex;
+    align-items: center;
+    gap: 0.25rem;
+    align-self: flex-start;
+    padding: 0;
+    border: none;
+    background: transparent;
+    color: #2563eb;
+    font-size: 0.8125rem;
+    cursor: pointer;
+  }
+
+  .quiz-score {
+    font-size: 0.875rem;
+    color: #374151;
+  }
+
+  .quiz-questions {
+    margin: 0;
+    padding-left: 1.25rem;
+    display: flex;
+    flex-direction: column;
+    gap: 1rem;
+  }
+
+  .quiz-question {
+    padding: 0.75rem;
+    border: 1px solid #e5e7eb;
+    border-radius: 8px;
+  }
+
+  .quiz-correct {
+    border-color: #86efac;
+    background: #f0fdf4;
+  }
+
+  .quiz-wrong {
+    border-color: #fca5a5;
+    background: #fef2f2;
+  }
+
+  .quiz-prompt {
+    margin: 0 0 0.5rem;
+    font-size: 0.875rem;
+    color: #111827;
+    white-space: pre-wrap;
+  }
+
+  .quiz-options {
+    display: flex;
+    flex-direction: column;
+    gap: 0.25rem;
+  }
+
+  .quiz-option {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+    font-size: 0.875rem;
+    color: #374151;
+    cursor: pointer;
+  }
+
+  .quiz-feedback {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 0.5rem;
+    margin-top: 0.5rem;
+    font-size: 0.8125rem;
+  }
+
+  .quiz-feedback-label {
+    display: inline-flex;
+    align-items: center;
+    gap: 0.25rem;
+    font-weight: 600;
+  }
+
+  .quiz-correct .quiz-feedback-label {
+    color: #15803d;
+  }
+
+  .quiz-wrong .quiz-feedback-label {
+    color: #b91c1c;
+  }
+
+  .quiz-rewatch {
+    display: inline-flex;
+    align-items: center;
+    gap: 0.25rem;
+    padding: 0.125rem 0.5rem;
+    border: none;
+    border-radius: 8px;
+    background: #dbeafe;
+    color: #1d4ed8;
+    font-size: 0.75rem;
+    font-weight: 600;
+    cursor: pointer;
+  }
+
+  .quiz-rewatch:hover {
+    background: #bfdbfe;
+  }
+
+  .quiz-explanation {
+    flex-basis: 100%;
+    margin: 0;
+    color: #6b7280;
+  }
+
+  .quiz-actions {
+    display: flex;
+    justify-content: flex-end;
+    margin-top: 0.75rem;
+  }
+`;
+
+export default QuizTab;
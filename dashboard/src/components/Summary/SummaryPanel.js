@@ -1,15 +1,18 @@
 import React, { useState } from 'react';
-import { Article, ListBullets, Star, CircleNotch, ChartPieSlice } from '@phosphor-icons/react';
+import { Article, ListBullets, Star, CircleNotch, ChartPieSlice, ChatCircleText, Exam, ImageSquare } from '@phosphor-icons/react';
 import { useVideoSummary } from '../../hooks/useVideoSummary';
 import { useSections } from '../../hooks/useSections';
 import OverviewTab from './OverviewTab';
 import SectionsTab from './SectionsTab';
 import KeyPointsTab from './KeyPointsTab';
 import AnalysisDashboard from './AnalysisDashboard';
+import ChatTab from './ChatTab';
+import QuizTab from './QuizTab';
+import { FrameGallery } from '../Frames';
 
 /**
  * SummaryPanel Component
- * Tabbed interface for viewing video summaries, sections, and key points
+ * Tabbed interface for viewing video summaries, sections, key points, frames, asking questions, and quizzes
  */
 function SummaryPanel({
   videoId,
@@ -50,6 +53,21 @@ function SummaryPanel({
       id: 'analysis',
       label: 'Full Analysis',
       icon: ChartPieSlice
+    },
+    {
+      id: 'frames',
+      label: 'Frames',
+      icon: ImageSquare
+    },
+    {
+      id: 'chat',
+      label: 'Ask',
+      icon: ChatCircleText
+    },
+    {
+      id: 'quiz',
+      label: 'Quiz',
+      icon: Exam
     }
   ];
 
@@ -124,6 +142,7 @@ function SummaryPanel({
         )}
         {activeTab === 'keypoints' && (
           <KeyPointsTab
+            videoId={videoId}
             summary={summary}
             sections={sections}
             onSeek={onSeek}
@@ -141,6 +160,26 @@ function SummaryPanel({
             onSeek={onSeek}
           />
         )}
+        {activeTab === 'frames' && (
+          <FrameGallery
+            videoId={videoId}
+            currentTime={currentTime}
+            onFrameClick={(frame) => onSeek?.(frame.timestamp)}
+          />
+        )}
+        {activeTab === 'chat' && (
+          <ChatTab
+            videoId={videoId}
+            onSeek={onSeek}
+          />
+        )}
+        {activeTab === 'quiz' && (
+          <QuizTab
+            videoId={videoId}
+            sections={sections}
+            onSeek={onSeek}
+          />
+        )}
       </div>
 
       <style>{styles}</style>
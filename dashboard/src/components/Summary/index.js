@@ -7,6 +7,8 @@ export { default as OverviewTab } from './OverviewTab';
 export { default as SectionsTab } from './SectionsTab';
 export { default as KeyPointsTab } from './KeyPointsTab';
 export { default as KeyPointsList } from './KeyPointsList';
+export { default as ChatTab } from './ChatTab';
+export { default as QuizTab } from './QuizTab';
 
 // Task 11: Full Analysis Dashboard components
 export { default as AnalysisDashboard } from './AnalysisDashboard';
@@ -0,0 +1,142 @@
+import React, { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { PlayCircle, BookmarkSimple, ArrowsMerge, X } from '@phosphor-icons/react';
+import { formatTimestamp } from '../../utils/formatters';
+
+/**
+ * Group a topic's sections by the video they belong to
+ * @param {Array} sections - Sections with video_id and video_title
+ * @returns {Array} [{ videoId, videoTitle, sections }] in the order the videos first appear
+ */
+function groupByVideo(sections) {
+  const groups = new Map();
+  sections.forEach(section => {
+    if (!groups.has(section.video_id)) {
+      groups.set(section.video_id, { videoId: section.video_id, videoTitle: section.video_title, sections: [] });
+    }
+    groups.get(section.video_id).sections.push(section);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * TopicDetail Component
+ * Everything across the library that covers one topic, with a control to merge duplicates into it
+ */
+function TopicDetail({ topic, topics, merging, onSelect, onMerge, onClose }) {
+  const [mergeId, setMergeId] = useState('');
+
+  const videoGroups = useMemo(() => groupByVideo(topic.sections), [topic.sections]);
+  const mergeOptions = useMemo(
+    () => topics.filter(other => other.id !== topic.id).sort((a, b) => a.name.localeCompare(b.name)),
+    [topics, topic.id]
+  );
+
+  const handleMerge = () => {
+    const other = topics.find(item => item.id === mergeId);
+    if (!other || !window.confirm(`Merge "${other.name}" into "${topic.name}"?`)) return;
+    onMerge([mergeId]);
+    setMergeId('');
+  };
+
+  return (
+    <aside className="topic-detail">
+      <div className="topic-detail-header">
+        <h2>{topic.name}</h2>
+        <button type="button" className="topic-detail-close" onClick={onClose} title="Close">
+          <X size={18} />
+        </button>
+      </div>
+
+      <p className="topic-detail-counts">
+        {topic.videos.length} videos · {topic.sections.length} sections · {topic.saves.length} saves
+      </p>
+
+      {topic.aliases.length > 1 && (
+        <p className="topic-detail-aliases">Also known as: {topic.aliases.join(', ')}</p>
+      )}
+
+      <section>
+        <h3>Sections</h3>
+        {videoGroups.length === 0 && (
+          <p className="topic-detail-empty">No section mentions this topic by name.</p>
+        )}
+        {videoGroups.map(group => (
+          <div key={group.videoId} className="topic-video-group">
+            <Link to={`/app/video/${group.videoId}`} className="topic-video-title">{group.videoTitle}</Link>
+            <ul>
+              {group.sections.map(section => (
+                <li key={section.id}>
+                  <Link to={`/app/video/${section.video_id}?t=${Math.floor(section.start_time)}`} className="topic-section">
+                    <PlayCircle size={14} />
+                    <span className="topic-section-time">{formatTimestamp(section.start_time)}</span>
+                    <span>{section.title || 'Untitled section'}</span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </section>
+
+      {topic.saves.length > 0 && (
+        <section>
+          <h3>Saves</h3>
+          <ul>
+            {topic.saves.map(save => (
+              <li key={save.id}>
+                <Link to={`/app/save/${save.id}`} className="topic-section">
+                  <BookmarkSimple size={14} />
+                  <span>{save.title || save.video_title}</span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {topic.related.length > 0 && (
+        <section>
+          <h3>Related topics</h3>
+          <div className="topic-related">
+            {topic.related.map(related => (
+              <button
+                key={related.id}
+                type="button"
+                className="topic-chip"
+                onClick={() => onSelect(related.id)}
+                title={`${related.weight} shared videos`}
+              >
+                {related.name}
+              </button>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {mergeOptions.length > 0 && (
+        <section>
+          <h3>Merge a duplicate</h3>
+          <div className="topic-merge">
+            <select value={mergeId} onChange={(e) => setMergeId(e.target.value)} disabled={merging}>
+              <option value="">Choose a topic…</option>
+              {mergeOptions.map(option => (
+                <option key={option.id} value={option.id}>{option.name}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="button button-secondary"
+              onClick={handleMerge}
+              disabled={!mergeId || merging}
+            >
+              <ArrowsMerge size={16} /> Merge
+            </button>
+          </div>
+        </section>
+      )}
+    </aside>
+  );
+}
+
+export default TopicDetail;
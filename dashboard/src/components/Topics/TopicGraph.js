@@ -0,0 +1,96 @@
+import React, { useMemo, useState } from 'react';
+import { layoutGraph, getGraphBounds } from '../../utils/graphLayout';
+
+/**
+ * Node radius for a topic, growing with the videos that cover it
+ * @param {object} node - Graph node with video_count
+ * @returns {number}
+ */
+function nodeRadius(node) {
+  return 6 + Math.min(Math.sqrt(node.video_count) * 4, 20);
+}
+
+/**
+ * TopicGraph Component
+ * Draws the topic graph as SVG; hovering a topic highlights its neighbours
+ */
+function TopicGraph({ nodes, edges, selectedId, onSelect }) {
+  const [hoveredId, setHoveredId] = useState(null);
+
+  const positions = useMemo(() => layoutGraph(nodes, edges), [nodes, edges]);
+  const bounds = useMemo(() => getGraphBounds(positions), [positions]);
+
+  const neighbours = useMemo(() => {
+    const map = new Map(nodes.map(node => [node.id, new Set()]));
+    edges.forEach(edge => {
+      map.get(edge.source)?.add(edge.target);
+      map.get(edge.target)?.add(edge.source);
+    });
+    return map;
+  }, [nodes, edges]);
+
+  const focusId = hoveredId || selectedId;
+  const isLit = (id) => !focusId || id === focusId || neighbours.get(focusId)?.has(id);
+
+  return (
+    <svg
+      className="topic-graph"
+      viewBox={`${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`}
+      role="img"
+      aria-label="Topic graph"
+    >
+      <g className="topic-graph-edges">
+        {edges.map(edge => {
+          const source = positions.get(edge.source);
+          const target = positions.get(edge.target);
+          if (!source || !target) return null;
+          const lit = focusId && (edge.source === focusId || edge.target === focusId);
+
+          return (
+            <line
+              key={`${edge.source}-${edge.target}`}
+              x1={source.x}
+              y1={source.y}
+              x2={target.x}
+              y2={target.y}
+              className={`topic-edge ${lit ? 'lit' : ''} ${focusId && !lit ? 'dim' : ''}`}
+              strokeWidth={Math.min(1 + edge.weight * 0.75, 6)}
+            />
+          );
+        })}
+      </g>
+
+      <g className="topic-graph-nodes">
+        {nodes.map(node => {
+          const point = positions.get(node.id);
+          const radius = nodeRadius(node);
+
+          return (
+            <g
+              key={node.id}
+              className={`topic-node ${node.id === selectedId ? 'selected' : ''} ${isLit(node.id) ? '' : 'dim'}`}
+              transform={`translate(${point.x}, ${point.y})`}
+              onMouseEnter={() => setHoveredId(node.id)}
+              onMouseLeave={() => setHoveredId(null)}
+              onClick={() => onSelect(node.id)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                  e.preventDefault();
+                  onSelect(node.id);
+                }
+              }}
+              tabIndex={0}
+              role="button"
+              aria-label={`${node.name}, ${node.video_count} videos`}
+            >
+              <circle r={radius} />
+              <text y={radius + 12}>{node.name}</text>
+            </g>
+          );
+        })}
+      </g>
+    </svg>
+  );
+}
+
+export default TopicGraph;
@@ -0,0 +1,2 @@
+export { default as TopicGraph } from './TopicGraph';
+export { default as TopicDetail } from './TopicDetail';
@@ -1,21 +1,50 @@
 import React, { useState, useEffect, useRef, useMemo } from 'react';
-import { MagnifyingGlass, X, Clock, Copy, Check, CircleNotch, BookmarkSimple } from '@phosphor-icons/react';
-import { escapeRegExp, debounce } from '../../utils/formatters';
+import { MagnifyingGlass, X, Clock, Copy, Check, CircleNotch, BookmarkSimple, Translate, UsersThree } from '@phosphor-icons/react';
+import { escapeRegExp, debounce, formatLanguageName } from '../../utils/formatters';
+import ExportMenu from '../Export/ExportMenu';
 import { useSelection } from '../../contexts/SelectionContext';
 import { useToast } from '../../contexts/ToastContext';
 
+/**
+ * Label for a stored transcript track in the language switcher
+ * @param {object} track - Track from GET /videos/:id/transcripts
+ * @returns {string} - e.g. "German (auto-generated)"
+ */
+function trackLabel(track) {
+  const name = formatLanguageName(track.language);
+  if (track.source_language) return `${name} (translated)`;
+  if (track.transcript_type === 'generated') return `${name} (auto-generated)`;
+  if (track.transcript_type === 'asr') return `${name} (speech-to-text)`;
+  return name;
+}
+
+// Label colors, assigned to speakers in order of appearance
+const SPEAKER_COLORS = ['#2563eb', '#db2777', '#059669', '#d97706', '#7c3aed', '#0891b2', '#dc2626', '#4b5563'];
+
 function TranscriptPanel({
+  videoId,
   segments = [],
   currentTime = 0,
   onSeek,
   loading = false,
-  error = null
+  error = null,
+  tracks = [],
+  availableTracks = null,
+  language = null,
+  onLanguageChange,
+  onAddLanguage,
+  speakers = [],
+  onRenameSpeaker,
+  onDetectSpeakers
 }) {
   const [searchQuery, setSearchQuery] = useState('');
   const [searchExpanded, setSearchExpanded] = useState(false);
   const [autoScroll, setAutoScroll] = useState(true);
   const [copied, setCopied] = useState(false);
   const [selectionPopup, setSelectionPopup] = useState(null);
+  const [addingLanguage, setAddingLanguage] = useState(false);
+  const [speakerFilter, setSpeakerFilter] = useState('');
+  const [detectingSpeakers, setDetectingSpeakers] = useState(false);
   const searchInputRef = useRef(null);
 
   const scrollContainerRef = useRef(null);
@@ -59,6 +88,20 @@ function TranscriptPanel({
       .filter(i => i !== -1);
   }, [segments, searchQuery]);
 
+  // Speaker key -> { name, color }
+  const speakerInfo = useMemo(() => {
+    const info = {};
+    speakers.forEach((speaker, index) => {
+      info[speaker.speaker_key] = {
+        name: speaker.display_name,
+        color: SPEAKER_COLORS[index % SPEAKER_COLORS.length]
+      };
+    });
+    return info;
+  }, [speakers]);
+
+  const hasSpeakers = speakers.length > 0 && segments.some(segment => segment.speaker);
+
   // Auto-scroll to active segment (scroll to top, no focus stealing)
   useEffect(() => {
     if (autoScroll && activeIndex >= 0 && segmentRefs.current[activeIndex]) {
@@ -109,6 +152,37 @@ function TranscriptPanel({
     }
   };
 
+  // Rename a speaker from its label
+  const handleRenameSpeaker = async (speakerKey) => {
+    const current = speakerInfo[speakerKey]?.name || speakerKey;
+    const name = window.prompt('Speaker name (leave empty to reset):', current);
+    if (name === null || name.trim() === current) return;
+
+    try {
+      await onRenameSpeaker?.(speakerKey, name.trim());
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to rename speaker', 'error');
+    }
+  };
+
+  // Queue speaker detection; the transcript reloads when the job completes
+  const handleDetectSpeakers = async () => {
+    setDetectingSpeakers(true);
+    try {
+      await onDetectSpeakers?.();
+      showToast('Speaker detection started', 'success');
+    } catch (err) {
+      showToast(err.response?.data?.error || 'Failed to start speaker detection', 'error');
+      setDetectingSpeakers(false);
+    }
+  };
+
+  useEffect(() => {
+    if (hasSpeakers) {
+      setDetectingSpeakers(false);
+    }
+  }, [hasSpeakers]);
+
   // Highlight search terms
   const highlightText = (text, query) => {
     if (!query) return text;
@@ -165,10 +239,78 @@ function TranscriptPanel({
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, [selectionPopup]);
 
+  // Languages offered by YouTube that are not stored yet
+  const storedLanguages = tracks.map(track => track.language);
+  const fetchableTracks = (availableTracks?.tracks || [])
+    .filter(track => !storedLanguages.includes(track.language));
+  const translationTargets = (availableTracks?.translation_languages || [])
+    .filter(target => !storedLanguages.includes(target.language));
+  const primaryLanguage = tracks.find(track => track.is_primary)?.language || '';
+
+  // Switch track, fetching or translating it first when it is not stored yet
+  const handleLanguageSelect = async (value) => {
+    const [action, code] = value.includes(':') ? value.split(':') : ['show', value];
+
+    if (action === 'show') {
+      onLanguageChange?.(code === primaryLanguage ? null : code);
+      return;
+    }
+
+    setAddingLanguage(true);
+    try {
+      await onAddLanguage?.(code, action === 'translate');
+      onLanguageChange?.(code);
+      showToast(`${formatLanguageName(code)} transcript added`, 'success');
+    } catch (err) {
+      showToast(err.response?.data?.message || 'Failed to add transcript language', 'error');
+    } finally {
+      setAddingLanguage(false);
+    }
+  };
+
+  const languageSwitcher = tracks.length > 0 && (
+    <div className="language-switcher">
+      {addingLanguage
+        ? <CircleNotch size={14} className="spinning" />
+        : <Translate size={14} />}
+      <select
+        value={language || primaryLanguage}
+        onChange={(e) => handleLanguageSelect(e.target.value)}
+        disabled={addingLanguage}
+        title="Transcript language"
+      >
+        <optgroup label="Transcripts">
+          {tracks.map(track => (
+            <option key={track.id} value={track.language || ''}>{trackLabel(track)}</option>
+          ))}
+        </optgroup>
+        {fetchableTracks.length > 0 && (
+          <optgroup label="Available on YouTube">
+            {fetchableTracks.map(track => (
+              <option key={track.language} value={`fetch:${track.language}`}>
+                {track.name}{track.type === 'generated' ? ' (auto-generated)' : ''}
+              </option>
+            ))}
+          </optgroup>
+        )}
+        {translationTargets.length > 0 && (
+          <optgroup label="Translate to">
+            {translationTargets.map(target => (
+              <option key={target.language} value={`translate:${target.language}`}>
+                {target.name}
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+    </div>
+  );
+
   // Loading state
   if (loading) {
     return (
       <div className="transcript-panel">
+        {languageSwitcher && <div className="panel-header">{languageSwitcher}</div>}
         <div className="panel-loading">
           <CircleNotch size={32} weight="bold" className="spinning" />
           <p>Loading transcript...</p>
@@ -182,6 +324,7 @@ function TranscriptPanel({
   if (error) {
     return (
       <div className="transcript-panel">
+        {languageSwitcher && <div className="panel-header">{languageSwitcher}</div>}
         <div className="panel-empty">
           <Clock size={32} weight="duotone" />
           <p>{error}</p>
@@ -208,6 +351,7 @@ function TranscriptPanel({
     <div className="transcript-panel">
       {/* Header */}
       <div className="panel-header">
+        {languageSwitcher}
         <div className="header-actions">
           {/* Inline Search Bar - expands left of icon */}
           {searchExpanded && (
@@ -239,6 +383,33 @@ function TranscriptPanel({
           >
             Auto
           </button>
+          {hasSpeakers && speakers.length > 1 && (
+            <select
+              className="speaker-filter"
+              value={speakerFilter}
+              onChange={(e) => setSpeakerFilter(e.target.value)}
+              title="Filter by speaker"
+            >
+              <option value="">All speakers</option>
+              {speakers.map(speaker => (
+                <option key={speaker.speaker_key} value={speaker.speaker_key}>
+                  {speaker.display_name}
+                </option>
+              ))}
+            </select>
+          )}
+          {!hasSpeakers && onDetectSpeakers && (
+            <button
+              className="icon-btn"
+              onClick={handleDetectSpeakers}
+              disabled={detectingSpeakers}
+              title={detectingSpeakers ? 'Detecting speakers...' : 'Detect speakers'}
+            >
+              {detectingSpeakers
+                ? <CircleNotch size={16} className="spinning" />
+                : <UsersThree size={16} />}
+            </button>
+          )}
           <button
             className="icon-btn"
             onClick={copyTranscript}
@@ -246,6 +417,15 @@ function TranscriptPanel({
           >
             {copied ? <Check size={16} weight="bold" /> : <Copy size={16} />}
           </button>
+          {videoId && (
+            <ExportMenu
+              type="transcript"
+              id={videoId}
+              language={language}
+              label="Export"
+              className="transcript-export"
+            />
+          )}
         </div>
       </div>
 
@@ -255,20 +435,35 @@ function TranscriptPanel({
           {segments.map((segment, index) => {
             const isActive = index === activeIndex;
             const isSearchMatch = searchQuery && filteredIndices.includes(index);
-            const isHidden = searchQuery && !isSearchMatch;
+            const isOtherSpeaker = speakerFilter && segment.speaker !== speakerFilter;
+            const isHidden = (searchQuery && !isSearchMatch) || isOtherSpeaker;
+            const showSpeaker = hasSpeakers && segment.speaker &&
+              segment.speaker !== segments[index - 1]?.speaker;
+            const speaker = speakerInfo[segment.speaker];
 
             return (
-              <span
-                key={index}
-                ref={(el) => (segmentRefs.current[index] = el)}
-                className={`text-segment ${isActive ? 'active' : ''} ${isHidden ? 'dimmed' : ''}`}
-                data-segment-index={index}
-                onClick={() => onSeek?.(segment.start)}
-                title="Click to seek"
-              >
-                {highlightText(segment.text, searchQuery)}
-                {' '}
-              </span>
+              <React.Fragment key={index}>
+                {showSpeaker && (
+                  <span
+                    className={`speaker-label ${index === 0 ? 'first' : ''} ${isOtherSpeaker ? 'dimmed' : ''}`}
+                    style={{ color: speaker?.color }}
+                    onClick={() => handleRenameSpeaker(segment.speaker)}
+                    title="Click to rename speaker"
+                  >
+                    {speaker?.name || segment.speaker}
+                  </span>
+                )}
+                <span
+                  ref={(el) => (segmentRefs.current[index] = el)}
+                  className={`text-segment ${isActive ? 'active' : ''} ${isHidden ? 'dimmed' : ''}`}
+                  data-segment-index={index}
+                  onClick={() => onSeek?.(segment.start)}
+                  title="Click to seek"
+                >
+                  {highlightText(segment.text, searchQuery)}
+                  {' '}
+                </span>
+              </React.Fragment>
             );
           })}
         </p>
@@ -317,6 +512,35 @@ const styles = `
     background: #fafafa;
   }
 
+  .language-switcher {
+    display: flex;
+    align-items: center;
+    gap: 0.375rem;
+    color: #6b7280;
+  }
+
+  .language-switcher select {
+    max-width: 180px;
+    padding: 0.25rem 0.375rem;
+    font-size: 0.75rem;
+    color: #374151;
+    background: white;
+    border: 1px solid #d1d5db;
+    border-radius: 6px;
+    cursor: pointer;
+  }
+
+  .language-switcher select:disabled {
+    opacity: 0.6;
+    cursor: wait;
+  }
+
+  .transcript-export .export-menu-button {
+    padding: 0.25rem 0.5rem;
+    font-size: 0.6875rem;
+    gap: 0.25rem;
+  }
+
   .header-actions {
     display: flex;
     align-items: center;
@@ -459,6 +683,40 @@ const styles = `
     opacity: 0.35;
   }
 
+  .speaker-label {
+    display: block;
+    margin-top: 0.75rem;
+    font-size: 0.75rem;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: 0.03em;
+    cursor: pointer;
+    user-select: none;
+  }
+
+  .speaker-label.first {
+    margin-top: 0;
+  }
+
+  .speaker-label:hover {
+    text-decoration: underline;
+  }
+
+  .speaker-label.dimmed {
+    opacity: 0.35;
+  }
+
+  .speaker-filter {
+    max-width: 140px;
+    padding: 0.25rem 0.375rem;
+    font-size: 0.75rem;
+    color: #374151;
+    background: white;
+    border: 1px solid #d1d5db;
+    border-radius: 6px;
+    cursor: pointer;
+  }
+
   .text-segment mark {
     background: #fef08a;
     color: inherit;
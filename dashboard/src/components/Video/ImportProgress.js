@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { CircleNotch, CheckCircle, XCircle, ListPlus } from '@phosphor-icons/react';
+import videoService from '../../services/videoService';
+import { useJobEvents } from '../../hooks/useJobEvents';
+
+const STATUS_LABELS = {
+  pending: 'Starting import...',
+  expanding: 'Finding videos...',
+  processing: 'Fetching metadata and transcripts...',
+  completed: 'Import complete',
+  failed: 'Import failed'
+};
+
+/**
+ * ImportProgress Component
+ * Shows live progress of a bulk import batch and links to the imported videos
+ */
+function ImportProgress({ batch: initialBatch }) {
+  const [batch, setBatch] = useState(initialBatch);
+  const [videos, setVideos] = useState([]);
+
+  const isFinished = batch.status === 'completed' || batch.status === 'failed';
+
+  // Load batch state and the videos created so far
+  const fetchImport = useCallback(async () => {
+    try {
+      const response = await videoService.getImport(initialBatch.id);
+      setBatch(response.data.batch);
+      setVideos(response.data.videos);
+    } catch (error) {
+      console.error('Failed to fetch import:', error);
+    }
+  }, [initialBatch.id]);
+
+  const { connected: socketConnected } = useJobEvents({
+    onImportProgress: (updatedBatch) => {
+      if (updatedBatch.id !== initialBatch.id) return;
+      setBatch(updatedBatch);
+
+      // Refresh the video list once videos exist and when the import ends
+      if (updatedBatch.status !== 'expanding') {
+        fetchImport();
+      }
+    }
+  });
+
+  useEffect(() => {
+    setBatch(initialBatch);
+    setVideos([]);
+  }, [initialBatch]);
+
+  // Poll only while the socket is down
+  useEffect(() => {
+    if (socketConnected || isFinished) {
+      return undefined;
+    }
+
+    const interval = setInterval(fetchImport, 5000);
+    return () => clearInterval(interval);
+  }, [socketConnected, isFinished, fetchImport]);
+
+  const processed = batch.completed_count + batch.failed_count;
+  const progress = batch.created_count > 0
+    ? Math.round((processed / batch.created_count) * 100)
+    : (batch.status === 'completed' ? 100 : 0);
+
+  return (
+    <div className={`import-progress import-${batch.status}`}>
+      <div className="import-progress-header">
+        {batch.status === 'completed' && <CheckCircle size={20} weight="fill" />}
+        {batch.status === 'failed' && <XCircle size={20} weight="fill" />}
+        {!isFinished && <CircleNotch size={20} className="spinning" />}
+        <div>
+          <span className="import-progress-title">
+            {batch.title || <><ListPlus size={16} /> Bulk import</>}
+          </span>
+          <span className="import-progress-status">{STATUS_LABELS[batch.status]}</span>
+        </div>
+      </div>
+
+      {batch.status !== 'pending' && batch.status !== 'expanding' && (
+        <>
+          <div className="upload-progress-bar">
+            <div className="upload-progress-fill" style={{ width: `${progress}%` }} />
+          </div>
+          <div className="import-progress-counts">
+            <span>{batch.total_count} found</span>
+            <span>{batch.created_count} new</span>
+            {batch.skipped_count > 0 && <span>{batch.skipped_count} already in library</span>}
+            <span>{batch.completed_count} processed</span>
+            {batch.failed_count > 0 && <span className="import-failed-count">{batch.failed_count} failed</span>}
+          </div>
+        </>
+      )}
+
+      {batch.error_message && (
+        <div className="error-message">{batch.error_message}</div>
+      )}
+
+      {videos.length > 0 && (
+        <ul className="import-video-list">
+          {videos.map(video => (
+            <li key={video.id}>
+              <Link to={`/app/video/${video.id}`}>{video.title || video.youtube_id}</Link>
+              <span className="import-video-status">{video.analysis_status}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <style>{`
+        .import-progress {
+          margin-top: 1.5rem;
+          padding: 1.25rem;
+          border: 1px solid #e5e7eb;
+          border-radius: 12px;
+          background: #f9fafb;
+        }
+
+        .import-progress-header {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+          margin-bottom: 1rem;
+          color: #1a73e8;
+        }
+
+        .import-completed .import-progress-header {
+          color: #059669;
+        }
+
+        .import-failed .import-progress-header {
+          color: #dc2626;
+        }
+
+        .import-progress-title {
+          display: flex;
+          align-items: center;
+          gap: 0.375rem;
+          font-weight: 600;
+          color: #111827;
+        }
+
+        .import-progress-status {
+          display: block;
+          font-size: 0.875rem;
+          color: #6b7280;
+        }
+
+        .import-progress-counts {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 1rem;
+          margin-top: 0.5rem;
+          font-size: 0.875rem;
+          color: #6b7280;
+        }
+
+        .import-failed-count {
+          color: #dc2626;
+        }
+
+        .import-video-list {
+          list-style: none;
+          margin: 1rem 0 0 0;
+          padding: 0;
+          max-height: 240px;
+          overflow-y: auto;
+        }
+
+        .import-video-list li {
+          display: flex;
+          justify-content: space-between;
+          gap: 1rem;
+          padding: 0.5rem 0;
+          border-top: 1px solid #e5e7eb;
+          font-size: 0.875rem;
+        }
+
+        .import-video-list a {
+          color: #1a73e8;
+          text-decoration: none;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .import-video-status {
+          color: #6b7280;
+          white-space: nowrap;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default ImportProgress;
@@ -1,16 +1,41 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { X, CircleNotch } from '@phosphor-icons/react';
+import { X, CircleNotch, UploadSimple, FileVideo, LinkSimple, ListPlus } from '@phosphor-icons/react';
+import { formatFileSize } from '../../utils/formatters';
+
+// Accepted upload containers
+const ACCEPTED_EXTENSIONS = ['.mp4', '.webm', '.mkv'];
+
+// Playlist and channel URLs accepted by bulk import
+const importPatterns = [
+  /youtube\.com\/playlist\?(?:.*&)?list=[a-zA-Z0-9_-]+/,
+  /youtube\.com\/(@[^/?#]+|channel\/[^/?#]+|c\/[^/?#]+|user\/[^/?#]+)/
+];
 
 /**
  * VideoInput Component
- * Large input field for YouTube URLs with validation
+ * Large input field for YouTube URLs with validation,
+ * plus a drag-and-drop upload mode when onUpload is provided
+ * and a playlist/channel import mode when onImport is provided
  */
-function VideoInput({ onSubmit, disabled = false }) {
+function VideoInput({ onSubmit, onUpload, onImport, disabled = false }) {
+  const [mode, setMode] = useState('url');
   const [url, setUrl] = useState('');
   const [error, setError] = useState('');
   const [isValidating, setIsValidating] = useState(false);
   const inputRef = useRef(null);
 
+  // Upload mode state
+  const [file, setFile] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const fileInputRef = useRef(null);
+
+  // Import mode state
+  const [importText, setImportText] = useState('');
+  const [analyzeFrames, setAnalyzeFrames] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+
   // YouTube URL patterns for validation
   const youtubePatterns = [
     /(?:youtube\.com\/watch\?v=)([a-zA-Z0-9_-]{11})/,
@@ -111,53 +136,317 @@ function VideoInput({ onSubmit, disabled = false }) {
     inputRef.current?.focus();
   };
 
+  /**
+   * Validate and select a file for upload
+   */
+  const selectFile = (selectedFile) => {
+    if (!selectedFile) return;
+
+    const name = selectedFile.name.toLowerCase();
+    if (!ACCEPTED_EXTENSIONS.some(ext => name.endsWith(ext))) {
+      setError('Unsupported file type. Please choose an MP4, WebM or MKV file.');
+      return;
+    }
+
+    setFile(selectedFile);
+    setError('');
+    setUploadProgress(0);
+  };
+
+  /**
+   * Drag-and-drop handlers
+   */
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!isUploading) {
+      setIsDragging(true);
+    }
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (isUploading || disabled) return;
+    selectFile(e.dataTransfer.files?.[0]);
+  };
+
+  /**
+   * Handle upload submission
+   */
+  const handleUpload = async (e) => {
+    if (e) {
+      e.preventDefault();
+    }
+
+    if (!file) {
+      setError('Please choose a video file');
+      return;
+    }
+
+    setIsUploading(true);
+    setUploadProgress(0);
+    setError('');
+
+    try {
+      await onUpload(file, setUploadProgress);
+      setFile(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to upload video');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  /**
+   * Handle import submission
+   */
+  const handleImport = async (e) => {
+    if (e) {
+      e.preventDefault();
+    }
+
+    const urls = importText.split(/[\s,]+/).map(line => line.trim()).filter(Boolean);
+
+    if (urls.length === 0) {
+      setError('Please enter a playlist, channel or video URLs');
+      return;
+    }
+
+    const invalid = urls.filter(value =>
+      !importPatterns.some(pattern => pattern.test(value)) &&
+      !youtubePatterns.some(pattern => pattern.test(value))
+    );
+
+    if (invalid.length > 0) {
+      setError(`Not a YouTube video, playlist or channel URL: ${invalid[0]}`);
+      return;
+    }
+
+    setIsImporting(true);
+    setError('');
+
+    try {
+      await onImport(urls, { analyzeFrames });
+      setImportText('');
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to start import');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  /**
+   * Switch between URL, upload and import modes
+   */
+  const handleModeChange = (newMode) => {
+    if (isUploading || isValidating || isImporting) return;
+    setMode(newMode);
+    setError('');
+  };
+
   return (
     <div className="video-input-container">
-      <form onSubmit={handleSubmit}>
-        <div className="input-wrapper">
-          <input
-            ref={inputRef}
-            type="text"
-            value={url}
-            onChange={handleChange}
-            onPaste={handlePaste}
-            onKeyPress={handleKeyPress}
-            placeholder="Paste a YouTube URL to analyze..."
-            disabled={disabled || isValidating}
-            className={`video-input ${error ? 'error' : ''}`}
-            autoFocus
-          />
-          {url && !isValidating && (
+      {(onUpload || onImport) && (
+        <div className="input-mode-tabs" role="tablist">
+          <button
+            type="button"
+            role="tab"
+            aria-selected={mode === 'url'}
+            className={`input-mode-tab ${mode === 'url' ? 'active' : ''}`}
+            onClick={() => handleModeChange('url')}
+          >
+            <LinkSimple size={18} />
+            YouTube URL
+          </button>
+          {onUpload && (
             <button
               type="button"
-              onClick={handleClear}
-              className="clear-button"
-              aria-label="Clear input"
+              role="tab"
+              aria-selected={mode === 'upload'}
+              className={`input-mode-tab ${mode === 'upload' ? 'active' : ''}`}
+              onClick={() => handleModeChange('upload')}
             >
-              <X size={20} weight="bold" />
+              <UploadSimple size={18} />
+              Upload File
             </button>
           )}
-          {isValidating && (
-            <div className="loading-indicator">
-              <CircleNotch size={20} weight="bold" className="spinning" />
-            </div>
+          {onImport && (
+            <button
+              type="button"
+              role="tab"
+              aria-selected={mode === 'import'}
+              className={`input-mode-tab ${mode === 'import' ? 'active' : ''}`}
+              onClick={() => handleModeChange('import')}
+            >
+              <ListPlus size={18} />
+              Import Playlist
+            </button>
           )}
         </div>
+      )}
+
+      {mode === 'import' && onImport ? (
+        <form onSubmit={handleImport}>
+          <textarea
+            value={importText}
+            onChange={(e) => {
+              setImportText(e.target.value);
+              setError('');
+            }}
+            placeholder="Paste a playlist or channel URL, or several video URLs (one per line)..."
+            disabled={disabled || isImporting}
+            className={`video-input import-input ${error ? 'error' : ''}`}
+            rows={5}
+          />
+
+          <label className="import-option">
+            <input
+              type="checkbox"
+              checked={analyzeFrames}
+              onChange={(e) => setAnalyzeFrames(e.target.checked)}
+              disabled={disabled || isImporting}
+            />
+            Also run frame analysis on each video
+          </label>
+
+          {error && (
+            <div className="error-message">
+              {error}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={!importText.trim() || disabled || isImporting}
+            className="analyze-button"
+          >
+            {isImporting ? 'Starting import...' : 'Import Videos'}
+          </button>
+        </form>
+      ) : mode === 'upload' && onUpload ? (
+        <form onSubmit={handleUpload}>
+          <div
+            className={`upload-dropzone ${isDragging ? 'dragging' : ''} ${error ? 'error' : ''}`}
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+            onClick={() => !isUploading && fileInputRef.current?.click()}
+          >
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={ACCEPTED_EXTENSIONS.join(',')}
+              onChange={(e) => selectFile(e.target.files?.[0])}
+              disabled={disabled || isUploading}
+              hidden
+            />
+            {file ? (
+              <div className="upload-file">
+                <FileVideo size={32} weight="duotone" />
+                <div className="upload-file-info">
+                  <span className="upload-file-name">{file.name}</span>
+                  <span className="upload-file-size">{formatFileSize(file.size)}</span>
+                </div>
+                {!isUploading && (
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setFile(null);
+                    }}
+                    className="clear-button"
+                    aria-label="Remove file"
+                  >
+                    <X size={20} weight="bold" />
+                  </button>
+                )}
+              </div>
+            ) : (
+              <div className="upload-prompt">
+                <UploadSimple size={32} weight="duotone" />
+                <span>Drag and drop a video here, or click to browse</span>
+                <small>MP4, WebM or MKV</small>
+              </div>
+            )}
+          </div>
+
+          {isUploading && (
+            <div className="upload-progress" aria-label="Upload progress">
+              <div className="upload-progress-bar">
+                <div className="upload-progress-fill" style={{ width: `${uploadProgress}%` }} />
+              </div>
+              <span className="upload-progress-label">
+                {uploadProgress < 100 ? `Uploading... ${uploadProgress}%` : 'Processing file...'}
+              </span>
+            </div>
+          )}
+
+          {error && (
+            <div className="error-message">
+              {error}
+            </div>
+          )}
 
-        {error && (
-          <div className="error-message">
-            {error}
+          <button
+            type="submit"
+            disabled={!file || disabled || isUploading}
+            className="analyze-button"
+          >
+            {isUploading ? 'Uploading...' : 'Upload & Analyze'}
+          </button>
+        </form>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <div className="input-wrapper">
+            <input
+              ref={inputRef}
+              type="text"
+              value={url}
+              onChange={handleChange}
+              onPaste={handlePaste}
+              onKeyPress={handleKeyPress}
+              placeholder="Paste a YouTube URL to analyze..."
+              disabled={disabled || isValidating}
+              className={`video-input ${error ? 'error' : ''}`}
+              autoFocus
+            />
+            {url && !isValidating && (
+              <button
+                type="button"
+                onClick={handleClear}
+                className="clear-button"
+                aria-label="Clear input"
+              >
+                <X size={20} weight="bold" />
+              </button>
+            )}
+            {isValidating && (
+              <div className="loading-indicator">
+                <CircleNotch size={20} weight="bold" className="spinning" />
+              </div>
+            )}
           </div>
-        )}
 
-        <button
-          type="submit"
-          disabled={!url.trim() || disabled || isValidating}
-          className="analyze-button"
-        >
-          {isValidating ? 'Validating...' : 'Analyze Video'}
-        </button>
-      </form>
+          {error && (
+            <div className="error-message">
+              {error}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={!url.trim() || disabled || isValidating}
+            className="analyze-button"
+          >
+            {isValidating ? 'Validating...' : 'Analyze Video'}
+          </button>
+        </form>
+      )}
 
       <style>{`
         .video-input-container {
@@ -288,6 +577,142 @@ function VideoInput({ onSubmit, disabled = false }) {
           cursor: not-allowed;
           opacity: 0.6;
         }
+
+        .input-mode-tabs {
+          display: flex;
+          gap: 0.5rem;
+          margin-bottom: 1rem;
+        }
+
+        .input-mode-tab {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 0.5rem 1rem;
+          font-size: 0.875rem;
+          font-weight: 500;
+          color: #6b7280;
+          background: none;
+          border: 1px solid #d1d5db;
+          border-radius: 8px;
+          cursor: pointer;
+          transition: all 0.2s;
+          font-family: inherit;
+        }
+
+        .input-mode-tab.active {
+          color: #1a73e8;
+          border-color: #1a73e8;
+          background-color: rgba(26, 115, 232, 0.06);
+        }
+
+        .upload-dropzone {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          min-height: 140px;
+          padding: 1.5rem;
+          margin-bottom: 1rem;
+          border: 2px dashed #d1d5db;
+          border-radius: 12px;
+          background: white;
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .upload-dropzone:hover,
+        .upload-dropzone.dragging {
+          border-color: #1a73e8;
+          background-color: rgba(26, 115, 232, 0.04);
+        }
+
+        .upload-dropzone.error {
+          border-color: #dc2626;
+        }
+
+        .upload-prompt {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 0.5rem;
+          color: #6b7280;
+          text-align: center;
+        }
+
+        .upload-file {
+          display: flex;
+          align-items: center;
+          gap: 1rem;
+          width: 100%;
+          color: #1a73e8;
+        }
+
+        .upload-file .clear-button {
+          position: static;
+          transform: none;
+          margin-left: auto;
+        }
+
+        .upload-file-info {
+          display: flex;
+          flex-direction: column;
+          min-width: 0;
+        }
+
+        .upload-file-name {
+          color: #111827;
+          font-weight: 500;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .upload-file-size {
+          color: #6b7280;
+          font-size: 0.875rem;
+        }
+
+        .upload-progress {
+          margin-bottom: 1rem;
+        }
+
+        .upload-progress-bar {
+          height: 8px;
+          background-color: #e5e7eb;
+          border-radius: 4px;
+          overflow: hidden;
+        }
+
+        .upload-progress-fill {
+          height: 100%;
+          background-color: #1a73e8;
+          transition: width 0.2s;
+        }
+
+        .import-input {
+          display: block;
+          padding-right: 1.25rem;
+          font-size: 1rem;
+          resize: vertical;
+          margin-bottom: 0.75rem;
+        }
+
+        .import-option {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          margin-bottom: 1rem;
+          font-size: 0.875rem;
+          color: #374151;
+          cursor: pointer;
+        }
+
+        .upload-progress-label {
+          display: block;
+          margin-top: 0.5rem;
+          font-size: 0.875rem;
+          color: #6b7280;
+        }
       `}</style>
     </div>
   );
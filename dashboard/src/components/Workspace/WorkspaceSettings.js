@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from 'react';
+import { UserPlus, Trash } from '@phosphor-icons/react';
+import { useAuth } from '../../contexts/AuthContext';
+import workspaceService from '../../services/workspaceService';
+
+const ROLE_OPTIONS = [
+  { value: 'viewer', label: 'Viewer' },
+  { value: 'editor', label: 'Editor' },
+  { value: 'owner', label: 'Owner' }
+];
+
+const ROLE_HELP = 'Viewers can browse the library, editors can add and change videos, folders, tags and saves, and owners also manage members.';
+
+/**
+ * WorkspaceSettings - Members and roles of the active workspace, plus creating new workspaces
+ * Owners invite existing accounts by email and change roles; other members can leave.
+ */
+function WorkspaceSettings() {
+  const { user } = useAuth();
+  const [workspace, setWorkspace] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('viewer');
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    workspaceService.getAll()
+      .then(async (response) => {
+        const current = response.data.current;
+        setWorkspace(current);
+        const membersResponse = await workspaceService.getMembers(current.id);
+        setMembers(membersResponse.data.members);
+      })
+      .catch((err) => {
+        console.error('Error loading workspace:', err);
+        setError('Failed to load workspace');
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const isOwner = workspace?.role === 'owner';
+
+  const runAction = async (action) => {
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Something went wrong');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleAddMember = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await workspaceService.addMember(workspace.id, { email, role });
+      setMembers(prev => [...prev, response.data.member]);
+      setEmail('');
+    });
+  };
+
+  const handleRoleChange = (memberId, newRole) => {
+    runAction(async () => {
+      const response = await workspaceService.updateMember(workspace.id, memberId, newRole);
+      setMembers(prev => prev.map(member => (member.id === memberId ? response.data.member : member)));
+    });
+  };
+
+  const handleRemove = (memberId) => {
+    const isLeaving = memberId === user?.id;
+    const message = isLeaving
+      ? `Leave "${workspace.name}"? You will lose access to its library.`
+      : 'Remove this member from the workspace?';
+
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    runAction(async () => {
+      await workspaceService.removeMember(workspace.id, memberId);
+      if (isLeaving) {
+        window.location.assign('/app');
+        return;
+      }
+      setMembers(prev => prev.filter(member => member.id !== memberId));
+    });
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete "${workspace.name}" with all of its videos, folders, tags and saves? This cannot be undone.`)) {
+      return;
+    }
+
+    runAction(async () => {
+      await workspaceService.delete(workspace.id);
+      window.location.assign('/app');
+    });
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await workspaceService.create(newWorkspaceName);
+      await workspaceService.switch(response.data.workspace.id);
+      window.location.assign('/app');
+    });
+  };
+
+  if (loading) {
+    return <p className="help-text">Loading...</p>;
+  }
+
+  if (!workspace) {
+    return error ? <p style={styles.error}>{error}</p> : null;
+  }
+
+  return (
+    <div>
+      {error && <p style={styles.error}>{error}</p>}
+
+      <div style={styles.heading}>
+        <strong>{workspace.name}</strong>
+        <span style={styles.role}>{workspace.role}</span>
+      </div>
+
+      {workspace.is_personal ? (
+        <p className="help-text" style={{ marginTop: 0 }}>
+          Your personal workspace is private to you. Create a shared workspace to work on a library with others.
+        </p>
+      ) : (
+        <>
+          {members.map(member => (
+            <div key={member.id} style={styles.row}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={styles.name}>
+                  {[member.first_name, member.last_name].filter(Boolean).join(' ') || member.email}
+                  {member.id === user?.id && ' (you)'}
+                </div>
+                <div style={styles.meta}>{member.email}</div>
+              </div>
+              {isOwner ? (
+                <select
+                  value={member.role}
+                  onChange={(e) => handleRoleChange(member.id, e.target.value)}
+                  disabled={isSubmitting}
+                  style={styles.select}
+                  aria-label={`Role of ${member.email}`}
+                >
+                  {ROLE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              ) : (
+                <span style={styles.role}>{member.role}</span>
+              )}
+              {(isOwner || member.id === user?.id) && (
+                <button
+                  type="button"
+                  onClick={() => handleRemove(member.id)}
+                  disabled={isSubmitting}
+                  style={styles.dangerButton}
+                >
+                  {member.id === user?.id ? 'Leave' : 'Remove'}
+                </button>
+              )}
+            </div>
+          ))}
+
+          {isOwner && (
+            <form onSubmit={handleAddMember} style={styles.form}>
+              <input
+                type="email"
+                className="input"
+                placeholder="colleague@example.com"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+              <select value={role} onChange={(e) => setRole(e.target.value)} style={styles.select}>
+                {ROLE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <button type="submit" className="button button-secondary" disabled={isSubmitting || !email.trim()} style={styles.iconButton}>
+                <UserPlus size={16} /> Add
+              </button>
+            </form>
+          )}
+          <p className="help-text">{ROLE_HELP}</p>
+
+          {isOwner && (
+            <button type="button" onClick={handleDelete} disabled={isSubmitting} style={{ ...styles.dangerButton, ...styles.iconButton, marginTop: '1rem' }}>
+              <Trash size={16} /> Delete workspace
+            </button>
+          )}
+        </>
+      )}
+
+      <form onSubmit={handleCreate} style={{ ...styles.form, marginTop: '1.5rem' }}>
+        <input
+          type="text"
+          className="input"
+          placeholder="New workspace name"
+          value={newWorkspaceName}
+          onChange={(e) => setNewWorkspaceName(e.target.value)}
+          maxLength={255}
+          required
+        />
+        <button type="submit" className="button button-secondary" disabled={isSubmitting || !newWorkspaceName.trim()}>
+          Create
+        </button>
+      </form>
+    </div>
+  );
+}
+
+const styles = {
+  heading: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '12px',
+    color: '#111827'
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '12px 0',
+    borderBottom: '1px solid #f3f4f6'
+  },
+  name: {
+    fontSize: '0.875rem',
+    fontWeight: 500,
+    color: '#111827'
+  },
+  meta: {
+    marginTop: '2px',
+    fontSize: '0.75rem',
+    color: '#6b7280'
+  },
+  role: {
+    padding: '2px 8px',
+    borderRadius: '10px',
+    fontSize: '0.75rem',
+    fontWeight: 600,
+    textTransform: 'capitalize',
+    color: '#4338ca',
+    backgroundColor: '#eef2ff'
+  },
+  select: {
+    padding: '6px 8px',
+    borderRadius: '6px',
+    border: '1px solid #d1d5db',
+    fontSize: '0.8125rem',
+    backgroundColor: '#ffffff'
+  },
+  form: {
+    display: 'flex',
+    gap: '8px',
+    alignItems: 'center',
+    marginTop: '12px'
+  },
+  iconButton: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '6px',
+    whiteSpace: 'nowrap'
+  },
+  dangerButton: {
+    padding: '6px 10px',
+    borderRadius: '6px',
+    border: '1px solid #fecaca',
+    backgroundColor: '#ffffff',
+    color: '#dc2626',
+    fontSize: '0.8125rem',
+    cursor: 'pointer'
+  },
+  error: {
+    margin: '0 0 12px',
+    color: '#b91c1c',
+    fontSize: '0.875rem'
+  }
+};
+
+export default WorkspaceSettings;
@@ -0,0 +1 @@
+export { default as WorkspaceSettings } from './WorkspaceSettings';
@@ -1,46 +1,72 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import api from '../services/api';
+import socketService from '../services/socketService';
 
 const AuthContext = createContext(null);
 
+/**
+ * Add camelCase aliases for the user fields the UI reads
+ * The API returns database column names (first_name, avatar_url, ...)
+ * @param {object|null} user - User from the API
+ * @returns {object|null}
+ */
+function normalizeUser(user) {
+  if (!user) {
+    return null;
+  }
+
+  return {
+    ...user,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    avatarUrl: user.avatar_url,
+    emailVerified: user.email_verified
+  };
+}
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
-  useEffect(() => {
-    checkAuth();
-  }, []);
-
-  const checkAuth = async () => {
+  const checkAuth = useCallback(async () => {
     try {
       const response = await api.get('/auth/me');
-      setUser(response.data.user);
+      setUser(normalizeUser(response.data.user));
     } catch (error) {
       setUser(null);
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
+
+  useEffect(() => {
+    checkAuth();
+  }, [checkAuth]);
 
   const login = async (email, password) => {
     const response = await api.post('/auth/login', { email, password });
-    setUser(response.data.user);
+    setUser(normalizeUser(response.data.user));
     return response.data;
   };
 
   const register = async (data) => {
     const response = await api.post('/auth/register', data);
-    setUser(response.data.user);
+    setUser(normalizeUser(response.data.user));
     return response.data;
   };
 
+  const updateUser = (updatedUser) => {
+    setUser(normalizeUser(updatedUser));
+  };
+
   const logout = async () => {
     await api.post('/auth/logout');
+    socketService.disconnect();
     setUser(null);
   };
 
   return (
-    <AuthContext.Provider value={{ user, loading, login, register, logout, checkAuth }}>
+    <AuthContext.Provider value={{ user, loading, login, register, logout, checkAuth, updateUser }}>
       {children}
     </AuthContext.Provider>
   );
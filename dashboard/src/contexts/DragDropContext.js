@@ -26,10 +26,26 @@ function SaveDragPreview({ save }) {
 }
 
 /**
- * DragDropProvider - Manages drag and drop state for saves to folders
+ * FolderDragPreview - Preview component shown when dragging a folder
+ */
+function FolderDragPreview({ folder }) {
+  return (
+    <div className="folder-drag-preview">
+      <div style={styles.preview}>
+        <span style={styles.previewTitle}>{folder.name}</span>
+        <span style={styles.previewVideo}>Move folder</span>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * DragDropProvider - Manages drag and drop state for saves and folders
+ * Folders are dragged with data { type: 'folder', ...folder }; the 'root' drop target means the top level
  * @param {Function} onDrop - Called when a save is dropped: { saveId, saveData, folderId, folderData }
+ * @param {Function} onFolderDrop - Called when a folder is dropped: { folderId, folderData, parentId }
  */
-export function DragDropProvider({ children, onDrop }) {
+export function DragDropProvider({ children, onDrop, onFolderDrop }) {
   const [activeItem, setActiveItem] = useState(null);
   const [overId, setOverId] = useState(null);
 
@@ -59,8 +75,19 @@ export function DragDropProvider({ children, onDrop }) {
   const handleDragEnd = useCallback((event) => {
     const { active, over } = event;
 
-    // If dropped on a valid target
-    if (over && active.data.current && over.data.current) {
+    // Folders dropped onto folders (or the top level) are reparented
+    if (over && active.data.current?.type === 'folder') {
+      const folderData = active.data.current;
+
+      if (onFolderDrop && over.id !== folderData.id) {
+        onFolderDrop({
+          folderId: folderData.id,
+          folderData,
+          parentId: over.id === 'root' ? null : over.id
+        });
+      }
+    } else if (over && active.data.current && over.data.current) {
+      // If dropped on a valid target
       const saveData = active.data.current;
       const folderData = over.data.current;
 
@@ -78,7 +105,7 @@ export function DragDropProvider({ children, onDrop }) {
     // Reset state
     setActiveItem(null);
     setOverId(null);
-  }, [onDrop]);
+  }, [onDrop, onFolderDrop]);
 
   const handleDragCancel = useCallback(() => {
     setActiveItem(null);
@@ -98,7 +125,8 @@ export function DragDropProvider({ children, onDrop }) {
       </DragDropContext.Provider>
 
       <DragOverlay>
-        {activeItem ? <SaveDragPreview save={activeItem} /> : null}
+        {activeItem?.type === 'folder' && <FolderDragPreview folder={activeItem} />}
+        {activeItem && activeItem.type !== 'folder' && <SaveDragPreview save={activeItem} />}
       </DragOverlay>
     </DndContext>
   );
@@ -0,0 +1,58 @@
+import { useDroppable, useDraggable, useDndContext } from '@dnd-kit/core';
+
+// Drop targets that are not user folders
+const SPECIAL_FOLDER_IDS = ['uncategorized', 'root'];
+
+/**
+ * Hook that makes a folder row a drop target for saves and folders, and draggable itself
+ * Dragged folders carry data { ...folder, type: 'folder' }. While a folder is dragged, drops
+ * onto itself, its subtree and Uncategorized are refused; the 'root' target only takes folders
+ * and smart folders take nothing.
+ * Must be used inside a DragDropProvider (or another DndContext).
+ * @param {Object} folder - Folder ({ id, name, ... }) or special target ('uncategorized', 'root')
+ * @param {Array<string>} ancestorIds - IDs of the folders above this one
+ * @returns {Object} { setNodeRef, dragProps, isOver, acceptsDrop, isDragging, isUserFolder }
+ */
+function useFolderDragDrop(folder, ancestorIds = []) {
+  const { active } = useDndContext();
+  const isUserFolder = !SPECIAL_FOLDER_IDS.includes(folder.id);
+
+  // Smart folders take neither saves nor subfolders; their contents come from their rules
+  const draggedFolder = active?.data.current?.type === 'folder' ? active.data.current : null;
+  const acceptsDrop = folder.kind !== 'smart' && (draggedFolder
+    ? folder.id !== 'uncategorized' && folder.id !== draggedFolder.id && !ancestorIds.includes(draggedFolder.id)
+    : folder.id !== 'root');
+
+  const { setNodeRef: setDropRef, isOver } = useDroppable({
+    id: folder.id,
+    data: folder, // Store folder data for access during drop
+    disabled: !acceptsDrop
+  });
+
+  const {
+    attributes,
+    listeners,
+    setNodeRef: setDragRef,
+    isDragging
+  } = useDraggable({
+    id: `folder:${folder.id}`,
+    data: { ...folder, type: 'folder' },
+    disabled: !isUserFolder
+  });
+
+  const setNodeRef = (node) => {
+    setDropRef(node);
+    setDragRef(node);
+  };
+
+  return {
+    setNodeRef,
+    dragProps: isUserFolder ? { ...listeners, ...attributes } : {},
+    isOver: isOver && acceptsDrop,
+    acceptsDrop,
+    isDragging,
+    isUserFolder
+  };
+}
+
+export default useFolderDragDrop;
@@ -3,7 +3,7 @@ import folderService from '../services/folderService';
 
 /**
  * Hook to fetch and manage folders for organizing saves
- * @returns {Object} { folders, loading, error, refreshFolders, createFolder }
+ * @returns {Object} { folders, loading, error, refetch, createFolder, updateFolder, moveFolder, deleteFolder }
  */
 function useFolders() {
   const [folders, setFolders] = useState([]);
@@ -68,12 +68,37 @@ function useFolders() {
     }
   }, []);
 
+  const moveFolder = useCallback(async (id, parentId) => {
+    try {
+      const response = await folderService.move(id, parentId);
+      const movedFolder = response.data.folder || response.data;
+
+      setFolders(prevFolders =>
+        prevFolders.map(folder =>
+          folder.id === id ? { ...folder, ...movedFolder } : folder
+        )
+      );
+
+      return movedFolder;
+    } catch (err) {
+      console.error('Error moving folder:', err);
+      throw err;
+    }
+  }, []);
+
   const deleteFolder = useCallback(async (id) => {
     try {
       await folderService.delete(id);
 
-      // Remove from state
-      setFolders(prevFolders => prevFolders.filter(folder => folder.id !== id));
+      // Remove from state; its subfolders move up to its parent
+      setFolders(prevFolders => {
+        const deleted = prevFolders.find(folder => folder.id === id);
+        return prevFolders
+          .filter(folder => folder.id !== id)
+          .map(folder =>
+            folder.parent_id === id ? { ...folder, parent_id: deleted?.parent_id ?? null } : folder
+          );
+      });
     } catch (err) {
       console.error('Error deleting folder:', err);
       throw err;
@@ -87,6 +112,7 @@ function useFolders() {
     refetch,
     createFolder,
     updateFolder,
+    moveFolder,
     deleteFolder
   };
 }
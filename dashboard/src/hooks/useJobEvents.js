@@ -0,0 +1,61 @@
+import { useState, useEffect, useRef } from 'react';
+import socketService from '../services/socketService';
+
+const EVENT_HANDLERS = {
+  'video:status': 'onVideoStatus',
+  'job:progress': 'onProgress',
+  'job:step': 'onStep',
+  'job:completed': 'onCompleted',
+  'job:failed': 'onFailed',
+  'import:progress': 'onImportProgress'
+};
+
+/**
+ * Custom hook for subscribing to real-time job events
+ * @param {object} handlers - Event callbacks
+ * @param {Function} handlers.onVideoStatus - ({ videoId, status })
+ * @param {Function} handlers.onProgress - ({ jobId, videoId, jobType, progress, step, message })
+ * @param {Function} handlers.onStep - ({ jobId, videoId, jobType, step, stepLabel })
+ * @param {Function} handlers.onCompleted - ({ jobId, videoId, jobType, result })
+ * @param {Function} handlers.onFailed - ({ jobId, videoId, jobType, error, willRetry })
+ * @param {Function} handlers.onImportProgress - (importBatch) with status and counts
+ * @returns {object} - { connected } so callers can fall back to polling
+ */
+export function useJobEvents(handlers = {}) {
+  const handlersRef = useRef(handlers);
+  const [connected, setConnected] = useState(false);
+
+  // Keep latest callbacks without resubscribing
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    const socket = socketService.getSocket();
+
+    const handleConnect = () => setConnected(true);
+    const handleDisconnect = () => setConnected(false);
+
+    setConnected(socket.connected);
+    socket.on('connect', handleConnect);
+    socket.on('disconnect', handleDisconnect);
+    socket.on('connect_error', handleDisconnect);
+
+    const listeners = Object.entries(EVENT_HANDLERS).map(([event, name]) => {
+      const listener = (payload) => handlersRef.current[name]?.(payload);
+      socket.on(event, listener);
+      return [event, listener];
+    });
+
+    return () => {
+      socket.off('connect', handleConnect);
+      socket.off('disconnect', handleDisconnect);
+      socket.off('connect_error', handleDisconnect);
+      listeners.forEach(([event, listener]) => socket.off(event, listener));
+    };
+  }, []);
+
+  return { connected };
+}
+
+export default useJobEvents;
@@ -3,7 +3,7 @@ import saveService from '../services/saveService';
 
 /**
  * Hook to fetch and manage saves (bookmarks/saved segments)
- * @param {Object} filters - Filter options (folderId, search, etc.)
+ * @param {Object} filters - Filter options (folderId, includeSubfolders, search)
  * @param {string} sortBy - Sort option (createdAt, title, etc.)
  * @returns {Object} { saves, total, loading, error, refetch }
  */
@@ -18,15 +18,18 @@ function useSaves(filters = {}, sortBy = 'created_at') {
       setLoading(true);
       setError(null);
 
+      // Map filters to GET /api/saves query params
       const params = {
-        ...filters,
-        orderBy: sortBy,
-        orderDir: 'DESC'
+        folder: filters.folderId || undefined,
+        include_subfolders: filters.folderId && filters.includeSubfolders ? 'true' : undefined,
+        q: filters.search || undefined,
+        sort: sortBy,
+        order: 'desc'
       };
 
       const response = await saveService.getAll(params);
       setSaves(response.data?.saves || response.data || []);
-      setTotal(response.data?.total || 0);
+      setTotal(response.data?.pagination?.total ?? response.data?.total ?? 0);
     } catch (err) {
       console.error('Error fetching saves:', err);
       setError(err.message || 'Failed to fetch saves');
@@ -6,6 +6,7 @@ import searchService from '../services/searchService';
  * @param {object} initialOptions - Initial search options
  * @param {Array<string>} initialOptions.types - Content types to search
  * @param {number} initialOptions.limit - Maximum results per type
+ * @param {string} initialOptions.mode - 'keyword' (default), 'semantic' or 'hybrid'
  * @param {number} initialOptions.debounceMs - Debounce delay in milliseconds (default: 300)
  * @returns {object} Search state and methods
  */
@@ -13,6 +14,7 @@ function useSearch(initialOptions = {}) {
   const {
     types = ['videos', 'saves', 'transcripts', 'frames'],
     limit = 10,
+    mode = 'keyword',
     debounceMs = 300
   } = initialOptions;
 
@@ -46,7 +48,8 @@ function useSearch(initialOptions = {}) {
       const response = await searchService.search(searchQuery.trim(), {
         types,
         limit,
-        offset: searchOffset
+        offset: searchOffset,
+        mode
       });
 
       // Only update results if this is still the latest query
@@ -64,7 +67,7 @@ function useSearch(initialOptions = {}) {
         setLoading(false);
       }
     }
-  }, [types, limit]);
+  }, [types, limit, mode]);
 
   /**
    * Fetch autocomplete suggestions
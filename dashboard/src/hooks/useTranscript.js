@@ -1,16 +1,21 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import transcriptService from '../services/transcriptService';
 
 /**
  * Custom hook for fetching and managing video transcript
  * @param {string} videoId - Video ID
+ * @param {string} language - Track language (optional, defaults to the primary track)
  * @returns {object} - Transcript data and state
  */
-export function useTranscript(videoId) {
+export function useTranscript(videoId, language = null) {
   const [transcript, setTranscript] = useState(null);
   const [segments, setSegments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [tracks, setTracks] = useState([]);
+  const [availableTracks, setAvailableTracks] = useState(null);
+  const [speakers, setSpeakers] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0);
 
   useEffect(() => {
     const fetchTranscript = async () => {
@@ -22,7 +27,7 @@ export function useTranscript(videoId) {
       try {
         setLoading(true);
         setError(null);
-        const response = await transcriptService.getByVideoId(videoId);
+        const response = await transcriptService.getByVideoId(videoId, language);
 
         if (response.data?.transcript) {
           setTranscript(response.data.transcript);
@@ -47,8 +52,89 @@ export function useTranscript(videoId) {
     };
 
     fetchTranscript();
+  }, [videoId, language, reloadKey]);
+
+  /**
+   * Load detected speakers and their names
+   */
+  const fetchSpeakers = useCallback(async () => {
+    if (!videoId) return;
+
+    try {
+      const response = await transcriptService.getSpeakers(videoId);
+      setSpeakers(response.data?.speakers || []);
+    } catch (err) {
+      console.error('Error fetching speakers:', err);
+    }
+  }, [videoId]);
+
+  useEffect(() => {
+    fetchSpeakers();
+  }, [fetchSpeakers, reloadKey]);
+
+  /**
+   * Load stored tracks and the caption tracks offered by YouTube
+   */
+  const fetchTracks = useCallback(async () => {
+    if (!videoId) return;
+
+    try {
+      const response = await transcriptService.listTracks(videoId);
+      setTracks(response.data?.tracks || []);
+      setAvailableTracks(response.data?.available || null);
+    } catch (err) {
+      console.error('Error fetching transcript tracks:', err);
+    }
   }, [videoId]);
 
+  useEffect(() => {
+    fetchTracks();
+  }, [fetchTracks, reloadKey]);
+
+  /**
+   * Fetch and store another transcript language
+   * @param {string} trackLanguage - Language code
+   * @param {boolean} translate - Translate the primary track instead of fetching a native track
+   * @returns {Promise<object>} - Stored transcript
+   */
+  const addTrack = async (trackLanguage, translate = false) => {
+    const response = await transcriptService.addTrack(videoId, trackLanguage, translate);
+    await fetchTracks();
+    return response.data?.transcript;
+  };
+
+  /**
+   * Rename a speaker
+   * @param {string} speakerKey - Speaker key (e.g. "S1")
+   * @param {string} name - New name (empty restores the default label)
+   */
+  const renameSpeaker = async (speakerKey, name) => {
+    const response = await transcriptService.renameSpeaker(videoId, speakerKey, name);
+    const updated = response.data?.speaker;
+    if (updated) {
+      setSpeakers(prev => prev.map(speaker =>
+        speaker.speaker_key === speakerKey ? updated : speaker
+      ));
+    }
+  };
+
+  /**
+   * Start speaker detection; call refresh() when the job completes
+   * @param {number} numSpeakers - Known number of speakers (optional)
+   * @returns {Promise<object>} - Queued job
+   */
+  const detectSpeakers = async (numSpeakers) => {
+    const response = await transcriptService.detectSpeakers(videoId, numSpeakers);
+    return response.data?.job;
+  };
+
+  /**
+   * Reload the transcript, tracks and speakers (e.g. after transcription or speaker detection finishes)
+   */
+  const refresh = useCallback(() => {
+    setReloadKey(key => key + 1);
+  }, []);
+
   /**
    * Find active segment based on current time
    * @param {number} currentTime - Current video time in seconds
@@ -79,6 +165,13 @@ export function useTranscript(videoId) {
     segments,
     loading,
     error,
+    tracks,
+    availableTracks,
+    addTrack,
+    speakers,
+    renameSpeaker,
+    detectSpeakers,
+    refresh,
     findActiveSegmentIndex,
     searchSegments
   };
@@ -15,7 +15,8 @@ export function useVideoShortcuts(playerRef, enabled = true) {
     const player = playerRef.current;
     const playerState = player.getPlayerState?.();
 
-    if (playerState === window.YT.PlayerState.PLAYING) {
+    // YT.PlayerState.PLAYING is 1 (also used by the HTML5 player adapter)
+    if (playerState === (window.YT?.PlayerState?.PLAYING ?? 1)) {
       player.pauseVideo();
     } else {
       player.playVideo();
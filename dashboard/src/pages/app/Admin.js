@@ -0,0 +1,131 @@
+import React from 'react';
+import { ShieldCheck } from '@phosphor-icons/react';
+import { AdminUsers, AdminQueues, AdminUsage, AdminStorage } from '../../components/Admin';
+
+function Admin() {
+  return (
+    <div className="page-container">
+      <div className="page-header">
+        <ShieldCheck size={32} weight="duotone" />
+        <h1>Admin</h1>
+      </div>
+
+      <div className="settings-section">
+        <h2 className="section-title">Users</h2>
+        <div className="card">
+          <AdminUsers />
+        </div>
+      </div>
+
+      <div className="settings-section">
+        <h2 className="section-title">Queues</h2>
+        <div className="card">
+          <AdminQueues />
+        </div>
+      </div>
+
+      <div className="settings-section">
+        <h2 className="section-title">AI Usage</h2>
+        <div className="card">
+          <AdminUsage />
+        </div>
+      </div>
+
+      <div className="settings-section">
+        <h2 className="section-title">Frame Storage</h2>
+        <div className="card">
+          <AdminStorage />
+        </div>
+      </div>
+
+      <style>{`
+        .page-container {
+          max-width: 1000px;
+          margin: 0 auto;
+        }
+
+        .page-header {
+          display: flex;
+          align-items: center;
+          gap: 1rem;
+          margin-bottom: 2rem;
+        }
+
+        .page-header h1 {
+          font-size: 2rem;
+          font-weight: 700;
+          color: #111827;
+          margin: 0;
+        }
+
+        .settings-section {
+          margin-bottom: 2rem;
+        }
+
+        .section-title {
+          font-size: 1.25rem;
+          font-weight: 600;
+          color: #111827;
+          margin-bottom: 1rem;
+        }
+
+        .card {
+          background: white;
+          border-radius: 12px;
+          padding: 2rem;
+          box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06);
+        }
+
+        .input {
+          width: 100%;
+          padding: 0.75rem;
+          border: 1px solid #d1d5db;
+          border-radius: 8px;
+          font-size: 1rem;
+          outline: none;
+        }
+
+        .input:focus {
+          border-color: #1a73e8;
+          box-shadow: 0 0 0 3px rgba(26, 115, 232, 0.1);
+        }
+
+        .button {
+          display: inline-flex;
+          align-items: center;
+          gap: 6px;
+          padding: 0.5rem 1rem;
+          border: none;
+          border-radius: 8px;
+          font-size: 0.875rem;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .button-secondary {
+          background-color: #f3f4f6;
+          color: #374151;
+          border: 1px solid #d1d5db;
+        }
+
+        .button-secondary:hover:not(:disabled) {
+          background-color: #e5e7eb;
+        }
+
+        .button:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .help-text {
+          font-size: 0.875rem;
+          color: #6b7280;
+          margin-top: 1rem;
+          margin-bottom: 0;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default Admin;
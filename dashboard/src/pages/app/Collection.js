@@ -1,29 +1,42 @@
 import React, { useState, useMemo } from 'react';
-import { GridFour, List, BookmarkSimple, CaretDown } from '@phosphor-icons/react';
+import { GridFour, List, BookmarkSimple, CaretDown, FolderStar, ShareNetwork } from '@phosphor-icons/react';
 import useSaves from '../../hooks/useSaves';
 import useFolders from '../../hooks/useFolders';
 import { useToast } from '../../contexts/ToastContext';
 import { DragDropProvider } from '../../contexts/DragDropContext';
 import saveService from '../../services/saveService';
+import folderService from '../../services/folderService';
 import {
   FolderList,
   SearchInput,
   SaveGrid,
   SaveList
 } from '../../components/Collection';
+import { FolderBreadcrumbs, SmartFolderModal } from '../../components/Folder';
+import { ShareModal } from '../../components/Share';
+import { ExportMenu } from '../../components/Export';
 
 function Collection() {
   // State
   const [viewMode, setViewMode] = useState('grid'); // 'grid' | 'list'
   const [filters, setFilters] = useState({
     folderId: null,
+    includeSubfolders: false,
     search: ''
   });
   const [sortBy, setSortBy] = useState('created_at');
+  const [smartFolderModal, setSmartFolderModal] = useState(null); // null | 'new' | folder being edited
+  const [showShareModal, setShowShareModal] = useState(false);
 
   // Hooks
   const { saves, total, loading: savesLoading, error: savesError, refetch: refetchSaves } = useSaves(filters, sortBy);
-  const { folders, loading: foldersLoading, refetch: refetchFolders } = useFolders();
+  const {
+    folders,
+    loading: foldersLoading,
+    refetch: refetchFolders,
+    createFolder,
+    updateFolder
+  } = useFolders();
   const { showToast } = useToast();
 
   // Handle folder selection
@@ -34,6 +47,15 @@ function Collection() {
     }));
   };
 
+  // Handle "include subfolders" toggle
+  const handleIncludeSubfoldersChange = (e) => {
+    const includeSubfolders = e.target.checked;
+    setFilters(prev => ({
+      ...prev,
+      includeSubfolders
+    }));
+  };
+
   // Handle search
   const handleSearch = (searchValue) => {
     setFilters(prev => ({
@@ -73,13 +95,52 @@ function Collection() {
     }
   };
 
+  // Handle folders dropped onto folders (or the top level)
+  const handleFolderDrop = async ({ folderId, folderData, parentId }) => {
+    if ((folderData.parent_id || null) === parentId) {
+      return;
+    }
+
+    try {
+      await folderService.move(folderId, parentId);
+      const parent = folders.find(f => f.id === parentId);
+      showToast(
+        parent ? `Moved "${folderData.name}" into "${parent.name}"` : `Moved "${folderData.name}" to the top level`,
+        'success'
+      );
+
+      await Promise.all([refetchSaves(), refetchFolders()]);
+    } catch (error) {
+      console.error('Error moving folder:', error);
+      showToast(error.response?.data?.error || 'Failed to move folder', 'error');
+    }
+  };
+
+  // Create a smart folder and open it, or save edited rules
+  const handleSaveSmartFolder = async (data) => {
+    if (smartFolderModal === 'new') {
+      const folder = await createFolder({ ...data, kind: 'smart' });
+      handleFolderSelect(folder.id);
+      showToast(`Smart folder "${folder.name}" created`, 'success');
+    } else {
+      await updateFolder(smartFolderModal.id, data);
+      await refetchSaves();
+      showToast('Smart folder updated', 'success');
+    }
+  };
+
+  const activeFolder = useMemo(
+    () => folders.find(f => f.id === filters.folderId) || null,
+    [filters.folderId, folders]
+  );
+  const isSmartFolder = activeFolder?.kind === 'smart';
+
   // Get active folder name
   const activeFolderName = useMemo(() => {
     if (filters.folderId === null) return 'All Saves';
     if (filters.folderId === 'uncategorized') return 'Uncategorized';
-    const folder = folders.find(f => f.id === filters.folderId);
-    return folder ? folder.name : 'All Saves';
-  }, [filters.folderId, folders]);
+    return activeFolder ? activeFolder.name : 'All Saves';
+  }, [filters.folderId, activeFolder]);
 
   // Loading state
   if (foldersLoading && savesLoading) {
@@ -91,7 +152,7 @@ function Collection() {
   }
 
   return (
-    <DragDropProvider onDrop={handleDrop}>
+    <DragDropProvider onDrop={handleDrop} onFolderDrop={handleFolderDrop}>
       <div style={styles.layout}>
         {/* Sidebar */}
         <div style={styles.sidebar}>
@@ -99,6 +160,7 @@ function Collection() {
             folders={folders}
             activeFolder={filters.folderId}
             onSelect={handleFolderSelect}
+            onCreateSmartFolder={() => setSmartFolderModal('new')}
           />
         </div>
 
@@ -106,11 +168,45 @@ function Collection() {
         <div style={styles.main}>
         {/* Header */}
         <div style={styles.header}>
+          {filters.folderId !== null && (
+            <FolderBreadcrumbs
+              folders={folders}
+              activeFolder={filters.folderId}
+              onSelect={handleFolderSelect}
+            />
+          )}
           <div style={styles.headerTitle}>
             <h1 style={styles.title}>{activeFolderName}</h1>
             <span style={styles.count}>
               {total} {total === 1 ? 'save' : 'saves'}
             </span>
+            {isSmartFolder && (
+              <button
+                onClick={() => setSmartFolderModal(activeFolder)}
+                style={styles.headerButton}
+              >
+                <FolderStar size={16} />
+                Edit rules
+              </button>
+            )}
+            {activeFolder && (
+              <button
+                onClick={() => setShowShareModal(true)}
+                style={styles.headerButton}
+              >
+                <ShareNetwork size={16} />
+                Share
+              </button>
+            )}
+            {activeFolder && (
+              <ExportMenu
+                type="flashcards"
+                source="folder"
+                id={activeFolder.id}
+                label="Flashcards"
+                onExportError={() => showToast('Failed to export flashcards', 'error')}
+              />
+            )}
           </div>
         </div>
 
@@ -124,6 +220,18 @@ function Collection() {
           />
 
           <div style={styles.toolbarRight}>
+            {/* Include saves from nested folders */}
+            {filters.folderId && filters.folderId !== 'uncategorized' && !isSmartFolder && (
+              <label style={styles.subfolderToggle}>
+                <input
+                  type="checkbox"
+                  checked={filters.includeSubfolders}
+                  onChange={handleIncludeSubfoldersChange}
+                />
+                Include subfolders
+              </label>
+            )}
+
             {/* Sort dropdown */}
             <div style={styles.sortContainer}>
               <select
@@ -204,6 +312,23 @@ function Collection() {
         </div>
       </div>
       </div>
+
+      {smartFolderModal && (
+        <SmartFolderModal
+          folder={smartFolderModal === 'new' ? null : smartFolderModal}
+          onClose={() => setSmartFolderModal(null)}
+          onSave={handleSaveSmartFolder}
+        />
+      )}
+
+      {showShareModal && activeFolder && (
+        <ShareModal
+          resourceType="folder"
+          resourceId={activeFolder.id}
+          resourceTitle={activeFolder.name}
+          onClose={() => setShowShareModal(false)}
+        />
+      )}
     </DragDropProvider>
   );
 }
@@ -262,6 +387,27 @@ const styles = {
     alignItems: 'center',
     gap: '12px'
   },
+  headerButton: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '6px 12px',
+    fontSize: '0.875rem',
+    fontWeight: 500,
+    color: '#374151',
+    backgroundColor: 'white',
+    border: '1px solid #e5e7eb',
+    borderRadius: '8px',
+    cursor: 'pointer'
+  },
+  subfolderToggle: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontSize: '0.875rem',
+    color: '#374151',
+    cursor: 'pointer'
+  },
   sortContainer: {
     position: 'relative',
     display: 'flex',
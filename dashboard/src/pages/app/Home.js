@@ -1,7 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { homeService } from '../../services/homeService';
+import { useJobEvents } from '../../hooks/useJobEvents';
 import {
   VideoCamera,
   Folder,
@@ -18,7 +19,8 @@ import {
   Image,
   TextT,
   TrendUp,
-  CaretRight
+  CaretRight,
+  Cards
 } from '@phosphor-icons/react';
 import './Home.css';
 
@@ -56,6 +58,7 @@ function formatWatchTime(seconds) {
 function StatusBadge({ status }) {
   const statusConfig = {
     completed: { label: 'Analyzed', color: '#059669', bg: '#d1fae5' },
+    transcript_unavailable: { label: 'No transcript', color: '#6b7280', bg: '#f3f4f6' },
     processing: { label: 'Processing', color: '#d97706', bg: '#fef3c7' },
     pending: { label: 'Pending', color: '#6b7280', bg: '#f3f4f6' },
     failed: { label: 'Failed', color: '#dc2626', bg: '#fee2e2' }
@@ -123,6 +126,39 @@ function Home() {
     fetchHomeData();
   }, []);
 
+  // Refresh the processing queue
+  const refreshProcessing = useCallback(async () => {
+    try {
+      const response = await homeService.getProcessingVideos();
+      setProcessing(response.data);
+    } catch (error) {
+      console.error('Failed to refresh processing videos:', error);
+    }
+  }, []);
+
+  // Real-time progress for the processing queue
+  const { connected: socketConnected } = useJobEvents({
+    onProgress: ({ videoId, jobType, progress }) => {
+      setProcessing(prev => prev.map(video =>
+        video.id === videoId ? { ...video, progress, job_type: jobType } : video
+      ));
+    },
+    onVideoStatus: refreshProcessing,
+    onCompleted: refreshProcessing,
+    onFailed: refreshProcessing
+  });
+
+  // Poll the processing queue only while the socket is down
+  useEffect(() => {
+    if (socketConnected || processing.length === 0) {
+      return;
+    }
+
+    const pollInterval = setInterval(refreshProcessing, 5000);
+
+    return () => clearInterval(pollInterval);
+  }, [socketConnected, processing.length, refreshProcessing]);
+
   const firstName = user?.firstName || user?.email?.split('@')[0] || 'there';
 
   // Get time-based greeting
@@ -206,6 +242,16 @@ function Home() {
                 <span className="stat-label">Frames Analyzed</span>
               </div>
             </div>
+
+            <Link to="/app/review" className="stat-card stat-card-link">
+              <div className="stat-icon review">
+                <Cards size={24} weight="duotone" />
+              </div>
+              <div className="stat-info">
+                <span className="stat-value">{formatNumber(stats.reviewDueToday || 0)}</span>
+                <span className="stat-label">Due Today</span>
+              </div>
+            </Link>
           </div>
         </section>
       )}
@@ -2,12 +2,14 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { VideoCamera, CheckCircle, XCircle } from '@phosphor-icons/react';
 import VideoInput from '../../components/Video/VideoInput';
+import ImportProgress from '../../components/Video/ImportProgress';
 import videoService from '../../services/videoService';
 
 function NewVideo() {
   const navigate = useNavigate();
   const [error, setError] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [importBatch, setImportBatch] = useState(null);
 
   /**
    * Handle video URL submission
@@ -41,6 +43,50 @@ function NewVideo() {
     }
   };
 
+  /**
+   * Handle local file upload
+   * @param {File} file - Video file
+   * @param {Function} onProgress - Receives upload percentage
+   */
+  const handleUpload = async (file, onProgress) => {
+    setError('');
+    setIsSubmitting(true);
+
+    try {
+      const response = await videoService.upload(file, { onProgress });
+      const { video } = response.data;
+
+      navigate(`/app/video/${video.id}`, {
+        state: { video, existing: false }
+      });
+    } catch (err) {
+      console.error('Error uploading video:', err);
+      throw err; // Let VideoInput show the error and reset progress
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Handle playlist, channel or multi-URL import
+   * @param {Array<string>} urls - URLs to import
+   * @param {object} options - Import options ({ analyzeFrames })
+   */
+  const handleImport = async (urls, options) => {
+    setError('');
+    setIsSubmitting(true);
+
+    try {
+      const response = await videoService.importVideos(urls, options);
+      setImportBatch(response.data.batch);
+    } catch (err) {
+      console.error('Error starting import:', err);
+      throw err; // Let VideoInput show the error
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
   return (
     <div className="page-container">
       <div className="page-header">
@@ -51,12 +97,19 @@ function NewVideo() {
       <div className="card">
         <div className="intro-section">
           <p className="intro-text">
-            Enter a YouTube URL to start analyzing the video. We'll extract insights,
-            generate summaries, and help you understand the content better.
+            Enter a YouTube URL, import a playlist or channel, or upload a video file to start analyzing it. We'll extract
+            insights, generate summaries, and help you understand the content better.
           </p>
         </div>
 
-        <VideoInput onSubmit={handleSubmit} disabled={isSubmitting} />
+        <VideoInput
+          onSubmit={handleSubmit}
+          onUpload={handleUpload}
+          onImport={handleImport}
+          disabled={isSubmitting}
+        />
+
+        {importBatch && <ImportProgress batch={importBatch} />}
 
         {error && (
           <div className="error-alert">
@@ -84,6 +137,14 @@ function NewVideo() {
               <CheckCircle size={18} weight="fill" />
               <code>https://www.youtube.com/v/VIDEO_ID</code>
             </li>
+            <li>
+              <CheckCircle size={18} weight="fill" />
+              <code>https://www.youtube.com/playlist?list=PLAYLIST_ID</code>
+            </li>
+            <li>
+              <CheckCircle size={18} weight="fill" />
+              <code>https://www.youtube.com/@channel</code>
+            </li>
           </ul>
         </div>
       </div>
@@ -0,0 +1,507 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Books, Plus, CircleNotch } from '@phosphor-icons/react';
+import { NewResearchForm, ResearchThread } from '../../components/Research';
+import { useToast } from '../../contexts/ToastContext';
+import researchService from '../../services/researchService';
+import exportService from '../../services/exportService';
+import { formatDate } from '../../utils/formatters';
+
+/**
+ * Research page
+ * Ask questions across a folder, a tag or a set of videos and keep the answers as threads
+ */
+function Research() {
+  const { threadId } = useParams();
+  const navigate = useNavigate();
+  const { showToast } = useToast();
+
+  const [threads, setThreads] = useState([]);
+  const [thread, setThread] = useState(null);
+  const [loadingThread, setLoadingThread] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadThreads = useCallback(() => {
+    researchService.getThreads()
+      .then(response => setThreads(response.data.threads))
+      .catch(err => console.error('Error loading research threads:', err));
+  }, []);
+
+  useEffect(() => {
+    loadThreads();
+  }, [loadThreads]);
+
+  useEffect(() => {
+    if (!threadId) {
+      setThread(null);
+      return;
+    }
+
+    setLoadingThread(true);
+    researchService.getThread(threadId)
+      .then(response => setThread(response.data.thread))
+      .catch((err) => {
+        console.error('Error loading research thread:', err);
+        showToast('Failed to load the research thread', 'error');
+        navigate('/app/research', { replace: true });
+      })
+      .finally(() => setLoadingThread(false));
+  }, [threadId, navigate, showToast]);
+
+  const handleCreate = async (scope, question) => {
+    setSubmitting(true);
+    try {
+      const response = await researchService.create(scope, question);
+      loadThreads();
+      navigate(`/app/research/${response.data.thread.id}`);
+    } catch (err) {
+      console.error('Error starting research:', err);
+      showToast(err.response?.data?.error || 'Failed to answer. Please try again.', 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAsk = async (question) => {
+    setSubmitting(true);
+    try {
+      const response = await researchService.ask(thread.id, question);
+      setThread(prev => ({
+        ...prev,
+        messages: [...prev.messages, response.data.question, response.data.answer]
+      }));
+      loadThreads();
+    } catch (err) {
+      console.error('Error asking follow-up:', err);
+      showToast(err.response?.data?.error || 'Failed to answer. Please try again.', 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const response = await researchService.export(thread.id, 'markdown');
+      exportService.downloadResponse(response, 'research.md');
+    } catch (err) {
+      console.error('Error exporting research thread:', err);
+      showToast('Failed to export the research thread', 'error');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this research thread?')) return;
+
+    try {
+      await researchService.delete(thread.id);
+      loadThreads();
+      navigate('/app/research');
+    } catch (err) {
+      console.error('Error deleting research thread:', err);
+      showToast('Failed to delete the research thread', 'error');
+    }
+  };
+
+  return (
+    <div className="page-container research-page">
+      <div className="page-header">
+        <Books size={32} weight="duotone" />
+        <h1>Research</h1>
+      </div>
+
+      <div className="research-layout">
+        <aside className="research-sidebar">
+          <button
+            type="button"
+            className={`research-thread-link ${!threadId ? 'active' : ''}`}
+            onClick={() => navigate('/app/research')}
+          >
+            <Plus size={16} /> New research
+          </button>
+          {threads.map(item => (
+            <button
+              key={item.id}
+              type="button"
+              className={`research-thread-link ${item.id === threadId ? 'active' : ''}`}
+              onClick={() => navigate(`/app/research/${item.id}`)}
+            >
+              <span className="research-thread-title">{item.title}</span>
+              <span className="research-thread-meta">
+                {item.scope_name || (item.scope_type === 'videos' ? `${item.video_count} videos` : item.scope_type)}
+                {' · '}
+                {formatDate(item.updated_at)}
+              </span>
+            </button>
+          ))}
+        </aside>
+
+        <section className="card research-main">
+          {loadingThread && (
+            <div className="research-loading">
+              <CircleNotch size={24} className="spinning" />
+            </div>
+          )}
+
+          {!loadingThread && thread && (
+            <ResearchThread
+              thread={thread}
+              asking={submitting}
+              onAsk={handleAsk}
+              onExport={handleExport}
+              onDelete={handleDelete}
+            />
+          )}
+
+          {!loadingThread && !threadId && (
+            <>
+              <p className="help-text research-intro">
+                Ask a question across the videos in a folder, under a tag, or a hand-picked set.
+                Every claim in the answer links to the video and moment it comes from.
+              </p>
+              <NewResearchForm onSubmit={handleCreate} submitting={submitting} />
+            </>
+          )}
+        </section>
+      </div>
+
+      <style>{`
+        .research-page {
+          max-width: 1200px;
+          margin: 0 auto;
+        }
+
+        .page-header {
+          display: flex;
+          align-items: center;
+          gap: 1rem;
+          margin-bottom: 2rem;
+        }
+
+        .page-header h1 {
+          font-size: 2rem;
+          font-weight: 700;
+          color: #111827;
+          margin: 0;
+        }
+
+        .research-layout {
+          display: grid;
+          grid-template-columns: 260px 1fr;
+          gap: 1.5rem;
+          align-items: start;
+        }
+
+        @media (max-width: 768px) {
+          .research-layout {
+            grid-template-columns: 1fr;
+          }
+        }
+
+        .research-sidebar {
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+        }
+
+        .research-thread-link {
+          display: flex;
+          flex-direction: column;
+          align-items: flex-start;
+          gap: 0.125rem;
+          padding: 0.625rem 0.75rem;
+          border: none;
+          border-radius: 8px;
+          background: transparent;
+          color: #374151;
+          font-size: 0.875rem;
+          text-align: left;
+          cursor: pointer;
+        }
+
+        .research-thread-link:first-child {
+          flex-direction: row;
+          align-items: center;
+          gap: 0.375rem;
+          font-weight: 600;
+        }
+
+        .research-thread-link:hover {
+          background: #f3f4f6;
+        }
+
+        .research-thread-link.active {
+          background: #e8f0fe;
+          color: #1a73e8;
+        }
+
+        .research-thread-title {
+          font-weight: 500;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          display: -webkit-box;
+          -webkit-line-clamp: 2;
+          -webkit-box-orient: vertical;
+        }
+
+        .research-thread-meta {
+          font-size: 0.75rem;
+          color: #6b7280;
+        }
+
+        .card {
+          background: white;
+          border-radius: 12px;
+          padding: 2rem;
+          box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06);
+        }
+
+        .research-loading {
+          display: flex;
+          justify-content: center;
+          padding: 2rem;
+          color: #9ca3af;
+        }
+
+        .help-text {
+          font-size: 0.875rem;
+          color: #6b7280;
+          margin: 0 0 1rem;
+        }
+
+        .input {
+          width: 100%;
+          padding: 0.75rem;
+          border: 1px solid #d1d5db;
+          border-radius: 8px;
+          font-size: 1rem;
+          font-family: inherit;
+          outline: none;
+        }
+
+        .input:focus {
+          border-color: #1a73e8;
+          box-shadow: 0 0 0 3px rgba(26, 115, 232, 0.1);
+        }
+
+        .button {
+          display: inline-flex;
+          align-items: center;
+          gap: 6px;
+          padding: 0.5rem 1rem;
+          border: none;
+          border-radius: 8px;
+          font-size: 0.875rem;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .button-primary {
+          background-color: #1a73e8;
+          color: white;
+        }
+
+        .button-primary:hover:not(:disabled) {
+          background-color: #1557b0;
+        }
+
+        .button-secondary {
+          background-color: #f3f4f6;
+          color: #374151;
+          border: 1px solid #d1d5db;
+        }
+
+        .button-secondary:hover:not(:disabled) {
+          background-color: #e5e7eb;
+        }
+
+        .button:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .research-form {
+          display: flex;
+          flex-direction: column;
+          gap: 1rem;
+          align-items: flex-start;
+        }
+
+        .research-scope-tabs {
+          display: inline-flex;
+          padding: 0.25rem;
+          border-radius: 8px;
+          background: #f3f4f6;
+        }
+
+        .research-scope-tab {
+          padding: 0.375rem 0.875rem;
+          border: none;
+          border-radius: 6px;
+          background: transparent;
+          color: #6b7280;
+          font-size: 0.875rem;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .research-scope-tab.active {
+          background: white;
+          color: #111827;
+          box-shadow: 0 1px 2px rgba(0, 0, 0, 0.08);
+        }
+
+        .research-video-list {
+          width: 100%;
+          max-height: 240px;
+          overflow-y: auto;
+          border: 1px solid #e5e7eb;
+          border-radius: 8px;
+          padding: 0.5rem;
+        }
+
+        .research-video-option {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 0.25rem;
+          font-size: 0.875rem;
+          color: #374151;
+          cursor: pointer;
+        }
+
+        .research-question {
+          resize: vertical;
+        }
+
+        .research-thread-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          gap: 1rem;
+          margin-bottom: 1.5rem;
+        }
+
+        .research-thread-header h2 {
+          margin: 0 0 0.25rem;
+          font-size: 1.25rem;
+          color: #111827;
+        }
+
+        .research-scope-label {
+          font-size: 0.8125rem;
+          color: #6b7280;
+        }
+
+        .research-thread-actions {
+          display: flex;
+          gap: 0.5rem;
+          flex-shrink: 0;
+        }
+
+        .research-messages {
+          display: flex;
+          flex-direction: column;
+          gap: 1rem;
+        }
+
+        .research-message {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .research-user .research-bubble {
+          font-weight: 600;
+          color: #111827;
+        }
+
+        .research-assistant .research-bubble {
+          padding: 0.875rem 1rem;
+          border-radius: 12px;
+          background: #f9fafb;
+          color: #1f2937;
+          line-height: 1.6;
+          white-space: pre-wrap;
+        }
+
+        .research-thinking {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          color: #6b7280;
+        }
+
+        .research-cite {
+          display: inline-block;
+          margin: 0 2px;
+          padding: 0 6px;
+          border: none;
+          border-radius: 8px;
+          background: #dbeafe;
+          color: #1d4ed8;
+          font-size: 0.75rem;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .research-cite:hover {
+          background: #bfdbfe;
+        }
+
+        .research-sources {
+          margin: 0.5rem 0 0;
+          padding-left: 1.5rem;
+          font-size: 0.75rem;
+          color: #6b7280;
+        }
+
+        .research-source {
+          display: flex;
+          align-items: center;
+          gap: 0.375rem;
+          width: 100%;
+          padding: 0.25rem 0;
+          border: none;
+          background: transparent;
+          color: inherit;
+          font-size: 0.75rem;
+          text-align: left;
+          cursor: pointer;
+        }
+
+        .research-source:hover {
+          color: #1d4ed8;
+        }
+
+        .research-source-video {
+          font-weight: 600;
+          color: #374151;
+          white-space: nowrap;
+          max-width: 40%;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+
+        .research-source-time {
+          font-weight: 600;
+          color: #1a73e8;
+        }
+
+        .research-source-excerpt {
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .research-followup {
+          display: flex;
+          gap: 0.5rem;
+          margin-top: 1.5rem;
+          padding-top: 1rem;
+          border-top: 1px solid #e5e7eb;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default Research;
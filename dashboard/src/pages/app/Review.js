@@ -0,0 +1,355 @@
+import React, { useState, useEffect } from 'react';
+import { Cards, CircleNotch, CheckCircle } from '@phosphor-icons/react';
+import { ReviewCard } from '../../components/Review';
+import { useToast } from '../../contexts/ToastContext';
+import reviewService from '../../services/reviewService';
+
+/**
+ * Review page
+ * Daily spaced-repetition session over the key points and saves the user starred
+ */
+function Review() {
+  const { showToast } = useToast();
+
+  const [queue, setQueue] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [grading, setGrading] = useState(false);
+
+  useEffect(() => {
+    reviewService.getDue()
+      .then(response => {
+        const { cards, ...deck } = response.data;
+        setQueue(cards);
+        setStats(deck);
+      })
+      .catch((err) => {
+        console.error('Error loading review cards:', err);
+        showToast('Failed to load your review cards', 'error');
+      })
+      .finally(() => setLoading(false));
+  }, [showToast]);
+
+  const card = queue[0];
+
+  const handleGrade = async (grade) => {
+    setGrading(true);
+    try {
+      const response = await reviewService.grade(card.id, grade);
+      const updated = response.data.card;
+      // Forgotten cards come back before the session ends
+      const again = updated.interval_days === 0;
+
+      setQueue(prev => (again ? [...prev.slice(1), updated] : prev.slice(1)));
+      setStats(prev => ({
+        ...prev,
+        dueToday: again ? prev.dueToday : prev.dueToday - 1,
+        reviewedToday: prev.reviewedToday + 1
+      }));
+    } catch (err) {
+      console.error('Error grading card:', err);
+      showToast('Failed to save your answer. Please try again.', 'error');
+    } finally {
+      setGrading(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove this card from your review deck?')) return;
+
+    try {
+      await reviewService.remove(card.id);
+      setQueue(prev => prev.slice(1));
+      setStats(prev => ({ ...prev, dueToday: prev.dueToday - 1, total: prev.total - 1 }));
+    } catch (err) {
+      console.error('Error removing card:', err);
+      showToast('Failed to remove the card', 'error');
+    }
+  };
+
+  return (
+    <div className="page-container review-page">
+      <div className="page-header">
+        <Cards size={32} weight="duotone" />
+        <h1>Review</h1>
+        {stats && (
+          <span className="review-counts">
+            {stats.dueToday} due today · {stats.reviewedToday} reviewed · {stats.total} in deck
+          </span>
+        )}
+      </div>
+
+      {loading && (
+        <div className="review-loading">
+          <CircleNotch size={24} className="spinning" />
+        </div>
+      )}
+
+      {!loading && card && (
+        <ReviewCard
+          card={card}
+          grading={grading}
+          onGrade={handleGrade}
+          onRemove={handleRemove}
+        />
+      )}
+
+      {!loading && !card && (
+        <div className="review-done">
+          <CheckCircle size={40} weight="duotone" />
+          <h2>{stats?.total ? 'All caught up' : 'Your review deck is empty'}</h2>
+          <p>
+            {stats?.total
+              ? 'Nothing else is due today. Come back tomorrow to keep what you learned fresh.'
+              : 'Star key points in a video\'s Key Points tab, or star a save, to review them here on a spaced schedule.'}
+          </p>
+        </div>
+      )}
+
+      <style>{`
+        .review-page {
+          max-width: 720px;
+          margin: 0 auto;
+        }
+
+        .page-header {
+          display: flex;
+          align-items: center;
+          gap: 1rem;
+          margin-bottom: 2rem;
+        }
+
+        .page-header h1 {
+          font-size: 2rem;
+          font-weight: 700;
+          color: #111827;
+          margin: 0;
+        }
+
+        .review-counts {
+          margin-left: auto;
+          font-size: 0.875rem;
+          color: #6b7280;
+        }
+
+        .review-loading {
+          display: flex;
+          justify-content: center;
+          padding: 2rem;
+          color: #9ca3af;
+        }
+
+        .button {
+          display: inline-flex;
+          align-items: center;
+          gap: 6px;
+          padding: 0.5rem 1rem;
+          border: none;
+          border-radius: 8px;
+          font-size: 0.875rem;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .button-primary {
+          background-color: #1a73e8;
+          color: white;
+        }
+
+        .button-primary:hover:not(:disabled) {
+          background-color: #1557b0;
+        }
+
+        .review-card {
+          display: flex;
+          flex-direction: column;
+          gap: 1.25rem;
+          background: white;
+          border-radius: 12px;
+          padding: 2rem;
+          box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06);
+        }
+
+        .review-card-media {
+          display: flex;
+          gap: 1rem;
+          align-items: center;
+        }
+
+        .review-card-thumbnail {
+          width: 200px;
+          aspect-ratio: 16 / 9;
+          object-fit: cover;
+          border-radius: 8px;
+          background: #f3f4f6;
+          flex-shrink: 0;
+        }
+
+        .review-card-placeholder {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          color: #9ca3af;
+        }
+
+        .review-card-source {
+          display: flex;
+          flex-direction: column;
+          align-items: flex-start;
+          gap: 0.25rem;
+          min-width: 0;
+        }
+
+        .review-card-video {
+          font-weight: 600;
+          color: #111827;
+        }
+
+        .review-card-section {
+          font-size: 0.8125rem;
+          color: #6b7280;
+        }
+
+        .review-jump {
+          display: inline-flex;
+          align-items: center;
+          gap: 0.25rem;
+          margin-top: 0.25rem;
+          padding: 0.25rem 0.625rem;
+          border: none;
+          border-radius: 8px;
+          background: #dbeafe;
+          color: #1d4ed8;
+          font-size: 0.8125rem;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .review-jump:hover {
+          background: #bfdbfe;
+        }
+
+        .review-card-front {
+          margin: 0;
+          font-size: 1.25rem;
+          font-weight: 600;
+          color: #111827;
+        }
+
+        .review-reveal {
+          align-self: center;
+        }
+
+        .review-card-back p {
+          margin: 0;
+          font-size: 1rem;
+          line-height: 1.6;
+          color: #374151;
+          white-space: pre-wrap;
+        }
+
+        .review-card-back blockquote {
+          margin: 0.75rem 0 0;
+          padding-left: 0.75rem;
+          border-left: 3px solid #e5e7eb;
+          font-size: 0.875rem;
+          color: #6b7280;
+        }
+
+        .review-grades {
+          display: grid;
+          grid-template-columns: repeat(4, 1fr);
+          gap: 0.5rem;
+        }
+
+        .review-grade {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 0.125rem;
+          padding: 0.625rem;
+          border: 1px solid #e5e7eb;
+          border-radius: 8px;
+          background: white;
+          font-size: 0.875rem;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .review-grade:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .review-grade-again { color: #dc2626; }
+        .review-grade-hard { color: #d97706; }
+        .review-grade-good { color: #16a34a; }
+        .review-grade-easy { color: #2563eb; }
+
+        .review-grade:hover:not(:disabled) {
+          background: #f9fafb;
+          border-color: currentColor;
+        }
+
+        .review-grade-interval {
+          font-size: 0.75rem;
+          font-weight: 500;
+          color: #9ca3af;
+        }
+
+        .review-remove {
+          display: inline-flex;
+          align-items: center;
+          gap: 0.25rem;
+          align-self: flex-end;
+          padding: 0;
+          border: none;
+          background: transparent;
+          color: #9ca3af;
+          font-size: 0.75rem;
+          cursor: pointer;
+        }
+
+        .review-remove:hover {
+          color: #dc2626;
+        }
+
+        .review-done {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 3rem 1rem;
+          text-align: center;
+          color: #16a34a;
+        }
+
+        .review-done h2 {
+          margin: 0;
+          font-size: 1.25rem;
+          color: #111827;
+        }
+
+        .review-done p {
+          margin: 0;
+          max-width: 420px;
+          font-size: 0.875rem;
+          color: #6b7280;
+        }
+
+        @media (max-width: 640px) {
+          .review-card-media {
+            flex-direction: column;
+            align-items: flex-start;
+          }
+
+          .review-grades {
+            grid-template-columns: repeat(2, 1fr);
+          }
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default Review;
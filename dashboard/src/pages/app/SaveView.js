@@ -2,13 +2,17 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import {
   PencilSimple,
-  Export,
   CaretRight,
   Folder,
-  Play
+  Play,
+  ShareNetwork,
+  Star
 } from '@phosphor-icons/react';
 import saveService from '../../services/saveService';
+import reviewService from '../../services/reviewService';
 import { SaveEditModal } from '../../components/Save';
+import { ShareModal } from '../../components/Share';
+import { ExportMenu } from '../../components/Export';
 import DeleteButton from '../../components/common/DeleteButton';
 import { formatTimestamp, formatDate } from '../../utils/formatters';
 
@@ -18,11 +22,19 @@ function SaveView() {
   const [save, setSave] = useState(null);
   const [loading, setLoading] = useState(true);
   const [editing, setEditing] = useState(false);
+  const [sharing, setSharing] = useState(false);
+  const [reviewCardId, setReviewCardId] = useState(null);
 
   useEffect(() => {
     loadSave();
   }, [saveId]);
 
+  useEffect(() => {
+    reviewService.getCards({ saveId })
+      .then(response => setReviewCardId(response.data.cards[0]?.id || null))
+      .catch(error => console.error('Failed to load review card:', error));
+  }, [saveId]);
+
   const loadSave = async () => {
     try {
       setLoading(true);
@@ -46,6 +58,21 @@ function SaveView() {
     }
   };
 
+  const handleToggleReview = async () => {
+    try {
+      if (reviewCardId) {
+        await reviewService.remove(reviewCardId);
+        setReviewCardId(null);
+      } else {
+        const response = await reviewService.addSave(saveId);
+        setReviewCardId(response.data.card.id);
+      }
+    } catch (error) {
+      console.error('Failed to update review deck:', error);
+      alert(error.response?.data?.error || 'Failed to update your review deck. Please try again.');
+    }
+  };
+
   const handleDelete = async () => {
     try {
       await saveService.delete(saveId);
@@ -56,33 +83,6 @@ function SaveView() {
     }
   };
 
-  const handleExport = () => {
-    // Create export data
-    const exportData = {
-      title: save.title,
-      video_title: save.video_title,
-      video_url: save.video_url,
-      notes: save.notes,
-      created_at: save.created_at,
-      folders: save.folders,
-      frames: save.frames,
-      transcript_selections: save.transcript_selections
-    };
-
-    // Create blob and download
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], {
-      type: 'application/json'
-    });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${save.title || 'save'}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  };
-
   if (loading) {
     return (
       <div style={{
@@ -209,8 +209,30 @@ function SaveView() {
             <PencilSimple size={18} />
             Edit
           </button>
+          <ExportMenu type="save" id={save.id} />
+          <ExportMenu type="flashcards" source="saves" id={[save.id]} label="Flashcards" />
           <button
-            onClick={handleExport}
+            onClick={handleToggleReview}
+            title={reviewCardId ? 'Remove from review deck' : 'Add to review deck'}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem',
+              padding: '0.5rem 1rem',
+              background: reviewCardId ? '#fffbeb' : 'white',
+              color: reviewCardId ? '#d97706' : '#374151',
+              border: `1px solid ${reviewCardId ? '#fcd34d' : '#d1d5db'}`,
+              borderRadius: '8px',
+              fontSize: '0.875rem',
+              fontWeight: '500',
+              cursor: 'pointer'
+            }}
+          >
+            <Star size={18} weight={reviewCardId ? 'fill' : 'regular'} />
+            {reviewCardId ? 'In review' : 'Review'}
+          </button>
+          <button
+            onClick={() => setSharing(true)}
             style={{
               display: 'flex',
               alignItems: 'center',
@@ -225,8 +247,8 @@ function SaveView() {
               cursor: 'pointer'
             }}
           >
-            <Export size={18} />
-            Export
+            <ShareNetwork size={18} />
+            Share
           </button>
           <DeleteButton
             onDelete={handleDelete}
@@ -448,6 +470,16 @@ function SaveView() {
           onClose={() => setEditing(false)}
         />
       )}
+
+      {/* Share Modal */}
+      {sharing && (
+        <ShareModal
+          resourceType="save"
+          resourceId={saveId}
+          resourceTitle={save.title || 'Untitled Save'}
+          onClose={() => setSharing(false)}
+        />
+      )}
     </div>
   );
 }
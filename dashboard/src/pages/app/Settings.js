@@ -1,10 +1,11 @@
 import React from 'react';
 import { Gear } from '@phosphor-icons/react';
-import { useAuth } from '../../contexts/AuthContext';
+import { ProfileForm, PasswordForm } from '../../components/Account';
+import { SharedLinksList } from '../../components/Share';
+import { WorkspaceSettings } from '../../components/Workspace';
+import { ApiTokenList } from '../../components/ApiTokens';
 
 function Settings() {
-  const { user } = useAuth();
-
   return (
     <div className="page-container">
       <div className="page-header">
@@ -15,47 +16,36 @@ function Settings() {
       <div className="settings-section">
         <h2 className="section-title">Profile</h2>
         <div className="card">
-          <div className="setting-item">
-            <label>First Name</label>
-            <input
-              type="text"
-              className="input"
-              value={user?.firstName || ''}
-              disabled
-            />
-          </div>
-          <div className="setting-item">
-            <label>Last Name</label>
-            <input
-              type="text"
-              className="input"
-              value={user?.lastName || ''}
-              disabled
-            />
-          </div>
-          <div className="setting-item">
-            <label>Email</label>
-            <input
-              type="email"
-              className="input"
-              value={user?.email || ''}
-              disabled
-            />
-          </div>
-          <p className="help-text">Profile editing will be available soon</p>
+          <ProfileForm />
         </div>
       </div>
 
       <div className="settings-section">
         <h2 className="section-title">Account</h2>
         <div className="card">
-          <div className="setting-item">
-            <label>Change Password</label>
-            <button className="button button-secondary" disabled>
-              Update Password
-            </button>
-          </div>
-          <p className="help-text">Password management will be available soon</p>
+          <PasswordForm />
+          <p className="help-text">Changing your password signs you out on every other device.</p>
+        </div>
+      </div>
+
+      <div className="settings-section">
+        <h2 className="section-title">Workspace</h2>
+        <div className="card">
+          <WorkspaceSettings />
+        </div>
+      </div>
+
+      <div className="settings-section">
+        <h2 className="section-title">Shared Links</h2>
+        <div className="card">
+          <SharedLinksList />
+        </div>
+      </div>
+
+      <div className="settings-section">
+        <h2 className="section-title">API Tokens</h2>
+        <div className="card">
+          <ApiTokenList />
         </div>
       </div>
 
@@ -108,9 +98,6 @@ function Settings() {
           margin-bottom: 1.5rem;
         }
 
-        .setting-item:last-of-type {
-          margin-bottom: 0;
-        }
 
         .setting-item label {
           display: block;
@@ -150,6 +137,15 @@ function Settings() {
           transition: all 0.2s;
         }
 
+        .button-primary {
+          background-color: #1a73e8;
+          color: white;
+        }
+
+        .button-primary:hover:not(:disabled) {
+          background-color: #1557b0;
+        }
+
         .button-secondary {
           background-color: #f3f4f6;
           color: #374151;
@@ -0,0 +1,436 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Graph, CircleNotch, ArrowClockwise } from '@phosphor-icons/react';
+import { TopicGraph, TopicDetail } from '../../components/Topics';
+import { useToast } from '../../contexts/ToastContext';
+import topicService from '../../services/topicService';
+
+/**
+ * Topics page
+ * Knowledge map of the topics across the library; picking one lists every section covering it
+ */
+function Topics() {
+  const { showToast } = useToast();
+
+  const [graph, setGraph] = useState({ nodes: [], edges: [], total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [rebuilding, setRebuilding] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [topic, setTopic] = useState(null);
+  const [merging, setMerging] = useState(false);
+
+  const loadGraph = useCallback(() => {
+    return topicService.getGraph()
+      .then(response => setGraph(response.data))
+      .catch((err) => {
+        console.error('Error loading topic graph:', err);
+        showToast('Failed to load the topic graph', 'error');
+      });
+  }, [showToast]);
+
+  useEffect(() => {
+    loadGraph().finally(() => setLoading(false));
+  }, [loadGraph]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setTopic(null);
+      return;
+    }
+
+    let cancelled = false;
+    topicService.getTopic(selectedId)
+      .then(response => {
+        if (!cancelled) setTopic(response.data.topic);
+      })
+      .catch((err) => {
+        console.error('Error loading topic:', err);
+        showToast('Failed to load the topic', 'error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedId, showToast]);
+
+  const handleRebuild = async () => {
+    setRebuilding(true);
+    try {
+      await topicService.rebuild();
+      setSelectedId(null);
+      await loadGraph();
+    } catch (err) {
+      console.error('Error rebuilding topics:', err);
+      showToast('Failed to rebuild topics', 'error');
+    } finally {
+      setRebuilding(false);
+    }
+  };
+
+  const handleMerge = async (topicIds) => {
+    setMerging(true);
+    try {
+      const response = await topicService.merge(topic.id, topicIds);
+      setTopic(response.data.topic);
+      await loadGraph();
+    } catch (err) {
+      console.error('Error merging topics:', err);
+      showToast(err.response?.data?.error || 'Failed to merge topics', 'error');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  return (
+    <div className="page-container topics-page">
+      <div className="page-header">
+        <Graph size={32} weight="duotone" />
+        <h1>Topics</h1>
+        {graph.total > graph.nodes.length && (
+          <span className="topics-counts">Showing the {graph.nodes.length} most covered of {graph.total} topics</span>
+        )}
+        <button
+          type="button"
+          className="button button-secondary topics-rebuild"
+          onClick={handleRebuild}
+          disabled={rebuilding}
+        >
+          <ArrowClockwise size={16} className={rebuilding ? 'spinning' : ''} />
+          {rebuilding ? 'Rebuilding...' : 'Rebuild'}
+        </button>
+      </div>
+
+      {loading && (
+        <div className="topics-loading">
+          <CircleNotch size={24} className="spinning" />
+        </div>
+      )}
+
+      {!loading && graph.nodes.length === 0 && (
+        <div className="topics-empty">
+          <Graph size={40} weight="duotone" />
+          <h2>No topics yet</h2>
+          <p>Topics appear here once your videos are summarized. Already have summaries? Rebuild to index them.</p>
+        </div>
+      )}
+
+      {!loading && graph.nodes.length > 0 && (
+        <div className={`topics-layout ${topic ? 'with-detail' : ''}`}>
+          <div className="topics-canvas">
+            <TopicGraph
+              nodes={graph.nodes}
+              edges={graph.edges}
+              selectedId={selectedId}
+              onSelect={setSelectedId}
+            />
+          </div>
+
+          {topic && (
+            <TopicDetail
+              topic={topic}
+              topics={graph.nodes}
+              merging={merging}
+              onSelect={setSelectedId}
+              onMerge={handleMerge}
+              onClose={() => setSelectedId(null)}
+            />
+          )}
+        </div>
+      )}
+
+      <style>{`
+        .page-header {
+          display: flex;
+          align-items: center;
+          gap: 1rem;
+          margin-bottom: 2rem;
+        }
+
+        .page-header h1 {
+          font-size: 2rem;
+          font-weight: 700;
+          color: #111827;
+          margin: 0;
+        }
+
+        .topics-counts {
+          font-size: 0.875rem;
+          color: #6b7280;
+        }
+
+        .topics-rebuild {
+          margin-left: auto;
+        }
+
+        .button {
+          display: inline-flex;
+          align-items: center;
+          gap: 6px;
+          padding: 0.5rem 1rem;
+          border: none;
+          border-radius: 8px;
+          font-size: 0.875rem;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .button-secondary {
+          background-color: #f3f4f6;
+          color: #374151;
+          border: 1px solid #d1d5db;
+        }
+
+        .button-secondary:hover:not(:disabled) {
+          background-color: #e5e7eb;
+        }
+
+        .button:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .topics-loading {
+          display: flex;
+          justify-content: center;
+          padding: 2rem;
+          color: #9ca3af;
+        }
+
+        .topics-empty {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 3rem 1rem;
+          text-align: center;
+          color: #9ca3af;
+        }
+
+        .topics-empty h2 {
+          margin: 0;
+          font-size: 1.25rem;
+          color: #111827;
+        }
+
+        .topics-empty p {
+          margin: 0;
+          max-width: 420px;
+          font-size: 0.875rem;
+          color: #6b7280;
+        }
+
+        .topics-layout {
+          display: grid;
+          grid-template-columns: 1fr;
+          gap: 1.5rem;
+          align-items: start;
+        }
+
+        .topics-layout.with-detail {
+          grid-template-columns: minmax(0, 1fr) 360px;
+        }
+
+        .topics-canvas {
+          background: white;
+          border-radius: 12px;
+          box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06);
+          overflow: hidden;
+        }
+
+        .topic-graph {
+          display: block;
+          width: 100%;
+          height: 640px;
+        }
+
+        .topic-edge {
+          stroke: #d1d5db;
+          transition: opacity 0.15s;
+        }
+
+        .topic-edge.lit {
+          stroke: #1a73e8;
+        }
+
+        .topic-edge.dim {
+          opacity: 0.25;
+        }
+
+        .topic-node {
+          cursor: pointer;
+          transition: opacity 0.15s;
+        }
+
+        .topic-node circle {
+          fill: #dbeafe;
+          stroke: #1a73e8;
+          stroke-width: 1.5;
+        }
+
+        .topic-node:hover circle,
+        .topic-node:focus circle {
+          fill: #bfdbfe;
+        }
+
+        .topic-node:focus {
+          outline: none;
+        }
+
+        .topic-node.selected circle {
+          fill: #1a73e8;
+        }
+
+        .topic-node.dim {
+          opacity: 0.3;
+        }
+
+        .topic-node text {
+          font-size: 11px;
+          fill: #374151;
+          text-anchor: middle;
+          pointer-events: none;
+        }
+
+        .topic-detail {
+          display: flex;
+          flex-direction: column;
+          gap: 1rem;
+          max-height: 640px;
+          overflow-y: auto;
+          background: white;
+          border-radius: 12px;
+          padding: 1.25rem;
+          box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06);
+        }
+
+        .topic-detail-header {
+          display: flex;
+          align-items: flex-start;
+          justify-content: space-between;
+          gap: 0.5rem;
+        }
+
+        .topic-detail-header h2 {
+          margin: 0;
+          font-size: 1.25rem;
+          color: #111827;
+        }
+
+        .topic-detail-close {
+          padding: 0.25rem;
+          border: none;
+          background: transparent;
+          color: #6b7280;
+          cursor: pointer;
+        }
+
+        .topic-detail-counts,
+        .topic-detail-aliases,
+        .topic-detail-empty {
+          margin: 0;
+          font-size: 0.8125rem;
+          color: #6b7280;
+        }
+
+        .topic-detail h3 {
+          margin: 0 0 0.5rem;
+          font-size: 0.75rem;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          color: #9ca3af;
+        }
+
+        .topic-detail ul {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .topic-video-group {
+          margin-bottom: 0.75rem;
+        }
+
+        .topic-video-title {
+          display: block;
+          margin-bottom: 0.25rem;
+          font-size: 0.875rem;
+          font-weight: 600;
+          color: #111827;
+          text-decoration: none;
+        }
+
+        .topic-video-title:hover {
+          color: #1a73e8;
+        }
+
+        .topic-section {
+          display: flex;
+          align-items: center;
+          gap: 0.375rem;
+          padding: 0.25rem 0.375rem;
+          border-radius: 6px;
+          font-size: 0.8125rem;
+          color: #374151;
+          text-decoration: none;
+        }
+
+        .topic-section:hover {
+          background: #f3f4f6;
+          color: #1a73e8;
+        }
+
+        .topic-section-time {
+          font-variant-numeric: tabular-nums;
+          color: #1d4ed8;
+        }
+
+        .topic-related {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.375rem;
+        }
+
+        .topic-chip {
+          padding: 0.25rem 0.625rem;
+          border: 1px solid #e5e7eb;
+          border-radius: 999px;
+          background: #f9fafb;
+          font-size: 0.8125rem;
+          color: #374151;
+          cursor: pointer;
+        }
+
+        .topic-chip:hover {
+          border-color: #1a73e8;
+          color: #1a73e8;
+        }
+
+        .topic-merge {
+          display: flex;
+          gap: 0.5rem;
+        }
+
+        .topic-merge select {
+          flex: 1;
+          min-width: 0;
+          padding: 0.5rem;
+          border: 1px solid #d1d5db;
+          border-radius: 8px;
+          font-size: 0.875rem;
+        }
+
+        @media (max-width: 960px) {
+          .topics-layout.with-detail {
+            grid-template-columns: 1fr;
+          }
+
+          .topic-graph {
+            height: 420px;
+          }
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default Topics;
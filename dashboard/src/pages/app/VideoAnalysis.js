@@ -6,20 +6,33 @@ import {
   CaretDown,
   CaretUp,
   Aperture,
-  Check
+  Check,
+  Cards,
+  FileCsv
 } from '@phosphor-icons/react';
 import './VideoAnalysis.css';
 import videoService from '../../services/videoService';
 import frameService from '../../services/frameService';
+import exportService from '../../services/exportService';
 import { useTranscript } from '../../hooks/useTranscript';
 import { useVideoShortcuts } from '../../hooks/useVideoShortcuts';
+import { useJobEvents } from '../../hooks/useJobEvents';
 import { TranscriptPanel } from '../../components/Transcript';
-import { FrameGallery, FrameStrip, FrameCaptureModal } from '../../components/Frames';
+import { FrameStrip, FrameCaptureModal } from '../../components/Frames';
 import { SummaryPanel } from '../../components/Summary';
 import { SelectionToolbar } from '../../components/Save';
 import { SelectionProvider } from '../../contexts/SelectionContext';
 import { CompactHeader } from '../../components/Common';
+import { ShareModal } from '../../components/Share';
 import { findSegmentIndexAtTimestamp, scrollToSegment } from '../../utils/videoSeek';
+import { createHtml5Player } from '../../utils/html5Player';
+
+// Jobs whose results show up in the transcript panel rather than the frame timeline
+const TRANSCRIPT_JOB_TYPES = ['asr_transcription', 'diarization'];
+
+// Video statuses after which processing does not change anything; uploads without
+// speech-to-text stop at transcript_unavailable
+const FINAL_STATUSES = ['completed', 'failed', 'transcript_unavailable'];
 
 /**
  * VideoAnalysis Page
@@ -48,13 +61,26 @@ function VideoAnalysis() {
   // Refs
   const playerRef = useRef(null);
   const playerContainerRef = useRef(null);
+  const html5VideoRef = useRef(null);
   const timeUpdateRef = useRef(null);
   const pageRef = useRef(null);
 
   // Transcript hook
-  const { segments, loading: transcriptLoading, error: transcriptError } = useTranscript(id);
-
-  // Frames state (used by FrameGallery/FrameStrip components)
+  const [transcriptLanguage, setTranscriptLanguage] = useState(null);
+  const {
+    segments,
+    loading: transcriptLoading,
+    error: transcriptError,
+    tracks: transcriptTracks,
+    availableTracks,
+    addTrack,
+    speakers,
+    renameSpeaker,
+    detectSpeakers,
+    refresh: refreshTranscript
+  } = useTranscript(id, transcriptLanguage);
+
+  // Frames state (used by the FrameStrip component)
   const [frames, setFrames] = useState([]);
   const [framesLoading, setFramesLoading] = useState(false);
 
@@ -68,24 +94,9 @@ function VideoAnalysis() {
   const [captureFlash, setCaptureFlash] = useState(false);
   const [captureSuccess, setCaptureSuccess] = useState(false);
 
-  // Polling for status updates
-  useEffect(() => {
-    if (!video || ['completed', 'failed'].includes(video.analysis_status)) {
-      return;
-    }
-
-    const pollInterval = setInterval(async () => {
-      try {
-        const response = await videoService.getById(id);
-        setVideo(response.data.video);
-      } catch (err) {
-        console.error('Error polling video status:', err);
-      }
-    }, 5000);
-
-    return () => clearInterval(pollInterval);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [id, video?.analysis_status]);
+  // Share modal state
+  const [showShareModal, setShowShareModal] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
 
   /**
    * Fetch video data
@@ -125,6 +136,48 @@ function VideoAnalysis() {
     }
   }, [id]);
 
+  /**
+   * Refresh video data without toggling the page loading state
+   */
+  const refreshVideo = useCallback(async () => {
+    try {
+      const response = await videoService.getById(id);
+      setVideo(response.data.video);
+    } catch (err) {
+      console.error('Error refreshing video status:', err);
+    }
+  }, [id]);
+
+  // Real-time status updates for this video
+  const { connected: socketConnected } = useJobEvents({
+    onVideoStatus: ({ videoId }) => {
+      if (videoId === id) {
+        refreshVideo();
+      }
+    },
+    onCompleted: ({ videoId, jobType }) => {
+      if (videoId !== id) return;
+
+      if (TRANSCRIPT_JOB_TYPES.includes(jobType)) {
+        refreshTranscript();
+      } else {
+        fetchFrames();
+      }
+    }
+  });
+
+  // Poll for status updates only while the socket is down and processing can still change something
+  const analysisStatus = video?.analysis_status;
+  useEffect(() => {
+    if (socketConnected || !analysisStatus || FINAL_STATUSES.includes(analysisStatus)) {
+      return;
+    }
+
+    const pollInterval = setInterval(refreshVideo, 5000);
+
+    return () => clearInterval(pollInterval);
+  }, [socketConnected, refreshVideo, analysisStatus]);
+
   /**
    * Initialize YouTube IFrame API
    */
@@ -195,6 +248,37 @@ function VideoAnalysis() {
     };
   }, [video?.youtube_id]);
 
+  /**
+   * Initialize HTML5 player for uploaded videos
+   */
+  useEffect(() => {
+    if (video?.source_type !== 'upload' || !html5VideoRef.current) return;
+
+    const videoElement = html5VideoRef.current;
+    playerRef.current = createHtml5Player(videoElement);
+
+    const handleLoadedMetadata = () => setDuration(videoElement.duration || 0);
+    const handleTimeUpdate = () => setCurrentTime(videoElement.currentTime);
+
+    videoElement.addEventListener('loadedmetadata', handleLoadedMetadata);
+    videoElement.addEventListener('timeupdate', handleTimeUpdate);
+
+    return () => {
+      videoElement.removeEventListener('loadedmetadata', handleLoadedMetadata);
+      videoElement.removeEventListener('timeupdate', handleTimeUpdate);
+      playerRef.current = null;
+    };
+  }, [video?.source_type, video?.video_url]);
+
+  // Jump to ?t=seconds (links from search results) once the player can seek
+  useEffect(() => {
+    const startAt = parseFloat(new URLSearchParams(location.search).get('t'));
+    if (!startAt || !duration || !playerRef.current?.seekTo) return;
+
+    playerRef.current.seekTo(startAt, true);
+    setCurrentTime(startAt);
+  }, [location.search, duration]);
+
   // Fetch video if not in state
   useEffect(() => {
     if (!location.state?.video) {
@@ -277,13 +361,50 @@ function VideoAnalysis() {
   };
 
   /**
-   * Handle export (placeholder)
+   * Download an export, reporting the server's reason if it refuses
+   * @param {function} request - Starts the export request
+   * @param {string} fallbackName - Filename when the response names none
    */
-  const handleExport = () => {
-    console.log('Export clicked');
-    // TODO: Implement export functionality
+  const downloadExport = async (request, fallbackName) => {
+    if (isExporting) return;
+
+    setIsExporting(true);
+    try {
+      const response = await request();
+      exportService.downloadResponse(response, fallbackName);
+    } catch (err) {
+      console.error('Failed to export:', err);
+      // Blob responses carry the JSON error body as a Blob
+      let message = 'Failed to export. Please try again.';
+      try {
+        const body = JSON.parse(await err.response?.data?.text());
+        if (body.error) message = body.error;
+      } catch {
+        // Keep the generic message
+      }
+      alert(message);
+    } finally {
+      setIsExporting(false);
+    }
   };
 
+  /**
+   * Handle export of the full analysis as PDF
+   */
+  const handleExport = () => downloadExport(
+    () => exportService.exportAnalysis(id, 'pdf'),
+    'analysis.pdf'
+  );
+
+  /**
+   * Handle flashcard export
+   * @param {string} format - apkg or csv
+   */
+  const handleFlashcardExport = (format) => downloadExport(
+    () => exportService.exportFlashcards('video', id, { format, frames: format === 'apkg' }),
+    `flashcards.${format}`
+  );
+
   /**
    * Handle floating capture button click
    */
@@ -366,6 +487,11 @@ function VideoAnalysis() {
           onViewModeChange={handleViewModeChange}
           onSave={handleSave}
           onExport={handleExport}
+          onShare={() => setShowShareModal(true)}
+          actions={[
+            { label: 'Anki flashcards', icon: Cards, onClick: () => handleFlashcardExport('apkg') },
+            { label: 'Flashcards as CSV', icon: FileCsv, onClick: () => handleFlashcardExport('csv') }
+          ]}
         />
 
         {/* Main Content - Split Pane Layout */}
@@ -375,7 +501,18 @@ function VideoAnalysis() {
             {/* Video Player */}
             <div className="video-player-container">
               <div className="player-wrapper">
-                <div ref={playerContainerRef} className="youtube-player"></div>
+                {video?.source_type === 'upload' ? (
+                  <video
+                    ref={html5VideoRef}
+                    className="youtube-player upload-player"
+                    src={video.video_url}
+                    controls
+                    playsInline
+                    preload="metadata"
+                  />
+                ) : (
+                  <div ref={playerContainerRef} className="youtube-player"></div>
+                )}
 
                 {/* Capture Flash Effect */}
                 <div className={`capture-flash ${captureFlash ? 'active' : ''}`} />
@@ -414,11 +551,20 @@ function VideoAnalysis() {
               {!transcriptCollapsed && (
                 <div className="transcript-content">
                   <TranscriptPanel
+                    videoId={id}
                     segments={segments}
                     currentTime={currentTime}
                     onSeek={seekTo}
                     loading={transcriptLoading}
                     error={transcriptError}
+                    tracks={transcriptTracks}
+                    availableTracks={availableTracks}
+                    language={transcriptLanguage}
+                    onLanguageChange={setTranscriptLanguage}
+                    onAddLanguage={addTrack}
+                    speakers={speakers}
+                    onRenameSpeaker={renameSpeaker}
+                    onDetectSpeakers={detectSpeakers}
                   />
                 </div>
               )}
@@ -488,6 +634,17 @@ function VideoAnalysis() {
             }}
           />
         )}
+
+        {/* Share Modal */}
+        {showShareModal && (
+          <ShareModal
+            resourceType="video"
+            resourceId={id}
+            resourceTitle={video?.title}
+            frames={frames.filter(frame => !String(frame.id).startsWith('captured_'))}
+            onClose={() => setShowShareModal(false)}
+          />
+        )}
       </div>
     </SelectionProvider>
   );
@@ -103,10 +103,13 @@ function Videos() {
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed':
+      case 'transcript_unavailable':
         return 'status-completed';
       case 'processing':
       case 'metadata_complete':
       case 'transcript_complete':
+      case 'transcription_queued':
+      case 'transcribing':
       case 'extracting_frames':
         return 'status-processing';
       case 'failed':
@@ -121,12 +124,17 @@ function Videos() {
     switch (status) {
       case 'completed':
         return 'Ready';
+      case 'transcript_unavailable':
+        return 'No Transcript';
       case 'processing':
         return 'Processing';
       case 'metadata_complete':
         return 'Fetching Transcript';
       case 'transcript_complete':
         return 'Transcript Ready';
+      case 'transcription_queued':
+      case 'transcribing':
+        return 'Transcribing Audio';
       case 'extracting_frames':
         return 'Extracting Frames';
       case 'failed':
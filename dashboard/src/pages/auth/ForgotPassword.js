@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import authService from '../../services/authService';
+
+function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await authService.forgotPassword(email);
+      setMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Request failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: '400px', margin: '2rem auto', padding: '2rem', border: '1px solid #ddd', borderRadius: '8px' }}>
+      <h2>Forgot Password</h2>
+      {error && <div style={{ color: 'red', marginBottom: '1rem' }}>{error}</div>}
+      {message ? (
+        <p>{message}</p>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <p style={{ color: '#555' }}>Enter your account email and we'll send you a link to choose a new password.</p>
+          <div style={{ marginBottom: '1rem' }}>
+            <label style={{ display: 'block', marginBottom: '0.5rem' }}>Email:</label>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              style={{ width: '100%', padding: '0.5rem', borderRadius: '4px', border: '1px solid #ddd' }}
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={loading}
+            style={{ width: '100%', padding: '0.5rem', backgroundColor: '#007bff', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+          >
+            {loading ? 'Sending...' : 'Send Reset Link'}
+          </button>
+        </form>
+      )}
+      <div style={{ marginTop: '1rem', textAlign: 'center' }}>
+        <Link to="/login">Back to login</Link>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPassword;
@@ -1,11 +1,14 @@
 import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { SsoButton } from '../../components/Account';
 
 function Login() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
-  const [error, setError] = useState('');
+  const [searchParams] = useSearchParams();
+  // Single sign-on failures come back from the server callback as ?sso_error=...
+  const [error, setError] = useState(searchParams.get('sso_error') || '');
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
   const { login } = useAuth();
@@ -58,7 +61,11 @@ function Login() {
           {loading ? 'Logging in...' : 'Login'}
         </button>
       </form>
+      <SsoButton />
       <div style={{ marginTop: '1rem', textAlign: 'center' }}>
+        <Link to="/forgot-password">Forgot your password?</Link>
+      </div>
+      <div style={{ marginTop: '0.5rem', textAlign: 'center' }}>
         <Link to="/register">Don't have an account? Register</Link>
       </div>
     </div>
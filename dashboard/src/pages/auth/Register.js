@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { SsoButton } from '../../components/Account';
 
 function Register() {
   const [formData, setFormData] = useState({
@@ -117,6 +118,7 @@ function Register() {
           {loading ? 'Registering...' : 'Register'}
         </button>
       </form>
+      <SsoButton />
       <div style={{ marginTop: '1rem', textAlign: 'center' }}>
         <Link to="/login">Already have an account? Login</Link>
       </div>
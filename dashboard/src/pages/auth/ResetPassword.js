@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import authService from '../../services/authService';
+
+function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters long');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await authService.resetPassword(token, password);
+      setDone(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Reset failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: '400px', margin: '2rem auto', padding: '2rem', border: '1px solid #ddd', borderRadius: '8px' }}>
+      <h2>Reset Password</h2>
+      {!token && (
+        <p>This reset link is incomplete. <Link to="/forgot-password">Request a new one</Link>.</p>
+      )}
+      {token && done && (
+        <p>Your password has been reset. <Link to="/login">Log in</Link> with your new password.</p>
+      )}
+      {token && !done && (
+        <>
+          {error && <div style={{ color: 'red', marginBottom: '1rem' }}>{error}</div>}
+          <form onSubmit={handleSubmit}>
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={{ display: 'block', marginBottom: '0.5rem' }}>New Password:</label>
+              <input
+                type="password"
+                autoComplete="new-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                style={{ width: '100%', padding: '0.5rem', borderRadius: '4px', border: '1px solid #ddd' }}
+              />
+            </div>
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={{ display: 'block', marginBottom: '0.5rem' }}>Confirm Password:</label>
+              <input
+                type="password"
+                autoComplete="new-password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+                style={{ width: '100%', padding: '0.5rem', borderRadius: '4px', border: '1px solid #ddd' }}
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={loading}
+              style={{ width: '100%', padding: '0.5rem', backgroundColor: '#007bff', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+            >
+              {loading ? 'Saving...' : 'Set New Password'}
+            </button>
+          </form>
+          <div style={{ marginTop: '1rem', textAlign: 'center' }}>
+            <Link to="/forgot-password">Request a new link</Link>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ResetPassword;
@@ -0,0 +1,374 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { LinkBreak, YoutubeLogo, Folder } from '@phosphor-icons/react';
+import shareService from '../../services/shareService';
+import { formatDate, formatDuration, formatTimestamp } from '../../utils/formatters';
+
+/**
+ * Grid of shared frames with their timestamps
+ */
+function SharedFrames({ frames }) {
+  if (!frames || frames.length === 0) {
+    return null;
+  }
+
+  return (
+    <div style={styles.frameGrid}>
+      {frames.map(frame => (
+        <figure key={frame.image_url} style={styles.frame}>
+          <img
+            src={frame.image_url}
+            alt={frame.scene_description || `Frame at ${formatTimestamp(frame.timestamp)}`}
+            loading="lazy"
+            style={styles.frameImage}
+          />
+          <figcaption style={styles.frameCaption}>
+            {formatTimestamp(frame.timestamp)}
+            {frame.scene_description && ` · ${frame.scene_description}`}
+          </figcaption>
+        </figure>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Title, channel and YouTube link of the video behind the shared content
+ */
+function VideoInfo({ video }) {
+  return (
+    <div style={styles.videoInfo}>
+      {video.thumbnail_url && (
+        <img src={video.thumbnail_url} alt="" style={styles.thumbnail} />
+      )}
+      <div>
+        <div style={{ fontWeight: 600, color: '#111827' }}>{video.title}</div>
+        <div style={styles.muted}>
+          {[video.channel_name, video.duration ? formatDuration(video.duration) : null].filter(Boolean).join(' · ')}
+        </div>
+        {video.youtube_url && (
+          <a href={video.youtube_url} target="_blank" rel="noopener noreferrer" style={styles.link}>
+            <YoutubeLogo size={16} /> Watch on YouTube
+          </a>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * A shared save: notes, frames, transcript and summary excerpts
+ */
+function SharedSave({ save, headingLevel = 'h1' }) {
+  const Heading = headingLevel;
+
+  return (
+    <article style={headingLevel === 'h1' ? undefined : styles.card}>
+      <Heading style={headingLevel === 'h1' ? styles.title : styles.saveTitle}>{save.title}</Heading>
+      <VideoInfo video={save.video} />
+      {save.notes && <p style={styles.notes}>{save.notes}</p>}
+      <SharedFrames frames={save.frames} />
+      {save.transcripts.length > 0 && (
+        <section>
+          <h3 style={styles.sectionHeading}>Transcript</h3>
+          {save.transcripts.map((excerpt, index) => (
+            <p key={index} style={styles.excerpt}>
+              <span style={styles.timestamp}>{formatTimestamp(excerpt.start_time)}</span>
+              {excerpt.text}
+            </p>
+          ))}
+        </section>
+      )}
+      {save.summaries.length > 0 && (
+        <section>
+          <h3 style={styles.sectionHeading}>Summary</h3>
+          {save.summaries.map((summary, index) => (
+            <blockquote key={index} style={styles.quote}>
+              {summary.section_title && <strong>{summary.section_title}: </strong>}
+              {summary.excerpt}
+            </blockquote>
+          ))}
+        </section>
+      )}
+    </article>
+  );
+}
+
+/**
+ * A shared video analysis: summary, key takeaways, sections with key points and frames
+ */
+function SharedVideo({ content }) {
+  const { video, summary, sections, frames } = content;
+
+  return (
+    <>
+      <h1 style={styles.title}>{video.title}</h1>
+      <VideoInfo video={video} />
+
+      {summary && (
+        <section>
+          <h2 style={styles.sectionHeading}>Summary</h2>
+          <p style={styles.body}>{summary.full_summary}</p>
+          {summary.key_takeaways?.length > 0 && (
+            <>
+              <h3 style={styles.subHeading}>Key takeaways</h3>
+              <ul style={styles.list}>
+                {summary.key_takeaways.map((takeaway, index) => (
+                  <li key={index}>{typeof takeaway === 'string' ? takeaway : takeaway.text || takeaway.point}</li>
+                ))}
+              </ul>
+            </>
+          )}
+        </section>
+      )}
+
+      {sections.length > 0 && (
+        <section>
+          <h2 style={styles.sectionHeading}>Sections</h2>
+          {sections.map((section, index) => (
+            <div key={index} style={styles.card}>
+              <div style={styles.sectionTitle}>
+                <span style={styles.timestamp}>{formatTimestamp(section.start_time)}</span>
+                {section.title}
+              </div>
+              {section.summary && <p style={styles.body}>{section.summary}</p>}
+              {section.key_points.length > 0 && (
+                <ul style={styles.list}>
+                  {section.key_points.map((point, pointIndex) => (
+                    <li key={pointIndex}>{typeof point === 'string' ? point : point.text || point.point}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </section>
+      )}
+
+      {frames.length > 0 && (
+        <section>
+          <h2 style={styles.sectionHeading}>Frames</h2>
+          <SharedFrames frames={frames} />
+        </section>
+      )}
+    </>
+  );
+}
+
+/**
+ * SharedView - Public, read-only page for a share link (/s/:token)
+ * Works without an account; the server decides what the token may show.
+ */
+function SharedView() {
+  const { token } = useParams();
+  const [content, setContent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+
+    shareService.getPublic(token)
+      .then(response => setContent(response.data))
+      .catch((err) => {
+        setError(err.response?.data?.error || 'This shared page could not be loaded');
+      })
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  return (
+    <div style={styles.page}>
+      <header style={styles.header}>
+        <span style={styles.brand}>{process.env.REACT_APP_NAME || 'Vidlyx'}</span>
+        <span style={styles.muted}>Shared view</span>
+      </header>
+
+      <main style={styles.main}>
+        {loading && <p style={styles.muted}>Loading...</p>}
+
+        {!loading && error && (
+          <div style={styles.errorState}>
+            <LinkBreak size={48} weight="duotone" />
+            <h1 style={{ fontSize: '1.25rem', margin: '1rem 0 0.5rem' }}>Link unavailable</h1>
+            <p style={styles.muted}>{error}</p>
+          </div>
+        )}
+
+        {!loading && content && (
+          <>
+            {content.type === 'video' && <SharedVideo content={content} />}
+            {content.type === 'save' && <SharedSave save={content.save} />}
+            {content.type === 'folder' && (
+              <>
+                <h1 style={styles.title}>
+                  <Folder size={28} weight="fill" color={content.folder.color || '#6366f1'} />
+                  {content.folder.name}
+                </h1>
+                <p style={styles.muted}>
+                  {content.saves.length} {content.saves.length === 1 ? 'save' : 'saves'}
+                </p>
+                {content.saves.map(save => (
+                  <SharedSave key={save.id} save={save} headingLevel="h2" />
+                ))}
+              </>
+            )}
+            <p style={{ ...styles.muted, marginTop: '2rem' }}>
+              Shared {formatDate(content.created_at)}
+              {content.expires_at && ` · available until ${formatDate(content.expires_at)}`}
+            </p>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
+
+const styles = {
+  page: {
+    minHeight: '100vh',
+    backgroundColor: '#f9fafb'
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: '1rem 2rem',
+    backgroundColor: 'white',
+    borderBottom: '1px solid #e5e7eb'
+  },
+  brand: {
+    fontSize: '1.125rem',
+    fontWeight: 700,
+    color: '#6366f1'
+  },
+  main: {
+    maxWidth: '900px',
+    margin: '0 auto',
+    padding: '2rem'
+  },
+  title: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.5rem',
+    fontSize: '2rem',
+    fontWeight: 700,
+    color: '#111827',
+    margin: '0 0 1rem'
+  },
+  saveTitle: {
+    fontSize: '1.25rem',
+    fontWeight: 600,
+    color: '#111827',
+    margin: '0 0 0.75rem'
+  },
+  sectionHeading: {
+    fontSize: '1.125rem',
+    fontWeight: 600,
+    color: '#111827',
+    margin: '1.5rem 0 0.75rem'
+  },
+  subHeading: {
+    fontSize: '1rem',
+    fontWeight: 600,
+    color: '#374151',
+    margin: '1rem 0 0.5rem'
+  },
+  sectionTitle: {
+    fontWeight: 600,
+    color: '#111827',
+    marginBottom: '0.5rem'
+  },
+  body: {
+    color: '#374151',
+    lineHeight: 1.6,
+    margin: '0 0 0.5rem'
+  },
+  list: {
+    color: '#374151',
+    lineHeight: 1.6,
+    margin: 0,
+    paddingLeft: '1.25rem'
+  },
+  muted: {
+    fontSize: '0.875rem',
+    color: '#6b7280'
+  },
+  link: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '0.25rem',
+    marginTop: '0.25rem',
+    fontSize: '0.875rem',
+    color: '#7c3aed',
+    textDecoration: 'none'
+  },
+  videoInfo: {
+    display: 'flex',
+    gap: '1rem',
+    alignItems: 'center',
+    marginBottom: '1rem'
+  },
+  thumbnail: {
+    width: '120px',
+    borderRadius: '6px',
+    objectFit: 'cover'
+  },
+  notes: {
+    color: '#374151',
+    lineHeight: 1.6,
+    whiteSpace: 'pre-wrap'
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '1.25rem',
+    marginBottom: '1rem',
+    boxShadow: '0 1px 3px 0 rgba(0, 0, 0, 0.1)'
+  },
+  frameGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+    gap: '1rem',
+    margin: '1rem 0'
+  },
+  frame: {
+    margin: 0
+  },
+  frameImage: {
+    width: '100%',
+    aspectRatio: '16 / 9',
+    objectFit: 'cover',
+    borderRadius: '6px',
+    backgroundColor: '#e5e7eb'
+  },
+  frameCaption: {
+    marginTop: '0.25rem',
+    fontSize: '0.75rem',
+    color: '#6b7280'
+  },
+  excerpt: {
+    color: '#374151',
+    lineHeight: 1.6,
+    margin: '0 0 0.5rem'
+  },
+  timestamp: {
+    display: 'inline-block',
+    marginRight: '0.5rem',
+    fontFamily: 'monospace',
+    fontSize: '0.8125rem',
+    color: '#7c3aed'
+  },
+  quote: {
+    margin: '0 0 0.5rem',
+    padding: '0.5rem 1rem',
+    borderLeft: '3px solid #c4b5fd',
+    color: '#374151'
+  },
+  errorState: {
+    textAlign: 'center',
+    padding: '4rem 1rem',
+    color: '#6b7280'
+  }
+};
+
+export default SharedView;
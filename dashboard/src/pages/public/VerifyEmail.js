@@ -0,0 +1,51 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import authService from '../../services/authService';
+
+/**
+ * VerifyEmail - Landing page of the link in the verification email (/verify-email?token=...)
+ * Works whether or not the user is logged in; a logged-in user's profile is refreshed afterwards.
+ */
+function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, checkAuth } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [error, setError] = useState(token ? null : 'This verification link is incomplete.');
+
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+
+    authService.verifyEmail(token)
+      .then(() => {
+        setStatus('verified');
+        checkAuth();
+      })
+      .catch((err) => {
+        setStatus('error');
+        setError(err.response?.data?.error || 'Verification failed. Please try again.');
+      });
+  }, [token, checkAuth]);
+
+  return (
+    <div style={{ maxWidth: '400px', margin: '2rem auto', padding: '2rem', border: '1px solid #ddd', borderRadius: '8px' }}>
+      <h2>Email Verification</h2>
+      {status === 'verifying' && <p>Verifying your email address...</p>}
+      {status === 'verified' && <p>Your email address is verified.</p>}
+      {status === 'error' && (
+        <p style={{ color: 'red' }}>
+          {error}
+          {user && ' You can request a new link from Settings.'}
+        </p>
+      )}
+      <div style={{ marginTop: '1rem', textAlign: 'center' }}>
+        {user ? <Link to="/app">Go to the app</Link> : <Link to="/login">Log in</Link>}
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
@@ -0,0 +1,73 @@
+/**
+ * Admin service for API calls (admin accounts only)
+ */
+
+import api from './api';
+
+export const adminService = {
+  /**
+   * List users
+   * @param {object} params - { search?, status?, limit?, offset? }
+   * @returns {Promise} - API response ({ users, total, limit, offset })
+   */
+  getUsers: (params = {}) => api.get('/admin/users', { params }),
+
+  /**
+   * Suspend or reactivate a user
+   * @param {string} id - User ID
+   * @param {string} status - 'active' or 'suspended'
+   * @returns {Promise} - API response ({ user })
+   */
+  setUserStatus: (id, status) => api.put(`/admin/users/${id}/status`, { status }),
+
+  /**
+   * Job counts per state for every queue
+   * @returns {Promise} - API response ({ frameExtraction, analysis, ..., healthy })
+   */
+  getQueues: () => api.get('/admin/queues'),
+
+  /**
+   * Remove old completed and failed jobs
+   * @returns {Promise} - API response ({ queues })
+   */
+  cleanQueues: () => api.post('/admin/queues/clean'),
+
+  /**
+   * List a queue's jobs in one state
+   * @param {string} queue - Queue name, e.g. 'frameExtraction'
+   * @param {string} state - waiting, active, delayed, failed or completed
+   * @returns {Promise} - API response ({ jobs, count })
+   */
+  getJobs: (queue, state) => api.get(`/admin/queues/${queue}/jobs`, { params: { state } }),
+
+  /**
+   * Retry a failed job
+   * @param {string} queue - Queue name
+   * @param {string} jobId - Job ID
+   * @returns {Promise} - API response
+   */
+  retryJob: (queue, jobId) => api.post(`/admin/queues/${queue}/jobs/${jobId}/retry`),
+
+  /**
+   * Remove a job that is not running
+   * @param {string} queue - Queue name
+   * @param {string} jobId - Job ID
+   * @returns {Promise} - API response
+   */
+  removeJob: (queue, jobId) => api.delete(`/admin/queues/${queue}/jobs/${jobId}`),
+
+  /**
+   * Regeneration and AI usage totals per user
+   * @param {number} days - Window for LLM usage
+   * @returns {Promise} - API response ({ days, users })
+   */
+  getUsage: (days = 30) => api.get('/admin/usage', { params: { days } }),
+
+  /**
+   * Disk space used by extracted frames, per video
+   * @returns {Promise} - API response ({ total_bytes, total_files, videos })
+   */
+  getFrameStorage: () => api.get('/admin/storage/frames')
+};
+
+export default adminService;
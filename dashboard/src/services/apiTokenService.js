@@ -0,0 +1,29 @@
+/**
+ * API token service for API calls
+ */
+
+import api from './api';
+
+export const apiTokenService = {
+  /**
+   * Create a personal access token
+   * @param {object} data - { name, scope: 'read'|'write', expires_in_days? }
+   * @returns {Promise} - API response ({ token, apiToken }); token is only returned here
+   */
+  create: (data) => api.post('/tokens', data),
+
+  /**
+   * List the current user's tokens
+   * @returns {Promise} - API response ({ apiTokens, count })
+   */
+  getAll: () => api.get('/tokens'),
+
+  /**
+   * Revoke a token
+   * @param {string} id - Token ID
+   * @returns {Promise} - API response ({ apiToken })
+   */
+  revoke: (id) => api.post(`/tokens/${id}/revoke`)
+};
+
+export default apiTokenService;
@@ -4,5 +4,61 @@ export const authService = {
   register: (data) => api.post('/auth/register', data),
   login: (data) => api.post('/auth/login', data),
   logout: () => api.post('/auth/logout'),
-  getMe: () => api.get('/auth/me')
+  getMe: () => api.get('/auth/me'),
+
+  /**
+   * Update name and avatar
+   * @param {object} data - { firstName?, lastName?, avatarUrl? }
+   * @returns {Promise} - API response ({ user })
+   */
+  updateProfile: (data) => api.put('/auth/profile', data),
+
+  /**
+   * Change the password; other sessions are signed out
+   * @param {object} data - { currentPassword, newPassword }
+   * @returns {Promise} - API response
+   */
+  changePassword: (data) => api.put('/auth/password', data),
+
+  /**
+   * Email the current user a new verification link
+   * @returns {Promise} - API response
+   */
+  sendVerificationEmail: () => api.post('/auth/verify-email/send'),
+
+  /**
+   * Verify the email address with the token from a verification link
+   * @param {string} token - Token from the link
+   * @returns {Promise} - API response
+   */
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+
+  /**
+   * Request a password reset link
+   * @param {string} email - Account email address
+   * @returns {Promise} - API response
+   */
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+
+  /**
+   * Set a new password with the token from a reset link
+   * @param {string} token - Token from the link
+   * @param {string} password - New password
+   * @returns {Promise} - API response
+   */
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+
+  /**
+   * Whether single sign-on is configured, and the provider name to show
+   * @returns {Promise} - API response ({ enabled, displayName })
+   */
+  getOidcConfig: () => api.get('/auth/oidc/config'),
+
+  /**
+   * URL that starts single sign-on; the browser navigates there rather than calling it with XHR
+   * @returns {string}
+   */
+  getOidcLoginUrl: () => `${api.defaults.baseURL}/auth/oidc/login`
 };
+
+export default authService;
@@ -8,7 +8,7 @@ export const exportService = {
   /**
    * Export a save in specified format
    * @param {string} id - Save ID
-   * @param {string} format - Export format (json, markdown, txt)
+   * @param {string} format - Export format (json, markdown, txt, pdf)
    * @returns {Promise} - API response with blob data
    */
   exportSave: async (id, format = 'json') => {
@@ -23,23 +23,25 @@ export const exportService = {
    * Export video transcript in specified format
    * @param {string} videoId - Video ID
    * @param {string} format - Export format (txt, srt, vtt)
+   * @param {object} options - Export options
+   * @param {string} options.language - Track language (default: the primary track)
    * @returns {Promise} - API response with blob data
    */
-  exportTranscript: async (videoId, format = 'txt') => {
+  exportTranscript: async (videoId, format = 'txt', options = {}) => {
     const response = await api.get(`/export/videos/${videoId}/transcript`, {
-      params: { format },
+      params: options.language ? { format, language: options.language } : { format },
       responseType: 'blob'
     });
     return response;
   },
 
   /**
-   * Export video analysis in specified format
+   * Export video analysis (summary, sections, key points and frames) in specified format
    * @param {string} videoId - Video ID
-   * @param {string} format - Export format (md, pdf, json, txt)
+   * @param {string} format - Export format (pdf, md, json)
    * @returns {Promise} - API response with blob data
    */
-  exportAnalysis: async (videoId, format = 'md') => {
+  exportAnalysis: async (videoId, format = 'pdf') => {
     const response = await api.get(`/export/videos/${videoId}/analysis`, {
       params: { format },
       responseType: 'blob'
@@ -47,6 +49,49 @@ export const exportService = {
     return response;
   },
 
+  /**
+   * Export flashcards from key points and section summaries
+   * @param {string} source - 'video', 'folder' or 'saves'
+   * @param {string|string[]} id - Video or folder ID, or the save IDs for 'saves'
+   * @param {object} options - Export options
+   * @param {string} options.format - apkg or csv (default: apkg)
+   * @param {boolean} options.frames - Add the nearest frame to each card (apkg only)
+   * @returns {Promise} - API response with blob data
+   */
+  exportFlashcards: async (source, id, options = {}) => {
+    const params = { format: options.format || 'apkg' };
+    if (options.frames) {
+      params.frames = 'true';
+    }
+
+    const url = source === 'saves'
+      ? '/export/saves/flashcards'
+      : `/export/${source === 'folder' ? 'folders' : 'videos'}/${id}/flashcards`;
+    if (source === 'saves') {
+      params.ids = [].concat(id).join(',');
+    }
+
+    const response = await api.get(url, { params, responseType: 'blob' });
+    return response;
+  },
+
+  /**
+   * Save an export response as a file, named by its Content-Disposition header
+   * @param {object} response - API response with blob data
+   * @param {string} fallbackName - Filename when the header has none
+   */
+  downloadResponse: (response, fallbackName = 'export') => {
+    const match = (response.headers['content-disposition'] || '').match(/filename="(.+)"/);
+    const url = URL.createObjectURL(response.data);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = match ? match[1] : fallbackName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  },
+
   /**
    * Download analysis as markdown file (client-side)
    * @param {string} content - Markdown content
@@ -26,6 +26,43 @@ export const folderService = {
    */
   update: (id, data) => api.put(`/folders/${id}`, data),
 
+  /**
+   * Get a folder with its path from the top level
+   * @param {string} id - Folder ID
+   * @returns {Promise} - API response ({ folder, path })
+   */
+  getById: (id) => api.get(`/folders/${id}`),
+
+  /**
+   * Move a folder under another folder
+   * @param {string} id - Folder ID
+   * @param {string|null} parentId - New parent folder ID, or null for the top level
+   * @returns {Promise} - API response
+   */
+  move: (id, parentId) => api.post(`/folders/${id}/move`, { parent_id: parentId }),
+
+  /**
+   * Get saves in a folder
+   * @param {string} id - Folder ID
+   * @param {object} params - Query params (include_subfolders, sort, order, limit, offset)
+   * @returns {Promise} - API response
+   */
+  getSaves: (id, params = {}) => api.get(`/folders/${id}/saves`, { params }),
+
+  /**
+   * Get the channels and video types smart folder rules can match
+   * @returns {Promise} - API response ({ channels, videoTypes })
+   */
+  getSmartOptions: () => api.get('/folders/smart/options'),
+
+  /**
+   * Evaluate smart folder rules without saving them
+   * @param {object} rules - Rule set
+   * @param {number} limit - Number of matching saves to return
+   * @returns {Promise} - API response ({ saves, pagination })
+   */
+  previewSmartFolder: (rules, limit = 5) => api.post('/folders/smart/preview', { rules, limit }),
+
   /**
    * Delete a folder
    * @param {number} id - Folder ID
@@ -11,6 +11,7 @@ export const frameService = {
    * @param {object} params - Query parameters
    * @param {boolean} params.keyframes - Filter for keyframes only
    * @param {boolean} params.hasText - Filter for frames with OCR text
+   * @param {boolean} params.includeDuplicates - Include near-duplicate frames (hidden by default)
    * @param {number} params.limit - Number of records to return
    * @param {number} params.offset - Number of records to skip
    * @returns {Promise} - API response
@@ -59,7 +60,10 @@ export const frameService = {
    * Extract frames from a video
    * @param {string} videoId - Video ID
    * @param {object} options - Extraction options
+   * @param {string} options.mode - 'interval' (default) or 'scene'
    * @param {number} options.interval - Interval between frames in seconds
+   * @param {number} options.sceneThreshold - Scene change threshold 0-1 (scene mode)
+   * @param {number} options.minGap - Minimum seconds between frames (scene mode)
    * @param {boolean} options.keyframesOnly - Extract keyframes only
    * @returns {Promise} - API response
    */
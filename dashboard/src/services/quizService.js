@@ -0,0 +1,52 @@
+import api from './api';
+
+export const quizService = {
+  /**
+   * List a video's quizzes with the current user's attempt count and best score
+   * @param {string} videoId - Video UUID
+   * @returns {Promise} API response with quizzes, newest first
+   */
+  getForVideo: (videoId) => {
+    return api.get(`/videos/${videoId}/quizzes`);
+  },
+
+  /**
+   * Generate a quiz for a video or one of its sections
+   * @param {string} videoId - Video UUID
+   * @param {object} options - { sectionId, count }
+   * @returns {Promise} API response with the quiz and its questions
+   */
+  generate: (videoId, options = {}) => {
+    return api.post(`/videos/${videoId}/quizzes`, options);
+  },
+
+  /**
+   * Get a quiz to take, with the current user's past attempts
+   * @param {string} quizId - Quiz UUID
+   * @returns {Promise} API response with the quiz
+   */
+  getById: (quizId) => {
+    return api.get(`/quizzes/${quizId}`);
+  },
+
+  /**
+   * Submit answers to a quiz
+   * @param {string} quizId - Quiz UUID
+   * @param {Array<object>} answers - [{ questionId, answer }]
+   * @returns {Promise} API response with the graded attempt
+   */
+  submit: (quizId, answers) => {
+    return api.post(`/quizzes/${quizId}/attempts`, { answers });
+  },
+
+  /**
+   * Delete a quiz
+   * @param {string} quizId - Quiz UUID
+   * @returns {Promise} API response
+   */
+  delete: (quizId) => {
+    return api.delete(`/quizzes/${quizId}`);
+  }
+};
+
+export default quizService;
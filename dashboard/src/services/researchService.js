@@ -0,0 +1,61 @@
+import api from './api';
+
+export const researchService = {
+  /**
+   * List the workspace's research threads, most recently active first
+   * @returns {Promise} API response with threads
+   */
+  getThreads: () => {
+    return api.get('/research');
+  },
+
+  /**
+   * Start a research thread
+   * @param {object} scope - One of { folderId }, { tagId } or { videoIds }
+   * @param {string} question - First question
+   * @returns {Promise} API response with the thread, question and answer
+   */
+  create: (scope, question) => {
+    return api.post('/research', { ...scope, question });
+  },
+
+  /**
+   * Get a research thread with its messages
+   * @param {string} id - Thread UUID
+   * @returns {Promise} API response with the thread
+   */
+  getThread: (id) => {
+    return api.get(`/research/${id}`);
+  },
+
+  /**
+   * Ask a follow-up question in a research thread
+   * @param {string} id - Thread UUID
+   * @param {string} question - Question text
+   * @returns {Promise} API response with the stored question and answer
+   */
+  ask: (id, question) => {
+    return api.post(`/research/${id}/messages`, { question });
+  },
+
+  /**
+   * Delete a research thread
+   * @param {string} id - Thread UUID
+   * @returns {Promise} API response
+   */
+  delete: (id) => {
+    return api.delete(`/research/${id}`);
+  },
+
+  /**
+   * Export a research thread
+   * @param {string} id - Thread UUID
+   * @param {string} format - markdown or json (default: markdown)
+   * @returns {Promise} API response with blob data
+   */
+  export: (id, format = 'markdown') => {
+    return api.get(`/export/research/${id}`, { params: { format }, responseType: 'blob' });
+  }
+};
+
+export default researchService;
@@ -0,0 +1,68 @@
+import api from './api';
+
+export const reviewService = {
+  /**
+   * Count the deck: cards due today, all cards and reviews done today
+   * @returns {Promise} API response with { dueToday, total, reviewedToday }
+   */
+  getStats: () => {
+    return api.get('/review/stats');
+  },
+
+  /**
+   * Get the cards due today, most overdue first
+   * @param {number} limit - Maximum cards to return
+   * @returns {Promise} API response with cards and deck stats
+   */
+  getDue: (limit = 50) => {
+    return api.get('/review/due', { params: { limit } });
+  },
+
+  /**
+   * List cards in the deck
+   * @param {object} filter - { videoId, saveId }
+   * @returns {Promise} API response with cards
+   */
+  getCards: (filter = {}) => {
+    return api.get('/review/cards', { params: filter });
+  },
+
+  /**
+   * Star a key point into the deck
+   * @param {object} keyPoint - { videoId, text, sectionId, timestamp, category, context, keyPointId }
+   * @returns {Promise} API response with the card
+   */
+  addKeyPoint: (keyPoint) => {
+    return api.post('/review/cards', keyPoint);
+  },
+
+  /**
+   * Star a save into the deck
+   * @param {string} saveId - Save UUID
+   * @returns {Promise} API response with the card
+   */
+  addSave: (saveId) => {
+    return api.post('/review/cards', { saveId });
+  },
+
+  /**
+   * Grade a card and schedule its next review
+   * @param {string} cardId - Card UUID
+   * @param {string} grade - again, hard, good or easy
+   * @returns {Promise} API response with the rescheduled card
+   */
+  grade: (cardId, grade) => {
+    return api.post(`/review/cards/${cardId}/grade`, { grade });
+  },
+
+  /**
+   * Remove a card from the deck
+   * @param {string} cardId - Card UUID
+   * @returns {Promise} API response
+   */
+  remove: (cardId) => {
+    return api.delete(`/review/cards/${cardId}`);
+  }
+};
+
+export default reviewService;
@@ -8,10 +8,11 @@ import api from './api';
  * Global search across all content types
  * @param {string} query - Search query string
  * @param {object} options - Search options
- * @param {Array<string>} options.types - Content types to search ['videos', 'saves', 'transcripts', 'frames']
+ * @param {Array<string>} options.types - Content types to search ['videos', 'saves', 'transcripts', 'frames', 'sections']
  * @param {number} options.limit - Maximum results per type
  * @param {number} options.offset - Offset for pagination
- * @returns {Promise} - API response with search results
+ * @param {string} options.mode - 'keyword' (default), 'semantic' or 'hybrid'
+ * @returns {Promise} - API response with search results and the mode actually used
  */
 export const search = async (query, options = {}) => {
   const params = {
@@ -111,13 +112,22 @@ export const getSuggestions = async (query, options = {}) => {
   return api.get('/search/suggestions', { params });
 };
 
+/**
+ * Queue the whole library for semantic search indexing
+ * @returns {Promise} - API response with the number of videos and saves queued
+ */
+export const reindex = async () => {
+  return api.post('/search/reindex');
+};
+
 const searchService = {
   search,
   searchVideos,
   searchSaves,
   searchTranscripts,
   searchFrames,
-  getSuggestions
+  getSuggestions,
+  reindex
 };
 
 export default searchService;
@@ -0,0 +1,46 @@
+/**
+ * Share link service for API calls
+ */
+
+import api from './api';
+
+export const shareService = {
+  /**
+   * Create a public share link
+   * @param {object} data - { resource_type: 'save'|'folder'|'video', resource_id, expires_in_days?, frame_ids? }
+   * @returns {Promise} - API response ({ shareLink })
+   */
+  create: (data) => api.post('/shares', data),
+
+  /**
+   * List the current workspace's share links
+   * @param {object} [params] - Optional { resource_type, resource_id } filter
+   * @returns {Promise} - API response ({ shareLinks, count })
+   */
+  getAll: (params = {}) => api.get('/shares', { params }),
+
+  /**
+   * Revoke a share link
+   * @param {string} id - Share link ID
+   * @returns {Promise} - API response ({ shareLink })
+   */
+  revoke: (id) => api.post(`/shares/${id}/revoke`),
+
+  /**
+   * Get shared content by token (no login required)
+   * @param {string} token - Share token
+   * @returns {Promise} - API response
+   */
+  getPublic: (token) => api.get(`/public/shares/${token}`)
+};
+
+/**
+ * Build the public page URL for a share token
+ * @param {string} token - Share token
+ * @returns {string} - Absolute URL of the shared page
+ */
+export function getShareUrl(token) {
+  return `${window.location.origin}/s/${token}`;
+}
+
+export default shareService;
@@ -0,0 +1,36 @@
+/**
+ * Socket service for real-time job progress
+ * Shares one socket.io connection across the app; the session cookie authenticates it
+ */
+
+import { io } from 'socket.io-client';
+
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL ||
+  (process.env.REACT_APP_API_URL || 'http://localhost:4051/api').replace(/\/api\/?$/, '');
+
+let socket = null;
+
+export const socketService = {
+  /**
+   * Get the shared socket, connecting on first use
+   * @returns {Socket} - socket.io client socket
+   */
+  getSocket: () => {
+    if (!socket) {
+      socket = io(SOCKET_URL, { withCredentials: true });
+    }
+    return socket;
+  },
+
+  /**
+   * Close the shared socket (e.g. on logout)
+   */
+  disconnect: () => {
+    if (socket) {
+      socket.disconnect();
+      socket = null;
+    }
+  }
+};
+
+export default socketService;
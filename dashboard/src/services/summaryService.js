@@ -29,16 +29,18 @@ export const summaryService = {
   /**
    * Generate section summaries for a video
    * @param {string} id - Video ID
+   * @param {object} options - Options ({ language } to write the summaries in)
    * @returns {Promise} - API response
    */
-  generateSummaries: (id) => api.post(`/videos/${id}/generate-summaries`, {}, { timeout: AI_TIMEOUT }),
+  generateSummaries: (id, options = {}) => api.post(`/videos/${id}/generate-summaries`, options, { timeout: AI_TIMEOUT }),
 
   /**
    * Generate full enhanced video summary
    * @param {string} id - Video ID
+   * @param {object} options - Options ({ language } to write the summary in)
    * @returns {Promise} - API response
    */
-  generateFullSummary: (id) => api.post(`/videos/${id}/generate-full-summary`, {}, { timeout: AI_TIMEOUT }),
+  generateFullSummary: (id, options = {}) => api.post(`/videos/${id}/generate-full-summary`, options, { timeout: AI_TIMEOUT }),
 
   /**
    * Extract key points from video
@@ -0,0 +1,41 @@
+import api from './api';
+
+export const topicService = {
+  /**
+   * Get the workspace topic graph
+   * @param {object} params - { limit, minWeight }
+   * @returns {Promise} API response with { nodes, edges, total }
+   */
+  getGraph: (params = {}) => {
+    return api.get('/topics/graph', { params });
+  },
+
+  /**
+   * Get a topic with the sections, videos and saves covering it
+   * @param {string} topicId - Topic UUID
+   * @returns {Promise} API response with topic
+   */
+  getTopic: (topicId) => {
+    return api.get(`/topics/${topicId}`);
+  },
+
+  /**
+   * Merge other topics into a topic
+   * @param {string} topicId - Topic UUID to keep
+   * @param {Array<string>} topicIds - Topic UUIDs to merge into it
+   * @returns {Promise} API response with the merged topic
+   */
+  merge: (topicId, topicIds) => {
+    return api.post(`/topics/${topicId}/merge`, { topicIds });
+  },
+
+  /**
+   * Re-index the topics of every video in the workspace
+   * @returns {Promise} API response with { videos, edges }
+   */
+  rebuild: () => {
+    return api.post('/topics/rebuild');
+  }
+};
+
+export default topicService;
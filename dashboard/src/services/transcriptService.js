@@ -8,19 +8,66 @@ export const transcriptService = {
   /**
    * Get transcript for a video
    * @param {string} videoId - Video ID
+   * @param {string} language - Track language (optional, defaults to the primary track)
    * @returns {Promise} - API response
    */
-  getByVideoId: (videoId) => api.get(`/videos/${videoId}/transcript`),
+  getByVideoId: (videoId, language) => api.get(`/videos/${videoId}/transcript`, {
+    params: language ? { language } : {}
+  }),
+
+  /**
+   * List stored transcript tracks and the caption tracks available on YouTube
+   * @param {string} videoId - Video ID
+   * @returns {Promise} - API response with tracks and available
+   */
+  listTracks: (videoId) => api.get(`/videos/${videoId}/transcripts`),
+
+  /**
+   * Fetch and store another transcript language
+   * @param {string} videoId - Video ID
+   * @param {string} language - Language code
+   * @param {boolean} translate - Translate the primary track instead of fetching a native track
+   * @returns {Promise} - API response with the stored transcript
+   */
+  addTrack: (videoId, language, translate = false) => api.post(`/videos/${videoId}/transcripts`, {
+    language,
+    translate
+  }),
 
   /**
    * Search within a video transcript
    * @param {string} videoId - Video ID
    * @param {string} query - Search query
+   * @param {object} options - Filters ({ language, speaker })
    * @returns {Promise} - API response
    */
-  search: (videoId, query) => api.get(`/videos/${videoId}/transcript/search`, {
-    params: { q: query }
-  })
+  search: (videoId, query, options = {}) => api.get(`/videos/${videoId}/transcript/search`, {
+    params: { q: query, ...options }
+  }),
+
+  /**
+   * Get detected speakers for a video
+   * @param {string} videoId - Video ID
+   * @returns {Promise} - API response with speakers
+   */
+  getSpeakers: (videoId) => api.get(`/videos/${videoId}/speakers`),
+
+  /**
+   * Rename a speaker
+   * @param {string} videoId - Video ID
+   * @param {string} speakerKey - Speaker key (e.g. "S1")
+   * @param {string} name - New name (empty restores the default label)
+   * @returns {Promise} - API response with the updated speaker
+   */
+  renameSpeaker: (videoId, speakerKey, name) => api.patch(`/videos/${videoId}/speakers/${speakerKey}`, { name }),
+
+  /**
+   * Start speaker detection for a video
+   * @param {string} videoId - Video ID
+   * @param {number} numSpeakers - Known number of speakers (optional)
+   * @returns {Promise} - API response with the queued job
+   */
+  detectSpeakers: (videoId, numSpeakers) => api.post(`/videos/${videoId}/diarize`, numSpeakers ? { numSpeakers } : {})
 };
 
 export default transcriptService;
@@ -0,0 +1,33 @@
+import api from './api';
+
+export const videoChatService = {
+  /**
+   * Get the current user's conversation about a video
+   * @param {string} videoId - Video UUID
+   * @returns {Promise} API response with messages, oldest first
+   */
+  getMessages: (videoId) => {
+    return api.get(`/videos/${videoId}/chat`);
+  },
+
+  /**
+   * Ask a question about a video
+   * @param {string} videoId - Video UUID
+   * @param {string} question - Question text
+   * @returns {Promise} API response with the stored question and answer
+   */
+  ask: (videoId, question) => {
+    return api.post(`/videos/${videoId}/chat`, { question });
+  },
+
+  /**
+   * Clear the current user's conversation about a video
+   * @param {string} videoId - Video UUID
+   * @returns {Promise} API response
+   */
+  clear: (videoId) => {
+    return api.delete(`/videos/${videoId}/chat`);
+  }
+};
+
+export default videoChatService;
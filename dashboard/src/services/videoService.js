@@ -12,6 +12,55 @@ export const videoService = {
    */
   create: (url) => api.post('/videos', { url }),
 
+  /**
+   * Upload a local video file for analysis
+   * @param {File} file - MP4, WebM or MKV file
+   * @param {object} options - Upload options
+   * @param {string} options.title - Optional title (defaults to the file name)
+   * @param {Function} options.onProgress - Called with upload percentage (0-100)
+   * @returns {Promise} - API response
+   */
+  upload: (file, { title, onProgress } = {}) => {
+    const formData = new FormData();
+    formData.append('video', file);
+    if (title) {
+      formData.append('title', title);
+    }
+
+    return api.post('/videos/upload', formData, {
+      timeout: 0, // Large files can take a long time
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      }
+    });
+  },
+
+  /**
+   * Bulk import a playlist, channel or list of video URLs
+   * @param {string|Array<string>} urls - URL(s), newline separated when a string
+   * @param {object} options - Import options
+   * @param {boolean} options.analyzeFrames - Queue frame analysis for each new video
+   * @param {number} options.maxVideos - Maximum number of videos to import
+   * @returns {Promise} - API response with the import batch
+   */
+  importVideos: (urls, { analyzeFrames = false, maxVideos } = {}) =>
+    api.post('/videos/import', { urls, analyzeFrames, maxVideos }),
+
+  /**
+   * Get recent import batches
+   * @returns {Promise} - API response
+   */
+  getImports: () => api.get('/videos/imports'),
+
+  /**
+   * Get an import batch with the videos it created
+   * @param {string} batchId - Import batch ID
+   * @returns {Promise} - API response
+   */
+  getImport: (batchId) => api.get(`/videos/imports/${batchId}`),
+
   /**
    * Get all videos for the current user
    * @param {object} params - Query parameters
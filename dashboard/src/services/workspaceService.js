@@ -0,0 +1,76 @@
+/**
+ * Workspace service for API calls
+ */
+
+import api from './api';
+
+export const workspaceService = {
+  /**
+   * List the user's workspaces and the active one
+   * @returns {Promise} - API response ({ workspaces, current })
+   */
+  getAll: () => api.get('/workspaces'),
+
+  /**
+   * Create a shared workspace owned by the current user
+   * @param {string} name - Workspace name
+   * @returns {Promise} - API response ({ workspace })
+   */
+  create: (name) => api.post('/workspaces', { name }),
+
+  /**
+   * Make a workspace the active one for this session
+   * @param {string} id - Workspace ID
+   * @returns {Promise} - API response ({ workspace })
+   */
+  switch: (id) => api.post(`/workspaces/${id}/switch`),
+
+  /**
+   * Rename a workspace (owners only)
+   * @param {string} id - Workspace ID
+   * @param {string} name - New name
+   * @returns {Promise} - API response ({ workspace })
+   */
+  rename: (id, name) => api.put(`/workspaces/${id}`, { name }),
+
+  /**
+   * Delete a shared workspace and everything in it (owners only)
+   * @param {string} id - Workspace ID
+   * @returns {Promise} - API response
+   */
+  delete: (id) => api.delete(`/workspaces/${id}`),
+
+  /**
+   * List the members of a workspace
+   * @param {string} id - Workspace ID
+   * @returns {Promise} - API response ({ members, count })
+   */
+  getMembers: (id) => api.get(`/workspaces/${id}/members`),
+
+  /**
+   * Add an existing user by email (owners only)
+   * @param {string} id - Workspace ID
+   * @param {object} data - { email, role: 'owner'|'editor'|'viewer' }
+   * @returns {Promise} - API response ({ member })
+   */
+  addMember: (id, data) => api.post(`/workspaces/${id}/members`, data),
+
+  /**
+   * Change a member's role (owners only)
+   * @param {string} id - Workspace ID
+   * @param {string} userId - Member's user ID
+   * @param {string} role - New role
+   * @returns {Promise} - API response ({ member })
+   */
+  updateMember: (id, userId, role) => api.put(`/workspaces/${id}/members/${userId}`, { role }),
+
+  /**
+   * Remove a member, or leave the workspace when userId is the current user
+   * @param {string} id - Workspace ID
+   * @param {string} userId - Member's user ID
+   * @returns {Promise} - API response
+   */
+  removeMember: (id, userId) => api.delete(`/workspaces/${id}/members/${userId}`)
+};
+
+export default workspaceService;
@@ -0,0 +1,30 @@
+/**
+ * Citation Utilities
+ * Answers from video chat and research threads cite their sources with [n] or [n, m]
+ * markers, where n is the index of an entry in the message's citations list
+ */
+
+// Splits answer text around [n] / [n, m] markers, keeping the markers
+const CITATION_MARKER = /(\[\d+(?:\s*,\s*\d+)*\])/;
+
+/**
+ * Split answer text into plain text and the citations its markers refer to
+ * Markers whose index has no citation are dropped.
+ * @param {string} content - Answer text
+ * @param {Array} citations - Citations with index
+ * @returns {Array} Parts in order, each { key, text } or { key, citation }
+ */
+export const splitCitations = (content = '', citations = []) => {
+  const byIndex = new Map(citations.map(citation => [citation.index, citation]));
+
+  return content.split(CITATION_MARKER).flatMap((part, i) => {
+    // Odd parts are the captured markers
+    if (i % 2 === 0) {
+      return part ? [{ key: `${i}`, text: part }] : [];
+    }
+
+    return part.slice(1, -1).split(',')
+      .map(n => ({ key: `${i}-${n.trim()}`, citation: byIndex.get(parseInt(n, 10)) }))
+      .filter(item => item.citation);
+  });
+};
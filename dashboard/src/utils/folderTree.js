@@ -0,0 +1,60 @@
+/**
+ * Folder Tree Utilities
+ * Helpers for working with the flat folder list returned by GET /api/folders,
+ * where nesting is expressed through parent_id
+ */
+
+/**
+ * Nest a flat folder list into a tree
+ * Folders whose parent is missing from the list are treated as top-level
+ * @param {Array} folders - Folders with id and parent_id
+ * @returns {Array} Top-level folders, each with a children array
+ */
+export const buildFolderTree = (folders = []) => {
+  const byId = new Map(folders.map(folder => [folder.id, { ...folder, children: [] }]));
+  const roots = [];
+
+  byId.forEach(folder => {
+    const parent = folder.parent_id ? byId.get(folder.parent_id) : null;
+    if (parent) {
+      parent.children.push(folder);
+    } else {
+      roots.push(folder);
+    }
+  });
+
+  return roots;
+};
+
+/**
+ * Get a folder and its ancestors, from the top level down
+ * @param {Array} folders - Flat folder list
+ * @param {string} folderId - Folder to resolve
+ * @returns {Array} Folders on the path (empty if the folder is unknown)
+ */
+export const getFolderPath = (folders = [], folderId) => {
+  const byId = new Map(folders.map(folder => [folder.id, folder]));
+  const path = [];
+  const seen = new Set();
+  let current = byId.get(folderId);
+
+  while (current && !seen.has(current.id)) {
+    path.unshift(current);
+    seen.add(current.id);
+    current = current.parent_id ? byId.get(current.parent_id) : null;
+  }
+
+  return path;
+};
+
+/**
+ * Check whether a folder is the given ancestor or nested anywhere below it
+ * Used to refuse drops that would move a folder into its own subtree
+ * @param {Array} folders - Flat folder list
+ * @param {string} folderId - Folder to test
+ * @param {string} ancestorId - Possible ancestor
+ * @returns {boolean}
+ */
+export const isSameOrDescendant = (folders = [], folderId, ancestorId) => {
+  return getFolderPath(folders, folderId).some(folder => folder.id === ancestorId);
+};
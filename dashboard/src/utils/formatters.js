@@ -67,6 +67,17 @@ export function formatDate(dateString) {
   }
 }
 
+/**
+ * Format a file size in bytes
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Size in KB, MB or GB
+ */
+export function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
 /**
  * Format timestamp for display (minutes:seconds)
  * @param {number} seconds - Time in seconds
@@ -123,3 +134,18 @@ export function groupSegmentsByMinute(segments) {
   });
   return groups;
 }
+
+/**
+ * Format a language code as its English name
+ * @param {string} code - Language code (e.g. "de", "pt-BR")
+ * @returns {string} - Language name (e.g. "German"), or the code if unknown
+ */
+export function formatLanguageName(code) {
+  if (!code) return 'Unknown';
+
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Graph Layout Utilities
+ * A small force-directed layout for the topic graph returned by GET /api/topics/graph.
+ * Nodes start on a spiral so the same graph always settles into the same picture.
+ */
+
+const ITERATIONS = 300;
+const REPULSION = 1800;
+const SPRING_LENGTH = 90;
+const SPRING_STRENGTH = 0.02;
+const GRAVITY = 0.01;
+const MIN_VIEW_SIZE = 400;
+
+/**
+ * Lay out nodes so that linked topics sit close together
+ * @param {Array} nodes - Nodes with id
+ * @param {Array} edges - Edges with source, target and weight
+ * @param {object} size - { width, height } of the drawing area
+ * @returns {Map} Node id to { x, y }
+ */
+export const layoutGraph = (nodes = [], edges = [], { width = 800, height = 600 } = {}) => {
+  const cx = width / 2;
+  const cy = height / 2;
+  const points = nodes.map((node, index) => {
+    const angle = index * 2.4;
+    const radius = 12 * Math.sqrt(index + 1);
+    return { id: node.id, x: cx + radius * Math.cos(angle), y: cy + radius * Math.sin(angle) };
+  });
+  const indexOf = new Map(points.map((point, index) => [point.id, index]));
+  const springs = edges
+    .map(edge => ({ a: indexOf.get(edge.source), b: indexOf.get(edge.target), weight: edge.weight || 1 }))
+    .filter(spring => spring.a !== undefined && spring.b !== undefined);
+
+  for (let step = 0; step < ITERATIONS; step++) {
+    // Movement shrinks as the layout cools
+    const temperature = 1 - step / ITERATIONS;
+    const forces = points.map(() => ({ x: 0, y: 0 }));
+
+    for (let i = 0; i < points.length; i++) {
+      for (let j = i + 1; j < points.length; j++) {
+        const dx = points[i].x - points[j].x;
+        const dy = points[i].y - points[j].y;
+        const distanceSq = Math.max(dx * dx + dy * dy, 1);
+        const distance = Math.sqrt(distanceSq);
+        const push = REPULSION / distanceSq;
+        forces[i].x += (dx / distance) * push;
+        forces[i].y += (dy / distance) * push;
+        forces[j].x -= (dx / distance) * push;
+        forces[j].y -= (dy / distance) * push;
+      }
+    }
+
+    springs.forEach(({ a, b, weight }) => {
+      const dx = points[b].x - points[a].x;
+      const dy = points[b].y - points[a].y;
+      const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+      const pull = (distance - SPRING_LENGTH) * SPRING_STRENGTH * Math.min(weight, 5);
+      forces[a].x += (dx / distance) * pull;
+      forces[a].y += (dy / distance) * pull;
+      forces[b].x -= (dx / distance) * pull;
+      forces[b].y -= (dy / distance) * pull;
+    });
+
+    points.forEach((point, index) => {
+      const fx = forces[index].x + (cx - point.x) * GRAVITY;
+      const fy = forces[index].y + (cy - point.y) * GRAVITY;
+      const limit = 10 * temperature + 0.5;
+      point.x += Math.max(-limit, Math.min(limit, fx));
+      point.y += Math.max(-limit, Math.min(limit, fy));
+    });
+  }
+
+  return new Map(points.map(point => [point.id, { x: point.x, y: point.y }]));
+};
+
+/**
+ * Get the box that contains every laid-out point
+ * @param {Map} positions - Node id to { x, y }
+ * @param {number} padding - Space to leave around the points
+ * @returns {object} { x, y, width, height } for an SVG viewBox
+ */
+export const getGraphBounds = (positions, padding = 40) => {
+  const values = [...positions.values()];
+  if (values.length === 0) {
+    return { x: 0, y: 0, width: 800, height: 600 };
+  }
+
+  const xs = values.map(point => point.x);
+  const ys = values.map(point => point.y);
+  // Small graphs keep a minimum size so a handful of nodes isn't blown up to fill the view
+  const width = Math.max(Math.max(...xs) - Math.min(...xs) + padding * 2, MIN_VIEW_SIZE);
+  const height = Math.max(Math.max(...ys) - Math.min(...ys) + padding * 2, MIN_VIEW_SIZE);
+
+  return {
+    x: (Math.min(...xs) + Math.max(...xs) - width) / 2,
+    y: (Math.min(...ys) + Math.max(...ys) - height) / 2,
+    width,
+    height
+  };
+};
@@ -0,0 +1,64 @@
+/**
+ * HTML5 Player Adapter
+ * Wraps a <video> element in the subset of the YouTube IFrame player API
+ * used by the app, so uploaded videos work with the same seek/shortcut code
+ */
+
+// Mirrors YT.PlayerState values
+export const PLAYER_STATE = {
+  ENDED: 0,
+  PLAYING: 1,
+  PAUSED: 2
+};
+
+/**
+ * Create a YouTube-compatible player for a <video> element
+ * @param {HTMLVideoElement} videoElement - The video element
+ * @returns {Object} Player with getCurrentTime, seekTo, playVideo, etc.
+ */
+export const createHtml5Player = (videoElement) => ({
+  getCurrentTime: () => videoElement.currentTime,
+
+  getDuration: () => videoElement.duration || 0,
+
+  seekTo: (seconds) => {
+    videoElement.currentTime = seconds;
+  },
+
+  playVideo: () => {
+    videoElement.play().catch(() => {});
+  },
+
+  pauseVideo: () => videoElement.pause(),
+
+  getPlayerState: () => {
+    if (videoElement.ended) return PLAYER_STATE.ENDED;
+    return videoElement.paused ? PLAYER_STATE.PAUSED : PLAYER_STATE.PLAYING;
+  },
+
+  mute: () => {
+    videoElement.muted = true;
+  },
+
+  unMute: () => {
+    videoElement.muted = false;
+  },
+
+  isMuted: () => videoElement.muted,
+
+  setPlaybackRate: (rate) => {
+    videoElement.playbackRate = rate;
+  },
+
+  getVideoLoadedFraction: () => {
+    const { buffered, duration } = videoElement;
+    if (!duration || buffered.length === 0) return 0;
+    return buffered.end(buffered.length - 1) / duration;
+  },
+
+  getIframe: () => videoElement,
+
+  destroy: () => videoElement.pause()
+});
+
+export default createHtml5Player;
@@ -0,0 +1,31 @@
+-- Migration 010: Local Video Uploads
+-- Videos can come from a YouTube URL or from a file uploaded by the user
+
+-- ============================================================================
+-- VIDEOS: SOURCE TYPE AND UPLOADED FILE METADATA
+-- ============================================================================
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS source_type VARCHAR(20) DEFAULT 'youtube' NOT NULL;
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS file_path TEXT;
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS original_filename TEXT;
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS file_size BIGINT;
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS mime_type VARCHAR(100);
+
+-- Uploaded videos have no YouTube ID
+ALTER TABLE videos ALTER COLUMN youtube_id DROP NOT NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'videos_source_type_check'
+    ) THEN
+        ALTER TABLE videos
+        ADD CONSTRAINT videos_source_type_check
+        CHECK (source_type IN ('youtube', 'upload'));
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_videos_source_type ON videos(source_type);
+
+COMMENT ON COLUMN videos.source_type IS 'Where the video comes from: youtube or upload';
+COMMENT ON COLUMN videos.file_path IS 'Absolute path of the uploaded file on disk (uploads only)';
+COMMENT ON COLUMN videos.original_filename IS 'File name as provided by the uploader';
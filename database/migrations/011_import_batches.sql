@@ -0,0 +1,56 @@
+-- Migration 011: Bulk Import Batches
+-- Tracks playlist, channel and multi-URL imports and links the created videos to them
+
+-- ============================================================================
+-- IMPORT BATCHES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS import_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT,
+    source_urls JSONB DEFAULT '[]'::jsonb NOT NULL,
+    options JSONB DEFAULT '{}'::jsonb NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL,
+    total_count INTEGER DEFAULT 0 NOT NULL,
+    created_count INTEGER DEFAULT 0 NOT NULL,
+    skipped_count INTEGER DEFAULT 0 NOT NULL,
+    completed_count INTEGER DEFAULT 0 NOT NULL,
+    failed_count INTEGER DEFAULT 0 NOT NULL,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'import_batches_status_check'
+    ) THEN
+        ALTER TABLE import_batches
+        ADD CONSTRAINT import_batches_status_check
+        CHECK (status IN ('pending', 'expanding', 'processing', 'completed', 'failed'));
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_import_batches_user_id ON import_batches(user_id);
+CREATE INDEX IF NOT EXISTS idx_import_batches_created_at ON import_batches(created_at DESC);
+
+DROP TRIGGER IF EXISTS update_import_batches_updated_at ON import_batches;
+CREATE TRIGGER update_import_batches_updated_at
+    BEFORE UPDATE ON import_batches
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- VIDEOS: IMPORT BATCH LINK
+-- ============================================================================
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS import_batch_id UUID REFERENCES import_batches(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_videos_import_batch_id ON videos(import_batch_id);
+
+COMMENT ON TABLE import_batches IS 'Bulk imports of YouTube playlists, channels or URL lists';
+COMMENT ON COLUMN import_batches.source_urls IS 'URLs as submitted (playlist, channel or video URLs)';
+COMMENT ON COLUMN import_batches.total_count IS 'Number of distinct videos found after expanding the sources';
+COMMENT ON COLUMN import_batches.skipped_count IS 'Videos the user already had';
+COMMENT ON COLUMN videos.import_batch_id IS 'Import batch that created this video, if any';
@@ -0,0 +1,34 @@
+-- Migration 012: Multiple Transcript Tracks per Video
+-- A video can store several caption tracks (one per language), including
+-- YouTube machine translations. The primary track drives sections, summaries and search.
+
+-- ============================================================================
+-- TRANSCRIPTIONS: TRACK METADATA
+-- ============================================================================
+ALTER TABLE transcriptions ADD COLUMN IF NOT EXISTS is_primary BOOLEAN DEFAULT false NOT NULL;
+ALTER TABLE transcriptions ADD COLUMN IF NOT EXISTS source_language VARCHAR(10);
+
+-- Until now every video had exactly one transcript, which becomes its primary track
+UPDATE transcriptions SET is_primary = true
+WHERE id IN (
+    SELECT DISTINCT ON (video_id) id
+    FROM transcriptions
+    ORDER BY video_id, created_at DESC
+);
+
+-- One track per language, and one primary track per video
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transcriptions_video_language
+ON transcriptions(video_id, COALESCE(language, ''));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transcriptions_video_primary
+ON transcriptions(video_id) WHERE is_primary;
+
+COMMENT ON COLUMN transcriptions.is_primary IS 'Track used for sections, summaries and key points';
+COMMENT ON COLUMN transcriptions.source_language IS 'Original track language when this track is a translation';
+
+-- ============================================================================
+-- VIDEO SUMMARIES: OUTPUT LANGUAGE
+-- ============================================================================
+ALTER TABLE video_summaries ADD COLUMN IF NOT EXISTS language VARCHAR(10);
+
+COMMENT ON COLUMN video_summaries.language IS 'Language the summary was generated in (NULL = transcript language)';
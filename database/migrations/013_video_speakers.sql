@@ -0,0 +1,38 @@
+-- Migration 013: Speaker Diarization
+-- Transcript segments carry a speaker key ("S1", "S2", ...) in transcriptions.segments;
+-- this table holds per-video speaker names and talk-time statistics
+
+-- ============================================================================
+-- VIDEO SPEAKERS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS video_speakers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    video_id UUID NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+    speaker_key VARCHAR(20) NOT NULL,
+    name VARCHAR(100),
+    segment_count INTEGER DEFAULT 0 NOT NULL,
+    speaking_time DECIMAL(10, 2) DEFAULT 0 NOT NULL,
+    first_seen DECIMAL(10, 3) DEFAULT 0 NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    UNIQUE(video_id, speaker_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_video_speakers_video_id ON video_speakers(video_id);
+
+DROP TRIGGER IF EXISTS update_video_speakers_updated_at ON video_speakers;
+CREATE TRIGGER update_video_speakers_updated_at
+    BEFORE UPDATE ON video_speakers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE video_speakers IS 'Speakers detected by diarization, with user-assigned names';
+COMMENT ON COLUMN video_speakers.speaker_key IS 'Key stored on transcript segments (segment.speaker)';
+COMMENT ON COLUMN video_speakers.name IS 'Display name; NULL shows the default "Speaker N" label';
+
+-- ============================================================================
+-- TRANSCRIPTIONS: DIARIZATION STATE
+-- ============================================================================
+ALTER TABLE transcriptions ADD COLUMN IF NOT EXISTS diarized_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN transcriptions.diarized_at IS 'When speaker keys were last assigned to the segments';
@@ -0,0 +1,16 @@
+-- Migration 014: Analysis Job Metadata
+-- Keeps the options a job was queued with (e.g. frame extraction mode and scene threshold)
+-- separately from `result`, which workers overwrite while reporting progress
+
+-- ============================================================================
+-- ANALYSIS JOBS: METADATA
+-- ============================================================================
+ALTER TABLE analysis_jobs
+ADD COLUMN IF NOT EXISTS metadata JSONB;
+
+-- Jobs created before this migration stored their options in `result`
+UPDATE analysis_jobs
+SET metadata = jsonb_build_object('options', result->'options')
+WHERE metadata IS NULL AND result ? 'options';
+
+COMMENT ON COLUMN analysis_jobs.metadata IS 'Options the job was queued with, e.g. {"options": {"extractionMode": "scene", "sceneThreshold": 0.3}}';
@@ -0,0 +1,17 @@
+-- Migration 015: Frame Perceptual Hashes
+-- Stores a dHash per extracted frame and links near-duplicates to the frame they repeat,
+-- so duplicates can be skipped by OCR and vision analysis
+
+-- ============================================================================
+-- FRAMES: PERCEPTUAL HASH AND DUPLICATE LINK
+-- ============================================================================
+ALTER TABLE frames
+ADD COLUMN IF NOT EXISTS perceptual_hash VARCHAR(16);
+
+ALTER TABLE frames
+ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES frames(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_frames_duplicate_of ON frames(duplicate_of) WHERE duplicate_of IS NOT NULL;
+
+COMMENT ON COLUMN frames.perceptual_hash IS '64-bit difference hash (dHash) of the frame image as 16 hex characters';
+COMMENT ON COLUMN frames.duplicate_of IS 'Earlier frame this one is a near-duplicate of; duplicates are skipped by OCR and vision analysis';
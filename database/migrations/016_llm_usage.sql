@@ -0,0 +1,30 @@
+-- Migration 016: LLM Usage
+-- One row per text or vision generation, whichever provider served it,
+-- so cloud and self-hosted model usage can be reported the same way
+
+-- ============================================================================
+-- LLM USAGE TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS llm_usage (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task VARCHAR(50) NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(255),
+    input_tokens INTEGER DEFAULT 0 NOT NULL,
+    output_tokens INTEGER DEFAULT 0 NOT NULL,
+    duration_ms INTEGER,
+    success BOOLEAN DEFAULT true NOT NULL,
+    error_message TEXT,
+    video_id UUID REFERENCES videos(id) ON DELETE SET NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON llm_usage(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_provider ON llm_usage(provider, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_video_id ON llm_usage(video_id);
+
+COMMENT ON TABLE llm_usage IS 'Text and vision generations per task, provider and model';
+COMMENT ON COLUMN llm_usage.task IS 'AI task from llmConfig.tasks (sections, summaries, keyPoints, analysis, vision)';
+COMMENT ON COLUMN llm_usage.provider IS 'Provider that served the request (claude, gemini, openai)';
+COMMENT ON COLUMN llm_usage.input_tokens IS 'Prompt tokens as reported by the provider; 0 when not reported';
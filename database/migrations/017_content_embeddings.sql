@@ -0,0 +1,38 @@
+-- Migration 017: Content Embeddings
+-- Vector embeddings of transcript chunks, frame text, section summaries and save notes
+-- for semantic search. Requires the pgvector extension (https://github.com/pgvector/pgvector)
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- ============================================================================
+-- CONTENT EMBEDDINGS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS content_embeddings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    video_id UUID NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+    source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('transcript', 'frame', 'section', 'save')),
+    source_id UUID NOT NULL,
+    chunk_index INTEGER DEFAULT 0 NOT NULL,
+    start_time DECIMAL(10, 3),
+    end_time DECIMAL(10, 3),
+    content TEXT NOT NULL,
+    model VARCHAR(255) NOT NULL,
+    embedding vector(768) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    UNIQUE (source_type, source_id, chunk_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_embeddings_user_type ON content_embeddings(user_id, source_type);
+CREATE INDEX IF NOT EXISTS idx_content_embeddings_video_id ON content_embeddings(video_id);
+CREATE INDEX IF NOT EXISTS idx_content_embeddings_embedding
+ON content_embeddings USING hnsw (embedding vector_cosine_ops);
+
+-- Full-text rank of the same passage, blended with vector similarity in hybrid search
+CREATE INDEX IF NOT EXISTS idx_content_embeddings_content_fts
+ON content_embeddings USING gin(to_tsvector('english', content));
+
+COMMENT ON TABLE content_embeddings IS 'Embedded passages for semantic search, one row per chunk';
+COMMENT ON COLUMN content_embeddings.source_id IS 'transcriptions.id, frames.id, sections.id or saves.id depending on source_type';
+COMMENT ON COLUMN content_embeddings.start_time IS 'Start of the passage in the video (seconds); NULL for saves';
+COMMENT ON COLUMN content_embeddings.model IS 'Embedding model; rows from another model are re-embedded on the next index';
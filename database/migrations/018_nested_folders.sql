@@ -0,0 +1,12 @@
+-- Migration 018: Nested Folders
+-- Lets folders contain other folders to any depth
+
+-- ============================================================================
+-- FOLDERS: PARENT LINK
+-- ============================================================================
+ALTER TABLE folders
+ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES folders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_folders_parent_id ON folders(parent_id);
+
+COMMENT ON COLUMN folders.parent_id IS 'Folder this one is nested in; NULL for top-level folders. Moves are checked for cycles in folderService';
@@ -0,0 +1,21 @@
+-- Migration 019: Smart Folders
+-- Folders whose saves come from a stored rule set instead of save_folders membership
+
+-- ============================================================================
+-- FOLDERS: KIND AND RULES
+-- ============================================================================
+ALTER TABLE folders
+ADD COLUMN IF NOT EXISTS kind VARCHAR(20) NOT NULL DEFAULT 'manual'
+    CHECK (kind IN ('manual', 'smart'));
+
+ALTER TABLE folders
+ADD COLUMN IF NOT EXISTS rules JSONB;
+
+ALTER TABLE folders
+DROP CONSTRAINT IF EXISTS folders_smart_rules_check;
+
+ALTER TABLE folders
+ADD CONSTRAINT folders_smart_rules_check CHECK (kind = 'manual' OR rules IS NOT NULL);
+
+COMMENT ON COLUMN folders.kind IS 'manual folders hold saves through save_folders; smart folders are evaluated from rules';
+COMMENT ON COLUMN folders.rules IS 'Smart folder rule set (tags, channel, video type, date range, content, text); see smartFolderRules.js';
@@ -0,0 +1,27 @@
+-- Migration 020: Share Links
+-- Revocable, optionally expiring public links to a save, a folder or a video analysis
+
+-- ============================================================================
+-- SHARE LINKS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS share_links (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token VARCHAR(64) NOT NULL UNIQUE,
+    resource_type VARCHAR(20) NOT NULL CHECK (resource_type IN ('save', 'folder', 'video')),
+    resource_id UUID NOT NULL,
+    frame_ids UUID[],
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    view_count INTEGER DEFAULT 0 NOT NULL,
+    last_viewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_links_user_id ON share_links(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_share_links_resource ON share_links(resource_type, resource_id);
+
+COMMENT ON TABLE share_links IS 'Public read-only links to saves, folders and video analyses';
+COMMENT ON COLUMN share_links.token IS 'Unguessable URL token (32 random bytes, base64url)';
+COMMENT ON COLUMN share_links.resource_id IS 'ID of the shared save, folder or video; not a foreign key because the target table depends on resource_type';
+COMMENT ON COLUMN share_links.frame_ids IS 'Frames selected for a video share; NULL shares the video keyframes';
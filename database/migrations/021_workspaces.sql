@@ -0,0 +1,113 @@
+-- Migration 021: Workspaces
+-- Videos, folders, tags, saves and import batches belong to a workspace that several
+-- users can be members of. user_id is kept on those tables as the member who created the row.
+-- Every existing user gets a personal workspace that takes over their current library.
+
+-- ============================================================================
+-- WORKSPACES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS workspaces (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    is_personal BOOLEAN DEFAULT false NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- One personal workspace per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workspaces_personal ON workspaces(created_by) WHERE is_personal;
+
+DROP TRIGGER IF EXISTS update_workspaces_updated_at ON workspaces;
+CREATE TRIGGER update_workspaces_updated_at
+    BEFORE UPDATE ON workspaces
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- WORKSPACE MEMBERS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS workspace_members (
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    PRIMARY KEY (workspace_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
+
+-- ============================================================================
+-- PERSONAL WORKSPACES FOR EXISTING USERS
+-- ============================================================================
+INSERT INTO workspaces (name, created_by, is_personal)
+SELECT 'Personal', u.id, true
+FROM users u
+WHERE NOT EXISTS (
+    SELECT 1 FROM workspaces w WHERE w.created_by = u.id AND w.is_personal
+);
+
+INSERT INTO workspace_members (workspace_id, user_id, role)
+SELECT w.id, w.created_by, 'owner'
+FROM workspaces w
+WHERE w.is_personal
+ON CONFLICT (workspace_id, user_id) DO NOTHING;
+
+-- ============================================================================
+-- WORKSPACE COLUMNS
+-- ============================================================================
+ALTER TABLE import_batches ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE videos ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE folders ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE tags ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE saves ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE share_links ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE content_embeddings ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+
+UPDATE import_batches t SET workspace_id = w.id
+FROM workspaces w WHERE w.created_by = t.user_id AND w.is_personal AND t.workspace_id IS NULL;
+
+UPDATE videos t SET workspace_id = w.id
+FROM workspaces w WHERE w.created_by = t.user_id AND w.is_personal AND t.workspace_id IS NULL;
+
+UPDATE folders t SET workspace_id = w.id
+FROM workspaces w WHERE w.created_by = t.user_id AND w.is_personal AND t.workspace_id IS NULL;
+
+UPDATE tags t SET workspace_id = w.id
+FROM workspaces w WHERE w.created_by = t.user_id AND w.is_personal AND t.workspace_id IS NULL;
+
+UPDATE saves t SET workspace_id = w.id
+FROM workspaces w WHERE w.created_by = t.user_id AND w.is_personal AND t.workspace_id IS NULL;
+
+UPDATE share_links t SET workspace_id = w.id
+FROM workspaces w WHERE w.created_by = t.user_id AND w.is_personal AND t.workspace_id IS NULL;
+
+UPDATE content_embeddings t SET workspace_id = v.workspace_id
+FROM videos v WHERE v.id = t.video_id AND t.workspace_id IS NULL;
+
+ALTER TABLE import_batches ALTER COLUMN workspace_id SET NOT NULL;
+ALTER TABLE videos ALTER COLUMN workspace_id SET NOT NULL;
+ALTER TABLE folders ALTER COLUMN workspace_id SET NOT NULL;
+ALTER TABLE tags ALTER COLUMN workspace_id SET NOT NULL;
+ALTER TABLE saves ALTER COLUMN workspace_id SET NOT NULL;
+ALTER TABLE share_links ALTER COLUMN workspace_id SET NOT NULL;
+ALTER TABLE content_embeddings ALTER COLUMN workspace_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_import_batches_workspace_id ON import_batches(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_videos_workspace_id ON videos(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_folders_workspace_id ON folders(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_tags_workspace_id ON tags(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_saves_workspace_id ON saves(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_share_links_workspace_id ON share_links(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_content_embeddings_workspace_type ON content_embeddings(workspace_id, source_type);
+
+-- Tag names are unique within a workspace rather than per user
+ALTER TABLE tags DROP CONSTRAINT IF EXISTS tags_user_id_name_key;
+ALTER TABLE tags DROP CONSTRAINT IF EXISTS tags_workspace_id_name_key;
+ALTER TABLE tags ADD CONSTRAINT tags_workspace_id_name_key UNIQUE (workspace_id, name);
+
+COMMENT ON TABLE workspaces IS 'Shared libraries of videos, analyses, folders, tags and saves';
+COMMENT ON TABLE workspace_members IS 'Workspace membership with owner, editor or viewer role';
+COMMENT ON COLUMN workspaces.is_personal IS 'Created for a user at sign-up; cannot be deleted or left by its owner';
+COMMENT ON COLUMN workspace_members.role IS 'owner: manages members and the workspace; editor: changes content; viewer: read-only';
+COMMENT ON COLUMN videos.user_id IS 'Member who added the video; access is decided by workspace_id';
@@ -0,0 +1,25 @@
+-- Migration 022: API Tokens
+-- Personal access tokens for scripts calling the REST API with Authorization: Bearer
+
+-- ============================================================================
+-- API TOKENS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    token_prefix VARCHAR(16) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('read', 'write')),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id, created_at DESC);
+
+COMMENT ON TABLE api_tokens IS 'Personal access tokens for the REST API';
+COMMENT ON COLUMN api_tokens.token_prefix IS 'First characters of the token, shown so users can tell their tokens apart';
+COMMENT ON COLUMN api_tokens.token_hash IS 'SHA-256 hex digest of the token; the token itself is only shown once at creation';
+COMMENT ON COLUMN api_tokens.scope IS 'read: GET and HEAD requests only; write: every request the user may make';
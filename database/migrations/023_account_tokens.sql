@@ -0,0 +1,21 @@
+-- Migration 023: Account Tokens
+-- Single-use, expiring tokens mailed to users for email verification and password reset
+
+-- ============================================================================
+-- ACCOUNT TOKENS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS account_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user_purpose ON account_tokens(user_id, purpose);
+
+COMMENT ON TABLE account_tokens IS 'Single-use emailed tokens for email verification and password reset';
+COMMENT ON COLUMN account_tokens.token_hash IS 'SHA-256 hex digest of the token sent by email';
+COMMENT ON COLUMN account_tokens.used_at IS 'Set when the token is redeemed; a used token is never accepted again';
@@ -0,0 +1,22 @@
+-- Migration 024: User Identities
+-- Accounts at an OpenID Connect provider linked to Vidlyx users for single sign-on
+
+-- ============================================================================
+-- USER IDENTITIES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS user_identities (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    issuer VARCHAR(512) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    UNIQUE (issuer, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+
+COMMENT ON TABLE user_identities IS 'OpenID Connect accounts linked to users for single sign-on';
+COMMENT ON COLUMN user_identities.subject IS 'The provider''s stable user identifier (sub claim)';
+COMMENT ON COLUMN user_identities.email IS 'Email reported by the provider at the last login, for reference only';
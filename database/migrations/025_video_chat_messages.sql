@@ -0,0 +1,22 @@
+-- Migration 025: Video Chat Messages
+-- Questions asked about a video and the cited answers, kept per user
+
+-- ============================================================================
+-- VIDEO CHAT MESSAGES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS video_chat_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    video_id UUID NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(10) NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    citations JSONB DEFAULT '[]'::jsonb NOT NULL,
+    provider VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_video_chat_messages_conversation ON video_chat_messages(video_id, user_id, created_at);
+
+COMMENT ON TABLE video_chat_messages IS 'Ask-the-video conversations, one per user and video';
+COMMENT ON COLUMN video_chat_messages.citations IS 'Sources an answer cites: [{ index, type, start_time, end_time, frame_id, section_id, excerpt }]';
+COMMENT ON COLUMN video_chat_messages.provider IS 'LLM provider that wrote the answer, or local for the extractive fallback';
@@ -0,0 +1,47 @@
+-- Migration 026: Research Threads
+-- Questions answered across several videos of a workspace (a folder, a tag or a list
+-- of videos), kept as threads that can be continued and exported
+
+-- ============================================================================
+-- RESEARCH THREADS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS research_threads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    scope_type VARCHAR(10) NOT NULL CHECK (scope_type IN ('folder', 'tag', 'videos')),
+    scope_id UUID,
+    video_ids UUID[] DEFAULT '{}' NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_research_threads_workspace ON research_threads(workspace_id, updated_at DESC);
+
+DROP TRIGGER IF EXISTS update_research_threads_updated_at ON research_threads;
+CREATE TRIGGER update_research_threads_updated_at
+    BEFORE UPDATE ON research_threads
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- RESEARCH MESSAGES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS research_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    thread_id UUID NOT NULL REFERENCES research_threads(id) ON DELETE CASCADE,
+    role VARCHAR(10) NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    citations JSONB DEFAULT '[]'::jsonb NOT NULL,
+    provider VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_research_messages_thread ON research_messages(thread_id, created_at);
+
+COMMENT ON TABLE research_threads IS 'Cross-library Q&A threads over a folder, tag or list of videos';
+COMMENT ON COLUMN research_threads.scope_id IS 'Folder or tag the thread searches; NULL when scope_type is videos';
+COMMENT ON COLUMN research_threads.video_ids IS 'Videos searched when scope_type is videos';
+COMMENT ON TABLE research_messages IS 'Questions and cited answers in a research thread';
+COMMENT ON COLUMN research_messages.citations IS 'Sources an answer cites: [{ index, video_id, video_title, youtube_id, type, start_time, end_time, excerpt, ... }]';
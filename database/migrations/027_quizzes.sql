@@ -0,0 +1,62 @@
+-- Migration 027: Quizzes
+-- Multiple-choice, true/false and short-answer questions generated from a video's
+-- sections, each linked to the moment that answers it, and each user's attempts
+
+-- ============================================================================
+-- QUIZZES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS quizzes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    video_id UUID NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+    section_id UUID REFERENCES sections(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    title VARCHAR(255) NOT NULL,
+    provider VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_quizzes_video ON quizzes(video_id, created_at DESC);
+
+-- ============================================================================
+-- QUIZ QUESTIONS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS quiz_questions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    quiz_id UUID NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    question_type VARCHAR(20) NOT NULL CHECK (question_type IN ('multiple_choice', 'true_false', 'short_answer')),
+    prompt TEXT NOT NULL,
+    options JSONB DEFAULT '[]'::jsonb NOT NULL,
+    answer TEXT NOT NULL,
+    explanation TEXT,
+    section_id UUID REFERENCES sections(id) ON DELETE SET NULL,
+    timestamp_seconds DECIMAL(10, 2)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_questions_quiz ON quiz_questions(quiz_id, position);
+
+-- ============================================================================
+-- QUIZ ATTEMPTS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    quiz_id UUID NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    score INTEGER NOT NULL,
+    total INTEGER NOT NULL,
+    answers JSONB DEFAULT '[]'::jsonb NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user ON quiz_attempts(quiz_id, user_id, created_at DESC);
+
+COMMENT ON TABLE quizzes IS 'Self-test quizzes generated from a video or one of its sections';
+COMMENT ON COLUMN quizzes.section_id IS 'Section the quiz covers; NULL for the whole video';
+COMMENT ON COLUMN quizzes.provider IS 'LLM provider that wrote the questions, or local';
+COMMENT ON TABLE quiz_questions IS 'Questions of a quiz, in order';
+COMMENT ON COLUMN quiz_questions.options IS 'Choices for multiple_choice and true_false questions';
+COMMENT ON COLUMN quiz_questions.answer IS 'Correct option, or the expected short answer';
+COMMENT ON COLUMN quiz_questions.timestamp_seconds IS 'Moment in the video that answers the question';
+COMMENT ON TABLE quiz_attempts IS 'Answers and score of each time a user takes a quiz';
+COMMENT ON COLUMN quiz_attempts.answers IS 'Graded answers: [{ question_id, answer, correct }]';
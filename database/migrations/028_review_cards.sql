@@ -0,0 +1,68 @@
+-- Migration 028: Review Cards
+-- Personal spaced-repetition deck of starred key points and saves, scheduled with
+-- an SM-2 style algorithm, and the log of every review
+
+-- ============================================================================
+-- REVIEW CARDS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS review_cards (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    video_id UUID NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+    source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('key_point', 'save')),
+    save_id UUID REFERENCES saves(id) ON DELETE CASCADE,
+    section_id UUID REFERENCES sections(id) ON DELETE SET NULL,
+    key_point_id UUID,
+    frame_id UUID REFERENCES frames(id) ON DELETE SET NULL,
+    front TEXT NOT NULL,
+    back TEXT NOT NULL,
+    context TEXT,
+    timestamp_seconds DECIMAL(10, 2),
+    ease_factor DECIMAL(4, 2) DEFAULT 2.5 NOT NULL,
+    interval_days INTEGER DEFAULT 0 NOT NULL,
+    repetitions INTEGER DEFAULT 0 NOT NULL,
+    lapses INTEGER DEFAULT 0 NOT NULL,
+    due_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    last_reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_cards_due ON review_cards(workspace_id, user_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_review_cards_video ON review_cards(user_id, video_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_review_cards_save_unique
+    ON review_cards(user_id, save_id) WHERE save_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_review_cards_key_point_unique
+    ON review_cards(user_id, video_id, md5(back)) WHERE source_type = 'key_point';
+
+DROP TRIGGER IF EXISTS update_review_cards_updated_at ON review_cards;
+CREATE TRIGGER update_review_cards_updated_at
+    BEFORE UPDATE ON review_cards
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- REVIEW LOGS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS review_logs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    card_id UUID NOT NULL REFERENCES review_cards(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    grade VARCHAR(10) NOT NULL CHECK (grade IN ('again', 'hard', 'good', 'easy')),
+    interval_days INTEGER NOT NULL,
+    ease_factor DECIMAL(4, 2) NOT NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_logs_user ON review_logs(user_id, reviewed_at DESC);
+
+COMMENT ON TABLE review_cards IS 'Key points and saves a user starred for spaced-repetition review';
+COMMENT ON COLUMN review_cards.key_point_id IS 'Stored key point the card was made from, if any; key points kept on sections have no ID';
+COMMENT ON COLUMN review_cards.frame_id IS 'Frame shown as the card thumbnail';
+COMMENT ON COLUMN review_cards.front IS 'Prompt shown before the answer is revealed';
+COMMENT ON COLUMN review_cards.back IS 'Answer: the key point, or what the save captured';
+COMMENT ON COLUMN review_cards.ease_factor IS 'SM-2 ease factor, never below 1.3';
+COMMENT ON COLUMN review_cards.interval_days IS 'Days until the next review; 0 while (re)learning';
+COMMENT ON COLUMN review_cards.lapses IS 'Times the card was forgotten after being learned';
+COMMENT ON TABLE review_logs IS 'Every grade given to a review card';
@@ -0,0 +1,89 @@
+-- Migration 029: Topic Graph
+-- Library-wide topics normalized from video summaries and section text, the aliases
+-- merged into each one, what covers them, and how often topics appear together
+
+-- ============================================================================
+-- TOPICS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS topics (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_topics_workspace ON topics(workspace_id);
+
+DROP TRIGGER IF EXISTS update_topics_updated_at ON topics;
+CREATE TRIGGER update_topics_updated_at
+    BEFORE UPDATE ON topics
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- TOPIC ALIASES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS topic_aliases (
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    alias VARCHAR(255) NOT NULL,
+    topic_id UUID NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+    PRIMARY KEY (workspace_id, alias)
+);
+
+CREATE INDEX IF NOT EXISTS idx_topic_aliases_topic ON topic_aliases(topic_id);
+
+-- ============================================================================
+-- VIDEO / SECTION / SAVE TOPICS TABLES (Many-to-Many)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS video_topics (
+    topic_id UUID NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+    video_id UUID NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+    weight INTEGER DEFAULT 1 NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('summary', 'local')),
+    PRIMARY KEY (topic_id, video_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_video_topics_video ON video_topics(video_id);
+
+CREATE TABLE IF NOT EXISTS section_topics (
+    topic_id UUID NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+    section_id UUID NOT NULL REFERENCES sections(id) ON DELETE CASCADE,
+    PRIMARY KEY (topic_id, section_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_section_topics_section ON section_topics(section_id);
+
+CREATE TABLE IF NOT EXISTS save_topics (
+    topic_id UUID NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+    save_id UUID NOT NULL REFERENCES saves(id) ON DELETE CASCADE,
+    PRIMARY KEY (topic_id, save_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_save_topics_save ON save_topics(save_id);
+
+-- ============================================================================
+-- TOPIC EDGES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS topic_edges (
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    source_topic_id UUID NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+    target_topic_id UUID NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+    weight INTEGER NOT NULL,
+    PRIMARY KEY (source_topic_id, target_topic_id),
+    CHECK (source_topic_id < target_topic_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_topic_edges_workspace ON topic_edges(workspace_id, weight DESC);
+CREATE INDEX IF NOT EXISTS idx_topic_edges_target ON topic_edges(target_topic_id);
+
+COMMENT ON TABLE topics IS 'Normalized topics across a workspace library';
+COMMENT ON COLUMN topics.name IS 'Display name, as first seen';
+COMMENT ON TABLE topic_aliases IS 'Normalized names that resolve to a topic, including names of topics merged into it';
+COMMENT ON TABLE video_topics IS 'Topics a video covers';
+COMMENT ON COLUMN video_topics.weight IS 'How strongly the video covers the topic: 1 plus the sections that mention it';
+COMMENT ON COLUMN video_topics.source IS 'summary for topics from video_summaries.topics, local for topics extracted from section text';
+COMMENT ON TABLE section_topics IS 'Topics each section mentions';
+COMMENT ON TABLE save_topics IS 'Topics of the sections a save captured, or named in its title and notes';
+COMMENT ON TABLE topic_edges IS 'Topic pairs covered by the same videos; source_topic_id sorts before target_topic_id';
+COMMENT ON COLUMN topic_edges.weight IS 'Number of videos covering both topics';
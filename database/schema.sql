@@ -4,6 +4,7 @@
 -- Enable required extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE EXTENSION IF NOT EXISTS vector;
 
 -- ============================================================================
 -- USERS TABLE
@@ -40,13 +41,76 @@ CREATE TABLE IF NOT EXISTS sessions (
 -- Index for session expiration cleanup
 CREATE INDEX IF NOT EXISTS idx_sessions_expire ON sessions(expire);
 
+-- ============================================================================
+-- WORKSPACES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS workspaces (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    is_personal BOOLEAN DEFAULT false NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- One personal workspace per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workspaces_personal ON workspaces(created_by) WHERE is_personal;
+
+-- ============================================================================
+-- WORKSPACE MEMBERS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS workspace_members (
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    PRIMARY KEY (workspace_id, user_id)
+);
+
+-- Index for workspace_members
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
+
+-- ============================================================================
+-- IMPORT BATCHES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS import_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT,
+    source_urls JSONB DEFAULT '[]'::jsonb NOT NULL,
+    options JSONB DEFAULT '{}'::jsonb NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL CHECK (status IN ('pending', 'expanding', 'processing', 'completed', 'failed')),
+    total_count INTEGER DEFAULT 0 NOT NULL,
+    created_count INTEGER DEFAULT 0 NOT NULL,
+    skipped_count INTEGER DEFAULT 0 NOT NULL,
+    completed_count INTEGER DEFAULT 0 NOT NULL,
+    failed_count INTEGER DEFAULT 0 NOT NULL,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Indexes for import_batches
+CREATE INDEX IF NOT EXISTS idx_import_batches_user_id ON import_batches(user_id);
+CREATE INDEX IF NOT EXISTS idx_import_batches_workspace_id ON import_batches(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_import_batches_created_at ON import_batches(created_at DESC);
+
 -- ============================================================================
 -- VIDEOS TABLE
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS videos (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    youtube_id VARCHAR(50) NOT NULL,
+    youtube_id VARCHAR(50), -- NULL for uploaded videos
+    source_type VARCHAR(20) DEFAULT 'youtube' NOT NULL CHECK (source_type IN ('youtube', 'upload')),
+    file_path TEXT,
+    original_filename TEXT,
+    file_size BIGINT,
+    mime_type VARCHAR(100),
+    import_batch_id UUID REFERENCES import_batches(id) ON DELETE SET NULL,
     title TEXT NOT NULL,
     channel_name VARCHAR(255),
     duration INTEGER, -- in seconds
@@ -60,7 +124,10 @@ CREATE TABLE IF NOT EXISTS videos (
 
 -- Indexes for videos
 CREATE INDEX IF NOT EXISTS idx_videos_user_id ON videos(user_id);
+CREATE INDEX IF NOT EXISTS idx_videos_workspace_id ON videos(workspace_id);
 CREATE INDEX IF NOT EXISTS idx_videos_youtube_id ON videos(youtube_id);
+CREATE INDEX IF NOT EXISTS idx_videos_source_type ON videos(source_type);
+CREATE INDEX IF NOT EXISTS idx_videos_import_batch_id ON videos(import_batch_id);
 CREATE INDEX IF NOT EXISTS idx_videos_analysis_status ON videos(analysis_status);
 CREATE INDEX IF NOT EXISTS idx_videos_last_accessed ON videos(last_accessed_at DESC);
 CREATE INDEX IF NOT EXISTS idx_videos_created_at ON videos(created_at DESC);
@@ -75,13 +142,37 @@ CREATE TABLE IF NOT EXISTS transcriptions (
     segments JSONB,
     transcript_type VARCHAR(50) DEFAULT 'auto' NOT NULL,
     language VARCHAR(10),
+    is_primary BOOLEAN DEFAULT false NOT NULL, -- track used for sections and summaries
+    source_language VARCHAR(10), -- set when the track is a translation
+    diarized_at TIMESTAMP WITH TIME ZONE, -- when speaker keys were assigned to segments
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
 );
 
 -- Indexes for transcriptions
 CREATE INDEX IF NOT EXISTS idx_transcriptions_video_id ON transcriptions(video_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transcriptions_video_language ON transcriptions(video_id, COALESCE(language, ''));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transcriptions_video_primary ON transcriptions(video_id) WHERE is_primary;
 CREATE INDEX IF NOT EXISTS idx_transcriptions_full_text_trgm ON transcriptions USING gin(full_text gin_trgm_ops);
 
+-- ============================================================================
+-- VIDEO SPEAKERS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS video_speakers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    video_id UUID NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+    speaker_key VARCHAR(20) NOT NULL, -- matches segment.speaker in transcriptions.segments
+    name VARCHAR(100),
+    segment_count INTEGER DEFAULT 0 NOT NULL,
+    speaking_time DECIMAL(10, 2) DEFAULT 0 NOT NULL,
+    first_seen DECIMAL(10, 3) DEFAULT 0 NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    UNIQUE(video_id, speaker_key)
+);
+
+-- Indexes for video_speakers
+CREATE INDEX IF NOT EXISTS idx_video_speakers_video_id ON video_speakers(video_id);
+
 -- ============================================================================
 -- FRAMES TABLE
 -- ============================================================================
@@ -95,6 +186,8 @@ CREATE TABLE IF NOT EXISTS frames (
     scene_description TEXT,
     visual_elements JSONB,
     is_keyframe BOOLEAN DEFAULT false NOT NULL,
+    perceptual_hash VARCHAR(16),
+    duplicate_of UUID REFERENCES frames(id) ON DELETE SET NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
 );
 
@@ -103,6 +196,7 @@ CREATE INDEX IF NOT EXISTS idx_frames_video_id ON frames(video_id);
 CREATE INDEX IF NOT EXISTS idx_frames_timestamp ON frames(timestamp_seconds);
 CREATE INDEX IF NOT EXISTS idx_frames_is_keyframe ON frames(is_keyframe) WHERE is_keyframe = true;
 CREATE INDEX IF NOT EXISTS idx_frames_on_screen_text_trgm ON frames USING gin(on_screen_text gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_frames_duplicate_of ON frames(duplicate_of) WHERE duplicate_of IS NOT NULL;
 
 -- ============================================================================
 -- SECTIONS TABLE
@@ -141,6 +235,7 @@ CREATE TABLE IF NOT EXISTS video_summaries (
     recommended_for JSONB,
     prerequisites JSONB,
     comprehensive_analysis TEXT,
+    language VARCHAR(10), -- output language, NULL = transcript language
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
 );
@@ -153,24 +248,32 @@ CREATE INDEX IF NOT EXISTS idx_video_summaries_video_id ON video_summaries(video
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS folders (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    parent_id UUID REFERENCES folders(id) ON DELETE SET NULL,
     name VARCHAR(255) NOT NULL,
     color VARCHAR(50),
     icon VARCHAR(50),
     sort_order INTEGER DEFAULT 0,
+    kind VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (kind IN ('manual', 'smart')),
+    rules JSONB,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT folders_smart_rules_check CHECK (kind = 'manual' OR rules IS NOT NULL)
 );
 
 -- Indexes for folders
 CREATE INDEX IF NOT EXISTS idx_folders_user_id ON folders(user_id);
+CREATE INDEX IF NOT EXISTS idx_folders_workspace_id ON folders(workspace_id);
 CREATE INDEX IF NOT EXISTS idx_folders_sort_order ON folders(sort_order);
+CREATE INDEX IF NOT EXISTS idx_folders_parent_id ON folders(parent_id);
 
 -- ============================================================================
 -- SAVES TABLE
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS saves (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     video_id UUID NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
     title VARCHAR(255),
@@ -182,6 +285,7 @@ CREATE TABLE IF NOT EXISTS saves (
 
 -- Indexes for saves
 CREATE INDEX IF NOT EXISTS idx_saves_user_id ON saves(user_id);
+CREATE INDEX IF NOT EXISTS idx_saves_workspace_id ON saves(workspace_id);
 CREATE INDEX IF NOT EXISTS idx_saves_video_id ON saves(video_id);
 CREATE INDEX IF NOT EXISTS idx_saves_created_at ON saves(created_at DESC);
 
@@ -245,14 +349,16 @@ CREATE INDEX IF NOT EXISTS idx_save_folders_folder_id ON save_folders(folder_id)
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS tags (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     name VARCHAR(100) NOT NULL,
     color VARCHAR(50),
-    UNIQUE(user_id, name)
+    UNIQUE(workspace_id, name)
 );
 
 -- Indexes for tags
 CREATE INDEX IF NOT EXISTS idx_tags_user_id ON tags(user_id);
+CREATE INDEX IF NOT EXISTS idx_tags_workspace_id ON tags(workspace_id);
 CREATE INDEX IF NOT EXISTS idx_tags_name ON tags(name);
 
 -- ============================================================================
@@ -277,6 +383,7 @@ CREATE TABLE IF NOT EXISTS analysis_jobs (
     job_type VARCHAR(50) NOT NULL,
     status VARCHAR(50) DEFAULT 'pending' NOT NULL,
     progress INTEGER DEFAULT 0 NOT NULL,
+    metadata JSONB,
     error_message TEXT,
     started_at TIMESTAMP WITH TIME ZONE,
     completed_at TIMESTAMP WITH TIME ZONE,
@@ -289,6 +396,360 @@ CREATE INDEX IF NOT EXISTS idx_analysis_jobs_status ON analysis_jobs(status);
 CREATE INDEX IF NOT EXISTS idx_analysis_jobs_job_type ON analysis_jobs(job_type);
 CREATE INDEX IF NOT EXISTS idx_analysis_jobs_created_at ON analysis_jobs(created_at DESC);
 
+-- ============================================================================
+-- LLM USAGE TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS llm_usage (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task VARCHAR(50) NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(255),
+    input_tokens INTEGER DEFAULT 0 NOT NULL,
+    output_tokens INTEGER DEFAULT 0 NOT NULL,
+    duration_ms INTEGER,
+    success BOOLEAN DEFAULT true NOT NULL,
+    error_message TEXT,
+    video_id UUID REFERENCES videos(id) ON DELETE SET NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for llm_usage
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON llm_usage(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_provider ON llm_usage(provider, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_video_id ON llm_usage(video_id);
+
+-- ============================================================================
+-- SHARE LINKS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS share_links (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token VARCHAR(64) NOT NULL UNIQUE,
+    resource_type VARCHAR(20) NOT NULL CHECK (resource_type IN ('save', 'folder', 'video')),
+    resource_id UUID NOT NULL,
+    frame_ids UUID[],
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    view_count INTEGER DEFAULT 0 NOT NULL,
+    last_viewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for share_links
+CREATE INDEX IF NOT EXISTS idx_share_links_user_id ON share_links(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_share_links_workspace_id ON share_links(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_share_links_resource ON share_links(resource_type, resource_id);
+
+-- ============================================================================
+-- API TOKENS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    token_prefix VARCHAR(16) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('read', 'write')),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for api_tokens
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id, created_at DESC);
+
+-- ============================================================================
+-- ACCOUNT TOKENS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS account_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for account_tokens
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user_purpose ON account_tokens(user_id, purpose);
+
+-- ============================================================================
+-- USER IDENTITIES TABLE (single sign-on)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS user_identities (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    issuer VARCHAR(512) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    UNIQUE (issuer, subject)
+);
+
+-- Indexes for user_identities
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+
+-- ============================================================================
+-- VIDEO CHAT MESSAGES TABLE (ask-the-video)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS video_chat_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    video_id UUID NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(10) NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    citations JSONB DEFAULT '[]'::jsonb NOT NULL,
+    provider VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for video_chat_messages
+CREATE INDEX IF NOT EXISTS idx_video_chat_messages_conversation ON video_chat_messages(video_id, user_id, created_at);
+
+-- ============================================================================
+-- RESEARCH THREADS TABLE (cross-library Q&A)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS research_threads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    scope_type VARCHAR(10) NOT NULL CHECK (scope_type IN ('folder', 'tag', 'videos')),
+    scope_id UUID,
+    video_ids UUID[] DEFAULT '{}' NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for research_threads
+CREATE INDEX IF NOT EXISTS idx_research_threads_workspace ON research_threads(workspace_id, updated_at DESC);
+
+-- ============================================================================
+-- RESEARCH MESSAGES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS research_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    thread_id UUID NOT NULL REFERENCES research_threads(id) ON DELETE CASCADE,
+    role VARCHAR(10) NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    citations JSONB DEFAULT '[]'::jsonb NOT NULL,
+    provider VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for research_messages
+CREATE INDEX IF NOT EXISTS idx_research_messages_thread ON research_messages(thread_id, created_at);
+
+-- ============================================================================
+-- QUIZZES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS quizzes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    video_id UUID NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+    section_id UUID REFERENCES sections(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    title VARCHAR(255) NOT NULL,
+    provider VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for quizzes
+CREATE INDEX IF NOT EXISTS idx_quizzes_video ON quizzes(video_id, created_at DESC);
+
+-- ============================================================================
+-- QUIZ QUESTIONS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS quiz_questions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    quiz_id UUID NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    question_type VARCHAR(20) NOT NULL CHECK (question_type IN ('multiple_choice', 'true_false', 'short_answer')),
+    prompt TEXT NOT NULL,
+    options JSONB DEFAULT '[]'::jsonb NOT NULL,
+    answer TEXT NOT NULL,
+    explanation TEXT,
+    section_id UUID REFERENCES sections(id) ON DELETE SET NULL,
+    timestamp_seconds DECIMAL(10, 2)
+);
+
+-- Indexes for quiz_questions
+CREATE INDEX IF NOT EXISTS idx_quiz_questions_quiz ON quiz_questions(quiz_id, position);
+
+-- ============================================================================
+-- QUIZ ATTEMPTS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    quiz_id UUID NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    score INTEGER NOT NULL,
+    total INTEGER NOT NULL,
+    answers JSONB DEFAULT '[]'::jsonb NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for quiz_attempts
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user ON quiz_attempts(quiz_id, user_id, created_at DESC);
+
+-- ============================================================================
+-- REVIEW CARDS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS review_cards (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    video_id UUID NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+    source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('key_point', 'save')),
+    save_id UUID REFERENCES saves(id) ON DELETE CASCADE,
+    section_id UUID REFERENCES sections(id) ON DELETE SET NULL,
+    key_point_id UUID,
+    frame_id UUID REFERENCES frames(id) ON DELETE SET NULL,
+    front TEXT NOT NULL,
+    back TEXT NOT NULL,
+    context TEXT,
+    timestamp_seconds DECIMAL(10, 2),
+    ease_factor DECIMAL(4, 2) DEFAULT 2.5 NOT NULL,
+    interval_days INTEGER DEFAULT 0 NOT NULL,
+    repetitions INTEGER DEFAULT 0 NOT NULL,
+    lapses INTEGER DEFAULT 0 NOT NULL,
+    due_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    last_reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for review_cards
+CREATE INDEX IF NOT EXISTS idx_review_cards_due ON review_cards(workspace_id, user_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_review_cards_video ON review_cards(user_id, video_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_review_cards_save_unique
+    ON review_cards(user_id, save_id) WHERE save_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_review_cards_key_point_unique
+    ON review_cards(user_id, video_id, md5(back)) WHERE source_type = 'key_point';
+
+-- ============================================================================
+-- REVIEW LOGS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS review_logs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    card_id UUID NOT NULL REFERENCES review_cards(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    grade VARCHAR(10) NOT NULL CHECK (grade IN ('again', 'hard', 'good', 'easy')),
+    interval_days INTEGER NOT NULL,
+    ease_factor DECIMAL(4, 2) NOT NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for review_logs
+CREATE INDEX IF NOT EXISTS idx_review_logs_user ON review_logs(user_id, reviewed_at DESC);
+
+-- ============================================================================
+-- TOPICS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS topics (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Indexes for topics
+CREATE INDEX IF NOT EXISTS idx_topics_workspace ON topics(workspace_id);
+
+-- ============================================================================
+-- TOPIC ALIASES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS topic_aliases (
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    alias VARCHAR(255) NOT NULL,
+    topic_id UUID NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+    PRIMARY KEY (workspace_id, alias)
+);
+
+-- Indexes for topic_aliases
+CREATE INDEX IF NOT EXISTS idx_topic_aliases_topic ON topic_aliases(topic_id);
+
+-- ============================================================================
+-- VIDEO / SECTION / SAVE TOPICS TABLES (Many-to-Many)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS video_topics (
+    topic_id UUID NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+    video_id UUID NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+    weight INTEGER DEFAULT 1 NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('summary', 'local')),
+    PRIMARY KEY (topic_id, video_id)
+);
+
+-- Indexes for video_topics
+CREATE INDEX IF NOT EXISTS idx_video_topics_video ON video_topics(video_id);
+
+CREATE TABLE IF NOT EXISTS section_topics (
+    topic_id UUID NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+    section_id UUID NOT NULL REFERENCES sections(id) ON DELETE CASCADE,
+    PRIMARY KEY (topic_id, section_id)
+);
+
+-- Indexes for section_topics
+CREATE INDEX IF NOT EXISTS idx_section_topics_section ON section_topics(section_id);
+
+CREATE TABLE IF NOT EXISTS save_topics (
+    topic_id UUID NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+    save_id UUID NOT NULL REFERENCES saves(id) ON DELETE CASCADE,
+    PRIMARY KEY (topic_id, save_id)
+);
+
+-- Indexes for save_topics
+CREATE INDEX IF NOT EXISTS idx_save_topics_save ON save_topics(save_id);
+
+-- ============================================================================
+-- TOPIC EDGES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS topic_edges (
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    source_topic_id UUID NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+    target_topic_id UUID NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+    weight INTEGER NOT NULL,
+    PRIMARY KEY (source_topic_id, target_topic_id),
+    CHECK (source_topic_id < target_topic_id)
+);
+
+-- Indexes for topic_edges
+CREATE INDEX IF NOT EXISTS idx_topic_edges_workspace ON topic_edges(workspace_id, weight DESC);
+CREATE INDEX IF NOT EXISTS idx_topic_edges_target ON topic_edges(target_topic_id);
+
+-- ============================================================================
+-- CONTENT EMBEDDINGS TABLE (semantic search)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS content_embeddings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    video_id UUID NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+    source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('transcript', 'frame', 'section', 'save')),
+    source_id UUID NOT NULL,
+    chunk_index INTEGER DEFAULT 0 NOT NULL,
+    start_time DECIMAL(10, 3),
+    end_time DECIMAL(10, 3),
+    content TEXT NOT NULL,
+    model VARCHAR(255) NOT NULL,
+    embedding vector(768) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    UNIQUE (source_type, source_id, chunk_index)
+);
+
+-- Indexes for content_embeddings
+CREATE INDEX IF NOT EXISTS idx_content_embeddings_user_type ON content_embeddings(user_id, source_type);
+CREATE INDEX IF NOT EXISTS idx_content_embeddings_workspace_type ON content_embeddings(workspace_id, source_type);
+CREATE INDEX IF NOT EXISTS idx_content_embeddings_video_id ON content_embeddings(video_id);
+CREATE INDEX IF NOT EXISTS idx_content_embeddings_embedding ON content_embeddings USING hnsw (embedding vector_cosine_ops);
+CREATE INDEX IF NOT EXISTS idx_content_embeddings_content_fts ON content_embeddings USING gin(to_tsvector('english', content));
+
 -- ============================================================================
 -- TRIGGER FUNCTION for updated_at timestamps
 -- ============================================================================
@@ -315,6 +776,24 @@ CREATE TRIGGER update_videos_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_import_batches_updated_at ON import_batches;
+CREATE TRIGGER update_import_batches_updated_at
+    BEFORE UPDATE ON import_batches
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_video_speakers_updated_at ON video_speakers;
+CREATE TRIGGER update_video_speakers_updated_at
+    BEFORE UPDATE ON video_speakers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_workspaces_updated_at ON workspaces;
+CREATE TRIGGER update_workspaces_updated_at
+    BEFORE UPDATE ON workspaces
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
 DROP TRIGGER IF EXISTS update_folders_updated_at ON folders;
 CREATE TRIGGER update_folders_updated_at
     BEFORE UPDATE ON folders
@@ -327,13 +806,35 @@ CREATE TRIGGER update_saves_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_research_threads_updated_at ON research_threads;
+CREATE TRIGGER update_research_threads_updated_at
+    BEFORE UPDATE ON research_threads
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_review_cards_updated_at ON review_cards;
+CREATE TRIGGER update_review_cards_updated_at
+    BEFORE UPDATE ON review_cards
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_topics_updated_at ON topics;
+CREATE TRIGGER update_topics_updated_at
+    BEFORE UPDATE ON topics
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
 -- ============================================================================
 -- COMMENTS for documentation
 -- ============================================================================
 COMMENT ON TABLE users IS 'User accounts for the Vidlyx application';
 COMMENT ON TABLE sessions IS 'Session storage for Express session management';
+COMMENT ON TABLE workspaces IS 'Shared libraries of videos, analyses, folders, tags and saves';
+COMMENT ON TABLE workspace_members IS 'Workspace membership with owner, editor or viewer role';
+COMMENT ON TABLE import_batches IS 'Bulk imports of YouTube playlists, channels or URL lists';
 COMMENT ON TABLE videos IS 'YouTube videos that have been analyzed or queued for analysis';
 COMMENT ON TABLE transcriptions IS 'Video transcripts with full text and timestamped segments';
+COMMENT ON TABLE video_speakers IS 'Speakers detected by diarization, with user-assigned names';
 COMMENT ON TABLE frames IS 'Extracted frames from videos with OCR and visual analysis';
 COMMENT ON TABLE sections IS 'Video sections/chapters with summaries';
 COMMENT ON TABLE video_summaries IS 'AI-generated summaries for entire videos';
@@ -346,3 +847,23 @@ COMMENT ON TABLE save_folders IS 'Junction table organizing saves into folders';
 COMMENT ON TABLE tags IS 'User-created tags for categorizing saves';
 COMMENT ON TABLE save_tags IS 'Junction table linking saves to tags';
 COMMENT ON TABLE analysis_jobs IS 'Background jobs for video analysis tasks';
+COMMENT ON TABLE llm_usage IS 'Text and vision generations per task, provider and model';
+COMMENT ON TABLE content_embeddings IS 'Embedded passages for semantic search, one row per chunk';
+COMMENT ON TABLE share_links IS 'Public read-only links to saves, folders and video analyses';
+COMMENT ON TABLE api_tokens IS 'Personal access tokens for the REST API';
+COMMENT ON TABLE account_tokens IS 'Single-use emailed tokens for email verification and password reset';
+COMMENT ON TABLE user_identities IS 'OpenID Connect accounts linked to users for single sign-on';
+COMMENT ON TABLE video_chat_messages IS 'Ask-the-video conversations, one per user and video';
+COMMENT ON TABLE research_threads IS 'Cross-library Q&A threads over a folder, tag or list of videos';
+COMMENT ON TABLE research_messages IS 'Questions and cited answers in a research thread';
+COMMENT ON TABLE quizzes IS 'Self-test quizzes generated from a video or one of its sections';
+COMMENT ON TABLE quiz_questions IS 'Questions of a quiz, each linked to the moment that answers it';
+COMMENT ON TABLE quiz_attempts IS 'Answers and score of each time a user takes a quiz';
+COMMENT ON TABLE review_cards IS 'Key points and saves a user starred for spaced-repetition review';
+COMMENT ON TABLE review_logs IS 'Every grade given to a review card';
+COMMENT ON TABLE topics IS 'Normalized topics across a workspace library';
+COMMENT ON TABLE topic_aliases IS 'Normalized names that resolve to a topic, including names of topics merged into it';
+COMMENT ON TABLE video_topics IS 'Topics a video covers';
+COMMENT ON TABLE section_topics IS 'Topics each section mentions';
+COMMENT ON TABLE save_topics IS 'Topics of the sections a save captured, or named in its title and notes';
+COMMENT ON TABLE topic_edges IS 'Topic pairs covered by the same videos';
@@ -4,6 +4,7 @@ YouTube Video Analyzer
 Fetches metadata and transcripts from YouTube videos
 """
 
+import re
 import sys
 import json
 import yt_dlp
@@ -58,12 +59,15 @@ def get_video_metadata(video_id):
         }
 
 
-def get_transcript(video_id):
+def get_transcript(video_id, language=None, translate_to=None):
     """
     Fetch video transcript using youtube-transcript-api
 
     Args:
         video_id (str): YouTube video ID
+        language (str): Caption track language code (optional, defaults to
+            English or the first manual/generated track)
+        translate_to (str): Language code to machine-translate the track into (optional)
 
     Returns:
         dict: JSON response with transcript data
@@ -72,38 +76,49 @@ def get_transcript(video_id):
         # Create API instance
         ytt_api = YouTubeTranscriptApi()
 
-        # Try to get transcript in English first, then any available language
         transcript_list = ytt_api.list(video_id)
 
-        # Try to get manually created transcript first
         transcript = None
-        language = None
         transcript_type = 'manual'
 
-        try:
-            # Try English manual transcript first
-            transcript = transcript_list.find_manually_created_transcript(['en'])
-            language = 'en'
-        except:
+        if language:
+            # Specific track requested - find_transcript prefers manual over generated
+            transcript = transcript_list.find_transcript([language])
+            language = transcript.language_code
+            if transcript.is_generated:
+                transcript_type = 'generated'
+        else:
+            # Try to get transcript in English first, then any available language
             try:
-                # Try any manual transcript
-                transcript = transcript_list.find_manually_created_transcript(
-                    transcript_list._manually_created_transcripts.keys()
-                )
-                language = transcript.language_code
+                # Try English manual transcript first
+                transcript = transcript_list.find_manually_created_transcript(['en'])
+                language = 'en'
             except:
                 try:
-                    # Fall back to generated transcript
-                    transcript = transcript_list.find_generated_transcript(['en'])
-                    language = 'en'
-                    transcript_type = 'generated'
-                except:
-                    # Try any generated transcript
-                    transcript = transcript_list.find_generated_transcript(
-                        transcript_list._generated_transcripts.keys()
+                    # Try any manual transcript
+                    transcript = transcript_list.find_manually_created_transcript(
+                        transcript_list._manually_created_transcripts.keys()
                     )
                     language = transcript.language_code
-                    transcript_type = 'generated'
+                except:
+                    try:
+                        # Fall back to generated transcript
+                        transcript = transcript_list.find_generated_transcript(['en'])
+                        language = 'en'
+                        transcript_type = 'generated'
+                    except:
+                        # Try any generated transcript
+                        transcript = transcript_list.find_generated_transcript(
+                            transcript_list._generated_transcripts.keys()
+                        )
+                        language = transcript.language_code
+                        transcript_type = 'generated'
+
+        source_language = None
+        if translate_to and translate_to != language:
+            transcript = transcript.translate(translate_to)
+            source_language = language
+            language = translate_to
 
         # Fetch the transcript data
         transcript_data = transcript.fetch()
@@ -130,7 +145,8 @@ def get_transcript(video_id):
                 'full_text': full_text,
                 'segments': segments,
                 'type': transcript_type,
-                'language': language
+                'language': language,
+                'source_language': source_language
             }
         }
 
@@ -156,6 +172,64 @@ def get_transcript(video_id):
         }
 
 
+def list_transcripts(video_id):
+    """
+    List the caption tracks a video offers
+
+    Args:
+        video_id (str): YouTube video ID
+
+    Returns:
+        dict: JSON response with available tracks and translation targets
+    """
+    try:
+        ytt_api = YouTubeTranscriptApi()
+        transcript_list = ytt_api.list(video_id)
+
+        tracks = []
+        translation_languages = {}
+
+        for transcript in transcript_list:
+            tracks.append({
+                'language': transcript.language_code,
+                'name': transcript.language,
+                'type': 'generated' if transcript.is_generated else 'manual',
+                'is_translatable': transcript.is_translatable
+            })
+
+            for target in transcript.translation_languages or []:
+                code = target['language_code'] if isinstance(target, dict) else target.language_code
+                name = target['language'] if isinstance(target, dict) else target.language
+                translation_languages[code] = name
+
+        return {
+            'success': True,
+            'data': {
+                'tracks': tracks,
+                'translation_languages': [
+                    {'language': code, 'name': name}
+                    for code, name in sorted(translation_languages.items(), key=lambda item: item[1])
+                ]
+            }
+        }
+
+    except TranscriptsDisabled:
+        return {
+            'success': False,
+            'error': 'Transcripts are disabled for this video'
+        }
+    except VideoUnavailable:
+        return {
+            'success': False,
+            'error': 'Video is unavailable'
+        }
+    except Exception as e:
+        return {
+            'success': False,
+            'error': str(e)
+        }
+
+
 def get_stream_url(video_id):
     """
     Get direct video stream URL for frame extraction using yt-dlp
@@ -224,12 +298,71 @@ def get_stream_url(video_id):
         }
 
 
+def expand_url(url, limit=None):
+    """
+    List the videos of a playlist or channel using yt-dlp without
+    resolving each video (flat extraction)
+
+    Args:
+        url (str): YouTube playlist or channel URL
+        limit (int): Maximum number of videos to return (optional)
+
+    Returns:
+        dict: JSON response with playlist title and video entries
+    """
+    try:
+        ydl_opts = {
+            'quiet': True,
+            'no_warnings': True,
+            'extract_flat': 'in_playlist',
+        }
+
+        if limit:
+            ydl_opts['playlistend'] = limit
+
+        # A bare channel URL lists its tabs (Videos, Shorts, Live) instead of videos
+        if re.search(r'youtube\.com/(@[^/?#]+|channel/[^/?#]+|c/[^/?#]+|user/[^/?#]+)/?$', url):
+            url = url.rstrip('/') + '/videos'
+
+        with yt_dlp.YoutubeDL(ydl_opts) as ydl:
+            info = ydl.extract_info(url, download=False)
+
+            entries = []
+            for entry in info.get('entries') or []:
+                video_id = (entry or {}).get('id', '')
+
+                # Skip nested playlists and private/deleted placeholders
+                if entry.get('_type') == 'playlist' or not re.match(r'^[a-zA-Z0-9_-]{11}$', video_id):
+                    continue
+
+                entries.append({
+                    'video_id': video_id,
+                    'title': entry.get('title', ''),
+                    'duration': entry.get('duration') or 0
+                })
+
+            return {
+                'success': True,
+                'data': {
+                    'title': info.get('title', ''),
+                    'channel': info.get('uploader', '') or info.get('channel', ''),
+                    'entries': entries
+                }
+            }
+
+    except Exception as e:
+        return {
+            'success': False,
+            'error': str(e)
+        }
+
+
 def main():
     """Main CLI entry point"""
     if len(sys.argv) < 3:
         print(json.dumps({
             'success': False,
-            'error': 'Usage: python youtube_analyzer.py <metadata|transcript|stream> <video_id>'
+            'error': 'Usage: python youtube_analyzer.py <metadata|transcript|languages|stream> <video_id> | expand <url> [limit]'
         }))
         sys.exit(1)
 
@@ -239,13 +372,21 @@ def main():
     if command == 'metadata':
         result = get_video_metadata(video_id)
     elif command == 'transcript':
-        result = get_transcript(video_id)
+        # Optional: transcript <video_id> [language] [translate_to]
+        language = sys.argv[3] if len(sys.argv) > 3 and sys.argv[3] else None
+        translate_to = sys.argv[4] if len(sys.argv) > 4 else None
+        result = get_transcript(video_id, language, translate_to)
+    elif command == 'languages':
+        result = list_transcripts(video_id)
     elif command == 'stream':
         result = get_stream_url(video_id)
+    elif command == 'expand':
+        limit = int(sys.argv[3]) if len(sys.argv) > 3 else None
+        result = expand_url(sys.argv[2], limit)
     else:
         result = {
             'success': False,
-            'error': f'Unknown command: {command}. Use "metadata", "transcript", or "stream"'
+            'error': f'Unknown command: {command}. Use "metadata", "transcript", "languages", "stream", or "expand"'
         }
 
     print(json.dumps(result, indent=2))
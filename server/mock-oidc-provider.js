@@ -0,0 +1,209 @@
+/**
+ * Mock OpenID Connect provider for trying single sign-on locally
+ *
+ * Serves discovery, an authorization page where you type the email to sign in as,
+ * and token, userinfo and JWKS endpoints. ID tokens are signed with an RSA key
+ * generated at startup. Nothing is persisted.
+ *
+ * Usage:
+ *   npm run mock:oidc
+ *
+ * Then start the server with:
+ *   OIDC_ISSUER=http://localhost:4060
+ *   OIDC_CLIENT_ID=vidlyx
+ *   OIDC_CLIENT_SECRET=vidlyx-secret
+ *
+ * Options (environment):
+ *   MOCK_OIDC_PORT           Port to listen on (default 4060)
+ *   MOCK_OIDC_CLIENT_ID      Accepted client ID (default vidlyx)
+ *   MOCK_OIDC_CLIENT_SECRET  Accepted client secret (default vidlyx-secret)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || '4060', 10);
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'vidlyx';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'vidlyx-secret';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Issued codes and access tokens, keyed by their value
+const codes = new Map();
+const accessTokens = new Map();
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function signJwt(payload) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const input = `${encode({ alg: 'RS256', typ: 'JWT', kid: KEY_ID })}.${encode(payload)}`;
+  const signature = crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url');
+  return `${input}.${signature}`;
+}
+
+/**
+ * Build the claims for a test person from the email typed on the authorization page
+ */
+function claimsFor(email, emailVerified) {
+  const localPart = email.split('@')[0];
+  const [givenName, familyName = 'User'] = localPart.split(/[._-]/);
+  const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+  return {
+    // Stable per email so repeated sign-ins map to the same linked identity
+    sub: crypto.createHash('sha256').update(email).digest('hex').substring(0, 24),
+    email,
+    email_verified: emailVerified,
+    given_name: capitalize(givenName),
+    family_name: capitalize(familyName),
+    name: `${capitalize(givenName)} ${capitalize(familyName)}`
+  };
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType } = req.query;
+
+  if (clientId !== CLIENT_ID || responseType !== 'code' || !redirectUri) {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  const hidden = Object.entries(req.query)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('\n');
+
+  res.send(`<!DOCTYPE html>
+<html>
+<head><title>Mock OIDC Provider</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 4rem auto;">
+  <h2>Mock OIDC Provider</h2>
+  <p>Sign in to <strong>${escapeHtml(clientId)}</strong> as:</p>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><input type="email" name="email" placeholder="alice@example.com" required autofocus style="width: 100%;"></p>
+    <p><label><input type="checkbox" name="email_verified" value="true" checked> Email is verified</label></p>
+    <p>
+      <button type="submit" name="decision" value="allow">Sign in</button>
+      <button type="submit" name="decision" value="deny">Cancel</button>
+    </p>
+  </form>
+</body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, email, decision } = req.body;
+  const url = new URL(redirectUri);
+
+  if (state) {
+    url.searchParams.set('state', state);
+  }
+
+  if (decision !== 'allow') {
+    url.searchParams.set('error', 'access_denied');
+    url.searchParams.set('error_description', 'The user cancelled the sign-in');
+    return res.redirect(url.toString());
+  }
+
+  const code = crypto.randomBytes(16).toString('base64url');
+  codes.set(code, {
+    claims: claimsFor(email.trim().toLowerCase(), req.body.email_verified === 'true'),
+    nonce,
+    codeChallenge,
+    redirectUri,
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  url.searchParams.set('code', code);
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const basic = (req.headers.authorization || '').match(/^Basic (.+)$/);
+  if (basic) {
+    [clientId, clientSecret] = Buffer.from(basic[1], 'base64').toString('utf8')
+      .split(':')
+      .map(decodeURIComponent);
+  }
+
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  if (grant.codeChallenge) {
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, grant.claims);
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 3600,
+    id_token: signJwt({
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      iat: now,
+      exp: now + 300,
+      nonce: grant.nonce,
+      ...grant.claims
+    })
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const claims = accessTokens.get(token);
+
+  if (!claims) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+  console.log(`Client ID: ${CLIENT_ID}, client secret: ${CLIENT_SECRET}`);
+});
@@ -7,12 +7,14 @@ const helmet = require('helmet');
 const compression = require('compression');
 const session = require('express-session');
 const pgSession = require('connect-pg-simple')(session);
-const path = require('path');
+const http = require('http');
 const pool = require('./services/db');
 const ocrService = require('./services/ocrService');
 const { closeQueues } = require('./jobs/queue');
+const socketService = require('./services/socketService');
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 4051;
 
 // Middleware
@@ -38,8 +40,8 @@ app.use(compression({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Session middleware
-app.use(session({
+// Session middleware (shared with socket.io)
+const sessionMiddleware = session({
   store: new pgSession({
     pool,
     tableName: 'sessions'
@@ -53,34 +55,11 @@ app.use(session({
     maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
     sameSite: 'lax'
   }
-}));
+});
+app.use(sessionMiddleware);
 
-// Static file serving with caching headers
-// Note: Frames are served through API routes with authentication,
-// but we can add general static file serving with caching here if needed
-const setStaticCacheHeaders = (res, filePath) => {
-  // Cache static assets for 1 year (images, videos)
-  if (filePath.match(/\.(jpg|jpeg|png|gif|webp|mp4|webm)$/i)) {
-    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
-  }
-  // Cache CSS/JS for 1 day
-  else if (filePath.match(/\.(css|js)$/i)) {
-    res.setHeader('Cache-Control', 'public, max-age=86400');
-  }
-  // Don't cache HTML
-  else if (filePath.match(/\.html$/i)) {
-    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-  }
-};
-
-// Serve frames directory with caching (if accessed directly)
-// Note: In production, frames should be served via API routes with auth
-const framesPath = path.join(__dirname, '..', 'frames');
-app.use('/frames', express.static(framesPath, {
-  setHeaders: setStaticCacheHeaders,
-  maxAge: '1y', // Default max age
-  immutable: true
-}));
+// Real-time job progress
+socketService.initSocket(server, sessionMiddleware);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -93,6 +72,7 @@ app.get('/health', (req, res) => {
 // Routes
 const authRoutes = require('./routes/authRoutes');
 const videoRoutes = require('./routes/videoRoutes');
+const videoChatRoutes = require('./routes/videoChatRoutes');
 const frameRoutes = require('./routes/frameRoutes');
 const sectionRoutes = require('./routes/sectionRoutes');
 const folderRoutes = require('./routes/folderRoutes');
@@ -100,12 +80,26 @@ const tagRoutes = require('./routes/tagRoutes');
 const saveRoutes = require('./routes/saveRoutes');
 const exportRoutes = require('./routes/exportRoutes');
 const searchRoutes = require('./routes/searchRoutes');
+const researchRoutes = require('./routes/researchRoutes');
+const quizRoutes = require('./routes/quizRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const topicRoutes = require('./routes/topicRoutes');
 const regenerationRoutes = require('./routes/regenerationRoutes');
 const homeRoutes = require('./routes/homeRoutes');
-const { usageRouter, publicRouter: publicFrameRouter } = require('./routes/frameRoutes');
+const shareRoutes = require('./routes/shareRoutes');
+const workspaceRoutes = require('./routes/workspaceRoutes');
+const apiTokenRoutes = require('./routes/apiTokenRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const { usageRouter, imageRouter: frameImageRouter } = require('./routes/frameRoutes');
+const { publicRouter: publicShareRouter } = require('./routes/shareRoutes');
 
 app.use('/api/home', homeRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/tokens', apiTokenRoutes);
+app.use('/api/admin', adminRoutes);
+// Chat first: video routes require the editor role for every non-GET request
+app.use('/api/videos', videoChatRoutes);
 app.use('/api/videos', videoRoutes);
 app.use('/api/videos', frameRoutes);
 app.use('/api/sections', sectionRoutes);
@@ -114,9 +108,16 @@ app.use('/api/tags', tagRoutes);
 app.use('/api/saves', saveRoutes);
 app.use('/api/export', exportRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/research', researchRoutes);
+app.use('/api/review', reviewRoutes);
+app.use('/api/topics', topicRoutes);
+app.use('/api/shares', shareRoutes);
+// Public share pages and their frame images (no auth, token-scoped)
+app.use('/api/public/shares', publicShareRouter);
 app.use('/api', regenerationRoutes);
-// Public frame image serving MUST come before protected frameRoutes
-app.use('/api/frames', publicFrameRouter);
+app.use('/api', quizRoutes);
+// Frame images MUST come before frameRoutes, which would treat "image" as a frame ID
+app.use('/api/frames', frameImageRouter);
 app.use('/api', frameRoutes); // For /api/frames/* routes (protected)
 app.use('/api', usageRouter); // For /api/usage route
 
@@ -135,7 +136,7 @@ app.use((req, res) => {
 });
 
 // Start server
-app.listen(PORT, async () => {
+server.listen(PORT, async () => {
   console.log(`Vidlyx server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
@@ -155,6 +156,38 @@ app.listen(PORT, async () => {
   } catch (error) {
     console.error('Failed to initialize frame extraction worker:', error.message);
   }
+
+  // Initialize frame analysis pipeline worker
+  try {
+    require('./jobs/frameAnalysisPipelineWorker');
+    console.log('Frame analysis pipeline worker initialized successfully');
+  } catch (error) {
+    console.error('Failed to initialize frame analysis pipeline worker:', error.message);
+  }
+
+  // Initialize speech-to-text worker
+  try {
+    require('./jobs/transcriptionWorker');
+    console.log('Transcription worker initialized successfully');
+  } catch (error) {
+    console.error('Failed to initialize transcription worker:', error.message);
+  }
+
+  // Initialize speaker diarization worker
+  try {
+    require('./jobs/diarizationWorker');
+    console.log('Diarization worker initialized successfully');
+  } catch (error) {
+    console.error('Failed to initialize diarization worker:', error.message);
+  }
+
+  // Initialize semantic search embedding worker
+  try {
+    require('./jobs/embeddingWorker');
+    console.log('Embedding worker initialized successfully');
+  } catch (error) {
+    console.error('Failed to initialize embedding worker:', error.message);
+  }
 });
 
 // Graceful shutdown
@@ -163,6 +196,7 @@ process.on('SIGTERM', async () => {
   try {
     await ocrService.terminateWorkers();
     await closeQueues();
+    await socketService.closeSocket();
   } catch (error) {
     console.error('Error during graceful shutdown:', error.message);
   }
@@ -174,6 +208,7 @@ process.on('SIGINT', async () => {
   try {
     await ocrService.terminateWorkers();
     await closeQueues();
+    await socketService.closeSocket();
   } catch (error) {
     console.error('Error during graceful shutdown:', error.message);
   }
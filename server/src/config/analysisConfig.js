@@ -1,8 +1,10 @@
 /**
  * Analysis Configuration
- * Default configuration for frame extraction, OCR, and vision analysis
+ * Default configuration for frame extraction, OCR, vision analysis and speech-to-text
  */
 
+const path = require('path');
+
 module.exports = {
   // Frame Extraction Configuration
   frameExtraction: {
@@ -19,7 +21,31 @@ module.exports = {
     width: 1280,
 
     // Start time in seconds
-    startTime: 0
+    startTime: 0,
+
+    // Default extraction mode: 'interval' (fixed spacing) or 'scene' (one frame per scene change)
+    defaultMode: 'interval',
+
+    // Scene-change mode settings
+    scene: {
+      // FFmpeg scene score (0-1) a frame must exceed to count as a new scene
+      threshold: 0.3,
+
+      // Minimum seconds between extracted frames
+      minGap: 2,
+
+      // Frame budget; the strongest scene changes are kept when a video has more
+      maxFrames: 300
+    }
+  },
+
+  // Frame Deduplication Configuration (perceptual hashing at extraction time)
+  deduplication: {
+    // Collapse near-duplicate frames before OCR and vision analysis
+    enabled: process.env.FRAME_DEDUP_ENABLED !== 'false',
+
+    // Maximum dHash Hamming distance (0-64) for two frames to count as duplicates
+    maxHashDistance: parseInt(process.env.FRAME_DEDUP_MAX_DISTANCE || '5', 10)
   },
 
   // OCR Configuration
@@ -76,6 +102,7 @@ module.exports = {
 
     // Default options for pipeline
     defaultOptions: {
+      extractionMode: 'interval',
       frameInterval: 5,
       maxFrames: 200,
       ocrEnabled: true,
@@ -91,6 +118,67 @@ module.exports = {
     }
   },
 
+  // Speech-to-text (ASR) Configuration
+  // Used when a video has no captions; runs whisper.cpp locally on the CPU
+  transcription: {
+    // Set ASR_ENABLED=false to skip the fallback entirely
+    enabled: process.env.ASR_ENABLED !== 'false',
+
+    // whisper.cpp CLI binary (named `main` in older whisper.cpp builds)
+    binary: process.env.WHISPER_CPP_BIN || 'whisper-cli',
+
+    // ggml model file, e.g. downloaded with whisper.cpp's models/download-ggml-model.sh
+    model: process.env.WHISPER_MODEL || path.join(__dirname, '../../../python/models/ggml-base.bin'),
+
+    // Spoken language code, or 'auto' to let whisper detect it
+    language: process.env.ASR_LANGUAGE || 'auto',
+
+    // CPU threads used by whisper.cpp
+    threads: parseInt(process.env.WHISPER_THREADS || '4', 10),
+
+    // Audio format expected by whisper.cpp
+    sampleRate: 16000,
+
+    // Kill whisper.cpp if it runs longer than this (milliseconds)
+    timeout: 3 * 60 * 60 * 1000,
+
+    // Job steps and their progress ranges
+    steps: {
+      EXTRACT_AUDIO: { start: 0, end: 10, label: 'Extracting audio' },
+      TRANSCRIBE: { start: 10, end: 90, label: 'Transcribing speech' },
+      STORE: { start: 90, end: 95, label: 'Saving transcript' },
+      SECTIONS: { start: 95, end: 100, label: 'Detecting sections' }
+    }
+  },
+
+  // Speaker Diarization Configuration (offline, MFCC voice features + k-means)
+  diarization: {
+    // Set DIARIZATION_ENABLED=false to disable speaker detection
+    enabled: process.env.DIARIZATION_ENABLED !== 'false',
+
+    // localSummaryService.detectCategory results that trigger diarization automatically
+    autoCategories: ['Interview'],
+
+    // Upper bound when the number of speakers is detected automatically
+    maxSpeakers: parseInt(process.env.DIARIZATION_MAX_SPEAKERS || '6', 10),
+
+    // Minimum silhouette score to accept more than one speaker (0-1)
+    minSilhouette: 0.12,
+
+    // Minimum distance between speaker voice profiles (MFCC units) to accept more than one speaker
+    minSpeakerDistance: parseFloat(process.env.DIARIZATION_MIN_DISTANCE || '4'),
+
+    // Segments shorter than this (seconds) take the speaker of matching neighbours
+    minSegmentDuration: 1.5,
+
+    // Job steps and their progress ranges
+    steps: {
+      EXTRACT_AUDIO: { start: 0, end: 30, label: 'Extracting audio' },
+      FEATURES: { start: 30, end: 90, label: 'Analyzing voices' },
+      STORE: { start: 90, end: 100, label: 'Labeling transcript' }
+    }
+  },
+
   // Keyframe Detection Configuration
   keyframe: {
     // Detect keyframes based on content type changes
@@ -0,0 +1,87 @@
+/**
+ * LLM Configuration
+ * Provider and model used for each AI task, plus connection settings per provider
+ *
+ * Every task can be pointed at a different provider with LLM_<TASK>_PROVIDER and
+ * LLM_<TASK>_MODEL (e.g. LLM_KEY_POINTS_PROVIDER=openai). LLM_PROVIDER switches every
+ * task at once, which is the simplest way to run a self-hosted deployment offline.
+ */
+
+/**
+ * Resolve provider and model for a task from the environment
+ * @param {string} envKey - Task name as used in environment variables (e.g. KEY_POINTS)
+ * @param {string} defaultProvider - Provider used when nothing is configured
+ * @param {number} maxTokens - Maximum tokens to generate
+ * @returns {Object} { provider, model, maxTokens } (model null means the provider's default)
+ */
+function resolveTask(envKey, defaultProvider, maxTokens) {
+  return {
+    provider: process.env[`LLM_${envKey}_PROVIDER`] || process.env.LLM_PROVIDER || defaultProvider,
+    model: process.env[`LLM_${envKey}_MODEL`] || null,
+    maxTokens
+  };
+}
+
+module.exports = {
+  // Provider connection settings
+  providers: {
+    claude: {
+      defaultModel: process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514'
+    },
+
+    gemini: {
+      defaultModel: process.env.GEMINI_MODEL || 'gemini-2.0-flash'
+    },
+
+    // Any server exposing the OpenAI chat completions API (llama.cpp server, Ollama, vLLM...)
+    openai: {
+      // e.g. http://localhost:8080/v1 for llama.cpp, http://localhost:11434/v1 for Ollama
+      baseUrl: process.env.LLM_OPENAI_BASE_URL || null,
+
+      // Only needed when the endpoint requires one
+      apiKey: process.env.LLM_OPENAI_API_KEY || null,
+
+      defaultModel: process.env.LLM_OPENAI_MODEL || 'llama3.1',
+
+      // Set to false for text-only models so vision falls back instead of failing per frame
+      supportsVision: process.env.LLM_OPENAI_VISION !== 'false',
+
+      // Local models on a CPU can be slow; abort a request after this long (milliseconds)
+      timeout: parseInt(process.env.LLM_OPENAI_TIMEOUT_MS || '300000', 10)
+    }
+  },
+
+  // Text embeddings for semantic search, served by an OpenAI-compatible /embeddings endpoint
+  // (llama.cpp server with --embedding, Ollama, text-embeddings-inference...)
+  embeddings: {
+    // Defaults to the chat endpoint; set separately when embeddings run on another server
+    baseUrl: process.env.EMBEDDING_BASE_URL || process.env.LLM_OPENAI_BASE_URL || null,
+
+    model: process.env.EMBEDDING_MODEL || 'nomic-embed-text',
+
+    // Must match the vector column in content_embeddings (migration 017)
+    dimensions: 768,
+
+    // Texts sent per request
+    batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE || '32', 10),
+
+    // Characters per transcript chunk; chunks are cut at segment boundaries
+    chunkSize: 600,
+
+    // nomic-embed-text expects task prefixes; leave empty for models that don't
+    documentPrefix: process.env.EMBEDDING_DOCUMENT_PREFIX ?? 'search_document: ',
+    queryPrefix: process.env.EMBEDDING_QUERY_PREFIX ?? 'search_query: '
+  },
+
+  // Per-task provider and model
+  tasks: {
+    sections: resolveTask('SECTIONS', 'gemini', 1024),
+    summaries: resolveTask('SUMMARIES', 'claude', 4096),
+    keyPoints: resolveTask('KEY_POINTS', 'claude', 4096),
+    analysis: resolveTask('ANALYSIS', 'claude', 4096),
+    vision: resolveTask('VISION', 'gemini', 2048),
+    chat: resolveTask('CHAT', 'claude', 1024),
+    research: resolveTask('RESEARCH', 'claude', 2048),
+    quiz: resolveTask('QUIZ', 'claude', 4096)
+  }
+};
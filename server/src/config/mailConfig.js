@@ -0,0 +1,31 @@
+/**
+ * Mail Configuration
+ * Transport and sender for account emails (verification and password reset)
+ *
+ * MAIL_TRANSPORT picks the transport: smtp for real delivery, file to write each message
+ * to MAIL_FILE_DIR, or console to print it. Development defaults to console so links can
+ * be copied from the server log without a mail server.
+ */
+
+module.exports = {
+  transport: process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'console'),
+
+  from: process.env.MAIL_FROM || 'Vidlyx <no-reply@localhost>',
+
+  // Base URL of the dashboard, used to build links in emails
+  appUrl: process.env.FRONTEND_URL || 'http://localhost:4050',
+
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    // true for implicit TLS (port 465); STARTTLS is negotiated otherwise
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    password: process.env.SMTP_PASSWORD || null
+  },
+
+  file: {
+    dir: process.env.MAIL_FILE_DIR || './mail'
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * OpenID Connect Configuration
+ * Single sign-on through any provider that publishes OIDC discovery metadata
+ *
+ * SSO is enabled when OIDC_ISSUER and OIDC_CLIENT_ID are set. Users are matched to
+ * existing accounts by verified email; OIDC_JIT_DOMAINS lists the email domains whose
+ * users get an account created on their first sign-in.
+ */
+
+const serverUrl = process.env.SERVER_URL || 'http://localhost:4051';
+
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+module.exports = {
+  enabled: Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID),
+
+  // Issuer URL; discovery is read from <issuer>/.well-known/openid-configuration
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+
+  clientId: process.env.OIDC_CLIENT_ID || null,
+  clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+
+  // Provider name shown on the "Sign in with ..." buttons
+  displayName: process.env.OIDC_DISPLAY_NAME || 'SSO',
+
+  redirectUri: process.env.OIDC_REDIRECT_URI || `${serverUrl}/api/auth/oidc/callback`,
+
+  // Email domains allowed just-in-time provisioning (empty disables it)
+  jitDomains: parseList(process.env.OIDC_JIT_DOMAINS),
+
+  // Dashboard URL the callback redirects to after sign-in
+  appUrl: process.env.FRONTEND_URL || 'http://localhost:4050'
+};
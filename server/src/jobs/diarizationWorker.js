@@ -0,0 +1,144 @@
+/**
+ * Diarization Worker
+ * Processes speaker diarization jobs: labels each transcript segment with a speaker key
+ * The video stays usable while this runs, so video status is not changed
+ */
+
+const { diarizationQueue } = require('./queue');
+const diarizationService = require('../services/diarizationService');
+const videoService = require('../services/videoService');
+const socketService = require('../services/socketService');
+const analysisConfig = require('../config/analysisConfig');
+const { updateJobStatus } = require('../services/analysisJobService');
+
+const STEPS = analysisConfig.diarization.steps;
+
+/**
+ * Record progress within a step on the Bull job and database, and push it to the video owner
+ * @param {Object} job - Bull job
+ * @param {Object} step - Step from analysisConfig.diarization.steps
+ * @param {number} stepProgress - Progress within the step (0-100)
+ */
+async function reportProgress(job, step, stepProgress = 0) {
+  const { videoId, jobId } = job.data;
+  const progress = Math.round(step.start + ((step.end - step.start) * stepProgress) / 100);
+
+  await job.progress(progress);
+  await updateJobStatus(jobId, 'processing', progress);
+
+  socketService.emitToVideo(videoId, 'job:progress', {
+    jobId,
+    videoId,
+    jobType: 'diarization',
+    progress,
+    message: step.label
+  });
+}
+
+/**
+ * Process diarization job
+ */
+diarizationQueue.process(async (job) => {
+  const { videoId, jobId, options = {} } = job.data;
+
+  console.log(`[DiarizationWorker] Detecting speakers for video ${videoId}, job ${jobId}`);
+
+  try {
+    const video = await videoService.findVideoById(videoId);
+
+    if (!video) {
+      throw new Error(`Video ${videoId} not found`);
+    }
+
+    await reportProgress(job, STEPS.EXTRACT_AUDIO);
+
+    const speakers = await diarizationService.diarizeVideo(video, {
+      numSpeakers: options.numSpeakers || null,
+      onStep: (step) => {
+        socketService.emitToVideo(videoId, 'job:step', {
+          jobId,
+          videoId,
+          jobType: 'diarization',
+          step,
+          stepLabel: STEPS[step].label
+        });
+        reportProgress(job, STEPS[step]).catch(() => {});
+      },
+      onAudioProgress: (percent) => {
+        reportProgress(job, STEPS.EXTRACT_AUDIO, percent).catch(() => {});
+      },
+      onFeatureProgress: (percent) => {
+        // Feature extraction reports per segment; only forward every 5%
+        if (percent % 5 === 0) {
+          reportProgress(job, STEPS.FEATURES, percent).catch(() => {});
+        }
+      }
+    });
+
+    const result = {
+      videoId,
+      speakerCount: speakers.length,
+      speakers: speakers.map(speaker => speaker.speaker_key),
+      completedAt: new Date().toISOString()
+    };
+
+    await updateJobStatus(jobId, 'completed', 100, result);
+    await job.progress(100);
+
+    socketService.emitToVideo(videoId, 'job:completed', {
+      jobId,
+      videoId,
+      jobType: 'diarization',
+      result
+    });
+
+    console.log(`[DiarizationWorker] Diarization completed for video ${videoId}: ${result.speakerCount} speaker(s)`);
+
+    return result;
+
+  } catch (error) {
+    console.error(`[DiarizationWorker] Diarization failed for video ${videoId}:`, error.message);
+
+    try {
+      await updateJobStatus(jobId, 'failed', job.progress() || 0, null, error.message);
+    } catch (jobError) {
+      console.error('[DiarizationWorker] Failed to update job status:', jobError.message);
+    }
+
+    // Re-throw error so Bull can handle retry logic
+    throw error;
+  }
+});
+
+// Event handlers for job lifecycle
+diarizationQueue.on('failed', async (job, error) => {
+  console.error(`[DiarizationWorker] Diarization job ${job.id} failed after ${job.attemptsMade} attempts:`, error.message);
+
+  const willRetry = job.attemptsMade < job.opts.attempts;
+
+  socketService.emitToVideo(job.data.videoId, 'job:failed', {
+    jobId: job.data.jobId,
+    videoId: job.data.videoId,
+    jobType: 'diarization',
+    error: error.message,
+    willRetry
+  });
+
+  if (!willRetry) {
+    console.error(`[DiarizationWorker] Job ${job.id} exhausted all retry attempts`);
+    try {
+      await updateJobStatus(job.data.jobId, 'failed', job.progress() || 0, null, `Failed after ${job.attemptsMade} attempts: ${error.message}`);
+    } catch (updateError) {
+      console.error('[DiarizationWorker] Failed to mark job as permanently failed:', updateError.message);
+    }
+  }
+});
+
+diarizationQueue.on('stalled', (job) => {
+  console.warn(`[DiarizationWorker] Diarization job ${job.id} has stalled`);
+});
+
+// Log when worker is ready
+console.log('[DiarizationWorker] Diarization worker initialized and ready to process jobs');
+
+module.exports = diarizationQueue;
@@ -0,0 +1,33 @@
+/**
+ * Embedding Worker
+ * Keeps the semantic search index current: embeds a video's passages or a save's notes
+ * Runs silently in the background - no analysis job record or socket events
+ */
+
+const { embeddingQueue } = require('./queue');
+const embeddingService = require('../services/embeddingService');
+
+/**
+ * Process embedding job
+ */
+embeddingQueue.process(async (job) => {
+  const { kind, videoId, saveId } = job.data;
+
+  const result = kind === 'save'
+    ? await embeddingService.indexSave(saveId)
+    : await embeddingService.indexVideo(videoId);
+
+  console.log(`[EmbeddingWorker] Indexed ${kind} ${saveId || videoId}: ${result.passages} passage(s), ${result.embedded} embedded`);
+
+  return result;
+});
+
+embeddingQueue.on('failed', (job, error) => {
+  const { kind, videoId, saveId } = job.data;
+  console.error(`[EmbeddingWorker] Indexing ${kind} ${saveId || videoId} failed (attempt ${job.attemptsMade}):`, error.message);
+});
+
+// Log when worker is ready
+console.log('[EmbeddingWorker] Embedding worker initialized and ready to process jobs');
+
+module.exports = embeddingQueue;
@@ -6,6 +6,8 @@
 const { analysisQueue } = require('./queue');
 const frameAnalysisPipeline = require('../services/frameAnalysisPipeline');
 const videoService = require('../services/videoService');
+const socketService = require('../services/socketService');
+const embeddingService = require('../services/embeddingService');
 const pool = require('../services/db');
 
 /**
@@ -79,9 +81,26 @@ analysisQueue.process('frame-analysis-pipeline', async (job) => {
         // Update database job progress
         await updateJobStatus(jobId, 'processing', progress);
 
+        socketService.emitToVideo(videoId, 'job:progress', {
+          jobId,
+          videoId,
+          jobType: 'frame-analysis-pipeline',
+          progress,
+          step,
+          message
+        });
+
         console.log(`[PipelineWorker] ${video.id} - ${step}: ${progress}% - ${message}`);
       },
       onStepChange: async (step, stepLabel) => {
+        socketService.emitToVideo(videoId, 'job:step', {
+          jobId,
+          videoId,
+          jobType: 'frame-analysis-pipeline',
+          step,
+          stepLabel
+        });
+
         console.log(`[PipelineWorker] ${video.id} - Starting step: ${stepLabel}`);
       }
     };
@@ -112,7 +131,19 @@ analysisQueue.process('frame-analysis-pipeline', async (job) => {
     await updateJobStatus(jobId, 'completed', 100, jobResult);
     await job.progress(100);
 
+    socketService.emitToVideo(videoId, 'job:completed', {
+      jobId,
+      videoId,
+      jobType: 'frame-analysis-pipeline',
+      result: jobResult
+    });
+
     console.log(`[PipelineWorker] Frame analysis pipeline completed for video ${videoId}`);
+
+    // Frame text and scene descriptions are now searchable
+    embeddingService.queueVideoIndex(videoId).catch(error => {
+      console.error(`[PipelineWorker] Failed to queue search indexing for video ${videoId}:`, error.message);
+    });
     console.log(`[PipelineWorker] Stats:`, pipelineResult.stats);
 
     return jobResult;
@@ -158,8 +189,18 @@ analysisQueue.on('failed', async (job, error) => {
   if (job.data.jobId) {
     console.error(`[PipelineWorker] Frame analysis pipeline job ${job.id} failed after ${job.attemptsMade} attempts:`, error.message);
 
+    const willRetry = job.attemptsMade < job.opts.attempts;
+
+    socketService.emitToVideo(job.data.videoId, 'job:failed', {
+      jobId: job.data.jobId,
+      videoId: job.data.videoId,
+      jobType: 'frame-analysis-pipeline',
+      error: error.message,
+      willRetry
+    });
+
     // If all retries exhausted, ensure job is marked as failed
-    if (job.attemptsMade >= job.opts.attempts) {
+    if (!willRetry) {
       console.error(`[PipelineWorker] Job ${job.id} exhausted all retry attempts`);
       try {
         const { jobId, videoId } = job.data;
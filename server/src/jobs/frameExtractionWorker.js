@@ -6,6 +6,8 @@
 const { frameExtractionQueue } = require('./queue');
 const frameExtractionService = require('../services/frameExtractionService');
 const videoService = require('../services/videoService');
+const socketService = require('../services/socketService');
+const analysisConfig = require('../config/analysisConfig');
 const pool = require('../services/db');
 
 /**
@@ -46,6 +48,27 @@ async function updateJobStatus(jobId, status, progress = 0, result = null, error
   }
 }
 
+/**
+ * Record progress on the Bull job and database, and push it to the video owner
+ * @param {Object} job - Bull job
+ * @param {number} progress - Progress percentage (0-100)
+ * @param {string} message - Human readable progress message
+ */
+async function reportProgress(job, progress, message) {
+  const { videoId, jobId } = job.data;
+
+  await job.progress(progress);
+  await updateJobStatus(jobId, 'processing', progress);
+
+  socketService.emitToVideo(videoId, 'job:progress', {
+    jobId,
+    videoId,
+    jobType: 'frame_extraction',
+    progress,
+    message
+  });
+}
+
 /**
  * Process frame extraction job
  */
@@ -59,7 +82,7 @@ frameExtractionQueue.process(async (job) => {
     await videoService.updateVideoStatus(videoId, 'extracting_frames');
 
     // Update job status to processing
-    await updateJobStatus(jobId, 'processing', 10);
+    await reportProgress(job, 10, 'Preparing frame extraction');
 
     // Get video details
     const video = await videoService.findVideoById(videoId);
@@ -69,15 +92,13 @@ frameExtractionQueue.process(async (job) => {
     }
 
     // Report progress: Starting extraction
-    await job.progress(20);
-    await updateJobStatus(jobId, 'processing', 20);
+    await reportProgress(job, 20, 'Extracting frames');
 
     // Extract frames using frameExtractionService
     const extractedFrames = await frameExtractionService.extractVideoFrames(video, options);
 
     // Report progress: Extraction complete
-    await job.progress(90);
-    await updateJobStatus(jobId, 'processing', 90);
+    await reportProgress(job, 90, `Extracted ${extractedFrames.length} frames`);
 
     // Update video status to frames_complete
     await videoService.updateVideoStatus(videoId, 'frames_complete');
@@ -85,6 +106,8 @@ frameExtractionQueue.process(async (job) => {
     // Mark job as completed
     const result = {
       frameCount: extractedFrames.length,
+      mode: options?.mode || analysisConfig.frameExtraction.defaultMode,
+      duplicateCount: extractedFrames.filter(frame => frame.duplicate_of).length,
       videoId: videoId,
       completedAt: new Date().toISOString()
     };
@@ -92,6 +115,13 @@ frameExtractionQueue.process(async (job) => {
     await updateJobStatus(jobId, 'completed', 100, result);
     await job.progress(100);
 
+    socketService.emitToVideo(job.data.videoId, 'job:completed', {
+      jobId,
+      videoId,
+      jobType: 'frame_extraction',
+      result
+    });
+
     console.log(`Frame extraction completed for video ${videoId}: ${extractedFrames.length} frames`);
 
     return result;
@@ -126,8 +156,18 @@ frameExtractionQueue.on('completed', async (job, result) => {
 frameExtractionQueue.on('failed', async (job, error) => {
   console.error(`Frame extraction job ${job.id} failed after ${job.attemptsMade} attempts:`, error.message);
 
+  const willRetry = job.attemptsMade < job.opts.attempts;
+
+  socketService.emitToVideo(job.data.videoId, 'job:failed', {
+    jobId: job.data.jobId,
+    videoId: job.data.videoId,
+    jobType: 'frame_extraction',
+    error: error.message,
+    willRetry
+  });
+
   // If all retries exhausted, ensure job is marked as failed
-  if (job.attemptsMade >= job.opts.attempts) {
+  if (!willRetry) {
     console.error(`Job ${job.id} exhausted all retry attempts`);
     try {
       const { jobId, videoId } = job.data;
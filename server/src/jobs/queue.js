@@ -45,6 +45,24 @@ const frameExtractionQueue = new Queue('frame-extraction', redisConfig);
 // Analysis Queue (for future use with frame analysis)
 const analysisQueue = new Queue('frame-analysis', redisConfig);
 
+// Speech-to-text Queue (local ASR for videos without captions)
+const transcriptionQueue = new Queue('transcription', redisConfig);
+
+// Speaker Diarization Queue (speaker labels for transcript segments)
+const diarizationQueue = new Queue('diarization', redisConfig);
+
+// Embedding Queue (semantic search index for videos and saves)
+const embeddingQueue = new Queue('embedding', redisConfig);
+
+// Queues by the names used in getQueueHealth, for admin inspection
+const queues = {
+  frameExtraction: frameExtractionQueue,
+  analysis: analysisQueue,
+  transcription: transcriptionQueue,
+  diarization: diarizationQueue,
+  embedding: embeddingQueue
+};
+
 // Queue event handlers for monitoring
 frameExtractionQueue.on('error', (error) => {
   console.error('Frame Extraction Queue Error:', error);
@@ -70,6 +88,18 @@ analysisQueue.on('error', (error) => {
   console.error('Analysis Queue Error:', error);
 });
 
+transcriptionQueue.on('error', (error) => {
+  console.error('Transcription Queue Error:', error);
+});
+
+diarizationQueue.on('error', (error) => {
+  console.error('Diarization Queue Error:', error);
+});
+
+embeddingQueue.on('error', (error) => {
+  console.error('Embedding Queue Error:', error);
+});
+
 // Health check function
 async function getQueueHealth() {
   try {
@@ -89,9 +119,36 @@ async function getQueueHealth() {
       delayed: await analysisQueue.getDelayedCount()
     };
 
+    const transcriptionStats = {
+      waiting: await transcriptionQueue.getWaitingCount(),
+      active: await transcriptionQueue.getActiveCount(),
+      completed: await transcriptionQueue.getCompletedCount(),
+      failed: await transcriptionQueue.getFailedCount(),
+      delayed: await transcriptionQueue.getDelayedCount()
+    };
+
+    const diarizationStats = {
+      waiting: await diarizationQueue.getWaitingCount(),
+      active: await diarizationQueue.getActiveCount(),
+      completed: await diarizationQueue.getCompletedCount(),
+      failed: await diarizationQueue.getFailedCount(),
+      delayed: await diarizationQueue.getDelayedCount()
+    };
+
+    const embeddingStats = {
+      waiting: await embeddingQueue.getWaitingCount(),
+      active: await embeddingQueue.getActiveCount(),
+      completed: await embeddingQueue.getCompletedCount(),
+      failed: await embeddingQueue.getFailedCount(),
+      delayed: await embeddingQueue.getDelayedCount()
+    };
+
     return {
       frameExtraction: frameStats,
       analysis: analysisStats,
+      transcription: transcriptionStats,
+      diarization: diarizationStats,
+      embedding: embeddingStats,
       healthy: true
     };
   } catch (error) {
@@ -110,6 +167,12 @@ async function cleanOldJobs() {
     await frameExtractionQueue.clean(604800000, 'failed'); // 7 days
     await analysisQueue.clean(86400000, 'completed');
     await analysisQueue.clean(604800000, 'failed');
+    await transcriptionQueue.clean(86400000, 'completed');
+    await transcriptionQueue.clean(604800000, 'failed');
+    await diarizationQueue.clean(86400000, 'completed');
+    await diarizationQueue.clean(604800000, 'failed');
+    await embeddingQueue.clean(86400000, 'completed');
+    await embeddingQueue.clean(604800000, 'failed');
     console.log('Queue cleanup completed');
   } catch (error) {
     console.error('Queue cleanup failed:', error);
@@ -124,13 +187,21 @@ async function closeQueues() {
   console.log('Closing queues...');
   await frameExtractionQueue.close();
   await analysisQueue.close();
+  await transcriptionQueue.close();
+  await diarizationQueue.close();
+  await embeddingQueue.close();
   console.log('Queues closed');
 }
 
 module.exports = {
   frameExtractionQueue,
   analysisQueue,
+  transcriptionQueue,
+  diarizationQueue,
+  embeddingQueue,
+  queues,
   defaultJobOptions,
   getQueueHealth,
+  cleanOldJobs,
   closeQueues
 };
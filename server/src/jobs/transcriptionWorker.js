@@ -0,0 +1,163 @@
+/**
+ * Transcription Worker
+ * Processes local speech-to-text jobs for videos without captions
+ * and finishes video processing (sections, summary) once the transcript is stored
+ */
+
+const { transcriptionQueue } = require('./queue');
+const asrService = require('../services/asrService');
+const youtubeService = require('../services/youtubeService');
+const frameExtractionService = require('../services/frameExtractionService');
+const videoService = require('../services/videoService');
+const socketService = require('../services/socketService');
+const analysisConfig = require('../config/analysisConfig');
+const { updateJobStatus } = require('../services/analysisJobService');
+
+const STEPS = analysisConfig.transcription.steps;
+
+/**
+ * Record progress within a step on the Bull job and database, and push it to the video owner
+ * @param {Object} job - Bull job
+ * @param {Object} step - Step from analysisConfig.transcription.steps
+ * @param {number} stepProgress - Progress within the step (0-100)
+ */
+async function reportProgress(job, step, stepProgress = 0) {
+  const { videoId, jobId } = job.data;
+  const progress = Math.round(step.start + ((step.end - step.start) * stepProgress) / 100);
+
+  await job.progress(progress);
+  await updateJobStatus(jobId, 'processing', progress);
+
+  socketService.emitToVideo(videoId, 'job:progress', {
+    jobId,
+    videoId,
+    jobType: 'asr_transcription',
+    progress,
+    message: step.label
+  });
+}
+
+/**
+ * Process transcription job
+ */
+transcriptionQueue.process(async (job) => {
+  const { videoId, jobId, options = {} } = job.data;
+
+  console.log(`[TranscriptionWorker] Transcribing video ${videoId}, job ${jobId}`);
+
+  try {
+    await videoService.updateVideoStatus(videoId, 'transcribing');
+
+    const video = await videoService.findVideoById(videoId);
+
+    if (!video) {
+      throw new Error(`Video ${videoId} not found`);
+    }
+
+    // Step 1-2: Extract audio and run whisper.cpp
+    await reportProgress(job, STEPS.EXTRACT_AUDIO);
+    const source = await frameExtractionService.resolveVideoSource(video);
+
+    let transcribeStarted = false;
+    const transcriptData = await asrService.transcribe(source.input, {
+      language: options.language,
+      onAudioProgress: (percent) => {
+        reportProgress(job, STEPS.EXTRACT_AUDIO, percent).catch(() => {});
+      },
+      onProgress: (percent) => {
+        if (!transcribeStarted) {
+          transcribeStarted = true;
+          socketService.emitToVideo(videoId, 'job:step', {
+            jobId,
+            videoId,
+            jobType: 'asr_transcription',
+            step: 'TRANSCRIBE',
+            stepLabel: STEPS.TRANSCRIBE.label
+          });
+        }
+        reportProgress(job, STEPS.TRANSCRIBE, percent).catch(() => {});
+      }
+    });
+
+    // Step 3: Store transcript
+    await reportProgress(job, STEPS.STORE);
+    await youtubeService.storeTranscript(videoId, transcriptData);
+    await videoService.updateVideoStatus(videoId, 'transcript_complete');
+
+    // Step 4: Sections and summary, as for captioned videos
+    await reportProgress(job, STEPS.SECTIONS);
+    await youtubeService.generateSectionsAndSummary(video);
+
+    await videoService.updateVideoStatus(videoId, 'completed');
+
+    const result = {
+      videoId,
+      language: transcriptData.language,
+      segmentCount: transcriptData.segments.length,
+      completedAt: new Date().toISOString()
+    };
+
+    await updateJobStatus(jobId, 'completed', 100, result);
+    await job.progress(100);
+
+    socketService.emitToVideo(videoId, 'job:completed', {
+      jobId,
+      videoId,
+      jobType: 'asr_transcription',
+      result
+    });
+
+    console.log(`[TranscriptionWorker] Transcription completed for video ${videoId}: ${result.segmentCount} segments`);
+
+    return result;
+
+  } catch (error) {
+    console.error(`[TranscriptionWorker] Transcription failed for video ${videoId}:`, error.message);
+
+    try {
+      await updateJobStatus(jobId, 'failed', job.progress() || 0, null, error.message);
+    } catch (jobError) {
+      console.error('[TranscriptionWorker] Failed to update job status:', jobError.message);
+    }
+
+    // Re-throw error so Bull can handle retry logic
+    throw error;
+  }
+});
+
+// Event handlers for job lifecycle
+transcriptionQueue.on('failed', async (job, error) => {
+  console.error(`[TranscriptionWorker] Transcription job ${job.id} failed after ${job.attemptsMade} attempts:`, error.message);
+
+  const willRetry = job.attemptsMade < job.opts.attempts;
+
+  socketService.emitToVideo(job.data.videoId, 'job:failed', {
+    jobId: job.data.jobId,
+    videoId: job.data.videoId,
+    jobType: 'asr_transcription',
+    error: error.message,
+    willRetry
+  });
+
+  // Without a transcript the video is still usable for frame analysis
+  if (!willRetry) {
+    console.error(`[TranscriptionWorker] Job ${job.id} exhausted all retry attempts`);
+    try {
+      const { jobId, videoId } = job.data;
+      await updateJobStatus(jobId, 'failed', job.progress() || 0, null, `Failed after ${job.attemptsMade} attempts: ${error.message}`);
+      await videoService.updateVideoStatus(videoId, 'transcript_unavailable');
+      await videoService.updateVideoStatus(videoId, 'completed');
+    } catch (updateError) {
+      console.error('[TranscriptionWorker] Failed to mark job as permanently failed:', updateError.message);
+    }
+  }
+});
+
+transcriptionQueue.on('stalled', (job) => {
+  console.warn(`[TranscriptionWorker] Transcription job ${job.id} has stalled`);
+});
+
+// Log when worker is ready
+console.log('[TranscriptionWorker] Transcription worker initialized and ready to process jobs');
+
+module.exports = transcriptionQueue;
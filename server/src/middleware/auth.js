@@ -1,20 +1,61 @@
 const authService = require('../services/authService');
+const workspaceService = require('../services/workspaceService');
+const apiTokenService = require('../services/apiTokenService');
+
+// Methods a read-only caller (viewer role or read-scoped API token) may use
+const READ_METHODS = ['GET', 'HEAD'];
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Get the token from an "Authorization: Bearer <token>" header
+ * @param {object} req - Express request
+ * @returns {string|null} - Token or null if the header is absent or uses another scheme
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
 
 /**
  * Middleware to require authentication
- * Checks if user is logged in and attaches user to req.user
+ * Accepts the session cookie or a personal API token sent as "Authorization: Bearer <token>".
+ * Attaches the user to req.user, the token (if any) to req.apiToken and the active workspace to
+ * req.workspace ({ id, name, is_personal, role }).
+ * The active workspace is the one stored in the session (or named by the X-Workspace-Id header for
+ * token requests) when the user is a member of it, otherwise the user's personal workspace.
  */
 async function requireAuth(req, res, next) {
   try {
-    // Check if session exists
-    if (!req.session.userId) {
+    const bearerToken = getBearerToken(req);
+    let userId;
+
+    if (bearerToken) {
+      const apiToken = await apiTokenService.authenticate(bearerToken);
+
+      if (!apiToken) {
+        return res.status(401).json({ error: 'Invalid or expired API token' });
+      }
+
+      if (apiToken.scope === 'read' && !READ_METHODS.includes(req.method)) {
+        return res.status(403).json({ error: 'This API token is read-only' });
+      }
+
+      req.apiToken = apiToken;
+      userId = apiToken.user_id;
+    } else if (req.session.userId) {
+      userId = req.session.userId;
+    } else {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
     // Fetch user data
-    const user = await authService.findUserById(req.session.userId);
+    const user = await authService.findUserById(userId);
 
     if (!user) {
+      if (req.apiToken) {
+        return res.status(401).json({ error: 'Invalid or expired API token' });
+      }
       // Session exists but user not found - clear session
       req.session.destroy(() => {});
       return res.status(401).json({ error: 'Invalid session' });
@@ -28,6 +69,36 @@ async function requireAuth(req, res, next) {
     // Attach user to request
     req.user = user;
 
+    // Resolve the active workspace; membership is re-checked on every request.
+    // Token requests are stateless, so they pick a workspace per request instead of using the session.
+    const requestedWorkspaceId = req.apiToken ? req.get('X-Workspace-Id') : req.session.workspaceId;
+
+    if (req.apiToken && requestedWorkspaceId && !uuidRegex.test(requestedWorkspaceId)) {
+      return res.status(400).json({ error: 'Invalid X-Workspace-Id header' });
+    }
+
+    let workspace = requestedWorkspaceId
+      ? await workspaceService.getMembership(requestedWorkspaceId, user.id)
+      : null;
+
+    if (!workspace && req.apiToken && requestedWorkspaceId) {
+      return res.status(403).json({ error: 'You are not a member of the requested workspace' });
+    }
+
+    if (!workspace) {
+      workspace = await workspaceService.getPersonalWorkspace(user.id);
+      if (!req.apiToken) {
+        req.session.workspaceId = workspace.id;
+      }
+    }
+
+    req.workspace = {
+      id: workspace.id,
+      name: workspace.name,
+      is_personal: workspace.is_personal,
+      role: workspace.role
+    };
+
     next();
   } catch (error) {
     next(error);
@@ -50,7 +121,41 @@ function requireAdmin(req, res, next) {
   next();
 }
 
+/**
+ * Middleware factory to require a minimum role in the active workspace
+ * Must be used after requireAuth
+ * @param {string} minRole - 'viewer', 'editor' or 'owner'
+ */
+function requireWorkspaceRole(minRole) {
+  return (req, res, next) => {
+    if (!req.workspace) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!workspaceService.hasRole(req.workspace.role, minRole)) {
+      return res.status(403).json({ error: `This action requires the ${minRole} role in this workspace` });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware that keeps viewers read-only
+ * Lets GET and HEAD through for every member and requires the editor role for anything else.
+ * Must be used after requireAuth
+ */
+function requireWriteAccess(req, res, next) {
+  if (READ_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  return requireWorkspaceRole('editor')(req, res, next);
+}
+
 module.exports = {
   requireAuth,
-  requireAdmin
+  requireAdmin,
+  requireWorkspaceRole,
+  requireWriteAccess
 };
@@ -0,0 +1,223 @@
+/**
+ * Admin routes for managing users and inspecting queues, AI usage and frame storage
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const adminService = require('../services/adminService');
+const { getQueueHealth, cleanOldJobs } = require('../jobs/queue');
+
+// UUID validation regex
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// All routes require an admin account
+router.use(requireAuth, requireAdmin);
+
+/**
+ * GET /api/admin/users
+ * List and search users
+ *
+ * Query parameters:
+ * - search: Matches email, first or last name (optional)
+ * - status: 'active' or 'suspended' (optional)
+ * - limit: Page size (default: 50, max: 200)
+ * - offset: Rows to skip (default: 0)
+ */
+router.get('/users', async (req, res, next) => {
+  try {
+    const { search, status } = req.query;
+
+    if (status && !adminService.USER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${adminService.USER_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const { users, total } = await adminService.listUsers({
+      search: search ? search.trim() : null,
+      status,
+      limit,
+      offset
+    });
+
+    res.json({ users, total, limit, offset });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/status
+ * Suspend or reactivate a user; suspending signs the user out everywhere
+ *
+ * Body:
+ * - status: 'active' or 'suspended'
+ */
+router.put('/users/:id/status', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({ error: 'Invalid user ID format' });
+    }
+
+    if (!adminService.USER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${adminService.USER_STATUSES.join(', ')}` });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change the status of your own account' });
+    }
+
+    const user = await adminService.setUserStatus(id, status);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      message: status === 'suspended' ? 'User suspended' : 'User reactivated',
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/queues
+ * Job counts per state for every queue
+ */
+router.get('/queues', async (req, res, next) => {
+  try {
+    const health = await getQueueHealth();
+    res.json(health);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/queues/clean
+ * Remove completed jobs older than a day and failed jobs older than a week
+ */
+router.post('/queues/clean', async (req, res, next) => {
+  try {
+    await cleanOldJobs();
+    res.json({ success: true, queues: await getQueueHealth() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/queues/:queue/jobs
+ * List a queue's jobs in one state, newest first
+ *
+ * Query parameters:
+ * - state: waiting, active, delayed, failed or completed (default: failed)
+ * - limit: Maximum jobs to return (default: 50, max: 200)
+ */
+router.get('/queues/:queue/jobs', async (req, res, next) => {
+  try {
+    const state = req.query.state || 'failed';
+
+    if (!adminService.JOB_STATES.includes(state)) {
+      return res.status(400).json({ error: `state must be one of: ${adminService.JOB_STATES.join(', ')}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const jobs = await adminService.getJobs(req.params.queue, state, limit);
+
+    res.json({ jobs, count: jobs.length });
+  } catch (error) {
+    if (error.message === 'Unknown queue') {
+      return res.status(404).json({ error: 'Queue not found' });
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/queues/:queue/jobs/:jobId/retry
+ * Retry a failed job
+ */
+router.post('/queues/:queue/jobs/:jobId/retry', async (req, res, next) => {
+  try {
+    const retried = await adminService.retryJob(req.params.queue, req.params.jobId);
+
+    if (!retried) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ success: true, message: 'Job queued for retry' });
+  } catch (error) {
+    if (error.message === 'Unknown queue') {
+      return res.status(404).json({ error: 'Queue not found' });
+    }
+    if (error.message === 'Only failed jobs can be retried') {
+      return res.status(409).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/queues/:queue/jobs/:jobId
+ * Remove a job that is not running
+ */
+router.delete('/queues/:queue/jobs/:jobId', async (req, res, next) => {
+  try {
+    const removed = await adminService.removeJob(req.params.queue, req.params.jobId);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ success: true, message: 'Job removed' });
+  } catch (error) {
+    if (error.message === 'Unknown queue') {
+      return res.status(404).json({ error: 'Queue not found' });
+    }
+    if (error.message === 'Active jobs cannot be removed') {
+      return res.status(409).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/usage
+ * Regeneration and AI usage totals per user
+ *
+ * Query parameters:
+ * - days: Window for LLM usage (default: 30, max: 365)
+ */
+router.get('/usage', async (req, res, next) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const users = await adminService.getUsageByUser({ days });
+
+    res.json({ days, users });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/storage/frames
+ * Disk space used by extracted frames, per video
+ */
+router.get('/storage/frames', async (req, res, next) => {
+  try {
+    const usage = await adminService.getFrameDiskUsage();
+    res.json(usage);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+/**
+ * API token routes for managing personal access tokens
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const apiTokenService = require('../services/apiTokenService');
+
+// UUID validation regex
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Longest expiry offered through expires_in_days
+const MAX_EXPIRY_DAYS = 365;
+
+/**
+ * Refuse token-authenticated requests so a leaked token cannot mint or revoke tokens
+ */
+function requireSessionLogin(req, res, next) {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'API tokens can only be managed from a signed-in session' });
+  }
+  next();
+}
+
+// All routes require a signed-in session
+router.use(requireAuth, requireSessionLogin);
+
+/**
+ * POST /api/tokens
+ * Create a personal access token; the response is the only time the token is shown
+ *
+ * Body:
+ * - name: Name to recognise the token by
+ * - scope: 'read' (GET and HEAD only) or 'write'
+ * - expires_in_days: Days until the token expires (optional, 1-365; omit for no expiry)
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, scope, expires_in_days } = req.body;
+
+    if (!name || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Token name is required' });
+    }
+
+    if (name.length > 255) {
+      return res.status(400).json({ error: 'Token name must be 255 characters or less' });
+    }
+
+    if (!apiTokenService.SCOPES.includes(scope)) {
+      return res.status(400).json({ error: 'scope must be read or write' });
+    }
+
+    let expiresAt = null;
+    if (expires_in_days !== undefined && expires_in_days !== null) {
+      const days = parseInt(expires_in_days);
+      if (Number.isNaN(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({ error: `expires_in_days must be between 1 and ${MAX_EXPIRY_DAYS}` });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const { token, apiToken } = await apiTokenService.createToken(req.user.id, {
+      name,
+      scope,
+      expiresAt
+    });
+
+    res.status(201).json({
+      message: 'API token created successfully',
+      token,
+      apiToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tokens
+ * List the authenticated user's tokens with status and last use
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const apiTokens = await apiTokenService.getTokens(req.user.id);
+
+    res.json({
+      apiTokens,
+      count: apiTokens.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/tokens/:id/revoke
+ * Revoke a token; requests using it are rejected from then on
+ */
+router.post('/:id/revoke', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({ error: 'Invalid token ID format' });
+    }
+
+    const apiToken = await apiTokenService.revokeToken(id, req.user.id);
+
+    if (!apiToken) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    res.json({
+      message: 'API token revoked successfully',
+      apiToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
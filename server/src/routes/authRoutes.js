@@ -1,10 +1,53 @@
 const express = require('express');
+const { rateLimit } = require('express-rate-limit');
 const router = express.Router();
 const authService = require('../services/authService');
+const accountService = require('../services/accountService');
+const oidcService = require('../services/oidcService');
+const oidcConfig = require('../config/oidcConfig');
+const { requireAuth } = require('../middleware/auth');
 
 // Email validation regex
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
+// Minimum password length for registration, password change and reset
+const MIN_PASSWORD_LENGTH = 8;
+
+// Limits how often one client can trigger account emails
+const accountEmailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 5,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many requests, please try again later' }
+});
+
+// Sign-in failures from oidcService that are safe to show on the login page
+const SSO_USER_ERRORS = [
+  'Your identity provider did not share a verified email address',
+  'No Vidlyx account uses this email address',
+  'Account is not active'
+];
+
+/**
+ * Send the verification email in the background; a mail failure must not fail the request
+ */
+function sendVerificationEmailInBackground(user) {
+  accountService.sendVerificationEmail(user).catch((error) => {
+    console.error('Error sending verification email:', error.message);
+  });
+}
+
+/**
+ * Refuse token-authenticated requests for credential changes tied to the browser session
+ */
+function requireSessionLogin(req, res, next) {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'This action is only available from a signed-in session' });
+  }
+  next();
+}
+
 /**
  * POST /api/auth/register
  * Register a new user
@@ -24,8 +67,8 @@ router.post('/register', async (req, res, next) => {
     }
 
     // Validate password length
-    if (password.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters long' });
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
     }
 
     // Check if email already exists
@@ -40,6 +83,8 @@ router.post('/register', async (req, res, next) => {
     // Create session
     req.session.userId = user.id;
 
+    sendVerificationEmailInBackground(user);
+
     res.status(201).json({ user });
   } catch (error) {
     next(error);
@@ -132,4 +177,264 @@ router.get('/me', async (req, res, next) => {
   }
 });
 
+/**
+ * PUT /api/auth/profile
+ * Update the current user's name and avatar
+ *
+ * Body (all optional):
+ * - firstName, lastName: Up to 100 characters
+ * - avatarUrl: http(s) URL of the avatar image, or null to remove it
+ */
+router.put('/profile', requireAuth, async (req, res, next) => {
+  try {
+    const { firstName, lastName, avatarUrl } = req.body;
+    const data = {};
+
+    for (const [key, value] of Object.entries({ firstName, lastName })) {
+      if (value === undefined) continue;
+      if (typeof value !== 'string' || value.trim().length === 0) {
+        return res.status(400).json({ error: `${key === 'firstName' ? 'First' : 'Last'} name is required` });
+      }
+      if (value.trim().length > 100) {
+        return res.status(400).json({ error: `${key === 'firstName' ? 'First' : 'Last'} name must be 100 characters or less` });
+      }
+      data[key] = value.trim();
+    }
+
+    if (avatarUrl !== undefined) {
+      if (avatarUrl === null || avatarUrl === '') {
+        data.avatarUrl = null;
+      } else if (typeof avatarUrl !== 'string' || avatarUrl.length > 2048 || !/^https?:\/\/\S+$/i.test(avatarUrl)) {
+        return res.status(400).json({ error: 'Avatar must be an http or https URL' });
+      } else {
+        data.avatarUrl = avatarUrl;
+      }
+    }
+
+    const user = await authService.updateProfile(req.user.id, data);
+
+    res.json({ user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/auth/password
+ * Change the current user's password; every other session of the user is signed out
+ *
+ * Body:
+ * - currentPassword: The password in use now
+ * - newPassword: At least 8 characters
+ */
+router.put('/password', requireAuth, requireSessionLogin, async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
+    }
+
+    const user = await authService.findUserByEmail(req.user.email);
+    const isValidPassword = await authService.validatePassword(currentPassword, user.password_hash);
+    if (!isValidPassword) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    await authService.updatePassword(req.user.id, newPassword, req.sessionID);
+
+    res.json({ success: true, message: 'Password changed. Other sessions have been signed out.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/verify-email/send
+ * Email the current user a new verification link
+ */
+router.post('/verify-email/send', requireAuth, accountEmailLimiter, async (req, res, next) => {
+  try {
+    if (req.user.email_verified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await accountService.sendVerificationEmail(req.user);
+
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Verify an email address with the token from a verification link
+ */
+router.post('/verify-email', async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const verified = await accountService.verifyEmail(token);
+    if (!verified) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+    }
+
+    res.json({ success: true, message: 'Email verified' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link; always succeeds so registered addresses cannot be discovered
+ */
+router.post('/forgot-password', accountEmailLimiter, async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !EMAIL_REGEX.test(email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+
+    await accountService.requestPasswordReset(email);
+
+    res.json({
+      success: true,
+      message: 'If an account uses this email address, a reset link is on its way'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with the token from a reset link; all of the user's sessions are signed out
+ */
+router.post('/reset-password', async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
+    }
+
+    const reset = await accountService.resetPassword(token, password);
+    if (!reset) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+
+    res.json({ success: true, message: 'Password reset. You can now log in with your new password.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/oidc/config
+ * Whether single sign-on is available, and the provider name for the login buttons
+ */
+router.get('/oidc/config', (req, res) => {
+  res.json({
+    enabled: oidcConfig.enabled,
+    displayName: oidcConfig.displayName
+  });
+});
+
+/**
+ * GET /api/auth/oidc/login
+ * Redirect the browser to the identity provider; state, nonce and the PKCE verifier
+ * wait in the session for the callback
+ */
+router.get('/oidc/login', async (req, res, next) => {
+  try {
+    if (!oidcConfig.enabled) {
+      return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    const { url, state, nonce, codeVerifier } = await oidcService.createAuthorizationRequest();
+    req.session.oidc = { state, nonce, codeVerifier };
+
+    req.session.save((err) => {
+      if (err) {
+        return next(err);
+      }
+      res.redirect(url);
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/oidc/callback
+ * Finish single sign-on and send the browser back to the dashboard; failures land on the
+ * login page with an sso_error query parameter
+ */
+router.get('/oidc/callback', async (req, res) => {
+  const redirectWithError = (message) => {
+    const url = new URL('/login', oidcConfig.appUrl);
+    url.searchParams.set('sso_error', message);
+    res.redirect(url.toString());
+  };
+
+  const pending = req.session.oidc;
+  delete req.session.oidc;
+
+  try {
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    if (error) {
+      return redirectWithError(errorDescription || 'Sign-in was cancelled at the identity provider');
+    }
+
+    if (!pending || !code || state !== pending.state) {
+      return redirectWithError('Your sign-in session expired, please try again');
+    }
+
+    const claims = await oidcService.completeAuthorization(code, pending);
+    const user = await oidcService.findOrCreateUser(claims);
+
+    await authService.updateLastLogin(user.id);
+
+    // Sign in on a fresh session ID so one planted before the redirect cannot be reused
+    req.session.regenerate((regenerateErr) => {
+      if (regenerateErr) {
+        console.error('Error regenerating SSO session:', regenerateErr.message);
+        return redirectWithError('Single sign-on failed');
+      }
+
+      req.session.userId = user.id;
+
+      req.session.save((err) => {
+        if (err) {
+          console.error('Error saving SSO session:', err.message);
+          return redirectWithError('Single sign-on failed');
+        }
+        res.redirect(new URL('/app', oidcConfig.appUrl).toString());
+      });
+    });
+  } catch (error) {
+    if (SSO_USER_ERRORS.includes(error.message)) {
+      return redirectWithError(error.message);
+    }
+    console.error('Error completing SSO sign-in:', error.message);
+    redirectWithError('Single sign-on failed');
+  }
+});
+
 module.exports = router;
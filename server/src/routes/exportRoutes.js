@@ -1,25 +1,93 @@
 /**
- * Export routes for saves and transcripts
+ * Export routes for saves, transcripts, video analyses and flashcards
  */
 
 const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../middleware/auth');
 const exportService = require('../services/exportService');
+const flashcardService = require('../services/flashcardService');
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Longest save selection one flashcard export accepts
+const MAX_SELECTED_SAVES = 100;
+
+const FLASHCARD_USER_ERRORS = ['No flashcards could be generated from this content'];
+
+/**
+ * Send an export as a file download
+ * @param {object} res - Express response
+ * @param {object} exportData - { content, contentType, filename }
+ */
+function sendExport(res, exportData) {
+  res.setHeader('Content-Type', exportData.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportData.filename}"`);
+  res.send(exportData.content);
+}
+
+/**
+ * Read flashcard export options from the query string
+ * @param {object} query - Express query
+ * @returns {object} - { format, includeFrames }
+ */
+function flashcardOptions(query) {
+  return {
+    format: query.format === 'csv' ? 'csv' : 'apkg',
+    includeFrames: query.frames === 'true'
+  };
+}
+
+/**
+ * GET /api/export/saves/flashcards
+ * Export flashcards for a selection of saves
+ * Query params:
+ *   - ids: comma-separated save IDs (required)
+ *   - format: apkg, csv (default: apkg)
+ *   - frames: 'true' to add the nearest frame to each card (apkg only)
+ */
+router.get('/saves/flashcards', requireAuth, async (req, res, next) => {
+  try {
+    const saveIds = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+    if (saveIds.length === 0) {
+      return res.status(400).json({ error: 'At least one save ID is required' });
+    }
+    if (saveIds.length > MAX_SELECTED_SAVES) {
+      return res.status(400).json({ error: `At most ${MAX_SELECTED_SAVES} saves can be exported at once` });
+    }
+    for (const saveId of saveIds) {
+      if (!uuidRegex.test(saveId)) {
+        return res.status(400).json({ error: `Invalid save ID: ${saveId}` });
+      }
+    }
+
+    const exportData = await flashcardService.exportSavesFlashcards(saveIds, req.workspace.id, flashcardOptions(req.query));
+    sendExport(res, exportData);
+  } catch (error) {
+    if (error.message === 'Save not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (FLASHCARD_USER_ERRORS.includes(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }
+});
 
 /**
  * GET /api/export/saves/:id
  * Export a save in specified format
  * Query params:
- *   - format: json, markdown, txt (default: json)
+ *   - format: json, markdown, txt, pdf (default: json)
  */
 router.get('/saves/:id', requireAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
     const { format = 'json' } = req.query;
-    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
 
-    const exportData = await exportService.exportSave(id, userId, format);
+    const exportData = await exportService.exportSave(id, workspaceId, format);
 
     // Set headers
     res.setHeader('Content-Type', exportData.contentType);
@@ -43,15 +111,18 @@ router.get('/saves/:id', requireAuth, async (req, res, next) => {
  * GET /api/export/videos/:id/transcript
  * Export a video transcript in specified format
  * Query params:
- *   - format: txt, srt, vtt (default: txt)
+ *   - format: txt, srt, vtt, md (default: txt)
+ *   - language: transcript track language (default: primary track)
  */
 router.get('/videos/:id/transcript', requireAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { format = 'txt' } = req.query;
-    const userId = req.user.id;
+    const { format = 'txt', language } = req.query;
+    const workspaceId = req.workspace.id;
 
-    const exportData = await exportService.exportTranscript(id, userId, format);
+    const exportData = await exportService.exportTranscript(id, workspaceId, format, {
+      language: language || null
+    });
 
     // Set headers
     res.setHeader('Content-Type', exportData.contentType);
@@ -73,4 +144,125 @@ router.get('/videos/:id/transcript', requireAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/export/videos/:id/analysis
+ * Export a video's full analysis: summary, sections, key points and frames
+ * Query params:
+ *   - format: pdf, md, json (default: pdf)
+ */
+router.get('/videos/:id/analysis', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { format = 'pdf' } = req.query;
+    const workspaceId = req.workspace.id;
+
+    const exportData = await exportService.exportAnalysis(id, workspaceId, format);
+
+    // Set headers
+    res.setHeader('Content-Type', exportData.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportData.filename}"`);
+
+    // Send content based on type
+    if (exportData.contentType === 'application/json') {
+      res.json(exportData.content);
+    } else {
+      res.send(exportData.content);
+    }
+  } catch (error) {
+    if (error.message === 'Video not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/export/videos/:id/flashcards
+ * Export flashcards from a video's key points and section summaries
+ * Query params:
+ *   - format: apkg, csv (default: apkg)
+ *   - frames: 'true' to add the nearest frame to each card (apkg only)
+ */
+router.get('/videos/:id/flashcards', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const exportData = await flashcardService.exportVideoFlashcards(id, req.workspace.id, flashcardOptions(req.query));
+    sendExport(res, exportData);
+  } catch (error) {
+    if (error.message === 'Video not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (FLASHCARD_USER_ERRORS.includes(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/export/folders/:id/flashcards
+ * Export flashcards for every save in a folder and its subfolders
+ * Query params:
+ *   - format: apkg, csv (default: apkg)
+ *   - frames: 'true' to add the nearest frame to each card (apkg only)
+ */
+router.get('/folders/:id/flashcards', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({ error: 'Invalid folder ID' });
+    }
+
+    const exportData = await flashcardService.exportFolderFlashcards(id, req.workspace.id, flashcardOptions(req.query));
+    sendExport(res, exportData);
+  } catch (error) {
+    if (error.message === 'Folder not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (FLASHCARD_USER_ERRORS.includes(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/export/research/:id
+ * Export a research thread with its cited answers
+ * Query params:
+ *   - format: markdown, md, json (default: markdown)
+ */
+router.get('/research/:id', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { format = 'markdown' } = req.query;
+
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({ error: 'Invalid thread ID' });
+    }
+
+    const exportData = await exportService.exportResearchThread(id, req.workspace.id, format);
+
+    res.setHeader('Content-Type', exportData.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportData.filename}"`);
+
+    if (exportData.contentType === 'application/json') {
+      res.json(exportData.content);
+    } else {
+      res.send(exportData.content);
+    }
+  } catch (error) {
+    if (error.message === 'Research thread not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
 module.exports = router;
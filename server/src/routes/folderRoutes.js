@@ -4,22 +4,43 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
 const folderService = require('../services/folderService');
+const smartFolderRules = require('../services/smartFolderRules');
 
 // UUID validation regex
 const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-// All routes require authentication
-router.use(requireAuth);
+// All routes require authentication; changes need the editor role
+router.use(requireAuth, requireWriteAccess);
+
+/**
+ * Send a 400 for folder errors caused by the request
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by folderService or smartFolderRules
+ * @returns {boolean} - True if a response was sent
+ */
+function sendFolderValidationError(res, error) {
+  if (
+    error.message.startsWith('Invalid smart folder rules') ||
+    error.message === 'Folder kind must be manual or smart' ||
+    error.message === 'Only smart folders have rules' ||
+    error.message === 'Smart folders cannot contain other folders'
+  ) {
+    res.status(400).json({ error: error.message });
+    return true;
+  }
+  return false;
+}
 
 /**
  * POST /api/folders
- * Create a new folder
+ * Create a new folder, optionally nested under parent_id
+ * Smart folders are created with kind 'smart' and a rules object; their saves are evaluated live
  */
 router.post('/', async (req, res, next) => {
   try {
-    const { name, color, icon, sort_order } = req.body;
+    const { name, color, icon, sort_order, parent_id, kind, rules } = req.body;
 
     // Validate required fields
     if (!name || name.trim().length === 0) {
@@ -31,12 +52,19 @@ router.post('/', async (req, res, next) => {
       return res.status(400).json({ error: 'Folder name must be 255 characters or less' });
     }
 
+    if (parent_id && !uuidRegex.test(parent_id)) {
+      return res.status(400).json({ error: 'Invalid parent folder ID format' });
+    }
+
     // Create folder
-    const folder = await folderService.createFolder(req.user.id, {
+    const folder = await folderService.createFolder(req.workspace.id, req.user.id, {
       name,
       color,
       icon,
-      sort_order
+      sort_order,
+      parent_id,
+      kind,
+      rules
     });
 
     res.status(201).json({
@@ -44,23 +72,32 @@ router.post('/', async (req, res, next) => {
       folder
     });
   } catch (error) {
+    if (sendFolderValidationError(res, error)) {
+      return;
+    }
     if (error.message === 'A folder with this name already exists') {
       return res.status(409).json({ error: error.message });
     }
+    if (error.message === 'Parent folder not found') {
+      return res.status(404).json({ error: error.message });
+    }
     next(error);
   }
 });
 
 /**
  * GET /api/folders
- * Get all folders for the authenticated user with save counts
+ * Get all folders in the current workspace with save counts
+ *
+ * Query Parameters:
+ * - view: 'flat' (default, each folder has parent_id) or 'tree' (top-level folders with nested children)
  */
 router.get('/', async (req, res, next) => {
   try {
-    const folders = await folderService.getFolders(req.user.id);
+    const folders = await folderService.getFolders(req.workspace.id);
 
     res.json({
-      folders,
+      folders: req.query.view === 'tree' ? folderService.buildTree(folders) : folders,
       count: folders.length
     });
   } catch (error) {
@@ -68,9 +105,51 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/folders/smart/options
+ * Channels and detected video types the smart folder rule builder can offer
+ */
+router.get('/smart/options', async (req, res, next) => {
+  try {
+    const options = await folderService.getSmartFolderOptions(req.workspace.id);
+
+    res.json(options);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/folders/smart/preview
+ * Evaluate a smart folder rule set without saving it
+ *
+ * Body:
+ * - rules: Rule set (see smartFolderRules)
+ * - limit: Number of matching saves to return (optional, default: 5, max: 20)
+ */
+router.post('/smart/preview', async (req, res, next) => {
+  try {
+    const { rules, limit = 5 } = req.body;
+
+    const saveService = require('../services/saveService');
+    const result = await saveService.getSaves(req.workspace.id, {
+      rules: smartFolderRules.validateRules(rules),
+      limit: Math.min(Math.max(parseInt(limit) || 5, 1), 20),
+      offset: 0
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (sendFolderValidationError(res, error)) {
+      return;
+    }
+    next(error);
+  }
+});
+
 /**
  * GET /api/folders/:id
- * Get a single folder by ID
+ * Get a single folder by ID, with its path from the top level for breadcrumbs
  */
 router.get('/:id', async (req, res, next) => {
   try {
@@ -81,13 +160,15 @@ router.get('/:id', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid folder ID format' });
     }
 
-    const folder = await folderService.getFolderById(folderId, req.user.id);
+    const folder = await folderService.getFolderById(folderId, req.workspace.id);
 
     if (!folder) {
       return res.status(404).json({ error: 'Folder not found' });
     }
 
-    res.json({ folder });
+    const path = await folderService.getPath(folderId, req.workspace.id);
+
+    res.json({ folder, path });
   } catch (error) {
     next(error);
   }
@@ -95,12 +176,12 @@ router.get('/:id', async (req, res, next) => {
 
 /**
  * PUT /api/folders/:id
- * Update a folder
+ * Update a folder (rules may only be set on smart folders)
  */
 router.put('/:id', async (req, res, next) => {
   try {
     const folderId = req.params.id;
-    const { name, color, icon, sort_order } = req.body;
+    const { name, color, icon, sort_order, rules } = req.body;
 
     // UUID validation
     if (!uuidRegex.test(folderId)) {
@@ -113,11 +194,12 @@ router.put('/:id', async (req, res, next) => {
     }
 
     // Update folder
-    const folder = await folderService.updateFolder(folderId, req.user.id, {
+    const folder = await folderService.updateFolder(folderId, req.workspace.id, {
       name,
       color,
       icon,
-      sort_order
+      sort_order,
+      rules
     });
 
     res.json({
@@ -125,6 +207,9 @@ router.put('/:id', async (req, res, next) => {
       folder
     });
   } catch (error) {
+    if (sendFolderValidationError(res, error)) {
+      return;
+    }
     if (error.message === 'Folder not found or access denied') {
       return res.status(404).json({ error: 'Folder not found' });
     }
@@ -135,9 +220,61 @@ router.put('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/folders/:id/move
+ * Move a folder under another folder, or to the top level
+ *
+ * Body:
+ * - parent_id: New parent folder ID, or null for the top level
+ * - sort_order: Position among the new siblings (optional)
+ */
+router.post('/:id/move', async (req, res, next) => {
+  try {
+    const folderId = req.params.id;
+    const { parent_id = null, sort_order } = req.body;
+
+    // UUID validation
+    if (!uuidRegex.test(folderId)) {
+      return res.status(400).json({ error: 'Invalid folder ID format' });
+    }
+
+    if (parent_id !== null && !uuidRegex.test(parent_id)) {
+      return res.status(400).json({ error: 'Invalid parent folder ID format' });
+    }
+
+    if (sort_order !== undefined && !Number.isInteger(sort_order)) {
+      return res.status(400).json({ error: 'sort_order must be an integer' });
+    }
+
+    const folder = await folderService.move(folderId, req.workspace.id, { parent_id, sort_order });
+
+    res.json({
+      message: 'Folder moved successfully',
+      folder
+    });
+  } catch (error) {
+    if (error.message === 'Folder not found or access denied') {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    if (error.message === 'Parent folder not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'A folder cannot be moved into itself or one of its subfolders') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (sendFolderValidationError(res, error)) {
+      return;
+    }
+    if (error.message === 'A folder with this name already exists') {
+      return res.status(409).json({ error: 'A folder with this name already exists in the destination' });
+    }
+    next(error);
+  }
+});
+
 /**
  * DELETE /api/folders/:id
- * Delete a folder (saves remain, just unlinked)
+ * Delete a folder (saves remain, just unlinked; subfolders move up one level)
  */
 router.delete('/:id', async (req, res, next) => {
   try {
@@ -148,7 +285,7 @@ router.delete('/:id', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid folder ID format' });
     }
 
-    const deleted = await folderService.deleteFolder(folderId, req.user.id);
+    const deleted = await folderService.deleteFolder(folderId, req.workspace.id);
 
     if (!deleted) {
       return res.status(404).json({ error: 'Folder not found' });
@@ -156,7 +293,7 @@ router.delete('/:id', async (req, res, next) => {
 
     res.json({
       message: 'Folder deleted successfully',
-      note: 'Saves in this folder remain in your library'
+      note: 'Saves in this folder remain in your library and subfolders move up one level'
     });
   } catch (error) {
     next(error);
@@ -165,7 +302,11 @@ router.delete('/:id', async (req, res, next) => {
 
 /**
  * GET /api/folders/:id/saves
- * Get all saves in a specific folder
+ * Get all saves in a specific folder; smart folders are evaluated from their rules
+ *
+ * Query Parameters:
+ * - include_subfolders: 'true' to also return saves from every folder nested below this one (manual folders)
+ * - sort, order, limit, offset: As for GET /api/saves
  */
 router.get('/:id/saves', async (req, res, next) => {
   try {
@@ -176,8 +317,8 @@ router.get('/:id/saves', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid folder ID format' });
     }
 
-    // Verify folder exists and belongs to user
-    const folder = await folderService.getFolderById(folderId, req.user.id);
+    // Verify folder exists and belongs to the workspace
+    const folder = await folderService.getFolderById(folderId, req.workspace.id);
 
     if (!folder) {
       return res.status(404).json({ error: 'Folder not found' });
@@ -186,6 +327,7 @@ router.get('/:id/saves', async (req, res, next) => {
     // Get saves in this folder using the save service
     const saveService = require('../services/saveService');
     const {
+      include_subfolders,
       sort = 'created_at',
       order = 'desc',
       limit = 20,
@@ -195,8 +337,9 @@ router.get('/:id/saves', async (req, res, next) => {
     const parsedLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
     const parsedOffset = Math.max(parseInt(offset) || 0, 0);
 
-    const result = await saveService.getSaves(req.user.id, {
+    const result = await saveService.getSaves(req.workspace.id, {
       folder: folderId,
+      includeSubfolders: include_subfolders === 'true',
       sortBy: sort,
       sortOrder: order,
       limit: parsedLimit,
@@ -229,7 +372,7 @@ router.get('/uncategorized/saves', async (req, res, next) => {
     const parsedLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
     const parsedOffset = Math.max(parseInt(offset) || 0, 0);
 
-    const result = await saveService.getSaves(req.user.id, {
+    const result = await saveService.getSaves(req.workspace.id, {
       folder: 'uncategorized',
       sortBy: sort,
       sortOrder: order,
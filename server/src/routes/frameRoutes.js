@@ -5,30 +5,33 @@
 const express = require('express');
 const router = express.Router();
 const usageRouter = express.Router();
-const publicRouter = express.Router(); // Public routes (no auth required)
+const imageRouter = express.Router(); // Frame image routes, mounted at /api/frames
 const fs = require('fs').promises;
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
 const ocrService = require('../services/ocrService');
 const videoService = require('../services/videoService');
 const frameExtractionService = require('../services/frameExtractionService');
 const visionAnalysisService = require('../services/visionAnalysisService');
 const geminiService = require('../services/geminiService');
+const llmService = require('../services/llmService');
 const linkageService = require('../services/linkageService');
 const pool = require('../services/db');
+const analysisConfig = require('../config/analysisConfig');
 
-// All routes require authentication
-router.use(requireAuth);
+// All routes require authentication; changes need the editor role
+router.use(requireAuth, requireWriteAccess);
 
 /**
- * PUBLIC ROUTES (no authentication required)
- * These routes serve static frame images that can be loaded by <img> tags
+ * IMAGE ROUTES
+ * Frame images are loaded by <img> tags, which send the session cookie but no other headers.
+ * Shared frames are served through the share token instead (see shareRoutes).
  */
 
 /**
  * GET /api/frames/image/:frameId
- * Serve frame image file (PUBLIC - no auth required for <img> tags)
+ * Serve frame image file to members of the active workspace
  */
-publicRouter.get('/image/:frameId', async (req, res, next) => {
+imageRouter.get('/image/:frameId', requireAuth, async (req, res, next) => {
   try {
     const { frameId } = req.params;
 
@@ -45,6 +48,13 @@ publicRouter.get('/image/:frameId', async (req, res, next) => {
       return res.status(404).json({ error: 'Frame not found' });
     }
 
+    // Verify the frame's video belongs to the active workspace
+    const videoResult = await pool.query('SELECT workspace_id FROM videos WHERE id = $1', [frame.video_id]);
+
+    if (videoResult.rows.length === 0 || videoResult.rows[0].workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Frame not found' });
+    }
+
     // Check if file exists
     try {
       await fs.access(frame.frame_path);
@@ -52,8 +62,8 @@ publicRouter.get('/image/:frameId', async (req, res, next) => {
       return res.status(404).json({ error: 'Frame image file not found' });
     }
 
-    // Set caching headers for images
-    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    // Private, short caching: access is checked per user and can be taken away
+    res.setHeader('Cache-Control', 'private, max-age=300');
     // Override Helmet's Cross-Origin-Resource-Policy to allow cross-origin image loading
     res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
 
@@ -76,11 +86,12 @@ function transformFrame(frame) {
   return {
     ...frame,
     timestamp: frame.timestamp_seconds,
-    // Use public endpoint for images (no auth required for <img> tags)
+    // Image endpoint authenticated by the session cookie <img> tags send
     image_url: `${serverUrl}/api/frames/image/${frame.id}`,
     thumbnail_url: `${serverUrl}/api/frames/image/${frame.id}`,
     has_text: !!(frame.on_screen_text && frame.on_screen_text.trim().length > 0),
     has_analysis: !!(frame.scene_description || frame.visual_elements),
+    is_duplicate: !!frame.duplicate_of,
     ocr_text: frame.on_screen_text
   };
 }
@@ -88,6 +99,7 @@ function transformFrame(frame) {
 /**
  * GET /api/videos/:id/frames
  * Get all frames for a video
+ * Near-duplicate frames are left out unless includeDuplicates=true; duplicateCount reports how many
  */
 router.get('/:id/frames', async (req, res, next) => {
   try {
@@ -96,7 +108,8 @@ router.get('/:id/frames', async (req, res, next) => {
       limit = 50,
       offset = 0,
       minConfidence = 0,
-      onlyWithText = false
+      onlyWithText = false,
+      includeDuplicates = false
     } = req.query;
 
     // UUID validation
@@ -105,14 +118,14 @@ router.get('/:id/frames', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid video ID' });
     }
 
-    // Check if video exists and belongs to user
+    // Check if video exists and belongs to the active workspace
     const video = await videoService.findVideoById(videoId);
 
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -121,7 +134,8 @@ router.get('/:id/frames', async (req, res, next) => {
       limit: parseInt(limit, 10),
       offset: parseInt(offset, 10),
       minConfidence: parseFloat(minConfidence),
-      onlyWithText: onlyWithText === 'true' || onlyWithText === '1'
+      onlyWithText: onlyWithText === 'true' || onlyWithText === '1',
+      includeDuplicates: includeDuplicates === 'true' || includeDuplicates === '1'
     });
 
     // Transform frames to include image URLs and computed fields
@@ -155,14 +169,14 @@ router.get('/:id/frames/ocr', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid video ID' });
     }
 
-    // Check if video exists and belongs to user
+    // Check if video exists and belongs to the active workspace
     const video = await videoService.findVideoById(videoId);
 
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -210,14 +224,14 @@ router.get('/:id/frames/search', async (req, res, next) => {
       return res.status(400).json({ error: 'Search query must be at least 2 characters' });
     }
 
-    // Check if video exists and belongs to user
+    // Check if video exists and belongs to the active workspace
     const video = await videoService.findVideoById(videoId);
 
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -251,14 +265,14 @@ router.post('/:id/frames/process-ocr', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid video ID' });
     }
 
-    // Check if video exists and belongs to user
+    // Check if video exists and belongs to the active workspace
     const video = await videoService.findVideoById(videoId);
 
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -286,12 +300,18 @@ router.post('/:id/frames/process-ocr', async (req, res, next) => {
 /**
  * POST /api/videos/:id/frames/extract
  * Extract frames from a video
+ * Body: mode ('interval' | 'scene'), interval, sceneThreshold, minGap, maxFrames,
+ * maxHashDistance, width, quality, startTime, endTime
  */
 router.post('/:id/frames/extract', async (req, res, next) => {
   try {
     const videoId = req.params.id;
     const {
+      mode = analysisConfig.frameExtraction.defaultMode,
       interval = 5,
+      sceneThreshold = analysisConfig.frameExtraction.scene.threshold,
+      minGap = analysisConfig.frameExtraction.scene.minGap,
+      maxHashDistance = analysisConfig.deduplication.maxHashDistance,
       width = 1280,
       quality = 2,
       maxFrames = null,
@@ -305,14 +325,24 @@ router.post('/:id/frames/extract', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid video ID' });
     }
 
-    // Check if video exists and belongs to user
+    const optionsError = frameExtractionService.validateExtractionOptions({
+      mode,
+      sceneThreshold,
+      minGap,
+      maxHashDistance
+    });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    // Check if video exists and belongs to the active workspace
     const video = await videoService.findVideoById(videoId);
 
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -328,7 +358,11 @@ router.post('/:id/frames/extract', async (req, res, next) => {
 
     // Extract frames (this may take a while)
     const frames = await frameExtractionService.extractVideoFrames(video, {
+      mode,
       interval: parseFloat(interval),
+      sceneThreshold: parseFloat(sceneThreshold),
+      minGap: parseFloat(minGap),
+      maxHashDistance: parseInt(maxHashDistance, 10),
       width: parseInt(width),
       quality: parseInt(quality),
       maxFrames: maxFrames ? parseInt(maxFrames) : null,
@@ -338,7 +372,10 @@ router.post('/:id/frames/extract', async (req, res, next) => {
 
     res.json({
       message: 'Frames extracted successfully',
+      mode,
+      ...(mode === 'scene' ? { sceneThreshold: parseFloat(sceneThreshold), minGap: parseFloat(minGap) } : {}),
       frameCount: frames.length,
+      duplicateCount: frames.filter(frame => frame.duplicate_of).length,
       frames: frames.slice(0, 10) // Return first 10 frames as preview
     });
 
@@ -361,14 +398,14 @@ router.delete('/:id/frames/all', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid video ID' });
     }
 
-    // Check if video exists and belongs to user
+    // Check if video exists and belongs to the active workspace
     const video = await videoService.findVideoById(videoId);
 
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -406,9 +443,9 @@ router.get('/frame/:frameId', async (req, res, next) => {
       return res.status(404).json({ error: 'Frame not found' });
     }
 
-    // Verify user has access to this frame's video
+    // Verify the frame's video belongs to the active workspace
     const videoQuery = `
-      SELECT user_id FROM videos WHERE id = $1
+      SELECT workspace_id FROM videos WHERE id = $1
     `;
     const videoResult = await pool.query(videoQuery, [frame.video_id]);
 
@@ -416,7 +453,7 @@ router.get('/frame/:frameId', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (videoResult.rows[0].user_id !== req.user.id) {
+    if (videoResult.rows[0].workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -448,9 +485,9 @@ router.get('/frame/:frameId/image', async (req, res, next) => {
       return res.status(404).json({ error: 'Frame not found' });
     }
 
-    // Verify user has access to this frame's video
+    // Verify the frame's video belongs to the active workspace
     const videoQuery = `
-      SELECT user_id FROM videos WHERE id = $1
+      SELECT workspace_id FROM videos WHERE id = $1
     `;
     const videoResult = await pool.query(videoQuery, [frame.video_id]);
 
@@ -458,7 +495,7 @@ router.get('/frame/:frameId/image', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (videoResult.rows[0].user_id !== req.user.id) {
+    if (videoResult.rows[0].workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -504,9 +541,9 @@ router.patch('/frame/:frameId', async (req, res, next) => {
       return res.status(404).json({ error: 'Frame not found' });
     }
 
-    // Verify user has access to this frame's video
+    // Verify the frame's video belongs to the active workspace
     const videoQuery = `
-      SELECT user_id FROM videos WHERE id = $1
+      SELECT workspace_id FROM videos WHERE id = $1
     `;
     const videoResult = await pool.query(videoQuery, [frame.video_id]);
 
@@ -514,7 +551,7 @@ router.patch('/frame/:frameId', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (videoResult.rows[0].user_id !== req.user.id) {
+    if (videoResult.rows[0].workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -557,9 +594,9 @@ router.delete('/frame/:frameId', async (req, res, next) => {
       return res.status(404).json({ error: 'Frame not found' });
     }
 
-    // Verify user has access to this frame's video
+    // Verify the frame's video belongs to the active workspace
     const videoQuery = `
-      SELECT user_id FROM videos WHERE id = $1
+      SELECT workspace_id FROM videos WHERE id = $1
     `;
     const videoResult = await pool.query(videoQuery, [frame.video_id]);
 
@@ -567,7 +604,7 @@ router.delete('/frame/:frameId', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (videoResult.rows[0].user_id !== req.user.id) {
+    if (videoResult.rows[0].workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -602,9 +639,9 @@ router.get('/frame/:id/segments', async (req, res, next) => {
       return res.status(404).json({ error: 'Frame not found' });
     }
 
-    // Verify user has access to this frame's video
+    // Verify the frame's video belongs to the active workspace
     const videoQuery = `
-      SELECT user_id FROM videos WHERE id = $1
+      SELECT workspace_id FROM videos WHERE id = $1
     `;
     const videoResult = await pool.query(videoQuery, [frame.video_id]);
 
@@ -612,7 +649,7 @@ router.get('/frame/:id/segments', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (videoResult.rows[0].user_id !== req.user.id) {
+    if (videoResult.rows[0].workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -651,14 +688,14 @@ router.get('/:id/frames/analysis', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid video ID' });
     }
 
-    // Check if video exists and belongs to user
+    // Check if video exists and belongs to the active workspace
     const video = await videoService.findVideoById(videoId);
 
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -703,14 +740,14 @@ router.post('/:id/frames/analyze-vision', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid video ID' });
     }
 
-    // Check if video exists and belongs to user
+    // Check if video exists and belongs to the active workspace
     const video = await videoService.findVideoById(videoId);
 
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -762,14 +799,14 @@ router.get('/:id/frames/analysis-summary', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid video ID' });
     }
 
-    // Check if video exists and belongs to user
+    // Check if video exists and belongs to the active workspace
     const video = await videoService.findVideoById(videoId);
 
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -784,19 +821,30 @@ router.get('/:id/frames/analysis-summary', async (req, res, next) => {
 
 /**
  * GET /api/usage
- * Get Gemini API usage statistics
+ * Get Gemini vision quota and LLM usage per provider, model and task
+ * Query params:
+ *   - days: Number of days of LLM usage to summarize (default: 30)
  */
 usageRouter.get('/usage', requireAuth, async (req, res, next) => {
   try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+
     // Get usage stats
     const usageStats = await visionAnalysisService.getUsageStats();
 
     // Get quota info
     const quotaInfo = geminiService.checkQuota();
 
+    const llmUsage = await llmService.getUsageSummary({ days });
+
     res.json({
       usage: usageStats,
       quota: quotaInfo,
+      llm: {
+        tasks: llmService.getTaskSettings(),
+        days,
+        usage: llmUsage
+      },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -806,4 +854,4 @@ usageRouter.get('/usage', requireAuth, async (req, res, next) => {
 
 module.exports = router;
 module.exports.usageRouter = usageRouter;
-module.exports.publicRouter = publicRouter;
+module.exports.imageRouter = imageRouter;
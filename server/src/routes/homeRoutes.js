@@ -6,21 +6,14 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../services/db');
-
-// Middleware to check authentication
-const requireAuth = (req, res, next) => {
-  if (!req.session?.userId) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-  next();
-};
+const { requireAuth } = require('../middleware/auth');
 
 /**
  * GET /api/home/stats
  * Get aggregated stats for the home page
  */
 router.get('/stats', requireAuth, async (req, res) => {
-  const userId = req.session.userId;
+  const workspaceId = req.workspace.id;
 
   try {
     const client = await pool.connect();
@@ -33,39 +26,47 @@ router.get('/stats', requireAuth, async (req, res) => {
         foldersResult,
         tagsResult,
         totalDurationResult,
-        framesResult
+        framesResult,
+        reviewDueResult
       ] = await Promise.all([
         // Total videos
         client.query(
-          'SELECT COUNT(*) as count FROM videos WHERE user_id = $1',
-          [userId]
+          'SELECT COUNT(*) as count FROM videos WHERE workspace_id = $1',
+          [workspaceId]
         ),
         // Total saves
         client.query(
-          'SELECT COUNT(*) as count FROM saves WHERE user_id = $1',
-          [userId]
+          'SELECT COUNT(*) as count FROM saves WHERE workspace_id = $1',
+          [workspaceId]
         ),
         // Total folders
         client.query(
-          'SELECT COUNT(*) as count FROM folders WHERE user_id = $1',
-          [userId]
+          'SELECT COUNT(*) as count FROM folders WHERE workspace_id = $1',
+          [workspaceId]
         ),
         // Total tags
         client.query(
-          'SELECT COUNT(*) as count FROM tags WHERE user_id = $1',
-          [userId]
+          'SELECT COUNT(*) as count FROM tags WHERE workspace_id = $1',
+          [workspaceId]
         ),
         // Total duration (in seconds)
         client.query(
-          'SELECT COALESCE(SUM(duration), 0) as total FROM videos WHERE user_id = $1',
-          [userId]
+          'SELECT COALESCE(SUM(duration), 0) as total FROM videos WHERE workspace_id = $1',
+          [workspaceId]
         ),
         // Total frames analyzed
         client.query(
           `SELECT COUNT(*) as count FROM frames f
            JOIN videos v ON f.video_id = v.id
-           WHERE v.user_id = $1`,
-          [userId]
+           WHERE v.workspace_id = $1`,
+          [workspaceId]
+        ),
+        // The current user's review cards due today
+        client.query(
+          `SELECT COUNT(*) as count FROM review_cards
+           WHERE workspace_id = $1 AND user_id = $2
+           AND due_at < date_trunc('day', NOW()) + INTERVAL '1 day'`,
+          [workspaceId, req.user.id]
         )
       ]);
 
@@ -75,7 +76,8 @@ router.get('/stats', requireAuth, async (req, res) => {
         folders: parseInt(foldersResult.rows[0].count),
         tags: parseInt(tagsResult.rows[0].count),
         totalDuration: parseInt(totalDurationResult.rows[0].total),
-        framesAnalyzed: parseInt(framesResult.rows[0].count)
+        framesAnalyzed: parseInt(framesResult.rows[0].count),
+        reviewDueToday: parseInt(reviewDueResult.rows[0].count)
       });
 
     } finally {
@@ -93,7 +95,7 @@ router.get('/stats', requireAuth, async (req, res) => {
  * Get recently accessed/analyzed videos
  */
 router.get('/recent-videos', requireAuth, async (req, res) => {
-  const userId = req.session.userId;
+  const workspaceId = req.workspace.id;
   const limit = parseInt(req.query.limit) || 6;
 
   try {
@@ -116,10 +118,10 @@ router.get('/recent-videos', requireAuth, async (req, res) => {
           (SELECT COUNT(*) FROM sections WHERE video_id = v.id) as section_count
         FROM videos v
         LEFT JOIN video_summaries vs ON v.id = vs.video_id
-        WHERE v.user_id = $1
+        WHERE v.workspace_id = $1
         ORDER BY v.last_accessed_at DESC NULLS LAST, v.created_at DESC
         LIMIT $2`,
-        [userId, limit]
+        [workspaceId, limit]
       );
 
       res.json(result.rows);
@@ -139,7 +141,7 @@ router.get('/recent-videos', requireAuth, async (req, res) => {
  * Get recent saves/highlights
  */
 router.get('/recent-saves', requireAuth, async (req, res) => {
-  const userId = req.session.userId;
+  const workspaceId = req.workspace.id;
   const limit = parseInt(req.query.limit) || 5;
 
   try {
@@ -160,10 +162,10 @@ router.get('/recent-saves', requireAuth, async (req, res) => {
           (SELECT COUNT(*) FROM save_transcripts WHERE save_id = s.id) as transcript_count
         FROM saves s
         JOIN videos v ON s.video_id = v.id
-        WHERE s.user_id = $1
+        WHERE s.workspace_id = $1
         ORDER BY s.created_at DESC
         LIMIT $2`,
-        [userId, limit]
+        [workspaceId, limit]
       );
 
       res.json(result.rows);
@@ -180,10 +182,10 @@ router.get('/recent-saves', requireAuth, async (req, res) => {
 
 /**
  * GET /api/home/folders
- * Get user's folders with item counts
+ * Get the workspace's folders with item counts
  */
 router.get('/folders', requireAuth, async (req, res) => {
-  const userId = req.session.userId;
+  const workspaceId = req.workspace.id;
 
   try {
     const client = await pool.connect();
@@ -197,10 +199,10 @@ router.get('/folders', requireAuth, async (req, res) => {
           f.icon,
           (SELECT COUNT(*) FROM save_folders sf WHERE sf.folder_id = f.id) as save_count
         FROM folders f
-        WHERE f.user_id = $1
+        WHERE f.workspace_id = $1
         ORDER BY f.sort_order ASC, f.name ASC
         LIMIT 8`,
-        [userId]
+        [workspaceId]
       );
 
       res.json(result.rows);
@@ -220,7 +222,7 @@ router.get('/folders', requireAuth, async (req, res) => {
  * Get videos currently being processed
  */
 router.get('/processing', requireAuth, async (req, res) => {
-  const userId = req.session.userId;
+  const workspaceId = req.workspace.id;
 
   try {
     const client = await pool.connect();
@@ -238,11 +240,11 @@ router.get('/processing', requireAuth, async (req, res) => {
           aj.started_at
         FROM videos v
         LEFT JOIN analysis_jobs aj ON v.id = aj.video_id AND aj.status = 'processing'
-        WHERE v.user_id = $1
-        AND v.analysis_status IN ('pending', 'processing', 'extracting', 'analyzing')
+        WHERE v.workspace_id = $1
+        AND v.analysis_status IN ('pending', 'processing', 'extracting', 'analyzing', 'transcription_queued', 'transcribing')
         ORDER BY v.created_at DESC
         LIMIT 5`,
-        [userId]
+        [workspaceId]
       );
 
       res.json(result.rows);
@@ -262,7 +264,7 @@ router.get('/processing', requireAuth, async (req, res) => {
  * Get recent key takeaways/insights from analyzed videos
  */
 router.get('/insights', requireAuth, async (req, res) => {
-  const userId = req.session.userId;
+  const workspaceId = req.workspace.id;
   const limit = parseInt(req.query.limit) || 5;
 
   try {
@@ -281,11 +283,11 @@ router.get('/insights', requireAuth, async (req, res) => {
           vs.updated_at
         FROM video_summaries vs
         JOIN videos v ON vs.video_id = v.id
-        WHERE v.user_id = $1
+        WHERE v.workspace_id = $1
         AND vs.key_takeaways IS NOT NULL
         ORDER BY vs.updated_at DESC
         LIMIT $2`,
-        [userId, limit]
+        [workspaceId, limit]
       );
 
       // Flatten insights from multiple videos
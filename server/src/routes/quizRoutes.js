@@ -0,0 +1,172 @@
+/**
+ * Quiz routes for generating self-test quizzes from a video and taking them
+ * Generating and deleting quizzes needs the editor role; any workspace member can
+ * take a quiz, and attempts belong to the user who takes it.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
+const videoService = require('../services/videoService');
+const quizService = require('../services/quizService');
+
+// UUID validation regex
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Generation errors caused by the video's content rather than the request
+const GENERATION_ERRORS = ['Video has no sections to quiz on yet', 'Not enough material to write questions from'];
+
+/**
+ * Load the video in :id and check it belongs to the current workspace
+ * Sets req.video
+ */
+async function loadVideo(req, res, next) {
+  try {
+    if (!uuidRegex.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const video = await videoService.findVideoById(req.params.id);
+
+    if (!video || video.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    req.video = video;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Check the :id quiz ID format
+ */
+function checkQuizId(req, res, next) {
+  if (!uuidRegex.test(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid quiz ID' });
+  }
+  next();
+}
+
+/**
+ * GET /api/videos/:id/quizzes
+ * List a video's quizzes with the current user's attempt count and best score
+ */
+router.get('/videos/:id/quizzes', requireAuth, loadVideo, async (req, res, next) => {
+  try {
+    const quizzes = await quizService.listQuizzes(req.video.id, req.user.id);
+    res.json({ quizzes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/videos/:id/quizzes
+ * Generate a quiz for the whole video or one section
+ *
+ * Body:
+ * - sectionId: Section to quiz on (optional, defaults to the whole video)
+ * - count: Number of questions (optional, 10 for a video and 5 for a section)
+ *
+ * Returns the quiz with its questions; answers are only revealed by grading an attempt
+ */
+router.post('/videos/:id/quizzes', requireAuth, requireWriteAccess, loadVideo, async (req, res, next) => {
+  try {
+    const { sectionId = null, count } = req.body;
+
+    if (sectionId !== null && !uuidRegex.test(sectionId)) {
+      return res.status(400).json({ error: 'Invalid section ID' });
+    }
+
+    if (count !== undefined) {
+      const parsed = parseInt(count, 10);
+      if (isNaN(parsed) || parsed < 1 || parsed > quizService.MAX_QUESTIONS) {
+        return res.status(400).json({ error: `count must be between 1 and ${quizService.MAX_QUESTIONS}` });
+      }
+    }
+
+    const quiz = await quizService.generateQuiz(req.video, req.user.id, {
+      sectionId,
+      count: count !== undefined ? parseInt(count, 10) : undefined
+    });
+    res.status(201).json({ quiz });
+  } catch (error) {
+    if (error.message === 'Section not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (GENERATION_ERRORS.includes(error.message)) {
+      return res.status(422).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/quizzes/:id
+ * Get a quiz to take, with the current user's past attempts
+ */
+router.get('/quizzes/:id', requireAuth, checkQuizId, async (req, res, next) => {
+  try {
+    const quiz = await quizService.getQuiz(req.params.id, req.workspace.id, req.user.id);
+
+    if (!quiz) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    res.json({ quiz });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/quizzes/:id/attempts
+ * Submit answers to a quiz
+ *
+ * Body:
+ * - answers: [{ questionId, answer }], the option text or the short answer
+ *
+ * Returns the score and, per question, whether it was right, the correct answer
+ * and the timestamp to rewatch
+ */
+router.post('/quizzes/:id/attempts', requireAuth, checkQuizId, async (req, res, next) => {
+  try {
+    const { answers } = req.body;
+
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({ error: 'answers must be an array' });
+    }
+
+    const attempt = await quizService.submitAttempt(req.params.id, req.workspace.id, req.user.id, answers);
+
+    if (!attempt) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    res.status(201).json({ attempt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/quizzes/:id
+ * Delete a quiz and everyone's attempts at it
+ */
+router.delete('/quizzes/:id', requireAuth, requireWriteAccess, checkQuizId, async (req, res, next) => {
+  try {
+    const deleted = await quizService.deleteQuiz(req.params.id, req.workspace.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    res.json({ message: 'Quiz deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
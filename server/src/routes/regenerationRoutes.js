@@ -1,24 +1,43 @@
 const express = require('express');
 const router = express.Router();
 const regenerationService = require('../services/regenerationService');
+const videoService = require('../services/videoService');
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
 
-// Middleware to check authentication
-const requireAuth = (req, res, next) => {
-  if (!req.session?.userId) {
-    return res.status(401).json({ error: 'Authentication required' });
+// UUID validation regex
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Middleware to check that the :id video belongs to the active workspace
+ * Must be used after requireAuth
+ */
+async function requireWorkspaceVideo(req, res, next) {
+  try {
+    if (!uuidRegex.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid video ID format' });
+    }
+
+    const video = await videoService.findVideoById(req.params.id);
+
+    if (!video || video.workspace_id !== req.workspace.id) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
   }
-  next();
-};
+}
 
 /**
  * POST /api/videos/:id/regenerate
  * Regenerate all analysis for a video
  */
-router.post('/videos/:id/regenerate', requireAuth, async (req, res) => {
+router.post('/videos/:id/regenerate', requireAuth, requireWriteAccess, requireWorkspaceVideo, async (req, res) => {
   try {
     const { id } = req.params;
     const { reason = 'manual' } = req.body;
-    const userId = req.session.userId;
+    const userId = req.user.id;
 
     const result = await regenerationService.regenerateAnalysis(id, userId, { reason });
 
@@ -39,7 +58,7 @@ router.post('/videos/:id/regenerate', requireAuth, async (req, res) => {
  * GET /api/videos/:id/regeneration-history
  * Get regeneration history for a video
  */
-router.get('/videos/:id/regeneration-history', requireAuth, async (req, res) => {
+router.get('/videos/:id/regeneration-history', requireAuth, requireWorkspaceVideo, async (req, res) => {
   try {
     const { id } = req.params;
     const { limit = 10 } = req.query;
@@ -60,7 +79,7 @@ router.get('/videos/:id/regeneration-history', requireAuth, async (req, res) =>
  * GET /api/videos/:id/regeneration-check
  * Check if regeneration is recommended
  */
-router.get('/videos/:id/regeneration-check', requireAuth, async (req, res) => {
+router.get('/videos/:id/regeneration-check', requireAuth, requireWorkspaceVideo, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -82,7 +101,7 @@ router.get('/videos/:id/regeneration-check', requireAuth, async (req, res) => {
  */
 router.get('/usage/stats', requireAuth, async (req, res) => {
   try {
-    const userId = req.session.userId;
+    const userId = req.user.id;
 
     const stats = await regenerationService.getUsageStats(userId);
 
@@ -0,0 +1,211 @@
+/**
+ * Research routes for questions answered across a folder, a tag or a list of videos
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
+const researchService = require('../services/researchService');
+
+// All routes require authentication; changes need the editor role
+router.use(requireAuth, requireWriteAccess);
+
+// UUID validation regex
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MAX_QUESTION_LENGTH = 2000;
+
+// Scopes that no longer exist, or never did
+const NOT_FOUND_ERRORS = ['Folder not found', 'Tag not found', 'Video not found'];
+
+/**
+ * Read and validate the question in a request body
+ * @param {object} body - Request body
+ * @returns {object} - { question } or { error }
+ */
+function readQuestion(body) {
+  const question = typeof body.question === 'string' ? body.question.trim() : '';
+
+  if (question.length === 0) {
+    return { error: 'Question is required' };
+  }
+  if (question.length > MAX_QUESTION_LENGTH) {
+    return { error: `Question must be ${MAX_QUESTION_LENGTH} characters or less` };
+  }
+  return { question };
+}
+
+/**
+ * Read and validate the scope in a request body
+ * @param {object} body - Request body
+ * @returns {object} - { scope } or { error }
+ */
+function readScope(body) {
+  const { folderId, tagId, videoIds } = body;
+  const given = [folderId, tagId, videoIds].filter(value => value !== undefined && value !== null);
+
+  if (given.length !== 1) {
+    return { error: 'Provide exactly one of folderId, tagId or videoIds' };
+  }
+
+  if (folderId !== undefined && folderId !== null) {
+    return uuidRegex.test(folderId) ? { scope: { folderId } } : { error: 'Invalid folder ID' };
+  }
+
+  if (tagId !== undefined && tagId !== null) {
+    return uuidRegex.test(tagId) ? { scope: { tagId } } : { error: 'Invalid tag ID' };
+  }
+
+  if (!Array.isArray(videoIds) || videoIds.length === 0) {
+    return { error: 'videoIds must be a non-empty array' };
+  }
+  if (videoIds.length > researchService.MAX_RESEARCH_VIDEOS) {
+    return { error: `At most ${researchService.MAX_RESEARCH_VIDEOS} videos can be searched at once` };
+  }
+  if (!videoIds.every(id => typeof id === 'string' && uuidRegex.test(id))) {
+    return { error: 'Invalid video ID' };
+  }
+  return { scope: { videoIds } };
+}
+
+/**
+ * GET /api/research
+ * List the workspace's research threads, most recently active first
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const threads = await researchService.listThreads(req.workspace.id);
+    res.json({ threads });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/research
+ * Start a research thread by asking a question across several videos
+ *
+ * Body:
+ * {
+ *   question: string (required),
+ *   folderId: string - search the videos saved in a folder and its subfolders, or
+ *   tagId: string - search the videos saved with a tag, or
+ *   videoIds: string[] - search these videos,
+ *   title: string (optional, defaults to the question)
+ * }
+ *
+ * Returns the thread with the stored question and answer; each of the answer's
+ * citations holds the video and timestamp of a source it refers to as [n]
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { question, error: questionError } = readQuestion(req.body);
+    if (questionError) {
+      return res.status(400).json({ error: questionError });
+    }
+
+    const { scope, error: scopeError } = readScope(req.body);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+
+    const title = typeof req.body.title === 'string' ? req.body.title : null;
+
+    const result = await researchService.createThread(req.workspace.id, req.user.id, { scope, question, title });
+    res.status(201).json(result);
+  } catch (error) {
+    if (NOT_FOUND_ERRORS.includes(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'There are no videos to search in this scope') {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/research/:id
+ * Get a research thread with its questions and answers
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({ error: 'Invalid thread ID' });
+    }
+
+    const thread = await researchService.getThread(id, req.workspace.id);
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Research thread not found' });
+    }
+
+    res.json({ thread });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/research/:id/messages
+ * Ask a follow-up question in a research thread
+ *
+ * Body:
+ * - question: Question text
+ */
+router.post('/:id/messages', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({ error: 'Invalid thread ID' });
+    }
+
+    const { question, error: questionError } = readQuestion(req.body);
+    if (questionError) {
+      return res.status(400).json({ error: questionError });
+    }
+
+    const thread = await researchService.findThread(id, req.workspace.id);
+
+    if (!thread) {
+      return res.status(404).json({ error: 'Research thread not found' });
+    }
+
+    const result = await researchService.ask(thread, req.user.id, question);
+    res.status(201).json(result);
+  } catch (error) {
+    if (NOT_FOUND_ERRORS.includes(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/research/:id
+ * Delete a research thread
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({ error: 'Invalid thread ID' });
+    }
+
+    const deleted = await researchService.deleteThread(id, req.workspace.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Research thread not found' });
+    }
+
+    res.json({ message: 'Research thread deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
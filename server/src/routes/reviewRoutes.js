@@ -0,0 +1,214 @@
+/**
+ * Review routes for the spaced-repetition deck of starred key points and saves
+ * Each user's deck is their own, so viewers can build and study one as well.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const reviewService = require('../services/reviewService');
+
+// All routes require authentication
+router.use(requireAuth);
+
+// UUID validation regex
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DEFAULT_DUE_LIMIT = 50;
+const MAX_DUE_LIMIT = 200;
+const MAX_POINT_LENGTH = 2000;
+
+// Sources that no longer exist, or never did
+const NOT_FOUND_ERRORS = ['Video not found', 'Section not found', 'Save not found'];
+
+/**
+ * Check the :id card ID format
+ */
+function checkCardId(req, res, next) {
+  if (!uuidRegex.test(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid card ID' });
+  }
+  next();
+}
+
+/**
+ * GET /api/review/stats
+ * Count the user's deck: cards due today, all cards and reviews done today
+ */
+router.get('/stats', async (req, res, next) => {
+  try {
+    const stats = await reviewService.getStats(req.workspace.id, req.user.id);
+    res.json(stats);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/review/due
+ * Get the cards due today, most overdue first
+ *
+ * Query params:
+ * - limit: Maximum cards to return (default 50, max 200)
+ */
+router.get('/due', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_DUE_LIMIT, MAX_DUE_LIMIT);
+
+    const [cards, stats] = await Promise.all([
+      reviewService.getDueCards(req.workspace.id, req.user.id, limit),
+      reviewService.getStats(req.workspace.id, req.user.id)
+    ]);
+
+    res.json({ cards, ...stats });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/review/cards
+ * List the user's cards
+ *
+ * Query params:
+ * - videoId: Only cards from this video
+ * - saveId: Only the card for this save
+ */
+router.get('/cards', async (req, res, next) => {
+  try {
+    const { videoId, saveId } = req.query;
+
+    if (videoId && !uuidRegex.test(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+    if (saveId && !uuidRegex.test(saveId)) {
+      return res.status(400).json({ error: 'Invalid save ID' });
+    }
+
+    const cards = await reviewService.listCards(req.workspace.id, req.user.id, { videoId, saveId });
+    res.json({ cards });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/review/cards
+ * Star a key point or a save into the deck
+ *
+ * Body, for a save:
+ * - saveId: Save to review
+ *
+ * Body, for a key point:
+ * - videoId: Video the point comes from
+ * - text: The key point
+ * - sectionId: Section it belongs to (optional)
+ * - timestamp: Where it is made, in seconds (optional)
+ * - category: insight, fact, definition, ... (optional)
+ * - context: Surrounding quote (optional)
+ * - keyPointId: Stored key point ID (optional)
+ *
+ * Starring something already in the deck returns the existing card with 200
+ */
+router.post('/cards', async (req, res, next) => {
+  try {
+    const { saveId, videoId, sectionId, keyPointId, category, context } = req.body;
+    let result;
+
+    if (saveId !== undefined) {
+      if (!uuidRegex.test(saveId)) {
+        return res.status(400).json({ error: 'Invalid save ID' });
+      }
+
+      result = await reviewService.addSave(req.workspace.id, req.user.id, saveId);
+    } else {
+      const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+      const timestamp = req.body.timestamp !== undefined && req.body.timestamp !== null
+        ? parseFloat(req.body.timestamp)
+        : null;
+
+      if (!videoId || !uuidRegex.test(videoId)) {
+        return res.status(400).json({ error: 'Provide a saveId, or a videoId and text' });
+      }
+      if (text.length === 0 || text.length > MAX_POINT_LENGTH) {
+        return res.status(400).json({ error: `text must be between 1 and ${MAX_POINT_LENGTH} characters` });
+      }
+      if (sectionId && !uuidRegex.test(sectionId)) {
+        return res.status(400).json({ error: 'Invalid section ID' });
+      }
+      if (keyPointId && !uuidRegex.test(keyPointId)) {
+        return res.status(400).json({ error: 'Invalid key point ID' });
+      }
+      if (timestamp !== null && (isNaN(timestamp) || timestamp < 0)) {
+        return res.status(400).json({ error: 'timestamp must be a positive number of seconds' });
+      }
+
+      result = await reviewService.addKeyPoint(req.workspace.id, req.user.id, {
+        videoId,
+        text,
+        sectionId,
+        timestamp,
+        category,
+        context,
+        keyPointId
+      });
+    }
+
+    res.status(result.created ? 201 : 200).json({ card: result.card });
+  } catch (error) {
+    if (NOT_FOUND_ERRORS.includes(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Save has nothing to review') {
+      return res.status(422).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/review/cards/:id/grade
+ * Grade a card and schedule its next review
+ *
+ * Body:
+ * - grade: again, hard, good or easy
+ */
+router.post('/cards/:id/grade', checkCardId, async (req, res, next) => {
+  try {
+    const { grade } = req.body;
+
+    if (!reviewService.GRADES.includes(grade)) {
+      return res.status(400).json({ error: `grade must be one of: ${reviewService.GRADES.join(', ')}` });
+    }
+
+    const card = await reviewService.gradeCard(req.params.id, req.workspace.id, req.user.id, grade);
+
+    if (!card) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+
+    res.json({ card });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/review/cards/:id
+ * Remove a card from the deck
+ */
+router.delete('/cards/:id', checkCardId, async (req, res, next) => {
+  try {
+    const removed = await reviewService.removeCard(req.params.id, req.workspace.id, req.user.id);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+
+    res.json({ message: 'Card removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -4,12 +4,12 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
 const saveService = require('../services/saveService');
 const videoService = require('../services/videoService');
 
-// All routes require authentication
-router.use(requireAuth);
+// All routes require authentication; changes need the editor role
+router.use(requireAuth, requireWriteAccess);
 
 // UUID validation regex
 const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
@@ -44,14 +44,14 @@ router.post('/', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid video ID' });
     }
 
-    // Verify video exists and belongs to user
+    // Verify video exists and belongs to the workspace
     const video = await videoService.findVideoById(videoId);
 
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied to this video' });
     }
 
@@ -95,7 +95,7 @@ router.post('/', async (req, res, next) => {
     }
 
     // Create save
-    const save = await saveService.createSave(req.user.id, {
+    const save = await saveService.createSave(req.workspace.id, req.user.id, {
       videoId,
       title,
       notes,
@@ -111,6 +111,9 @@ router.post('/', async (req, res, next) => {
       save
     });
   } catch (error) {
+    if (error.message === 'Saves cannot be added to a smart folder') {
+      return res.status(400).json({ error: error.message });
+    }
     next(error);
   }
 });
@@ -121,6 +124,7 @@ router.post('/', async (req, res, next) => {
  *
  * Query params:
  * - folder: folder ID or 'uncategorized'
+ * - include_subfolders: 'true' to also return saves from folders nested in the folder
  * - video: video ID
  * - tags: comma-separated tag IDs
  * - type: content type filter (frames, transcripts, summaries)
@@ -134,6 +138,7 @@ router.get('/', async (req, res, next) => {
   try {
     const {
       folder,
+      include_subfolders,
       video,
       tags,
       type,
@@ -175,8 +180,9 @@ router.get('/', async (req, res, next) => {
     const parsedOffset = Math.max(parseInt(offset) || 0, 0);
 
     // Get saves
-    const result = await saveService.getSaves(req.user.id, {
+    const result = await saveService.getSaves(req.workspace.id, {
       folder,
+      includeSubfolders: include_subfolders === 'true',
       video,
       tags: tagIds,
       contentType: type,
@@ -207,7 +213,7 @@ router.get('/:id', async (req, res, next) => {
     }
 
     // Get save
-    const save = await saveService.getSaveById(saveId, req.user.id);
+    const save = await saveService.getSaveById(saveId, req.workspace.id);
 
     if (!save) {
       return res.status(404).json({ error: 'Save not found' });
@@ -260,7 +266,7 @@ router.put('/:id', async (req, res, next) => {
     }
 
     // Update save
-    const save = await saveService.updateSave(saveId, req.user.id, {
+    const save = await saveService.updateSave(saveId, req.workspace.id, {
       title,
       notes,
       folders,
@@ -275,6 +281,9 @@ router.put('/:id', async (req, res, next) => {
     if (error.message === 'Save not found or access denied') {
       return res.status(404).json({ error: error.message });
     }
+    if (error.message === 'Saves cannot be added to a smart folder') {
+      return res.status(400).json({ error: error.message });
+    }
     next(error);
   }
 });
@@ -293,7 +302,7 @@ router.delete('/:id', async (req, res, next) => {
     }
 
     // Delete save
-    const deleted = await saveService.deleteSave(saveId, req.user.id);
+    const deleted = await saveService.deleteSave(saveId, req.workspace.id);
 
     if (!deleted) {
       return res.status(404).json({ error: 'Save not found' });
@@ -339,7 +348,7 @@ router.post('/:id/tags', async (req, res, next) => {
     }
 
     // Add tags to save
-    const save = await saveService.addTags(saveId, req.user.id, tagIds);
+    const save = await saveService.addTags(saveId, req.workspace.id, tagIds);
 
     res.json({
       message: 'Tags added successfully',
@@ -371,7 +380,7 @@ router.delete('/:id/tags/:tagId', async (req, res, next) => {
     }
 
     // Remove tag from save
-    const save = await saveService.removeTag(saveId, req.user.id, tagId);
+    const save = await saveService.removeTag(saveId, req.workspace.id, tagId);
 
     res.json({
       message: 'Tag removed successfully',
@@ -417,7 +426,7 @@ router.put('/:id/tags', async (req, res, next) => {
     }
 
     // Set tags for save
-    const save = await saveService.setTags(saveId, req.user.id, tagIds);
+    const save = await saveService.setTags(saveId, req.workspace.id, tagIds);
 
     res.json({
       message: 'Tags updated successfully',
@@ -504,13 +513,16 @@ router.post('/bulk', async (req, res, next) => {
     }
 
     // Perform bulk operation
-    const result = await saveService.bulkUpdateSaves(req.user.id, saveIds, action, data || {});
+    const result = await saveService.bulkUpdateSaves(req.workspace.id, saveIds, action, data || {});
 
     res.json({
       message: `Bulk ${action} operation completed successfully`,
       ...result
     });
   } catch (error) {
+    if (error.message === 'Saves cannot be added to a smart folder') {
+      return res.status(400).json({ error: error.message });
+    }
     next(error);
   }
 });
@@ -4,11 +4,15 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
 const searchService = require('../services/searchService');
+const embeddingService = require('../services/embeddingService');
+const llmService = require('../services/llmService');
 
-// All routes require authentication
-router.use(requireAuth);
+const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+
+// All routes require authentication; reindexing needs the editor role
+router.use(requireAuth, requireWriteAccess);
 
 /**
  * GET /api/search
@@ -17,14 +21,17 @@ router.use(requireAuth);
  * Query Parameters:
  * - q: Search query string (required)
  * - types: Comma-separated list of content types to search (optional)
- *          Valid values: videos, saves, transcripts, frames
+ *          Valid values: videos, saves, transcripts, frames, sections (sections need semantic or hybrid mode)
  *          Default: all types
  * - limit: Maximum results per type (optional, default: 10)
  * - offset: Offset for pagination (optional, default: 0)
+ * - mode: keyword (default), semantic or hybrid
+ *         semantic and hybrid return matched passages with timestamps; the response
+ *         reports mode=keyword when no embedding endpoint is available
  */
 router.get('/', async (req, res, next) => {
   try {
-    const { q, types, limit = 10, offset = 0 } = req.query;
+    const { q, types, limit = 10, offset = 0, mode = 'keyword' } = req.query;
 
     // Validate query parameter
     if (!q || q.trim().length === 0) {
@@ -42,17 +49,26 @@ router.get('/', async (req, res, next) => {
       });
     }
 
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: 'Invalid search mode',
+        message: `Valid modes are: ${SEARCH_MODES.join(', ')}`
+      });
+    }
+
     // Parse types parameter
-    let searchTypes = ['videos', 'saves', 'transcripts', 'frames'];
+    let searchTypes = mode === 'keyword'
+      ? ['videos', 'saves', 'transcripts', 'frames']
+      : ['videos', 'saves', 'transcripts', 'frames', 'sections'];
     if (types) {
       const requestedTypes = types.split(',').map(t => t.trim().toLowerCase());
-      const validTypes = ['videos', 'saves', 'transcripts', 'frames'];
+      const validTypes = ['videos', 'saves', 'transcripts', 'frames', 'sections'];
       searchTypes = requestedTypes.filter(t => validTypes.includes(t));
 
       if (searchTypes.length === 0) {
         return res.status(400).json({
           error: 'Invalid search types',
-          message: 'Valid types are: videos, saves, transcripts, frames'
+          message: 'Valid types are: videos, saves, transcripts, frames, sections'
         });
       }
     }
@@ -62,10 +78,12 @@ router.get('/', async (req, res, next) => {
     const parsedOffset = Math.max(parseInt(offset, 10) || 0, 0);
 
     // Execute search
-    const results = await searchService.search(req.user.id, q.trim(), {
+    const results = await searchService.search(req.workspace.id, q.trim(), {
       types: searchTypes,
       limit: parsedLimit,
-      offset: parsedOffset
+      offset: parsedOffset,
+      mode,
+      userId: req.user.id
     });
 
     res.json({
@@ -100,7 +118,7 @@ router.get('/videos', async (req, res, next) => {
     const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50);
     const parsedOffset = Math.max(parseInt(offset, 10) || 0, 0);
 
-    const results = await searchService.searchVideos(req.user.id, q.trim(), {
+    const results = await searchService.searchVideos(req.workspace.id, q.trim(), {
       limit: parsedLimit,
       offset: parsedOffset
     });
@@ -138,7 +156,7 @@ router.get('/saves', async (req, res, next) => {
     const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50);
     const parsedOffset = Math.max(parseInt(offset, 10) || 0, 0);
 
-    const results = await searchService.searchSaves(req.user.id, q.trim(), {
+    const results = await searchService.searchSaves(req.workspace.id, q.trim(), {
       limit: parsedLimit,
       offset: parsedOffset
     });
@@ -176,7 +194,7 @@ router.get('/transcripts', async (req, res, next) => {
     const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50);
     const parsedOffset = Math.max(parseInt(offset, 10) || 0, 0);
 
-    const results = await searchService.searchTranscripts(req.user.id, q.trim(), {
+    const results = await searchService.searchTranscripts(req.workspace.id, q.trim(), {
       limit: parsedLimit,
       offset: parsedOffset
     });
@@ -214,7 +232,7 @@ router.get('/frames', async (req, res, next) => {
     const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50);
     const parsedOffset = Math.max(parseInt(offset, 10) || 0, 0);
 
-    const results = await searchService.searchFrames(req.user.id, q.trim(), {
+    const results = await searchService.searchFrames(req.workspace.id, q.trim(), {
       limit: parsedLimit,
       offset: parsedOffset
     });
@@ -262,7 +280,7 @@ router.get('/suggestions', async (req, res, next) => {
     const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 5, 1), 10);
 
     // Get suggestions
-    const suggestions = await searchService.getSuggestions(req.user.id, q.trim(), {
+    const suggestions = await searchService.getSuggestions(req.workspace.id, q.trim(), {
       limit: parsedLimit
     });
 
@@ -277,4 +295,30 @@ router.get('/suggestions', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/search/reindex
+ * Queue all of the workspace's videos and saves for semantic search indexing
+ * Needed once after enabling embeddings on an existing library; new content is indexed automatically
+ */
+router.post('/reindex', async (req, res, next) => {
+  try {
+    if (!llmService.isEmbeddingAvailable()) {
+      return res.status(400).json({
+        error: 'Semantic search is not configured',
+        message: 'Set EMBEDDING_BASE_URL (or LLM_OPENAI_BASE_URL) to an embeddings endpoint'
+      });
+    }
+
+    const queued = await embeddingService.queueWorkspaceIndex(req.workspace.id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Indexing queued',
+      queued
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
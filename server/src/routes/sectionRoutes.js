@@ -4,12 +4,12 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
 const sectionService = require('../services/sectionService');
 const videoService = require('../services/videoService');
 
-// All routes require authentication
-router.use(requireAuth);
+// All routes require authentication; changes need the editor role
+router.use(requireAuth, requireWriteAccess);
 
 /**
  * PUT /api/sections/:id
@@ -33,14 +33,14 @@ router.put('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Section not found' });
     }
 
-    // Verify video belongs to user
+    // Verify video belongs to the active workspace
     const video = await videoService.findVideoById(section.video_id);
 
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -81,14 +81,14 @@ router.get('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Section not found' });
     }
 
-    // Verify video belongs to user
+    // Verify video belongs to the active workspace
     const video = await videoService.findVideoById(section.video_id);
 
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
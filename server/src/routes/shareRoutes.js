@@ -0,0 +1,244 @@
+/**
+ * Share link routes
+ * Owners create, list and revoke links under /api/shares; the public router serves
+ * shared content and its frame images under /api/public/shares/:token without authentication
+ */
+
+const express = require('express');
+const router = express.Router();
+const publicRouter = express.Router(); // Public routes (no auth required)
+const fs = require('fs').promises;
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
+const shareService = require('../services/shareService');
+
+// UUID validation regex
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Share tokens are base64url strings
+const tokenRegex = /^[A-Za-z0-9_-]{20,64}$/;
+
+// Longest expiry offered through expires_in_days
+const MAX_EXPIRY_DAYS = 365;
+
+/**
+ * PUBLIC ROUTES (no authentication required)
+ */
+
+/**
+ * Resolve the :token parameter to an active share link
+ * Unknown tokens get a 404; revoked and expired links get a 410 so the page can say why
+ */
+async function resolveToken(req, res, next) {
+  try {
+    const { token } = req.params;
+
+    if (!tokenRegex.test(token)) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    const link = await shareService.findByToken(token);
+
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    if (link.status !== 'active') {
+      return res.status(410).json({
+        error: link.status === 'revoked' ? 'This share link has been revoked' : 'This share link has expired',
+        status: link.status
+      });
+    }
+
+    req.shareLink = link;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/public/shares/:token
+ * Read-only view of the shared save, folder or video analysis; counts as a view
+ */
+publicRouter.get('/:token', resolveToken, async (req, res, next) => {
+  try {
+    const content = await shareService.getSharedContent(req.shareLink);
+
+    if (!content) {
+      return res.status(404).json({ error: 'Shared content no longer exists' });
+    }
+
+    await shareService.recordView(req.shareLink.id);
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(content);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/public/shares/:token/frames/:index
+ * Serve a frame image that belongs to the shared content, by its position in the share
+ */
+publicRouter.get('/:token/frames/:index', resolveToken, async (req, res, next) => {
+  try {
+    const { index } = req.params;
+
+    if (!/^\d{1,6}$/.test(index)) {
+      return res.status(400).json({ error: 'Invalid frame index' });
+    }
+
+    const frame = await shareService.getSharedFrame(req.shareLink, parseInt(index, 10));
+
+    if (!frame) {
+      return res.status(404).json({ error: 'Frame not found' });
+    }
+
+    try {
+      await fs.access(frame.frame_path);
+    } catch (error) {
+      return res.status(404).json({ error: 'Frame image file not found' });
+    }
+
+    // Short, private caching so a revoked link stops serving images soon after
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+
+    res.sendFile(frame.frame_path);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * AUTHENTICATED ROUTES
+ * Links belong to the current workspace; creating and revoking them needs the editor role
+ */
+router.use(requireAuth, requireWriteAccess);
+
+/**
+ * POST /api/shares
+ * Create a share link
+ *
+ * Body:
+ * - resource_type: 'save', 'folder' or 'video'
+ * - resource_id: ID of the save, folder or video
+ * - expires_in_days: Days until the link expires (optional, 1-365; omit for no expiry)
+ * - frame_ids: Frames to show on a video share (optional, default: keyframes)
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { resource_type, resource_id, expires_in_days, frame_ids } = req.body;
+
+    if (!shareService.RESOURCE_TYPES.includes(resource_type)) {
+      return res.status(400).json({ error: 'resource_type must be save, folder or video' });
+    }
+
+    if (!resource_id || !uuidRegex.test(resource_id)) {
+      return res.status(400).json({ error: 'Invalid resource ID format' });
+    }
+
+    let expiresAt = null;
+    if (expires_in_days !== undefined && expires_in_days !== null) {
+      const days = parseInt(expires_in_days);
+      if (Number.isNaN(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({ error: `expires_in_days must be between 1 and ${MAX_EXPIRY_DAYS}` });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    if (frame_ids !== undefined && frame_ids !== null) {
+      if (!Array.isArray(frame_ids) || frame_ids.length === 0 || !frame_ids.every(id => uuidRegex.test(id))) {
+        return res.status(400).json({ error: 'frame_ids must be a non-empty list of frame IDs' });
+      }
+    }
+
+    const shareLink = await shareService.createShareLink(req.workspace.id, req.user.id, {
+      resourceType: resource_type,
+      resourceId: resource_id,
+      expiresAt,
+      frameIds: frame_ids || null
+    });
+
+    res.status(201).json({
+      message: 'Share link created successfully',
+      shareLink
+    });
+  } catch (error) {
+    if (['Save not found', 'Folder not found', 'Video not found'].includes(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (
+      error.message === 'Frames can only be selected for video shares' ||
+      error.message === 'Selected frames must belong to the shared video'
+    ) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/shares
+ * List the current workspace's share links with status and view counts
+ *
+ * Query Parameters:
+ * - resource_type: Only links of this type (optional)
+ * - resource_id: Only links to this resource (optional)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { resource_type, resource_id } = req.query;
+
+    if (resource_type && !shareService.RESOURCE_TYPES.includes(resource_type)) {
+      return res.status(400).json({ error: 'resource_type must be save, folder or video' });
+    }
+
+    if (resource_id && !uuidRegex.test(resource_id)) {
+      return res.status(400).json({ error: 'Invalid resource ID format' });
+    }
+
+    const shareLinks = await shareService.getShareLinks(req.workspace.id, {
+      resourceType: resource_type,
+      resourceId: resource_id
+    });
+
+    res.json({
+      shareLinks,
+      count: shareLinks.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/shares/:id/revoke
+ * Revoke a share link; it keeps its view count and stays in the list
+ */
+router.post('/:id/revoke', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({ error: 'Invalid share link ID format' });
+    }
+
+    const shareLink = await shareService.revokeShareLink(id, req.workspace.id);
+
+    if (!shareLink) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    res.json({
+      message: 'Share link revoked successfully',
+      shareLink
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
+module.exports.publicRouter = publicRouter;
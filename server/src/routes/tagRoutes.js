@@ -4,14 +4,14 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
 const tagService = require('../services/tagService');
 
 // UUID validation regex
 const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-// All routes require authentication
-router.use(requireAuth);
+// All routes require authentication; changes need the editor role
+router.use(requireAuth, requireWriteAccess);
 
 /**
  * POST /api/tags
@@ -32,7 +32,7 @@ router.post('/', async (req, res, next) => {
     }
 
     // Create tag
-    const tag = await tagService.createTag(req.user.id, {
+    const tag = await tagService.createTag(req.workspace.id, req.user.id, {
       name,
       color
     });
@@ -51,11 +51,11 @@ router.post('/', async (req, res, next) => {
 
 /**
  * GET /api/tags
- * Get all tags for the authenticated user
+ * Get all tags in the current workspace
  */
 router.get('/', async (req, res, next) => {
   try {
-    const tags = await tagService.getAll(req.user.id);
+    const tags = await tagService.getAll(req.workspace.id);
 
     res.json({
       tags,
@@ -78,7 +78,7 @@ router.get('/search', async (req, res, next) => {
       return res.status(400).json({ error: 'Search query is required' });
     }
 
-    const tags = await tagService.search(req.user.id, q);
+    const tags = await tagService.search(req.workspace.id, q);
 
     res.json({
       tags,
@@ -102,7 +102,7 @@ router.get('/:id', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid tag ID format' });
     }
 
-    const tag = await tagService.getTagById(tagId, req.user.id);
+    const tag = await tagService.getTagById(tagId, req.workspace.id);
 
     if (!tag) {
       return res.status(404).json({ error: 'Tag not found' });
@@ -134,7 +134,7 @@ router.put('/:id', async (req, res, next) => {
     }
 
     // Update tag
-    const tag = await tagService.update(tagId, req.user.id, {
+    const tag = await tagService.update(tagId, req.workspace.id, {
       name,
       color
     });
@@ -167,7 +167,7 @@ router.delete('/:id', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid tag ID format' });
     }
 
-    const deleted = await tagService.deleteTag(tagId, req.user.id);
+    const deleted = await tagService.deleteTag(tagId, req.workspace.id);
 
     if (!deleted) {
       return res.status(404).json({ error: 'Tag not found' });
@@ -0,0 +1,105 @@
+/**
+ * Topic routes for the library-wide topic graph
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
+const topicService = require('../services/topicService');
+
+// All routes require authentication; changes need the editor role
+router.use(requireAuth, requireWriteAccess);
+
+// UUID validation regex
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DEFAULT_GRAPH_LIMIT = 100;
+const MAX_GRAPH_LIMIT = 300;
+
+/**
+ * GET /api/topics/graph
+ * Get the workspace's topics and the edges between topics covered by the same videos
+ *
+ * Query params:
+ * - limit: Most covered topics to include (default 100, max 300)
+ * - minWeight: Fewest shared videos for an edge (default 1)
+ */
+router.get('/graph', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_GRAPH_LIMIT, MAX_GRAPH_LIMIT);
+    const minWeight = Math.max(parseInt(req.query.minWeight, 10) || 1, 1);
+
+    const graph = await topicService.getGraph(req.workspace.id, { limit, minWeight });
+    res.json(graph);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/topics/rebuild
+ * Re-index the topics of every video in the workspace
+ */
+router.post('/rebuild', async (req, res, next) => {
+  try {
+    const result = await topicService.indexWorkspace(req.workspace.id);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/topics/:id
+ * Get a topic with its aliases, related topics, and the sections, videos and saves covering it
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    if (!uuidRegex.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid topic ID' });
+    }
+
+    const topic = await topicService.getTopic(req.params.id, req.workspace.id);
+
+    if (!topic) {
+      return res.status(404).json({ error: 'Topic not found' });
+    }
+
+    res.json({ topic });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/topics/:id/merge
+ * Merge other topics into this one; their names become its aliases
+ *
+ * Body:
+ * - topicIds: Topics to merge in
+ */
+router.post('/:id/merge', async (req, res, next) => {
+  try {
+    const { topicIds } = req.body;
+
+    if (!uuidRegex.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid topic ID' });
+    }
+    if (!Array.isArray(topicIds) || topicIds.length === 0 || !topicIds.every(id => uuidRegex.test(id))) {
+      return res.status(400).json({ error: 'topicIds must be a non-empty array of topic IDs' });
+    }
+
+    const topic = await topicService.mergeTopics(req.params.id, [...new Set(topicIds)], req.workspace.id);
+    res.json({ topic });
+  } catch (error) {
+    if (error.message === 'Topic not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Cannot merge a topic into itself') {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+/**
+ * Video chat routes for asking questions about a video
+ * Mounted ahead of the video routes so workspace viewers can ask questions too;
+ * a conversation belongs to the user who asks, not to the workspace.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const videoService = require('../services/videoService');
+const videoChatService = require('../services/videoChatService');
+
+// UUID validation regex
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MAX_QUESTION_LENGTH = 2000;
+
+/**
+ * Load the video in :id and check it belongs to the current workspace
+ * Sets req.video
+ */
+async function loadVideo(req, res, next) {
+  try {
+    if (!uuidRegex.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const video = await videoService.findVideoById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (video.workspace_id !== req.workspace.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    req.video = video;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/videos/:id/chat
+ * Get the current user's conversation about a video
+ */
+router.get('/:id/chat', requireAuth, loadVideo, async (req, res, next) => {
+  try {
+    const messages = await videoChatService.getMessages(req.video.id, req.user.id);
+    res.json({ messages });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/videos/:id/chat
+ * Ask a question about a video
+ *
+ * Body:
+ * - question: Question text
+ *
+ * Returns the stored question and answer; the answer's citations hold the
+ * timestamps (and frame IDs) of the sources it refers to as [n]
+ */
+router.post('/:id/chat', requireAuth, loadVideo, async (req, res, next) => {
+  try {
+    const question = typeof req.body.question === 'string' ? req.body.question.trim() : '';
+
+    if (question.length === 0) {
+      return res.status(400).json({ error: 'Question is required' });
+    }
+
+    if (question.length > MAX_QUESTION_LENGTH) {
+      return res.status(400).json({ error: `Question must be ${MAX_QUESTION_LENGTH} characters or less` });
+    }
+
+    const result = await videoChatService.ask(req.video, req.user.id, question);
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/videos/:id/chat
+ * Clear the current user's conversation about a video
+ */
+router.delete('/:id/chat', requireAuth, loadVideo, async (req, res, next) => {
+  try {
+    const deleted = await videoChatService.clearMessages(req.video.id, req.user.id);
+    res.json({ message: 'Conversation cleared', deleted });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
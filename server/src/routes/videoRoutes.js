@@ -4,7 +4,7 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireWriteAccess } = require('../middleware/auth');
 const videoService = require('../services/videoService');
 const youtubeService = require('../services/youtubeService');
 const analysisJobService = require('../services/analysisJobService');
@@ -12,10 +12,40 @@ const linkageService = require('../services/linkageService');
 const correlationService = require('../services/correlationService');
 const summaryService = require('../services/summaryService');
 const sectionDetectionService = require('../services/sectionDetectionService');
-const { extractVideoId, isValidYouTubeUrl, buildYouTubeUrl, getThumbnailUrl } = require('../utils/youtube');
+const uploadService = require('../services/uploadService');
+const importService = require('../services/importService');
+const frameExtractionService = require('../services/frameExtractionService');
+const analysisConfig = require('../config/analysisConfig');
+const { extractVideoId, isValidYouTubeUrl, buildYouTubeUrl, getThumbnailUrl, getSourceType } = require('../utils/youtube');
 
-// All routes require authentication
-router.use(requireAuth);
+// All routes require authentication; changes need the editor role
+router.use(requireAuth, requireWriteAccess);
+
+// Language codes accepted for transcript tracks and summaries (e.g. "en", "pt-BR", "zh-Hans")
+const languageCodeRegex = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/**
+ * Add computed URL fields to a video record
+ * YouTube videos get watch/thumbnail URLs; uploads get their file and thumbnail routes
+ * @param {Object} video - Video record from database
+ * @returns {Object} Video with youtube_url, thumbnail_url and video_url
+ */
+function addComputedFields(video) {
+  if (video.source_type === 'upload') {
+    const serverUrl = process.env.SERVER_URL || 'http://localhost:4051';
+    return {
+      ...video,
+      youtube_url: null,
+      video_url: `${serverUrl}/api/videos/${video.id}/file`
+    };
+  }
+
+  return {
+    ...video,
+    youtube_url: buildYouTubeUrl(video.youtube_id),
+    thumbnail_url: video.thumbnail_url || getThumbnailUrl(video.youtube_id)
+  };
+}
 
 /**
  * POST /api/videos
@@ -41,7 +71,7 @@ router.post('/', async (req, res, next) => {
     const youtubeId = extractVideoId(url);
 
     // Check if video already exists for this user
-    const existingVideo = await videoService.findVideoByYoutubeId(req.user.id, youtubeId);
+    const existingVideo = await videoService.findVideoByYoutubeId(req.workspace.id, youtubeId);
     if (existingVideo) {
       return res.status(200).json({
         message: 'Video already exists',
@@ -51,14 +81,10 @@ router.post('/', async (req, res, next) => {
     }
 
     // Create new video record
-    const video = await videoService.createVideo(req.user.id, youtubeId, url);
+    const video = await videoService.createVideo(req.workspace.id, req.user.id, youtubeId, url);
 
     // Add computed fields
-    const videoWithExtras = {
-      ...video,
-      youtube_url: buildYouTubeUrl(youtubeId),
-      thumbnail_url: video.thumbnail_url || getThumbnailUrl(youtubeId)
-    };
+    const videoWithExtras = addComputedFields(video);
 
     res.status(201).json({
       message: 'Video created successfully',
@@ -75,6 +101,149 @@ router.post('/', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/videos/upload
+ * Upload a local video file (MP4, WebM or MKV) for analysis
+ * Multipart form fields:
+ *   - video: the video file (required)
+ *   - title: video title (optional, defaults to the file name)
+ */
+router.post('/upload', (req, res, next) => {
+  uploadService.uploadMiddleware(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        if (uploadError.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({ error: 'File is too large' });
+        }
+        if (uploadError.message === 'Unsupported file type') {
+          return res.status(400).json({
+            error: 'Unsupported file type',
+            message: 'Please upload an MP4, WebM or MKV file'
+          });
+        }
+        throw uploadError;
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'Video file is required' });
+      }
+
+      const video = await uploadService.createVideoFromUpload(req.workspace.id, req.user.id, req.file, req.body.title);
+
+      res.status(201).json({
+        message: 'Video uploaded successfully',
+        video: addComputedFields(video),
+        existing: false
+      });
+
+      // Trigger async processing (don't await - runs in background)
+      uploadService.processUploadedVideo(video)
+        .then(() => console.log(`Video ${video.id} processing completed`))
+        .catch((err) => console.error(`Video ${video.id} processing failed:`, err.message));
+    } catch (error) {
+      if (error.message === 'Uploaded file is not a readable video') {
+        return res.status(400).json({ error: error.message });
+      }
+      next(error);
+    }
+  });
+});
+
+/**
+ * POST /api/videos/import
+ * Bulk import a playlist, a channel or a list of video URLs
+ * Body:
+ *   - urls: URL string (newline/space separated) or array of URLs (required)
+ *   - analyzeFrames: queue frame analysis for each new video (optional)
+ *   - maxVideos: cap on videos to import (optional, server maximum applies)
+ */
+router.post('/import', async (req, res, next) => {
+  try {
+    const { urls, analyzeFrames = false, maxVideos } = req.body;
+
+    const sourceUrls = importService.parseImportUrls(urls);
+
+    if (sourceUrls.length === 0) {
+      return res.status(400).json({ error: 'At least one YouTube URL is required' });
+    }
+
+    const invalidUrls = sourceUrls.filter(url => !getSourceType(url));
+    if (invalidUrls.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid YouTube URL',
+        message: 'Please provide YouTube video, playlist (youtube.com/playlist?list=...) or channel (youtube.com/@handle) URLs',
+        invalidUrls
+      });
+    }
+
+    const parsedMaxVideos = parseInt(maxVideos, 10);
+    if (maxVideos !== undefined && (isNaN(parsedMaxVideos) || parsedMaxVideos < 1)) {
+      return res.status(400).json({ error: 'maxVideos must be a positive number' });
+    }
+
+    const batch = await importService.createImportBatch(req.workspace.id, req.user.id, sourceUrls, {
+      analyzeFrames: Boolean(analyzeFrames),
+      maxVideos: Math.min(parsedMaxVideos || importService.IMPORT_MAX_VIDEOS, importService.IMPORT_MAX_VIDEOS)
+    });
+
+    res.status(202).json({
+      message: 'Import started',
+      batch
+    });
+
+    // Expand and process in the background (don't await)
+    importService.runImport(batch)
+      .catch((err) => console.error(`Import ${batch.id} failed:`, err.message));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/videos/imports
+ * List recent import batches for the authenticated user
+ */
+router.get('/imports', async (req, res, next) => {
+  try {
+    const batches = await importService.findImportBatchesByWorkspace(req.workspace.id);
+    res.json({ batches });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/videos/imports/:batchId
+ * Get an import batch with the videos it created
+ */
+router.get('/imports/:batchId', async (req, res, next) => {
+  try {
+    const { batchId } = req.params;
+
+    // UUID validation
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(batchId)) {
+      return res.status(400).json({ error: 'Invalid import ID' });
+    }
+
+    const batch = await importService.findImportBatchById(batchId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    if (batch.workspace_id !== req.workspace.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const videos = await importService.getImportBatchVideos(batchId);
+
+    res.json({ batch, videos });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/videos
  * Get all videos for the authenticated user
@@ -95,14 +264,10 @@ router.get('/', async (req, res, next) => {
       orderDir
     };
 
-    const result = await videoService.findVideosByUser(req.user.id, options);
+    const result = await videoService.findVideosByWorkspace(req.workspace.id, options);
 
     // Add computed fields to each video
-    const videosWithExtras = result.videos.map(video => ({
-      ...video,
-      youtube_url: buildYouTubeUrl(video.youtube_id),
-      thumbnail_url: video.thumbnail_url || getThumbnailUrl(video.youtube_id)
-    }));
+    const videosWithExtras = result.videos.map(addComputedFields);
 
     res.json({
       videos: videosWithExtras,
@@ -135,17 +300,13 @@ router.get('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    // Check if video belongs to user
-    if (video.user_id !== req.user.id) {
+    // Check if video belongs to the active workspace
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
     // Add computed fields
-    const videoWithExtras = {
-      ...video,
-      youtube_url: buildYouTubeUrl(video.youtube_id),
-      thumbnail_url: video.thumbnail_url || getThumbnailUrl(video.youtube_id)
-    };
+    const videoWithExtras = addComputedFields(video);
 
     res.json({ video: videoWithExtras });
   } catch (error) {
@@ -174,26 +335,113 @@ router.delete('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
     // Delete the video
     await videoService.deleteVideo(videoId);
 
+    // Remove the stored file for uploaded videos
+    await uploadService.deleteUploadedFiles(video);
+
     res.json({ message: 'Video deleted successfully' });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * GET /api/videos/:id/file
+ * Stream an uploaded video file (supports Range requests for seeking)
+ */
+router.get('/:id/file', async (req, res, next) => {
+  try {
+    const videoId = req.params.id;
+
+    // UUID validation
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const video = await videoService.findVideoById(videoId);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (video.workspace_id !== req.workspace.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (video.source_type !== 'upload' || !video.file_path) {
+      return res.status(404).json({ error: 'Video has no uploaded file' });
+    }
+
+    // Allow the dashboard (different port) to load the file in a <video> element
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    if (video.mime_type) {
+      res.type(video.mime_type);
+    }
+
+    res.sendFile(video.file_path, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Video file not found' });
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/videos/:id/thumbnail
+ * Serve the generated thumbnail of an uploaded video
+ */
+router.get('/:id/thumbnail', async (req, res, next) => {
+  try {
+    const videoId = req.params.id;
+
+    // UUID validation
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const video = await videoService.findVideoById(videoId);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (video.workspace_id !== req.workspace.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+
+    res.sendFile(uploadService.getThumbnailPath(video.id), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Thumbnail not found' });
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/videos/:id/transcript
  * Get video transcript
+ * Query params:
+ * - language: Track language (default: the primary track)
  */
 router.get('/:id/transcript', async (req, res, next) => {
   try {
     const videoId = req.params.id;
+    const { language } = req.query;
 
     // First, check if video exists and belongs to user
     const video = await videoService.findVideoById(videoId);
@@ -202,17 +450,19 @@ router.get('/:id/transcript', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
     // Get transcript
-    const transcript = await youtubeService.getTranscriptByVideoId(videoId);
+    const transcript = await youtubeService.getTranscriptByVideoId(videoId, language || null);
 
     if (!transcript) {
       return res.status(404).json({
         error: 'Transcript not found',
-        message: 'Transcript may still be processing or not available for this video'
+        message: language
+          ? `No ${language} transcript is stored for this video`
+          : 'Transcript may still be processing or not available for this video'
       });
     }
 
@@ -222,17 +472,172 @@ router.get('/:id/transcript', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/videos/:id/transcripts
+ * List stored transcript tracks and, for YouTube videos, the caption tracks YouTube offers
+ */
+router.get('/:id/transcripts', async (req, res, next) => {
+  try {
+    const videoId = req.params.id;
+
+    // UUID validation
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    // Check if video exists and belongs to user
+    const video = await videoService.findVideoById(videoId);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (video.workspace_id !== req.workspace.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const tracks = await youtubeService.listTranscriptTracks(videoId);
+
+    // Tracks on YouTube are informational - the stored tracks are still usable without them
+    let available = null;
+    if (video.youtube_id) {
+      try {
+        const pythonService = require('../services/pythonService');
+        available = await pythonService.listTranscripts(video.youtube_id);
+      } catch (error) {
+        console.error(`Failed to list caption tracks for ${video.youtube_id}:`, error.message);
+      }
+    }
+
+    res.json({ tracks, available });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/videos/:id/transcripts
+ * Fetch and store another transcript language
+ * Body:
+ * - language: Language code of the track
+ * - translate: Machine-translate the primary track instead of fetching a native track (default: false)
+ */
+router.post('/:id/transcripts', async (req, res, next) => {
+  try {
+    const videoId = req.params.id;
+    const { language, translate = false } = req.body;
+
+    // UUID validation
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    if (!language || !languageCodeRegex.test(language)) {
+      return res.status(400).json({ error: 'A valid language code is required' });
+    }
+
+    // Check if video exists and belongs to user
+    const video = await videoService.findVideoById(videoId);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (video.workspace_id !== req.workspace.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!video.youtube_id) {
+      return res.status(400).json({
+        error: 'Not a YouTube video',
+        message: 'Additional caption tracks can only be fetched for YouTube videos'
+      });
+    }
+
+    let transcript;
+    try {
+      transcript = await youtubeService.fetchAndStoreTranscriptTrack(video, language, {
+        translate: Boolean(translate)
+      });
+    } catch (error) {
+      return res.status(422).json({
+        error: 'Transcript track unavailable',
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      message: 'Transcript track added',
+      transcript
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/videos/:id/transcribe
+ * Transcribe the video's audio locally (for videos without captions)
+ */
+router.post('/:id/transcribe', async (req, res, next) => {
+  try {
+    const videoId = req.params.id;
+    const { language } = req.body;
+
+    // UUID validation
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    // Check if video exists and belongs to user
+    const video = await videoService.findVideoById(videoId);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (video.workspace_id !== req.workspace.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const asrService = require('../services/asrService');
+    if (!asrService.isAsrAvailable()) {
+      return res.status(503).json({
+        error: 'Transcription unavailable',
+        message: 'Local speech-to-text is not configured on this server'
+      });
+    }
+
+    const job = await analysisJobService.queueTranscription(video, { language });
+    await videoService.updateVideoStatus(videoId, 'transcription_queued');
+
+    res.status(202).json({
+      message: 'Transcription started',
+      job
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/videos/:id/transcript/search
  * Search within video transcript
+ * Query params:
+ * - q: Search query (optional when speaker is given)
+ * - language: Track language (default: the primary track)
+ * - speaker: Only segments by this speaker key, e.g. "S2"
  */
 router.get('/:id/transcript/search', async (req, res, next) => {
   try {
     const videoId = req.params.id;
-    const { q } = req.query;
+    const { q = '', language, speaker } = req.query;
 
-    if (!q || q.trim().length === 0) {
-      return res.status(400).json({ error: 'Search query is required' });
+    if (q.trim().length === 0 && !speaker) {
+      return res.status(400).json({ error: 'Search query or speaker is required' });
     }
 
     // First, check if video exists and belongs to user
@@ -242,15 +647,19 @@ router.get('/:id/transcript/search', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
     // Search transcript
-    const matches = await youtubeService.searchTranscript(videoId, q.trim());
+    const matches = await youtubeService.searchTranscript(videoId, q.trim(), {
+      language: language || null,
+      speaker: speaker || null
+    });
 
     res.json({
       query: q,
+      speaker: speaker || null,
       matches,
       count: matches.length
     });
@@ -259,6 +668,140 @@ router.get('/:id/transcript/search', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/videos/:id/diarize
+ * Detect speakers and label transcript segments
+ * Body:
+ * - numSpeakers: Known number of speakers (optional, detected automatically when omitted)
+ */
+router.post('/:id/diarize', async (req, res, next) => {
+  try {
+    const videoId = req.params.id;
+    const { numSpeakers } = req.body;
+
+    // UUID validation
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    if (numSpeakers !== undefined && numSpeakers !== null &&
+        (!Number.isInteger(numSpeakers) || numSpeakers < 1 || numSpeakers > 10)) {
+      return res.status(400).json({ error: 'numSpeakers must be an integer between 1 and 10' });
+    }
+
+    // Check if video exists and belongs to user
+    const video = await videoService.findVideoById(videoId);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (video.workspace_id !== req.workspace.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const transcript = await youtubeService.getTranscriptByVideoId(videoId);
+    if (!transcript || !Array.isArray(transcript.segments) || transcript.segments.length === 0) {
+      return res.status(400).json({
+        error: 'No transcript available',
+        message: 'Speakers can only be detected once the video has a timestamped transcript'
+      });
+    }
+
+    const job = await analysisJobService.queueDiarization(video, { numSpeakers: numSpeakers || null });
+
+    res.status(202).json({
+      message: 'Speaker detection started',
+      job
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/videos/:id/speakers
+ * List detected speakers with their names and talk time
+ */
+router.get('/:id/speakers', async (req, res, next) => {
+  try {
+    const videoId = req.params.id;
+
+    // UUID validation
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    // Check if video exists and belongs to user
+    const video = await videoService.findVideoById(videoId);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (video.workspace_id !== req.workspace.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const diarizationService = require('../services/diarizationService');
+    const speakers = await diarizationService.getSpeakers(videoId);
+
+    res.json({ speakers });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/videos/:id/speakers/:speakerKey
+ * Rename a speaker for this video
+ * Body:
+ * - name: New name (empty to restore the default "Speaker N" label)
+ */
+router.patch('/:id/speakers/:speakerKey', async (req, res, next) => {
+  try {
+    const { id: videoId, speakerKey } = req.params;
+    const { name } = req.body;
+
+    // UUID validation
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > 100)) {
+      return res.status(400).json({ error: 'Speaker name must be a string of at most 100 characters' });
+    }
+
+    // Check if video exists and belongs to user
+    const video = await videoService.findVideoById(videoId);
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (video.workspace_id !== req.workspace.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const diarizationService = require('../services/diarizationService');
+    const speaker = await diarizationService.renameSpeaker(videoId, speakerKey, name);
+
+    if (!speaker) {
+      return res.status(404).json({ error: 'Speaker not found' });
+    }
+
+    res.json({
+      message: 'Speaker renamed',
+      speaker
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/videos/:id/status
  * Get video analysis status
@@ -273,7 +816,7 @@ router.get('/:id/status', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -336,7 +879,7 @@ router.get('/:id/jobs', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -378,7 +921,7 @@ router.get('/:id/jobs/:jobId', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -423,7 +966,7 @@ router.post('/:id/jobs/:jobId/cancel', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -478,7 +1021,7 @@ router.post('/:id/jobs/:jobId/retry', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -509,13 +1052,19 @@ router.post('/:id/jobs/:jobId/retry', async (req, res, next) => {
 /**
  * POST /api/videos/:id/analyze-frames
  * Start complete frame analysis pipeline (extract, OCR, vision analysis)
+ * Body: extractionMode ('interval' | 'scene'), frameInterval, sceneThreshold, minGap,
+ * maxFrames, maxHashDistance, ocrEnabled, visionEnabled, visionSampleRate
  */
 router.post('/:id/analyze-frames', async (req, res, next) => {
   try {
     const videoId = req.params.id;
     const {
+      extractionMode = analysisConfig.pipeline.defaultOptions.extractionMode,
       frameInterval,
+      sceneThreshold,
+      minGap,
       maxFrames,
+      maxHashDistance,
       ocrEnabled,
       visionEnabled,
       visionSampleRate
@@ -527,6 +1076,16 @@ router.post('/:id/analyze-frames', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid video ID' });
     }
 
+    const optionsError = frameExtractionService.validateExtractionOptions({
+      mode: extractionMode,
+      sceneThreshold,
+      minGap,
+      maxHashDistance
+    });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
     // Check if video exists and belongs to user
     const video = await videoService.findVideoById(videoId);
 
@@ -534,14 +1093,29 @@ router.post('/:id/analyze-frames', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Create analysis job
-    const job = await analysisJobService.createJob(videoId, 'frame-analysis-pipeline', {
+    // Scene settings are resolved here so the job metadata records what was used
+    const sceneOptions = extractionMode === 'scene'
+      ? {
+        sceneThreshold: sceneThreshold != null
+          ? Number(sceneThreshold)
+          : analysisConfig.frameExtraction.scene.threshold,
+        minGap: minGap != null ? Number(minGap) : analysisConfig.frameExtraction.scene.minGap
+      }
+      : {};
+
+    // Queue analysis pipeline job
+    const job = await analysisJobService.queueFrameAnalysisPipeline(video, {
+      extractionMode,
       frameInterval,
+      ...sceneOptions,
       maxFrames,
+      maxHashDistance: maxHashDistance != null
+        ? Number(maxHashDistance)
+        : analysisConfig.deduplication.maxHashDistance,
       ocrEnabled,
       visionEnabled,
       visionSampleRate
@@ -577,7 +1151,7 @@ router.get('/:id/analysis-status', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -636,7 +1210,7 @@ router.get('/:id/segments/:start/:end/frames', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -688,7 +1262,7 @@ router.get('/:id/frames/at/:timestamp', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -733,7 +1307,7 @@ router.post('/:id/correlate', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -781,7 +1355,7 @@ router.get('/:id/correlations', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -832,7 +1406,7 @@ router.get('/:id/correlations/by-time/:timestamp', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -875,7 +1449,7 @@ router.get('/:id/sections', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -913,7 +1487,7 @@ router.post('/:id/detect-sections', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -956,7 +1530,7 @@ router.get('/:id/sections/:sectionId', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -1001,7 +1575,7 @@ router.put('/:id/sections/:sectionId', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -1054,7 +1628,7 @@ router.get('/:id/full-summary', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -1080,6 +1654,7 @@ router.get('/:id/full-summary', async (req, res, next) => {
       estimated_value: summary.estimated_value,
       recommended_for: summary.recommended_for,
       prerequisites: summary.prerequisites,
+      language: summary.language,
       created_at: summary.created_at,
       updated_at: summary.updated_at
     };
@@ -1094,7 +1669,7 @@ router.get('/:id/full-summary', async (req, res, next) => {
         duration: video.duration,
         duration_formatted: summaryService.formatDuration(video.duration),
         thumbnail_url: video.thumbnail_url,
-        youtube_url: buildYouTubeUrl(video.youtube_id)
+        youtube_url: video.youtube_id ? buildYouTubeUrl(video.youtube_id) : null
       }
     };
 
@@ -1107,10 +1682,13 @@ router.get('/:id/full-summary', async (req, res, next) => {
 /**
  * POST /api/videos/:id/generate-full-summary
  * Trigger full video summary generation
+ * Body:
+ * - language: Language code to write the summary in (optional)
  */
 router.post('/:id/generate-full-summary', async (req, res, next) => {
   try {
     const videoId = req.params.id;
+    const { language } = req.body;
 
     // UUID validation
     const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
@@ -1118,6 +1696,10 @@ router.post('/:id/generate-full-summary', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid video ID' });
     }
 
+    if (language && !languageCodeRegex.test(language)) {
+      return res.status(400).json({ error: 'Invalid language code' });
+    }
+
     // Check if video exists and belongs to user
     const video = await videoService.findVideoById(videoId);
 
@@ -1125,7 +1707,7 @@ router.post('/:id/generate-full-summary', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -1139,7 +1721,7 @@ router.post('/:id/generate-full-summary', async (req, res, next) => {
 
     // Generate summary
     console.log(`Generating full summary for video ${videoId}...`);
-    const summary = await summaryService.generateEnhancedVideoSummary(videoId);
+    const summary = await summaryService.generateEnhancedVideoSummary(videoId, { language: language || null });
 
     // Parse JSONB fields for response
     const summaryData = {
@@ -1153,6 +1735,7 @@ router.post('/:id/generate-full-summary', async (req, res, next) => {
       estimated_value: summary.estimated_value,
       recommended_for: summary.recommended_for,
       prerequisites: summary.prerequisites,
+      language: summary.language,
       created_at: summary.created_at,
       updated_at: summary.updated_at
     };
@@ -1174,10 +1757,13 @@ router.post('/:id/generate-full-summary', async (req, res, next) => {
 /**
  * POST /api/videos/:id/generate-summaries
  * Generate AI-powered summaries for video sections and full video
+ * Body:
+ * - language: Language code to write the summaries in (optional)
  */
 router.post('/:id/generate-summaries', async (req, res, next) => {
   try {
     const videoId = req.params.id;
+    const { language } = req.body;
 
     // UUID validation
     const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
@@ -1185,6 +1771,10 @@ router.post('/:id/generate-summaries', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid video ID' });
     }
 
+    if (language && !languageCodeRegex.test(language)) {
+      return res.status(400).json({ error: 'Invalid language code' });
+    }
+
     // Check if video exists and belongs to user
     const video = await videoService.findVideoById(videoId);
 
@@ -1192,7 +1782,7 @@ router.post('/:id/generate-summaries', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -1205,7 +1795,9 @@ router.post('/:id/generate-summaries', async (req, res, next) => {
 
     // Step 1: Generate section summaries
     console.log(`Starting section summary generation for video: ${videoId}`);
-    const sectionResult = await summaryService.generateAllSectionSummaries(videoId, progressCallback);
+    const sectionResult = await summaryService.generateAllSectionSummaries(videoId, progressCallback, {
+      language: language || null
+    });
 
     if (!sectionResult.success) {
       return res.status(400).json({
@@ -1224,7 +1816,7 @@ router.post('/:id/generate-summaries', async (req, res, next) => {
     if (sectionResult.processed > 0) {
       console.log(`Generating full video summary for video: ${videoId}`);
       try {
-        videoSummaryResult = await summaryService.generateFullVideoSummary(videoId);
+        videoSummaryResult = await summaryService.generateFullVideoSummary(videoId, { language: language || null });
       } catch (error) {
         console.error('Failed to generate full video summary:', error.message);
         // Continue anyway - section summaries were successful
@@ -1274,7 +1866,7 @@ router.get('/:id/key-points', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -1313,7 +1905,7 @@ router.post('/:id/extract-key-points', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -1368,7 +1960,7 @@ router.get('/:id/comprehensive-analysis', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -1419,7 +2011,7 @@ router.post('/:id/generate-comprehensive-analysis', async (req, res, next) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    if (video.user_id !== req.user.id) {
+    if (video.workspace_id !== req.workspace.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
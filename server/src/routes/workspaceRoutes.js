@@ -0,0 +1,320 @@
+/**
+ * Workspace routes for switching workspaces and managing members
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const workspaceService = require('../services/workspaceService');
+const socketService = require('../services/socketService');
+
+// UUID validation regex
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// All routes require authentication
+router.use(requireAuth);
+
+/**
+ * Load the user's membership of the :id workspace and check their role
+ * Sends the error response itself and returns null when the check fails
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} [minRole] - Required role (default: any member)
+ * @returns {Promise<object|null>} - Workspace with the user's role
+ */
+async function loadMembership(req, res, minRole = 'viewer') {
+  if (!uuidRegex.test(req.params.id)) {
+    res.status(400).json({ error: 'Invalid workspace ID format' });
+    return null;
+  }
+
+  const workspace = await workspaceService.getMembership(req.params.id, req.user.id);
+
+  if (!workspace) {
+    res.status(404).json({ error: 'Workspace not found' });
+    return null;
+  }
+
+  if (!workspaceService.hasRole(workspace.role, minRole)) {
+    res.status(403).json({ error: `This action requires the ${minRole} role in this workspace` });
+    return null;
+  }
+
+  return workspace;
+}
+
+/**
+ * Send a 400 for workspace errors caused by the request
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by workspaceService
+ * @returns {boolean} - True if a response was sent
+ */
+function sendWorkspaceValidationError(res, error) {
+  if ([
+    'Invalid role',
+    'Personal workspaces cannot be deleted',
+    'Members cannot be added to a personal workspace',
+    'A workspace needs at least one owner',
+    'You cannot leave your personal workspace'
+  ].includes(error.message)) {
+    res.status(400).json({ error: error.message });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * GET /api/workspaces
+ * List the user's workspaces and the active one
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const workspaces = await workspaceService.getWorkspacesForUser(req.user.id);
+
+    res.json({
+      workspaces,
+      current: req.workspace
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/workspaces
+ * Create a shared workspace; the creator becomes its owner
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Workspace name is required' });
+    }
+
+    if (name.length > 255) {
+      return res.status(400).json({ error: 'Workspace name must be 255 characters or less' });
+    }
+
+    const workspace = await workspaceService.createWorkspace(req.user.id, name);
+    socketService.joinWorkspace(req.user.id, workspace.id);
+
+    res.status(201).json({
+      message: 'Workspace created successfully',
+      workspace
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/workspaces/:id/switch
+ * Make a workspace the active one for this session
+ */
+router.post('/:id/switch', async (req, res, next) => {
+  try {
+    const workspace = await loadMembership(req, res);
+    if (!workspace) return;
+
+    req.session.workspaceId = workspace.id;
+
+    res.json({
+      workspace: {
+        id: workspace.id,
+        name: workspace.name,
+        is_personal: workspace.is_personal,
+        role: workspace.role
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/workspaces/:id
+ * Rename a workspace (owners only)
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Workspace name is required' });
+    }
+
+    if (name.length > 255) {
+      return res.status(400).json({ error: 'Workspace name must be 255 characters or less' });
+    }
+
+    const membership = await loadMembership(req, res, 'owner');
+    if (!membership) return;
+
+    const workspace = await workspaceService.renameWorkspace(membership.id, name);
+
+    res.json({
+      message: 'Workspace updated successfully',
+      workspace
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:id
+ * Delete a shared workspace with all of its videos, folders, tags and saves (owners only)
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const membership = await loadMembership(req, res, 'owner');
+    if (!membership) return;
+
+    await workspaceService.deleteWorkspace(membership.id);
+    socketService.leaveWorkspace(null, membership.id);
+
+    if (req.session.workspaceId === membership.id) {
+      delete req.session.workspaceId;
+    }
+
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    if (sendWorkspaceValidationError(res, error)) {
+      return;
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/workspaces/:id/members
+ * List the members of a workspace
+ */
+router.get('/:id/members', async (req, res, next) => {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const members = await workspaceService.getMembers(membership.id);
+
+    res.json({
+      members,
+      count: members.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/workspaces/:id/members
+ * Add an existing user by email (owners only)
+ *
+ * Body:
+ * - email: Email address of the user's account
+ * - role: 'owner', 'editor' or 'viewer' (default: 'viewer')
+ */
+router.post('/:id/members', async (req, res, next) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+
+    if (!email || email.trim().length === 0) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const membership = await loadMembership(req, res, 'owner');
+    if (!membership) return;
+
+    const member = await workspaceService.addMember(membership.id, email, role);
+    socketService.joinWorkspace(member.id, membership.id);
+
+    res.status(201).json({
+      message: 'Member added successfully',
+      member
+    });
+  } catch (error) {
+    if (sendWorkspaceValidationError(res, error)) {
+      return;
+    }
+    if (error.message === 'User not found') {
+      return res.status(404).json({ error: 'No account uses this email address' });
+    }
+    if (error.message === 'User is already a member') {
+      return res.status(409).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/workspaces/:id/members/:userId
+ * Change a member's role (owners only)
+ */
+router.put('/:id/members/:userId', async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!uuidRegex.test(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID format' });
+    }
+
+    const membership = await loadMembership(req, res, 'owner');
+    if (!membership) return;
+
+    const member = await workspaceService.updateMemberRole(membership.id, userId, req.body.role);
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    res.json({
+      message: 'Member updated successfully',
+      member
+    });
+  } catch (error) {
+    if (sendWorkspaceValidationError(res, error)) {
+      return;
+    }
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:id/members/:userId
+ * Remove a member (owners only); any member may remove themselves to leave
+ */
+router.delete('/:id/members/:userId', async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (!uuidRegex.test(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID format' });
+    }
+
+    const isLeaving = userId === req.user.id;
+    const membership = await loadMembership(req, res, isLeaving ? 'viewer' : 'owner');
+    if (!membership) return;
+
+    const removed = await workspaceService.removeMember(membership.id, userId);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    socketService.leaveWorkspace(userId, membership.id);
+
+    if (isLeaving && req.session.workspaceId === membership.id) {
+      delete req.session.workspaceId;
+    }
+
+    res.json({ message: isLeaving ? 'You left the workspace' : 'Member removed successfully' });
+  } catch (error) {
+    if (sendWorkspaceValidationError(res, error)) {
+      return;
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+/**
+ * Account service for email verification and password reset
+ * Both flows mail the user a link carrying a single-use token. Only the token's SHA-256 digest
+ * is stored, and redeeming it marks it used in the same statement that checks it.
+ */
+
+const crypto = require('crypto');
+const pool = require('./db');
+const authService = require('./authService');
+const mailService = require('./mailService');
+const { hashToken } = require('./apiTokenService');
+
+const TOKEN_LIFETIMES_MS = {
+  email_verification: 48 * 60 * 60 * 1000,
+  password_reset: 60 * 60 * 1000
+};
+
+/**
+ * Issue a token, retiring any unused token the user already has for the same purpose
+ * @param {string} userId - User ID
+ * @param {string} purpose - 'email_verification' or 'password_reset'
+ * @returns {Promise<string>} - Plain token to put in the emailed link
+ */
+async function createToken(userId, purpose) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await pool.query(
+    `UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+
+  await pool.query(
+    `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [userId, purpose, hashToken(token), new Date(Date.now() + TOKEN_LIFETIMES_MS[purpose])]
+  );
+
+  return token;
+}
+
+/**
+ * Redeem a token
+ * @param {string} token - Plain token from the link
+ * @param {string} purpose - Purpose the token must have been issued for
+ * @returns {Promise<string|null>} - User ID, or null if the token is unknown, used or expired
+ */
+async function consumeToken(token, purpose) {
+  const result = await pool.query(
+    `UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows[0]?.user_id || null;
+}
+
+/**
+ * Email a user a link to verify their address
+ * @param {object} user - User record with id, email and first_name
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user) {
+  const token = await createToken(user.id, 'email_verification');
+  const link = mailService.buildAppUrl('/verify-email', { token });
+
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.first_name || 'there'},`,
+      '',
+      'Please confirm this is your email address by opening the link below:',
+      link,
+      '',
+      'The link expires in 48 hours. If you did not create an account, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+/**
+ * Verify a user's email address with a token from sendVerificationEmail
+ * @param {string} token - Token from the link
+ * @returns {Promise<boolean>} - False if the token is invalid, used or expired
+ */
+async function verifyEmail(token) {
+  const userId = await consumeToken(token, 'email_verification');
+  if (!userId) {
+    return false;
+  }
+
+  await authService.markEmailVerified(userId);
+  return true;
+}
+
+/**
+ * Email a password reset link if an account uses the address
+ * Unknown addresses are ignored so callers cannot probe which emails are registered.
+ * @param {string} email - Email address entered on the forgot-password page
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email) {
+  const user = await authService.findUserByEmail(email);
+  if (!user || user.status !== 'active') {
+    return;
+  }
+
+  const token = await createToken(user.id, 'password_reset');
+  const link = mailService.buildAppUrl('/reset-password', { token });
+
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.first_name || 'there'},`,
+      '',
+      'Someone asked to reset the password of your account. Choose a new password here:',
+      link,
+      '',
+      'The link expires in 1 hour and works once. If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+/**
+ * Set a new password with a token from requestPasswordReset and sign out every session
+ * A successful reset also verifies the email address, since the user proved they receive its mail.
+ * @param {string} token - Token from the link
+ * @param {string} newPassword - New password
+ * @returns {Promise<boolean>} - False if the token is invalid, used or expired
+ */
+async function resetPassword(token, newPassword) {
+  const userId = await consumeToken(token, 'password_reset');
+  if (!userId) {
+    return false;
+  }
+
+  await authService.updatePassword(userId, newPassword);
+  await authService.markEmailVerified(userId);
+  return true;
+}
+
+module.exports = {
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword
+};
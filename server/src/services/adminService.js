@@ -0,0 +1,315 @@
+/**
+ * Admin service
+ * Instance-wide views for administrators: user accounts, background queues,
+ * AI usage per user and disk space taken by extracted frames.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const pool = require('./db');
+const authService = require('./authService');
+const { queues } = require('../jobs/queue');
+const { FRAMES_BASE_DIR } = require('./frameExtractionService');
+
+// Account states an admin can set
+const USER_STATUSES = ['active', 'suspended'];
+
+// Bull job states that can be listed
+const JOB_STATES = ['waiting', 'active', 'delayed', 'failed', 'completed'];
+
+/**
+ * List users, newest first
+ * @param {object} options
+ * @param {string} options.search - Matches email, first or last name (optional)
+ * @param {string} options.status - Only users with this status (optional)
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Rows to skip
+ * @returns {Promise<object>} - { users, total }
+ */
+async function listUsers({ search, status, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const values = [];
+
+  if (search) {
+    values.push(`%${search}%`);
+    conditions.push(`(u.email ILIKE $${values.length} OR u.first_name ILIKE $${values.length} OR u.last_name ILIKE $${values.length})`);
+  }
+
+  if (status) {
+    values.push(status);
+    conditions.push(`u.status = $${values.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM users u ${where}`, values);
+
+  const result = await pool.query(
+    `SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.status,
+            u.email_verified, u.last_login_at, u.created_at,
+            (SELECT COUNT(*)::int FROM videos v WHERE v.user_id = u.id) AS video_count
+     FROM users u
+     ${where}
+     ORDER BY u.created_at DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, offset]
+  );
+
+  return { users: result.rows, total: countResult.rows[0].total };
+}
+
+/**
+ * Suspend or reactivate a user
+ * Suspending also ends the user's sessions; requireAuth already refuses inactive accounts,
+ * so this only stops stale sessions from lingering in the store.
+ * @param {string} userId - User ID
+ * @param {string} status - 'active' or 'suspended'
+ * @returns {Promise<object|null>} - Updated user, or null if not found
+ */
+async function setUserStatus(userId, status) {
+  const result = await pool.query(
+    `UPDATE users SET status = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING id, email, first_name, last_name, role, status, email_verified, last_login_at, created_at`,
+    [userId, status]
+  );
+
+  const user = result.rows[0] || null;
+
+  if (user && status === 'suspended') {
+    await authService.invalidateSessions(userId);
+  }
+
+  return user;
+}
+
+/**
+ * Get a queue by the name used in getQueueHealth
+ * @param {string} name - e.g. 'frameExtraction'
+ * @returns {object} - Bull queue
+ */
+function getQueue(name) {
+  if (!Object.prototype.hasOwnProperty.call(queues, name)) {
+    throw new Error('Unknown queue');
+  }
+  return queues[name];
+}
+
+/**
+ * Summarise a Bull job for the admin console
+ */
+function formatJob(job, state) {
+  return {
+    id: job.id,
+    name: job.name,
+    state,
+    data: job.data,
+    progress: job.progress(),
+    attempts_made: job.attemptsMade,
+    failed_reason: job.failedReason || null,
+    created_at: new Date(job.timestamp),
+    processed_at: job.processedOn ? new Date(job.processedOn) : null,
+    finished_at: job.finishedOn ? new Date(job.finishedOn) : null
+  };
+}
+
+/**
+ * List jobs of a queue in one state, newest first
+ * @param {string} queueName - Queue name
+ * @param {string} state - One of JOB_STATES
+ * @param {number} limit - Maximum jobs to return
+ * @returns {Promise<Array<object>>}
+ */
+async function getJobs(queueName, state, limit = 50) {
+  const queue = getQueue(queueName);
+  const jobs = await queue.getJobs([state], 0, limit - 1, false);
+
+  return jobs.filter(Boolean).map(job => formatJob(job, state));
+}
+
+/**
+ * Retry a failed job
+ * @param {string} queueName - Queue name
+ * @param {string} jobId - Bull job ID
+ * @returns {Promise<boolean>} - False if the job does not exist
+ */
+async function retryJob(queueName, jobId) {
+  const job = await getQueue(queueName).getJob(jobId);
+  if (!job) {
+    return false;
+  }
+
+  if (!(await job.isFailed())) {
+    throw new Error('Only failed jobs can be retried');
+  }
+
+  await job.retry();
+  return true;
+}
+
+/**
+ * Remove a job that is not currently running
+ * @param {string} queueName - Queue name
+ * @param {string} jobId - Bull job ID
+ * @returns {Promise<boolean>} - False if the job does not exist
+ */
+async function removeJob(queueName, jobId) {
+  const job = await getQueue(queueName).getJob(jobId);
+  if (!job) {
+    return false;
+  }
+
+  if (await job.isActive()) {
+    throw new Error('Active jobs cannot be removed');
+  }
+
+  await job.remove();
+  return true;
+}
+
+/**
+ * Usage totals per user: regenerations and tokens from usage_tracking and
+ * analysis_regenerations over all time, and LLM calls over the last `days` days
+ * @param {object} options
+ * @param {number} options.days - Window for LLM usage (default 30)
+ * @returns {Promise<Array<object>>} - One row per user with any usage, heaviest first
+ */
+async function getUsageByUser({ days = 30 } = {}) {
+  const result = await pool.query(
+    `WITH tracked AS (
+       SELECT user_id,
+              SUM(total_regenerations)::int AS tracked_regenerations,
+              SUM(total_tokens)::int AS tracked_tokens,
+              SUM(total_credits) AS tracked_credits
+       FROM usage_tracking
+       GROUP BY user_id
+     ),
+     regenerations AS (
+       SELECT user_id,
+              COUNT(*)::int AS regenerations,
+              COUNT(*) FILTER (WHERE status = 'failed')::int AS failed_regenerations,
+              COALESCE(SUM(tokens_used), 0)::int AS regeneration_tokens,
+              MAX(triggered_at) AS last_regeneration_at
+       FROM analysis_regenerations
+       GROUP BY user_id
+     ),
+     llm AS (
+       SELECT user_id,
+              COUNT(*)::int AS llm_requests,
+              COALESCE(SUM(input_tokens), 0)::int AS llm_input_tokens,
+              COALESCE(SUM(output_tokens), 0)::int AS llm_output_tokens
+       FROM llm_usage
+       WHERE user_id IS NOT NULL AND created_at > NOW() - ($1 || ' days')::interval
+       GROUP BY user_id
+     )
+     SELECT u.id AS user_id, u.email, u.first_name, u.last_name,
+            COALESCE(t.tracked_regenerations, 0) AS tracked_regenerations,
+            COALESCE(t.tracked_tokens, 0) AS tracked_tokens,
+            COALESCE(t.tracked_credits, 0) AS tracked_credits,
+            COALESCE(r.regenerations, 0) AS regenerations,
+            COALESCE(r.failed_regenerations, 0) AS failed_regenerations,
+            COALESCE(r.regeneration_tokens, 0) AS regeneration_tokens,
+            r.last_regeneration_at,
+            COALESCE(l.llm_requests, 0) AS llm_requests,
+            COALESCE(l.llm_input_tokens, 0) AS llm_input_tokens,
+            COALESCE(l.llm_output_tokens, 0) AS llm_output_tokens
+     FROM users u
+     LEFT JOIN tracked t ON t.user_id = u.id
+     LEFT JOIN regenerations r ON r.user_id = u.id
+     LEFT JOIN llm l ON l.user_id = u.id
+     WHERE t.user_id IS NOT NULL OR r.user_id IS NOT NULL OR l.user_id IS NOT NULL
+     ORDER BY COALESCE(l.llm_input_tokens, 0) + COALESCE(l.llm_output_tokens, 0)
+              + COALESCE(r.regeneration_tokens, 0) DESC`,
+    [String(days)]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Total size of the files below a directory
+ * @param {string} dir - Directory path
+ * @returns {Promise<object>} - { bytes, files }
+ */
+async function getDirectorySize(dir) {
+  let bytes = 0;
+  let files = 0;
+
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const sub = await getDirectorySize(entryPath);
+      bytes += sub.bytes;
+      files += sub.files;
+    } else if (entry.isFile()) {
+      bytes += (await fs.stat(entryPath)).size;
+      files += 1;
+    }
+  }
+
+  return { bytes, files };
+}
+
+/**
+ * Disk usage of the frames directory, per video, largest first
+ * Directories without a matching video row (left behind by deleted videos) are included
+ * with a null title so they can be spotted.
+ * @returns {Promise<object>} - { total_bytes, total_files, videos: [{ video_id, title, owner_email, bytes, files }] }
+ */
+async function getFrameDiskUsage() {
+  let entries;
+  try {
+    entries = await fs.readdir(FRAMES_BASE_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { total_bytes: 0, total_files: 0, videos: [] };
+    }
+    throw error;
+  }
+
+  const usage = [];
+  for (const entry of entries.filter(e => e.isDirectory())) {
+    const { bytes, files } = await getDirectorySize(path.join(FRAMES_BASE_DIR, entry.name));
+    usage.push({ video_id: entry.name, bytes, files });
+  }
+
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  const videoIds = usage.map(item => item.video_id).filter(id => uuidRegex.test(id));
+
+  const videos = new Map();
+  if (videoIds.length > 0) {
+    const result = await pool.query(
+      `SELECT v.id, v.title, u.email AS owner_email
+       FROM videos v
+       LEFT JOIN users u ON u.id = v.user_id
+       WHERE v.id = ANY($1::uuid[])`,
+      [videoIds]
+    );
+    result.rows.forEach(row => videos.set(row.id, row));
+  }
+
+  usage.sort((a, b) => b.bytes - a.bytes);
+
+  return {
+    total_bytes: usage.reduce((sum, item) => sum + item.bytes, 0),
+    total_files: usage.reduce((sum, item) => sum + item.files, 0),
+    videos: usage.map(item => ({
+      ...item,
+      title: videos.get(item.video_id)?.title || null,
+      owner_email: videos.get(item.video_id)?.owner_email || null
+    }))
+  };
+}
+
+module.exports = {
+  USER_STATUSES,
+  JOB_STATES,
+  listUsers,
+  setUserStatus,
+  getJobs,
+  retryJob,
+  removeJob,
+  getUsageByUser,
+  getFrameDiskUsage
+};
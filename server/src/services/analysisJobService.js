@@ -1,10 +1,17 @@
 /**
  * Analysis Job Service
- * Manages job records in the database and queues frame extraction jobs
+ * Manages job records in the database and queues frame extraction,
+ * frame analysis pipeline, speech-to-text and speaker diarization jobs
  */
 
 const pool = require('./db');
-const { frameExtractionQueue, defaultJobOptions } = require('../jobs/queue');
+const {
+  frameExtractionQueue,
+  analysisQueue,
+  transcriptionQueue,
+  diarizationQueue,
+  defaultJobOptions
+} = require('../jobs/queue');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -23,7 +30,7 @@ async function createJobRecord(videoId, jobType, metadata = null) {
         job_type,
         status,
         progress,
-        result,
+        metadata,
         error_message,
         created_at,
         updated_at
@@ -51,7 +58,10 @@ async function createJobRecord(videoId, jobType, metadata = null) {
  * Queue a frame extraction job
  * @param {Object} video - Video object from database
  * @param {Object} options - Frame extraction options
+ * @param {string} options.mode - 'interval' or 'scene' (default from config)
  * @param {number} options.interval - Interval in seconds between frames (default: 5)
+ * @param {number} options.sceneThreshold - Scene score threshold 0-1 (scene mode)
+ * @param {number} options.minGap - Minimum seconds between frames (scene mode)
  * @param {number} options.width - Output width in pixels (default: 1280)
  * @param {number} options.quality - JPEG quality 1-31 (2 is high quality, default: 2)
  * @param {number} options.maxFrames - Maximum number of frames to extract (optional)
@@ -70,6 +80,7 @@ async function queueFrameExtraction(video, options = {}) {
     const bullJob = await frameExtractionQueue.add(
       {
         videoId: video.id,
+        userId: video.user_id,
         jobId: jobRecord.id,
         options: options
       },
@@ -93,6 +104,130 @@ async function queueFrameExtraction(video, options = {}) {
   }
 }
 
+/**
+ * Queue a complete frame analysis pipeline job (extract, OCR, vision, post-process)
+ * @param {Object} video - Video object from database
+ * @param {Object} options - Pipeline options (see frameAnalysisPipeline.runPipeline)
+ * @param {string} options.extractionMode - 'interval' or 'scene'
+ * @param {number} options.frameInterval - Interval in seconds between frames
+ * @param {number} options.sceneThreshold - Scene score threshold 0-1 (scene mode)
+ * @param {number} options.minGap - Minimum seconds between frames (scene mode)
+ * @param {number} options.maxFrames - Maximum number of frames to extract
+ * @param {boolean} options.ocrEnabled - Run OCR on extracted frames
+ * @param {boolean} options.visionEnabled - Run vision analysis on sampled frames
+ * @param {number} options.visionSampleRate - Analyze every Nth frame with vision
+ * @returns {Promise<Object>} Created job record with Bull job info
+ */
+async function queueFrameAnalysisPipeline(video, options = {}) {
+  try {
+    const jobRecord = await createJobRecord(video.id, 'frame-analysis-pipeline', {
+      options: options
+    });
+
+    const bullJob = await analysisQueue.add(
+      'frame-analysis-pipeline',
+      {
+        videoId: video.id,
+        userId: video.user_id,
+        jobId: jobRecord.id,
+        options: options
+      },
+      {
+        ...defaultJobOptions,
+        jobId: jobRecord.id
+      }
+    );
+
+    console.log(`Frame analysis pipeline job queued: ${jobRecord.id} for video ${video.id}`);
+
+    return {
+      ...jobRecord,
+      bullJobId: bullJob.id
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to queue frame analysis pipeline: ${error.message}`);
+  }
+}
+
+/**
+ * Queue a local speech-to-text job for a video without captions
+ * @param {Object} video - Video object from database
+ * @param {Object} options - Transcription options
+ * @param {string} options.language - Spoken language code or 'auto' (default from config)
+ * @returns {Promise<Object>} Created job record with Bull job info
+ */
+async function queueTranscription(video, options = {}) {
+  try {
+    const jobRecord = await createJobRecord(video.id, 'asr_transcription', {
+      options: options
+    });
+
+    const bullJob = await transcriptionQueue.add(
+      {
+        videoId: video.id,
+        userId: video.user_id,
+        jobId: jobRecord.id,
+        options: options
+      },
+      {
+        ...defaultJobOptions,
+        // Transcription is slow and mostly fails for deterministic reasons
+        attempts: 2,
+        jobId: jobRecord.id
+      }
+    );
+
+    console.log(`Transcription job queued: ${jobRecord.id} for video ${video.id}`);
+
+    return {
+      ...jobRecord,
+      bullJobId: bullJob.id
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to queue transcription: ${error.message}`);
+  }
+}
+
+/**
+ * Queue speaker diarization for a video's transcript
+ * @param {Object} video - Video object with id and user_id
+ * @param {Object} options - Diarization options (numSpeakers)
+ * @returns {Promise<Object>} Created job record with Bull job ID
+ */
+async function queueDiarization(video, options = {}) {
+  try {
+    const jobRecord = await createJobRecord(video.id, 'diarization', {
+      options: options
+    });
+
+    const bullJob = await diarizationQueue.add(
+      {
+        videoId: video.id,
+        userId: video.user_id,
+        jobId: jobRecord.id,
+        options: options
+      },
+      {
+        ...defaultJobOptions,
+        attempts: 2,
+        jobId: jobRecord.id
+      }
+    );
+
+    console.log(`Diarization job queued: ${jobRecord.id} for video ${video.id}`);
+
+    return {
+      ...jobRecord,
+      bullJobId: bullJob.id
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to queue diarization: ${error.message}`);
+  }
+}
+
 /**
  * Update job progress
  * @param {string} jobId - Job UUID
@@ -133,6 +268,46 @@ async function updateJobProgress(jobId, progress, partialResult = null) {
   }
 }
 
+/**
+ * Update job status and progress, stamping the start and completion times
+ * @param {string} jobId - Job ID (UUID)
+ * @param {string} status - Job status (pending, processing, completed, failed)
+ * @param {number} progress - Progress percentage (0-100)
+ * @param {Object} result - Job result data (optional)
+ * @param {string} errorMessage - Error message (optional)
+ * @returns {Promise<Object>} Updated job record
+ */
+async function updateJobStatus(jobId, status, progress = 0, result = null, errorMessage = null) {
+  try {
+    const query = `
+      UPDATE analysis_jobs
+      SET status = $1,
+          progress = $2,
+          result = $3,
+          error_message = $4,
+          updated_at = NOW(),
+          started_at = CASE WHEN $1 = 'processing' AND started_at IS NULL THEN NOW() ELSE started_at END,
+          completed_at = CASE WHEN $1 IN ('completed', 'failed') THEN NOW() ELSE completed_at END
+      WHERE id = $5
+      RETURNING *
+    `;
+
+    const values = [
+      status,
+      progress,
+      result ? JSON.stringify(result) : null,
+      errorMessage,
+      jobId
+    ];
+
+    const queryResult = await pool.query(query, values);
+    return queryResult.rows[0];
+  } catch (error) {
+    console.error(`Failed to update job ${jobId}:`, error.message);
+    throw error;
+  }
+}
+
 /**
  * Get all jobs for a video
  * @param {string} videoId - Video UUID
@@ -153,6 +328,7 @@ async function getJobsByVideoId(videoId, options = {}) {
         job_type,
         status,
         progress,
+        metadata,
         result,
         error_message,
         created_at,
@@ -200,6 +376,7 @@ async function getJobById(jobId) {
         j.job_type,
         j.status,
         j.progress,
+        j.metadata,
         j.result,
         j.error_message,
         j.created_at,
@@ -330,11 +507,11 @@ async function retryJob(jobId) {
     // Extract options from original job
     let options = {};
     try {
-      if (originalJob.result) {
-        const result = typeof originalJob.result === 'string'
-          ? JSON.parse(originalJob.result)
-          : originalJob.result;
-        options = result.options || {};
+      if (originalJob.metadata) {
+        const metadata = typeof originalJob.metadata === 'string'
+          ? JSON.parse(originalJob.metadata)
+          : originalJob.metadata;
+        options = metadata.options || {};
       }
     } catch (parseError) {
       console.warn('Could not parse original job options:', parseError.message);
@@ -351,7 +528,11 @@ async function retryJob(jobId) {
 module.exports = {
   createJobRecord,
   queueFrameExtraction,
+  queueFrameAnalysisPipeline,
+  queueTranscription,
+  queueDiarization,
   updateJobProgress,
+  updateJobStatus,
   getJobsByVideoId,
   getJobById,
   getJobStatus,
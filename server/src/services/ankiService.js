@@ -0,0 +1,345 @@
+/**
+ * Anki package service
+ * Writes flashcards as an Anki .apkg package: a zip holding a legacy (schema 11)
+ * collection.anki2 SQLite database, a `media` manifest and the media files, which
+ * every Anki release since 2.1 imports.
+ *
+ * Note GUIDs and deck IDs are derived from stable keys, so importing a newer export
+ * of the same video or folder updates existing notes instead of duplicating them.
+ */
+
+const crypto = require('crypto');
+const initSqlJs = require('sql.js');
+const JSZip = require('jszip');
+
+// Fixed so every export shares one note type in the user's collection
+const MODEL_ID = 1718304050123;
+const MODEL_NAME = 'Vidlyx Flashcard';
+
+const FIELD_NAMES = ['Front', 'Back', 'Context', 'Image', 'Source'];
+
+const CARD_CSS = `.card {
+  font-family: Arial, sans-serif;
+  font-size: 20px;
+  text-align: center;
+  color: #111827;
+  background-color: #ffffff;
+}
+.context { margin-top: 12px; font-size: 16px; color: #6b7280; font-style: italic; }
+.image img { max-width: 100%; margin-top: 12px; border-radius: 6px; }
+.source { margin-top: 12px; font-size: 13px; color: #6b7280; }`;
+
+const FRONT_TEMPLATE = '{{Front}}';
+
+const BACK_TEMPLATE = `{{FrontSide}}
+<hr id=answer>
+{{Back}}
+{{#Context}}<div class="context">{{Context}}</div>{{/Context}}
+{{#Image}}<div class="image">{{Image}}</div>{{/Image}}
+{{#Source}}<div class="source">{{Source}}</div>{{/Source}}`;
+
+const SCHEMA = `
+CREATE TABLE col (
+  id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+  ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+  conf text not null, models text not null, decks text not null, dconf text not null, tags text not null
+);
+CREATE TABLE notes (
+  id integer primary key, guid text not null, mid integer not null, mod integer not null,
+  usn integer not null, tags text not null, flds text not null, sfld integer not null,
+  csum integer not null, flags integer not null, data text not null
+);
+CREATE TABLE cards (
+  id integer primary key, nid integer not null, did integer not null, ord integer not null,
+  mod integer not null, usn integer not null, type integer not null, queue integer not null,
+  due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+  lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+  flags integer not null, data text not null
+);
+CREATE TABLE revlog (
+  id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+  ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+  type integer not null
+);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn ON notes (usn);
+CREATE INDEX ix_cards_usn ON cards (usn);
+CREATE INDEX ix_revlog_usn ON revlog (usn);
+CREATE INDEX ix_cards_nid ON cards (nid);
+CREATE INDEX ix_cards_sched ON cards (did, queue, due);
+CREATE INDEX ix_revlog_cid ON revlog (cid);
+CREATE INDEX ix_notes_csum ON notes (csum);
+`;
+
+let sqlPromise = null;
+
+/**
+ * Load the SQLite WebAssembly module once per process
+ * @returns {Promise<object>}
+ */
+function getSql() {
+  if (!sqlPromise) {
+    sqlPromise = initSqlJs();
+  }
+  return sqlPromise;
+}
+
+/**
+ * SHA-1 hex digest of a string
+ * @param {string} value
+ * @returns {string}
+ */
+function sha1(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+/**
+ * Derive a deck ID from a stable key
+ * @param {string} key - e.g. `video:<uuid>`
+ * @returns {number} - Positive integer below 2^48
+ */
+function deckIdFor(key) {
+  return parseInt(sha1(`deck:${key}`).slice(0, 12), 16);
+}
+
+/**
+ * Escape text for an HTML note field
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '<br>');
+}
+
+/**
+ * Anki's note checksum: the first 8 hex digits of the SHA-1 of the
+ * sort field with HTML stripped
+ * @param {string} sortField
+ * @returns {number}
+ */
+function fieldChecksum(sortField) {
+  const stripped = sortField.replace(/<[^>]*>/g, '');
+  return parseInt(sha1(stripped).slice(0, 8), 16);
+}
+
+/**
+ * Build the collection's note type
+ * @param {number} deckId - Default deck for new cards
+ * @param {number} now - Seconds since epoch
+ * @returns {object}
+ */
+function buildModel(deckId, now) {
+  return {
+    id: MODEL_ID,
+    name: MODEL_NAME,
+    type: 0,
+    mod: now,
+    usn: -1,
+    sortf: 0,
+    did: deckId,
+    tmpls: [{
+      name: 'Card 1',
+      ord: 0,
+      qfmt: FRONT_TEMPLATE,
+      afmt: BACK_TEMPLATE,
+      bqfmt: '',
+      bafmt: '',
+      did: null
+    }],
+    flds: FIELD_NAMES.map((name, ord) => ({
+      name,
+      ord,
+      sticky: false,
+      rtl: false,
+      font: 'Arial',
+      size: 20,
+      media: []
+    })),
+    css: CARD_CSS,
+    latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+    latexPost: '\\end{document}',
+    latexsvg: false,
+    req: [[0, 'any', [0]]],
+    tags: [],
+    vers: []
+  };
+}
+
+/**
+ * Build a deck entry
+ * @param {number} id - Deck ID
+ * @param {string} name - Deck name (`::` nests decks)
+ * @param {string} description - Deck description
+ * @param {number} now - Seconds since epoch
+ * @returns {object}
+ */
+function buildDeck(id, name, description, now) {
+  return {
+    id,
+    name,
+    desc: description,
+    mod: now,
+    usn: -1,
+    lrnToday: [0, 0],
+    revToday: [0, 0],
+    newToday: [0, 0],
+    timeToday: [0, 0],
+    collapsed: false,
+    browserCollapsed: false,
+    dyn: 0,
+    conf: 1,
+    extendNew: 0,
+    extendRev: 0
+  };
+}
+
+/**
+ * Default deck options (Anki's stock settings)
+ * @param {number} now - Seconds since epoch
+ * @returns {object}
+ */
+function buildDeckConfig(now) {
+  return {
+    id: 1,
+    name: 'Default',
+    mod: now,
+    usn: -1,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: { bury: false, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 0], order: 1, perDay: 20 },
+    rev: { bury: false, ease4: 1.3, ivlFct: 1, maxIvl: 36500, perDay: 200, hardFactor: 1.2 },
+    lapse: { delays: [10], leechAction: 1, leechFails: 8, minInt: 1, mult: 0 }
+  };
+}
+
+/**
+ * Render a card's fields in note type order
+ * @param {object} card - Flashcard from flashcardService
+ * @param {string|null} mediaName - Image file name inside the package
+ * @returns {Array<string>}
+ */
+function noteFields(card, mediaName) {
+  const source = card.link
+    ? `<a href="${escapeHtml(card.link)}">${escapeHtml(card.source)}</a>`
+    : escapeHtml(card.source);
+
+  return [
+    escapeHtml(card.front),
+    escapeHtml(card.back),
+    escapeHtml(card.context || ''),
+    mediaName ? `<img src="${mediaName}">` : '',
+    source
+  ];
+}
+
+/**
+ * Build an .apkg package
+ * @param {object} deck
+ * @param {string} deck.key - Stable key the deck ID is derived from
+ * @param {string} deck.name - Deck name shown in Anki
+ * @param {string} [deck.description] - Deck description
+ * @param {Array<object>} cards - Flashcards; `card.image` is { name, data } or null
+ * @returns {Promise<Buffer>} - Zipped package
+ */
+async function buildPackage(deck, cards) {
+  const SQL = await getSql();
+  const db = new SQL.Database();
+
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    const nowMs = Date.now();
+    const deckId = deckIdFor(deck.key);
+
+    db.run(SCHEMA);
+
+    const conf = {
+      activeDecks: [1],
+      curDeck: 1,
+      newSpread: 0,
+      collapseTime: 1200,
+      timeLim: 0,
+      estTimes: true,
+      dueCounts: true,
+      curModel: String(MODEL_ID),
+      nextPos: cards.length + 1,
+      sortType: 'noteFld',
+      sortBackwards: false,
+      addToCur: true
+    };
+
+    const decks = {
+      1: buildDeck(1, 'Default', '', now),
+      [deckId]: buildDeck(deckId, deck.name, deck.description || '', now)
+    };
+
+    db.run(
+      'INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)',
+      [
+        now,
+        nowMs,
+        nowMs,
+        JSON.stringify(conf),
+        JSON.stringify({ [MODEL_ID]: buildModel(deckId, now) }),
+        JSON.stringify(decks),
+        JSON.stringify({ 1: buildDeckConfig(now) }),
+        '{}'
+      ]
+    );
+
+    const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+    const insertCard = db.prepare('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')');
+
+    const media = {};
+    const zip = new JSZip();
+
+    cards.forEach((card, index) => {
+      let mediaName = null;
+      if (card.image) {
+        mediaName = card.image.name;
+        if (!Object.values(media).includes(mediaName)) {
+          const mediaIndex = String(Object.keys(media).length);
+          media[mediaIndex] = mediaName;
+          zip.file(mediaIndex, card.image.data);
+        }
+      }
+
+      const fields = noteFields(card, mediaName);
+      const noteId = nowMs + index;
+      const tags = card.tags && card.tags.length > 0 ? ` ${card.tags.join(' ')} ` : '';
+
+      insertNote.run([
+        noteId,
+        sha1(card.key).slice(0, 16),
+        MODEL_ID,
+        now,
+        tags,
+        fields.join('\x1f'),
+        fields[0],
+        fieldChecksum(fields[0])
+      ]);
+      insertCard.run([noteId, noteId, deckId, now, index + 1]);
+    });
+
+    insertNote.free();
+    insertCard.free();
+
+    zip.file('collection.anki2', Buffer.from(db.export()));
+    zip.file('media', JSON.stringify(media));
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = {
+  buildPackage
+};
@@ -0,0 +1,193 @@
+/**
+ * API token service for personal access tokens
+ * Tokens are shown once at creation and stored as SHA-256 digests; a read scope limits a token
+ * to GET and HEAD requests.
+ */
+
+const crypto = require('crypto');
+const pool = require('./db');
+
+const SCOPES = ['read', 'write'];
+
+// Every token starts with this marker so leaked tokens are easy to recognise and grep for
+const TOKEN_PREFIX = 'vdx_';
+
+// Characters of the token kept in plain text for display
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// Minimum time between last_used_at writes for the same token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Get the status of a token
+ * @param {object} token - api_tokens row
+ * @returns {string} - 'active', 'revoked' or 'expired'
+ */
+function getTokenStatus(token) {
+  if (token.revoked_at) {
+    return 'revoked';
+  }
+  if (token.expires_at && new Date(token.expires_at) <= new Date()) {
+    return 'expired';
+  }
+  return 'active';
+}
+
+/**
+ * Shape a token row for its owner; the hash never leaves the service
+ * @param {object} token - api_tokens row
+ * @returns {object} - Token metadata with status
+ */
+function enrichToken(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    token_prefix: token.token_prefix,
+    scope: token.scope,
+    expires_at: token.expires_at,
+    revoked_at: token.revoked_at,
+    last_used_at: token.last_used_at,
+    created_at: token.created_at,
+    status: getTokenStatus(token)
+  };
+}
+
+/**
+ * Create a personal access token
+ * @param {string} userId - Owner's user ID
+ * @param {object} data - Token data
+ * @param {string} data.name - Name to recognise the token by
+ * @param {string} data.scope - 'read' or 'write'
+ * @param {Date|string} [data.expiresAt] - Expiry time (omit for a token that never expires)
+ * @returns {Promise<object>} - { token, apiToken }; the plain token is not retrievable later
+ */
+async function createToken(userId, data) {
+  const { name, scope, expiresAt = null } = data;
+
+  if (!name || name.trim().length === 0) {
+    throw new Error('Token name is required');
+  }
+
+  if (!SCOPES.includes(scope)) {
+    throw new Error('Scope must be read or write');
+  }
+
+  if (expiresAt !== null && new Date(expiresAt) <= new Date()) {
+    throw new Error('Expiry date must be in the future');
+  }
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const result = await pool.query(
+    `INSERT INTO api_tokens (user_id, name, token_prefix, token_hash, scope, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [userId, name.trim(), token.slice(0, DISPLAY_PREFIX_LENGTH), hashToken(token), scope, expiresAt]
+  );
+
+  return {
+    token,
+    apiToken: enrichToken(result.rows[0])
+  };
+}
+
+/**
+ * List a user's tokens, newest first
+ * @param {string} userId - Owner's user ID
+ * @returns {Promise<Array>} - Token metadata
+ */
+async function getTokens(userId) {
+  const result = await pool.query(
+    `SELECT * FROM api_tokens WHERE user_id = $1 ORDER BY created_at DESC`,
+    [userId]
+  );
+
+  return result.rows.map(enrichToken);
+}
+
+/**
+ * Revoke a token; revoked tokens stay listed with their last use
+ * @param {string} tokenId - Token ID
+ * @param {string} userId - Owner's user ID
+ * @returns {Promise<object|null>} - Revoked token or null if not found
+ */
+async function revokeToken(tokenId, userId) {
+  const result = await pool.query(
+    `UPDATE api_tokens
+     SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+     WHERE id = $1 AND user_id = $2
+     RETURNING *`,
+    [tokenId, userId]
+  );
+
+  return result.rows.length > 0 ? enrichToken(result.rows[0]) : null;
+}
+
+/**
+ * Revoke every token a user holds
+ * @param {string} userId - Owner's user ID
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+async function revokeAllTokens(userId) {
+  const result = await pool.query(
+    `UPDATE api_tokens
+     SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Resolve a bearer token to an active token record and note its use
+ * @param {string} token - Plain token from the Authorization header
+ * @returns {Promise<object|null>} - { id, user_id, scope } or null if unknown, revoked or expired
+ */
+async function authenticate(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `SELECT id, user_id, scope, expires_at, revoked_at, last_used_at
+     FROM api_tokens
+     WHERE token_hash = $1`,
+    [hashToken(token)]
+  );
+
+  const apiToken = result.rows[0];
+  if (!apiToken || getTokenStatus(apiToken) !== 'active') {
+    return null;
+  }
+
+  // Scripts can make many calls a second; a minute's precision is enough for "last used"
+  if (!apiToken.last_used_at || Date.now() - new Date(apiToken.last_used_at).getTime() > LAST_USED_RESOLUTION_MS) {
+    await pool.query('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [apiToken.id]);
+  }
+
+  return {
+    id: apiToken.id,
+    user_id: apiToken.user_id,
+    scope: apiToken.scope
+  };
+}
+
+module.exports = {
+  SCOPES,
+  hashToken,
+  createToken,
+  getTokens,
+  revokeToken,
+  revokeAllTokens,
+  authenticate
+};
@@ -0,0 +1,138 @@
+/**
+ * Tests for personal access token hashing, scopes and status
+ * The database pool is replaced with a stub that records queries.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const queries = [];
+let respond = () => ({ rows: [] });
+
+const poolStub = {
+  query: async (text, params) => {
+    queries.push({ text, params });
+    return respond(text, params);
+  }
+};
+require.cache[require.resolve('./db')] = { id: require.resolve('./db'), loaded: true, exports: poolStub };
+
+const apiTokenService = require('./apiTokenService');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const tokenRow = (overrides = {}) => ({
+  id: 'token-1',
+  user_id: 'user-1',
+  name: 'CI',
+  token_prefix: 'vdx_abcdefgh',
+  token_hash: 'secret-hash',
+  scope: 'read',
+  expires_at: null,
+  revoked_at: null,
+  last_used_at: new Date(),
+  created_at: new Date(),
+  ...overrides
+});
+
+beforeEach(() => {
+  queries.length = 0;
+  respond = () => ({ rows: [] });
+});
+
+describe('hashToken', () => {
+  it('returns the SHA-256 hex digest shared with account tokens', () => {
+    assert.equal(apiTokenService.hashToken('vdx_plain-token'), sha256('vdx_plain-token'));
+  });
+});
+
+describe('createToken', () => {
+  it('stores only the SHA-256 digest and a display prefix of the token', async () => {
+    respond = (text, params) => ({
+      rows: [tokenRow({ name: params[1], token_prefix: params[2], token_hash: params[3], scope: params[4] })]
+    });
+
+    const { token, apiToken } = await apiTokenService.createToken('user-1', { name: ' CI ', scope: 'write' });
+    const params = queries[0].params;
+
+    assert.match(token, /^vdx_[A-Za-z0-9_-]{43}$/);
+    assert.equal(params[1], 'CI');
+    assert.equal(params[2], token.slice(0, 12));
+    assert.equal(params[3], sha256(token));
+    assert.ok(!params.includes(token), 'the plain token is never stored');
+    assert.equal(apiToken.scope, 'write');
+    assert.equal(apiToken.status, 'active');
+    assert.equal(apiToken.token_hash, undefined);
+  });
+
+  it('creates a different token every time', async () => {
+    respond = () => ({ rows: [tokenRow()] });
+
+    const first = await apiTokenService.createToken('user-1', { name: 'a', scope: 'read' });
+    const second = await apiTokenService.createToken('user-1', { name: 'b', scope: 'read' });
+
+    assert.notEqual(first.token, second.token);
+  });
+
+  it('accepts only the read and write scopes', async () => {
+    assert.deepEqual(apiTokenService.SCOPES, ['read', 'write']);
+    await assert.rejects(
+      apiTokenService.createToken('user-1', { name: 'CI', scope: 'admin' }),
+      /Scope must be read or write/
+    );
+    await assert.rejects(
+      apiTokenService.createToken('user-1', { name: 'CI' }),
+      /Scope must be read or write/
+    );
+    assert.equal(queries.length, 0);
+  });
+
+  it('requires a name and a future expiry', async () => {
+    await assert.rejects(apiTokenService.createToken('user-1', { name: '  ', scope: 'read' }), /Token name is required/);
+    await assert.rejects(
+      apiTokenService.createToken('user-1', { name: 'CI', scope: 'read', expiresAt: new Date(Date.now() - 1000) }),
+      /Expiry date must be in the future/
+    );
+    assert.equal(queries.length, 0);
+  });
+});
+
+describe('authenticate', () => {
+  it('ignores tokens without the vdx_ prefix without querying', async () => {
+    assert.equal(await apiTokenService.authenticate('ghp_something'), null);
+    assert.equal(await apiTokenService.authenticate(''), null);
+    assert.equal(queries.length, 0);
+  });
+
+  it('looks tokens up by their digest and returns the scope', async () => {
+    respond = () => ({ rows: [tokenRow()] });
+
+    const result = await apiTokenService.authenticate('vdx_plain-token');
+
+    assert.deepEqual(queries[0].params, [sha256('vdx_plain-token')]);
+    assert.deepEqual(result, { id: 'token-1', user_id: 'user-1', scope: 'read' });
+  });
+
+  it('rejects unknown, revoked and expired tokens', async () => {
+    assert.equal(await apiTokenService.authenticate('vdx_unknown'), null);
+
+    respond = () => ({ rows: [tokenRow({ revoked_at: new Date() })] });
+    assert.equal(await apiTokenService.authenticate('vdx_revoked'), null);
+
+    respond = () => ({ rows: [tokenRow({ expires_at: new Date(Date.now() - 1000) })] });
+    assert.equal(await apiTokenService.authenticate('vdx_expired'), null);
+  });
+
+  it('records last use at most once a minute', async () => {
+    respond = () => ({ rows: [tokenRow({ last_used_at: new Date() })] });
+    await apiTokenService.authenticate('vdx_recent');
+    assert.equal(queries.length, 1);
+
+    queries.length = 0;
+    respond = (text) => (text.startsWith('UPDATE') ? { rows: [] } : { rows: [tokenRow({ last_used_at: new Date(Date.now() - 120000) })] });
+    await apiTokenService.authenticate('vdx_stale');
+    assert.equal(queries.length, 2);
+    assert.match(queries[1].text, /UPDATE api_tokens SET last_used_at/);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * ASR Service
+ * Offline speech-to-text with whisper.cpp, used when a video has no captions
+ * Produces segments in the same shape as YouTube transcripts ({ start, end, duration, text })
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const analysisConfig = require('../config/analysisConfig');
+const ffmpegUtils = require('../utils/ffmpeg');
+
+const config = analysisConfig.transcription;
+
+/**
+ * Check whether local transcription can run
+ * @returns {boolean} True if ASR is enabled and the model file exists
+ */
+function isAsrAvailable() {
+  return config.enabled && fsSync.existsSync(config.model);
+}
+
+/**
+ * Run whisper.cpp on a WAV file
+ * @param {string} audioPath - 16 kHz mono WAV file
+ * @param {Object} options - Options
+ * @param {string} options.language - Language code or 'auto'
+ * @param {Function} options.onProgress - Called with percentage (0-100)
+ * @returns {Promise<Object>} Parsed whisper.cpp JSON output
+ */
+function runWhisper(audioPath, options = {}) {
+  const { language = config.language, onProgress = null } = options;
+  const outputBase = audioPath.replace(/\.wav$/, '');
+
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-m', config.model,
+      '-f', audioPath,
+      '-l', language,
+      '-t', String(config.threads),
+      '-oj', // JSON output
+      '-of', outputBase,
+      '-pp' // Print progress
+    ];
+
+    const whisperProcess = spawn(config.binary, args);
+
+    let stderr = '';
+    let lastProgress = -1;
+
+    const timeoutId = setTimeout(() => {
+      whisperProcess.kill();
+      reject(new Error(`whisper.cpp timed out after ${config.timeout}ms`));
+    }, config.timeout);
+
+    // whisper.cpp reports "progress = NN%" on stderr
+    whisperProcess.stderr.on('data', (data) => {
+      const text = data.toString();
+      stderr = (stderr + text).slice(-4000);
+
+      const matches = [...text.matchAll(/progress\s*=\s*(\d+)%/g)];
+      if (onProgress && matches.length > 0) {
+        const progress = parseInt(matches[matches.length - 1][1], 10);
+        if (progress !== lastProgress) {
+          lastProgress = progress;
+          onProgress(progress);
+        }
+      }
+    });
+
+    whisperProcess.on('close', async (code) => {
+      clearTimeout(timeoutId);
+
+      if (code !== 0) {
+        reject(new Error(`whisper.cpp exited with code ${code}: ${stderr.trim()}`));
+        return;
+      }
+
+      try {
+        const output = await fs.readFile(`${outputBase}.json`, 'utf8');
+        resolve(JSON.parse(output));
+      } catch (error) {
+        reject(new Error(`Failed to read whisper.cpp output: ${error.message}`));
+      }
+    });
+
+    whisperProcess.on('error', (error) => {
+      clearTimeout(timeoutId);
+      reject(new Error(`Failed to start whisper.cpp (${config.binary}): ${error.message}`));
+    });
+  });
+}
+
+/**
+ * Convert whisper.cpp JSON output to transcript segments
+ * @param {Object} whisperOutput - Parsed whisper.cpp JSON
+ * @returns {Array<Object>} Segments with start, end, duration and text
+ */
+function toSegments(whisperOutput) {
+  return (whisperOutput.transcription || [])
+    .map(item => {
+      const start = (item.offsets?.from || 0) / 1000;
+      const end = (item.offsets?.to || 0) / 1000;
+
+      return {
+        start,
+        end,
+        duration: Math.max(0, end - start),
+        text: (item.text || '').trim()
+      };
+    })
+    .filter(segment => segment.text.length > 0);
+}
+
+/**
+ * Transcribe a video's audio track
+ * @param {string} input - Video file path or stream URL
+ * @param {Object} options - Options
+ * @param {string} options.language - Language code or 'auto'
+ * @param {Function} options.onAudioProgress - Audio extraction progress (0-100)
+ * @param {Function} options.onProgress - Transcription progress (0-100)
+ * @returns {Promise<Object>} { full_text, segments, type: 'asr', language }
+ */
+async function transcribe(input, options = {}) {
+  const { language = config.language, onAudioProgress = null, onProgress = null } = options;
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vidlyx-asr-'));
+  const audioPath = path.join(workDir, 'audio.wav');
+
+  try {
+    await ffmpegUtils.extractAudio(input, audioPath, {
+      sampleRate: config.sampleRate,
+      channels: 1,
+      onProgress: onAudioProgress
+    });
+
+    const whisperOutput = await runWhisper(audioPath, { language, onProgress });
+    const segments = toSegments(whisperOutput);
+
+    if (segments.length === 0) {
+      throw new Error('No speech detected in audio');
+    }
+
+    return {
+      full_text: segments.map(segment => segment.text).join(' '),
+      segments,
+      type: 'asr',
+      language: whisperOutput.result?.language || (language !== 'auto' ? language : null)
+    };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+module.exports = {
+  isAsrAvailable,
+  runWhisper,
+  toSegments,
+  transcribe
+};
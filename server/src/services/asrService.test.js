@@ -0,0 +1,52 @@
+/**
+ * Tests for converting whisper.cpp output to transcript segments
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toSegments } = require('./asrService');
+
+describe('toSegments', () => {
+  it('converts millisecond offsets to seconds and trims the text', () => {
+    const segments = toSegments({
+      transcription: [
+        { offsets: { from: 0, to: 2500 }, text: ' Hello there.' },
+        { offsets: { from: 2500, to: 6120 }, text: ' General Kenobi! ' }
+      ]
+    });
+
+    assert.deepEqual(segments, [
+      { start: 0, end: 2.5, duration: 2.5, text: 'Hello there.' },
+      { start: 2.5, end: 6.12, duration: 3.62, text: 'General Kenobi!' }
+    ]);
+  });
+
+  it('drops segments with no words', () => {
+    const segments = toSegments({
+      transcription: [
+        { offsets: { from: 0, to: 1000 }, text: '   ' },
+        { offsets: { from: 1000, to: 2000 } },
+        { offsets: { from: 2000, to: 3000 }, text: 'Speech' }
+      ]
+    });
+
+    assert.deepEqual(segments.map(segment => segment.text), ['Speech']);
+  });
+
+  it('never reports a negative duration', () => {
+    const [segment] = toSegments({ transcription: [{ offsets: { from: 5000, to: 4000 }, text: 'Odd' }] });
+
+    assert.equal(segment.duration, 0);
+  });
+
+  it('treats missing offsets as zero', () => {
+    const [segment] = toSegments({ transcription: [{ text: 'No timing' }] });
+
+    assert.equal(segment.start, 0);
+    assert.equal(segment.end, 0);
+  });
+
+  it('returns no segments when whisper found no speech', () => {
+    assert.deepEqual(toSegments({}), []);
+  });
+});
@@ -1,22 +1,36 @@
 const bcrypt = require('bcrypt');
 const pool = require('./db');
+const workspaceService = require('./workspaceService');
 
 const SALT_ROUNDS = 10;
 
 /**
- * Create a new user with hashed password
+ * Create a new user with hashed password, together with their personal workspace
  */
 async function createUser(email, password, firstName, lastName) {
   const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
 
-  const result = await pool.query(
-    `INSERT INTO users (email, password_hash, first_name, last_name)
-     VALUES ($1, $2, $3, $4)
-     RETURNING id, email, first_name, last_name, role, status, created_at, updated_at`,
-    [email, hashedPassword, firstName, lastName]
-  );
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO users (email, password_hash, first_name, last_name)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, email, first_name, last_name, role, status, created_at, updated_at`,
+      [email, hashedPassword, firstName, lastName]
+    );
+
+    await workspaceService.createPersonalWorkspace(result.rows[0].id, client);
 
-  return result.rows[0];
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
 }
 
 /**
@@ -62,10 +76,77 @@ async function updateLastLogin(userId) {
   );
 }
 
+/**
+ * Update a user's name and avatar
+ * Only the fields present in data are changed
+ */
+async function updateProfile(userId, data) {
+  const fields = { firstName: 'first_name', lastName: 'last_name', avatarUrl: 'avatar_url' };
+  const updates = [];
+  const values = [];
+
+  for (const [key, column] of Object.entries(fields)) {
+    if (data[key] !== undefined) {
+      values.push(data[key]);
+      updates.push(`${column} = $${values.length}`);
+    }
+  }
+
+  if (updates.length > 0) {
+    values.push(userId);
+    await pool.query(
+      `UPDATE users SET ${updates.join(', ')} WHERE id = $${values.length}`,
+      values
+    );
+  }
+
+  return findUserById(userId);
+}
+
+/**
+ * Replace a user's password and sign out their other sessions
+ * Pass the current session ID to keep the caller signed in; omit it to end every session.
+ */
+async function updatePassword(userId, newPassword, keepSessionId = null) {
+  const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+  await pool.query(
+    'UPDATE users SET password_hash = $1 WHERE id = $2',
+    [hashedPassword, userId]
+  );
+
+  await invalidateSessions(userId, keepSessionId);
+}
+
+/**
+ * Delete a user's sessions from the session store, except the one given
+ */
+async function invalidateSessions(userId, exceptSessionId = null) {
+  await pool.query(
+    `DELETE FROM sessions
+     WHERE sess->>'userId' = $1 AND ($2::varchar IS NULL OR sid <> $2)`,
+    [userId, exceptSessionId]
+  );
+}
+
+/**
+ * Mark a user's email address as verified
+ */
+async function markEmailVerified(userId) {
+  await pool.query(
+    'UPDATE users SET email_verified = true WHERE id = $1',
+    [userId]
+  );
+}
+
 module.exports = {
   createUser,
   findUserByEmail,
   findUserById,
   validatePassword,
-  updateLastLogin
+  updateLastLogin,
+  updateProfile,
+  updatePassword,
+  invalidateSessions,
+  markEmailVerified
 };
@@ -14,7 +14,7 @@ const pool = require('./db');
 async function getTranscriptSegments(videoId) {
   try {
     const result = await pool.query(
-      'SELECT segments FROM transcriptions WHERE video_id = $1',
+      'SELECT segments FROM transcriptions WHERE video_id = $1 AND is_primary = true',
       [videoId]
     );
 
@@ -41,7 +41,7 @@ async function getAnalyzedFrames(videoId) {
       `SELECT id, timestamp_seconds, on_screen_text, scene_description,
               visual_elements, content_type, ocr_confidence
        FROM frames
-       WHERE video_id = $1
+       WHERE video_id = $1 AND duplicate_of IS NULL
        ORDER BY timestamp_seconds ASC`,
       [videoId]
     );
@@ -0,0 +1,614 @@
+/**
+ * Diarization Service
+ * Offline speaker diarization for transcripts
+ * Each transcript segment gets a voice profile (MFCC statistics), profiles are clustered with k-means,
+ * and the resulting speaker keys ("S1", "S2", ...) are stored on transcriptions.segments
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const pool = require('./db');
+const analysisConfig = require('../config/analysisConfig');
+const ffmpegUtils = require('../utils/ffmpeg');
+const audioFeatures = require('../utils/audioFeatures');
+
+const config = analysisConfig.diarization;
+
+// Sample rate used for voice features (speech carries little above 8 kHz)
+const SAMPLE_RATE = 16000;
+
+/**
+ * Default display label for a speaker key
+ * @param {string} speakerKey - Speaker key, e.g. "S2"
+ * @returns {string} - e.g. "Speaker 2"
+ */
+function defaultSpeakerName(speakerKey) {
+  return `Speaker ${String(speakerKey).replace(/^S/, '')}`;
+}
+
+/**
+ * Deterministic pseudo-random generator (mulberry32) so re-runs give the same speakers
+ * @param {number} seed - Seed value
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Squared Euclidean distance
+ * @param {Float64Array} a - Vector
+ * @param {Float64Array} b - Vector
+ * @returns {number}
+ */
+function distanceSquared(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += (a[i] - b[i]) ** 2;
+  }
+  return sum;
+}
+
+/**
+ * Scale every dimension to zero mean and unit variance
+ * @param {Array<Float64Array>} vectors - Feature vectors
+ * @returns {Array<Float64Array>} - Normalized copies
+ */
+function normalizeFeatures(vectors) {
+  const dims = vectors[0].length;
+  const means = new Float64Array(dims);
+  const deviations = new Float64Array(dims);
+
+  vectors.forEach(vector => {
+    for (let d = 0; d < dims; d++) means[d] += vector[d];
+  });
+  for (let d = 0; d < dims; d++) means[d] /= vectors.length;
+
+  vectors.forEach(vector => {
+    for (let d = 0; d < dims; d++) deviations[d] += (vector[d] - means[d]) ** 2;
+  });
+  for (let d = 0; d < dims; d++) deviations[d] = Math.sqrt(deviations[d] / vectors.length) || 1;
+
+  return vectors.map(vector => vector.map((value, d) => (value - means[d]) / deviations[d]));
+}
+
+/**
+ * Cluster vectors with k-means (k-means++ seeding, best of several restarts)
+ * @param {Array<Float64Array>} vectors - Normalized feature vectors
+ * @param {number} k - Number of clusters
+ * @param {Object} options - Options
+ * @param {number} options.restarts - Independent runs to pick the best from (default: 4)
+ * @param {number} options.maxIterations - Iterations per run (default: 50)
+ * @returns {Object} - { labels, centroids, inertia }
+ */
+function kMeans(vectors, k, options = {}) {
+  const { restarts = 4, maxIterations = 50 } = options;
+  const random = createRandom(vectors.length * 7919 + k);
+  let best = null;
+
+  for (let run = 0; run < restarts; run++) {
+    // k-means++ seeding
+    const centroids = [Float64Array.from(vectors[Math.floor(random() * vectors.length)])];
+    while (centroids.length < k) {
+      const weights = vectors.map(vector =>
+        Math.min(...centroids.map(centroid => distanceSquared(vector, centroid)))
+      );
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+      let target = random() * total;
+      let index = 0;
+      while (index < weights.length - 1 && target > weights[index]) {
+        target -= weights[index];
+        index++;
+      }
+      centroids.push(Float64Array.from(vectors[index]));
+    }
+
+    const labels = new Array(vectors.length).fill(-1);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      let changed = false;
+
+      vectors.forEach((vector, i) => {
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        centroids.forEach((centroid, c) => {
+          const distance = distanceSquared(vector, centroid);
+          if (distance < nearestDistance) {
+            nearestDistance = distance;
+            nearest = c;
+          }
+        });
+        if (labels[i] !== nearest) {
+          labels[i] = nearest;
+          changed = true;
+        }
+      });
+
+      if (!changed) break;
+
+      centroids.forEach((centroid, c) => {
+        const members = vectors.filter((_, i) => labels[i] === c);
+        if (members.length === 0) return;
+        centroid.fill(0);
+        members.forEach(member => {
+          for (let d = 0; d < centroid.length; d++) centroid[d] += member[d] / members.length;
+        });
+      });
+    }
+
+    const inertia = vectors.reduce((sum, vector, i) => sum + distanceSquared(vector, centroids[labels[i]]), 0);
+    if (!best || inertia < best.inertia) {
+      best = { labels, centroids, inertia };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Mean silhouette score of a clustering (-1 to 1, higher means better separated)
+ * Long videos are scored on an evenly spaced sample to keep this quadratic step cheap
+ * @param {Array<Float64Array>} vectors - Normalized feature vectors
+ * @param {Array<number>} labels - Cluster label per vector
+ * @param {number} maxSample - Maximum vectors to score (default: 600)
+ * @returns {number}
+ */
+function silhouetteScore(vectors, labels, maxSample = 600) {
+  const step = Math.max(1, Math.ceil(vectors.length / maxSample));
+  const indices = [];
+  for (let i = 0; i < vectors.length; i += step) indices.push(i);
+
+  let total = 0;
+  indices.forEach(i => {
+    const sums = {};
+    const counts = {};
+
+    indices.forEach(j => {
+      if (i === j) return;
+      const label = labels[j];
+      sums[label] = (sums[label] || 0) + Math.sqrt(distanceSquared(vectors[i], vectors[j]));
+      counts[label] = (counts[label] || 0) + 1;
+    });
+
+    const own = counts[labels[i]] ? sums[labels[i]] / counts[labels[i]] : 0;
+    const other = Math.min(...Object.keys(sums)
+      .filter(label => Number(label) !== labels[i])
+      .map(label => sums[label] / counts[label]));
+
+    if (Number.isFinite(other) && Math.max(own, other) > 0) {
+      total += (other - own) / Math.max(own, other);
+    }
+  });
+
+  return total / indices.length;
+}
+
+/**
+ * Smallest distance between cluster means, measured on the raw (unnormalized) features
+ * Normalization stretches tiny differences, so this guards against splitting one voice
+ * @param {Array<Float64Array>} vectors - Raw feature vectors
+ * @param {Array<number>} labels - Cluster label per vector
+ * @returns {number}
+ */
+function minCentroidDistance(vectors, labels) {
+  const groups = new Map();
+  vectors.forEach((vector, i) => {
+    if (!groups.has(labels[i])) groups.set(labels[i], []);
+    groups.get(labels[i]).push(vector);
+  });
+
+  const centroids = [...groups.values()].map(members => {
+    const centroid = new Float64Array(members[0].length);
+    members.forEach(member => {
+      for (let d = 0; d < centroid.length; d++) centroid[d] += member[d] / members.length;
+    });
+    return centroid;
+  });
+
+  let minDistance = Infinity;
+  for (let a = 0; a < centroids.length; a++) {
+    for (let b = a + 1; b < centroids.length; b++) {
+      minDistance = Math.min(minDistance, Math.sqrt(distanceSquared(centroids[a], centroids[b])));
+    }
+  }
+  return minDistance;
+}
+
+/**
+ * Assign a speaker index to each feature vector
+ * @param {Array<Float64Array|null>} features - Voice features per segment (null when unusable)
+ * @param {Object} options - Options
+ * @param {number} options.numSpeakers - Known number of speakers (detected when omitted)
+ * @returns {Array<number|null>} - Speaker index per segment, null where features were missing
+ */
+function clusterSpeakers(features, options = {}) {
+  const { numSpeakers = null } = options;
+  const validIndices = features
+    .map((vector, index) => (vector ? index : -1))
+    .filter(index => index !== -1);
+
+  const labels = new Array(features.length).fill(null);
+
+  if (validIndices.length < 2) {
+    validIndices.forEach(index => { labels[index] = 0; });
+    return labels;
+  }
+
+  const rawVectors = validIndices.map(index => features[index]);
+  const vectors = normalizeFeatures(rawVectors);
+  let clustering = null;
+
+  if (numSpeakers) {
+    clustering = kMeans(vectors, Math.min(numSpeakers, vectors.length));
+  } else {
+    let bestScore = config.minSilhouette;
+    const maxSpeakers = Math.min(config.maxSpeakers, vectors.length - 1);
+
+    for (let k = 2; k <= maxSpeakers; k++) {
+      const candidate = kMeans(vectors, k);
+      const score = silhouetteScore(vectors, candidate.labels);
+      if (score > bestScore && minCentroidDistance(rawVectors, candidate.labels) >= config.minSpeakerDistance) {
+        bestScore = score;
+        clustering = candidate;
+      }
+    }
+  }
+
+  validIndices.forEach((segmentIndex, i) => {
+    labels[segmentIndex] = clustering ? clustering.labels[i] : 0;
+  });
+
+  return labels;
+}
+
+/**
+ * Fill gaps and remove flicker in the speaker sequence
+ * Segments without features take the previous speaker; short segments between
+ * two segments of the same speaker are given that speaker
+ * @param {Array<number|null>} labels - Speaker index per segment
+ * @param {Array<Object>} segments - Transcript segments
+ * @returns {Array<number>} - Smoothed speaker indices
+ */
+function smoothLabels(labels, segments) {
+  const smoothed = [...labels];
+
+  // Carry speakers into unlabeled segments, forwards then backwards for a leading gap
+  for (let i = 1; i < smoothed.length; i++) {
+    if (smoothed[i] === null) smoothed[i] = smoothed[i - 1];
+  }
+  for (let i = smoothed.length - 2; i >= 0; i--) {
+    if (smoothed[i] === null) smoothed[i] = smoothed[i + 1];
+  }
+
+  for (let i = 1; i < smoothed.length - 1; i++) {
+    const duration = segments[i].duration ?? (segments[i].end - segments[i].start);
+    if (duration < config.minSegmentDuration && smoothed[i - 1] === smoothed[i + 1]) {
+      smoothed[i] = smoothed[i - 1];
+    }
+  }
+
+  return smoothed.map(label => label ?? 0);
+}
+
+/**
+ * Turn cluster indices into speaker keys numbered by first appearance ("S1" speaks first)
+ * @param {Array<number>} labels - Speaker index per segment
+ * @returns {Array<string>} - Speaker key per segment
+ */
+function toSpeakerKeys(labels) {
+  const keys = new Map();
+  return labels.map(label => {
+    if (!keys.has(label)) keys.set(label, `S${keys.size + 1}`);
+    return keys.get(label);
+  });
+}
+
+/**
+ * Copy speakers onto another track's segments by time overlap (e.g. a translated track)
+ * @param {Array<Object>} targetSegments - Segments to label
+ * @param {Array<Object>} sourceSegments - Diarized segments
+ * @returns {Array<Object>} - Target segments with a speaker property
+ */
+function assignSpeakersByOverlap(targetSegments, sourceSegments) {
+  const segmentEnd = (segment) => segment.end ?? (segment.start + (segment.duration || 0));
+
+  return targetSegments.map(segment => {
+    let speaker = null;
+    let bestOverlap = 0;
+
+    sourceSegments.forEach(source => {
+      const overlap = Math.min(segmentEnd(segment), segmentEnd(source)) - Math.max(segment.start, source.start);
+      if (overlap > bestOverlap) {
+        bestOverlap = overlap;
+        speaker = source.speaker;
+      }
+    });
+
+    // No overlap (zero-length segment or timing drift): use the nearest preceding source segment
+    if (!speaker) {
+      const preceding = sourceSegments.filter(source => source.start <= segment.start);
+      speaker = (preceding[preceding.length - 1] || sourceSegments[0])?.speaker || null;
+    }
+
+    return { ...segment, speaker };
+  });
+}
+
+/**
+ * Per-speaker statistics for the speakers table
+ * @param {Array<Object>} segments - Diarized segments
+ * @returns {Array<Object>} - { speaker_key, segment_count, speaking_time, first_seen }
+ */
+function summarizeSpeakers(segments) {
+  const stats = new Map();
+
+  segments.forEach(segment => {
+    if (!stats.has(segment.speaker)) {
+      stats.set(segment.speaker, {
+        speaker_key: segment.speaker,
+        segment_count: 0,
+        speaking_time: 0,
+        first_seen: segment.start
+      });
+    }
+    const entry = stats.get(segment.speaker);
+    entry.segment_count++;
+    entry.speaking_time += segment.duration ?? Math.max(0, segment.end - segment.start);
+  });
+
+  return [...stats.values()];
+}
+
+/**
+ * Label transcript segments with speakers from the video's audio
+ * @param {string} audioPath - 16 kHz mono WAV of the video
+ * @param {Array<Object>} segments - Transcript segments ({ start, end, duration, text })
+ * @param {Object} options - Options
+ * @param {number} options.numSpeakers - Known number of speakers (optional)
+ * @param {Function} options.onProgress - Feature extraction progress (0-100)
+ * @returns {Promise<Array<Object>>} - Segments with a speaker property
+ */
+async function diarizeSegments(audioPath, segments, options = {}) {
+  const { numSpeakers = null, onProgress = null } = options;
+
+  const audio = await audioFeatures.readWav(audioPath);
+  const ranges = segments.map(segment => ({
+    start: segment.start,
+    end: segment.end ?? (segment.start + (segment.duration || 0))
+  }));
+
+  const features = audioFeatures.extractVoiceFeatures(audio, ranges, { onProgress });
+  const labels = smoothLabels(clusterSpeakers(features, { numSpeakers }), segments);
+  const speakerKeys = toSpeakerKeys(labels);
+
+  return segments.map((segment, index) => ({ ...segment, speaker: speakerKeys[index] }));
+}
+
+/**
+ * Store speaker keys on every transcript track of a video and refresh the speakers table
+ * Names given to speakers that still exist are kept
+ * @param {string} videoId - Video UUID
+ * @param {Array<Object>} diarizedSegments - Primary track segments with speakers
+ * @returns {Promise<Array<Object>>} - Speakers for the video
+ */
+async function storeSpeakerLabels(videoId, diarizedSegments) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const tracksResult = await client.query(
+      'SELECT id, is_primary, segments FROM transcriptions WHERE video_id = $1',
+      [videoId]
+    );
+
+    for (const track of tracksResult.rows) {
+      const segments = track.is_primary
+        ? diarizedSegments
+        : assignSpeakersByOverlap(track.segments || [], diarizedSegments);
+
+      await client.query(
+        'UPDATE transcriptions SET segments = $1, diarized_at = NOW() WHERE id = $2',
+        [JSON.stringify(segments), track.id]
+      );
+    }
+
+    const speakers = summarizeSpeakers(diarizedSegments);
+
+    await client.query(
+      'DELETE FROM video_speakers WHERE video_id = $1 AND NOT (speaker_key = ANY($2))',
+      [videoId, speakers.map(speaker => speaker.speaker_key)]
+    );
+
+    for (const speaker of speakers) {
+      await client.query(
+        `INSERT INTO video_speakers (video_id, speaker_key, segment_count, speaking_time, first_seen)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (video_id, speaker_key)
+         DO UPDATE SET
+           segment_count = EXCLUDED.segment_count,
+           speaking_time = EXCLUDED.speaking_time,
+           first_seen = EXCLUDED.first_seen`,
+        [videoId, speaker.speaker_key, speaker.segment_count, speaker.speaking_time, speaker.first_seen]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Failed to store speaker labels: ${error.message}`);
+  } finally {
+    client.release();
+  }
+
+  return getSpeakers(videoId);
+}
+
+/**
+ * Run diarization for a video's primary transcript
+ * @param {Object} video - Video record
+ * @param {Object} options - Options
+ * @param {number} options.numSpeakers - Known number of speakers (optional)
+ * @param {Function} options.onAudioProgress - Audio extraction progress (0-100)
+ * @param {Function} options.onFeatureProgress - Voice analysis progress (0-100)
+ * @param {Function} options.onStep - Called with the step key when a step starts
+ * @returns {Promise<Array<Object>>} - Speakers for the video
+ */
+async function diarizeVideo(video, options = {}) {
+  const {
+    numSpeakers = null,
+    onAudioProgress = null,
+    onFeatureProgress = null,
+    onStep = null
+  } = options;
+
+  // Lazy requires to avoid circular dependencies
+  const youtubeService = require('./youtubeService');
+  const frameExtractionService = require('./frameExtractionService');
+
+  const transcript = await youtubeService.getTranscriptByVideoId(video.id);
+  const segments = transcript?.segments || [];
+
+  if (segments.length === 0) {
+    throw new Error('No transcript segments to diarize');
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vidlyx-diarize-'));
+  const audioPath = path.join(workDir, 'audio.wav');
+
+  try {
+    onStep?.('EXTRACT_AUDIO');
+    const source = await frameExtractionService.resolveVideoSource(video);
+    await ffmpegUtils.extractAudio(source.input, audioPath, {
+      sampleRate: SAMPLE_RATE,
+      channels: 1,
+      onProgress: onAudioProgress
+    });
+
+    onStep?.('FEATURES');
+    const diarizedSegments = await diarizeSegments(audioPath, segments, {
+      numSpeakers,
+      onProgress: onFeatureProgress
+    });
+
+    onStep?.('STORE');
+    return await storeSpeakerLabels(video.id, diarizedSegments);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Get the speakers of a video, in order of first appearance
+ * @param {string} videoId - Video UUID
+ * @returns {Promise<Array<Object>>} - Speakers with display_name
+ */
+async function getSpeakers(videoId) {
+  const result = await pool.query(
+    `SELECT speaker_key, name, segment_count, speaking_time, first_seen
+     FROM video_speakers
+     WHERE video_id = $1
+     ORDER BY first_seen ASC`,
+    [videoId]
+  );
+
+  return result.rows.map(speaker => ({
+    ...speaker,
+    display_name: speaker.name || defaultSpeakerName(speaker.speaker_key)
+  }));
+}
+
+/**
+ * Map speaker keys to display names
+ * @param {string} videoId - Video UUID
+ * @returns {Promise<Object>} - e.g. { S1: 'Host', S2: 'Speaker 2' }
+ */
+async function getSpeakerNameMap(videoId) {
+  const speakers = await getSpeakers(videoId);
+  return Object.fromEntries(speakers.map(speaker => [speaker.speaker_key, speaker.display_name]));
+}
+
+/**
+ * Rename a speaker for one video
+ * @param {string} videoId - Video UUID
+ * @param {string} speakerKey - Speaker key, e.g. "S1"
+ * @param {string|null} name - New name; empty resets to the default label
+ * @returns {Promise<Object|null>} - Updated speaker or null if not found
+ */
+async function renameSpeaker(videoId, speakerKey, name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+
+  const result = await pool.query(
+    `UPDATE video_speakers SET name = $1
+     WHERE video_id = $2 AND speaker_key = $3
+     RETURNING speaker_key, name, segment_count, speaking_time, first_seen`,
+    [trimmed || null, videoId, speakerKey]
+  );
+
+  const speaker = result.rows[0];
+  if (!speaker) {
+    return null;
+  }
+
+  return {
+    ...speaker,
+    display_name: speaker.name || defaultSpeakerName(speaker.speaker_key)
+  };
+}
+
+/**
+ * Queue diarization when the video looks like an interview or podcast
+ * @param {string} videoId - Video UUID
+ * @returns {Promise<Object|null>} - Queued job or null when skipped
+ */
+async function queueIfConversation(videoId) {
+  if (!config.enabled) {
+    return null;
+  }
+
+  const videoService = require('./videoService');
+  const youtubeService = require('./youtubeService');
+  const { detectCategory } = require('./localSummaryService');
+
+  // Reload so the title fetched during processing is included
+  const video = await videoService.findVideoById(videoId);
+  const transcript = await youtubeService.getTranscriptByVideoId(videoId);
+
+  if (!video || !transcript) {
+    return null;
+  }
+
+  const category = detectCategory(video.title || '', transcript.full_text || '');
+  if (!config.autoCategories.includes(category)) {
+    return null;
+  }
+
+  const analysisJobService = require('./analysisJobService');
+  return analysisJobService.queueDiarization(video, {});
+}
+
+module.exports = {
+  defaultSpeakerName,
+  kMeans,
+  silhouetteScore,
+  minCentroidDistance,
+  clusterSpeakers,
+  smoothLabels,
+  toSpeakerKeys,
+  assignSpeakersByOverlap,
+  summarizeSpeakers,
+  diarizeSegments,
+  storeSpeakerLabels,
+  diarizeVideo,
+  getSpeakers,
+  getSpeakerNameMap,
+  renameSpeaker,
+  queueIfConversation
+};
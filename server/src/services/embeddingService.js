@@ -0,0 +1,400 @@
+/**
+ * Embedding Service
+ * Builds searchable passages from transcripts, frames, sections and saves,
+ * embeds them with the configured local embedding model and stores them in content_embeddings
+ * Passages whose text and model are unchanged keep their stored vector, so re-indexing is cheap
+ */
+
+const pool = require('./db');
+const llmService = require('./llmService');
+const llmConfig = require('../config/llmConfig');
+const { embeddingQueue, defaultJobOptions } = require('../jobs/queue');
+
+const VIDEO_SOURCE_TYPES = ['transcript', 'frame', 'section'];
+
+/**
+ * Format a vector as a pgvector literal
+ * @param {Array<number>} vector - Embedding
+ * @returns {string} e.g. "[0.1,0.2,...]"
+ */
+function toVectorLiteral(vector) {
+  return `[${vector.join(',')}]`;
+}
+
+/**
+ * Group transcript segments into passages of roughly chunkSize characters
+ * Chunks end on segment boundaries so every passage has exact start and end times
+ * @param {Array<Object>} segments - Transcript segments ({ start, end, duration, text })
+ * @param {number} chunkSize - Target characters per chunk
+ * @returns {Array<Object>} Chunks ({ start, end, text })
+ */
+function buildTranscriptChunks(segments, chunkSize = llmConfig.embeddings.chunkSize) {
+  const chunks = [];
+  let current = null;
+
+  for (const segment of segments) {
+    const text = (segment.text || '').trim();
+    if (!text) {
+      continue;
+    }
+
+    const segmentEnd = segment.end ?? (segment.start + (segment.duration || 0));
+
+    if (!current) {
+      current = { start: segment.start, end: segmentEnd, text };
+    } else {
+      current.end = segmentEnd;
+      current.text += ` ${text}`;
+    }
+
+    if (current.text.length >= chunkSize) {
+      chunks.push(current);
+      current = null;
+    }
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * Collect the passages to embed for a video
+ * @param {string} videoId - Video UUID
+ * @returns {Promise<Array<Object>>} Passages ({ sourceType, sourceId, chunkIndex, startTime, endTime, content })
+ */
+async function collectVideoPassages(videoId) {
+  const [transcriptResult, framesResult, sectionsResult] = await Promise.all([
+    pool.query(
+      `SELECT id, segments FROM transcriptions WHERE video_id = $1 AND is_primary = true LIMIT 1`,
+      [videoId]
+    ),
+    pool.query(
+      `SELECT id, timestamp_seconds, on_screen_text, scene_description
+       FROM frames
+       WHERE video_id = $1
+         AND duplicate_of IS NULL
+         AND (COALESCE(on_screen_text, '') <> '' OR COALESCE(scene_description, '') <> '')
+       ORDER BY timestamp_seconds ASC`,
+      [videoId]
+    ),
+    pool.query(
+      `SELECT id, title, summary, start_time, end_time
+       FROM sections
+       WHERE video_id = $1
+       ORDER BY section_order ASC`,
+      [videoId]
+    )
+  ]);
+
+  const passages = [];
+
+  const transcript = transcriptResult.rows[0];
+  if (transcript && Array.isArray(transcript.segments)) {
+    buildTranscriptChunks(transcript.segments).forEach((chunk, index) => {
+      passages.push({
+        sourceType: 'transcript',
+        sourceId: transcript.id,
+        chunkIndex: index,
+        startTime: chunk.start,
+        endTime: chunk.end,
+        content: chunk.text
+      });
+    });
+  }
+
+  framesResult.rows.forEach(frame => {
+    passages.push({
+      sourceType: 'frame',
+      sourceId: frame.id,
+      chunkIndex: 0,
+      startTime: frame.timestamp_seconds,
+      endTime: frame.timestamp_seconds,
+      content: [frame.scene_description, frame.on_screen_text].filter(Boolean).join('\n')
+    });
+  });
+
+  sectionsResult.rows.forEach(section => {
+    passages.push({
+      sourceType: 'section',
+      sourceId: section.id,
+      chunkIndex: 0,
+      startTime: section.start_time,
+      endTime: section.end_time,
+      content: section.summary ? `${section.title}: ${section.summary}` : section.title
+    });
+  });
+
+  return passages;
+}
+
+/**
+ * Embed passages, reusing stored vectors for passages that have not changed
+ * @param {Array<Object>} passages - Passages from collectVideoPassages
+ * @param {Map<string, Object>} existing - Stored rows keyed by sourceType:sourceId:chunkIndex
+ * @param {Object} options - Options passed to llmService.embedTexts (videoId, userId)
+ * @returns {Promise<Object>} { vectors (pgvector literals in passage order), embeddedCount }
+ */
+async function embedPassages(passages, existing, options) {
+  const { model, batchSize, documentPrefix } = llmConfig.embeddings;
+  const vectors = new Array(passages.length);
+  const pending = [];
+
+  passages.forEach((passage, index) => {
+    const stored = existing.get(`${passage.sourceType}:${passage.sourceId}:${passage.chunkIndex}`);
+    if (stored && stored.content === passage.content && stored.model === model) {
+      vectors[index] = stored.embedding;
+    } else {
+      pending.push(index);
+    }
+  });
+
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize);
+    const embeddings = await llmService.embedTexts(
+      batch.map(index => `${documentPrefix}${passages[index].content}`),
+      options
+    );
+    batch.forEach((index, position) => {
+      vectors[index] = toVectorLiteral(embeddings[position]);
+    });
+  }
+
+  return { vectors, embeddedCount: pending.length };
+}
+
+/**
+ * Replace the stored passages of the given source types for a video
+ * @param {Object} scope - { workspaceId, userId, videoId, sourceTypes, sourceId (optional, limits to one source) }
+ * @param {Array<Object>} passages - Passages to store
+ * @param {Array<string>} vectors - pgvector literals, one per passage
+ */
+async function replacePassages(scope, passages, vectors) {
+  const { workspaceId, userId, videoId, sourceTypes, sourceId = null } = scope;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `DELETE FROM content_embeddings
+       WHERE video_id = $1
+         AND source_type = ANY($2)
+         AND ($3::uuid IS NULL OR source_id = $3)`,
+      [videoId, sourceTypes, sourceId]
+    );
+
+    for (let i = 0; i < passages.length; i++) {
+      const passage = passages[i];
+      await client.query(
+        `INSERT INTO content_embeddings
+          (workspace_id, user_id, video_id, source_type, source_id, chunk_index, start_time, end_time, content, model, embedding)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          workspaceId,
+          userId,
+          videoId,
+          passage.sourceType,
+          passage.sourceId,
+          passage.chunkIndex,
+          passage.startTime,
+          passage.endTime,
+          passage.content,
+          llmConfig.embeddings.model,
+          vectors[i]
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Load stored passages so unchanged ones can keep their vectors
+ * @param {string} videoId - Video UUID
+ * @param {Array<string>} sourceTypes - Source types to load
+ * @returns {Promise<Map<string, Object>>} Rows keyed by sourceType:sourceId:chunkIndex
+ */
+async function loadExistingPassages(videoId, sourceTypes) {
+  const result = await pool.query(
+    `SELECT source_type, source_id, chunk_index, content, model, embedding::text AS embedding
+     FROM content_embeddings
+     WHERE video_id = $1 AND source_type = ANY($2)`,
+    [videoId, sourceTypes]
+  );
+
+  return new Map(result.rows.map(row => [
+    `${row.source_type}:${row.source_id}:${row.chunk_index}`,
+    row
+  ]));
+}
+
+/**
+ * Embed a video's transcript chunks, frame text and section summaries
+ * @param {string} videoId - Video UUID
+ * @returns {Promise<Object>} { passages, embedded } counts
+ */
+async function indexVideo(videoId) {
+  try {
+    const videoResult = await pool.query('SELECT id, workspace_id, user_id FROM videos WHERE id = $1', [videoId]);
+    const video = videoResult.rows[0];
+    if (!video) {
+      throw new Error('Video not found');
+    }
+
+    const passages = await collectVideoPassages(videoId);
+    const existing = await loadExistingPassages(videoId, VIDEO_SOURCE_TYPES);
+    const { vectors, embeddedCount } = await embedPassages(passages, existing, {
+      videoId,
+      userId: video.user_id
+    });
+
+    await replacePassages(
+      { workspaceId: video.workspace_id, userId: video.user_id, videoId, sourceTypes: VIDEO_SOURCE_TYPES },
+      passages,
+      vectors
+    );
+
+    return { passages: passages.length, embedded: embeddedCount };
+  } catch (error) {
+    throw new Error(`Failed to index video: ${error.message}`);
+  }
+}
+
+/**
+ * Embed a save's title and notes
+ * @param {string} saveId - Save UUID
+ * @returns {Promise<Object>} { passages, embedded } counts
+ */
+async function indexSave(saveId) {
+  try {
+    const saveResult = await pool.query(
+      'SELECT id, workspace_id, user_id, video_id, title, notes FROM saves WHERE id = $1',
+      [saveId]
+    );
+    const save = saveResult.rows[0];
+
+    if (!save) {
+      await pool.query(
+        `DELETE FROM content_embeddings WHERE source_type = 'save' AND source_id = $1`,
+        [saveId]
+      );
+      return { passages: 0, embedded: 0 };
+    }
+
+    const content = [save.title, save.notes].filter(Boolean).join('\n').trim();
+    const passages = content
+      ? [{ sourceType: 'save', sourceId: save.id, chunkIndex: 0, startTime: null, endTime: null, content }]
+      : [];
+
+    const existing = await loadExistingPassages(save.video_id, ['save']);
+    const { vectors, embeddedCount } = await embedPassages(passages, existing, {
+      videoId: save.video_id,
+      userId: save.user_id
+    });
+
+    await replacePassages(
+      {
+        workspaceId: save.workspace_id,
+        userId: save.user_id,
+        videoId: save.video_id,
+        sourceTypes: ['save'],
+        sourceId: save.id
+      },
+      passages,
+      vectors
+    );
+
+    return { passages: passages.length, embedded: embeddedCount };
+  } catch (error) {
+    throw new Error(`Failed to index save: ${error.message}`);
+  }
+}
+
+/**
+ * Embed a search query
+ * @param {string} query - Search text
+ * @param {Object} options - Options passed to llmService.embedTexts (userId)
+ * @returns {Promise<string>} pgvector literal
+ */
+async function embedQuery(query, options = {}) {
+  const [embedding] = await llmService.embedTexts(
+    [`${llmConfig.embeddings.queryPrefix}${query}`],
+    options
+  );
+  return toVectorLiteral(embedding);
+}
+
+/**
+ * Queue a video for (re-)indexing
+ * Does nothing when no embedding endpoint is configured
+ * @param {string} videoId - Video UUID
+ * @returns {Promise<Object|null>} Bull job or null
+ */
+async function queueVideoIndex(videoId) {
+  if (!llmService.isEmbeddingAvailable()) {
+    return null;
+  }
+
+  return embeddingQueue.add(
+    { kind: 'video', videoId },
+    { ...defaultJobOptions, removeOnComplete: true }
+  );
+}
+
+/**
+ * Queue a save for (re-)indexing
+ * Does nothing when no embedding endpoint is configured
+ * @param {string} saveId - Save UUID
+ * @returns {Promise<Object|null>} Bull job or null
+ */
+async function queueSaveIndex(saveId) {
+  if (!llmService.isEmbeddingAvailable()) {
+    return null;
+  }
+
+  return embeddingQueue.add(
+    { kind: 'save', saveId },
+    { ...defaultJobOptions, removeOnComplete: true }
+  );
+}
+
+/**
+ * Queue every video and save of a workspace for indexing (backfill after enabling semantic search)
+ * @param {string} workspaceId - Workspace UUID
+ * @returns {Promise<Object>} { videos, saves } counts queued
+ */
+async function queueWorkspaceIndex(workspaceId) {
+  const [videosResult, savesResult] = await Promise.all([
+    pool.query('SELECT id FROM videos WHERE workspace_id = $1', [workspaceId]),
+    pool.query('SELECT id FROM saves WHERE workspace_id = $1', [workspaceId])
+  ]);
+
+  for (const video of videosResult.rows) {
+    await queueVideoIndex(video.id);
+  }
+  for (const save of savesResult.rows) {
+    await queueSaveIndex(save.id);
+  }
+
+  return { videos: videosResult.rows.length, saves: savesResult.rows.length };
+}
+
+module.exports = {
+  buildTranscriptChunks,
+  collectVideoPassages,
+  indexVideo,
+  indexSave,
+  embedQuery,
+  queueVideoIndex,
+  queueSaveIndex,
+  queueWorkspaceIndex
+};
@@ -3,6 +3,17 @@
  */
 
 const pool = require('./db');
+const { defaultSpeakerName } = require('./diarizationService');
+const pdfExportService = require('./pdfExportService');
+const researchService = require('./researchService');
+const summaryService = require('./summaryService');
+const { formatTimestamp } = require('../utils/formatters');
+
+// Frames embedded in an analysis export; key frames are preferred
+const MAX_ANALYSIS_FRAMES = 30;
+
+// Longest transcript excerpt shown under each section
+const MAX_EXCERPT_LENGTH = 600;
 
 /**
  * Sanitize a string for use as a filename
@@ -48,13 +59,41 @@ function formatVttTime(seconds) {
   return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
 }
 
+/**
+ * Load speaker display names for a video
+ * @param {object} client - Database client
+ * @param {string} videoId - Video ID
+ * @returns {Promise<object>} - Map of speaker key to name (empty when not diarized)
+ */
+async function getSpeakerNames(client, videoId) {
+  const result = await client.query(
+    'SELECT speaker_key, name FROM video_speakers WHERE video_id = $1',
+    [videoId]
+  );
+
+  return Object.fromEntries(
+    result.rows.map(row => [row.speaker_key, row.name || defaultSpeakerName(row.speaker_key)])
+  );
+}
+
+/**
+ * Get the display name of a segment's speaker
+ * @param {object} speakers - Map of speaker key to name
+ * @param {object} segment - Transcript segment
+ * @returns {string|null} - Speaker name, or null when the segment has no speaker
+ */
+function speakerName(speakers, segment) {
+  if (!segment.speaker) return null;
+  return (speakers && speakers[segment.speaker]) || defaultSpeakerName(segment.speaker);
+}
+
 /**
  * Get save with all related content
  * @param {string} saveId - Save ID
- * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
  * @returns {Promise<object>} - Save with all related data
  */
-async function getSaveWithContent(saveId, userId) {
+async function getSaveWithContent(saveId, workspaceId) {
   const client = await pool.connect();
 
   try {
@@ -75,10 +114,10 @@ async function getSaveWithContent(saveId, userId) {
         v.thumbnail_url
       FROM saves s
       JOIN videos v ON s.video_id = v.id
-      WHERE s.id = $1 AND s.user_id = $2
+      WHERE s.id = $1 AND s.workspace_id = $2
     `;
 
-    const saveResult = await client.query(saveQuery, [saveId, userId]);
+    const saveResult = await client.query(saveQuery, [saveId, workspaceId]);
 
     if (saveResult.rows.length === 0) {
       return null;
@@ -118,10 +157,37 @@ async function getSaveWithContent(saveId, userId) {
 
     const transcriptsResult = await client.query(transcriptsQuery, [saveId]);
 
+    // Attribute transcript selections to speakers when the video has been diarized
+    let transcripts = transcriptsResult.rows;
+    if (transcripts.length > 0) {
+      const diarizedResult = await client.query(
+        `SELECT segments FROM transcriptions
+         WHERE video_id = $1 AND is_primary = true AND diarized_at IS NOT NULL`,
+        [save.video_id]
+      );
+
+      if (diarizedResult.rows.length > 0) {
+        const segments = diarizedResult.rows[0].segments || [];
+        const speakers = await getSpeakerNames(client, save.video_id);
+
+        transcripts = transcripts.map(t => {
+          const start = parseFloat(t.start_time);
+          const end = parseFloat(t.end_time);
+          const names = segments
+            .filter(segment => segment.start < end && (segment.start + (segment.duration || 0)) > start)
+            .map(segment => speakerName(speakers, segment))
+            .filter(Boolean);
+
+          return { ...t, speakers: [...new Set(names)] };
+        });
+      }
+    }
+
     // Get summary excerpts
     const summariesQuery = `
       SELECT
         ss.id,
+        ss.section_id,
         ss.excerpt,
         s.title as section_title,
         s.start_time,
@@ -166,7 +232,7 @@ async function getSaveWithContent(saveId, userId) {
     return {
       ...save,
       frames: framesResult.rows,
-      transcripts: transcriptsResult.rows,
+      transcripts,
       summaries: summariesResult.rows,
       folders: foldersResult.rows,
       tags: tagsResult.rows
@@ -194,7 +260,7 @@ function exportAsJson(save) {
       channel_name: save.channel_name,
       duration: save.duration,
       thumbnail_url: save.thumbnail_url,
-      url: `https://youtube.com/watch?v=${save.youtube_id}`
+      url: save.youtube_id ? `https://youtube.com/watch?v=${save.youtube_id}` : null
     },
     frames: save.frames.map(f => ({
       timestamp: parseFloat(f.timestamp_seconds),
@@ -243,7 +309,9 @@ function exportAsMarkdown(save) {
   if (save.channel_name) {
     md += `**Channel:** ${save.channel_name}\n\n`;
   }
-  md += `**URL:** [Watch on YouTube](https://youtube.com/watch?v=${save.youtube_id})\n\n`;
+  if (save.youtube_id) {
+    md += `**URL:** [Watch on YouTube](https://youtube.com/watch?v=${save.youtube_id})\n\n`;
+  }
 
   // Notes
   if (save.notes) {
@@ -272,7 +340,11 @@ function exportAsMarkdown(save) {
       const startTime = formatTimestamp(parseFloat(t.start_time));
       const endTime = formatTimestamp(parseFloat(t.end_time));
       md += `### ${index + 1}. ${startTime} - ${endTime}\n\n`;
-      md += `${t.text}\n\n`;
+      if (t.speakers && t.speakers.length > 0) {
+        md += `**${t.speakers.join(', ')}:** ${t.text}\n\n`;
+      } else {
+        md += `${t.text}\n\n`;
+      }
     });
   }
 
@@ -336,7 +408,10 @@ function exportAsText(save) {
   if (save.channel_name) {
     text += `Channel: ${save.channel_name}\n`;
   }
-  text += `URL: https://youtube.com/watch?v=${save.youtube_id}\n\n`;
+  if (save.youtube_id) {
+    text += `URL: https://youtube.com/watch?v=${save.youtube_id}\n`;
+  }
+  text += `\n`;
 
   // Notes
   if (save.notes) {
@@ -419,31 +494,15 @@ function exportAsText(save) {
   return text;
 }
 
-/**
- * Format timestamp in seconds to HH:MM:SS or MM:SS
- * @param {number} seconds - Time in seconds
- * @returns {string} - Formatted timestamp
- */
-function formatTimestamp(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-
-  if (hours > 0) {
-    return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
-  }
-  return `${minutes}:${String(secs).padStart(2, '0')}`;
-}
-
 /**
  * Export save in specified format
  * @param {string} saveId - Save ID
- * @param {string} userId - User ID
- * @param {string} format - Export format (json, markdown, txt)
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} format - Export format (json, markdown, txt, pdf)
  * @returns {Promise<object>} - Export data with content and metadata
  */
-async function exportSave(saveId, userId, format = 'json') {
-  const save = await getSaveWithContent(saveId, userId);
+async function exportSave(saveId, workspaceId, format = 'json') {
+  const save = await getSaveWithContent(saveId, workspaceId);
 
   if (!save) {
     throw new Error('Save not found');
@@ -468,6 +527,12 @@ async function exportSave(saveId, userId, format = 'json') {
       fileExtension = 'txt';
       break;
 
+    case 'pdf':
+      content = await pdfExportService.renderSave(save);
+      contentType = 'application/pdf';
+      fileExtension = 'pdf';
+      break;
+
     case 'json':
     default:
       content = exportAsJson(save);
@@ -485,17 +550,375 @@ async function exportSave(saveId, userId, format = 'json') {
   };
 }
 
+/**
+ * Parse a JSONB list that may hold strings or objects into display strings
+ * @param {Array|string|null} value - Stored list
+ * @returns {Array<string>}
+ */
+function toTextList(value) {
+  let list = value;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      return [list];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .map(item => (typeof item === 'string' ? item : item && (item.text || item.point || item.title || item.name)))
+    .filter(Boolean);
+}
+
+/**
+ * Join the transcript segments that start within a time range, shortened to an excerpt
+ * @param {Array<object>} segments - Transcript segments with start and text
+ * @param {number} start - Range start in seconds
+ * @param {number} end - Range end in seconds
+ * @returns {string|null}
+ */
+function transcriptExcerpt(segments, start, end) {
+  const text = segments
+    .filter(segment => (segment.start || 0) >= start && (segment.start || 0) < end)
+    .map(segment => segment.text)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!text) return null;
+  if (text.length <= MAX_EXCERPT_LENGTH) return text;
+
+  return text.substring(0, text.lastIndexOf(' ', MAX_EXCERPT_LENGTH)) + '…';
+}
+
+/**
+ * Get a video's full analysis: summary, sections with transcript excerpts, key points and frames
+ * @param {string} videoId - Video ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<object|null>} - { video, summary, sections, keyPoints, frames }, or null if not found
+ */
+async function getVideoAnalysis(videoId, workspaceId) {
+  const client = await pool.connect();
+
+  try {
+    const videoResult = await client.query(
+      `SELECT id, youtube_id, title, channel_name, duration, thumbnail_url
+       FROM videos
+       WHERE id = $1 AND workspace_id = $2`,
+      [videoId, workspaceId]
+    );
+
+    if (videoResult.rows.length === 0) {
+      return null;
+    }
+
+    const video = videoResult.rows[0];
+
+    const summaryResult = await client.query(
+      `SELECT full_summary, key_takeaways, topics FROM video_summaries WHERE video_id = $1`,
+      [videoId]
+    );
+
+    const sectionsResult = await client.query(
+      `SELECT id, title, start_time, end_time, summary, key_points
+       FROM sections
+       WHERE video_id = $1
+       ORDER BY section_order ASC`,
+      [videoId]
+    );
+
+    const keyPoints = await summaryService.getKeyPointsForVideos([videoId]);
+
+    const transcriptResult = await client.query(
+      `SELECT segments FROM transcriptions
+       WHERE video_id = $1
+       ORDER BY is_primary DESC, created_at DESC
+       LIMIT 1`,
+      [videoId]
+    );
+
+    // Key frames first, then the rest, keeping the earliest of each kind
+    const framesResult = await client.query(
+      `SELECT * FROM (
+         SELECT id, timestamp_seconds, frame_path, on_screen_text, scene_description, is_keyframe
+         FROM frames
+         WHERE video_id = $1
+         ORDER BY is_keyframe DESC, timestamp_seconds ASC
+         LIMIT $2
+       ) f
+       ORDER BY timestamp_seconds ASC`,
+      [videoId, MAX_ANALYSIS_FRAMES]
+    );
+
+    const segments = transcriptResult.rows[0]?.segments;
+    const summaryRow = summaryResult.rows[0];
+
+    return {
+      video,
+      summary: summaryRow
+        ? {
+            full_summary: summaryRow.full_summary,
+            key_takeaways: toTextList(summaryRow.key_takeaways),
+            topics: toTextList(summaryRow.topics)
+          }
+        : null,
+      sections: sectionsResult.rows.map(section => ({
+        ...section,
+        key_points: toTextList(section.key_points),
+        transcript_excerpt: Array.isArray(segments)
+          ? transcriptExcerpt(segments, parseFloat(section.start_time), parseFloat(section.end_time))
+          : null
+      })),
+      keyPoints,
+      frames: framesResult.rows
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Export a video analysis as Markdown
+ * @param {object} analysis - Analysis from getVideoAnalysis
+ * @returns {string} - Markdown export
+ */
+function analysisAsMarkdown(analysis) {
+  const { video, summary, sections, keyPoints, frames } = analysis;
+  const link = seconds => (video.youtube_id
+    ? `[${formatTimestamp(seconds)}](https://youtube.com/watch?v=${video.youtube_id}&t=${Math.floor(seconds)}s)`
+    : `\`${formatTimestamp(seconds)}\``);
+
+  let md = `# ${video.title}\n\n`;
+
+  if (video.channel_name) {
+    md += `**Channel:** ${video.channel_name}\n\n`;
+  }
+  if (video.youtube_id) {
+    md += `**URL:** [Watch on YouTube](https://youtube.com/watch?v=${video.youtube_id})\n\n`;
+  }
+
+  if (summary) {
+    md += `## Summary\n\n${summary.full_summary}\n\n`;
+    if (summary.key_takeaways.length > 0) {
+      md += `### Key Takeaways\n\n`;
+      md += summary.key_takeaways.map(item => `- ${item}`).join('\n') + '\n\n';
+    }
+  }
+
+  if (sections.length > 0) {
+    md += `## Sections\n\n`;
+    sections.forEach(section => {
+      md += `### ${section.title} (${link(parseFloat(section.start_time))})\n\n`;
+      if (section.summary) {
+        md += `${section.summary}\n\n`;
+      }
+      if (section.key_points.length > 0) {
+        md += section.key_points.map(item => `- ${item}`).join('\n') + '\n\n';
+      }
+      if (section.transcript_excerpt) {
+        md += `> ${section.transcript_excerpt}\n\n`;
+      }
+    });
+  }
+
+  if (keyPoints.length > 0) {
+    md += `## Key Points\n\n`;
+    keyPoints.forEach(point => {
+      const time = point.timestamp_seconds !== null ? `${link(parseFloat(point.timestamp_seconds))} ` : '';
+      md += `- ${time}${point.point_text}\n`;
+    });
+    md += '\n';
+  }
+
+  if (frames.length > 0) {
+    md += `## Frames\n\n`;
+    frames.forEach(frame => {
+      md += `### Frame at ${link(parseFloat(frame.timestamp_seconds))}${frame.is_keyframe ? ' (Key Frame)' : ''}\n\n`;
+      if (frame.scene_description) {
+        md += `${frame.scene_description}\n\n`;
+      }
+      if (frame.on_screen_text) {
+        md += `**On-screen text:**\n\n\`\`\`\n${frame.on_screen_text}\n\`\`\`\n\n`;
+      }
+    });
+  }
+
+  md += `---\n\n*Exported from Vidlyx on ${new Date().toLocaleDateString()}*\n`;
+
+  return md;
+}
+
+/**
+ * Export a video analysis in specified format
+ * @param {string} videoId - Video ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} format - Export format (pdf, md, json)
+ * @returns {Promise<object>} - Export data with content and metadata
+ */
+async function exportAnalysis(videoId, workspaceId, format = 'pdf') {
+  const analysis = await getVideoAnalysis(videoId, workspaceId);
+
+  if (!analysis) {
+    throw new Error('Video not found');
+  }
+
+  let content;
+  let contentType;
+  let fileExtension;
+
+  switch (format.toLowerCase()) {
+    case 'md':
+    case 'markdown':
+      content = analysisAsMarkdown(analysis);
+      contentType = 'text/markdown';
+      fileExtension = 'md';
+      break;
+
+    case 'json':
+      content = {
+        ...analysis,
+        // Frame file paths are server-internal
+        frames: analysis.frames.map(({ frame_path, ...frame }) => frame)
+      };
+      contentType = 'application/json';
+      fileExtension = 'json';
+      break;
+
+    case 'pdf':
+    default:
+      content = await pdfExportService.renderAnalysis(analysis);
+      contentType = 'application/pdf';
+      fileExtension = 'pdf';
+      break;
+  }
+
+  const filename = sanitizeFilename(analysis.video.title || 'analysis') + '.' + fileExtension;
+
+  return {
+    content,
+    contentType,
+    filename
+  };
+}
+
+/**
+ * Link a research citation to its moment in the video
+ * @param {object} citation - Citation with video and timestamp
+ * @returns {string} - Markdown
+ */
+function researchCitationLink(citation) {
+  const seconds = parseFloat(citation.start_time) || 0;
+  const label = `${citation.video_title || 'Untitled video'} @ ${formatTimestamp(seconds)}`;
+
+  return citation.youtube_id
+    ? `[${label}](https://youtube.com/watch?v=${citation.youtube_id}&t=${Math.floor(seconds)}s)`
+    : label;
+}
+
+/**
+ * Export a research thread as Markdown
+ * Citation markers in the answers point to numbered footnotes naming the video and timestamp.
+ * @param {object} thread - Thread from researchService.getThread
+ * @returns {string} - Markdown export
+ */
+function researchThreadAsMarkdown(thread) {
+  const scope = {
+    folder: `Videos in the folder ${thread.scope_name || '(deleted)'}`,
+    tag: `Videos tagged ${thread.scope_name || '(deleted)'}`,
+    videos: `${thread.video_ids.length} selected video${thread.video_ids.length === 1 ? '' : 's'}`
+  }[thread.scope_type];
+
+  let md = `# ${thread.title}\n\n`;
+  md += `**Searched:** ${scope}\n\n`;
+  md += `**Started:** ${new Date(thread.created_at).toLocaleString()}\n\n`;
+
+  thread.messages.forEach(message => {
+    if (message.role === 'user') {
+      md += `## ${message.content.replace(/\s+/g, ' ')}\n\n`;
+      return;
+    }
+
+    const citations = Array.isArray(message.citations) ? message.citations : [];
+    const byIndex = new Map(citations.map(citation => [citation.index, citation]));
+    const answer = message.content.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (marker, numbers) => {
+      const notes = numbers.split(',')
+        .map(n => parseInt(n, 10))
+        .filter(n => byIndex.has(n))
+        .map(n => `[^${message.id.substring(0, 8)}-${n}]`);
+      return notes.length > 0 ? notes.join('') : marker;
+    });
+
+    md += `${answer}\n\n`;
+
+    if (citations.length > 0) {
+      citations.forEach(citation => {
+        md += `[^${message.id.substring(0, 8)}-${citation.index}]: ${researchCitationLink(citation)} — ${citation.excerpt.replace(/\s+/g, ' ')}\n`;
+      });
+      md += '\n';
+    }
+  });
+
+  md += `---\n\n*Exported from Vidlyx on ${new Date().toLocaleDateString()}*\n`;
+
+  return md;
+}
+
+/**
+ * Export a research thread in specified format
+ * @param {string} threadId - Thread ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} format - Export format (markdown, json)
+ * @returns {Promise<object>} - Export data with content and metadata
+ */
+async function exportResearchThread(threadId, workspaceId, format = 'markdown') {
+  const thread = await researchService.getThread(threadId, workspaceId);
+
+  if (!thread) {
+    throw new Error('Research thread not found');
+  }
+
+  let content;
+  let contentType;
+  let fileExtension;
+
+  switch (format.toLowerCase()) {
+    case 'json':
+      content = thread;
+      contentType = 'application/json';
+      fileExtension = 'json';
+      break;
+
+    case 'md':
+    case 'markdown':
+    default:
+      content = researchThreadAsMarkdown(thread);
+      contentType = 'text/markdown';
+      fileExtension = 'md';
+      break;
+  }
+
+  const filename = sanitizeFilename(thread.title || 'research') + '.' + fileExtension;
+
+  return {
+    content,
+    contentType,
+    filename
+  };
+}
+
 /**
  * Get full transcript for a video
  * @param {string} videoId - Video ID
- * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} language - Track language (optional, defaults to the primary track)
  * @returns {Promise<object>} - Transcript data
  */
-async function getTranscriptForVideo(videoId, userId) {
+async function getTranscriptForVideo(videoId, workspaceId, language = null) {
   const client = await pool.connect();
 
   try {
-    // Verify video belongs to user
+    // Verify video belongs to the workspace
     const videoQuery = `
       SELECT
         v.id,
@@ -503,10 +926,10 @@ async function getTranscriptForVideo(videoId, userId) {
         v.title,
         v.channel_name
       FROM videos v
-      WHERE v.id = $1 AND v.user_id = $2
+      WHERE v.id = $1 AND v.workspace_id = $2
     `;
 
-    const videoResult = await client.query(videoQuery, [videoId, userId]);
+    const videoResult = await client.query(videoQuery, [videoId, workspaceId]);
 
     if (videoResult.rows.length === 0) {
       return null;
@@ -514,7 +937,7 @@ async function getTranscriptForVideo(videoId, userId) {
 
     const video = videoResult.rows[0];
 
-    // Get transcript with segments
+    // Get transcript with segments, in the requested language or the primary track
     const transcriptQuery = `
       SELECT
         full_text,
@@ -523,24 +946,27 @@ async function getTranscriptForVideo(videoId, userId) {
         language
       FROM transcriptions
       WHERE video_id = $1
-      ORDER BY created_at DESC
+        AND ($2::varchar IS NULL OR language = $2)
+      ORDER BY is_primary DESC, created_at DESC
       LIMIT 1
     `;
 
-    const transcriptResult = await client.query(transcriptQuery, [videoId]);
+    const transcriptResult = await client.query(transcriptQuery, [videoId, language]);
 
     if (transcriptResult.rows.length === 0) {
       throw new Error('No transcript found for this video');
     }
 
     const transcript = transcriptResult.rows[0];
+    const speakers = await getSpeakerNames(client, videoId);
 
     return {
       ...video,
       full_text: transcript.full_text,
       segments: transcript.segments,
       transcript_type: transcript.transcript_type,
-      language: transcript.language
+      language: transcript.language,
+      speakers
     };
   } finally {
     client.release();
@@ -561,7 +987,10 @@ function transcriptAsText(transcript) {
   if (transcript.channel_name) {
     text += `Channel: ${transcript.channel_name}\n`;
   }
-  text += `URL: https://youtube.com/watch?v=${transcript.youtube_id}\n\n`;
+  if (transcript.youtube_id) {
+    text += `URL: https://youtube.com/watch?v=${transcript.youtube_id}\n`;
+  }
+  text += `\n`;
 
   text += `TRANSCRIPT\n`;
   text += `----------\n\n`;
@@ -569,7 +998,10 @@ function transcriptAsText(transcript) {
   if (transcript.segments && Array.isArray(transcript.segments)) {
     transcript.segments.forEach(segment => {
       const timestamp = formatTimestamp(segment.start || 0);
-      text += `[${timestamp}] ${segment.text}\n`;
+      const speaker = speakerName(transcript.speakers, segment);
+      text += speaker
+        ? `[${timestamp}] ${speaker}: ${segment.text}\n`
+        : `[${timestamp}] ${segment.text}\n`;
     });
   } else {
     text += transcript.full_text;
@@ -598,9 +1030,11 @@ function transcriptAsSrt(transcript) {
     const duration = segment.duration || 3;
     const end = start + duration;
 
+    const speaker = speakerName(transcript.speakers, segment);
+
     srt += `${index + 1}\n`;
     srt += `${formatSrtTime(start)} --> ${formatSrtTime(end)}\n`;
-    srt += `${segment.text}\n\n`;
+    srt += speaker ? `${speaker}: ${segment.text}\n\n` : `${segment.text}\n\n`;
   });
 
   return srt;
@@ -623,23 +1057,79 @@ function transcriptAsVtt(transcript) {
     const duration = segment.duration || 3;
     const end = start + duration;
 
+    const speaker = speakerName(transcript.speakers, segment);
+
     vtt += `${index + 1}\n`;
     vtt += `${formatVttTime(start)} --> ${formatVttTime(end)}\n`;
-    vtt += `${segment.text}\n\n`;
+    // WebVTT voice span, shown as the speaker by players that support it
+    vtt += speaker ? `<v ${speaker}>${segment.text}</v>\n\n` : `${segment.text}\n\n`;
   });
 
   return vtt;
 }
 
+/**
+ * Export transcript as Markdown
+ * Consecutive segments by the same speaker are joined into one paragraph;
+ * transcripts without speakers get one paragraph per minute
+ * @param {object} transcript - Transcript data
+ * @returns {string} - Markdown transcript
+ */
+function transcriptAsMarkdown(transcript) {
+  let md = `# ${transcript.title}\n\n`;
+
+  if (transcript.channel_name) {
+    md += `**Channel:** ${transcript.channel_name}\n\n`;
+  }
+  if (transcript.youtube_id) {
+    md += `**URL:** [Watch on YouTube](https://youtube.com/watch?v=${transcript.youtube_id})\n\n`;
+  }
+
+  md += `## Transcript\n\n`;
+
+  if (!transcript.segments || !Array.isArray(transcript.segments)) {
+    md += `${transcript.full_text}\n\n`;
+  } else {
+    const paragraphs = [];
+
+    transcript.segments.forEach(segment => {
+      const speaker = speakerName(transcript.speakers, segment);
+      const key = speaker || Math.floor((segment.start || 0) / 60);
+      const last = paragraphs[paragraphs.length - 1];
+
+      if (last && last.key === key) {
+        last.texts.push(segment.text);
+      } else {
+        paragraphs.push({ key, speaker, start: segment.start || 0, texts: [segment.text] });
+      }
+    });
+
+    paragraphs.forEach(paragraph => {
+      const timestamp = formatTimestamp(paragraph.start);
+      md += paragraph.speaker
+        ? `**${paragraph.speaker}** \`${timestamp}\`\n\n`
+        : `\`${timestamp}\`\n\n`;
+      md += `${paragraph.texts.join(' ')}\n\n`;
+    });
+  }
+
+  md += `---\n\n*Exported from Vidlyx on ${new Date().toLocaleDateString()}*\n`;
+
+  return md;
+}
+
 /**
  * Export transcript in specified format
  * @param {string} videoId - Video ID
- * @param {string} userId - User ID
- * @param {string} format - Export format (txt, srt, vtt)
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} format - Export format (txt, srt, vtt, md)
+ * @param {object} options - Export options
+ * @param {string} options.language - Track language (default: the primary track)
  * @returns {Promise<object>} - Export data with content and metadata
  */
-async function exportTranscript(videoId, userId, format = 'txt') {
-  const transcript = await getTranscriptForVideo(videoId, userId);
+async function exportTranscript(videoId, workspaceId, format = 'txt', options = {}) {
+  const { language = null } = options;
+  const transcript = await getTranscriptForVideo(videoId, workspaceId, language);
 
   if (!transcript) {
     throw new Error('Video not found');
@@ -663,6 +1153,13 @@ async function exportTranscript(videoId, userId, format = 'txt') {
       fileExtension = 'vtt';
       break;
 
+    case 'md':
+    case 'markdown':
+      content = transcriptAsMarkdown(transcript);
+      contentType = 'text/markdown';
+      fileExtension = 'md';
+      break;
+
     case 'text':
     case 'txt':
     default:
@@ -672,7 +1169,9 @@ async function exportTranscript(videoId, userId, format = 'txt') {
       break;
   }
 
-  const filename = sanitizeFilename(transcript.title || 'transcript') + '.' + fileExtension;
+  // Name language-specific exports after the track, e.g. "My_Video.de.srt"
+  const languageSuffix = language && transcript.language ? '.' + sanitizeFilename(transcript.language) : '';
+  const filename = sanitizeFilename(transcript.title || 'transcript') + languageSuffix + '.' + fileExtension;
 
   return {
     content,
@@ -684,13 +1183,19 @@ async function exportTranscript(videoId, userId, format = 'txt') {
 module.exports = {
   exportSave,
   exportTranscript,
+  exportAnalysis,
+  exportResearchThread,
   getSaveWithContent,
+  getVideoAnalysis,
+  analysisAsMarkdown,
+  researchThreadAsMarkdown,
   exportAsJson,
   exportAsMarkdown,
   exportAsText,
   transcriptAsText,
   transcriptAsSrt,
   transcriptAsVtt,
+  transcriptAsMarkdown,
   formatSrtTime,
   formatVttTime,
   sanitizeFilename
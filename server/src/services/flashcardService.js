@@ -0,0 +1,445 @@
+/**
+ * Flashcard service
+ * Turns a video's key points and section summaries into question/answer cards and
+ * exports them as an Anki package or CSV. Cards can come from one video, every save
+ * in a folder, or a selection of saves; a save contributes the key points and
+ * sections that fall inside the moments it captured.
+ */
+
+const sharp = require('sharp');
+const pool = require('./db');
+const summaryService = require('./summaryService');
+const linkageService = require('./linkageService');
+const folderService = require('./folderService');
+const saveService = require('./saveService');
+const ankiService = require('./ankiService');
+const { getSaveWithContent, sanitizeFilename } = require('./exportService');
+const { formatTimestamp } = require('../utils/formatters');
+
+// Folder decks read at most this many saves
+const MAX_DECK_SAVES = 500;
+
+// Images beyond this many cards are left out to keep packages a reasonable size
+const MAX_CARD_IMAGES = 200;
+
+const IMAGE_WIDTH_PX = 640;
+
+// A saved frame covers the key points made this many seconds either side of it
+const FRAME_WINDOW_SECONDS = 15;
+
+const CATEGORY_QUESTIONS = {
+  insight: 'What is the key insight',
+  fact: 'What fact is stated',
+  concept: 'Which concept is explained',
+  definition: 'What definition is given',
+  action: 'What should you do',
+  tip: 'What tip is given',
+  example: 'What example is given',
+  warning: 'What warning is given',
+  quote: 'What is said'
+};
+
+/**
+ * Load a video's sections and key points
+ * Stored key points are used when present, then the key points kept on each section;
+ * only a video with neither has key points extracted on the spot.
+ * @param {string} videoId - Video ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<object|null>} - { video, sections, keyPoints }, or null if not found
+ */
+async function getVideoMaterial(videoId, workspaceId) {
+  const client = await pool.connect();
+  let video;
+  let sections;
+  let keyPoints = [];
+
+  try {
+    const videoResult = await client.query(
+      `SELECT id, youtube_id, title FROM videos WHERE id = $1 AND workspace_id = $2`,
+      [videoId, workspaceId]
+    );
+
+    if (videoResult.rows.length === 0) {
+      return null;
+    }
+    video = videoResult.rows[0];
+
+    const sectionsResult = await client.query(
+      `SELECT id, title, start_time, end_time, summary, key_points
+       FROM sections
+       WHERE video_id = $1
+       ORDER BY section_order ASC`,
+      [videoId]
+    );
+    sections = sectionsResult.rows.map(section => ({
+      ...section,
+      start_time: parseFloat(section.start_time),
+      end_time: parseFloat(section.end_time)
+    }));
+
+    const storedKeyPoints = await summaryService.getKeyPointsForVideos([videoId]);
+    keyPoints = storedKeyPoints.map(row => ({
+      id: row.id,
+      point: row.point_text,
+      timestamp: parseFloat(row.timestamp_seconds) || 0,
+      context: row.context,
+      category: row.category,
+      sectionId: row.section_id
+    }));
+  } finally {
+    client.release();
+  }
+
+  if (keyPoints.length === 0) {
+    keyPoints = sections.flatMap(section =>
+      summaryService.parseSectionKeyPoints(section.key_points).map(point => ({
+        point,
+        timestamp: section.start_time,
+        context: null,
+        category: 'insight',
+        sectionId: section.id
+      }))
+    );
+  }
+
+  if (keyPoints.length === 0 && sections.length > 0) {
+    try {
+      keyPoints = await summaryService.extractKeyPointsWithTimestamps(videoId);
+    } catch (error) {
+      console.warn(`Flashcards for video ${videoId} will only cover sections: ${error.message}`);
+    }
+  }
+
+  return { video, sections, keyPoints };
+}
+
+/**
+ * Where a card points back to in the video
+ * @param {object} video - { title, youtube_id }
+ * @param {number} seconds - Start time
+ * @returns {object} - { source, link }
+ */
+function cardSource(video, seconds) {
+  const start = Math.floor(seconds);
+  return {
+    source: `${video.title} · ${formatTimestamp(seconds)}`,
+    link: video.youtube_id
+      ? `https://www.youtube.com/watch?v=${video.youtube_id}${start > 0 ? `&t=${start}s` : ''}`
+      : null
+  };
+}
+
+/**
+ * Build a card asking for a key point
+ * @param {object} video - Video the point comes from
+ * @param {object} keyPoint - { point, timestamp, context, category, sectionId }
+ * @param {object|undefined} section - Section the point belongs to
+ * @returns {object}
+ */
+function keyPointCard(video, keyPoint, section) {
+  const category = CATEGORY_QUESTIONS[keyPoint.category] ? keyPoint.category : 'insight';
+  let where = `in “${video.title}”`;
+  if (section) {
+    where = `in “${section.title}”`;
+  } else if (keyPoint.timestamp !== null && keyPoint.timestamp !== undefined) {
+    where = `at ${formatTimestamp(keyPoint.timestamp)}`;
+  }
+  const context = keyPoint.context && keyPoint.context !== keyPoint.point ? keyPoint.context : null;
+
+  return {
+    key: `${video.id}:point:${keyPoint.id || `${keyPoint.timestamp}:${keyPoint.point}`}`,
+    videoId: video.id,
+    front: `${CATEGORY_QUESTIONS[category]} ${where}?`,
+    back: keyPoint.point,
+    context,
+    timestamp: keyPoint.timestamp,
+    sectionTitle: section ? section.title : null,
+    tags: ['vidlyx', category],
+    ...cardSource(video, keyPoint.timestamp)
+  };
+}
+
+/**
+ * Build a card asking for a section's summary
+ * @param {object} video - Video the section belongs to
+ * @param {object} section - Section with a summary
+ * @param {string} [summary] - Summary text to use instead of the section's own
+ * @returns {object}
+ */
+function sectionCard(video, section, summary = section.summary) {
+  return {
+    key: `${video.id}:section:${section.id}`,
+    videoId: video.id,
+    front: `What does “${section.title}” cover?`,
+    back: summary,
+    context: null,
+    timestamp: section.start_time,
+    sectionTitle: section.title,
+    tags: ['vidlyx', 'section'],
+    ...cardSource(video, section.start_time)
+  };
+}
+
+/**
+ * Build the cards for a video, optionally limited to moments of it
+ * @param {object} material - From getVideoMaterial
+ * @param {object} [filter]
+ * @param {Array<Array<number>>} [filter.ranges] - [start, end] pairs in seconds to keep
+ * @param {object} [filter.excerpts] - Section ID -> saved summary excerpt
+ * @returns {Array<object>}
+ */
+function buildVideoCards(material, filter = null) {
+  const { video, sections, keyPoints } = material;
+  const sectionsById = new Map(sections.map(section => [section.id, section]));
+  const inRange = (start, end) => !filter
+    || filter.ranges.some(([rangeStart, rangeEnd]) => start <= rangeEnd && end >= rangeStart);
+
+  const pointCards = keyPoints
+    .filter(keyPoint => keyPoint.point && inRange(keyPoint.timestamp, keyPoint.timestamp))
+    .map(keyPoint => {
+      const section = sectionsById.get(keyPoint.sectionId)
+        || sections.find(s => s.start_time <= keyPoint.timestamp && s.end_time >= keyPoint.timestamp);
+      return keyPointCard(video, keyPoint, section);
+    });
+
+  const summaryCards = sections
+    .map(section => {
+      const excerpt = filter && filter.excerpts[section.id];
+      if (excerpt) return sectionCard(video, section, excerpt);
+      if (section.summary && inRange(section.start_time, section.end_time)) return sectionCard(video, section);
+      return null;
+    })
+    .filter(Boolean);
+
+  // Key point extraction may reuse a section summary as the point; keep one card per answer
+  const answers = new Set(pointCards.map(card => card.back));
+  return [...pointCards, ...summaryCards.filter(card => !answers.has(card.back))]
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * The moments of its video a save captured
+ * @param {object} save - From exportService.getSaveWithContent
+ * @returns {object} - { ranges, excerpts } filter for buildVideoCards
+ */
+function saveFilter(save) {
+  const ranges = [
+    ...save.transcripts.map(t => [parseFloat(t.start_time), parseFloat(t.end_time)]),
+    ...save.frames.map(f => {
+      const timestamp = parseFloat(f.timestamp_seconds);
+      return [timestamp - FRAME_WINDOW_SECONDS, timestamp + FRAME_WINDOW_SECONDS];
+    })
+  ];
+
+  const excerpts = {};
+  for (const summary of save.summaries) {
+    if (summary.section_id && summary.excerpt) {
+      excerpts[summary.section_id] = summary.excerpt;
+    }
+  }
+
+  return { ranges, excerpts };
+}
+
+/**
+ * Build the cards for a list of saves, one video lookup per distinct video
+ * @param {Array<string>} saveIds - Save IDs
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<object>} - { cards, saves }
+ */
+async function buildSaveCards(saveIds, workspaceId) {
+  const materials = new Map();
+  const cards = new Map();
+  const saves = [];
+
+  for (const saveId of saveIds) {
+    const save = await getSaveWithContent(saveId, workspaceId);
+    if (!save) {
+      throw new Error('Save not found');
+    }
+    saves.push(save);
+
+    if (!materials.has(save.video_id)) {
+      materials.set(save.video_id, await getVideoMaterial(save.video_id, workspaceId));
+    }
+
+    for (const card of buildVideoCards(materials.get(save.video_id), saveFilter(save))) {
+      if (!cards.has(card.key)) cards.set(card.key, card);
+    }
+  }
+
+  return { cards: [...cards.values()], saves };
+}
+
+/**
+ * Attach the best matching frame near each card's timestamp
+ * @param {Array<object>} cards - Cards to decorate in place
+ * @returns {Promise<void>}
+ */
+async function attachFrames(cards) {
+  const images = new Map();
+
+  for (const card of cards.slice(0, MAX_CARD_IMAGES)) {
+    const frame = await linkageService.getBestFrameForTime(card.videoId, card.timestamp);
+    if (!frame || !frame.frame_path) continue;
+
+    if (!images.has(frame.id)) {
+      try {
+        const data = await sharp(frame.frame_path)
+          .resize({ width: IMAGE_WIDTH_PX, withoutEnlargement: true })
+          .jpeg({ quality: 80 })
+          .toBuffer();
+        images.set(frame.id, { name: `vidlyx-${frame.id}.jpg`, data });
+      } catch (error) {
+        console.warn(`Skipping frame ${frame.id} in flashcard export: ${error.message}`);
+        images.set(frame.id, null);
+      }
+    }
+
+    card.image = images.get(frame.id);
+  }
+}
+
+/**
+ * Escape a CSV field
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export cards as CSV, one card per row with a header row
+ * @param {Array<object>} cards - Cards
+ * @returns {string}
+ */
+function cardsAsCsv(cards) {
+  const header = ['front', 'back', 'context', 'source', 'timestamp', 'link', 'section', 'tags'];
+  const rows = cards.map(card => [
+    card.front,
+    card.back,
+    card.context,
+    card.source,
+    formatTimestamp(card.timestamp),
+    card.link,
+    card.sectionTitle,
+    card.tags.join(' ')
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Package cards in the requested format
+ * @param {object} deck - { key, name, description }
+ * @param {Array<object>} cards - Cards
+ * @param {object} options
+ * @param {string} [options.format] - apkg or csv (default: apkg)
+ * @param {boolean} [options.includeFrames] - Add the nearest frame to each card (apkg only)
+ * @returns {Promise<object>} - Export data with content and metadata
+ */
+async function packageCards(deck, cards, { format = 'apkg', includeFrames = false } = {}) {
+  if (cards.length === 0) {
+    throw new Error('No flashcards could be generated from this content');
+  }
+
+  const basename = sanitizeFilename(deck.name) || 'flashcards';
+
+  if (format.toLowerCase() === 'csv') {
+    return {
+      content: cardsAsCsv(cards),
+      contentType: 'text/csv',
+      filename: `${basename}.csv`
+    };
+  }
+
+  if (includeFrames) {
+    await attachFrames(cards);
+  }
+
+  return {
+    content: await ankiService.buildPackage(deck, cards),
+    contentType: 'application/octet-stream',
+    filename: `${basename}.apkg`
+  };
+}
+
+/**
+ * Export flashcards for a video
+ * @param {string} videoId - Video ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {object} options - See packageCards
+ * @returns {Promise<object>}
+ */
+async function exportVideoFlashcards(videoId, workspaceId, options = {}) {
+  const material = await getVideoMaterial(videoId, workspaceId);
+  if (!material) {
+    throw new Error('Video not found');
+  }
+
+  return packageCards(
+    { key: `video:${videoId}`, name: material.video.title || 'Video', description: 'Exported from Vidlyx' },
+    buildVideoCards(material),
+    options
+  );
+}
+
+/**
+ * Export flashcards for every save in a folder and its subfolders
+ * @param {string} folderId - Folder ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {object} options - See packageCards
+ * @returns {Promise<object>}
+ */
+async function exportFolderFlashcards(folderId, workspaceId, options = {}) {
+  const folder = await folderService.getById(folderId, workspaceId);
+  if (!folder) {
+    throw new Error('Folder not found');
+  }
+
+  const { saves } = await saveService.getSaves(workspaceId, {
+    folder: folderId,
+    includeSubfolders: true,
+    sortBy: 'created_at',
+    sortOrder: 'ASC',
+    limit: MAX_DECK_SAVES
+  });
+
+  const { cards } = await buildSaveCards(saves.map(save => save.id), workspaceId);
+
+  return packageCards(
+    { key: `folder:${folderId}`, name: folder.name, description: `Saves in the ${folder.name} folder, exported from Vidlyx` },
+    cards,
+    options
+  );
+}
+
+/**
+ * Export flashcards for a selection of saves
+ * @param {Array<string>} saveIds - Save IDs
+ * @param {string} workspaceId - Workspace ID
+ * @param {object} options - See packageCards
+ * @returns {Promise<object>}
+ */
+async function exportSavesFlashcards(saveIds, workspaceId, options = {}) {
+  const { cards, saves } = await buildSaveCards(saveIds, workspaceId);
+  const ids = [...saveIds].sort().join(',');
+  const name = saves.length === 1 ? saves[0].title || saves[0].video_title : 'Vidlyx saves';
+
+  return packageCards(
+    { key: `saves:${ids}`, name, description: 'Exported from Vidlyx' },
+    cards,
+    options
+  );
+}
+
+module.exports = {
+  exportVideoFlashcards,
+  exportFolderFlashcards,
+  exportSavesFlashcards,
+  buildVideoCards,
+  keyPointCard,
+  cardsAsCsv
+};
@@ -3,30 +3,57 @@
  */
 
 const pool = require('./db');
+const smartFolderRules = require('./smartFolderRules');
 
 /**
  * Create a new folder
- * @param {string} userId - User ID (UUID)
+ * @param {string} workspaceId - Workspace ID (UUID)
+ * @param {string} userId - ID of the member creating the folder
  * @param {object} data - Folder data
  * @param {string} data.name - Folder name
  * @param {string} [data.color] - Folder color (hex code)
  * @param {string} [data.icon] - Folder icon
  * @param {number} [data.sort_order] - Sort order
+ * @param {string} [data.parent_id] - Parent folder ID (omit for a top-level folder)
+ * @param {string} [data.kind] - 'manual' (default) or 'smart'
+ * @param {object} [data.rules] - Rule set for smart folders (see smartFolderRules)
  * @returns {Promise<object>} - Created folder record with save_count
  */
-async function create(userId, data) {
-  const { name, color, icon, sort_order } = data;
+async function create(workspaceId, userId, data) {
+  const { name, color, icon, sort_order, parent_id = null, kind = 'manual' } = data;
 
   if (!name || name.trim().length === 0) {
     throw new Error('Folder name is required');
   }
 
+  if (!['manual', 'smart'].includes(kind)) {
+    throw new Error('Folder kind must be manual or smart');
+  }
+
+  const rules = kind === 'smart' ? smartFolderRules.validateRules(data.rules) : null;
+
   const client = await pool.connect();
   try {
-    // Check if folder with same name already exists for this user (case-insensitive)
+    if (parent_id) {
+      const parentFolder = await client.query(
+        `SELECT id, kind FROM folders WHERE id = $1 AND workspace_id = $2`,
+        [parent_id, workspaceId]
+      );
+
+      if (parentFolder.rows.length === 0) {
+        throw new Error('Parent folder not found');
+      }
+
+      if (parentFolder.rows[0].kind === 'smart') {
+        throw new Error('Smart folders cannot contain other folders');
+      }
+    }
+
+    // Names are unique among siblings (case-insensitive)
     const existingFolder = await client.query(
-      `SELECT id FROM folders WHERE user_id = $1 AND LOWER(name) = LOWER($2)`,
-      [userId, name.trim()]
+      `SELECT id FROM folders
+       WHERE workspace_id = $1 AND LOWER(name) = LOWER($2) AND parent_id IS NOT DISTINCT FROM $3`,
+      [workspaceId, name.trim(), parent_id]
     );
 
     if (existingFolder.rows.length > 0) {
@@ -34,10 +61,20 @@ async function create(userId, data) {
     }
 
     const result = await client.query(
-      `INSERT INTO folders (user_id, name, color, icon, sort_order, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+      `INSERT INTO folders (workspace_id, user_id, parent_id, name, color, icon, sort_order, kind, rules, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
        RETURNING *`,
-      [userId, name.trim(), color || null, icon || 'folder', sort_order || 0]
+      [
+        workspaceId,
+        userId,
+        parent_id,
+        name.trim(),
+        color || null,
+        icon || (kind === 'smart' ? 'smart' : 'folder'),
+        sort_order || 0,
+        kind,
+        rules ? JSON.stringify(rules) : null
+      ]
     );
 
     // Add save_count to the returned folder
@@ -48,29 +85,51 @@ async function create(userId, data) {
 }
 
 /**
- * Get all folders for a user with save counts
- * @param {string} userId - User ID (UUID)
+ * Get all folders in a workspace with save counts
+ * The list is flat; each folder carries parent_id, and total_save_count counts distinct saves
+ * in the folder and all of its descendants
+ * @param {string} workspaceId - Workspace ID (UUID)
  * @returns {Promise<Array>} - Array of folders with save counts
  */
-async function getAll(userId) {
+async function getAll(workspaceId) {
   const client = await pool.connect();
   try {
     const result = await client.query(
-      `SELECT
+      `WITH RECURSIVE subtree AS (
+         SELECT id AS root_id, id AS folder_id
+         FROM folders
+         WHERE workspace_id = $1
+         UNION ALL
+         SELECT st.root_id, f.id
+         FROM folders f
+         JOIN subtree st ON f.parent_id = st.folder_id
+       ),
+       subtree_counts AS (
+         SELECT st.root_id, COUNT(DISTINCT sf.save_id) AS total_save_count
+         FROM subtree st
+         JOIN save_folders sf ON sf.folder_id = st.folder_id
+         GROUP BY st.root_id
+       )
+       SELECT
         f.id,
+        f.parent_id,
         f.name,
         f.color,
         f.icon,
         f.sort_order,
+        f.kind,
+        f.rules,
         f.created_at,
         f.updated_at,
-        COUNT(sf.save_id) AS save_count
+        COUNT(sf.save_id) AS save_count,
+        COALESCE(MAX(sc.total_save_count), 0) AS total_save_count
        FROM folders f
        LEFT JOIN save_folders sf ON f.id = sf.folder_id
-       WHERE f.user_id = $1
-       GROUP BY f.id, f.name, f.color, f.icon, f.sort_order, f.created_at, f.updated_at
+       LEFT JOIN subtree_counts sc ON sc.root_id = f.id
+       WHERE f.workspace_id = $1
+       GROUP BY f.id, f.parent_id, f.name, f.color, f.icon, f.sort_order, f.kind, f.rules, f.created_at, f.updated_at
        ORDER BY f.sort_order ASC, f.created_at DESC`,
-      [userId]
+      [workspaceId]
     );
 
     // Convert save_count to integer
@@ -80,30 +139,63 @@ async function getAll(userId) {
   }
 }
 
+/**
+ * Nest a flat folder list into a tree
+ * @param {Array} folders - Folders with parent_id, as returned by getAll
+ * @returns {Array} - Top-level folders, each with a children array
+ */
+function buildTree(folders) {
+  const byId = new Map(folders.map(folder => [folder.id, { ...folder, children: [] }]));
+  const roots = [];
+
+  byId.forEach(folder => {
+    const parent = folder.parent_id ? byId.get(folder.parent_id) : null;
+    if (parent) {
+      parent.children.push(folder);
+    } else {
+      roots.push(folder);
+    }
+  });
+
+  return roots;
+}
+
+/**
+ * Get a workspace's folders as a tree
+ * @param {string} workspaceId - Workspace ID (UUID)
+ * @returns {Promise<Array>} - Top-level folders, each with a children array
+ */
+async function getTree(workspaceId) {
+  return buildTree(await getAll(workspaceId));
+}
+
 /**
  * Get a single folder by ID
  * @param {string} folderId - Folder ID (UUID)
- * @param {string} userId - User ID (UUID) for ownership check
+ * @param {string} workspaceId - Workspace ID (UUID) for access check
  * @returns {Promise<object|null>} - Folder record or null
  */
-async function getById(folderId, userId) {
+async function getById(folderId, workspaceId) {
   const client = await pool.connect();
   try {
     const result = await client.query(
       `SELECT
         f.id,
+        f.parent_id,
         f.name,
         f.color,
         f.icon,
         f.sort_order,
+        f.kind,
+        f.rules,
         f.created_at,
         f.updated_at,
         COUNT(sf.save_id) AS save_count
        FROM folders f
        LEFT JOIN save_folders sf ON f.id = sf.folder_id
-       WHERE f.id = $1 AND f.user_id = $2
-       GROUP BY f.id, f.name, f.color, f.icon, f.sort_order, f.created_at, f.updated_at`,
-      [folderId, userId]
+       WHERE f.id = $1 AND f.workspace_id = $2
+       GROUP BY f.id, f.parent_id, f.name, f.color, f.icon, f.sort_order, f.kind, f.rules, f.created_at, f.updated_at`,
+      [folderId, workspaceId]
     );
 
     if (result.rows.length === 0) {
@@ -119,35 +211,41 @@ async function getById(folderId, userId) {
 /**
  * Update a folder
  * @param {string} folderId - Folder ID (UUID)
- * @param {string} userId - User ID (UUID) for ownership check
+ * @param {string} workspaceId - Workspace ID (UUID) for access check
  * @param {object} data - Data to update
  * @param {string} [data.name] - New folder name
  * @param {string} [data.color] - New folder color
  * @param {string} [data.icon] - New folder icon
  * @param {number} [data.sort_order] - New sort order
+ * @param {object} [data.rules] - New rule set (smart folders only)
  * @returns {Promise<object>} - Updated folder record with save_count
  */
-async function update(folderId, userId, data) {
-  const { name, color, icon, sort_order } = data;
+async function update(folderId, workspaceId, data) {
+  const { name, color, icon, sort_order, rules } = data;
 
   const client = await pool.connect();
   try {
-    // First verify the folder exists and belongs to the user
+    // First verify the folder exists and belongs to the workspace
     const existingFolder = await client.query(
-      `SELECT id FROM folders WHERE id = $1 AND user_id = $2`,
-      [folderId, userId]
+      `SELECT id, parent_id, kind FROM folders WHERE id = $1 AND workspace_id = $2`,
+      [folderId, workspaceId]
     );
 
     if (existingFolder.rows.length === 0) {
       throw new Error('Folder not found or access denied');
     }
 
-    // If name is being updated, check for duplicates (case-insensitive)
+    if (rules !== undefined && existingFolder.rows[0].kind !== 'smart') {
+      throw new Error('Only smart folders have rules');
+    }
+
+    // If name is being updated, check for duplicates among siblings (case-insensitive)
     if (name && name.trim().length > 0) {
       const duplicateFolder = await client.query(
         `SELECT id FROM folders
-         WHERE user_id = $1 AND LOWER(name) = LOWER($2) AND id != $3`,
-        [userId, name.trim(), folderId]
+         WHERE workspace_id = $1 AND LOWER(name) = LOWER($2) AND id != $3
+           AND parent_id IS NOT DISTINCT FROM $4`,
+        [workspaceId, name.trim(), folderId, existingFolder.rows[0].parent_id]
       );
 
       if (duplicateFolder.rows.length > 0) {
@@ -176,20 +274,24 @@ async function update(folderId, userId, data) {
       updates.push(`sort_order = $${paramIndex++}`);
       values.push(sort_order);
     }
+    if (rules !== undefined) {
+      updates.push(`rules = $${paramIndex++}`);
+      values.push(JSON.stringify(smartFolderRules.validateRules(rules)));
+    }
 
     if (updates.length === 0) {
       // No updates, just return the existing folder
-      return (await getById(folderId, userId));
+      return (await getById(folderId, workspaceId));
     }
 
     updates.push(`updated_at = NOW()`);
     values.push(folderId);
-    values.push(userId);
+    values.push(workspaceId);
 
     const result = await client.query(
       `UPDATE folders
        SET ${updates.join(', ')}
-       WHERE id = $${paramIndex++} AND user_id = $${paramIndex}
+       WHERE id = $${paramIndex++} AND workspace_id = $${paramIndex}
        RETURNING *`,
       values
     );
@@ -200,33 +302,204 @@ async function update(folderId, userId, data) {
   }
 }
 
+/**
+ * Get the IDs of a folder and every folder nested below it
+ * @param {string} folderId - Folder ID (UUID)
+ * @param {object} [db] - Client or pool to query with (defaults to the pool)
+ * @returns {Promise<Array<string>>} - Folder ID followed by its descendants
+ */
+async function getDescendantIds(folderId, db = pool) {
+  const result = await db.query(
+    `WITH RECURSIVE subtree AS (
+       SELECT id FROM folders WHERE id = $1
+       UNION ALL
+       SELECT f.id FROM folders f JOIN subtree st ON f.parent_id = st.id
+     )
+     SELECT id FROM subtree`,
+    [folderId]
+  );
+
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Get the ancestors of a folder for breadcrumbs
+ * @param {string} folderId - Folder ID (UUID)
+ * @param {string} workspaceId - Workspace ID (UUID) for access check
+ * @returns {Promise<Array>} - Folders from the top level down to the folder itself ({ id, name, parent_id })
+ */
+async function getPath(folderId, workspaceId) {
+  const result = await pool.query(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, name, parent_id, 0 AS depth
+       FROM folders
+       WHERE id = $1 AND workspace_id = $2
+       UNION ALL
+       SELECT f.id, f.name, f.parent_id, a.depth + 1
+       FROM folders f
+       JOIN ancestors a ON f.id = a.parent_id
+     )
+     SELECT id, name, parent_id FROM ancestors ORDER BY depth DESC`,
+    [folderId, workspaceId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Move a folder under a new parent (or to the top level)
+ * Refuses moves into the folder itself or one of its descendants. The workspace's folders are
+ * locked for the duration so two concurrent moves cannot build a cycle between them.
+ * @param {string} folderId - Folder ID (UUID)
+ * @param {string} workspaceId - Workspace ID (UUID) for access check
+ * @param {object} data - Move data
+ * @param {string|null} data.parent_id - New parent folder ID, or null for the top level
+ * @param {number} [data.sort_order] - New sort order among the new siblings
+ * @returns {Promise<object>} - Moved folder record with save_count
+ */
+async function move(folderId, workspaceId, data) {
+  const { parent_id = null, sort_order } = data;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `SELECT id FROM folders WHERE workspace_id = $1 FOR UPDATE`,
+      [workspaceId]
+    );
+
+    const existingFolder = await client.query(
+      `SELECT id, name FROM folders WHERE id = $1 AND workspace_id = $2`,
+      [folderId, workspaceId]
+    );
+
+    if (existingFolder.rows.length === 0) {
+      throw new Error('Folder not found or access denied');
+    }
+
+    if (parent_id) {
+      const parentFolder = await client.query(
+        `SELECT id, kind FROM folders WHERE id = $1 AND workspace_id = $2`,
+        [parent_id, workspaceId]
+      );
+
+      if (parentFolder.rows.length === 0) {
+        throw new Error('Parent folder not found');
+      }
+
+      if (parentFolder.rows[0].kind === 'smart') {
+        throw new Error('Smart folders cannot contain other folders');
+      }
+
+      const subtreeIds = await getDescendantIds(folderId, client);
+      if (subtreeIds.includes(parent_id)) {
+        throw new Error('A folder cannot be moved into itself or one of its subfolders');
+      }
+    }
+
+    const duplicateFolder = await client.query(
+      `SELECT id FROM folders
+       WHERE workspace_id = $1 AND LOWER(name) = LOWER($2) AND id != $3
+         AND parent_id IS NOT DISTINCT FROM $4`,
+      [workspaceId, existingFolder.rows[0].name, folderId, parent_id]
+    );
+
+    if (duplicateFolder.rows.length > 0) {
+      throw new Error('A folder with this name already exists');
+    }
+
+    const result = await client.query(
+      `UPDATE folders
+       SET parent_id = $1, sort_order = COALESCE($2, sort_order), updated_at = NOW()
+       WHERE id = $3 AND workspace_id = $4
+       RETURNING *`,
+      [parent_id, sort_order ?? null, folderId, workspaceId]
+    );
+
+    await client.query('COMMIT');
+
+    return enrichFolder(result.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List the values smart folder rules can match in a workspace
+ * @param {string} workspaceId - Workspace ID (UUID)
+ * @returns {Promise<object>} - { channels, videoTypes } from the workspace's saved videos
+ */
+async function getSmartFolderOptions(workspaceId) {
+  const [channelsResult, typesResult] = await Promise.all([
+    pool.query(
+      `SELECT DISTINCT v.channel_name AS value
+       FROM videos v
+       JOIN saves s ON s.video_id = v.id
+       WHERE s.workspace_id = $1 AND v.channel_name IS NOT NULL
+       ORDER BY v.channel_name`,
+      [workspaceId]
+    ),
+    pool.query(
+      `SELECT DISTINCT v.visual_overview->>'dominantContentType' AS value
+       FROM videos v
+       JOIN saves s ON s.video_id = v.id
+       WHERE s.workspace_id = $1 AND v.visual_overview->>'dominantContentType' IS NOT NULL
+       ORDER BY 1`,
+      [workspaceId]
+    )
+  ]);
+
+  return {
+    channels: channelsResult.rows.map(row => row.value),
+    videoTypes: typesResult.rows.map(row => row.value)
+  };
+}
+
 /**
  * Delete a folder
- * Note: Saves remain in the database, just the folder-save linkage is removed
+ * Note: Saves remain in the database, just the folder-save linkage is removed.
+ * Subfolders move up to the deleted folder's parent.
  * @param {string} folderId - Folder ID (UUID)
- * @param {string} userId - User ID (UUID) for ownership check
+ * @param {string} workspaceId - Workspace ID (UUID) for access check
  * @returns {Promise<boolean>} - True if deleted, false if not found
  */
-async function deleteFn(folderId, userId) {
+async function deleteFn(folderId, workspaceId) {
   const client = await pool.connect();
   try {
-    // First verify the folder exists and belongs to the user
+    await client.query('BEGIN');
+
+    // First verify the folder exists and belongs to the workspace
     const existingFolder = await client.query(
-      `SELECT id FROM folders WHERE id = $1 AND user_id = $2`,
-      [folderId, userId]
+      `SELECT id, parent_id FROM folders WHERE id = $1 AND workspace_id = $2`,
+      [folderId, workspaceId]
     );
 
     if (existingFolder.rows.length === 0) {
+      await client.query('ROLLBACK');
       return false;
     }
 
+    await client.query(
+      `UPDATE folders SET parent_id = $1, updated_at = NOW() WHERE parent_id = $2`,
+      [existingFolder.rows[0].parent_id, folderId]
+    );
+
     // Delete the folder (CASCADE will remove save_folders entries)
     const result = await client.query(
-      `DELETE FROM folders WHERE id = $1 AND user_id = $2`,
-      [folderId, userId]
+      `DELETE FROM folders WHERE id = $1 AND workspace_id = $2`,
+      [folderId, workspaceId]
     );
 
+    await client.query('COMMIT');
+
     return result.rowCount > 0;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
   } finally {
     client.release();
   }
@@ -240,15 +513,24 @@ async function deleteFn(folderId, userId) {
 function enrichFolder(folder) {
   return {
     ...folder,
-    save_count: folder.save_count !== undefined ? parseInt(folder.save_count, 10) : 0
+    save_count: folder.save_count !== undefined ? parseInt(folder.save_count, 10) : 0,
+    ...(folder.total_save_count !== undefined && {
+      total_save_count: parseInt(folder.total_save_count, 10)
+    })
   };
 }
 
 module.exports = {
   create,
   getAll,
+  getTree,
+  buildTree,
   getById,
+  getPath,
+  getDescendantIds,
   update,
+  move,
+  getSmartFolderOptions,
   delete: deleteFn,
   enrichFolder,
   // Legacy exports for backward compatibility
@@ -36,8 +36,12 @@ function calculateProgress(step, stepProgress = 0) {
  * Run complete frame analysis pipeline
  * @param {Object} video - Video object from database
  * @param {Object} options - Pipeline options
+ * @param {string} options.extractionMode - 'interval' or 'scene' (default: 'interval')
  * @param {number} options.frameInterval - Interval between frames in seconds (default: 5)
+ * @param {number} options.sceneThreshold - Scene score threshold 0-1 (scene mode)
+ * @param {number} options.minGap - Minimum seconds between frames (scene mode)
  * @param {number} options.maxFrames - Maximum number of frames to extract
+ * @param {number} options.maxHashDistance - dHash distance at which frames count as duplicates (default from config)
  * @param {boolean} options.ocrEnabled - Enable OCR processing (default: true)
  * @param {boolean} options.visionEnabled - Enable vision analysis (default: true)
  * @param {number} options.visionSampleRate - Analyze every Nth frame (default: 3)
@@ -47,8 +51,14 @@ function calculateProgress(step, stepProgress = 0) {
  */
 async function runPipeline(video, options = {}) {
   const {
+    extractionMode = analysisConfig.pipeline.defaultOptions.extractionMode,
     frameInterval = analysisConfig.pipeline.defaultOptions.frameInterval,
-    maxFrames = analysisConfig.pipeline.defaultOptions.maxFrames,
+    sceneThreshold = analysisConfig.frameExtraction.scene.threshold,
+    minGap = analysisConfig.frameExtraction.scene.minGap,
+    maxFrames = extractionMode === 'scene'
+      ? analysisConfig.frameExtraction.scene.maxFrames
+      : analysisConfig.pipeline.defaultOptions.maxFrames,
+    maxHashDistance = analysisConfig.deduplication.maxHashDistance,
     ocrEnabled = analysisConfig.pipeline.defaultOptions.ocrEnabled,
     visionEnabled = analysisConfig.pipeline.defaultOptions.visionEnabled,
     visionSampleRate = analysisConfig.pipeline.defaultOptions.visionSampleRate,
@@ -66,6 +76,7 @@ async function runPipeline(video, options = {}) {
     },
     stats: {
       framesExtracted: 0,
+      duplicatesCollapsed: 0,
       framesOcrProcessed: 0,
       framesVisionAnalyzed: 0,
       keyframesIdentified: 0,
@@ -88,10 +99,20 @@ async function runPipeline(video, options = {}) {
     console.log(`[Pipeline] Starting frame extraction for video ${video.id}`);
 
     const extractionOptions = {
+      mode: extractionMode,
       interval: frameInterval,
+      sceneThreshold,
+      minGap,
       maxFrames,
+      maxHashDistance,
       width: analysisConfig.frameExtraction.width,
-      quality: analysisConfig.frameExtraction.quality
+      quality: analysisConfig.frameExtraction.quality,
+      // Scene detection decodes the whole video before any frame is written
+      onProgress: (percent) => {
+        if (onProgress) {
+          onProgress(calculateProgress('EXTRACT', percent / 2), 'EXTRACT', `Detecting scene changes: ${percent}%`);
+        }
+      }
     };
 
     if (onProgress) {
@@ -99,13 +120,25 @@ async function runPipeline(video, options = {}) {
     }
 
     const extractedFrames = await frameExtractionService.extractVideoFrames(video, extractionOptions);
-    results.steps.extraction = { frameCount: extractedFrames.length };
+    const duplicateCount = extractedFrames.filter(frame => frame.duplicate_of).length;
+
+    results.steps.extraction = {
+      frameCount: extractedFrames.length,
+      duplicateCount,
+      mode: extractionMode,
+      ...(extractionMode === 'scene' ? { sceneThreshold, minGap } : { frameInterval })
+    };
     results.stats.framesExtracted = extractedFrames.length;
+    results.stats.duplicatesCollapsed = duplicateCount;
 
-    console.log(`[Pipeline] Extracted ${extractedFrames.length} frames`);
+    console.log(`[Pipeline] Extracted ${extractedFrames.length} frames, ${duplicateCount} near-duplicates collapsed`);
 
     if (onProgress) {
-      onProgress(calculateProgress('EXTRACT', 100), 'EXTRACT', `Extracted ${extractedFrames.length} frames`);
+      onProgress(
+        calculateProgress('EXTRACT', 100),
+        'EXTRACT',
+        `Extracted ${extractedFrames.length - duplicateCount} distinct frames (${duplicateCount} duplicates skipped)`
+      );
     }
 
     // STEP 2: OCR Processing (30-60%)
@@ -315,7 +348,7 @@ async function identifyKeyframes(videoId) {
     const framesQuery = `
       SELECT id, timestamp_seconds, content_type, on_screen_text, visual_elements
       FROM frames
-      WHERE video_id = $1
+      WHERE video_id = $1 AND duplicate_of IS NULL
       ORDER BY timestamp_seconds ASC
     `;
 
@@ -3,83 +3,217 @@ const fs = require('fs').promises;
 const pool = require('./db');
 const pythonService = require('./pythonService');
 const ffmpegUtils = require('../utils/ffmpeg');
+const { computeDHash, hammingDistance } = require('../utils/perceptualHash');
+const analysisConfig = require('../config/analysisConfig');
 
 /**
  * Frame Extraction Service
- * Handles frame extraction from YouTube videos and database operations
+ * Handles frame extraction from YouTube and uploaded videos and database operations
  */
 
 // Base directory for storing frames
 const FRAMES_BASE_DIR = path.join(__dirname, '../../frames');
 
+// Supported frame extraction modes
+const EXTRACTION_MODES = ['interval', 'scene'];
+
+/**
+ * Validate user-supplied extraction mode options
+ * @param {Object} options - Request options
+ * @param {string} options.mode - Extraction mode (optional)
+ * @param {number} options.sceneThreshold - Scene score threshold (optional)
+ * @param {number} options.minGap - Minimum seconds between scene frames (optional)
+ * @param {number} options.maxHashDistance - Duplicate Hamming distance (optional)
+ * @returns {string|null} Error message, or null when the options are valid
+ */
+function validateExtractionOptions({ mode, sceneThreshold, minGap, maxHashDistance } = {}) {
+  if (mode !== undefined && mode !== null && !EXTRACTION_MODES.includes(mode)) {
+    return `Extraction mode must be one of: ${EXTRACTION_MODES.join(', ')}`;
+  }
+
+  if (sceneThreshold !== undefined && sceneThreshold !== null) {
+    const threshold = Number(sceneThreshold);
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold >= 1) {
+      return 'Scene threshold must be between 0 and 1';
+    }
+  }
+
+  if (minGap !== undefined && minGap !== null) {
+    const gap = Number(minGap);
+    if (!Number.isFinite(gap) || gap < 0) {
+      return 'Minimum gap must be a non-negative number of seconds';
+    }
+  }
+
+  if (maxHashDistance !== undefined && maxHashDistance !== null) {
+    const distance = Number(maxHashDistance);
+    if (!Number.isInteger(distance) || distance < 0 || distance > 64) {
+      return 'Duplicate hash distance must be an integer between 0 and 64';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compute a frame's perceptual hash, or null if the image cannot be read
+ * @param {string} framePath - Path to the frame image
+ * @returns {Promise<string|null>} dHash as hex
+ */
+async function hashFrame(framePath) {
+  try {
+    return await computeDHash(framePath);
+  } catch (error) {
+    console.error(`Failed to hash frame ${framePath}:`, error.message);
+    return null;
+  }
+}
+
 /**
- * Extract frames from a YouTube video
+ * Resolve the FFmpeg input for a video
+ * Uploaded videos are read from disk; YouTube videos are streamed via the Python service
+ * @param {Object} video - Video object from database
+ * @returns {Promise<{input: string, duration: number}>} FFmpeg input and duration in seconds
+ */
+async function resolveVideoSource(video) {
+  if (video.source_type === 'upload') {
+    if (!video.file_path) {
+      throw new Error('Uploaded video has no file');
+    }
+
+    await fs.access(video.file_path);
+
+    return {
+      input: video.file_path,
+      duration: video.duration
+    };
+  }
+
+  // Get video stream URL using Python service
+  console.log(`Getting stream URL for video ${video.youtube_id}...`);
+  const streamData = await pythonService.getStreamUrl(video.youtube_id);
+
+  if (!streamData.stream_url) {
+    throw new Error('No stream URL available for this video');
+  }
+
+  return {
+    input: streamData.stream_url,
+    duration: streamData.duration
+  };
+}
+
+/**
+ * Extract frames from a YouTube or uploaded video
  * @param {Object} video - Video object from database
  * @param {Object} options - Extraction options
+ * @param {string} options.mode - 'interval' or 'scene' (default from config)
  * @param {number} options.interval - Interval in seconds between frames (default: 5)
+ * @param {number} options.sceneThreshold - Scene score threshold 0-1 (scene mode)
+ * @param {number} options.minGap - Minimum seconds between frames (scene mode)
  * @param {number} options.width - Output width in pixels (default: 1280)
  * @param {number} options.quality - JPEG quality 1-31 (2 is high quality, default: 2)
- * @param {number} options.maxFrames - Maximum number of frames to extract (optional)
+ * @param {number} options.maxFrames - Maximum number of frames to extract (scene mode defaults to the config budget)
  * @param {number} options.startTime - Start time in seconds (default: 0)
  * @param {number} options.endTime - End time in seconds (optional)
- * @returns {Promise<Array<Object>>} Array of extracted frame records
+ * @param {Function} options.onProgress - Scene detection progress callback (percentage, scene mode)
+ * @param {boolean} options.dedupe - Link near-duplicate frames to the frame they repeat (default from config)
+ * @param {number} options.maxHashDistance - Maximum dHash distance for a duplicate (default from config)
+ * @returns {Promise<Array<Object>>} Array of extracted frame records, duplicates included
  */
 async function extractVideoFrames(video, options = {}) {
+  const sceneConfig = analysisConfig.frameExtraction.scene;
   const {
+    mode = analysisConfig.frameExtraction.defaultMode,
     interval = 5,
+    sceneThreshold = sceneConfig.threshold,
+    minGap = sceneConfig.minGap,
     width = 1280,
     quality = 2,
     maxFrames = null,
     startTime = 0,
-    endTime = null
+    endTime = null,
+    onProgress = null,
+    dedupe = analysisConfig.deduplication.enabled,
+    maxHashDistance = analysisConfig.deduplication.maxHashDistance
   } = options;
 
   try {
-    // Get video stream URL using Python service
-    console.log(`Getting stream URL for video ${video.youtube_id}...`);
-    const streamData = await pythonService.getStreamUrl(video.youtube_id);
-
-    if (!streamData.stream_url) {
-      throw new Error('No stream URL available for this video');
-    }
+    const source = await resolveVideoSource(video);
 
     // Create output directory for this video
     const videoFramesDir = path.join(FRAMES_BASE_DIR, video.id);
     await fs.mkdir(videoFramesDir, { recursive: true });
 
-    console.log(`Extracting frames from video ${video.youtube_id}...`);
+    console.log(`Extracting frames from video ${video.youtube_id || video.id} (${mode} mode)...`);
 
     // Extract frames using FFmpeg
-    const extractedFrames = await ffmpegUtils.extractFrames(
-      streamData.stream_url,
-      videoFramesDir,
-      {
-        interval,
-        width,
-        quality,
-        format: 'jpg',
-        maxFrames,
-        startTime,
-        endTime: endTime || streamData.duration
-      }
-    );
+    const extractedFrames = mode === 'scene'
+      ? await ffmpegUtils.extractSceneFrames(
+        source.input,
+        videoFramesDir,
+        {
+          threshold: sceneThreshold,
+          minGap,
+          maxFrames: maxFrames || sceneConfig.maxFrames,
+          width,
+          quality,
+          format: 'jpg',
+          startTime,
+          endTime,
+          onProgress
+        }
+      )
+      : await ffmpegUtils.extractFrames(
+        source.input,
+        videoFramesDir,
+        {
+          interval,
+          width,
+          quality,
+          format: 'jpg',
+          maxFrames,
+          startTime,
+          endTime: endTime || source.duration
+        }
+      );
 
     console.log(`Extracted ${extractedFrames.length} frames`);
 
     // Insert frame records into database
     const frameRecords = [];
 
+    // Frames are compared with the last distinct frame, not the previous one,
+    // so a slow fade can't chain a whole sequence into one duplicate run
+    let lastDistinct = null;
+
     for (const frame of extractedFrames) {
+      const perceptualHash = await hashFrame(frame.path);
+
+      const isDuplicate = Boolean(
+        dedupe &&
+        perceptualHash &&
+        lastDistinct?.perceptual_hash &&
+        hammingDistance(perceptualHash, lastDistinct.perceptual_hash) <= maxHashDistance
+      );
+
       const frameRecord = await insertFrame(video.id, {
         timestamp_seconds: frame.timestamp,
         frame_path: frame.path,
-        is_keyframe: false // Will be determined by analysis later
+        is_keyframe: false, // Will be determined by analysis later
+        perceptual_hash: perceptualHash,
+        duplicate_of: isDuplicate ? lastDistinct.id : null
       });
 
+      if (!isDuplicate) {
+        lastDistinct = frameRecord;
+      }
+
       frameRecords.push(frameRecord);
     }
 
-    console.log(`Inserted ${frameRecords.length} frame records into database`);
+    const duplicateCount = frameRecords.filter(frame => frame.duplicate_of).length;
+    console.log(`Inserted ${frameRecords.length} frame records into database (${duplicateCount} near-duplicates collapsed)`);
 
     return frameRecords;
 
@@ -98,6 +232,8 @@ async function extractVideoFrames(video, options = {}) {
  * @param {string} data.on_screen_text - OCR extracted text (optional)
  * @param {string} data.scene_description - Scene description (optional)
  * @param {Object} data.visual_elements - Visual elements JSON (optional)
+ * @param {string} data.perceptual_hash - dHash of the image (optional)
+ * @param {string} data.duplicate_of - ID of the frame this one repeats (optional)
  * @returns {Promise<Object>} Inserted frame record
  */
 async function insertFrame(videoId, data) {
@@ -107,7 +243,9 @@ async function insertFrame(videoId, data) {
     is_keyframe = false,
     on_screen_text = null,
     scene_description = null,
-    visual_elements = null
+    visual_elements = null,
+    perceptual_hash = null,
+    duplicate_of = null
   } = data;
 
   try {
@@ -119,8 +257,10 @@ async function insertFrame(videoId, data) {
         is_keyframe,
         on_screen_text,
         scene_description,
-        visual_elements
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        visual_elements,
+        perceptual_hash,
+        duplicate_of
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING *
     `;
 
@@ -131,7 +271,9 @@ async function insertFrame(videoId, data) {
       is_keyframe,
       on_screen_text,
       scene_description,
-      visual_elements ? JSON.stringify(visual_elements) : null
+      visual_elements ? JSON.stringify(visual_elements) : null,
+      perceptual_hash,
+      duplicate_of
     ];
 
     const result = await pool.query(query, values);
@@ -170,6 +312,7 @@ async function getFramesByVideoId(videoId, options = {}) {
         scene_description,
         visual_elements,
         is_keyframe,
+        duplicate_of,
         created_at
       FROM frames
       WHERE video_id = $1
@@ -376,6 +519,9 @@ async function deleteFramesByVideoId(videoId) {
 }
 
 module.exports = {
+  EXTRACTION_MODES,
+  validateExtractionOptions,
+  resolveVideoSource,
   extractVideoFrames,
   insertFrame,
   getFramesByVideoId,
@@ -0,0 +1,311 @@
+/**
+ * Import Service
+ * Bulk imports YouTube playlists, channels and lists of video URLs
+ * Sources are expanded through the Python helper, videos the user already has are skipped,
+ * and the new videos are processed a few at a time under an import batch record
+ */
+
+const pool = require('./db');
+const videoService = require('./videoService');
+const youtubeService = require('./youtubeService');
+const pythonService = require('./pythonService');
+const analysisJobService = require('./analysisJobService');
+const socketService = require('./socketService');
+const { extractVideoId, buildYouTubeUrl, getSourceType } = require('../utils/youtube');
+
+// Videos processed at the same time per import (metadata + transcript)
+const IMPORT_CONCURRENCY = parseInt(process.env.IMPORT_CONCURRENCY || '2', 10);
+
+// Upper bound on videos created by a single import
+const IMPORT_MAX_VIDEOS = parseInt(process.env.IMPORT_MAX_VIDEOS || '200', 10);
+
+/**
+ * Split import input into individual URLs
+ * Accepts an array of URLs or a pasted block separated by newlines, spaces or commas
+ * @param {string|Array<string>} input - URL(s) as submitted
+ * @returns {Array<string>} Distinct non-empty URLs
+ */
+function parseImportUrls(input) {
+  const values = Array.isArray(input) ? input : [input];
+
+  const urls = values
+    .filter(value => typeof value === 'string')
+    .flatMap(value => value.split(/[\s,]+/))
+    .map(url => url.trim())
+    .filter(Boolean);
+
+  return [...new Set(urls)];
+}
+
+/**
+ * Create an import batch record
+ * @param {string} workspaceId - Workspace UUID the videos are imported into
+ * @param {string} userId - User UUID of the member starting the import
+ * @param {Array<string>} sourceUrls - URLs to import
+ * @param {Object} options - Import options
+ * @returns {Promise<Object>} Created batch record
+ */
+async function createImportBatch(workspaceId, userId, sourceUrls, options = {}) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO import_batches (workspace_id, user_id, source_urls, options, status)
+       VALUES ($1, $2, $3, $4, 'pending')
+       RETURNING *`,
+      [workspaceId, userId, JSON.stringify(sourceUrls), JSON.stringify(options)]
+    );
+    return result.rows[0];
+  } catch (error) {
+    throw new Error(`Failed to create import batch: ${error.message}`);
+  }
+}
+
+/**
+ * Find an import batch by ID
+ * @param {string} batchId - Batch UUID
+ * @returns {Promise<Object|null>} Batch record or null
+ */
+async function findImportBatchById(batchId) {
+  const result = await pool.query('SELECT * FROM import_batches WHERE id = $1', [batchId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * List a workspace's most recent import batches
+ * @param {string} workspaceId - Workspace UUID
+ * @param {number} limit - Maximum number of batches (default: 20)
+ * @returns {Promise<Array<Object>>} Batch records, newest first
+ */
+async function findImportBatchesByWorkspace(workspaceId, limit = 20) {
+  const result = await pool.query(
+    `SELECT * FROM import_batches
+     WHERE workspace_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [workspaceId, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Get the videos created by an import batch
+ * @param {string} batchId - Batch UUID
+ * @returns {Promise<Array<Object>>} Video id, title and status, in creation order
+ */
+async function getImportBatchVideos(batchId) {
+  const result = await pool.query(
+    `SELECT id, youtube_id, title, thumbnail_url, analysis_status, created_at
+     FROM videos
+     WHERE import_batch_id = $1
+     ORDER BY created_at ASC`,
+    [batchId]
+  );
+  return result.rows;
+}
+
+/**
+ * Update an import batch and push the new state to its owner
+ * @param {string} batchId - Batch UUID
+ * @param {Object} updates - Columns to set (status, title, counts, error_message)
+ * @returns {Promise<Object>} Updated batch record
+ */
+async function updateImportBatch(batchId, updates) {
+  const allowedFields = [
+    'title', 'status', 'total_count', 'created_count', 'skipped_count', 'error_message'
+  ];
+
+  const fields = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const field of allowedFields) {
+    if (updates[field] !== undefined) {
+      fields.push(`${field} = $${paramIndex++}`);
+      values.push(updates[field]);
+    }
+  }
+
+  if (updates.status === 'completed' || updates.status === 'failed') {
+    fields.push('completed_at = NOW()');
+  }
+
+  values.push(batchId);
+
+  const result = await pool.query(
+    `UPDATE import_batches SET ${fields.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+    values
+  );
+
+  const batch = result.rows[0];
+  socketService.emitToWorkspace(batch.workspace_id, 'import:progress', batch);
+  return batch;
+}
+
+/**
+ * Count one processed video against a batch
+ * @param {string} batchId - Batch UUID
+ * @param {boolean} succeeded - Whether processing succeeded
+ * @returns {Promise<Object>} Updated batch record
+ */
+async function recordVideoProcessed(batchId, succeeded) {
+  const column = succeeded ? 'completed_count' : 'failed_count';
+
+  const result = await pool.query(
+    `UPDATE import_batches SET ${column} = ${column} + 1 WHERE id = $1 RETURNING *`,
+    [batchId]
+  );
+
+  const batch = result.rows[0];
+  socketService.emitToWorkspace(batch.workspace_id, 'import:progress', batch);
+  return batch;
+}
+
+/**
+ * Expand submitted URLs into distinct YouTube video IDs
+ * @param {Array<string>} sourceUrls - Playlist, channel and video URLs
+ * @param {number} maxVideos - Stop after this many videos
+ * @returns {Promise<Object>} { youtubeIds, title, errors }
+ */
+async function expandSources(sourceUrls, maxVideos) {
+  const youtubeIds = new Set();
+  const errors = [];
+  let title = null;
+
+  for (const url of sourceUrls) {
+    if (youtubeIds.size >= maxVideos) {
+      break;
+    }
+
+    const sourceType = getSourceType(url);
+
+    if (sourceType === 'video') {
+      youtubeIds.add(extractVideoId(url));
+      continue;
+    }
+
+    try {
+      const expanded = await pythonService.expandUrl(url, maxVideos - youtubeIds.size);
+      expanded.entries.forEach(entry => youtubeIds.add(entry.video_id));
+
+      // Name the batch after the playlist or channel when there is only one
+      if (sourceUrls.length === 1) {
+        title = expanded.title || expanded.channel || null;
+      }
+    } catch (error) {
+      console.error(`[Import] Failed to expand ${url}:`, error.message);
+      errors.push({ url, error: error.message });
+    }
+  }
+
+  return {
+    youtubeIds: [...youtubeIds].slice(0, maxVideos),
+    title,
+    errors
+  };
+}
+
+/**
+ * Run a worker over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async function called with each item
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const item = items[nextIndex++];
+      await worker(item);
+    }
+  };
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, runNext);
+  await Promise.all(runners);
+}
+
+/**
+ * Expand, deduplicate, create and process the videos of an import batch
+ * Runs in the background; progress is stored on the batch and pushed over socket.io
+ * @param {Object} batch - Batch record from createImportBatch
+ * @returns {Promise<Object>} Final batch record
+ */
+async function runImport(batch) {
+  const { id: batchId, user_id: userId, workspace_id: workspaceId } = batch;
+  const sourceUrls = batch.source_urls;
+  const options = batch.options || {};
+
+  console.log(`[Import] Starting import ${batchId} with ${sourceUrls.length} source(s)`);
+
+  try {
+    // Step 1: Expand playlists and channels
+    await updateImportBatch(batchId, { status: 'expanding' });
+
+    const maxVideos = Math.min(options.maxVideos || IMPORT_MAX_VIDEOS, IMPORT_MAX_VIDEOS);
+    const { youtubeIds, title, errors } = await expandSources(sourceUrls, maxVideos);
+
+    if (youtubeIds.length === 0) {
+      return await updateImportBatch(batchId, {
+        status: 'failed',
+        error_message: errors.length > 0 ? errors.map(e => `${e.url}: ${e.error}`).join('; ') : 'No videos found'
+      });
+    }
+
+    // Step 2: Skip videos the workspace already has and create the rest
+    const createdVideos = [];
+    let skippedCount = 0;
+
+    for (const youtubeId of youtubeIds) {
+      const existingVideo = await videoService.findVideoByYoutubeId(workspaceId, youtubeId);
+      if (existingVideo) {
+        skippedCount++;
+        continue;
+      }
+
+      const video = await videoService.createVideo(workspaceId, userId, youtubeId, buildYouTubeUrl(youtubeId), batchId);
+      createdVideos.push(video);
+    }
+
+    await updateImportBatch(batchId, {
+      status: 'processing',
+      title: title || undefined,
+      total_count: youtubeIds.length,
+      created_count: createdVideos.length,
+      skipped_count: skippedCount,
+      error_message: errors.length > 0 ? errors.map(e => `${e.url}: ${e.error}`).join('; ') : undefined
+    });
+
+    // Step 3: Fetch metadata and transcripts a few videos at a time
+    await runWithConcurrency(createdVideos, IMPORT_CONCURRENCY, async (video) => {
+      try {
+        await youtubeService.processVideo(video);
+
+        if (options.analyzeFrames) {
+          await analysisJobService.queueFrameAnalysisPipeline(video, {});
+        }
+
+        await recordVideoProcessed(batchId, true);
+      } catch (error) {
+        console.error(`[Import] Video ${video.id} failed in import ${batchId}:`, error.message);
+        await recordVideoProcessed(batchId, false);
+      }
+    });
+
+    console.log(`[Import] Import ${batchId} completed: ${createdVideos.length} created, ${skippedCount} skipped`);
+
+    return await updateImportBatch(batchId, { status: 'completed' });
+  } catch (error) {
+    console.error(`[Import] Import ${batchId} failed:`, error.message);
+    return updateImportBatch(batchId, { status: 'failed', error_message: error.message });
+  }
+}
+
+module.exports = {
+  IMPORT_MAX_VIDEOS,
+  parseImportUrls,
+  createImportBatch,
+  findImportBatchById,
+  findImportBatchesByWorkspace,
+  getImportBatchVideos,
+  runImport
+};
@@ -0,0 +1,71 @@
+/**
+ * Claude LLM Provider
+ * Adapts Anthropic's Messages API to the common provider interface
+ */
+
+const claudeService = require('../claudeService');
+
+const name = 'claude';
+const supportsVision = true;
+
+/**
+ * Check whether a real Anthropic API key is configured
+ * Placeholder values from .env.example do not count
+ * @returns {boolean}
+ */
+function isAvailable() {
+  const key = process.env.ANTHROPIC_API_KEY;
+  return Boolean(key &&
+    key.length > 20 &&
+    key.startsWith('sk-ant-') &&
+    !key.includes('your_') &&
+    !key.includes('_here'));
+}
+
+/**
+ * Generate a response with Claude
+ * @param {Object} request - Generation request
+ * @param {string} request.prompt - User prompt
+ * @param {string} request.model - Model name
+ * @param {number} request.maxTokens - Maximum tokens to generate
+ * @param {Array<Object>} request.images - Images as { data (base64), mimeType } (optional)
+ * @returns {Promise<Object>} { text, model, usage: { inputTokens, outputTokens } }
+ */
+async function generate({ prompt, model, maxTokens, images = [] }) {
+  claudeService.initialize();
+
+  const content = images.length > 0
+    ? [
+        ...images.map(image => ({
+          type: 'image',
+          source: { type: 'base64', media_type: image.mimeType, data: image.data }
+        })),
+        { type: 'text', text: prompt }
+      ]
+    : prompt;
+
+  const message = await claudeService.client.messages.create({
+    model,
+    max_tokens: maxTokens,
+    messages: [{ role: 'user', content }]
+  });
+
+  return {
+    text: message.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join(''),
+    model: message.model || model,
+    usage: {
+      inputTokens: message.usage?.input_tokens || 0,
+      outputTokens: message.usage?.output_tokens || 0
+    }
+  };
+}
+
+module.exports = {
+  name,
+  supportsVision,
+  isAvailable,
+  generate
+};
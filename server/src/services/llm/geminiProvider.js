@@ -0,0 +1,59 @@
+/**
+ * Gemini LLM Provider
+ * Adapts Google's Generative AI SDK to the common provider interface
+ * Calls share geminiService's rate limiter so the free tier quota is respected
+ */
+
+const geminiService = require('../geminiService');
+
+const name = 'gemini';
+const supportsVision = true;
+
+/**
+ * Check whether a real Gemini API key is configured
+ * @returns {boolean}
+ */
+function isAvailable() {
+  const key = process.env.GEMINI_API_KEY;
+  return Boolean(key && key.length > 10 && !key.includes('your_') && key !== 'your-gemini-api-key');
+}
+
+/**
+ * Generate a response with Gemini
+ * @param {Object} request - Generation request
+ * @param {string} request.prompt - User prompt
+ * @param {string} request.model - Model name
+ * @param {number} request.maxTokens - Maximum tokens to generate
+ * @param {Array<Object>} request.images - Images as { data (base64), mimeType } (optional)
+ * @returns {Promise<Object>} { text, model, usage: { inputTokens, outputTokens } }
+ */
+async function generate({ prompt, model, maxTokens, images = [] }) {
+  geminiService.initialize();
+  await geminiService.waitForRateLimit();
+
+  const generativeModel = geminiService.genAI.getGenerativeModel({
+    model,
+    generationConfig: { maxOutputTokens: maxTokens }
+  });
+
+  const parts = [prompt, ...images.map(image => ({ inlineData: image }))];
+  const result = await generativeModel.generateContent(parts);
+  const response = await result.response;
+  const usage = response.usageMetadata || {};
+
+  return {
+    text: response.text(),
+    model,
+    usage: {
+      inputTokens: usage.promptTokenCount || 0,
+      outputTokens: usage.candidatesTokenCount || 0
+    }
+  };
+}
+
+module.exports = {
+  name,
+  supportsVision,
+  isAvailable,
+  generate
+};
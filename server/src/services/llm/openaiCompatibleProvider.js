@@ -0,0 +1,134 @@
+/**
+ * OpenAI-compatible LLM Provider
+ * Talks to any server implementing the chat completions API, such as
+ * llama.cpp server, Ollama or vLLM, so analysis can run without cloud services
+ */
+
+const llmConfig = require('../../config/llmConfig');
+
+const config = llmConfig.providers.openai;
+
+const name = 'openai';
+const supportsVision = config.supportsVision;
+
+/**
+ * Check whether an endpoint is configured
+ * The server is not contacted; connection errors surface when generating
+ * @returns {boolean}
+ */
+function isAvailable() {
+  return Boolean(config.baseUrl);
+}
+
+/**
+ * POST a JSON body to an endpoint path and return the parsed response
+ * @param {string} baseUrl - API base URL (e.g. http://localhost:8080/v1)
+ * @param {string} endpoint - Path below the base URL
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function postJson(baseUrl, endpoint, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+
+  const response = await fetch(`${baseUrl.replace(/\/$/, '')}${endpoint}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(config.timeout)
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`Endpoint returned ${response.status}: ${text.substring(0, 200)}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Generate a response from the configured chat completions endpoint
+ * @param {Object} request - Generation request
+ * @param {string} request.prompt - User prompt
+ * @param {string} request.model - Model name
+ * @param {number} request.maxTokens - Maximum tokens to generate
+ * @param {Array<Object>} request.images - Images as { data (base64), mimeType } (optional)
+ * @returns {Promise<Object>} { text, model, usage: { inputTokens, outputTokens } }
+ */
+async function generate({ prompt, model, maxTokens, images = [] }) {
+  if (!config.baseUrl) {
+    throw new Error('LLM_OPENAI_BASE_URL not configured in environment variables');
+  }
+
+  const content = images.length > 0
+    ? [
+        { type: 'text', text: prompt },
+        ...images.map(image => ({
+          type: 'image_url',
+          image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+        }))
+      ]
+    : prompt;
+
+  const data = await postJson(config.baseUrl, '/chat/completions', {
+    model,
+    max_tokens: maxTokens,
+    messages: [{ role: 'user', content }]
+  });
+
+  const choice = data.choices && data.choices[0];
+
+  if (!choice || !choice.message) {
+    throw new Error('Endpoint returned no completion');
+  }
+
+  return {
+    text: choice.message.content || '',
+    model: data.model || model,
+    usage: {
+      inputTokens: data.usage?.prompt_tokens || 0,
+      outputTokens: data.usage?.completion_tokens || 0
+    }
+  };
+}
+
+/**
+ * Embed texts with an embeddings endpoint
+ * @param {Object} request - Embedding request
+ * @param {Array<string>} request.input - Texts to embed
+ * @param {string} request.model - Embedding model name
+ * @param {string} request.baseUrl - API base URL (defaults to the chat endpoint)
+ * @returns {Promise<Object>} { embeddings: Array<Array<number>> in input order, model, usage }
+ */
+async function embed({ input, model, baseUrl = config.baseUrl }) {
+  if (!baseUrl) {
+    throw new Error('EMBEDDING_BASE_URL not configured in environment variables');
+  }
+
+  const data = await postJson(baseUrl, '/embeddings', { model, input });
+
+  if (!Array.isArray(data.data) || data.data.length !== input.length) {
+    throw new Error('Endpoint returned an unexpected number of embeddings');
+  }
+
+  return {
+    embeddings: [...data.data]
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(item => item.embedding),
+    model: data.model || model,
+    usage: {
+      inputTokens: data.usage?.prompt_tokens || 0,
+      outputTokens: 0
+    }
+  };
+}
+
+module.exports = {
+  name,
+  supportsVision,
+  isAvailable,
+  generate,
+  embed
+};
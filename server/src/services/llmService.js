@@ -0,0 +1,291 @@
+/**
+ * LLM Service
+ * Single entry point for AI text and vision generation
+ * Routes each task to the provider and model set in llmConfig and records every call in llm_usage
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const pool = require('./db');
+const llmConfig = require('../config/llmConfig');
+const claudeProvider = require('./llm/claudeProvider');
+const geminiProvider = require('./llm/geminiProvider');
+const openaiCompatibleProvider = require('./llm/openaiCompatibleProvider');
+
+const PROVIDERS = {
+  [claudeProvider.name]: claudeProvider,
+  [geminiProvider.name]: geminiProvider,
+  [openaiCompatibleProvider.name]: openaiCompatibleProvider
+};
+
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Get the provider adapter and model configured for a task
+ * @param {string} task - Task name from llmConfig.tasks
+ * @returns {Object} { provider, model, maxTokens }
+ */
+function getTaskProvider(task) {
+  const taskConfig = llmConfig.tasks[task];
+  if (!taskConfig) {
+    throw new Error(`Unknown LLM task: ${task}`);
+  }
+
+  const provider = PROVIDERS[taskConfig.provider];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${taskConfig.provider}" for task ${task}`);
+  }
+
+  return {
+    provider,
+    model: taskConfig.model || llmConfig.providers[provider.name].defaultModel,
+    maxTokens: taskConfig.maxTokens
+  };
+}
+
+/**
+ * Check whether a task can be sent to its provider
+ * Set USE_LOCAL_ANALYSIS=true to force the built-in local fallbacks for every task
+ * @param {string} task - Task name from llmConfig.tasks
+ * @returns {boolean} - False when callers should use their local fallback
+ */
+function isTaskAvailable(task) {
+  if (process.env.USE_LOCAL_ANALYSIS === 'true') {
+    return false;
+  }
+
+  const { provider } = getTaskProvider(task);
+  if (task === 'vision' && !provider.supportsVision) {
+    return false;
+  }
+
+  return provider.isAvailable();
+}
+
+/**
+ * Record a generation in llm_usage
+ * Failures are logged and swallowed so usage tracking never breaks analysis
+ * @param {Object} entry - Usage entry
+ */
+async function recordUsage(entry) {
+  try {
+    await pool.query(
+      `INSERT INTO llm_usage
+        (task, provider, model, input_tokens, output_tokens, duration_ms, success, error_message, video_id, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        entry.task,
+        entry.provider,
+        entry.model,
+        entry.inputTokens || 0,
+        entry.outputTokens || 0,
+        entry.durationMs,
+        entry.success,
+        entry.errorMessage || null,
+        entry.videoId || null,
+        entry.userId || null
+      ]
+    );
+  } catch (error) {
+    console.error('Failed to record LLM usage:', error.message);
+  }
+}
+
+/**
+ * Send a request to a task's provider and record the outcome
+ * @param {string} task - Task name from llmConfig.tasks
+ * @param {string} prompt - Prompt text
+ * @param {Array<Object>} images - Images as { data (base64), mimeType }
+ * @param {Object} options - Options (maxTokens, videoId, userId)
+ * @returns {Promise<string>} Generated text
+ */
+async function runTask(task, prompt, images, options) {
+  const { provider, model, maxTokens } = getTaskProvider(task);
+  const startedAt = Date.now();
+
+  const usageEntry = {
+    task,
+    provider: provider.name,
+    model,
+    videoId: options.videoId,
+    userId: options.userId
+  };
+
+  try {
+    const result = await provider.generate({
+      prompt,
+      model,
+      maxTokens: options.maxTokens || maxTokens,
+      images
+    });
+
+    await recordUsage({
+      ...usageEntry,
+      model: result.model,
+      inputTokens: result.usage.inputTokens,
+      outputTokens: result.usage.outputTokens,
+      durationMs: Date.now() - startedAt,
+      success: true
+    });
+
+    return result.text;
+  } catch (error) {
+    await recordUsage({
+      ...usageEntry,
+      durationMs: Date.now() - startedAt,
+      success: false,
+      errorMessage: error.message
+    });
+
+    console.error(`LLM ${provider.name} error (${task}):`, error.message);
+    throw new Error(`Text generation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Generate text for a task
+ * @param {string} task - Task name from llmConfig.tasks
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Options
+ * @param {number} options.maxTokens - Override the task's token limit
+ * @param {string} options.videoId - Video the request is for, recorded with usage
+ * @param {string} options.userId - User the request is for, recorded with usage
+ * @returns {Promise<string>} Generated text
+ */
+async function generateText(task, prompt, options = {}) {
+  return runTask(task, prompt, [], options);
+}
+
+/**
+ * Generate text about an image for a task
+ * @param {string} task - Task name from llmConfig.tasks
+ * @param {string} imagePath - Path to a JPEG, PNG or WebP image
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Same options as generateText
+ * @returns {Promise<string>} Generated text
+ */
+async function analyzeImage(task, imagePath, prompt, options = {}) {
+  let imageData;
+  try {
+    imageData = await fs.readFile(imagePath);
+  } catch (error) {
+    throw new Error(`Image file not found: ${imagePath}`);
+  }
+
+  const image = {
+    data: imageData.toString('base64'),
+    mimeType: IMAGE_MIME_TYPES[path.extname(imagePath).toLowerCase()] || 'image/jpeg'
+  };
+
+  return runTask(task, prompt, [image], options);
+}
+
+/**
+ * Check whether an embeddings endpoint is configured for semantic search
+ * @returns {boolean}
+ */
+function isEmbeddingAvailable() {
+  return Boolean(llmConfig.embeddings.baseUrl);
+}
+
+/**
+ * Embed texts with the configured embedding model, recorded in llm_usage as the "embeddings" task
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} options - Options (videoId, userId)
+ * @returns {Promise<Array<Array<number>>>} One vector per text, in input order
+ */
+async function embedTexts(texts, options = {}) {
+  const { baseUrl, model, dimensions } = llmConfig.embeddings;
+  const startedAt = Date.now();
+
+  const usageEntry = {
+    task: 'embeddings',
+    provider: openaiCompatibleProvider.name,
+    model,
+    videoId: options.videoId,
+    userId: options.userId
+  };
+
+  try {
+    const result = await openaiCompatibleProvider.embed({ input: texts, model, baseUrl });
+
+    const wrongSize = result.embeddings.find(vector => vector.length !== dimensions);
+    if (wrongSize) {
+      throw new Error(`Model returned ${wrongSize.length}-dimensional vectors, expected ${dimensions}`);
+    }
+
+    await recordUsage({
+      ...usageEntry,
+      model: result.model,
+      inputTokens: result.usage.inputTokens,
+      durationMs: Date.now() - startedAt,
+      success: true
+    });
+
+    return result.embeddings;
+  } catch (error) {
+    await recordUsage({
+      ...usageEntry,
+      durationMs: Date.now() - startedAt,
+      success: false,
+      errorMessage: error.message
+    });
+
+    throw new Error(`Embedding failed: ${error.message}`);
+  }
+}
+
+/**
+ * Describe the configured provider and model for every task
+ * @returns {Object} Map of task name to { provider, model, available }
+ */
+function getTaskSettings() {
+  return Object.keys(llmConfig.tasks).reduce((settings, task) => {
+    const { provider, model } = getTaskProvider(task);
+    settings[task] = {
+      provider: provider.name,
+      model,
+      available: isTaskAvailable(task)
+    };
+    return settings;
+  }, {});
+}
+
+/**
+ * Summarize recorded usage per provider, model and task
+ * @param {Object} options - Options
+ * @param {number} options.days - Number of days to include (default: 30)
+ * @returns {Promise<Array<Object>>} Rows with request, failure and token totals
+ */
+async function getUsageSummary(options = {}) {
+  const { days = 30 } = options;
+
+  const result = await pool.query(
+    `SELECT provider, model, task,
+            COUNT(*)::int AS requests,
+            COUNT(*) FILTER (WHERE NOT success)::int AS failures,
+            COALESCE(SUM(input_tokens), 0)::int AS input_tokens,
+            COALESCE(SUM(output_tokens), 0)::int AS output_tokens
+     FROM llm_usage
+     WHERE created_at > NOW() - ($1 || ' days')::interval
+     GROUP BY provider, model, task
+     ORDER BY requests DESC`,
+    [String(days)]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  getTaskProvider,
+  isTaskAvailable,
+  generateText,
+  analyzeImage,
+  isEmbeddingAvailable,
+  embedTexts,
+  getTaskSettings,
+  getUsageSummary
+};
@@ -0,0 +1,213 @@
+/**
+ * Local Quiz Service
+ * Generates quiz questions without external APIs by blanking out key terms of
+ * section key points and key transcript sentences
+ * Used as fallback when no provider is configured for the quiz task
+ */
+
+const { extractKeySentences } = require('./localSummaryService');
+
+// Words that make poor blanks
+const STOP_WORDS = new Set([
+  'about', 'above', 'after', 'again', 'against', 'because', 'before', 'being', 'below',
+  'between', 'could', 'doing', 'during', 'every', 'going', 'having', 'other', 'really',
+  'should', 'something', 'there', 'these', 'thing', 'things', 'those', 'through',
+  'under', 'until', 'where', 'which', 'while', 'would', 'their', 'theirs', 'basically',
+  'actually', 'section', 'video', 'gonna', 'wanna', 'maybe', 'always', 'never', 'often',
+  'people', 'first', 'second', 'third', 'still', 'right', 'pretty', 'little', 'another'
+]);
+
+const QUESTION_TYPES = ['multiple_choice', 'true_false', 'short_answer'];
+
+/**
+ * Small deterministic hash so the same material always yields the same quiz
+ * @param {string} text
+ * @returns {number}
+ */
+function hash(text) {
+  let value = 0;
+  for (let i = 0; i < text.length; i++) {
+    value = (value * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return value;
+}
+
+/**
+ * Order options by a hash of the question so the correct one is not always first
+ * @param {Array<string>} options
+ * @param {string} seed
+ * @returns {Array<string>}
+ */
+function shuffle(options, seed) {
+  return [...options].sort((a, b) => hash(`${seed}:${a}`) - hash(`${seed}:${b}`));
+}
+
+/**
+ * Pick the word of a sentence that makes the best blank: numbers, names, then long words
+ * @param {string} sentence
+ * @returns {string|null}
+ */
+function pickKeyTerm(sentence) {
+  const words = sentence.match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || [];
+  let best = null;
+  let bestScore = 0;
+
+  words.forEach((word, index) => {
+    const lower = word.toLowerCase();
+    if (STOP_WORDS.has(lower)) return;
+
+    let score = 0;
+    if (/^\d+([.,]\d+)?$/.test(word)) {
+      score = 8;
+    } else if (word.length >= 5) {
+      score = word.length;
+      if (index > 0 && /^\p{Lu}/u.test(word)) score += 5;
+    }
+
+    if (score > bestScore) {
+      best = word;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Replace the first occurrence of a term in a sentence
+ * @param {string} sentence
+ * @param {string} term
+ * @param {string} replacement
+ * @returns {string}
+ */
+function replaceTerm(sentence, term, replacement) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return sentence.replace(new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, 'u'), `$1${replacement}`);
+}
+
+/**
+ * Collect the facts a section can be quizzed on: its key points, then key transcript sentences
+ * @param {object} section - { key_points: Array<{ text, timestamp }>, transcript: Array<{ start, text }>, start_time }
+ * @returns {Array<object>} - Facts { text, timestamp }
+ */
+function collectFacts(section) {
+  const facts = (section.key_points || []).filter(point => point.text && point.text.length > 20);
+
+  const segments = section.transcript || [];
+  if (facts.length < 3 && segments.length > 0) {
+    const text = segments.map(segment => segment.text).join(' ');
+    extractKeySentences(text, 4).forEach(sentence => {
+      const opening = sentence.substring(0, 30).toLowerCase();
+      const segment = segments.find(s => (s.text || '').toLowerCase().includes(opening.substring(0, 15)));
+      facts.push({ text: sentence, timestamp: segment ? segment.start : section.start_time });
+    });
+  }
+
+  return facts.map(fact => ({ ...fact, text: fact.text.replace(/\s+/g, ' ').trim().replace(/[.!?]*$/, '.') }));
+}
+
+/**
+ * Build one question from a fact
+ * @param {string} type - Question type to try
+ * @param {object} fact - { text, timestamp }
+ * @param {object} section - Section the fact comes from
+ * @param {Array<string>} terms - Key terms of every fact in the quiz, for wrong options
+ * @param {boolean} statementTrue - Whether a true/false statement should be left true
+ * @returns {object|null} - Question, or null if the fact has no usable term
+ */
+function buildQuestion(type, fact, section, terms, statementTrue) {
+  const term = pickKeyTerm(fact.text);
+  if (!term) return null;
+
+  const isNumber = /^\d/.test(term);
+  const distractors = [...new Set(terms)]
+    .filter(other => other.toLowerCase() !== term.toLowerCase()
+      && /^\d/.test(other) === isNumber
+      && !fact.text.toLowerCase().includes(other.toLowerCase()))
+    .sort((a, b) => hash(`${fact.text}:${a}`) - hash(`${fact.text}:${b}`))
+    .slice(0, 3);
+
+  const blanked = replaceTerm(fact.text, term, '_____');
+  const base = {
+    section_id: section.id,
+    timestamp_seconds: fact.timestamp ?? section.start_time,
+    explanation: fact.text
+  };
+
+  if (type === 'multiple_choice' && distractors.length >= 2) {
+    return {
+      ...base,
+      question_type: 'multiple_choice',
+      prompt: `Which word completes this statement from "${section.title}"?\n\n${blanked}`,
+      options: shuffle([term, ...distractors], fact.text),
+      answer: term
+    };
+  }
+
+  // False statements swap another term in
+  if (type === 'true_false' && distractors.length >= 1) {
+    return {
+      ...base,
+      question_type: 'true_false',
+      prompt: `True or false: ${statementTrue ? fact.text : replaceTerm(fact.text, term, distractors[0])}`,
+      options: ['True', 'False'],
+      answer: statementTrue ? 'True' : 'False'
+    };
+  }
+
+  return {
+    ...base,
+    question_type: 'short_answer',
+    prompt: `Fill in the blank (from "${section.title}"):\n\n${blanked}`,
+    options: [],
+    answer: term
+  };
+}
+
+/**
+ * Generate quiz questions from sections without external APIs
+ * Sections are visited most important first, one fact at a time, and question
+ * types rotate so a quiz mixes multiple-choice, true/false and short-answer questions.
+ * @param {Array<object>} sections - Sections with id, title, start_time, importance,
+ *   key_points [{ text, timestamp }] and transcript segments [{ start, text }]
+ * @param {object} options - { maxQuestions }
+ * @returns {Array<object>} - Questions { question_type, prompt, options, answer, explanation, section_id, timestamp_seconds }
+ */
+function generateLocalQuiz(sections, { maxQuestions = 10 } = {}) {
+  const pools = [...sections]
+    .sort((a, b) => (b.importance || 3) - (a.importance || 3) || a.start_time - b.start_time)
+    .map(section => ({ section, facts: collectFacts(section) }))
+    .filter(pool => pool.facts.length > 0);
+
+  const terms = pools.flatMap(pool => pool.facts.map(fact => pickKeyTerm(fact.text)).filter(Boolean));
+  const questions = [];
+  const asked = new Set();
+
+  for (let round = 0; questions.length < maxQuestions; round++) {
+    const candidates = pools.filter(pool => pool.facts[round]);
+    if (candidates.length === 0) break;
+
+    for (const { section, facts } of candidates) {
+      if (questions.length >= maxQuestions) break;
+      const fact = facts[round];
+      if (asked.has(fact.text)) continue;
+
+      // Offsetting by round keeps a section from always getting the same type
+      const type = QUESTION_TYPES[(questions.length + round) % QUESTION_TYPES.length];
+      const trueFalseCount = questions.filter(q => q.question_type === 'true_false').length;
+      const question = buildQuestion(type, fact, section, terms, trueFalseCount % 2 === 0);
+      if (question) {
+        asked.add(fact.text);
+        questions.push(question);
+      }
+    }
+  }
+
+  // Back in video order
+  return questions.sort((a, b) => (a.timestamp_seconds || 0) - (b.timestamp_seconds || 0));
+}
+
+module.exports = {
+  pickKeyTerm,
+  generateLocalQuiz
+};
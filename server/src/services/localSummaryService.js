@@ -314,7 +314,7 @@ This video is recommended for ${difficulty.toLowerCase()} level viewers interest
 ---
 
 *Analysis generated locally (without AI API)*
-*Video: https://www.youtube.com/watch?v=${video.youtube_id}*
+${video.youtube_id ? `*Video: https://www.youtube.com/watch?v=${video.youtube_id}*` : ''}
 `;
 
   return markdown;
@@ -0,0 +1,30 @@
+/**
+ * Console Mail Transport
+ * Prints messages to the server log instead of sending them (local development)
+ */
+
+const name = 'console';
+
+/**
+ * Print a message
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {Promise<Object>} { id }
+ */
+async function send({ from, to, subject, text }) {
+  console.log([
+    '----- Outgoing mail -----',
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    '',
+    text,
+    '-------------------------'
+  ].join('\n'));
+
+  return { id: null };
+}
+
+module.exports = {
+  name,
+  send
+};
@@ -0,0 +1,40 @@
+/**
+ * File Mail Transport
+ * Writes each message to its own .eml file so tests and local setups can inspect mail
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const mailConfig = require('../../config/mailConfig');
+
+const name = 'file';
+
+/**
+ * Write a message to MAIL_FILE_DIR
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {Promise<Object>} { id } - File name of the written message
+ */
+async function send({ from, to, subject, text }) {
+  const dir = path.resolve(mailConfig.file.dir);
+  await fs.mkdir(dir, { recursive: true });
+
+  const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+  const content = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text
+  ].join('\r\n');
+
+  await fs.writeFile(path.join(dir, id), content, 'utf8');
+  return { id };
+}
+
+module.exports = {
+  name,
+  send
+};
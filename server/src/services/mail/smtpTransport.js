@@ -0,0 +1,43 @@
+/**
+ * SMTP Mail Transport
+ * Delivers messages through an SMTP server with nodemailer
+ */
+
+const nodemailer = require('nodemailer');
+const mailConfig = require('../../config/mailConfig');
+
+const name = 'smtp';
+
+let transporter = null;
+
+/**
+ * Create the nodemailer transporter on first use
+ * @returns {Object} nodemailer transporter
+ */
+function getTransporter() {
+  if (!transporter) {
+    const { host, port, secure, user, password } = mailConfig.smtp;
+    transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Send a message over SMTP
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {Promise<Object>} { id } - Message-ID assigned by the server
+ */
+async function send({ from, to, subject, text }) {
+  const info = await getTransporter().sendMail({ from, to, subject, text });
+  return { id: info.messageId };
+}
+
+module.exports = {
+  name,
+  send
+};
@@ -0,0 +1,51 @@
+/**
+ * Mail Service
+ * Sends plain-text account emails through the transport set in mailConfig
+ */
+
+const mailConfig = require('../config/mailConfig');
+const consoleTransport = require('./mail/consoleTransport');
+const fileTransport = require('./mail/fileTransport');
+const smtpTransport = require('./mail/smtpTransport');
+
+const TRANSPORTS = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport,
+  [smtpTransport.name]: smtpTransport
+};
+
+/**
+ * Send an email
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @returns {Promise<Object>} { id } - Transport-specific message ID
+ */
+async function sendMail({ to, subject, text }) {
+  const transport = TRANSPORTS[mailConfig.transport];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${mailConfig.transport}"`);
+  }
+
+  return transport.send({ from: mailConfig.from, to, subject, text });
+}
+
+/**
+ * Build a dashboard URL for a link in an email
+ * @param {string} pathname - Path below the dashboard root (e.g. /reset-password)
+ * @param {Object} [params] - Query parameters
+ * @returns {string} Absolute URL
+ */
+function buildAppUrl(pathname, params = {}) {
+  const url = new URL(pathname, mailConfig.appUrl);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+}
+
+module.exports = {
+  sendMail,
+  buildAppUrl
+};
@@ -106,9 +106,9 @@ class OCRService {
         await this.initWorkers();
       }
 
-      // Get all frames for the video
+      // Get all frames for the video, skipping near-duplicates of earlier frames
       const framesResult = await db.query(
-        'SELECT id, frame_path, timestamp_seconds FROM frames WHERE video_id = $1 ORDER BY timestamp_seconds ASC',
+        'SELECT id, frame_path, timestamp_seconds FROM frames WHERE video_id = $1 AND duplicate_of IS NULL ORDER BY timestamp_seconds ASC',
         [videoId]
       );
 
@@ -272,7 +272,8 @@ class OCRService {
       limit = 50,
       offset = 0,
       minConfidence = 0,
-      onlyWithText = false
+      onlyWithText = false,
+      includeDuplicates = false
     } = options;
 
     try {
@@ -280,6 +281,10 @@ class OCRService {
       const params = [videoId];
       let paramCount = 1;
 
+      if (!includeDuplicates) {
+        whereClause += ' AND duplicate_of IS NULL';
+      }
+
       if (onlyWithText) {
         whereClause += ` AND on_screen_text IS NOT NULL AND on_screen_text != ''`;
       }
@@ -297,6 +302,13 @@ class OCRService {
       );
       const total = parseInt(countResult.rows[0].total);
 
+      // Near-duplicates collapsed into earlier frames (shown on request)
+      const duplicateResult = await db.query(
+        'SELECT COUNT(*) as total FROM frames WHERE video_id = $1 AND duplicate_of IS NOT NULL',
+        [videoId]
+      );
+      const duplicateCount = parseInt(duplicateResult.rows[0].total);
+
       // Get frames
       paramCount++;
       const limitParam = paramCount;
@@ -314,6 +326,7 @@ class OCRService {
            ocr_confidence,
            ocr_words,
            is_keyframe,
+           duplicate_of,
            created_at
          FROM frames
          ${whereClause}
@@ -325,6 +338,7 @@ class OCRService {
       return {
         frames: result.rows,
         total,
+        duplicateCount,
         limit,
         offset
       };
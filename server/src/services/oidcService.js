@@ -0,0 +1,335 @@
+/**
+ * OpenID Connect service for single sign-on
+ * Implements the authorization code flow with PKCE against the configured issuer:
+ * builds the authorization URL, redeems the code, verifies the ID token against the
+ * provider's published keys and maps the signed-in person to a Vidlyx user.
+ */
+
+const crypto = require('crypto');
+const pool = require('./db');
+const authService = require('./authService');
+const apiTokenService = require('./apiTokenService');
+const oidcConfig = require('../config/oidcConfig');
+
+// How long discovery metadata and signing keys are reused before being fetched again
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+// Allowed difference between our clock and the provider's when checking token times
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// JWS algorithms accepted for ID tokens, mapped to Node's digest names
+const SIGNING_ALGORITHMS = {
+  RS256: 'sha256',
+  RS384: 'sha384',
+  RS512: 'sha512',
+  ES256: 'sha256',
+  ES384: 'sha384',
+  ES512: 'sha512'
+};
+
+let discoveryCache = null;
+let jwksCache = null;
+
+/**
+ * GET a URL and return the parsed JSON response
+ * @param {string} url - URL to fetch
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>}
+ */
+async function getJson(url, headers = {}) {
+  const response = await fetch(url, {
+    headers: { Accept: 'application/json', ...headers },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`OIDC provider returned ${response.status} for ${url}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetch the provider's discovery document, cached for an hour
+ * @returns {Promise<Object>} - Provider metadata (endpoints, jwks_uri, ...)
+ */
+async function getDiscovery() {
+  if (discoveryCache && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.metadata;
+  }
+
+  const metadata = await getJson(`${oidcConfig.issuer}/.well-known/openid-configuration`);
+
+  if (metadata.issuer !== oidcConfig.issuer) {
+    throw new Error(`Discovery issuer ${metadata.issuer} does not match OIDC_ISSUER`);
+  }
+
+  discoveryCache = { metadata, expiresAt: Date.now() + METADATA_TTL_MS };
+  return metadata;
+}
+
+/**
+ * Find the provider's signing key for a key ID
+ * The key set is fetched again once if the ID is unknown, which picks up key rotation.
+ * @param {string} kid - Key ID from the token header (may be undefined)
+ * @returns {Promise<crypto.KeyObject>}
+ */
+async function getSigningKey(kid) {
+  const { jwks_uri: jwksUri } = await getDiscovery();
+
+  const findKey = keys => keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  let key = jwksCache && jwksCache.expiresAt > Date.now() ? findKey(jwksCache.keys) : null;
+  if (!key) {
+    const { keys = [] } = await getJson(jwksUri);
+    jwksCache = { keys, expiresAt: Date.now() + METADATA_TTL_MS };
+    key = findKey(keys);
+  }
+
+  if (!key) {
+    throw new Error('ID token was signed with an unknown key');
+  }
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+}
+
+/**
+ * Verify an ID token's signature and claims
+ * @param {string} idToken - Compact JWS from the token response
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} - Token claims
+ */
+async function verifyIdToken(idToken, nonce) {
+  const parts = (idToken || '').split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed ID token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+  const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+
+  const digest = SIGNING_ALGORITHMS[header.alg];
+  if (!digest) {
+    throw new Error(`Unsupported ID token algorithm: ${header.alg}`);
+  }
+
+  const key = await getSigningKey(header.kid);
+  const valid = crypto.verify(
+    digest,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    // ECDSA signatures in a JWS are the raw r||s pair rather than DER
+    header.alg.startsWith('ES') ? { key, dsaEncoding: 'ieee-p1363' } : key,
+    Buffer.from(encodedSignature, 'base64url')
+  );
+  if (!valid) {
+    throw new Error('ID token signature is invalid');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (claims.iss !== oidcConfig.issuer) {
+    throw new Error('ID token issuer does not match');
+  }
+  if (!audiences.includes(oidcConfig.clientId)) {
+    throw new Error('ID token was not issued for this client');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_TOLERANCE_SECONDS < now) {
+    throw new Error('ID token has expired');
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return claims;
+}
+
+/**
+ * Start a sign-in: build the provider URL and the values to remember until the callback
+ * @returns {Promise<Object>} - { url, state, nonce, codeVerifier }
+ */
+async function createAuthorizationRequest() {
+  const { authorization_endpoint: authorizationEndpoint } = await getDiscovery();
+
+  const state = crypto.randomBytes(16).toString('base64url');
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: oidcConfig.clientId,
+    redirect_uri: oidcConfig.redirectUri,
+    scope: oidcConfig.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+}
+
+/**
+ * Redeem an authorization code and return the verified identity claims
+ * Userinfo claims are merged in when the provider has a userinfo endpoint, since some
+ * providers leave email and name out of the ID token.
+ * @param {string} code - Code from the callback
+ * @param {Object} request - { nonce, codeVerifier } saved by createAuthorizationRequest
+ * @returns {Promise<Object>} - Claims including sub, email, email_verified, given_name, family_name
+ */
+async function completeAuthorization(code, { nonce, codeVerifier }) {
+  const metadata = await getDiscovery();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: oidcConfig.redirectUri,
+    client_id: oidcConfig.clientId,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (oidcConfig.clientSecret) {
+    if (authMethods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(oidcConfig.clientId)}:${encodeURIComponent(oidcConfig.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_secret', oidcConfig.clientSecret);
+    }
+  }
+
+  const response = await fetch(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  const tokens = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Token request failed: ${tokens.error_description || tokens.error || response.status}`);
+  }
+
+  const claims = await verifyIdToken(tokens.id_token, nonce);
+
+  if (metadata.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await getJson(metadata.userinfo_endpoint, {
+      Authorization: `Bearer ${tokens.access_token}`
+    });
+    // Userinfo must describe the same person as the ID token (OIDC Core 5.3.2)
+    if (userinfo.sub === claims.sub) {
+      return { ...userinfo, ...claims };
+    }
+  }
+
+  return claims;
+}
+
+/**
+ * Check whether an email domain may have accounts created on first sign-in
+ * @param {string} email - Email address
+ * @returns {boolean}
+ */
+function isJitAllowed(email) {
+  const domain = email.split('@').pop().toLowerCase();
+  return oidcConfig.jitDomains.includes(domain);
+}
+
+/**
+ * Record (or refresh) the link between a provider account and a user
+ */
+async function linkIdentity(userId, subject, email) {
+  await pool.query(
+    `INSERT INTO user_identities (user_id, issuer, subject, email, last_login_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+     ON CONFLICT (issuer, subject)
+     DO UPDATE SET email = EXCLUDED.email, last_login_at = CURRENT_TIMESTAMP`,
+    [userId, oidcConfig.issuer, subject, email]
+  );
+}
+
+/**
+ * Resolve the user for a verified set of identity claims
+ * A previously linked identity wins. Otherwise a provider-verified email links the identity
+ * to the account with that address, or creates an account when the domain allows
+ * just-in-time provisioning. Linking an account whose email was never verified resets its
+ * password and ends its sessions and API tokens. Accounts that are not active are rejected
+ * before anything about them changes.
+ * @param {Object} claims - Claims from completeAuthorization
+ * @returns {Promise<Object>} - User record (with password_hash removed)
+ */
+async function findOrCreateUser(claims) {
+  const email = typeof claims.email === 'string' ? claims.email.trim() : null;
+
+  const linked = await pool.query(
+    `SELECT user_id FROM user_identities WHERE issuer = $1 AND subject = $2`,
+    [oidcConfig.issuer, claims.sub]
+  );
+
+  let userId = linked.rows[0]?.user_id;
+
+  if (userId) {
+    const user = await authService.findUserById(userId);
+    if (!user || user.status !== 'active') {
+      throw new Error('Account is not active');
+    }
+  } else {
+    if (!email || claims.email_verified !== true) {
+      throw new Error('Your identity provider did not share a verified email address');
+    }
+
+    const existing = await pool.query(
+      'SELECT id, email_verified, status FROM users WHERE LOWER(email) = LOWER($1)',
+      [email]
+    );
+
+    if (existing.rows[0]) {
+      // A suspended or deleted account stays exactly as it is
+      if (existing.rows[0].status !== 'active') {
+        throw new Error('Account is not active');
+      }
+
+      userId = existing.rows[0].id;
+
+      // Nobody proved they own this address when the account was registered, so whoever did
+      // register it could be someone else. Lock them out before handing the account over.
+      if (!existing.rows[0].email_verified) {
+        await authService.updatePassword(userId, crypto.randomBytes(32).toString('base64url'));
+        await apiTokenService.revokeAllTokens(userId);
+      }
+    } else if (isJitAllowed(email)) {
+      // The account can only be used through SSO until the user resets the password
+      const user = await authService.createUser(
+        email.toLowerCase(),
+        crypto.randomBytes(32).toString('base64url'),
+        (claims.given_name || claims.name || email.split('@')[0]).substring(0, 100),
+        (claims.family_name || '').substring(0, 100)
+      );
+      userId = user.id;
+    } else {
+      throw new Error('No Vidlyx account uses this email address');
+    }
+
+    // The provider vouched for the address, so it counts as verified here too
+    await authService.markEmailVerified(userId);
+  }
+
+  await linkIdentity(userId, claims.sub, email);
+
+  return authService.findUserById(userId);
+}
+
+module.exports = {
+  createAuthorizationRequest,
+  completeAuthorization,
+  findOrCreateUser
+};
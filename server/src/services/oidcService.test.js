@@ -0,0 +1,73 @@
+/**
+ * Tests for mapping single sign-on claims to accounts
+ * The database pool is replaced with a stub that records queries.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const queries = [];
+let respond = () => ({ rows: [] });
+
+const poolStub = {
+  query: async (text, params) => {
+    queries.push({ text, params });
+    return respond(text, params);
+  }
+};
+require.cache[require.resolve('./db')] = { id: require.resolve('./db'), loaded: true, exports: poolStub };
+
+const oidcService = require('./oidcService');
+
+const claims = { sub: 'provider-user-1', email: 'ada@example.com', email_verified: true };
+
+const writes = () => queries.filter(({ text }) => /^\s*(INSERT|UPDATE|DELETE)/i.test(text));
+
+beforeEach(() => {
+  queries.length = 0;
+  respond = () => ({ rows: [] });
+});
+
+describe('findOrCreateUser', () => {
+  it('leaves an inactive account with a matching email untouched', async () => {
+    respond = (text) => (text.includes('FROM users WHERE LOWER(email)')
+      ? { rows: [{ id: 'user-1', email_verified: false, status: 'suspended' }] }
+      : { rows: [] });
+
+    await assert.rejects(oidcService.findOrCreateUser(claims), /Account is not active/);
+    assert.deepEqual(writes(), []);
+  });
+
+  it('does not refresh the identity link of an inactive account', async () => {
+    respond = (text) => {
+      if (text.includes('FROM user_identities')) return { rows: [{ user_id: 'user-1' }] };
+      if (text.includes('FROM users WHERE id')) return { rows: [{ id: 'user-1', status: 'suspended' }] };
+      return { rows: [] };
+    };
+
+    await assert.rejects(oidcService.findOrCreateUser(claims), /Account is not active/);
+    assert.deepEqual(writes(), []);
+  });
+
+  it('links an active account with a verified email without resetting it', async () => {
+    respond = (text) => {
+      if (text.includes('FROM users WHERE LOWER(email)')) return { rows: [{ id: 'user-1', email_verified: true, status: 'active' }] };
+      if (text.includes('FROM users WHERE id')) return { rows: [{ id: 'user-1', status: 'active' }] };
+      return { rows: [] };
+    };
+
+    const user = await oidcService.findOrCreateUser(claims);
+
+    assert.equal(user.id, 'user-1');
+    assert.ok(writes().some(({ text }) => text.includes('INSERT INTO user_identities')));
+    assert.ok(!writes().some(({ text }) => /password_hash|api_tokens/.test(text)));
+  });
+
+  it('requires a verified email to link an account', async () => {
+    await assert.rejects(
+      oidcService.findOrCreateUser({ ...claims, email_verified: false }),
+      /did not share a verified email address/
+    );
+    assert.deepEqual(writes(), []);
+  });
+});
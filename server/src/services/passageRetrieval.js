@@ -0,0 +1,222 @@
+/**
+ * Passage Retrieval
+ * Finds the passages of one or more videos (transcript, frame OCR and scene
+ * descriptions, section summaries) most relevant to a question, for the video
+ * chat and for research across videos. Passages are retrieved by vector
+ * similarity when the videos are indexed for semantic search, by keyword
+ * overlap otherwise.
+ */
+
+const pool = require('./db');
+const llmService = require('./llmService');
+const llmConfig = require('../config/llmConfig');
+const embeddingService = require('./embeddingService');
+const { formatTimestamp } = require('../utils/formatters');
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was',
+  'one', 'our', 'out', 'has', 'him', 'his', 'how', 'its', 'who', 'did', 'get', 'may', 'she',
+  'use', 'that', 'with', 'have', 'this', 'will', 'your', 'from', 'they', 'been', 'were',
+  'what', 'when', 'where', 'which', 'while', 'there', 'their', 'about', 'would', 'these',
+  'does', 'into', 'than', 'then', 'them', 'some', 'could', 'should', 'video', 'says', 'said',
+  'tell', 'explain', 'mentioned', 'mention', 'talk', 'talks', 'speaker'
+]);
+
+/**
+ * Split text into lowercase search terms, without stopwords
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 2 && !STOPWORDS.has(term));
+}
+
+/**
+ * Rank passages by keyword overlap with a query (TF-IDF, length-normalized)
+ * @param {Array<object>} passages - Passages with content
+ * @param {string} query - Search text
+ * @param {number} limit - Passages to return
+ * @returns {Array<object>} - Best passages with a score, best first
+ */
+function rankPassages(passages, query, limit) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || passages.length === 0) return [];
+
+  const documents = passages.map(passage => tokenize(passage.content));
+  const documentFrequency = new Map(queryTerms.map(term => [
+    term,
+    documents.filter(terms => terms.includes(term)).length
+  ]));
+
+  return passages
+    .map((passage, index) => {
+      const terms = documents[index];
+      let score = 0;
+      for (const term of queryTerms) {
+        const frequency = terms.filter(t => t === term).length;
+        if (frequency > 0) {
+          score += (1 + Math.log(frequency)) * Math.log(1 + passages.length / documentFrequency.get(term));
+        }
+      }
+      return { ...passage, score: terms.length > 0 ? score / Math.sqrt(terms.length) : 0 };
+    })
+    .filter(passage => passage.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Retrieve passages by embedding similarity, if the videos have been indexed
+ * @param {Array<string>} videoIds - Video IDs
+ * @param {string} query - Search text
+ * @param {string} userId - User asking, recorded with usage
+ * @param {number} limit - Passages to return
+ * @returns {Promise<Array<object>|null>} - Passages, closest first, or null to fall back to keywords
+ */
+async function retrieveBySimilarity(videoIds, query, userId, limit) {
+  if (!llmService.isEmbeddingAvailable()) return null;
+
+  try {
+    const queryEmbedding = await embeddingService.embedQuery(query, { userId });
+    const result = await pool.query(
+      `SELECT video_id, source_type, source_id, start_time, end_time, content
+       FROM content_embeddings
+       WHERE video_id = ANY($1::uuid[]) AND model = $3 AND source_type <> 'save'
+       ORDER BY embedding <=> $2::vector
+       LIMIT $4`,
+      [videoIds, queryEmbedding, llmConfig.embeddings.model, limit]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    return result.rows.map(row => ({
+      videoId: row.video_id,
+      sourceType: row.source_type,
+      sourceId: row.source_id,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      content: row.content
+    }));
+  } catch (error) {
+    console.warn(`Semantic retrieval failed, using keywords: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Retrieve passages by keyword overlap across the videos' content
+ * @param {Array<string>} videoIds - Video IDs
+ * @param {string} query - Search text
+ * @param {Array<object>} extraPassages - Further passages to rank along with the content
+ * @returns {Promise<Array<object>>} - Matching passages, best first
+ */
+async function retrieveByKeywords(videoIds, query, extraPassages) {
+  const passages = [];
+
+  for (const videoId of videoIds) {
+    const videoPassages = await embeddingService.collectVideoPassages(videoId);
+    videoPassages.forEach(passage => passages.push({ ...passage, videoId }));
+  }
+  passages.push(...extraPassages);
+
+  return rankPassages(passages, query, passages.length);
+}
+
+/**
+ * Keep the best passages overall, at most perVideo from any one video
+ * @param {Array<object>} passages - Passages, best first
+ * @param {number} limit - Passages to keep
+ * @param {number} perVideo - Passages to keep per video
+ * @returns {Array<object>}
+ */
+function spreadAcrossVideos(passages, limit, perVideo) {
+  const counts = new Map();
+  const kept = [];
+
+  for (const passage of passages) {
+    const count = counts.get(passage.videoId) || 0;
+    if (count < perVideo) {
+      counts.set(passage.videoId, count + 1);
+      kept.push(passage);
+      if (kept.length === limit) break;
+    }
+  }
+
+  return kept;
+}
+
+/**
+ * Retrieve the passages most relevant to a question
+ * Passages that are not embedded (such as key points) can be mixed in through
+ * collectExtra: with semantic retrieval their best keyword matches take up to
+ * maxExtra places after the closest passages, with keywords they are ranked
+ * along with everything else.
+ * @param {Array<string>} videoIds - Video IDs
+ * @param {string} query - Question, plus the previous question for follow-ups
+ * @param {string} userId - User asking
+ * @param {object} options - { limit, perVideo, collectExtra, maxExtra }
+ * @returns {Promise<Array<object>>} - Passages grouped by video, in video order within each
+ */
+async function retrieveSources(videoIds, query, userId, {
+  limit,
+  perVideo = limit,
+  collectExtra = null,
+  maxExtra = 0
+}) {
+  // With a per-video cap, fetch enough candidates to still fill the limit
+  const candidates = perVideo < limit ? limit * perVideo : limit;
+  let passages = await retrieveBySimilarity(videoIds, query, userId, candidates);
+  const extraPassages = collectExtra ? await collectExtra(videoIds) : [];
+
+  if (passages) {
+    const extras = rankPassages(extraPassages, query, maxExtra);
+    passages = [...passages.slice(0, limit - extras.length), ...extras, ...passages.slice(limit - extras.length)];
+  } else {
+    passages = await retrieveByKeywords(videoIds, query, extraPassages);
+  }
+
+  const sources = spreadAcrossVideos(passages, limit, perVideo).map(passage => ({
+    ...passage,
+    startTime: passage.startTime !== null ? parseFloat(passage.startTime) : null,
+    endTime: passage.endTime !== null ? parseFloat(passage.endTime) : null
+  }));
+
+  // Keep each video's passages together, videos in order of their best passage;
+  // chronological order reads better in the prompt and in the citation list
+  const videoOrder = [...new Set(sources.map(source => source.videoId))];
+  return sources.sort((a, b) =>
+    videoOrder.indexOf(a.videoId) - videoOrder.indexOf(b.videoId)
+    || (a.startTime ?? 0) - (b.startTime ?? 0)
+  );
+}
+
+/**
+ * Describe a source for the prompt and the citation list
+ * @param {object} passage - Retrieved passage
+ * @returns {string}
+ */
+function sourceLabel(passage) {
+  const start = formatTimestamp(passage.startTime || 0);
+  const end = formatTimestamp(passage.endTime || 0);
+
+  switch (passage.sourceType) {
+    case 'frame':
+      return `frame at ${start}`;
+    case 'section':
+      return `section summary, ${start}–${end}`;
+    case 'key_point':
+      return `key point at ${start}`;
+    default:
+      return `transcript, ${start}–${end}`;
+  }
+}
+
+module.exports = {
+  tokenize,
+  rankPassages,
+  retrieveSources,
+  sourceLabel
+};
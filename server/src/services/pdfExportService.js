@@ -0,0 +1,386 @@
+/**
+ * PDF export service
+ * Renders saves and full video analyses as PDF documents with pdfkit. Frame images are
+ * read from disk and re-encoded with sharp so any stored format can be embedded, and
+ * every timestamp links back to that moment of the YouTube video.
+ *
+ * The built-in Helvetica fonts only cover Latin-1, so text in other scripts may not render.
+ */
+
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+const uploadService = require('./uploadService');
+const { getThumbnailUrl } = require('../utils/youtube');
+const { formatTimestamp } = require('../utils/formatters');
+
+const PAGE_MARGIN = 50;
+
+// Widest an embedded image is re-encoded at; pages are ~495pt wide inside the margins
+const IMAGE_WIDTH_PX = 1000;
+
+const THUMBNAIL_TIMEOUT_MS = 5000;
+
+const COLORS = {
+  text: '#111827',
+  muted: '#6b7280',
+  link: '#1a73e8',
+  rule: '#e5e7eb'
+};
+
+/**
+ * Link to a moment of a YouTube video
+ * @param {string|null} youtubeId - YouTube video ID (null for uploads)
+ * @param {number} seconds - Start time
+ * @returns {string|null}
+ */
+function youtubeLink(youtubeId, seconds = 0) {
+  if (!youtubeId) return null;
+  const start = Math.floor(seconds);
+  return `https://www.youtube.com/watch?v=${youtubeId}${start > 0 ? `&t=${start}s` : ''}`;
+}
+
+/**
+ * Re-encode an image as JPEG for embedding
+ * @param {Buffer|string} input - Image data or file path
+ * @returns {Promise<object|null>} - { data, width, height }, or null if the image cannot be read
+ */
+async function loadImage(input) {
+  try {
+    const { data, info } = await sharp(input)
+      .resize({ width: IMAGE_WIDTH_PX, withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    return { data, width: info.width, height: info.height };
+  } catch (error) {
+    console.warn(`Skipping image in PDF export: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Load the thumbnail of a video: the generated file for uploads, YouTube's image otherwise
+ * @param {object} video - { id, youtube_id }
+ * @returns {Promise<object|null>}
+ */
+async function loadThumbnail(video) {
+  if (!video.youtube_id) {
+    return loadImage(uploadService.getThumbnailPath(video.id));
+  }
+
+  try {
+    const response = await fetch(getThumbnailUrl(video.youtube_id), {
+      signal: AbortSignal.timeout(THUMBNAIL_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      return null;
+    }
+    return loadImage(Buffer.from(await response.arrayBuffer()));
+  } catch (error) {
+    console.warn(`Could not fetch thumbnail for PDF export: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Thin wrapper around a PDFKit document with the layout helpers both exports share
+ */
+class PdfWriter {
+  constructor(title) {
+    this.doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      bufferPages: true,
+      info: { Title: title, Creator: 'Vidlyx' }
+    });
+    this.chunks = [];
+    this.doc.on('data', chunk => this.chunks.push(chunk));
+  }
+
+  get contentWidth() {
+    return this.doc.page.width - PAGE_MARGIN * 2;
+  }
+
+  /**
+   * Start a new page unless `height` points still fit on the current one
+   */
+  ensureSpace(height) {
+    if (this.doc.y + height > this.doc.page.height - PAGE_MARGIN) {
+      this.doc.addPage();
+    }
+  }
+
+  /**
+   * Title page: title, subtitle lines, optional thumbnail and a link to the video
+   */
+  titlePage({ title, subtitle = [], thumbnail, url }) {
+    const { doc } = this;
+
+    doc.moveDown(4);
+    doc.font('Helvetica-Bold').fontSize(26).fillColor(COLORS.text).text(title, { align: 'center' });
+    doc.moveDown(0.5);
+
+    subtitle.filter(Boolean).forEach(line => {
+      doc.font('Helvetica').fontSize(12).fillColor(COLORS.muted).text(line, { align: 'center' });
+    });
+
+    if (thumbnail) {
+      doc.moveDown(1.5);
+      const width = Math.min(this.contentWidth, 400);
+      const height = (thumbnail.height / thumbnail.width) * width;
+      doc.image(thumbnail.data, PAGE_MARGIN + (this.contentWidth - width) / 2, doc.y, { width, height });
+      doc.y += height;
+    }
+
+    if (url) {
+      doc.moveDown(1.5);
+      doc.font('Helvetica').fontSize(11).fillColor(COLORS.link)
+        .text('Watch on YouTube', { align: 'center', link: url, underline: true });
+    }
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+      .text(`Exported from Vidlyx on ${new Date().toLocaleDateString()}`, { align: 'center' });
+
+    doc.addPage();
+  }
+
+  heading(text) {
+    this.ensureSpace(60);
+    this.doc.moveDown(0.5);
+    this.doc.font('Helvetica-Bold').fontSize(16).fillColor(COLORS.text).text(text);
+    const y = this.doc.y + 2;
+    this.doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + this.contentWidth, y)
+      .lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+    this.doc.moveDown(0.6);
+  }
+
+  subheading(text, { time, youtubeId } = {}) {
+    this.ensureSpace(40);
+    this.doc.moveDown(0.3);
+    this.doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.text)
+      .text(text, { continued: time !== undefined });
+    if (time !== undefined) {
+      this.timestamp(time, youtubeId, { prefix: '  ' });
+    }
+    this.doc.moveDown(0.2);
+  }
+
+  /**
+   * Write a timestamp, linked to the video when it is on YouTube
+   */
+  timestamp(seconds, youtubeId, { prefix = '', suffix = '', continued = false } = {}) {
+    const link = youtubeLink(youtubeId, seconds);
+    this.doc.font('Helvetica').fontSize(10).fillColor(link ? COLORS.link : COLORS.muted)
+      .text(`${prefix}${formatTimestamp(seconds)}${suffix}`, { link, underline: Boolean(link), continued });
+    if (!continued) {
+      this.doc.fillColor(COLORS.text);
+    }
+  }
+
+  paragraph(text, { color = COLORS.text, size = 11, font = 'Helvetica' } = {}) {
+    if (!text) return;
+    this.doc.font(font).fontSize(size).fillColor(color).text(text, { lineGap: 2 });
+    this.doc.moveDown(0.5);
+  }
+
+  bulletList(items) {
+    const list = items.filter(Boolean);
+    if (list.length === 0) return;
+    this.doc.font('Helvetica').fontSize(11).fillColor(COLORS.text)
+      .list(list, { bulletRadius: 2, textIndent: 12, lineGap: 2 });
+    this.doc.moveDown(0.5);
+  }
+
+  /**
+   * Embed a frame image with its timestamp, scene description and OCR caption
+   */
+  async frame(frame, youtubeId) {
+    const image = await loadImage(frame.frame_path);
+    const timestamp = parseFloat(frame.timestamp_seconds);
+
+    const width = Math.min(this.contentWidth, 420);
+    const height = image ? (image.height / image.width) * width : 0;
+    this.ensureSpace(height + 50);
+
+    this.timestamp(timestamp, youtubeId, {
+      prefix: 'Frame at ',
+      suffix: frame.is_keyframe ? ' (key frame)' : ''
+    });
+    this.doc.moveDown(0.2);
+
+    if (image) {
+      this.doc.image(image.data, PAGE_MARGIN, this.doc.y, { width, height });
+      this.doc.y += height + 4;
+    }
+
+    if (frame.scene_description) {
+      this.paragraph(frame.scene_description, { size: 10 });
+    }
+    if (frame.on_screen_text) {
+      this.paragraph(`On-screen text: ${frame.on_screen_text}`, { size: 9, color: COLORS.muted, font: 'Helvetica-Oblique' });
+    }
+    this.doc.moveDown(0.5);
+  }
+
+  /**
+   * Number the pages and return the finished document
+   * @returns {Promise<Buffer>}
+   */
+  finish() {
+    const { doc } = this;
+    const range = doc.bufferedPageRange();
+
+    // Skip the title page
+    for (let i = range.start + 1; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+        .text(`${i + 1} / ${range.count}`, PAGE_MARGIN, doc.page.height - PAGE_MARGIN / 2 - 4, {
+          width: this.contentWidth,
+          align: 'center',
+          lineBreak: false
+        });
+    }
+
+    return new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(this.chunks)));
+      doc.on('error', reject);
+      doc.end();
+    });
+  }
+}
+
+/**
+ * Render a save as a PDF
+ * @param {object} save - Save from exportService.getSaveWithContent
+ * @returns {Promise<Buffer>}
+ */
+async function renderSave(save) {
+  const pdf = new PdfWriter(save.title);
+  const { youtube_id: youtubeId } = save;
+
+  pdf.titlePage({
+    title: save.title,
+    subtitle: [save.video_title, save.channel_name],
+    thumbnail: await loadThumbnail({ id: save.video_id, youtube_id: youtubeId }),
+    url: youtubeLink(youtubeId)
+  });
+
+  if (save.notes) {
+    pdf.heading('Notes');
+    pdf.paragraph(save.notes);
+  }
+
+  const labels = [
+    save.tags.length > 0 && `Tags: ${save.tags.map(t => t.name).join(', ')}`,
+    save.folders.length > 0 && `Folders: ${save.folders.map(f => f.name).join(', ')}`
+  ].filter(Boolean);
+  if (labels.length > 0) {
+    pdf.paragraph(labels.join('    '), { color: COLORS.muted, size: 10 });
+  }
+
+  if (save.summaries.length > 0) {
+    pdf.heading('Summary Excerpts');
+    save.summaries.forEach(s => {
+      pdf.subheading(s.section_title || 'Summary excerpt', {
+        time: s.start_time !== null ? parseFloat(s.start_time) : undefined,
+        youtubeId
+      });
+      pdf.paragraph(s.excerpt);
+    });
+  }
+
+  if (save.transcripts.length > 0) {
+    pdf.heading('Transcript Selections');
+    save.transcripts.forEach(t => {
+      pdf.timestamp(parseFloat(t.start_time), youtubeId, {
+        suffix: ` – ${formatTimestamp(parseFloat(t.end_time))}`
+      });
+      const speakers = t.speakers && t.speakers.length > 0 ? `${t.speakers.join(', ')}: ` : '';
+      pdf.paragraph(`${speakers}${t.text}`);
+    });
+  }
+
+  if (save.frames.length > 0) {
+    pdf.heading('Frames');
+    for (const frame of save.frames) {
+      await pdf.frame(frame, youtubeId);
+    }
+  }
+
+  return pdf.finish();
+}
+
+/**
+ * Render a full video analysis as a PDF
+ * @param {object} analysis - Analysis from exportService.getVideoAnalysis
+ * @returns {Promise<Buffer>}
+ */
+async function renderAnalysis(analysis) {
+  const { video, summary, sections, keyPoints, frames } = analysis;
+  const youtubeId = video.youtube_id;
+
+  const pdf = new PdfWriter(video.title);
+
+  pdf.titlePage({
+    title: video.title,
+    subtitle: [
+      video.channel_name,
+      video.duration ? `Duration ${formatTimestamp(video.duration)}` : null
+    ],
+    thumbnail: await loadThumbnail(video),
+    url: youtubeLink(youtubeId)
+  });
+
+  if (summary) {
+    pdf.heading('Summary');
+    pdf.paragraph(summary.full_summary);
+
+    if (summary.key_takeaways.length > 0) {
+      pdf.subheading('Key Takeaways');
+      pdf.bulletList(summary.key_takeaways);
+    }
+
+    if (summary.topics.length > 0) {
+      pdf.paragraph(`Topics: ${summary.topics.join(', ')}`, { color: COLORS.muted, size: 10 });
+    }
+  }
+
+  if (sections.length > 0) {
+    pdf.heading('Sections');
+    sections.forEach(section => {
+      pdf.subheading(section.title, { time: parseFloat(section.start_time), youtubeId });
+      pdf.paragraph(section.summary);
+      pdf.bulletList(section.key_points);
+      if (section.transcript_excerpt) {
+        pdf.paragraph(`“${section.transcript_excerpt}”`, { size: 9, color: COLORS.muted, font: 'Helvetica-Oblique' });
+      }
+    });
+  }
+
+  if (keyPoints.length > 0) {
+    pdf.heading('Key Points');
+    keyPoints.forEach(point => {
+      if (point.timestamp_seconds !== null) {
+        pdf.timestamp(parseFloat(point.timestamp_seconds), youtubeId, {
+          suffix: point.category ? `  ·  ${point.category}` : ''
+        });
+      }
+      pdf.paragraph(point.point_text);
+    });
+  }
+
+  if (frames.length > 0) {
+    pdf.heading('Frames');
+    for (const frame of frames) {
+      await pdf.frame(frame, youtubeId);
+    }
+  }
+
+  return pdf.finish();
+}
+
+module.exports = {
+  renderSave,
+  renderAnalysis
+};
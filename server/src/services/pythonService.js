@@ -91,11 +91,24 @@ async function getVideoMetadata(videoId) {
 /**
  * Get video transcript from YouTube
  * @param {string} videoId - YouTube video ID
+ * @param {Object} options - Track selection (optional)
+ * @param {string} options.language - Caption track language code (default: English or first available)
+ * @param {string} options.translateTo - Machine-translate the track into this language
  * @returns {Promise<Object>} Video transcript data
  */
-async function getTranscript(videoId) {
+async function getTranscript(videoId, options = {}) {
     try {
-        const result = await runPythonScript('youtube_analyzer.py', ['transcript', videoId], 60000);
+        const { language = '', translateTo } = options;
+
+        const args = ['transcript', videoId];
+        if (language || translateTo) {
+            args.push(language || '');
+        }
+        if (translateTo) {
+            args.push(translateTo);
+        }
+
+        const result = await runPythonScript('youtube_analyzer.py', args, 60000);
 
         if (!result.success) {
             throw new Error(result.error || 'Failed to fetch video transcript');
@@ -107,6 +120,25 @@ async function getTranscript(videoId) {
     }
 }
 
+/**
+ * List the caption tracks a YouTube video offers
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<Object>} { tracks: [{ language, name, type, is_translatable }], translation_languages }
+ */
+async function listTranscripts(videoId) {
+    try {
+        const result = await runPythonScript('youtube_analyzer.py', ['languages', videoId], 60000);
+
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to list transcripts');
+        }
+
+        return result.data;
+    } catch (error) {
+        throw new Error(`Failed to list transcripts: ${error.message}`);
+    }
+}
+
 /**
  * Get direct video stream URL for frame extraction
  * @param {string} videoId - YouTube video ID
@@ -126,9 +158,37 @@ async function getStreamUrl(videoId) {
     }
 }
 
+/**
+ * Expand a playlist or channel URL into its videos
+ * @param {string} url - YouTube playlist or channel URL
+ * @param {number} limit - Maximum number of videos to return (optional)
+ * @returns {Promise<Object>} Playlist title, channel and video entries ({ video_id, title, duration })
+ */
+async function expandUrl(url, limit = null) {
+    try {
+        const args = ['expand', url];
+        if (limit) {
+            args.push(String(limit));
+        }
+
+        // Large channels can take a while to page through
+        const result = await runPythonScript('youtube_analyzer.py', args, 180000);
+
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to expand URL');
+        }
+
+        return result.data;
+    } catch (error) {
+        throw new Error(`Failed to expand URL: ${error.message}`);
+    }
+}
+
 module.exports = {
     runPythonScript,
     getVideoMetadata,
     getTranscript,
-    getStreamUrl
+    listTranscripts,
+    getStreamUrl,
+    expandUrl
 };
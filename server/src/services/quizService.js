@@ -0,0 +1,491 @@
+/**
+ * Quiz Service
+ * Generates self-test quizzes from a video's sections (or one section) and grades
+ * attempts. Questions are written by the LLM for the "quiz" task when one is
+ * configured, otherwise by localQuizService; either way each question points at
+ * the moment in the video that answers it.
+ */
+
+const pool = require('./db');
+const llmService = require('./llmService');
+const localQuizService = require('./localQuizService');
+const summaryService = require('./summaryService');
+const { formatTimestamp } = require('../utils/formatters');
+
+const QUESTION_TYPES = ['multiple_choice', 'true_false', 'short_answer'];
+
+// Default quiz length for a whole video and for one section
+const VIDEO_QUESTIONS = 10;
+const SECTION_QUESTIONS = 5;
+const MAX_QUESTIONS = 20;
+
+// Transcript characters per prompt, shared between the sections in it
+const PROMPT_TRANSCRIPT_BUDGET = 12000;
+
+// Words ignored when grading short answers
+const ANSWER_STOPWORDS = new Set(['a', 'an', 'the', 'of', 'to', 'and', 'or', 'in', 'on', 'is', 'are', 'it']);
+
+/**
+ * Load the sections to quiz on, with their key points and transcript segments
+ * @param {string} videoId - Video ID
+ * @param {string|null} sectionId - One section, or null for the whole video
+ * @returns {Promise<Array<object>>} - Sections with key_points [{ text, timestamp }] and transcript [{ start, text }]
+ */
+async function loadSections(videoId, sectionId) {
+  const client = await pool.connect();
+
+  try {
+    const sectionsResult = await client.query(
+      `SELECT id, title, start_time, end_time, summary, key_points, importance
+       FROM sections
+       WHERE video_id = $1 ${sectionId ? 'AND id = $2' : ''}
+       ORDER BY section_order ASC`,
+      sectionId ? [videoId, sectionId] : [videoId]
+    );
+
+    const transcriptResult = await client.query(
+      `SELECT segments FROM transcriptions WHERE video_id = $1 AND is_primary = true LIMIT 1`,
+      [videoId]
+    );
+    const segments = transcriptResult.rows[0] && Array.isArray(transcriptResult.rows[0].segments)
+      ? transcriptResult.rows[0].segments
+      : [];
+
+    const storedKeyPoints = await summaryService.getKeyPointsForVideos([videoId]);
+
+    return sectionsResult.rows.map(row => {
+      const start = parseFloat(row.start_time);
+      const end = parseFloat(row.end_time);
+
+      const stored = storedKeyPoints
+        .filter(point => point.section_id === row.id || (!point.section_id
+          && parseFloat(point.timestamp_seconds) >= start && parseFloat(point.timestamp_seconds) < end))
+        .map(point => ({ text: point.point_text, timestamp: parseFloat(point.timestamp_seconds) || start }));
+
+      return {
+        id: row.id,
+        title: row.title,
+        start_time: start,
+        end_time: end,
+        summary: row.summary,
+        importance: row.importance,
+        key_points: stored.length > 0
+          ? stored
+          : summaryService.parseSectionKeyPoints(row.key_points).map(text => ({ text, timestamp: start })),
+        transcript: segments.filter(segment => (segment.start || 0) >= start && (segment.start || 0) < end)
+      };
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Build the prompt for the quiz task
+ * @param {object} video - { title }
+ * @param {Array<object>} sections - Sections from loadSections
+ * @param {number} count - Questions to write
+ * @returns {string}
+ */
+function buildPrompt(video, sections, count) {
+  const excerptLength = Math.floor(PROMPT_TRANSCRIPT_BUDGET / sections.length);
+
+  const material = sections.map((section, i) => {
+    const keyPoints = section.key_points
+      .map(point => `  - [${formatTimestamp(point.timestamp)}] ${point.text}`)
+      .join('\n');
+    const transcript = section.transcript.map(segment => segment.text).join(' ').replace(/\s+/g, ' ');
+
+    return `Section ${i + 1}: ${section.title} (${formatTimestamp(section.start_time)}–${formatTimestamp(section.end_time)}, importance ${section.importance || 3}/5)
+Summary: ${section.summary || 'None'}
+${keyPoints ? `Key points:\n${keyPoints}\n` : ''}Transcript excerpt: ${transcript.substring(0, excerptLength) || 'None'}`;
+  }).join('\n\n');
+
+  return `Write a self-test quiz of ${count} questions about the video "${video.title}" from the material below.
+
+${material}
+
+Guidelines:
+- Mix the three question types: "multiple_choice" (4 options), "true_false" (options "True" and "False") and "short_answer" (answer of one to four words)
+- Cover the most important sections first
+- Test understanding of what the video says, not trivia about the video itself
+- "answer" must be exactly one of the options for multiple_choice and true_false questions
+- "timestamp" is the second in the video where the answer is explained
+- "explanation" is one sentence saying why the answer is right
+- Write in the language of the material
+
+Format as a JSON array:
+[
+  {
+    "type": "multiple_choice|true_false|short_answer",
+    "question": "question text",
+    "options": ["option", "..."],
+    "answer": "correct option or short answer",
+    "explanation": "why",
+    "section": 1,
+    "timestamp": 125.5
+  }
+]
+
+Provide ONLY the JSON response, no additional text.`;
+}
+
+/**
+ * Check and normalize the questions an LLM wrote, dropping the unusable ones
+ * @param {Array<object>} raw - Parsed response
+ * @param {Array<object>} sections - Sections the prompt listed, numbered from 1
+ * @returns {Array<object>}
+ */
+function normalizeQuestions(raw, sections) {
+  if (!Array.isArray(raw)) return [];
+
+  return raw.flatMap(item => {
+    if (!item || !QUESTION_TYPES.includes(item.type)) return [];
+
+    const prompt = typeof item.question === 'string' ? item.question.trim() : '';
+    const answer = typeof item.answer === 'string' ? item.answer.trim() : String(item.answer ?? '').trim();
+    if (!prompt || !answer) return [];
+
+    let options = [];
+    if (item.type === 'multiple_choice') {
+      options = Array.isArray(item.options) ? item.options.map(String).map(o => o.trim()).filter(Boolean) : [];
+      if (options.length < 3 || !options.includes(answer)) return [];
+    } else if (item.type === 'true_false') {
+      const value = answer.toLowerCase();
+      if (value !== 'true' && value !== 'false') return [];
+      options = ['True', 'False'];
+    }
+
+    const section = sections[parseInt(item.section, 10) - 1] || null;
+    const timestamp = parseFloat(item.timestamp);
+
+    return [{
+      question_type: item.type,
+      prompt,
+      options,
+      answer: item.type === 'true_false' ? (answer.toLowerCase() === 'true' ? 'True' : 'False') : answer,
+      explanation: typeof item.explanation === 'string' ? item.explanation.trim() : null,
+      section_id: section ? section.id : null,
+      timestamp_seconds: Number.isFinite(timestamp) ? timestamp : (section ? section.start_time : null)
+    }];
+  });
+}
+
+/**
+ * Write quiz questions, with the LLM when the quiz task is available
+ * Falls back to local questions when the response cannot be used.
+ * @param {object} video - { id, title }
+ * @param {Array<object>} sections - Sections from loadSections
+ * @param {number} count - Questions to write
+ * @param {string} userId - User generating, recorded with usage
+ * @returns {Promise<object>} - { questions, provider }
+ */
+async function writeQuestions(video, sections, count, userId) {
+  if (llmService.isTaskAvailable('quiz')) {
+    try {
+      const response = await llmService.generateText('quiz', buildPrompt(video, sections, count), {
+        videoId: video.id,
+        userId
+      });
+      const cleanedText = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+      const questions = normalizeQuestions(JSON.parse(cleanedText), sections).slice(0, count);
+
+      if (questions.length > 0) {
+        return { questions, provider: llmService.getTaskProvider('quiz').provider.name };
+      }
+      console.warn(`Quiz response for video ${video.id} had no usable questions, using local generation`);
+    } catch (error) {
+      console.warn(`Quiz generation failed for video ${video.id}, using local generation: ${error.message}`);
+    }
+  }
+
+  return {
+    questions: localQuizService.generateLocalQuiz(sections, { maxQuestions: count }),
+    provider: 'local'
+  };
+}
+
+/**
+ * Questions as shown to someone taking the quiz, without answers
+ * @param {object} question - Stored question
+ * @returns {object}
+ */
+function publicQuestion(question) {
+  return {
+    id: question.id,
+    position: question.position,
+    question_type: question.question_type,
+    prompt: question.prompt,
+    options: question.options,
+    section_id: question.section_id,
+    timestamp_seconds: question.timestamp_seconds !== null ? parseFloat(question.timestamp_seconds) : null
+  };
+}
+
+/**
+ * Generate and store a quiz for a video or one of its sections
+ * @param {object} video - Video record ({ id, title, workspace_id })
+ * @param {string} userId - User generating the quiz
+ * @param {object} options - { sectionId, count }
+ * @returns {Promise<object>} - Quiz with questions (without answers)
+ */
+async function generateQuiz(video, userId, { sectionId = null, count } = {}) {
+  const sections = await loadSections(video.id, sectionId);
+
+  if (sectionId && sections.length === 0) {
+    throw new Error('Section not found');
+  }
+  if (sections.length === 0) {
+    throw new Error('Video has no sections to quiz on yet');
+  }
+
+  const questionCount = Math.min(count || (sectionId ? SECTION_QUESTIONS : VIDEO_QUESTIONS), MAX_QUESTIONS);
+  const { questions, provider } = await writeQuestions(video, sections, questionCount, userId);
+
+  if (questions.length === 0) {
+    throw new Error('Not enough material to write questions from');
+  }
+
+  const title = sectionId ? sections[0].title : video.title;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const quizResult = await client.query(
+      `INSERT INTO quizzes (workspace_id, video_id, section_id, created_by, title, provider)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, video_id, section_id, title, provider, created_at`,
+      [video.workspace_id, video.id, sectionId, userId, (title || 'Quiz').substring(0, 255), provider]
+    );
+    const quiz = quizResult.rows[0];
+
+    const stored = [];
+    for (const [position, question] of questions.entries()) {
+      const result = await client.query(
+        `INSERT INTO quiz_questions
+           (quiz_id, position, question_type, prompt, options, answer, explanation, section_id, timestamp_seconds)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          quiz.id,
+          position,
+          question.question_type,
+          question.prompt,
+          JSON.stringify(question.options),
+          question.answer,
+          question.explanation,
+          question.section_id,
+          question.timestamp_seconds
+        ]
+      );
+      stored.push(result.rows[0]);
+    }
+
+    await client.query('COMMIT');
+
+    return { ...quiz, questions: stored.map(publicQuestion), attempts: [] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List a video's quizzes with the user's results
+ * @param {string} videoId - Video ID
+ * @param {string} userId - User whose attempts are summarized
+ * @returns {Promise<Array<object>>}
+ */
+async function listQuizzes(videoId, userId) {
+  const result = await pool.query(
+    `SELECT q.id, q.section_id, q.title, q.provider, q.created_at,
+            s.title AS section_title,
+            (SELECT COUNT(*) FROM quiz_questions qq WHERE qq.quiz_id = q.id) AS question_count,
+            (SELECT COUNT(*) FROM quiz_attempts qa WHERE qa.quiz_id = q.id AND qa.user_id = $2) AS attempt_count,
+            (SELECT MAX(qa.score) FROM quiz_attempts qa WHERE qa.quiz_id = q.id AND qa.user_id = $2) AS best_score
+     FROM quizzes q
+     LEFT JOIN sections s ON s.id = q.section_id
+     WHERE q.video_id = $1
+     ORDER BY q.created_at DESC`,
+    [videoId, userId]
+  );
+
+  return result.rows.map(quiz => ({
+    ...quiz,
+    question_count: parseInt(quiz.question_count, 10),
+    attempt_count: parseInt(quiz.attempt_count, 10),
+    best_score: quiz.best_score !== null ? parseInt(quiz.best_score, 10) : null
+  }));
+}
+
+/**
+ * Load a quiz row
+ * @param {string} quizId - Quiz ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<object|null>}
+ */
+async function findQuiz(quizId, workspaceId) {
+  const result = await pool.query(
+    `SELECT id, video_id, section_id, title, provider, created_at
+     FROM quizzes
+     WHERE id = $1 AND workspace_id = $2`,
+    [quizId, workspaceId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get the stored questions of a quiz, answers included
+ * @param {string} quizId - Quiz ID
+ * @returns {Promise<Array<object>>}
+ */
+async function getQuestions(quizId) {
+  const result = await pool.query(
+    `SELECT * FROM quiz_questions WHERE quiz_id = $1 ORDER BY position ASC`,
+    [quizId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get a user's attempts at a quiz, most recent first
+ * @param {string} quizId - Quiz ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>}
+ */
+async function getAttempts(quizId, userId) {
+  const result = await pool.query(
+    `SELECT id, score, total, created_at
+     FROM quiz_attempts
+     WHERE quiz_id = $1 AND user_id = $2
+     ORDER BY created_at DESC`,
+    [quizId, userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get a quiz to take: its questions without answers and the user's past attempts
+ * @param {string} quizId - Quiz ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User taking the quiz
+ * @returns {Promise<object|null>} - Quiz, or null if not found
+ */
+async function getQuiz(quizId, workspaceId, userId) {
+  const quiz = await findQuiz(quizId, workspaceId);
+  if (!quiz) return null;
+
+  const [questions, attempts] = await Promise.all([getQuestions(quiz.id), getAttempts(quiz.id, userId)]);
+
+  return { ...quiz, questions: questions.map(publicQuestion), attempts };
+}
+
+/**
+ * Normalize an answer for comparison
+ * @param {string} text
+ * @returns {Array<string>} - Words without punctuation and filler words
+ */
+function answerWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word && !ANSWER_STOPWORDS.has(word));
+}
+
+/**
+ * Grade one answer
+ * Short answers count as correct when they contain most of the expected words,
+ * allowing a trailing "s" either way.
+ * @param {object} question - Stored question
+ * @param {string} answer - Given answer
+ * @returns {boolean}
+ */
+function isCorrect(question, answer) {
+  if (answer === undefined || answer === null || String(answer).trim() === '') return false;
+
+  if (question.question_type !== 'short_answer') {
+    return String(answer).trim().toLowerCase() === question.answer.trim().toLowerCase();
+  }
+
+  const stem = word => word.replace(/s$/, '');
+  const given = new Set(answerWords(answer).map(stem));
+  const expected = answerWords(question.answer).map(stem);
+  if (expected.length === 0) return false;
+
+  const matched = expected.filter(word => given.has(word)).length;
+  return matched / expected.length >= 0.6;
+}
+
+/**
+ * Grade and store an attempt at a quiz
+ * @param {string} quizId - Quiz ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User taking the quiz
+ * @param {Array<object>} answers - [{ questionId, answer }]; unanswered questions count as wrong
+ * @returns {Promise<object|null>} - Attempt with a result per question, or null if the quiz is not found
+ */
+async function submitAttempt(quizId, workspaceId, userId, answers) {
+  const quiz = await findQuiz(quizId, workspaceId);
+  if (!quiz) return null;
+
+  const questions = await getQuestions(quiz.id);
+  const given = new Map(answers.map(item => [item.questionId, item.answer]));
+
+  const results = questions.map(question => {
+    const answer = given.has(question.id) ? String(given.get(question.id)) : null;
+    return {
+      question_id: question.id,
+      answer,
+      correct: isCorrect(question, answer),
+      correct_answer: question.answer,
+      explanation: question.explanation,
+      section_id: question.section_id,
+      timestamp_seconds: question.timestamp_seconds !== null ? parseFloat(question.timestamp_seconds) : null
+    };
+  });
+
+  const score = results.filter(result => result.correct).length;
+
+  const result = await pool.query(
+    `INSERT INTO quiz_attempts (quiz_id, user_id, score, total, answers)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, score, total, created_at`,
+    [
+      quiz.id,
+      userId,
+      score,
+      questions.length,
+      JSON.stringify(results.map(({ question_id, answer, correct }) => ({ question_id, answer, correct })))
+    ]
+  );
+
+  return { ...result.rows[0], results };
+}
+
+/**
+ * Delete a quiz with its questions and attempts
+ * @param {string} quizId - Quiz ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<boolean>} - Whether a quiz was deleted
+ */
+async function deleteQuiz(quizId, workspaceId) {
+  const result = await pool.query(
+    `DELETE FROM quizzes WHERE id = $1 AND workspace_id = $2`,
+    [quizId, workspaceId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  generateQuiz,
+  listQuizzes,
+  getQuiz,
+  submitAttempt,
+  deleteQuiz,
+  isCorrect,
+  normalizeQuestions,
+  MAX_QUESTIONS
+};
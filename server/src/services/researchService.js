@@ -0,0 +1,422 @@
+/**
+ * Research Service
+ * Answers questions across several videos of a workspace: the videos saved in a
+ * folder (with its subfolders), the videos saved with a tag, or a list of videos.
+ * Passages come from their transcripts, frames, section summaries and key points,
+ * retrieved the same way as for the single-video chat, and every claim in the
+ * answer cites a source that carries its video and timestamp.
+ *
+ * Questions and answers are kept as threads, so a line of research can be
+ * continued later and exported.
+ */
+
+const pool = require('./db');
+const llmService = require('./llmService');
+const folderService = require('./folderService');
+const tagService = require('./tagService');
+const saveService = require('./saveService');
+const summaryService = require('./summaryService');
+const { extractCitations, buildExtractiveAnswer } = require('./videoChatService');
+const { retrieveSources, sourceLabel } = require('./passageRetrieval');
+
+// Videos searched per question; larger folders use their most recently saved videos
+const MAX_RESEARCH_VIDEOS = 50;
+
+// Passages given to the model per question, and per video so one video cannot crowd out the rest
+const MAX_SOURCES = 12;
+const MAX_SOURCES_PER_VIDEO = 4;
+
+// Key points added to semantically retrieved passages
+const MAX_KEY_POINT_SOURCES = 3;
+
+// Saves read when collecting the videos of a folder or tag
+const MAX_SCOPE_SAVES = 500;
+
+const HISTORY_MESSAGES = 6;
+
+const MAX_SOURCE_LENGTH = 600;
+
+/**
+ * Work out which videos a research scope covers
+ * @param {string} workspaceId - Workspace ID
+ * @param {object} scope - One of { folderId }, { tagId } or { videoIds }
+ * @returns {Promise<object>} - { scopeType, scopeId, videoIds }
+ */
+async function resolveScope(workspaceId, scope) {
+  if (scope.folderId) {
+    const folder = await folderService.getById(scope.folderId, workspaceId);
+    if (!folder) {
+      throw new Error('Folder not found');
+    }
+
+    const { saves } = await saveService.getSaves(workspaceId, {
+      folder: scope.folderId,
+      includeSubfolders: true,
+      limit: MAX_SCOPE_SAVES
+    });
+
+    return { scopeType: 'folder', scopeId: folder.id, videoIds: distinctVideoIds(saves) };
+  }
+
+  if (scope.tagId) {
+    const tag = await tagService.getTagById(scope.tagId, workspaceId);
+    if (!tag) {
+      throw new Error('Tag not found');
+    }
+
+    const { saves } = await saveService.getSaves(workspaceId, {
+      tags: [scope.tagId],
+      limit: MAX_SCOPE_SAVES
+    });
+
+    return { scopeType: 'tag', scopeId: tag.id, videoIds: distinctVideoIds(saves) };
+  }
+
+  const requested = [...new Set(scope.videoIds || [])];
+  const result = await pool.query(
+    `SELECT id FROM videos WHERE id = ANY($1::uuid[]) AND workspace_id = $2`,
+    [requested, workspaceId]
+  );
+
+  if (result.rows.length !== requested.length) {
+    throw new Error('Video not found');
+  }
+
+  return { scopeType: 'videos', scopeId: null, videoIds: requested.slice(0, MAX_RESEARCH_VIDEOS) };
+}
+
+/**
+ * Video IDs of saves, most recent save first, without repeats
+ * @param {Array<object>} saves - Saves with video_id
+ * @returns {Array<string>}
+ */
+function distinctVideoIds(saves) {
+  return [...new Set(saves.map(save => save.video_id))].slice(0, MAX_RESEARCH_VIDEOS);
+}
+
+/**
+ * Videos a thread searches; folder and tag scopes are read again each time so new saves count
+ * @param {object} thread - Thread record
+ * @returns {Promise<Array<string>>}
+ */
+async function getThreadVideoIds(thread) {
+  if (thread.scope_type === 'folder') {
+    return (await resolveScope(thread.workspace_id, { folderId: thread.scope_id })).videoIds;
+  }
+  if (thread.scope_type === 'tag') {
+    return (await resolveScope(thread.workspace_id, { tagId: thread.scope_id })).videoIds;
+  }
+  return thread.video_ids;
+}
+
+/**
+ * Load the title and YouTube ID of videos
+ * @param {Array<string>} videoIds - Video IDs
+ * @returns {Promise<Map<string, object>>} - Videos by ID
+ */
+async function getVideos(videoIds) {
+  const result = await pool.query(
+    `SELECT id, title, youtube_id FROM videos WHERE id = ANY($1::uuid[])`,
+    [videoIds]
+  );
+  return new Map(result.rows.map(video => [video.id, video]));
+}
+
+/**
+ * Collect key points of videos as passages
+ * Stored key points are used when present, otherwise the key points kept on each section.
+ * @param {Array<string>} videoIds - Video IDs
+ * @returns {Promise<Array<object>>}
+ */
+async function collectKeyPointPassages(videoIds) {
+  const keyPoints = await summaryService.getKeyPointsForVideos(videoIds);
+
+  if (keyPoints.length > 0) {
+    return keyPoints.map(row => ({
+      videoId: row.video_id,
+      sourceType: 'key_point',
+      sourceId: row.id,
+      startTime: row.timestamp_seconds,
+      endTime: row.timestamp_seconds,
+      content: row.point_text
+    }));
+  }
+
+  const sections = await pool.query(
+    `SELECT id, video_id, start_time, end_time, key_points
+     FROM sections
+     WHERE video_id = ANY($1::uuid[]) AND key_points IS NOT NULL`,
+    [videoIds]
+  );
+
+  return sections.rows.flatMap(section => summaryService.parseSectionKeyPoints(section.key_points).map(point => ({
+    videoId: section.video_id,
+    sourceType: 'key_point',
+    sourceId: section.id,
+    startTime: section.start_time,
+    endTime: section.end_time,
+    content: point
+  })));
+}
+
+/**
+ * Build the prompt for the research task
+ * @param {Array<object>} sources - Retrieved passages
+ * @param {Map<string, object>} videos - Videos by ID
+ * @param {Array<object>} history - Earlier messages, oldest first
+ * @param {string} question - New question
+ * @returns {string}
+ */
+function buildPrompt(sources, videos, history, question) {
+  const sourceList = sources.map((passage, i) => {
+    const content = passage.content.length > MAX_SOURCE_LENGTH
+      ? `${passage.content.substring(0, MAX_SOURCE_LENGTH)}…`
+      : passage.content;
+    const video = videos.get(passage.videoId);
+    return `[${i + 1}] ("${video ? video.title : 'Untitled video'}", ${sourceLabel(passage)}) ${content}`;
+  }).join('\n\n');
+
+  const conversation = history.length > 0
+    ? `Research so far:\n${history.map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`).join('\n')}\n\n`
+    : '';
+
+  return `You answer research questions across a library of videos using only the numbered sources below. Each source is an excerpt of one video's transcript, a description of one of its frames, a section summary or a key point, labelled with the video's title and the time it comes from.
+
+Sources:
+${sourceList}
+
+${conversation}Question: ${question}
+
+Guidelines:
+- Synthesize across the videos: compare, combine and note where they agree or differ
+- Answer in plain prose, in the language of the question
+- Cite every claim with the number of its source in square brackets, e.g. [2] or [1, 5]
+- If the sources do not contain the answer, say that these videos do not seem to cover it
+- Do not use knowledge from outside the sources`;
+}
+
+/**
+ * Keep the citations an answer refers to, with the video each comes from
+ * @param {string} answer - Answer with [n] markers
+ * @param {Array<object>} sources - Retrieved passages, cited 1-based
+ * @param {Map<string, object>} videos - Videos by ID
+ * @returns {Array<object>}
+ */
+function buildCitations(answer, sources, videos) {
+  return extractCitations(answer, sources).map(citation => {
+    const source = sources[citation.index - 1];
+    const video = videos.get(source.videoId);
+    return {
+      ...citation,
+      video_id: source.videoId,
+      video_title: video ? video.title : null,
+      youtube_id: video ? video.youtube_id : null
+    };
+  });
+}
+
+/**
+ * Load a thread row
+ * @param {string} threadId - Thread ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<object|null>}
+ */
+async function findThread(threadId, workspaceId) {
+  const result = await pool.query(
+    `SELECT rt.*, COALESCE(f.name, t.name) AS scope_name
+     FROM research_threads rt
+     LEFT JOIN folders f ON rt.scope_type = 'folder' AND f.id = rt.scope_id
+     LEFT JOIN tags t ON rt.scope_type = 'tag' AND t.id = rt.scope_id
+     WHERE rt.id = $1 AND rt.workspace_id = $2`,
+    [threadId, workspaceId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get the messages of a thread
+ * @param {string} threadId - Thread ID
+ * @returns {Promise<Array<object>>} - Messages, oldest first
+ */
+async function getMessages(threadId) {
+  const result = await pool.query(
+    `SELECT id, role, content, citations, provider, created_at
+     FROM research_messages
+     WHERE thread_id = $1
+     ORDER BY created_at ASC, role DESC`,
+    [threadId]
+  );
+  return result.rows;
+}
+
+/**
+ * Store a message and mark the thread as updated
+ * @param {string} threadId - Thread ID
+ * @param {object} message - { role, content, citations, provider }
+ * @returns {Promise<object>}
+ */
+async function addMessage(threadId, { role, content, citations = [], provider = null }) {
+  const result = await pool.query(
+    `INSERT INTO research_messages (thread_id, role, content, citations, provider)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, role, content, citations, provider, created_at`,
+    [threadId, role, content, JSON.stringify(citations), provider]
+  );
+  await pool.query(`UPDATE research_threads SET updated_at = CURRENT_TIMESTAMP WHERE id = $1`, [threadId]);
+  return result.rows[0];
+}
+
+/**
+ * Answer a question in a thread
+ * The question is stored before answering, so it stays in the thread even if the answer fails.
+ * @param {object} thread - Thread record
+ * @param {string} userId - User asking
+ * @param {string} question - Question text
+ * @returns {Promise<object>} - { question, answer } stored messages
+ */
+async function ask(thread, userId, question) {
+  const videoIds = await getThreadVideoIds(thread);
+  const history = (await getMessages(thread.id)).slice(-HISTORY_MESSAGES);
+  const previousQuestion = [...history].reverse().find(message => message.role === 'user');
+
+  const questionMessage = await addMessage(thread.id, { role: 'user', content: question });
+
+  const query = previousQuestion ? `${question} ${previousQuestion.content}` : question;
+  const sources = videoIds.length > 0
+    ? await retrieveSources(videoIds, query, userId, {
+      limit: MAX_SOURCES,
+      perVideo: MAX_SOURCES_PER_VIDEO,
+      collectExtra: collectKeyPointPassages,
+      maxExtra: MAX_KEY_POINT_SOURCES
+    })
+    : [];
+  const videos = await getVideos([...new Set(sources.map(source => source.videoId))]);
+
+  let content;
+  let provider;
+
+  if (sources.length === 0) {
+    content = videoIds.length === 0
+      ? 'There are no videos to search in this thread any more.'
+      : 'None of these videos has a transcript, frame text or summary to answer from yet.';
+    provider = 'local';
+  } else if (llmService.isTaskAvailable('research')) {
+    content = (await llmService.generateText('research', buildPrompt(sources, videos, history, question), {
+      userId
+    })).trim();
+    provider = llmService.getTaskProvider('research').provider.name;
+  } else {
+    content = buildExtractiveAnswer(sources, question, {
+      intro: 'Here is what these videos say about this:',
+      notCovered: 'These videos do not seem to cover this.',
+      maxPoints: 5
+    });
+    provider = 'local';
+  }
+
+  const answerMessage = await addMessage(thread.id, {
+    role: 'assistant',
+    content,
+    citations: buildCitations(content, sources, videos),
+    provider
+  });
+
+  return { question: questionMessage, answer: answerMessage };
+}
+
+/**
+ * Start a research thread with its first question
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User asking
+ * @param {object} data - { scope: { folderId } | { tagId } | { videoIds }, question, title }
+ * @returns {Promise<object>} - { thread, question, answer }
+ */
+async function createThread(workspaceId, userId, { scope, question, title }) {
+  const { scopeType, scopeId, videoIds } = await resolveScope(workspaceId, scope);
+
+  if (videoIds.length === 0) {
+    throw new Error('There are no videos to search in this scope');
+  }
+
+  const threadTitle = (title || question).trim();
+  const result = await pool.query(
+    `INSERT INTO research_threads (workspace_id, user_id, title, scope_type, scope_id, video_ids)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [
+      workspaceId,
+      userId,
+      threadTitle.length > 255 ? `${threadTitle.substring(0, 254)}…` : threadTitle,
+      scopeType,
+      scopeId,
+      scopeType === 'videos' ? videoIds : []
+    ]
+  );
+
+  const thread = await findThread(result.rows[0].id, workspaceId);
+  const messages = await ask(thread, userId, question);
+
+  return { thread, ...messages };
+}
+
+/**
+ * List the research threads of a workspace, most recently active first
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array<object>>}
+ */
+async function listThreads(workspaceId) {
+  const result = await pool.query(
+    `SELECT rt.id, rt.title, rt.scope_type, rt.scope_id, rt.user_id, rt.created_at, rt.updated_at,
+            COALESCE(f.name, t.name) AS scope_name,
+            COALESCE(array_length(rt.video_ids, 1), 0) AS video_count,
+            (SELECT COUNT(*) FROM research_messages rm WHERE rm.thread_id = rt.id AND rm.role = 'user') AS question_count
+     FROM research_threads rt
+     LEFT JOIN folders f ON rt.scope_type = 'folder' AND f.id = rt.scope_id
+     LEFT JOIN tags t ON rt.scope_type = 'tag' AND t.id = rt.scope_id
+     WHERE rt.workspace_id = $1
+     ORDER BY rt.updated_at DESC`,
+    [workspaceId]
+  );
+
+  return result.rows.map(thread => ({
+    ...thread,
+    question_count: parseInt(thread.question_count, 10)
+  }));
+}
+
+/**
+ * Get a thread with its messages
+ * @param {string} threadId - Thread ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<object|null>} - Thread with messages, or null if not found
+ */
+async function getThread(threadId, workspaceId) {
+  const thread = await findThread(threadId, workspaceId);
+  if (!thread) return null;
+
+  return { ...thread, messages: await getMessages(thread.id) };
+}
+
+/**
+ * Delete a thread and its messages
+ * @param {string} threadId - Thread ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<boolean>} - Whether a thread was deleted
+ */
+async function deleteThread(threadId, workspaceId) {
+  const result = await pool.query(
+    `DELETE FROM research_threads WHERE id = $1 AND workspace_id = $2`,
+    [threadId, workspaceId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  createThread,
+  listThreads,
+  getThread,
+  findThread,
+  ask,
+  deleteThread,
+  MAX_RESEARCH_VIDEOS
+};
@@ -0,0 +1,66 @@
+/**
+ * Review schedule
+ * SM-2 spaced repetition extended to four grades (again/hard/good/easy). A card's ease
+ * factor grows or shrinks with each answer and scales the gap to its next review.
+ */
+
+const GRADES = ['again', 'hard', 'good', 'easy'];
+
+const MIN_EASE = 1.3;
+
+// A forgotten card comes back within the same session
+const RELEARN_MINUTES = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Work out a card's next review from a grade
+ * @param {object} card - { ease_factor, interval_days, repetitions, lapses }
+ * @param {string} grade - again, hard, good or easy
+ * @param {Date} [now] - Time of the review
+ * @returns {object} - { ease_factor, interval_days, repetitions, lapses, due_at }
+ */
+function schedule(card, grade, now = new Date()) {
+  const ease = parseFloat(card.ease_factor) || 2.5;
+  const interval = card.interval_days || 0;
+  const repetitions = card.repetitions || 0;
+  const lapses = card.lapses || 0;
+
+  if (grade === 'again') {
+    return {
+      ease_factor: Math.max(MIN_EASE, ease - 0.2),
+      interval_days: 0,
+      repetitions: 0,
+      lapses: repetitions > 0 ? lapses + 1 : lapses,
+      due_at: new Date(now.getTime() + RELEARN_MINUTES * 60 * 1000)
+    };
+  }
+
+  let goodInterval = Math.max(interval + 1, Math.round(interval * ease));
+  if (repetitions === 0) goodInterval = 1;
+  else if (repetitions === 1) goodInterval = 6;
+
+  let nextEase = ease;
+  let nextInterval = goodInterval;
+
+  if (grade === 'hard') {
+    nextEase = Math.max(MIN_EASE, ease - 0.15);
+    nextInterval = repetitions === 0 ? 1 : Math.max(interval + 1, Math.round(interval * 1.2));
+  } else if (grade === 'easy') {
+    nextEase = ease + 0.15;
+    nextInterval = repetitions === 0 ? 4 : Math.max(goodInterval + 1, Math.round(goodInterval * 1.3));
+  }
+
+  return {
+    ease_factor: Math.round(nextEase * 100) / 100,
+    interval_days: nextInterval,
+    repetitions: repetitions + 1,
+    lapses,
+    due_at: new Date(now.getTime() + nextInterval * DAY_MS)
+  };
+}
+
+module.exports = {
+  GRADES,
+  schedule
+};
@@ -0,0 +1,75 @@
+/**
+ * Tests for the SM-2 review schedule
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { GRADES, schedule } = require('./reviewSchedule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-01-01T12:00:00Z');
+
+const NEW_CARD = { ease_factor: 2.5, interval_days: 0, repetitions: 0, lapses: 0 };
+
+/**
+ * Grade a new card several times in a row
+ */
+function review(grades) {
+  return grades.reduce((card, grade) => ({ ...card, ...schedule(card, grade, NOW) }), NEW_CARD);
+}
+
+describe('schedule', () => {
+  it('brings a forgotten card back in ten minutes', () => {
+    const next = schedule(NEW_CARD, 'again', NOW);
+
+    assert.equal(next.interval_days, 0);
+    assert.equal(next.repetitions, 0);
+    assert.equal(next.due_at.getTime(), NOW.getTime() + 10 * 60 * 1000);
+  });
+
+  it('counts a lapse only when a learned card is forgotten', () => {
+    assert.equal(schedule(NEW_CARD, 'again', NOW).lapses, 0);
+    assert.equal(review(['good', 'good', 'again']).lapses, 1);
+  });
+
+  it('follows the SM-2 intervals of 1 and 6 days, then interval times ease', () => {
+    assert.equal(review(['good']).interval_days, 1);
+    assert.equal(review(['good', 'good']).interval_days, 6);
+    assert.equal(review(['good', 'good', 'good']).interval_days, 15);
+  });
+
+  it('sets due_at the interval after the review', () => {
+    const next = schedule({ ...NEW_CARD, repetitions: 1, interval_days: 1 }, 'good', NOW);
+
+    assert.equal(next.due_at.getTime(), NOW.getTime() + 6 * DAY_MS);
+  });
+
+  it('orders the intervals again < hard <= good < easy at every step', () => {
+    let card = NEW_CARD;
+
+    for (let step = 0; step < 5; step++) {
+      const [again, hard, good, easy] = GRADES.map(grade => schedule(card, grade, NOW).interval_days);
+
+      assert.ok(again < hard, `step ${step}: again ${again} < hard ${hard}`);
+      assert.ok(hard <= good, `step ${step}: hard ${hard} <= good ${good}`);
+      assert.ok(good < easy, `step ${step}: good ${good} < easy ${easy}`);
+
+      card = { ...card, ...schedule(card, 'good', NOW) };
+    }
+  });
+
+  it('lowers the ease on hard and again but never below 1.3', () => {
+    assert.equal(schedule(NEW_CARD, 'hard', NOW).ease_factor, 2.35);
+    assert.equal(schedule(NEW_CARD, 'again', NOW).ease_factor, 2.3);
+    assert.equal(schedule({ ...NEW_CARD, ease_factor: 1.35 }, 'again', NOW).ease_factor, 1.3);
+  });
+
+  it('raises the ease on easy and keeps it on good', () => {
+    assert.equal(schedule(NEW_CARD, 'easy', NOW).ease_factor, 2.65);
+    assert.equal(schedule(NEW_CARD, 'good', NOW).ease_factor, 2.5);
+  });
+
+  it('reads ease factors returned as strings by pg', () => {
+    assert.equal(schedule({ ...NEW_CARD, ease_factor: '2.50' }, 'easy', NOW).ease_factor, 2.65);
+  });
+});
@@ -0,0 +1,408 @@
+/**
+ * Review Service
+ * Each user's spaced-repetition deck of starred key points and saves. Cards are
+ * scheduled by reviewSchedule, and keep a copy of their prompt and answer so they
+ * survive re-extracting a video's key points.
+ */
+
+const pool = require('./db');
+const linkageService = require('./linkageService');
+const { keyPointCard } = require('./flashcardService');
+const { getSaveWithContent } = require('./exportService');
+const { GRADES, schedule } = require('./reviewSchedule');
+const { formatTimestamp } = require('../utils/formatters');
+
+// Save text kept as a card's context
+const MAX_CONTEXT_LENGTH = 500;
+
+const CARD_COLUMNS = `
+  rc.*,
+  v.title AS video_title,
+  v.youtube_id,
+  s.title AS section_title
+`;
+
+const CARD_JOINS = `
+  FROM review_cards rc
+  JOIN videos v ON v.id = rc.video_id
+  LEFT JOIN sections s ON s.id = rc.section_id
+`;
+
+// Cards due before tomorrow starts count as due today
+const DUE_TODAY = `rc.due_at < date_trunc('day', NOW()) + INTERVAL '1 day'`;
+
+/**
+ * Shape a review_cards row for the API
+ * @param {object} row - Card joined with its video and section
+ * @returns {object}
+ */
+function formatCard(row) {
+  const serverUrl = process.env.SERVER_URL || 'http://localhost:4051';
+
+  return {
+    id: row.id,
+    source_type: row.source_type,
+    video_id: row.video_id,
+    video_title: row.video_title,
+    youtube_id: row.youtube_id,
+    save_id: row.save_id,
+    section_id: row.section_id,
+    section_title: row.section_title,
+    key_point_id: row.key_point_id,
+    front: row.front,
+    back: row.back,
+    context: row.context,
+    timestamp_seconds: row.timestamp_seconds !== null ? parseFloat(row.timestamp_seconds) : null,
+    thumbnail_url: row.frame_id ? `${serverUrl}/api/frames/image/${row.frame_id}` : null,
+    ease_factor: parseFloat(row.ease_factor),
+    interval_days: row.interval_days,
+    repetitions: row.repetitions,
+    lapses: row.lapses,
+    due_at: row.due_at,
+    last_reviewed_at: row.last_reviewed_at,
+    created_at: row.created_at,
+    // Days until the card would come back for each grade, for the grade buttons
+    next_intervals: Object.fromEntries(GRADES.map(grade => [grade, schedule(row, grade).interval_days]))
+  };
+}
+
+/**
+ * Get one of a user's cards
+ * @param {object} client - Database client or pool
+ * @param {string} cardId - Card ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>}
+ */
+async function findCard(client, cardId, workspaceId, userId) {
+  const result = await client.query(
+    `SELECT ${CARD_COLUMNS} ${CARD_JOINS}
+     WHERE rc.id = $1 AND rc.workspace_id = $2 AND rc.user_id = $3`,
+    [cardId, workspaceId, userId]
+  );
+
+  return result.rows.length > 0 ? formatCard(result.rows[0]) : null;
+}
+
+/**
+ * Insert a card, or find the one already made from the same key point or save
+ * @param {object} card - review_cards columns
+ * @returns {Promise<object>} - { card, created }
+ */
+async function insertCard(card) {
+  const result = await pool.query(
+    `INSERT INTO review_cards (
+       workspace_id, user_id, video_id, source_type, save_id, section_id,
+       key_point_id, frame_id, front, back, context, timestamp_seconds
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     ON CONFLICT DO NOTHING
+     RETURNING id`,
+    [
+      card.workspaceId,
+      card.userId,
+      card.videoId,
+      card.sourceType,
+      card.saveId || null,
+      card.sectionId || null,
+      card.keyPointId || null,
+      card.frameId || null,
+      card.front,
+      card.back,
+      card.context || null,
+      card.timestamp ?? null
+    ]
+  );
+
+  if (result.rows.length > 0) {
+    return { card: await findCard(pool, result.rows[0].id, card.workspaceId, card.userId), created: true };
+  }
+
+  const existing = card.saveId
+    ? await pool.query(
+      'SELECT id FROM review_cards WHERE user_id = $1 AND save_id = $2',
+      [card.userId, card.saveId]
+    )
+    : await pool.query(
+      `SELECT id FROM review_cards
+       WHERE user_id = $1 AND video_id = $2 AND md5(back) = md5($3) AND source_type = 'key_point'`,
+      [card.userId, card.videoId, card.back]
+    );
+
+  return { card: await findCard(pool, existing.rows[0].id, card.workspaceId, card.userId), created: false };
+}
+
+/**
+ * Star a key point into the user's deck
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @param {object} keyPoint
+ * @param {string} keyPoint.videoId - Video the point comes from
+ * @param {string} keyPoint.text - The key point
+ * @param {string} [keyPoint.sectionId] - Section it belongs to
+ * @param {number} [keyPoint.timestamp] - Where it is made, in seconds
+ * @param {string} [keyPoint.category] - insight, fact, definition, ...
+ * @param {string} [keyPoint.context] - Surrounding quote
+ * @param {string} [keyPoint.keyPointId] - Stored key point ID
+ * @returns {Promise<object>} - { card, created }
+ */
+async function addKeyPoint(workspaceId, userId, keyPoint) {
+  const videoResult = await pool.query(
+    'SELECT id, title, youtube_id FROM videos WHERE id = $1 AND workspace_id = $2',
+    [keyPoint.videoId, workspaceId]
+  );
+  if (videoResult.rows.length === 0) {
+    throw new Error('Video not found');
+  }
+  const video = videoResult.rows[0];
+
+  let section = null;
+  if (keyPoint.sectionId) {
+    const sectionResult = await pool.query(
+      'SELECT id, title FROM sections WHERE id = $1 AND video_id = $2',
+      [keyPoint.sectionId, video.id]
+    );
+    if (sectionResult.rows.length === 0) {
+      throw new Error('Section not found');
+    }
+    section = sectionResult.rows[0];
+  }
+
+  const timestamp = keyPoint.timestamp ?? null;
+  const flashcard = keyPointCard(video, {
+    id: keyPoint.keyPointId,
+    point: keyPoint.text,
+    timestamp,
+    context: keyPoint.context,
+    category: keyPoint.category
+  }, section);
+  const frame = timestamp !== null ? await linkageService.getBestFrameForTime(video.id, timestamp) : null;
+
+  return insertCard({
+    workspaceId,
+    userId,
+    videoId: video.id,
+    sourceType: 'key_point',
+    sectionId: section && section.id,
+    keyPointId: keyPoint.keyPointId,
+    frameId: frame && frame.id,
+    front: flashcard.front,
+    back: flashcard.back,
+    context: flashcard.context,
+    timestamp
+  });
+}
+
+/**
+ * Star a save into the user's deck
+ * The answer is the save's notes, or what it captured when it has none.
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @param {string} saveId - Save ID
+ * @returns {Promise<object>} - { card, created }
+ */
+async function addSave(workspaceId, userId, saveId) {
+  const save = await getSaveWithContent(saveId, workspaceId);
+  if (!save) {
+    throw new Error('Save not found');
+  }
+
+  const transcriptText = save.transcripts.map(t => t.text).join(' ').trim();
+  const excerptText = save.summaries.map(s => s.excerpt).filter(Boolean).join('\n\n').trim();
+  const notes = (save.notes || '').trim();
+  const back = notes || transcriptText || excerptText;
+
+  if (!back) {
+    throw new Error('Save has nothing to review');
+  }
+
+  const times = [
+    ...save.frames.map(f => parseFloat(f.timestamp_seconds)),
+    ...save.transcripts.map(t => parseFloat(t.start_time)),
+    ...save.summaries.map(s => parseFloat(s.start_time))
+  ].filter(time => !isNaN(time));
+  const timestamp = times.length > 0 ? Math.min(...times) : null;
+
+  let frameId = save.frames.length > 0 ? save.frames[0].id : null;
+  if (!frameId && timestamp !== null) {
+    const frame = await linkageService.getBestFrameForTime(save.video_id, timestamp);
+    frameId = frame && frame.id;
+  }
+
+  const context = notes ? (transcriptText || excerptText).slice(0, MAX_CONTEXT_LENGTH) : null;
+  const front = save.title
+    ? `What did you save as “${save.title}”?`
+    : `What did you save from “${save.video_title}”${timestamp !== null ? ` at ${formatTimestamp(timestamp)}` : ''}?`;
+
+  return insertCard({
+    workspaceId,
+    userId,
+    videoId: save.video_id,
+    sourceType: 'save',
+    saveId: save.id,
+    sectionId: save.summaries.find(s => s.section_id)?.section_id,
+    frameId,
+    front,
+    back,
+    context,
+    timestamp
+  });
+}
+
+/**
+ * List a user's cards, optionally for one video or save
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @param {object} [filter] - { videoId, saveId }
+ * @returns {Promise<Array>} - Cards, soonest due first
+ */
+async function listCards(workspaceId, userId, filter = {}) {
+  const conditions = ['rc.workspace_id = $1', 'rc.user_id = $2'];
+  const params = [workspaceId, userId];
+
+  if (filter.videoId) {
+    params.push(filter.videoId);
+    conditions.push(`rc.video_id = $${params.length}`);
+  }
+  if (filter.saveId) {
+    params.push(filter.saveId);
+    conditions.push(`rc.save_id = $${params.length}`);
+  }
+
+  const result = await pool.query(
+    `SELECT ${CARD_COLUMNS} ${CARD_JOINS}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY rc.due_at ASC`,
+    params
+  );
+
+  return result.rows.map(formatCard);
+}
+
+/**
+ * Get the cards due today, most overdue first
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @param {number} limit - Maximum cards to return
+ * @returns {Promise<Array>}
+ */
+async function getDueCards(workspaceId, userId, limit) {
+  const result = await pool.query(
+    `SELECT ${CARD_COLUMNS} ${CARD_JOINS}
+     WHERE rc.workspace_id = $1 AND rc.user_id = $2 AND ${DUE_TODAY}
+     ORDER BY rc.due_at ASC
+     LIMIT $3`,
+    [workspaceId, userId, limit]
+  );
+
+  return result.rows.map(formatCard);
+}
+
+/**
+ * Count a user's deck: cards due today, all cards and reviews done today
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} - { dueToday, total, reviewedToday }
+ */
+async function getStats(workspaceId, userId) {
+  const result = await pool.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE ${DUE_TODAY}) AS due_today,
+       COUNT(*) AS total,
+       (SELECT COUNT(*) FROM review_logs rl
+        JOIN review_cards c ON c.id = rl.card_id
+        WHERE rl.user_id = $2 AND c.workspace_id = $1
+          AND rl.reviewed_at >= date_trunc('day', NOW())) AS reviewed_today
+     FROM review_cards rc
+     WHERE rc.workspace_id = $1 AND rc.user_id = $2`,
+    [workspaceId, userId]
+  );
+
+  const row = result.rows[0];
+  return {
+    dueToday: parseInt(row.due_today, 10),
+    total: parseInt(row.total, 10),
+    reviewedToday: parseInt(row.reviewed_today, 10)
+  };
+}
+
+/**
+ * Grade a card and schedule its next review
+ * @param {string} cardId - Card ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @param {string} grade - again, hard, good or easy
+ * @returns {Promise<object|null>} - The rescheduled card, or null if not found
+ */
+async function gradeCard(cardId, workspaceId, userId, grade) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT * FROM review_cards
+       WHERE id = $1 AND workspace_id = $2 AND user_id = $3
+       FOR UPDATE`,
+      [cardId, workspaceId, userId]
+    );
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const next = schedule(current.rows[0], grade);
+
+    await client.query(
+      `UPDATE review_cards
+       SET ease_factor = $2, interval_days = $3, repetitions = $4, lapses = $5,
+           due_at = $6, last_reviewed_at = NOW()
+       WHERE id = $1`,
+      [cardId, next.ease_factor, next.interval_days, next.repetitions, next.lapses, next.due_at]
+    );
+
+    await client.query(
+      `INSERT INTO review_logs (card_id, user_id, grade, interval_days, ease_factor)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [cardId, userId, grade, next.interval_days, next.ease_factor]
+    );
+
+    await client.query('COMMIT');
+
+    return findCard(client, cardId, workspaceId, userId);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Remove a card from the user's deck
+ * @param {string} cardId - Card ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - Whether a card was removed
+ */
+async function removeCard(cardId, workspaceId, userId) {
+  const result = await pool.query(
+    'DELETE FROM review_cards WHERE id = $1 AND workspace_id = $2 AND user_id = $3',
+    [cardId, workspaceId, userId]
+  );
+
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  GRADES,
+  schedule,
+  addKeyPoint,
+  addSave,
+  listCards,
+  getDueCards,
+  getStats,
+  gradeCard,
+  removeCard
+};
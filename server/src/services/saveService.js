@@ -3,6 +3,49 @@
  */
 
 const pool = require('./db');
+const embeddingService = require('./embeddingService');
+const topicService = require('./topicService');
+const searchService = require('./searchService');
+const smartFolderRules = require('./smartFolderRules');
+
+// Smart folder text rules match against this many of the best full-text hits
+const SMART_TEXT_MATCH_LIMIT = 500;
+
+/**
+ * Queue a save for semantic search indexing without blocking the request
+ * @param {string} saveId - Save ID
+ */
+function queueSearchIndex(saveId) {
+  embeddingService.queueSaveIndex(saveId).catch(error => {
+    console.error(`Failed to queue search indexing for save ${saveId}:`, error.message);
+  });
+}
+
+/**
+ * Link a save to the topics it covers without blocking the request
+ * @param {string} saveId - Save ID
+ */
+function indexTopics(saveId) {
+  topicService.indexSave(saveId).catch(error => {
+    console.error(`Failed to index topics for save ${saveId}:`, error.message);
+  });
+}
+
+/**
+ * Refuse folder lists that include a smart folder, whose contents come from its rules
+ * @param {object} client - Database client
+ * @param {Array<string>} folderIds - Folder IDs a save is being added to
+ */
+async function assertManualFolders(client, folderIds) {
+  const smartFolders = await client.query(
+    `SELECT id FROM folders WHERE id = ANY($1::uuid[]) AND kind = 'smart'`,
+    [folderIds]
+  );
+
+  if (smartFolders.rows.length > 0) {
+    throw new Error('Saves cannot be added to a smart folder');
+  }
+}
 
 /**
  * Generate auto title from save content
@@ -33,11 +76,12 @@ function generateAutoTitle(data) {
 
 /**
  * Create a new save
- * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - ID of the member creating the save
  * @param {object} data - Save data
  * @returns {Promise<object>} - Created save with related data
  */
-async function createSave(userId, data) {
+async function createSave(workspaceId, userId, data) {
   const client = await pool.connect();
 
   try {
@@ -51,12 +95,13 @@ async function createSave(userId, data) {
 
     // Insert save
     const saveQuery = `
-      INSERT INTO saves (user_id, video_id, title, auto_title, notes, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
-      RETURNING id, user_id, video_id, title, auto_title, notes, created_at, updated_at
+      INSERT INTO saves (workspace_id, user_id, video_id, title, auto_title, notes, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+      RETURNING id, workspace_id, user_id, video_id, title, auto_title, notes, created_at, updated_at
     `;
 
     const saveResult = await client.query(saveQuery, [
+      workspaceId,
       userId,
       videoId,
       finalTitle,
@@ -116,6 +161,8 @@ async function createSave(userId, data) {
 
     // Insert folder associations
     if (folders && folders.length > 0) {
+      await assertManualFolders(client, folders);
+
       const folderValues = folders.map((folderId, index) =>
         `($1, $${index + 2})`
       ).join(', ');
@@ -145,9 +192,11 @@ async function createSave(userId, data) {
     }
 
     await client.query('COMMIT');
+    queueSearchIndex(save.id);
+    indexTopics(save.id);
 
     // Return full save with related data
-    return await getSaveById(save.id, userId);
+    return await getSaveById(save.id, workspaceId);
 
   } catch (error) {
     await client.query('ROLLBACK');
@@ -160,10 +209,10 @@ async function createSave(userId, data) {
 /**
  * Get save by ID with all related data
  * @param {string} saveId - Save ID
- * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
  * @returns {Promise<object|null>} - Save object or null
  */
-async function getSaveById(saveId, userId) {
+async function getSaveById(saveId, workspaceId) {
   const saveQuery = `
     SELECT
       s.id,
@@ -179,10 +228,10 @@ async function getSaveById(saveId, userId) {
       v.thumbnail_url as video_thumbnail_url
     FROM saves s
     LEFT JOIN videos v ON s.video_id = v.id
-    WHERE s.id = $1 AND s.user_id = $2
+    WHERE s.id = $1 AND s.workspace_id = $2
   `;
 
-  const saveResult = await pool.query(saveQuery, [saveId, userId]);
+  const saveResult = await pool.query(saveQuery, [saveId, workspaceId]);
 
   if (saveResult.rows.length === 0) {
     return null;
@@ -277,13 +326,17 @@ async function getSaveById(saveId, userId) {
 
 /**
  * Get saves with filters
- * @param {string} userId - User ID
+ * A smart folder passed as `folder` is evaluated live from its rules
+ * @param {string} workspaceId - Workspace ID
  * @param {object} options - Filter options
+ * @param {object} [options.rules] - Smart folder rule set to apply (see smartFolderRules)
  * @returns {Promise<object>} - Saves array with pagination info
  */
-async function getSaves(userId, options = {}) {
+async function getSaves(workspaceId, options = {}) {
   const {
     folder,
+    includeSubfolders = false,
+    rules,
     video,
     tags,
     contentType,
@@ -294,16 +347,58 @@ async function getSaves(userId, options = {}) {
     offset = 0
   } = options;
 
-  let conditions = ['s.user_id = $1'];
-  let params = [userId];
+  let conditions = ['s.workspace_id = $1'];
+  let params = [workspaceId];
   let paramIndex = 2;
 
-  // Filter by folder
-  if (folder) {
+  let smartRules = rules || null;
+  if (folder && folder !== 'uncategorized') {
+    const smartFolder = await pool.query(
+      `SELECT rules FROM folders WHERE id = $1 AND workspace_id = $2 AND kind = 'smart'`,
+      [folder, workspaceId]
+    );
+    if (smartFolder.rows.length > 0) {
+      smartRules = smartFolder.rows[0].rules;
+    }
+  }
+
+  // Filter by smart folder rules
+  if (smartRules) {
+    const compiled = smartFolderRules.buildRuleConditions(smartRules, paramIndex);
+    conditions.push(...compiled.conditions);
+    params.push(...compiled.params);
+    paramIndex = compiled.paramIndex;
+
+    if (smartRules.text) {
+      const matches = await searchService.searchSaves(workspaceId, smartRules.text, {
+        limit: SMART_TEXT_MATCH_LIMIT
+      });
+      conditions.push(`s.id = ANY($${paramIndex}::uuid[])`);
+      params.push(matches.items.map(item => item.id));
+      paramIndex++;
+    }
+  }
+
+  // Filter by folder (smart folders have no direct members)
+  if (folder && !smartRules) {
     if (folder === 'uncategorized') {
       conditions.push(`NOT EXISTS (
         SELECT 1 FROM save_folders sf WHERE sf.save_id = s.id
       )`);
+    } else if (includeSubfolders) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM save_folders sf
+        WHERE sf.save_id = s.id AND sf.folder_id IN (
+          WITH RECURSIVE subtree AS (
+            SELECT id FROM folders WHERE id = $${paramIndex}
+            UNION ALL
+            SELECT f.id FROM folders f JOIN subtree st ON f.parent_id = st.id
+          )
+          SELECT id FROM subtree
+        )
+      )`);
+      params.push(folder);
+      paramIndex++;
     } else {
       conditions.push(`EXISTS (
         SELECT 1 FROM save_folders sf WHERE sf.save_id = s.id AND sf.folder_id = $${paramIndex}
@@ -427,11 +522,11 @@ async function getSaves(userId, options = {}) {
 /**
  * Update a save
  * @param {string} saveId - Save ID
- * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
  * @param {object} data - Update data
  * @returns {Promise<object>} - Updated save
  */
-async function updateSave(saveId, userId, data) {
+async function updateSave(saveId, workspaceId, data) {
   const client = await pool.connect();
 
   try {
@@ -439,8 +534,8 @@ async function updateSave(saveId, userId, data) {
 
     // Verify ownership
     const ownerCheck = await client.query(
-      'SELECT id FROM saves WHERE id = $1 AND user_id = $2',
-      [saveId, userId]
+      'SELECT id FROM saves WHERE id = $1 AND workspace_id = $2',
+      [saveId, workspaceId]
     );
 
     if (ownerCheck.rows.length === 0) {
@@ -490,6 +585,8 @@ async function updateSave(saveId, userId, data) {
 
       // Add new folders
       if (folders.length > 0) {
+        await assertManualFolders(client, folders);
+
         const folderValues = folders.map((folderId, index) =>
           `($1, $${index + 2})`
         ).join(', ');
@@ -526,9 +623,11 @@ async function updateSave(saveId, userId, data) {
     }
 
     await client.query('COMMIT');
+    queueSearchIndex(saveId);
+    indexTopics(saveId);
 
     // Return updated save
-    return await getSaveById(saveId, userId);
+    return await getSaveById(saveId, workspaceId);
 
   } catch (error) {
     await client.query('ROLLBACK');
@@ -541,36 +640,40 @@ async function updateSave(saveId, userId, data) {
 /**
  * Delete a save
  * @param {string} saveId - Save ID
- * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
  * @returns {Promise<boolean>} - True if deleted
  */
-async function deleteSave(saveId, userId) {
+async function deleteSave(saveId, workspaceId) {
   const result = await pool.query(
-    'DELETE FROM saves WHERE id = $1 AND user_id = $2',
-    [saveId, userId]
+    'DELETE FROM saves WHERE id = $1 AND workspace_id = $2',
+    [saveId, workspaceId]
   );
 
+  if (result.rowCount > 0) {
+    queueSearchIndex(saveId);
+  }
+
   return result.rowCount > 0;
 }
 
 /**
  * Bulk update saves
- * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
  * @param {Array<string>} saveIds - Array of save IDs
  * @param {string} action - Action to perform
  * @param {object} data - Action data
  * @returns {Promise<object>} - Result object
  */
-async function bulkUpdateSaves(userId, saveIds, action, data) {
+async function bulkUpdateSaves(workspaceId, saveIds, action, data) {
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
 
-    // Verify all saves belong to user
+    // Verify all saves belong to the workspace
     const ownerCheck = await client.query(
-      'SELECT id FROM saves WHERE id = ANY($1::uuid[]) AND user_id = $2',
-      [saveIds, userId]
+      'SELECT id FROM saves WHERE id = ANY($1::uuid[]) AND workspace_id = $2',
+      [saveIds, workspaceId]
     );
 
     const validSaveIds = ownerCheck.rows.map(row => row.id);
@@ -587,6 +690,8 @@ async function bulkUpdateSaves(userId, saveIds, action, data) {
           throw new Error('No folder IDs provided');
         }
 
+        await assertManualFolders(client, data.folderIds);
+
         for (const saveId of validSaveIds) {
           for (const folderId of data.folderIds) {
             await client.query(
@@ -631,8 +736,8 @@ async function bulkUpdateSaves(userId, saveIds, action, data) {
 
       case 'delete':
         const deleteResult = await client.query(
-          'DELETE FROM saves WHERE id = ANY($1::uuid[]) AND user_id = $2',
-          [validSaveIds, userId]
+          'DELETE FROM saves WHERE id = ANY($1::uuid[]) AND workspace_id = $2',
+          [validSaveIds, workspaceId]
         );
 
         affected = deleteResult.rowCount;
@@ -669,11 +774,11 @@ async function bulkUpdateSaves(userId, saveIds, action, data) {
 /**
  * Add tags to a save
  * @param {string} saveId - Save ID
- * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
  * @param {Array<string>} tagIds - Array of tag IDs to add
  * @returns {Promise<object>} - Updated save
  */
-async function addTags(saveId, userId, tagIds) {
+async function addTags(saveId, workspaceId, tagIds) {
   const client = await pool.connect();
 
   try {
@@ -681,8 +786,8 @@ async function addTags(saveId, userId, tagIds) {
 
     // Verify ownership
     const ownerCheck = await client.query(
-      'SELECT id FROM saves WHERE id = $1 AND user_id = $2',
-      [saveId, userId]
+      'SELECT id FROM saves WHERE id = $1 AND workspace_id = $2',
+      [saveId, workspaceId]
     );
 
     if (ownerCheck.rows.length === 0) {
@@ -708,7 +813,7 @@ async function addTags(saveId, userId, tagIds) {
     await client.query('COMMIT');
 
     // Return updated save
-    return await getSaveById(saveId, userId);
+    return await getSaveById(saveId, workspaceId);
 
   } catch (error) {
     await client.query('ROLLBACK');
@@ -721,11 +826,11 @@ async function addTags(saveId, userId, tagIds) {
 /**
  * Remove a tag from a save
  * @param {string} saveId - Save ID
- * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
  * @param {string} tagId - Tag ID to remove
  * @returns {Promise<object>} - Updated save
  */
-async function removeTag(saveId, userId, tagId) {
+async function removeTag(saveId, workspaceId, tagId) {
   const client = await pool.connect();
 
   try {
@@ -733,8 +838,8 @@ async function removeTag(saveId, userId, tagId) {
 
     // Verify ownership
     const ownerCheck = await client.query(
-      'SELECT id FROM saves WHERE id = $1 AND user_id = $2',
-      [saveId, userId]
+      'SELECT id FROM saves WHERE id = $1 AND workspace_id = $2',
+      [saveId, workspaceId]
     );
 
     if (ownerCheck.rows.length === 0) {
@@ -756,7 +861,7 @@ async function removeTag(saveId, userId, tagId) {
     await client.query('COMMIT');
 
     // Return updated save
-    return await getSaveById(saveId, userId);
+    return await getSaveById(saveId, workspaceId);
 
   } catch (error) {
     await client.query('ROLLBACK');
@@ -769,11 +874,11 @@ async function removeTag(saveId, userId, tagId) {
 /**
  * Set tags for a save (replace all existing tags)
  * @param {string} saveId - Save ID
- * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
  * @param {Array<string>} tagIds - Array of tag IDs to set
  * @returns {Promise<object>} - Updated save
  */
-async function setTags(saveId, userId, tagIds) {
+async function setTags(saveId, workspaceId, tagIds) {
   const client = await pool.connect();
 
   try {
@@ -781,8 +886,8 @@ async function setTags(saveId, userId, tagIds) {
 
     // Verify ownership
     const ownerCheck = await client.query(
-      'SELECT id FROM saves WHERE id = $1 AND user_id = $2',
-      [saveId, userId]
+      'SELECT id FROM saves WHERE id = $1 AND workspace_id = $2',
+      [saveId, workspaceId]
     );
 
     if (ownerCheck.rows.length === 0) {
@@ -811,7 +916,7 @@ async function setTags(saveId, userId, tagIds) {
     await client.query('COMMIT');
 
     // Return updated save
-    return await getSaveById(saveId, userId);
+    return await getSaveById(saveId, workspaceId);
 
   } catch (error) {
     await client.query('ROLLBACK');
@@ -824,11 +929,11 @@ async function setTags(saveId, userId, tagIds) {
 /**
  * Add save to folders
  * @param {string} saveId - Save ID
- * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
  * @param {Array<string>} folderIds - Array of folder IDs to add
  * @returns {Promise<object>} - Updated save
  */
-async function addToFolders(saveId, userId, folderIds) {
+async function addToFolders(saveId, workspaceId, folderIds) {
   const client = await pool.connect();
 
   try {
@@ -836,18 +941,18 @@ async function addToFolders(saveId, userId, folderIds) {
 
     // Verify save ownership
     const ownerCheck = await client.query(
-      'SELECT id FROM saves WHERE id = $1 AND user_id = $2',
-      [saveId, userId]
+      'SELECT id FROM saves WHERE id = $1 AND workspace_id = $2',
+      [saveId, workspaceId]
     );
 
     if (ownerCheck.rows.length === 0) {
       throw new Error('Save not found or access denied');
     }
 
-    // Verify all folders belong to user
+    // Verify all folders belong to the workspace
     const folderCheck = await client.query(
-      'SELECT id FROM folders WHERE id = ANY($1::uuid[]) AND user_id = $2',
-      [folderIds, userId]
+      'SELECT id FROM folders WHERE id = ANY($1::uuid[]) AND workspace_id = $2',
+      [folderIds, workspaceId]
     );
 
     const validFolderIds = folderCheck.rows.map(row => row.id);
@@ -873,7 +978,7 @@ async function addToFolders(saveId, userId, folderIds) {
     await client.query('COMMIT');
 
     // Return updated save
-    return await getSaveById(saveId, userId);
+    return await getSaveById(saveId, workspaceId);
 
   } catch (error) {
     await client.query('ROLLBACK');
@@ -886,11 +991,11 @@ async function addToFolders(saveId, userId, folderIds) {
 /**
  * Remove save from a specific folder
  * @param {string} saveId - Save ID
- * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
  * @param {string} folderId - Folder ID to remove from
  * @returns {Promise<object>} - Updated save
  */
-async function removeFromFolder(saveId, userId, folderId) {
+async function removeFromFolder(saveId, workspaceId, folderId) {
   const client = await pool.connect();
 
   try {
@@ -898,18 +1003,18 @@ async function removeFromFolder(saveId, userId, folderId) {
 
     // Verify save ownership
     const ownerCheck = await client.query(
-      'SELECT id FROM saves WHERE id = $1 AND user_id = $2',
-      [saveId, userId]
+      'SELECT id FROM saves WHERE id = $1 AND workspace_id = $2',
+      [saveId, workspaceId]
     );
 
     if (ownerCheck.rows.length === 0) {
       throw new Error('Save not found or access denied');
     }
 
-    // Verify folder belongs to user
+    // Verify folder belongs to the workspace
     const folderCheck = await client.query(
-      'SELECT id FROM folders WHERE id = $1 AND user_id = $2',
-      [folderId, userId]
+      'SELECT id FROM folders WHERE id = $1 AND workspace_id = $2',
+      [folderId, workspaceId]
     );
 
     if (folderCheck.rows.length === 0) {
@@ -931,7 +1036,7 @@ async function removeFromFolder(saveId, userId, folderId) {
     await client.query('COMMIT');
 
     // Return updated save
-    return await getSaveById(saveId, userId);
+    return await getSaveById(saveId, workspaceId);
 
   } catch (error) {
     await client.query('ROLLBACK');
@@ -944,11 +1049,11 @@ async function removeFromFolder(saveId, userId, folderId) {
 /**
  * Set folders for a save (replaces all existing folder associations)
  * @param {string} saveId - Save ID
- * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
  * @param {Array<string>} folderIds - Array of folder IDs (can be empty to remove all)
  * @returns {Promise<object>} - Updated save
  */
-async function setFolders(saveId, userId, folderIds) {
+async function setFolders(saveId, workspaceId, folderIds) {
   const client = await pool.connect();
 
   try {
@@ -956,8 +1061,8 @@ async function setFolders(saveId, userId, folderIds) {
 
     // Verify save ownership
     const ownerCheck = await client.query(
-      'SELECT id FROM saves WHERE id = $1 AND user_id = $2',
-      [saveId, userId]
+      'SELECT id FROM saves WHERE id = $1 AND workspace_id = $2',
+      [saveId, workspaceId]
     );
 
     if (ownerCheck.rows.length === 0) {
@@ -972,10 +1077,10 @@ async function setFolders(saveId, userId, folderIds) {
 
     // Add new folder associations if any
     if (folderIds && folderIds.length > 0) {
-      // Verify all folders belong to user
+      // Verify all folders belong to the workspace
       const folderCheck = await client.query(
-        'SELECT id FROM folders WHERE id = ANY($1::uuid[]) AND user_id = $2',
-        [folderIds, userId]
+        'SELECT id FROM folders WHERE id = ANY($1::uuid[]) AND workspace_id = $2',
+        [folderIds, workspaceId]
       );
 
       const validFolderIds = folderCheck.rows.map(row => row.id);
@@ -997,7 +1102,7 @@ async function setFolders(saveId, userId, folderIds) {
     await client.query('COMMIT');
 
     // Return updated save
-    return await getSaveById(saveId, userId);
+    return await getSaveById(saveId, workspaceId);
 
   } catch (error) {
     await client.query('ROLLBACK');
@@ -1010,14 +1115,14 @@ async function setFolders(saveId, userId, folderIds) {
 /**
  * Get folders for a save
  * @param {string} saveId - Save ID
- * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
  * @returns {Promise<Array>} - Array of folders
  */
-async function getSaveFolders(saveId, userId) {
+async function getSaveFolders(saveId, workspaceId) {
   // Verify save ownership
   const ownerCheck = await pool.query(
-    'SELECT id FROM saves WHERE id = $1 AND user_id = $2',
-    [saveId, userId]
+    'SELECT id FROM saves WHERE id = $1 AND workspace_id = $2',
+    [saveId, workspaceId]
   );
 
   if (ownerCheck.rows.length === 0) {
@@ -1,78 +1,114 @@
 /**
  * Search service for full-text search across videos, saves, and transcripts
- * Uses PostgreSQL full-text search with ts_vector and ts_query
+ * Uses PostgreSQL full-text search with ts_vector and ts_query,
+ * and pgvector similarity over embedded passages for semantic and hybrid search
  */
 
 const pool = require('./db');
+const llmService = require('./llmService');
+const embeddingService = require('./embeddingService');
+const llmConfig = require('../config/llmConfig');
+
+/**
+ * Passage sources for semantic search, by search type
+ * The join drops passages whose source row has since been deleted
+ */
+const SEMANTIC_SOURCES = {
+  transcripts: {
+    sourceType: 'transcript',
+    join: 'JOIN transcriptions t ON t.id = e.source_id AND t.is_primary = true',
+    fields: 't.transcript_type, t.language'
+  },
+  frames: {
+    sourceType: 'frame',
+    join: 'JOIN frames f ON f.id = e.source_id',
+    fields: 'f.frame_path, f.thumbnail_path, f.is_keyframe, f.content_type'
+  },
+  sections: {
+    sourceType: 'section',
+    join: 'JOIN sections s ON s.id = e.source_id',
+    fields: 's.title AS section_title'
+  },
+  saves: {
+    sourceType: 'save',
+    join: 'JOIN saves s ON s.id = e.source_id',
+    fields: 's.title, s.notes'
+  }
+};
+
+// Share of the hybrid score taken by vector similarity; the rest is normalized full-text rank
+const HYBRID_VECTOR_WEIGHT = 0.7;
+
+const KEYWORD_SEARCHES = {
+  videos: searchVideos,
+  saves: searchSaves,
+  transcripts: searchTranscripts,
+  frames: searchFrames
+};
 
 /**
  * Global search across all searchable content
- * @param {string} userId - User ID to filter results
+ * @param {string} workspaceId - Workspace ID to filter results
  * @param {string} query - Search query string
  * @param {object} options - Search options
- * @param {Array<string>} options.types - Content types to search ['videos', 'saves', 'transcripts', 'frames']
+ * @param {Array<string>} options.types - Content types to search ['videos', 'saves', 'transcripts', 'frames', 'sections']
  * @param {number} options.limit - Maximum results per type (default: 10)
  * @param {number} options.offset - Offset for pagination (default: 0)
- * @returns {Promise<object>} - Search results grouped by type
+ * @param {string} options.mode - 'keyword' (full-text), 'semantic' (embeddings) or 'hybrid' (both blended)
+ *   Videos are always matched by keyword and sections only semantically;
+ *   without an embedding endpoint the search falls back to keyword mode
+ * @param {string} [options.userId] - Searching user, for LLM usage accounting of the query embedding
+ * @returns {Promise<object>} - Search results grouped by type, with the mode actually used
  */
-async function search(userId, query, options = {}) {
+async function search(workspaceId, query, options = {}) {
   const {
     types = ['videos', 'saves', 'transcripts', 'frames'],
     limit = 10,
-    offset = 0
+    offset = 0,
+    mode = 'keyword'
   } = options;
 
+  let searchMode = mode;
+  let queryEmbedding = null;
+
+  if (searchMode !== 'keyword') {
+    if (!llmService.isEmbeddingAvailable()) {
+      searchMode = 'keyword';
+    } else {
+      try {
+        queryEmbedding = await embeddingService.embedQuery(query, { userId: options.userId });
+      } catch (error) {
+        console.error('Error embedding search query, falling back to keyword search:', error.message);
+        searchMode = 'keyword';
+      }
+    }
+  }
+
   const results = {
     query,
+    mode: searchMode,
     results: {}
   };
 
   // Execute searches in parallel for specified types
-  const promises = [];
-
-  if (types.includes('videos')) {
-    promises.push(
-      searchVideos(userId, query, { limit, offset })
-        .then(videos => { results.results.videos = videos; })
-        .catch(err => {
-          console.error('Error searching videos:', err);
-          results.results.videos = { items: [], total: 0 };
-        })
-    );
-  }
-
-  if (types.includes('saves')) {
-    promises.push(
-      searchSaves(userId, query, { limit, offset })
-        .then(saves => { results.results.saves = saves; })
-        .catch(err => {
-          console.error('Error searching saves:', err);
-          results.results.saves = { items: [], total: 0 };
-        })
-    );
-  }
-
-  if (types.includes('transcripts')) {
-    promises.push(
-      searchTranscripts(userId, query, { limit, offset })
-        .then(transcripts => { results.results.transcripts = transcripts; })
-        .catch(err => {
-          console.error('Error searching transcripts:', err);
-          results.results.transcripts = { items: [], total: 0 };
-        })
-    );
-  }
-
-  if (types.includes('frames')) {
-    promises.push(
-      searchFrames(userId, query, { limit, offset })
-        .then(frames => { results.results.frames = frames; })
-        .catch(err => {
-          console.error('Error searching frames:', err);
-          results.results.frames = { items: [], total: 0 };
-        })
-    );
-  }
+  const promises = types.map(type => {
+    let searchPromise;
+
+    if (searchMode !== 'keyword' && SEMANTIC_SOURCES[type]) {
+      searchPromise = searchPassages(workspaceId, query, queryEmbedding, type, { limit, offset, mode: searchMode });
+    } else if (KEYWORD_SEARCHES[type]) {
+      searchPromise = KEYWORD_SEARCHES[type](workspaceId, query, { limit, offset });
+    } else {
+      return null;
+    }
+
+    return searchPromise
+      .then(typeResults => { results.results[type] = typeResults; })
+      .catch(err => {
+        console.error(`Error searching ${type}:`, err);
+        results.results[type] = { items: [], total: 0 };
+      });
+  });
 
   await Promise.all(promises);
 
@@ -85,14 +121,108 @@ async function search(userId, query, options = {}) {
   return results;
 }
 
+/**
+ * Search embedded passages of one type by vector similarity, optionally blended with full-text rank
+ * Hybrid mode also considers passages that match the keywords but are not among the nearest vectors
+ * @param {string} workspaceId - Workspace ID to filter results
+ * @param {string} query - Search query string
+ * @param {string} queryEmbedding - Query vector as a pgvector literal
+ * @param {string} type - Search type from SEMANTIC_SOURCES
+ * @param {object} options - Search options
+ * @param {number} options.limit - Maximum results (default: 10)
+ * @param {number} options.offset - Offset for pagination (default: 0)
+ * @param {string} options.mode - 'semantic' or 'hybrid'
+ * @returns {Promise<object>} - Passages with matched text, timestamps and scores
+ */
+async function searchPassages(workspaceId, query, queryEmbedding, type, options = {}) {
+  const { limit = 10, offset = 0, mode = 'semantic' } = options;
+  const source = SEMANTIC_SOURCES[type];
+
+  // Rank more candidates than requested so later pages and hybrid re-ranking have material
+  const candidateLimit = Math.min((limit + offset) * 4, 200);
+
+  const keywordCandidates = mode === 'hybrid'
+    ? `UNION
+       (SELECT e.id
+        FROM content_embeddings e
+        ${source.join}
+        WHERE e.workspace_id = $3 AND e.source_type = $4 AND e.model = $5
+          AND to_tsvector('english', e.content) @@ plainto_tsquery('english', $2)
+        LIMIT $6)`
+    : '';
+
+  const searchQuery = `
+    WITH candidates AS (
+      (SELECT e.id
+       FROM content_embeddings e
+       ${source.join}
+       WHERE e.workspace_id = $3 AND e.source_type = $4 AND e.model = $5
+       ORDER BY e.embedding <=> $1::vector
+       LIMIT $6)
+      ${keywordCandidates}
+    )
+    SELECT
+      e.id,
+      e.source_id,
+      e.video_id,
+      e.start_time,
+      e.end_time,
+      e.content AS passage,
+      1 - (e.embedding <=> $1::vector) AS similarity,
+      ts_rank(to_tsvector('english', e.content), plainto_tsquery('english', $2)) AS text_rank,
+      ts_headline('english', e.content, plainto_tsquery('english', $2),
+        'MaxWords=50, MinWords=25, StartSel=<mark>, StopSel=</mark>') AS passage_highlight,
+      v.title AS video_title,
+      v.youtube_id,
+      v.thumbnail_url,
+      ${source.fields}
+    FROM candidates c
+    JOIN content_embeddings e ON e.id = c.id
+    JOIN videos v ON v.id = e.video_id
+    ${source.join}
+  `;
+
+  const result = await pool.query(searchQuery, [
+    queryEmbedding,
+    query,
+    workspaceId,
+    source.sourceType,
+    llmConfig.embeddings.model,
+    candidateLimit
+  ]);
+
+  const maxRank = Math.max(0, ...result.rows.map(row => row.text_rank));
+
+  const scored = result.rows.map(row => {
+    const textRank = maxRank > 0 ? row.text_rank / maxRank : 0;
+    return {
+      ...row,
+      start_time: row.start_time !== null ? parseFloat(row.start_time) : null,
+      end_time: row.end_time !== null ? parseFloat(row.end_time) : null,
+      score: mode === 'hybrid'
+        ? HYBRID_VECTOR_WEIGHT * row.similarity + (1 - HYBRID_VECTOR_WEIGHT) * textRank
+        : row.similarity
+    };
+  });
+
+  scored.sort((a, b) => b.score - a.score);
+
+  return {
+    items: scored.slice(offset, offset + limit),
+    total: scored.length,
+    limit,
+    offset
+  };
+}
+
 /**
  * Search videos by title, description, and channel name
- * @param {string} userId - User ID to filter results
+ * @param {string} workspaceId - Workspace ID to filter results
  * @param {string} query - Search query string
  * @param {object} options - Search options
  * @returns {Promise<object>} - Search results with items and total count
  */
-async function searchVideos(userId, query, options = {}) {
+async function searchVideos(workspaceId, query, options = {}) {
   const { limit = 10, offset = 0 } = options;
 
   const client = await pool.connect();
@@ -115,7 +245,7 @@ async function searchVideos(userId, query, options = {}) {
           'MaxWords=50, MinWords=25, StartSel=<mark>, StopSel=</mark>') AS description_highlight
       FROM videos v,
            plainto_tsquery('english', $1) query
-      WHERE v.user_id = $2
+      WHERE v.workspace_id = $2
         AND v.search_vector @@ query
       ORDER BY rank DESC, v.created_at DESC
       LIMIT $3 OFFSET $4
@@ -125,13 +255,13 @@ async function searchVideos(userId, query, options = {}) {
       SELECT COUNT(*) as count
       FROM videos v,
            plainto_tsquery('english', $1) query
-      WHERE v.user_id = $2
+      WHERE v.workspace_id = $2
         AND v.search_vector @@ query
     `;
 
     const [itemsResult, countResult] = await Promise.all([
-      client.query(searchQuery, [query, userId, limit, offset]),
-      client.query(countQuery, [query, userId])
+      client.query(searchQuery, [query, workspaceId, limit, offset]),
+      client.query(countQuery, [query, workspaceId])
     ]);
 
     return {
@@ -147,12 +277,12 @@ async function searchVideos(userId, query, options = {}) {
 
 /**
  * Search saves by title and notes
- * @param {string} userId - User ID to filter results
+ * @param {string} workspaceId - Workspace ID to filter results
  * @param {string} query - Search query string
  * @param {object} options - Search options
  * @returns {Promise<object>} - Search results with items and total count
  */
-async function searchSaves(userId, query, options = {}) {
+async function searchSaves(workspaceId, query, options = {}) {
   const { limit = 10, offset = 0 } = options;
 
   const client = await pool.connect();
@@ -177,7 +307,7 @@ async function searchSaves(userId, query, options = {}) {
       FROM saves s
       JOIN videos v ON s.video_id = v.id
       CROSS JOIN plainto_tsquery('english', $1) query
-      WHERE s.user_id = $2
+      WHERE s.workspace_id = $2
         AND s.search_vector @@ query
       ORDER BY rank DESC, s.created_at DESC
       LIMIT $3 OFFSET $4
@@ -187,13 +317,13 @@ async function searchSaves(userId, query, options = {}) {
       SELECT COUNT(*) as count
       FROM saves s,
            plainto_tsquery('english', $1) query
-      WHERE s.user_id = $2
+      WHERE s.workspace_id = $2
         AND s.search_vector @@ query
     `;
 
     const [itemsResult, countResult] = await Promise.all([
-      client.query(searchQuery, [query, userId, limit, offset]),
-      client.query(countQuery, [query, userId])
+      client.query(searchQuery, [query, workspaceId, limit, offset]),
+      client.query(countQuery, [query, workspaceId])
     ]);
 
     return {
@@ -209,12 +339,12 @@ async function searchSaves(userId, query, options = {}) {
 
 /**
  * Search transcripts by full text
- * @param {string} userId - User ID to filter results
+ * @param {string} workspaceId - Workspace ID to filter results
  * @param {string} query - Search query string
  * @param {object} options - Search options
  * @returns {Promise<object>} - Search results with items and total count
  */
-async function searchTranscripts(userId, query, options = {}) {
+async function searchTranscripts(workspaceId, query, options = {}) {
   const { limit = 10, offset = 0 } = options;
 
   const client = await pool.connect();
@@ -236,7 +366,8 @@ async function searchTranscripts(userId, query, options = {}) {
       FROM transcriptions t
       JOIN videos v ON t.video_id = v.id
       CROSS JOIN plainto_tsquery('english', $1) query
-      WHERE v.user_id = $2
+      WHERE v.workspace_id = $2
+        AND t.is_primary = true
         AND t.search_vector @@ query
       ORDER BY rank DESC, t.created_at DESC
       LIMIT $3 OFFSET $4
@@ -247,13 +378,14 @@ async function searchTranscripts(userId, query, options = {}) {
       FROM transcriptions t
       JOIN videos v ON t.video_id = v.id
       CROSS JOIN plainto_tsquery('english', $1) query
-      WHERE v.user_id = $2
+      WHERE v.workspace_id = $2
+        AND t.is_primary = true
         AND t.search_vector @@ query
     `;
 
     const [itemsResult, countResult] = await Promise.all([
-      client.query(searchQuery, [query, userId, limit, offset]),
-      client.query(countQuery, [query, userId])
+      client.query(searchQuery, [query, workspaceId, limit, offset]),
+      client.query(countQuery, [query, workspaceId])
     ]);
 
     return {
@@ -269,12 +401,12 @@ async function searchTranscripts(userId, query, options = {}) {
 
 /**
  * Search frames by on-screen text and scene description
- * @param {string} userId - User ID to filter results
+ * @param {string} workspaceId - Workspace ID to filter results
  * @param {string} query - Search query string
  * @param {object} options - Search options
  * @returns {Promise<object>} - Search results with items and total count
  */
-async function searchFrames(userId, query, options = {}) {
+async function searchFrames(workspaceId, query, options = {}) {
   const { limit = 10, offset = 0 } = options;
 
   const client = await pool.connect();
@@ -300,7 +432,7 @@ async function searchFrames(userId, query, options = {}) {
       FROM frames f
       JOIN videos v ON f.video_id = v.id
       CROSS JOIN plainto_tsquery('english', $1) query
-      WHERE v.user_id = $2
+      WHERE v.workspace_id = $2
         AND f.search_vector @@ query
       ORDER BY rank DESC, f.timestamp_seconds ASC
       LIMIT $3 OFFSET $4
@@ -311,13 +443,13 @@ async function searchFrames(userId, query, options = {}) {
       FROM frames f
       JOIN videos v ON f.video_id = v.id
       CROSS JOIN plainto_tsquery('english', $1) query
-      WHERE v.user_id = $2
+      WHERE v.workspace_id = $2
         AND f.search_vector @@ query
     `;
 
     const [itemsResult, countResult] = await Promise.all([
-      client.query(searchQuery, [query, userId, limit, offset]),
-      client.query(countQuery, [query, userId])
+      client.query(searchQuery, [query, workspaceId, limit, offset]),
+      client.query(countQuery, [query, workspaceId])
     ]);
 
     return {
@@ -334,13 +466,13 @@ async function searchFrames(userId, query, options = {}) {
 /**
  * Get autocomplete suggestions based on search query
  * Uses trigram similarity for fuzzy matching on titles and common terms
- * @param {string} userId - User ID to filter results
+ * @param {string} workspaceId - Workspace ID to filter results
  * @param {string} query - Partial search query
  * @param {object} options - Options
  * @param {number} options.limit - Maximum number of suggestions (default: 5)
  * @returns {Promise<Array>} - Array of suggestion objects
  */
-async function getSuggestions(userId, query, options = {}) {
+async function getSuggestions(workspaceId, query, options = {}) {
   const { limit = 5 } = options;
 
   if (!query || query.trim().length < 2) {
@@ -357,7 +489,7 @@ async function getSuggestions(userId, query, options = {}) {
           'video_title' as type,
           similarity(title, $1) as score
         FROM videos
-        WHERE user_id = $2
+        WHERE workspace_id = $2
           AND title % $1
         ORDER BY score DESC
         LIMIT $3
@@ -368,7 +500,7 @@ async function getSuggestions(userId, query, options = {}) {
           'channel' as type,
           similarity(channel_name, $1) as score
         FROM videos
-        WHERE user_id = $2
+        WHERE workspace_id = $2
           AND channel_name IS NOT NULL
           AND channel_name % $1
         ORDER BY score DESC
@@ -380,7 +512,7 @@ async function getSuggestions(userId, query, options = {}) {
           'save_title' as type,
           similarity(title, $1) as score
         FROM saves
-        WHERE user_id = $2
+        WHERE workspace_id = $2
           AND title IS NOT NULL
           AND title % $1
         ORDER BY score DESC
@@ -398,7 +530,7 @@ async function getSuggestions(userId, query, options = {}) {
       LIMIT $3
     `;
 
-    const result = await client.query(suggestionsQuery, [query, userId, limit]);
+    const result = await client.query(suggestionsQuery, [query, workspaceId, limit]);
 
     return result.rows;
   } finally {
@@ -408,6 +540,7 @@ async function getSuggestions(userId, query, options = {}) {
 
 module.exports = {
   search,
+  searchPassages,
   searchVideos,
   searchSaves,
   searchTranscripts,
@@ -5,21 +5,7 @@
  */
 
 const db = require('./db');
-const geminiService = require('./geminiService');
-
-/**
- * Check if Gemini API should be used
- * Set USE_LOCAL_ANALYSIS=true to force local detection
- * @returns {boolean}
- */
-function isGeminiAvailable() {
-  // Force local analysis if env var is set
-  if (process.env.USE_LOCAL_ANALYSIS === 'true') {
-    return false;
-  }
-  const key = process.env.GEMINI_API_KEY;
-  return key && key.length > 10 && !key.includes('your_');
-}
+const llmService = require('./llmService');
 
 class SectionDetectionService {
   /**
@@ -39,7 +25,7 @@ class SectionDetectionService {
       }
 
       // Check if we should use local detection (no API or quota exceeded)
-      const useLocalDetection = !isGeminiAvailable();
+      const useLocalDetection = !llmService.isTaskAvailable('sections');
       if (useLocalDetection) {
         console.log('Using local section detection (no API)...');
         return await this.detectSectionsLocally(videoId, segments);
@@ -52,7 +38,7 @@ class SectionDetectionService {
       }
 
       // Step 3: Detect topic changes in transcript
-      const topicChanges = await this.detectTopicChanges(segments);
+      const topicChanges = await this.detectTopicChanges(segments, videoId);
 
       // Step 4: Merge signals from keyframes and topic changes
       const boundaries = await this.mergeSignals(keyframes, topicChanges);
@@ -190,7 +176,7 @@ class SectionDetectionService {
   async getTranscript(videoId) {
     try {
       const result = await db.query(
-        'SELECT segments FROM transcriptions WHERE video_id = $1',
+        'SELECT segments FROM transcriptions WHERE video_id = $1 AND is_primary = true',
         [videoId]
       );
 
@@ -244,11 +230,12 @@ class SectionDetectionService {
   }
 
   /**
-   * Detect topic changes in transcript using Gemini
+   * Detect topic changes in transcript using the sections LLM provider
    * @param {Array} segments - Transcript segments
+   * @param {string} videoId - UUID of the video, recorded with LLM usage
    * @returns {Array} Array of topic change points with timestamps and confidence
    */
-  async detectTopicChanges(segments) {
+  async detectTopicChanges(segments, videoId = null) {
     try {
       // Group segments into 30-second chunks for analysis
       const chunks = this.groupSegmentsIntoChunks(segments, 30);
@@ -266,7 +253,7 @@ class SectionDetectionService {
         const currentText = currentChunk.segments.map(s => s.text).join(' ');
         const nextText = nextChunk.segments.map(s => s.text).join(' ');
 
-        // Ask Gemini to detect topic shift
+        // Ask the model to detect topic shift
         const prompt = `Analyze these two consecutive transcript segments from a video and determine if there is a significant topic change between them.
 
 Segment 1 (${currentChunk.startTime}s - ${currentChunk.endTime}s):
@@ -283,7 +270,7 @@ Respond with ONLY a JSON object in this exact format:
 }`;
 
         try {
-          const response = await geminiService.generateText(prompt);
+          const response = await llmService.generateText('sections', prompt, { videoId });
 
           // Parse JSON response
           const cleanedText = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
@@ -428,7 +415,7 @@ Respond with ONLY a JSON object in this exact format:
       const sectionText = sectionSegments.map(s => s.text).join(' ');
 
       // Generate title for this section
-      const title = await this.generateSectionTitle(sectionText);
+      const title = await this.generateSectionTitle(sectionText, videoId);
 
       // Extract key points (first 3 meaningful sentences)
       const keyPoints = this.extractKeyPoints(sectionText);
@@ -448,11 +435,12 @@ Respond with ONLY a JSON object in this exact format:
   }
 
   /**
-   * Generate a concise title for a section using Gemini
+   * Generate a concise title for a section using the sections LLM provider
    * @param {string} text - Section transcript text
+   * @param {string} videoId - UUID of the video, recorded with LLM usage
    * @returns {string} Generated title (3-6 words)
    */
-  async generateSectionTitle(text) {
+  async generateSectionTitle(text, videoId = null) {
     try {
       // Truncate text if too long
       const truncatedText = text.substring(0, 1000);
@@ -464,7 +452,7 @@ Transcript:
 
 Respond with ONLY the title text, no quotes or additional formatting.`;
 
-      const title = await geminiService.generateText(prompt);
+      const title = await llmService.generateText('sections', prompt, { videoId });
 
       // Clean up the response
       let cleanedTitle = title.trim().replace(/^["']|["']$/g, '');
@@ -0,0 +1,519 @@
+/**
+ * Share service for public, read-only links to saves, folders and video analyses
+ * A link is addressed by an unguessable token and stays valid until it is revoked or expires.
+ * Shared frame images are served through the token, never by plain frame ID.
+ */
+
+const crypto = require('crypto');
+const pool = require('./db');
+const saveService = require('./saveService');
+const { buildYouTubeUrl } = require('../utils/youtube');
+
+const RESOURCE_TYPES = ['save', 'folder', 'video'];
+
+// Frames shown for a video share when the owner did not pick any
+const DEFAULT_VIDEO_FRAME_LIMIT = 24;
+
+// Upper bound on the saves listed for a shared folder
+const SHARED_FOLDER_SAVE_LIMIT = 100;
+
+/**
+ * Generate a share token
+ * @returns {string} - 32 random bytes, base64url encoded (43 characters)
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Get the status of a share link
+ * @param {object} link - share_links row
+ * @returns {string} - 'active', 'revoked' or 'expired'
+ */
+function getLinkStatus(link) {
+  if (link.revoked_at) {
+    return 'revoked';
+  }
+  if (link.expires_at && new Date(link.expires_at) <= new Date()) {
+    return 'expired';
+  }
+  return 'active';
+}
+
+/**
+ * Shape a share link row for the owner
+ * @param {object} link - share_links row, optionally with resource_title
+ * @returns {object} - Share link with status and frame count
+ */
+function enrichLink(link) {
+  return {
+    id: link.id,
+    token: link.token,
+    resource_type: link.resource_type,
+    resource_id: link.resource_id,
+    resource_title: link.resource_title || null,
+    frame_count: link.frame_ids ? link.frame_ids.length : null,
+    expires_at: link.expires_at,
+    revoked_at: link.revoked_at,
+    view_count: link.view_count,
+    last_viewed_at: link.last_viewed_at,
+    created_at: link.created_at,
+    status: getLinkStatus(link)
+  };
+}
+
+/**
+ * Build the token-scoped URL for a shared frame image
+ * Frames are addressed by their position in the share, so frame IDs stay private.
+ * @param {string} token - Share token
+ * @param {number} index - Position of the frame in the share's frame list
+ * @returns {string} - Absolute image URL
+ */
+function buildFrameUrl(token, index) {
+  const serverUrl = process.env.SERVER_URL || 'http://localhost:4051';
+  return `${serverUrl}/api/public/shares/${token}/frames/${index}`;
+}
+
+/**
+ * Shape a frame for a public page, dropping file paths and internal fields
+ * @param {object} frame - frames row
+ * @param {string} token - Share token
+ * @param {number} index - Position of the frame in the share's frame list
+ * @returns {object} - Public frame
+ */
+function publicFrame(frame, token, index) {
+  return {
+    timestamp: parseFloat(frame.timestamp_seconds),
+    scene_description: frame.scene_description,
+    on_screen_text: frame.on_screen_text,
+    image_url: buildFrameUrl(token, index)
+  };
+}
+
+/**
+ * Shape the video fields shown on a public page
+ * @param {object} row - Row with video title, channel_name, duration, thumbnail_url and youtube_id
+ * @returns {object} - Public video
+ */
+function publicVideo(row) {
+  return {
+    title: row.video_title,
+    channel_name: row.channel_name,
+    duration: row.duration,
+    thumbnail_url: row.video_thumbnail_url,
+    youtube_url: row.youtube_id ? buildYouTubeUrl(row.youtube_id) : null
+  };
+}
+
+/**
+ * Check that the resource a link points at is in the workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} resourceType - 'save', 'folder' or 'video'
+ * @param {string} resourceId - Resource ID
+ * @returns {Promise<boolean>} - True if the resource exists and belongs to the workspace
+ */
+async function ownsResource(workspaceId, resourceType, resourceId) {
+  const table = { save: 'saves', folder: 'folders', video: 'videos' }[resourceType];
+  const result = await pool.query(
+    `SELECT 1 FROM ${table} WHERE id = $1 AND workspace_id = $2`,
+    [resourceId, workspaceId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Create a share link
+ * @param {string} workspaceId - Workspace the shared resource belongs to
+ * @param {string} userId - ID of the member creating the link
+ * @param {object} data - Link data
+ * @param {string} data.resourceType - 'save', 'folder' or 'video'
+ * @param {string} data.resourceId - ID of the shared resource
+ * @param {Date|string} [data.expiresAt] - Expiry time (omit for a link that never expires)
+ * @param {Array<string>} [data.frameIds] - Frames to show on a video share (default: keyframes)
+ * @returns {Promise<object>} - Created share link
+ */
+async function createShareLink(workspaceId, userId, data) {
+  const { resourceType, resourceId, expiresAt = null, frameIds = null } = data;
+
+  if (!RESOURCE_TYPES.includes(resourceType)) {
+    throw new Error('Resource type must be save, folder or video');
+  }
+
+  if (expiresAt !== null && new Date(expiresAt) <= new Date()) {
+    throw new Error('Expiry date must be in the future');
+  }
+
+  if (frameIds !== null && resourceType !== 'video') {
+    throw new Error('Frames can only be selected for video shares');
+  }
+
+  if (!(await ownsResource(workspaceId, resourceType, resourceId))) {
+    throw new Error(`${resourceType.charAt(0).toUpperCase()}${resourceType.slice(1)} not found`);
+  }
+
+  let selectedFrameIds = null;
+  if (frameIds !== null) {
+    selectedFrameIds = [...new Set(frameIds)];
+    const frames = await pool.query(
+      `SELECT COUNT(*) FROM frames WHERE video_id = $1 AND id = ANY($2::uuid[])`,
+      [resourceId, selectedFrameIds]
+    );
+    if (parseInt(frames.rows[0].count, 10) !== selectedFrameIds.length) {
+      throw new Error('Selected frames must belong to the shared video');
+    }
+  }
+
+  const result = await pool.query(
+    `INSERT INTO share_links (workspace_id, user_id, token, resource_type, resource_id, frame_ids, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [workspaceId, userId, generateToken(), resourceType, resourceId, selectedFrameIds, expiresAt]
+  );
+
+  return enrichLink(result.rows[0]);
+}
+
+/**
+ * List a workspace's share links, newest first, with the title of what each one shares
+ * @param {string} workspaceId - Workspace ID
+ * @param {object} [filter] - Optional filter
+ * @param {string} [filter.resourceType] - Only links of this type
+ * @param {string} [filter.resourceId] - Only links to this resource
+ * @returns {Promise<Array>} - Share links
+ */
+async function getShareLinks(workspaceId, filter = {}) {
+  const conditions = ['sl.workspace_id = $1'];
+  const params = [workspaceId];
+
+  if (filter.resourceType) {
+    params.push(filter.resourceType);
+    conditions.push(`sl.resource_type = $${params.length}`);
+  }
+
+  if (filter.resourceId) {
+    params.push(filter.resourceId);
+    conditions.push(`sl.resource_id = $${params.length}`);
+  }
+
+  const result = await pool.query(
+    `SELECT
+      sl.*,
+      CASE sl.resource_type
+        WHEN 'save' THEN (
+          SELECT COALESCE(s.title, v.title) FROM saves s
+          LEFT JOIN videos v ON s.video_id = v.id
+          WHERE s.id = sl.resource_id
+        )
+        WHEN 'folder' THEN (SELECT name FROM folders WHERE id = sl.resource_id)
+        WHEN 'video' THEN (SELECT title FROM videos WHERE id = sl.resource_id)
+      END AS resource_title
+     FROM share_links sl
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY sl.created_at DESC`,
+    params
+  );
+
+  return result.rows.map(enrichLink);
+}
+
+/**
+ * Revoke a share link; revoked links stay listed with their view counts
+ * @param {string} linkId - Share link ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<object|null>} - Revoked share link or null if not found
+ */
+async function revokeShareLink(linkId, workspaceId) {
+  const result = await pool.query(
+    `UPDATE share_links
+     SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+     WHERE id = $1 AND workspace_id = $2
+     RETURNING *`,
+    [linkId, workspaceId]
+  );
+
+  return result.rows.length > 0 ? enrichLink(result.rows[0]) : null;
+}
+
+/**
+ * Look up a share link by token
+ * @param {string} token - Share token
+ * @returns {Promise<object|null>} - share_links row with status, or null for an unknown token
+ */
+async function findByToken(token) {
+  const result = await pool.query(
+    'SELECT * FROM share_links WHERE token = $1',
+    [token]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const link = result.rows[0];
+  return { ...link, status: getLinkStatus(link) };
+}
+
+/**
+ * Count a view of a shared page
+ * @param {string} linkId - Share link ID
+ */
+async function recordView(linkId) {
+  await pool.query(
+    `UPDATE share_links
+     SET view_count = view_count + 1, last_viewed_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [linkId]
+  );
+}
+
+/**
+ * Get the frames shown on a video share
+ * @param {object} link - share_links row
+ * @returns {Promise<Array>} - frames rows, in timestamp order
+ */
+async function getVideoShareFrames(link) {
+  if (link.frame_ids) {
+    const result = await pool.query(
+      `SELECT * FROM frames
+       WHERE video_id = $1 AND id = ANY($2::uuid[])
+       ORDER BY timestamp_seconds ASC, id ASC`,
+      [link.resource_id, link.frame_ids]
+    );
+    return result.rows;
+  }
+
+  // Keyframes first, then fill up with the remaining distinct frames
+  const result = await pool.query(
+    `SELECT * FROM (
+      SELECT * FROM frames
+      WHERE video_id = $1 AND duplicate_of IS NULL
+      ORDER BY is_keyframe DESC, timestamp_seconds ASC
+      LIMIT $2
+     ) f
+     ORDER BY timestamp_seconds ASC, id ASC`,
+    [link.resource_id, DEFAULT_VIDEO_FRAME_LIMIT]
+  );
+  return result.rows;
+}
+
+/**
+ * Get the frames of shared saves, grouped by save in the order of saveIds
+ * A frame's position in this list is its index in the share's frame URLs.
+ * @param {Array<string>} saveIds - Save IDs
+ * @returns {Promise<Array>} - frames rows with their save_id
+ */
+async function getSaveShareFrames(saveIds) {
+  if (saveIds.length === 0) {
+    return [];
+  }
+
+  const result = await pool.query(
+    `SELECT sf.save_id, f.*
+     FROM save_frames sf
+     JOIN frames f ON sf.frame_id = f.id
+     WHERE sf.save_id = ANY($1::uuid[])
+     ORDER BY array_position($1::uuid[], sf.save_id), f.timestamp_seconds ASC, f.id ASC`,
+    [saveIds]
+  );
+  return result.rows;
+}
+
+/**
+ * Get the IDs of the saves a folder share lists
+ * Smart folders are evaluated from their rules, like in the workspace's library
+ * @param {object} link - share_links row for a folder
+ * @returns {Promise<Array<string>>} - Save IDs in the folder's display order
+ */
+async function getFolderShareSaveIds(link) {
+  const { saves } = await saveService.getSaves(link.workspace_id, {
+    folder: link.resource_id,
+    limit: SHARED_FOLDER_SAVE_LIMIT
+  });
+  return saves.map(save => save.id);
+}
+
+/**
+ * Build public save payloads, keeping the order of saveIds
+ * @param {Array<string>} saveIds - Save IDs
+ * @param {string} token - Share token, used for frame URLs
+ * @returns {Promise<Array>} - Public saves with video, frames, transcript and summary excerpts
+ */
+async function buildSavePayloads(saveIds, token) {
+  if (saveIds.length === 0) {
+    return [];
+  }
+
+  const [savesResult, frameRows, transcriptsResult, summariesResult] = await Promise.all([
+    pool.query(
+      `SELECT
+        s.id, s.title, s.notes, s.created_at,
+        v.title AS video_title, v.channel_name, v.duration,
+        v.thumbnail_url AS video_thumbnail_url, v.youtube_id
+       FROM saves s
+       LEFT JOIN videos v ON s.video_id = v.id
+       WHERE s.id = ANY($1::uuid[])`,
+      [saveIds]
+    ),
+    getSaveShareFrames(saveIds),
+    pool.query(
+      `SELECT save_id, start_time, end_time, text
+       FROM save_transcripts
+       WHERE save_id = ANY($1::uuid[])
+       ORDER BY start_time ASC`,
+      [saveIds]
+    ),
+    pool.query(
+      `SELECT ss.save_id, ss.excerpt, sec.title AS section_title
+       FROM save_summaries ss
+       LEFT JOIN sections sec ON ss.section_id = sec.id
+       WHERE ss.save_id = ANY($1::uuid[])`,
+      [saveIds]
+    )
+  ]);
+
+  const groupBySave = (rows) => rows.reduce((groups, row) => {
+    (groups[row.save_id] = groups[row.save_id] || []).push(row);
+    return groups;
+  }, {});
+
+  const frames = groupBySave(frameRows.map((frame, index) => ({ ...frame, index })));
+  const transcripts = groupBySave(transcriptsResult.rows);
+  const summaries = groupBySave(summariesResult.rows);
+  const savesById = new Map(savesResult.rows.map(save => [save.id, save]));
+
+  return saveIds
+    .filter(id => savesById.has(id))
+    .map(id => {
+      const save = savesById.get(id);
+      return {
+        id: save.id,
+        title: save.title || save.video_title,
+        notes: save.notes,
+        created_at: save.created_at,
+        video: publicVideo(save),
+        frames: (frames[id] || []).map(frame => publicFrame(frame, token, frame.index)),
+        transcripts: (transcripts[id] || []).map(({ start_time, end_time, text }) => ({
+          start_time: parseFloat(start_time),
+          end_time: parseFloat(end_time),
+          text
+        })),
+        summaries: (summaries[id] || []).map(({ excerpt, section_title }) => ({ excerpt, section_title }))
+      };
+    });
+}
+
+/**
+ * Build the public payload for a video share: summary, sections with key points and frames
+ * @param {object} link - share_links row for a video
+ * @returns {Promise<object|null>} - Payload or null if the video is gone
+ */
+async function buildVideoPayload(link) {
+  const videoResult = await pool.query(
+    `SELECT title AS video_title, channel_name, duration, thumbnail_url AS video_thumbnail_url, youtube_id
+     FROM videos WHERE id = $1`,
+    [link.resource_id]
+  );
+
+  if (videoResult.rows.length === 0) {
+    return null;
+  }
+
+  const [summaryResult, sectionsResult, frames] = await Promise.all([
+    pool.query(
+      `SELECT full_summary, key_takeaways, topics, target_audience, difficulty_level
+       FROM video_summaries WHERE video_id = $1`,
+      [link.resource_id]
+    ),
+    pool.query(
+      `SELECT title, start_time, end_time, summary, key_points
+       FROM sections
+       WHERE video_id = $1
+       ORDER BY section_order ASC`,
+      [link.resource_id]
+    ),
+    getVideoShareFrames(link)
+  ]);
+
+  return {
+    video: publicVideo(videoResult.rows[0]),
+    summary: summaryResult.rows[0] || null,
+    sections: sectionsResult.rows.map(section => ({
+      ...section,
+      start_time: parseFloat(section.start_time),
+      end_time: parseFloat(section.end_time),
+      key_points: section.key_points || []
+    })),
+    frames: frames.map((frame, index) => publicFrame(frame, link.token, index))
+  };
+}
+
+/**
+ * Build the public payload for a share link
+ * @param {object} link - share_links row
+ * @returns {Promise<object|null>} - { type, created_at, expires_at, ... } or null if the shared resource is gone
+ */
+async function getSharedContent(link) {
+  const base = {
+    type: link.resource_type,
+    created_at: link.created_at,
+    expires_at: link.expires_at
+  };
+
+  if (link.resource_type === 'video') {
+    const video = await buildVideoPayload(link);
+    return video ? { ...base, ...video } : null;
+  }
+
+  if (link.resource_type === 'save') {
+    const [save] = await buildSavePayloads([link.resource_id], link.token);
+    return save ? { ...base, save } : null;
+  }
+
+  const folderResult = await pool.query(
+    'SELECT name, color, kind FROM folders WHERE id = $1',
+    [link.resource_id]
+  );
+
+  if (folderResult.rows.length === 0) {
+    return null;
+  }
+
+  const saveIds = await getFolderShareSaveIds(link);
+  return {
+    ...base,
+    folder: folderResult.rows[0],
+    saves: await buildSavePayloads(saveIds, link.token)
+  };
+}
+
+/**
+ * Get a frame through a share link by its position in the share
+ * @param {object} link - share_links row
+ * @param {number} index - Position of the frame in the share's frame list
+ * @returns {Promise<object|null>} - frames row or null if the share has no frame at that position
+ */
+async function getSharedFrame(link, index) {
+  let frames;
+
+  if (link.resource_type === 'video') {
+    frames = await getVideoShareFrames(link);
+  } else {
+    const saveIds = link.resource_type === 'save'
+      ? [link.resource_id]
+      : await getFolderShareSaveIds(link);
+    frames = await getSaveShareFrames(saveIds);
+  }
+
+  return frames[index] || null;
+}
+
+module.exports = {
+  RESOURCE_TYPES,
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  findByToken,
+  recordView,
+  getSharedContent,
+  getSharedFrame
+};
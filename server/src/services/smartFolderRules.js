@@ -0,0 +1,175 @@
+/**
+ * Smart folder rules
+ * Validates the rule set stored in folders.rules and turns it into SQL conditions on saves (alias s)
+ *
+ * Rule set (every rule is optional, at least one is required):
+ * - tags_include: tag IDs the save must all carry
+ * - tags_exclude: tag IDs the save must not carry
+ * - channel: video channel name (case-insensitive)
+ * - video_type: dominant content type detected by frame analysis (e.g. 'presentation_slide', 'code')
+ * - created_after / created_before: inclusive YYYY-MM-DD bounds on the save's creation date
+ * - has_frames / has_transcripts: true or false to require or exclude saved frames or transcript excerpts
+ * - text: free-text query, matched through searchService.searchSaves
+ */
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+const RULE_KEYS = [
+  'tags_include',
+  'tags_exclude',
+  'channel',
+  'video_type',
+  'created_after',
+  'created_before',
+  'has_frames',
+  'has_transcripts',
+  'text'
+];
+
+/**
+ * Validate and normalize a rule set
+ * Empty values are dropped so stored rules only contain active conditions
+ * @param {object} rules - Rule set from the request body
+ * @returns {object} - Normalized rule set
+ * @throws {Error} - "Invalid smart folder rules: ..." when a rule is malformed or none is set
+ */
+function validateRules(rules) {
+  const fail = (reason) => {
+    throw new Error(`Invalid smart folder rules: ${reason}`);
+  };
+
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    fail('rules must be an object');
+  }
+
+  const unknownKeys = Object.keys(rules).filter(key => !RULE_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    fail(`unknown rule ${unknownKeys.join(', ')}`);
+  }
+
+  const normalized = {};
+
+  ['tags_include', 'tags_exclude'].forEach(key => {
+    if (rules[key] === undefined || rules[key] === null) return;
+    if (!Array.isArray(rules[key]) || !rules[key].every(id => uuidRegex.test(id))) {
+      fail(`${key} must be a list of tag IDs`);
+    }
+    if (rules[key].length > 0) {
+      normalized[key] = [...new Set(rules[key])];
+    }
+  });
+
+  ['channel', 'video_type', 'text'].forEach(key => {
+    if (rules[key] === undefined || rules[key] === null) return;
+    if (typeof rules[key] !== 'string') {
+      fail(`${key} must be a string`);
+    }
+    if (rules[key].trim().length > 0) {
+      normalized[key] = rules[key].trim();
+    }
+  });
+
+  ['created_after', 'created_before'].forEach(key => {
+    if (rules[key] === undefined || rules[key] === null || rules[key] === '') return;
+    if (!dateRegex.test(rules[key]) || Number.isNaN(Date.parse(rules[key]))) {
+      fail(`${key} must be a YYYY-MM-DD date`);
+    }
+    normalized[key] = rules[key];
+  });
+
+  if (normalized.created_after && normalized.created_before && normalized.created_after > normalized.created_before) {
+    fail('created_after must not be later than created_before');
+  }
+
+  ['has_frames', 'has_transcripts'].forEach(key => {
+    if (rules[key] === undefined || rules[key] === null) return;
+    if (typeof rules[key] !== 'boolean') {
+      fail(`${key} must be true or false`);
+    }
+    normalized[key] = rules[key];
+  });
+
+  if (normalized.text !== undefined && normalized.text.length < 2) {
+    fail('text must be at least 2 characters long');
+  }
+
+  if (Object.keys(normalized).length === 0) {
+    fail('at least one rule is required');
+  }
+
+  return normalized;
+}
+
+/**
+ * Build SQL conditions for the structured rules (everything except text)
+ * @param {object} rules - Normalized rule set
+ * @param {number} startIndex - Next free query parameter index
+ * @returns {object} - { conditions, params, paramIndex } where paramIndex is the next free index
+ */
+function buildRuleConditions(rules, startIndex) {
+  const conditions = [];
+  const params = [];
+  let paramIndex = startIndex;
+
+  if (rules.tags_include) {
+    conditions.push(`(
+      SELECT COUNT(DISTINCT st.tag_id) FROM save_tags st
+      WHERE st.save_id = s.id AND st.tag_id = ANY($${paramIndex}::uuid[])
+    ) = ${rules.tags_include.length}`);
+    params.push(rules.tags_include);
+    paramIndex++;
+  }
+
+  if (rules.tags_exclude) {
+    conditions.push(`NOT EXISTS (
+      SELECT 1 FROM save_tags st WHERE st.save_id = s.id AND st.tag_id = ANY($${paramIndex}::uuid[])
+    )`);
+    params.push(rules.tags_exclude);
+    paramIndex++;
+  }
+
+  if (rules.channel) {
+    conditions.push(`s.video_id IN (
+      SELECT id FROM videos WHERE LOWER(channel_name) = LOWER($${paramIndex})
+    )`);
+    params.push(rules.channel);
+    paramIndex++;
+  }
+
+  if (rules.video_type) {
+    conditions.push(`s.video_id IN (
+      SELECT id FROM videos WHERE visual_overview->>'dominantContentType' = $${paramIndex}
+    )`);
+    params.push(rules.video_type);
+    paramIndex++;
+  }
+
+  if (rules.created_after) {
+    conditions.push(`s.created_at >= $${paramIndex}::date`);
+    params.push(rules.created_after);
+    paramIndex++;
+  }
+
+  if (rules.created_before) {
+    conditions.push(`s.created_at < $${paramIndex}::date + INTERVAL '1 day'`);
+    params.push(rules.created_before);
+    paramIndex++;
+  }
+
+  if (rules.has_frames !== undefined) {
+    conditions.push(`${rules.has_frames ? '' : 'NOT '}EXISTS (SELECT 1 FROM save_frames sf WHERE sf.save_id = s.id)`);
+  }
+
+  if (rules.has_transcripts !== undefined) {
+    conditions.push(`${rules.has_transcripts ? '' : 'NOT '}EXISTS (SELECT 1 FROM save_transcripts st WHERE st.save_id = s.id)`);
+  }
+
+  return { conditions, params, paramIndex };
+}
+
+module.exports = {
+  RULE_KEYS,
+  validateRules,
+  buildRuleConditions
+};
@@ -0,0 +1,98 @@
+/**
+ * Tests for smart folder rule validation and SQL conditions
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRules, buildRuleConditions } = require('./smartFolderRules');
+
+const TAG_A = '11111111-1111-4111-8111-111111111111';
+const TAG_B = '22222222-2222-4222-8222-222222222222';
+
+describe('validateRules', () => {
+  it('keeps active rules and drops empty ones', () => {
+    const rules = validateRules({
+      tags_include: [TAG_A, TAG_A],
+      tags_exclude: [],
+      channel: '  Fireship ',
+      video_type: '',
+      created_after: '',
+      has_frames: false,
+      text: null
+    });
+
+    assert.deepEqual(rules, { tags_include: [TAG_A], channel: 'Fireship', has_frames: false });
+  });
+
+  it('requires at least one rule', () => {
+    assert.throws(() => validateRules({ channel: ' ' }), /at least one rule is required/);
+  });
+
+  it('rejects anything but an object', () => {
+    assert.throws(() => validateRules(null), /rules must be an object/);
+    assert.throws(() => validateRules([TAG_A]), /rules must be an object/);
+  });
+
+  it('rejects unknown rules', () => {
+    assert.throws(() => validateRules({ channel: 'x', color: 'red' }), /unknown rule color/);
+  });
+
+  it('rejects tag lists that are not tag IDs', () => {
+    assert.throws(() => validateRules({ tags_include: ['not-a-uuid'] }), /tags_include must be a list of tag IDs/);
+    assert.throws(() => validateRules({ tags_exclude: TAG_A }), /tags_exclude must be a list of tag IDs/);
+  });
+
+  it('checks dates and their order', () => {
+    assert.throws(() => validateRules({ created_after: '01/02/2026' }), /created_after must be a YYYY-MM-DD date/);
+    assert.throws(() => validateRules({ created_before: '2026-13-45' }), /created_before must be a YYYY-MM-DD date/);
+    assert.throws(
+      () => validateRules({ created_after: '2026-03-01', created_before: '2026-02-01' }),
+      /created_after must not be later than created_before/
+    );
+    assert.deepEqual(
+      validateRules({ created_after: '2026-02-01', created_before: '2026-02-01' }),
+      { created_after: '2026-02-01', created_before: '2026-02-01' }
+    );
+  });
+
+  it('requires booleans for the frame and transcript rules', () => {
+    assert.throws(() => validateRules({ has_transcripts: 'yes' }), /has_transcripts must be true or false/);
+  });
+
+  it('requires a text query of at least 2 characters', () => {
+    assert.throws(() => validateRules({ text: ' a ' }), /text must be at least 2 characters long/);
+  });
+});
+
+describe('buildRuleConditions', () => {
+  it('numbers parameters from the given index', () => {
+    const { conditions, params, paramIndex } = buildRuleConditions(
+      { tags_include: [TAG_A, TAG_B], channel: 'Fireship', created_before: '2026-02-01' },
+      3
+    );
+
+    assert.equal(conditions.length, 3);
+    assert.match(conditions[0], /ANY\(\$3::uuid\[\]\)/);
+    assert.match(conditions[0], /= 2$/);
+    assert.match(conditions[1], /LOWER\(\$4\)/);
+    assert.match(conditions[2], /\$5::date \+ INTERVAL '1 day'/);
+    assert.deepEqual(params, [[TAG_A, TAG_B], 'Fireship', '2026-02-01']);
+    assert.equal(paramIndex, 6);
+  });
+
+  it('turns the frame and transcript rules into EXISTS checks without parameters', () => {
+    const { conditions, params, paramIndex } = buildRuleConditions({ has_frames: true, has_transcripts: false }, 1);
+
+    assert.match(conditions[0], /^EXISTS \(SELECT 1 FROM save_frames/);
+    assert.match(conditions[1], /^NOT EXISTS \(SELECT 1 FROM save_transcripts/);
+    assert.deepEqual(params, []);
+    assert.equal(paramIndex, 1);
+  });
+
+  it('leaves the text rule to the search service', () => {
+    const { conditions, params } = buildRuleConditions({ text: 'react hooks' }, 1);
+
+    assert.deepEqual(conditions, []);
+    assert.deepEqual(params, []);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Socket Service
+ * Real-time job and video status events over socket.io
+ * Sockets authenticate with the express session and join a per-user room plus one room per
+ * workspace they belong to, so analysis progress reaches every member of the video's workspace.
+ * Workspace rooms are joined on connect and kept in step by joinWorkspace / leaveWorkspace
+ * whenever a membership is added or removed.
+ */
+
+const { Server } = require('socket.io');
+const authService = require('./authService');
+const workspaceService = require('./workspaceService');
+
+let io = null;
+
+/**
+ * Build the room name for a user
+ * @param {string} userId - User UUID
+ * @returns {string} Room name
+ */
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Build the room name for a workspace
+ * @param {string} workspaceId - Workspace UUID
+ * @returns {string} Room name
+ */
+function workspaceRoom(workspaceId) {
+  return `workspace:${workspaceId}`;
+}
+
+// Workspace of recently seen videos, for emitToVideo; a video never changes workspace.
+// The Map keeps insertion order, so the first key is the least recently used one.
+const videoWorkspaceCache = new Map();
+const MAX_CACHED_VIDEOS = 1000;
+
+/**
+ * Look up the workspace of a video, remembering the most recently used ones
+ * @param {string} videoId - Video UUID
+ * @returns {Promise<string|null>} Workspace UUID or null if the video is gone
+ */
+async function getVideoWorkspace(videoId) {
+  if (videoWorkspaceCache.has(videoId)) {
+    const workspaceId = videoWorkspaceCache.get(videoId);
+    videoWorkspaceCache.delete(videoId);
+    videoWorkspaceCache.set(videoId, workspaceId);
+    return workspaceId;
+  }
+
+  const workspaceId = await workspaceService.getWorkspaceIdForVideo(videoId);
+  if (!workspaceId) {
+    return null;
+  }
+
+  videoWorkspaceCache.set(videoId, workspaceId);
+  if (videoWorkspaceCache.size > MAX_CACHED_VIDEOS) {
+    videoWorkspaceCache.delete(videoWorkspaceCache.keys().next().value);
+  }
+  return workspaceId;
+}
+
+/**
+ * Attach socket.io to the HTTP server
+ * @param {http.Server} server - HTTP server the express app listens on
+ * @param {Function} sessionMiddleware - The express-session middleware used by the app
+ * @returns {Server} socket.io server instance
+ */
+function initSocket(server, sessionMiddleware) {
+  io = new Server(server, {
+    cors: {
+      origin: process.env.ALLOWED_ORIGINS?.split(',') || 'http://localhost:4050',
+      credentials: true
+    }
+  });
+
+  // Share the express session so the handshake carries req.session
+  io.engine.use(sessionMiddleware);
+
+  io.use(async (socket, next) => {
+    try {
+      const userId = socket.request.session?.userId;
+
+      if (!userId) {
+        return next(new Error('Authentication required'));
+      }
+
+      const user = await authService.findUserById(userId);
+
+      if (!user) {
+        return next(new Error('Invalid session'));
+      }
+
+      if (user.status !== 'active') {
+        return next(new Error('Account is not active'));
+      }
+
+      socket.data.userId = user.id;
+      next();
+    } catch (error) {
+      next(new Error('Authentication failed'));
+    }
+  });
+
+  io.on('connection', async (socket) => {
+    socket.join(userRoom(socket.data.userId));
+
+    try {
+      const workspaces = await workspaceService.getWorkspacesForUser(socket.data.userId);
+      workspaces.forEach(workspace => socket.join(workspaceRoom(workspace.id)));
+    } catch (error) {
+      console.error('Failed to join workspace rooms:', error.message);
+    }
+  });
+
+  console.log('Socket service initialized');
+
+  return io;
+}
+
+/**
+ * Emit an event to every socket of a user
+ * No-op when the socket server is not running (e.g. scripts, workers without HTTP)
+ * @param {string} userId - User UUID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+function emitToUser(userId, event, payload) {
+  if (!io || !userId) {
+    return;
+  }
+
+  io.to(userRoom(userId)).emit(event, payload);
+}
+
+/**
+ * Emit an event to every member of a workspace
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+function emitToWorkspace(workspaceId, event, payload) {
+  if (!io || !workspaceId) {
+    return;
+  }
+
+  io.to(workspaceRoom(workspaceId)).emit(event, payload);
+}
+
+/**
+ * Emit an event about a video to every member of the video's workspace
+ * @param {string} videoId - Video UUID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+async function emitToVideo(videoId, event, payload) {
+  if (!io || !videoId) {
+    return;
+  }
+
+  try {
+    const workspaceId = await getVideoWorkspace(videoId);
+    if (workspaceId) {
+      emitToWorkspace(workspaceId, event, payload);
+    }
+  } catch (error) {
+    console.error(`Failed to emit ${event} for video ${videoId}:`, error.message);
+  }
+}
+
+/**
+ * Add a user's open sockets to a workspace room after they become a member
+ * @param {string} userId - User UUID
+ * @param {string} workspaceId - Workspace UUID
+ */
+function joinWorkspace(userId, workspaceId) {
+  if (!io || !userId || !workspaceId) {
+    return;
+  }
+
+  io.in(userRoom(userId)).socketsJoin(workspaceRoom(workspaceId));
+}
+
+/**
+ * Take a user's open sockets out of a workspace room once they stop being a member
+ * Omit the user to empty the room, e.g. when the workspace is deleted.
+ * @param {string|null} userId - User UUID
+ * @param {string} workspaceId - Workspace UUID
+ */
+function leaveWorkspace(userId, workspaceId) {
+  if (!io || !workspaceId) {
+    return;
+  }
+
+  const sockets = userId ? io.in(userRoom(userId)) : io.in(workspaceRoom(workspaceId));
+  sockets.socketsLeave(workspaceRoom(workspaceId));
+}
+
+/**
+ * Close the socket server
+ * @returns {Promise<void>}
+ */
+async function closeSocket() {
+  if (!io) {
+    return;
+  }
+
+  await new Promise(resolve => io.close(() => resolve()));
+  io = null;
+}
+
+module.exports = {
+  initSocket,
+  emitToUser,
+  emitToWorkspace,
+  emitToVideo,
+  joinWorkspace,
+  leaveWorkspace,
+  closeSocket
+};
@@ -1,32 +1,25 @@
 /**
  * Summary Service
  * Handles generation and retrieval of video summaries
- * Uses Claude API when available, falls back to local generation
+ * Uses the LLM provider configured for each task when available, falls back to local generation
  */
 
 const pool = require('./db');
-const claudeService = require('./claudeService');
+const llmService = require('./llmService');
 const youtubeService = require('./youtubeService');
 const videoService = require('./videoService');
 const localSummary = require('./localSummaryService');
+const topicService = require('./topicService');
+const { formatTimestamp } = require('../utils/formatters');
 
 /**
- * Check if Claude API is available (valid key configured)
- * Set USE_LOCAL_ANALYSIS=true to force local generation
- * @returns {boolean} - True if API key is properly configured
+ * Refresh a video's place in the topic graph without holding up the summary
+ * @param {string} videoId - Video ID
  */
-function isClaudeAvailable() {
-  // Force local analysis if env var is set
-  if (process.env.USE_LOCAL_ANALYSIS === 'true') {
-    return false;
-  }
-  const key = process.env.ANTHROPIC_API_KEY;
-  // Check if key exists and is not a placeholder
-  return key &&
-         key.length > 20 &&
-         key.startsWith('sk-ant-') &&
-         !key.includes('your_') &&
-         !key.includes('_here');
+function indexTopics(videoId) {
+  topicService.indexVideo(videoId).catch(error => {
+    console.error(`Failed to index topics for video ${videoId}:`, error.message);
+  });
 }
 
 /**
@@ -53,6 +46,32 @@ function formatDuration(seconds) {
   return `${minutes}m ${remainingSeconds}s`;
 }
 
+/**
+ * Get the English display name for a language code
+ * @param {string} code - Language code (e.g. "de", "pt-BR")
+ * @returns {string} - Language name (e.g. "German"), or the code if unknown
+ */
+function getLanguageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+/**
+ * Build the prompt instruction for the requested output language
+ * @param {string} language - Language code, or null to let the model choose
+ * @returns {string} - Instruction to append to a prompt (empty when no language is set)
+ */
+function languageInstruction(language) {
+  if (!language) {
+    return '';
+  }
+
+  return `\nWrite every text value in the JSON response in ${getLanguageName(language)}, whatever the language of the source material.\n`;
+}
+
 /**
  * Get video from database
  * @param {string} videoId - Video database ID
@@ -65,10 +84,12 @@ async function getVideo(videoId) {
 /**
  * Get transcript text for a video
  * @param {string} videoId - Video database ID
+ * @param {string} language - Preferred track language (optional, falls back to the primary track)
  * @returns {Promise<string>} - Full transcript text
  */
-async function getTranscript(videoId) {
-  const transcript = await youtubeService.getTranscriptByVideoId(videoId);
+async function getTranscript(videoId, language = null) {
+  const transcript = (language && await youtubeService.getTranscriptByVideoId(videoId, language)) ||
+    await youtubeService.getTranscriptByVideoId(videoId);
   return transcript ? transcript.full_text : '';
 }
 
@@ -164,27 +185,31 @@ async function updateSectionSummary(sectionId, summaryData) {
  * Store video-level summary
  * @param {string} videoId - Video UUID
  * @param {Object} summary - Summary object with executive_summary, key_takeaways, main_topics
+ * @param {string} language - Language the summary was written in (optional)
  * @returns {Promise<Object>} - Stored summary
  */
-async function storeVideoSummary(videoId, summary) {
+async function storeVideoSummary(videoId, summary, language = null) {
   const client = await pool.connect();
   try {
     const result = await client.query(
-      `INSERT INTO video_summaries (video_id, full_summary, key_takeaways, topics)
-       VALUES ($1, $2, $3, $4)
+      `INSERT INTO video_summaries (video_id, full_summary, key_takeaways, topics, language)
+       VALUES ($1, $2, $3, $4, $5)
        ON CONFLICT (video_id)
        DO UPDATE SET
          full_summary = EXCLUDED.full_summary,
          key_takeaways = EXCLUDED.key_takeaways,
-         topics = EXCLUDED.topics
+         topics = EXCLUDED.topics,
+         language = EXCLUDED.language
        RETURNING *`,
       [
         videoId,
         summary.executive_summary,
         JSON.stringify(summary.key_takeaways),
-        JSON.stringify(summary.main_topics)
+        JSON.stringify(summary.main_topics),
+        language
       ]
     );
+    indexTopics(videoId);
     return result.rows[0];
   } finally {
     client.release();
@@ -205,12 +230,16 @@ function sleep(ms) {
  * @param {Object} section - Section object with title, start_time, end_time
  * @param {Array} visualContext - Optional array of frame objects for visual context
  * @param {string} sectionTranscript - Optional transcript text for this section
+ * @param {Object} options - Options
+ * @param {string} options.language - Language code to write the summary in (optional)
  * @returns {Promise<Object>} - Object with summary and key_points
  */
-async function generateSectionSummary(section, visualContext = null, sectionTranscript = '') {
-  // Check if Claude API is available, use local fallback if not
-  if (!isClaudeAvailable()) {
-    console.log('Claude API not available, using local section summary...');
+async function generateSectionSummary(section, visualContext = null, sectionTranscript = '', options = {}) {
+  const { language = null } = options;
+
+  // Use local fallback if no summary provider is available
+  if (!llmService.isTaskAvailable('summaries')) {
+    console.log('Summary provider not available, using local section summary...');
     return localSummary.generateLocalSectionSummary(section, sectionTranscript);
   }
 
@@ -243,11 +272,10 @@ Duration: ${parseFloat(section.start_time).toFixed(1)}s - ${parseFloat(section.e
 }
 
 Include 3-5 key points (bullet points as array items). Focus on the main ideas and important details.
-
+${languageInstruction(language)}
 Provide ONLY the JSON response, no additional text.`;
 
-    // Call Claude API using generateText method
-    const response = await claudeService.generateText(prompt);
+    const response = await llmService.generateText('summaries', prompt, { videoId: section.video_id });
 
     // Parse JSON response
     let summaryData;
@@ -256,7 +284,7 @@ Provide ONLY the JSON response, no additional text.`;
       const cleanedText = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
       summaryData = JSON.parse(cleanedText);
     } catch (parseError) {
-      console.error('Failed to parse Claude response:', response);
+      console.error('Failed to parse LLM response:', response);
       // Return fallback summary
       return {
         summary: `Section covering ${section.title}`,
@@ -266,7 +294,7 @@ Provide ONLY the JSON response, no additional text.`;
 
     // Validate response structure
     if (!summaryData.summary || !summaryData.key_points) {
-      console.warn('Invalid summary structure from Claude, using fallback');
+      console.warn('Invalid summary structure from LLM provider, using fallback');
       return {
         summary: summaryData.summary || `Section covering ${section.title}`,
         key_points: summaryData.key_points || [`Duration: ${parseFloat(section.start_time).toFixed(1)}s - ${parseFloat(section.end_time).toFixed(1)}s`]
@@ -288,9 +316,10 @@ Provide ONLY the JSON response, no additional text.`;
  * Generate summaries for all sections in a video
  * @param {string} videoId - Video UUID
  * @param {Function} onProgress - Optional progress callback (percentage)
+ * @param {Object} options - Options passed to generateSectionSummary (language)
  * @returns {Promise<Object>} - Result object with success status and stats
  */
-async function generateAllSectionSummaries(videoId, onProgress = null) {
+async function generateAllSectionSummaries(videoId, onProgress = null, options = {}) {
   try {
     // Get all sections for this video
     const sections = await getSections(videoId);
@@ -315,7 +344,7 @@ async function generateAllSectionSummaries(videoId, onProgress = null) {
         const frames = await getFramesForSection(section);
 
         // Generate summary for this section
-        const summaryData = await generateSectionSummary(section, frames);
+        const summaryData = await generateSectionSummary(section, frames, '', options);
 
         // Update section with summary
         await updateSectionSummary(section.id, summaryData);
@@ -358,9 +387,13 @@ async function generateAllSectionSummaries(videoId, onProgress = null) {
 /**
  * Generate comprehensive video-level summary from section summaries
  * @param {string} videoId - Video UUID
+ * @param {Object} options - Options
+ * @param {string} options.language - Language code to write the summary in (optional)
  * @returns {Promise<Object>} - Video summary object
  */
-async function generateFullVideoSummary(videoId) {
+async function generateFullVideoSummary(videoId, options = {}) {
+  const { language = null } = options;
+
   try {
     // Get video metadata
     const video = await getVideo(videoId);
@@ -376,10 +409,10 @@ async function generateFullVideoSummary(videoId) {
       throw new Error('No section summaries available. Please generate section summaries first.');
     }
 
-    // Check if Claude API is available, use local fallback if not
-    if (!isClaudeAvailable()) {
-      console.log('Claude API not available, using local full video summary...');
-      const transcript = await getTranscript(videoId);
+    // Use local fallback if no summary provider is available
+    if (!llmService.isTaskAvailable('summaries')) {
+      console.log('Summary provider not available, using local full video summary...');
+      const transcript = await getTranscript(videoId, language);
       const summaryData = localSummary.generateLocalSummary(video, transcript, sections);
 
       // Store in database
@@ -387,7 +420,7 @@ async function generateFullVideoSummary(videoId) {
         executive_summary: summaryData.executive_summary,
         key_takeaways: summaryData.key_takeaways,
         main_topics: summaryData.main_topics
-      });
+      }, language);
 
       return {
         success: true,
@@ -434,11 +467,10 @@ Section Summaries:
 }
 
 Include 5-7 key takeaways and 3-5 main topics.
-
+${languageInstruction(language)}
 Provide ONLY the JSON response, no additional text.`;
 
-    // Call Claude API using generateText method
-    const response = await claudeService.generateText(prompt);
+    const response = await llmService.generateText('summaries', prompt, { videoId, userId: video.user_id });
 
     // Parse JSON response
     let videoSummary;
@@ -447,17 +479,17 @@ Provide ONLY the JSON response, no additional text.`;
       const cleanedText = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
       videoSummary = JSON.parse(cleanedText);
     } catch (parseError) {
-      console.error('Failed to parse Claude response:', response);
-      throw new Error('Failed to parse Claude response as JSON');
+      console.error('Failed to parse LLM response:', response);
+      throw new Error('Failed to parse LLM response as JSON');
     }
 
     // Validate response structure
     if (!videoSummary.executive_summary || !videoSummary.key_takeaways || !videoSummary.main_topics) {
-      throw new Error('Invalid video summary structure from Claude API');
+      throw new Error('Invalid video summary structure from LLM provider');
     }
 
     // Store in database
-    const storedSummary = await storeVideoSummary(videoId, videoSummary);
+    const storedSummary = await storeVideoSummary(videoId, videoSummary, language);
 
     return {
       success: true,
@@ -478,12 +510,16 @@ Provide ONLY the JSON response, no additional text.`;
 }
 
 /**
- * Generate enhanced video summary using Claude AI or local fallback
+ * Generate enhanced video summary using the configured LLM provider or local fallback
  * @param {string} videoId - Video database ID
+ * @param {object} options - Options
+ * @param {string} options.language - Language code to write the summary in (optional)
  * @returns {Promise<object>} - Generated summary data
  */
-async function generateEnhancedVideoSummary(videoId) {
-  console.log(`Generating enhanced video summary for video: ${videoId}`);
+async function generateEnhancedVideoSummary(videoId, options = {}) {
+  const { language = null } = options;
+
+  console.log(`Generating enhanced video summary for video: ${videoId}${language ? ` (${language})` : ''}`);
 
   try {
     // Get video metadata first (needed for both paths)
@@ -495,7 +531,7 @@ async function generateEnhancedVideoSummary(videoId) {
     // Get transcript
     let transcriptText = '';
     try {
-      transcriptText = await getTranscript(videoId);
+      transcriptText = await getTranscript(videoId, language);
     } catch (error) {
       console.log(`Transcript not available for video ${videoId}: ${error.message}`);
     }
@@ -503,16 +539,13 @@ async function generateEnhancedVideoSummary(videoId) {
     // Get sections
     const sections = await getSections(videoId);
 
-    // Check if Claude API is available
-    if (!isClaudeAvailable()) {
-      console.log('Claude API not available, using local summary generation...');
-      return await generateLocalEnhancedSummary(videoId, video, transcriptText, sections);
+    // Use local fallback if no summary provider is available
+    if (!llmService.isTaskAvailable('summaries')) {
+      console.log('Summary provider not available, using local summary generation...');
+      return await generateLocalEnhancedSummary(videoId, video, transcriptText, sections, language);
     }
 
-    // Initialize Claude service
-    claudeService.initialize();
-
-    // Build comprehensive prompt for Claude
+    // Build comprehensive prompt
     const sectionsText = sections.length > 0
       ? sections.map(s => {
           const summary = s.summary || 'No summary available';
@@ -547,12 +580,11 @@ Provide a detailed analysis in JSON format with the following structure:
   "recommended_for": ["Specific use cases or situations when this video is most valuable"],
   "prerequisites": ["What viewers should know or understand before watching (empty array if none)"]
 }
-
+${languageInstruction(language)}
 Provide ONLY the JSON response, no additional text or markdown formatting.`;
 
-    // Call Claude API
-    console.log('Calling Claude API for video summary...');
-    const responseText = await claudeService.generateText(prompt);
+    console.log('Requesting video summary from LLM provider...');
+    const responseText = await llmService.generateText('summaries', prompt, { videoId, userId: video.user_id });
 
     // Parse JSON response
     let summaryData;
@@ -561,7 +593,7 @@ Provide ONLY the JSON response, no additional text or markdown formatting.`;
       const cleanedText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
       summaryData = JSON.parse(cleanedText);
     } catch (parseError) {
-      console.error('Failed to parse Claude response:', responseText);
+      console.error('Failed to parse LLM response:', responseText);
       throw new Error('Failed to parse AI response as JSON');
     }
 
@@ -584,10 +616,11 @@ Provide ONLY the JSON response, no additional text or markdown formatting.`;
           estimated_value,
           recommended_for,
           prerequisites,
+          language,
           created_at,
           updated_at
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
         ON CONFLICT (video_id)
         DO UPDATE SET
           full_summary = EXCLUDED.full_summary,
@@ -598,6 +631,7 @@ Provide ONLY the JSON response, no additional text or markdown formatting.`;
           estimated_value = EXCLUDED.estimated_value,
           recommended_for = EXCLUDED.recommended_for,
           prerequisites = EXCLUDED.prerequisites,
+          language = EXCLUDED.language,
           updated_at = CURRENT_TIMESTAMP
         RETURNING *`,
         [
@@ -609,11 +643,13 @@ Provide ONLY the JSON response, no additional text or markdown formatting.`;
           summaryData.difficulty_level,
           summaryData.estimated_value,
           JSON.stringify(summaryData.recommended_for),
-          JSON.stringify(summaryData.prerequisites)
+          JSON.stringify(summaryData.prerequisites),
+          language
         ]
       );
 
       console.log(`Video summary generated and stored for video: ${videoId}`);
+      indexTopics(videoId);
       return result.rows[0];
     } finally {
       client.release();
@@ -649,9 +685,10 @@ async function getVideoSummary(videoId) {
  * @param {object} video - Video object
  * @param {string} transcriptText - Full transcript
  * @param {Array} sections - Section objects
+ * @param {string} language - Language of the transcript used (optional)
  * @returns {Promise<object>} - Stored summary
  */
-async function generateLocalEnhancedSummary(videoId, video, transcriptText, sections) {
+async function generateLocalEnhancedSummary(videoId, video, transcriptText, sections, language = null) {
   console.log('Generating local enhanced summary (no API)...');
 
   // Generate summary using local text analysis
@@ -671,10 +708,11 @@ async function generateLocalEnhancedSummary(videoId, video, transcriptText, sect
         estimated_value,
         recommended_for,
         prerequisites,
+        language,
         created_at,
         updated_at
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
       ON CONFLICT (video_id)
       DO UPDATE SET
         full_summary = EXCLUDED.full_summary,
@@ -685,6 +723,7 @@ async function generateLocalEnhancedSummary(videoId, video, transcriptText, sect
         estimated_value = EXCLUDED.estimated_value,
         recommended_for = EXCLUDED.recommended_for,
         prerequisites = EXCLUDED.prerequisites,
+        language = EXCLUDED.language,
         updated_at = CURRENT_TIMESTAMP
       RETURNING *`,
       [
@@ -696,35 +735,19 @@ async function generateLocalEnhancedSummary(videoId, video, transcriptText, sect
         summaryData.difficulty_level,
         summaryData.estimated_value,
         JSON.stringify(summaryData.recommended_for),
-        JSON.stringify(summaryData.prerequisites)
+        JSON.stringify(summaryData.prerequisites),
+        language
       ]
     );
 
     console.log(`Local summary generated and stored for video: ${videoId}`);
+    indexTopics(videoId);
     return result.rows[0];
   } finally {
     client.release();
   }
 }
 
-/**
- * Format timestamp for display
- * @param {number} seconds - Timestamp in seconds
- * @returns {string} Formatted timestamp (MM:SS or HH:MM:SS)
- */
-function formatTimestamp(seconds) {
-  if (!seconds && seconds !== 0) return '00:00';
-
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-
-  if (hours > 0) {
-    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-  }
-  return `${minutes}:${secs.toString().padStart(2, '0')}`;
-}
-
 /**
  * Extract key points with timestamps from video sections and transcript
  * @param {string} videoId - Video UUID
@@ -746,7 +769,7 @@ async function extractKeyPointsWithTimestamps(videoId) {
       const transcriptResult = await client.query(
         `SELECT segments, full_text
          FROM transcriptions
-         WHERE video_id = $1
+         WHERE video_id = $1 AND is_primary = true
          LIMIT 1`,
         [videoId]
       );
@@ -755,9 +778,9 @@ async function extractKeyPointsWithTimestamps(videoId) {
       client.release();
     }
 
-    // Check if Claude API is available, use local fallback if not
-    if (!isClaudeAvailable()) {
-      console.log('Claude API not available, using local key points extraction...');
+    // Use local fallback if no key points provider is available
+    if (!llmService.isTaskAvailable('keyPoints')) {
+      console.log('Key points provider not available, using local key points extraction...');
       // Generate local key points from sections
       return sections.map((s, i) => ({
         point: s.summary || s.title || `Section ${i + 1}`,
@@ -768,14 +791,14 @@ async function extractKeyPointsWithTimestamps(videoId) {
       }));
     }
 
-    // Build context for Claude
+    // Build context for the prompt
     const sectionsContext = sections.map(s => {
       const startTime = formatTimestamp(parseFloat(s.start_time));
       const endTime = formatTimestamp(parseFloat(s.end_time));
       return `[${startTime} - ${endTime}] ${s.title}: ${s.summary || 'No summary'}`;
     }).join('\n');
 
-    // Create prompt for Claude
+    // Create prompt
     const prompt = `Extract key points from this video with their timestamps:
 
 Sections:
@@ -808,8 +831,7 @@ Format as JSON array:
 
 Provide ONLY the JSON response, no additional text.`;
 
-    // Call Claude API
-    const response = await claudeService.generateText(prompt);
+    const response = await llmService.generateText('keyPoints', prompt, { videoId });
 
     // Parse JSON response
     let keyPoints;
@@ -818,13 +840,13 @@ Provide ONLY the JSON response, no additional text.`;
       const cleanedText = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
       keyPoints = JSON.parse(cleanedText);
     } catch (parseError) {
-      console.error('Failed to parse Claude response:', response);
-      throw new Error('Failed to parse Claude response as JSON');
+      console.error('Failed to parse LLM response:', response);
+      throw new Error('Failed to parse LLM response as JSON');
     }
 
     // Validate and normalize key points
     if (!Array.isArray(keyPoints)) {
-      throw new Error('Expected array of key points from Claude');
+      throw new Error('Expected array of key points from LLM provider');
     }
 
     // Match key points to sections
@@ -899,6 +921,50 @@ async function storeKeyPoints(videoId, keyPoints) {
   }
 }
 
+/**
+ * Parse a section's key_points JSONB into strings
+ * @param {Array|string|null} value - Stored list
+ * @returns {Array<string>}
+ */
+function parseSectionKeyPoints(value) {
+  let list = value;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      return [list];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .map(item => (typeof item === 'string' ? item : item && (item.text || item.point)))
+    .filter(Boolean);
+}
+
+/**
+ * Get the stored key points of one or more videos, in timestamp order
+ * The key_points table only exists on databases that ran the key point extraction setup;
+ * without it there are no stored key points, so an empty list is returned.
+ * @param {Array<string>} videoIds - Video UUIDs
+ * @returns {Promise<Array>} Key point rows
+ */
+async function getKeyPointsForVideos(videoIds) {
+  try {
+    const result = await pool.query(
+      `SELECT id, video_id, section_id, point_text, timestamp_seconds, context, category, importance
+       FROM key_points
+       WHERE video_id = ANY($1::uuid[])
+       ORDER BY timestamp_seconds ASC NULLS LAST`,
+      [videoIds]
+    );
+    return result.rows;
+  } catch (error) {
+    if (error.code === '42P01') return []; // undefined_table
+    throw error;
+  }
+}
+
 /**
  * Get key points for a video with optional filtering
  * @param {string} videoId - Video UUID
@@ -1026,14 +1092,12 @@ async function generateComprehensiveAnalysis(videoId) {
     // Get existing summary if any
     const existingSummary = await getVideoSummary(videoId);
 
-    // Check if Claude API is available
-    if (!isClaudeAvailable()) {
-      console.log('Claude API not available, using local analysis generation...');
+    // Use local fallback if no analysis provider is available
+    if (!llmService.isTaskAvailable('analysis')) {
+      console.log('Analysis provider not available, using local analysis generation...');
       return await generateLocalComprehensiveAnalysis(videoId, video, fullTranscript, sections, existingSummary);
     }
 
-    claudeService.initialize();
-
     // Build sections context
     const sectionsContext = sections.length > 0
       ? sections.map(s => {
@@ -1047,7 +1111,7 @@ async function generateComprehensiveAnalysis(videoId) {
     const wordCount = fullTranscript ? fullTranscript.split(/\s+/).length : 0;
     const charCount = fullTranscript ? fullTranscript.length : 0;
 
-    // Split transcript into chunks if too long (Claude has context limits)
+    // Split transcript into chunks if too long (models have context limits)
     // Use up to 30000 characters for comprehensive analysis
     const transcriptForAnalysis = fullTranscript.length > 30000
       ? fullTranscript.substring(0, 30000) + '\n\n[Transcript truncated for analysis - full transcript available in system]'
@@ -1059,7 +1123,7 @@ VIDEO DETAILS:
 - Title: "${video.title}"
 - Channel: ${video.channel_name || 'Unknown'}
 - Duration: ${formatDuration(video.duration)}
-- URL: https://www.youtube.com/watch?v=${video.youtube_id}
+- URL: ${video.youtube_id ? `https://www.youtube.com/watch?v=${video.youtube_id}` : 'Uploaded file'}
 
 SECTIONS DETECTED:
 ${sectionsContext}
@@ -1165,9 +1229,8 @@ WRITING GUIDELINES:
 
 Provide ONLY the Markdown document.`;
 
-    // Call Claude API
-    console.log('Calling Claude API for comprehensive analysis...');
-    const response = await claudeService.generateText(prompt);
+    console.log('Requesting comprehensive analysis from LLM provider...');
+    const response = await llmService.generateText('analysis', prompt, { videoId, userId: video.user_id });
 
     // Clean up the response (remove any code block wrappers)
     let analysisMarkdown = response.trim();
@@ -1179,7 +1242,10 @@ Provide ONLY the Markdown document.`;
 
     // Add generation metadata at the end
     const generationDate = new Date().toISOString().split('T')[0];
-    analysisMarkdown += `\n\n---\n\n*Analysis generated: ${generationDate}*\n*Video: https://www.youtube.com/watch?v=${video.youtube_id}*`;
+    analysisMarkdown += `\n\n---\n\n*Analysis generated: ${generationDate}*`;
+    if (video.youtube_id) {
+      analysisMarkdown += `\n*Video: https://www.youtube.com/watch?v=${video.youtube_id}*`;
+    }
 
     // Store in database
     const client = await pool.connect();
@@ -1301,7 +1367,6 @@ async function getComprehensiveAnalysis(videoId) {
 }
 
 module.exports = {
-  isClaudeAvailable,
   formatDuration,
   formatTimestamp,
   getVideo,
@@ -1319,6 +1384,8 @@ module.exports = {
   getVideoSummary,
   extractKeyPointsWithTimestamps,
   storeKeyPoints,
+  parseSectionKeyPoints,
+  getKeyPointsForVideos,
   getKeyPoints,
   deleteKeyPoints,
   extractAndStoreKeyPoints,
@@ -6,13 +6,14 @@ const pool = require('./db');
 
 /**
  * Create a new tag
- * @param {string} userId - User ID (UUID)
+ * @param {string} workspaceId - Workspace ID (UUID)
+ * @param {string} userId - ID of the member creating the tag
  * @param {object} data - Tag data
  * @param {string} data.name - Tag name
  * @param {string} [data.color] - Tag color (hex code)
  * @returns {Promise<object>} - Created tag record
  */
-async function create(userId, data) {
+async function create(workspaceId, userId, data) {
   const { name, color } = data;
 
   if (!name || name.trim().length === 0) {
@@ -21,10 +22,10 @@ async function create(userId, data) {
 
   const client = await pool.connect();
   try {
-    // Check if tag with same name already exists for this user (case-insensitive)
+    // Check if tag with same name already exists in this workspace (case-insensitive)
     const existingTag = await client.query(
-      `SELECT * FROM tags WHERE user_id = $1 AND LOWER(name) = LOWER($2)`,
-      [userId, name.trim()]
+      `SELECT * FROM tags WHERE workspace_id = $1 AND LOWER(name) = LOWER($2)`,
+      [workspaceId, name.trim()]
     );
 
     // If exists, return existing tag
@@ -34,10 +35,10 @@ async function create(userId, data) {
 
     // Create new tag
     const result = await client.query(
-      `INSERT INTO tags (user_id, name, color)
-       VALUES ($1, $2, $3)
+      `INSERT INTO tags (workspace_id, user_id, name, color)
+       VALUES ($1, $2, $3, $4)
        RETURNING *`,
-      [userId, name.trim(), color || '#64748b']
+      [workspaceId, userId, name.trim(), color || '#64748b']
     );
 
     return result.rows[0];
@@ -49,16 +50,16 @@ async function create(userId, data) {
 /**
  * Legacy alias for create
  */
-async function createTag(userId, data) {
-  return create(userId, data);
+async function createTag(workspaceId, userId, data) {
+  return create(workspaceId, userId, data);
 }
 
 /**
- * Get all tags for a user with save counts
- * @param {string} userId - User ID (UUID)
+ * Get all tags in a workspace with save counts
+ * @param {string} workspaceId - Workspace ID (UUID)
  * @returns {Promise<Array>} - Array of tags with save_count
  */
-async function getAll(userId) {
+async function getAll(workspaceId) {
   const client = await pool.connect();
   try {
     const result = await client.query(
@@ -70,10 +71,10 @@ async function getAll(userId) {
         COUNT(st.save_id) AS save_count
        FROM tags t
        LEFT JOIN save_tags st ON t.id = st.tag_id
-       WHERE t.user_id = $1
+       WHERE t.workspace_id = $1
        GROUP BY t.id, t.name, t.color, t.created_at
        ORDER BY t.name ASC`,
-      [userId]
+      [workspaceId]
     );
 
     // Convert save_count to integer
@@ -89,17 +90,17 @@ async function getAll(userId) {
 /**
  * Legacy alias for getAll
  */
-async function getTags(userId) {
-  return getAll(userId);
+async function getTags(workspaceId) {
+  return getAll(workspaceId);
 }
 
 /**
  * Get a single tag by ID
  * @param {string} tagId - Tag ID (UUID)
- * @param {string} userId - User ID (UUID) for ownership check
+ * @param {string} workspaceId - Workspace ID (UUID) for access check
  * @returns {Promise<object|null>} - Tag record or null
  */
-async function getTagById(tagId, userId) {
+async function getTagById(tagId, workspaceId) {
   const client = await pool.connect();
   try {
     const result = await client.query(
@@ -110,9 +111,9 @@ async function getTagById(tagId, userId) {
         COUNT(st.save_id) AS usage_count
        FROM tags t
        LEFT JOIN save_tags st ON t.id = st.tag_id
-       WHERE t.id = $1 AND t.user_id = $2
+       WHERE t.id = $1 AND t.workspace_id = $2
        GROUP BY t.id, t.name, t.color`,
-      [tagId, userId]
+      [tagId, workspaceId]
     );
 
     if (result.rows.length === 0) {
@@ -130,11 +131,11 @@ async function getTagById(tagId, userId) {
 
 /**
  * Search tags by name (ILIKE)
- * @param {string} userId - User ID (UUID)
+ * @param {string} workspaceId - Workspace ID (UUID)
  * @param {string} query - Search query
  * @returns {Promise<Array>} - Array of matching tags
  */
-async function search(userId, query) {
+async function search(workspaceId, query) {
   const client = await pool.connect();
   try {
     const result = await client.query(
@@ -146,10 +147,10 @@ async function search(userId, query) {
         COUNT(st.save_id) AS save_count
        FROM tags t
        LEFT JOIN save_tags st ON t.id = st.tag_id
-       WHERE t.user_id = $1 AND t.name ILIKE $2
+       WHERE t.workspace_id = $1 AND t.name ILIKE $2
        GROUP BY t.id, t.name, t.color, t.created_at
        ORDER BY t.name ASC`,
-      [userId, `%${query}%`]
+      [workspaceId, `%${query}%`]
     );
 
     // Convert save_count to integer
@@ -165,21 +166,21 @@ async function search(userId, query) {
 /**
  * Update a tag
  * @param {string} tagId - Tag ID (UUID)
- * @param {string} userId - User ID (UUID) for ownership check
+ * @param {string} workspaceId - Workspace ID (UUID) for access check
  * @param {object} data - Update data
  * @param {string} [data.name] - New tag name
  * @param {string} [data.color] - New tag color
  * @returns {Promise<object>} - Updated tag record
  */
-async function update(tagId, userId, data) {
+async function update(tagId, workspaceId, data) {
   const { name, color } = data;
 
   const client = await pool.connect();
   try {
-    // First verify the tag exists and belongs to the user
+    // First verify the tag exists and belongs to the workspace
     const existingTag = await client.query(
-      `SELECT id FROM tags WHERE id = $1 AND user_id = $2`,
-      [tagId, userId]
+      `SELECT id FROM tags WHERE id = $1 AND workspace_id = $2`,
+      [tagId, workspaceId]
     );
 
     if (existingTag.rows.length === 0) {
@@ -190,8 +191,8 @@ async function update(tagId, userId, data) {
     if (name && name.trim().length > 0) {
       const duplicateTag = await client.query(
         `SELECT id FROM tags
-         WHERE user_id = $1 AND LOWER(name) = LOWER($2) AND id != $3`,
-        [userId, name.trim(), tagId]
+         WHERE workspace_id = $1 AND LOWER(name) = LOWER($2) AND id != $3`,
+        [workspaceId, name.trim(), tagId]
       );
 
       if (duplicateTag.rows.length > 0) {
@@ -215,16 +216,16 @@ async function update(tagId, userId, data) {
 
     if (updates.length === 0) {
       // No updates, just return the existing tag
-      return (await getTagById(tagId, userId));
+      return (await getTagById(tagId, workspaceId));
     }
 
     values.push(tagId);
-    values.push(userId);
+    values.push(workspaceId);
 
     const result = await client.query(
       `UPDATE tags
        SET ${updates.join(', ')}
-       WHERE id = $${paramIndex++} AND user_id = $${paramIndex}
+       WHERE id = $${paramIndex++} AND workspace_id = $${paramIndex}
        RETURNING *`,
       values
     );
@@ -239,16 +240,16 @@ async function update(tagId, userId, data) {
  * Delete a tag
  * Note: The CASCADE will remove save_tags entries
  * @param {string} tagId - Tag ID (UUID)
- * @param {string} userId - User ID (UUID) for ownership check
+ * @param {string} workspaceId - Workspace ID (UUID) for access check
  * @returns {Promise<boolean>} - True if deleted, false if not found
  */
-async function deleteTag(tagId, userId) {
+async function deleteTag(tagId, workspaceId) {
   const client = await pool.connect();
   try {
-    // First verify the tag exists and belongs to the user
+    // First verify the tag exists and belongs to the workspace
     const existingTag = await client.query(
-      `SELECT id FROM tags WHERE id = $1 AND user_id = $2`,
-      [tagId, userId]
+      `SELECT id FROM tags WHERE id = $1 AND workspace_id = $2`,
+      [tagId, workspaceId]
     );
 
     if (existingTag.rows.length === 0) {
@@ -257,8 +258,8 @@ async function deleteTag(tagId, userId) {
 
     // Delete the tag (CASCADE will remove save_tags entries)
     const result = await client.query(
-      `DELETE FROM tags WHERE id = $1 AND user_id = $2`,
-      [tagId, userId]
+      `DELETE FROM tags WHERE id = $1 AND workspace_id = $2`,
+      [tagId, workspaceId]
     );
 
     return result.rowCount > 0;
@@ -270,19 +271,20 @@ async function deleteTag(tagId, userId) {
 /**
  * Alias for delete
  */
-async function _delete(tagId, userId) {
-  return deleteTag(tagId, userId);
+async function _delete(tagId, workspaceId) {
+  return deleteTag(tagId, workspaceId);
 }
 
 /**
  * Get existing tag or create new one
- * @param {string} userId - User ID (UUID)
+ * @param {string} workspaceId - Workspace ID (UUID)
+ * @param {string} userId - ID of the member creating the tag
  * @param {string} name - Tag name
  * @param {string} [color] - Tag color (hex code)
  * @returns {Promise<object>} - Tag record
  */
-async function getOrCreate(userId, name, color) {
-  return create(userId, { name, color });
+async function getOrCreate(workspaceId, userId, name, color) {
+  return create(workspaceId, userId, { name, color });
 }
 
 module.exports = {
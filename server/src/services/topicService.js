@@ -0,0 +1,568 @@
+/**
+ * Topic Service
+ * Connects the per-video topic lists into one graph per workspace. Topic names from
+ * video_summaries.topics (or localSummaryService.extractTopics when a video has no
+ * summary yet) are normalized and resolved through topic_aliases, so "Neural Networks"
+ * and "neural network" become one topic. Each topic is linked to the videos, sections
+ * and saves that cover it, and topics covered by the same videos are joined by edges.
+ */
+
+const pool = require('./db');
+const { extractTopics } = require('./localSummaryService');
+
+// Topics taken from section text when a video has no summary topics
+const LOCAL_TOPICS = 5;
+
+// Words that don't have to appear in a section for a topic to match it
+const MATCH_STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'by',
+  'how', 'what', 'why', 'your', 'its', 'using', 'use', 'vs', 'versus', 'into'
+]);
+
+const MAX_ALIAS_LENGTH = 255;
+
+/**
+ * Reduce an English plural to its singular form
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function singularize(word) {
+  // "apis" is a plural, "analysis" and "basis" are not
+  if (word.length <= 3 || /(ss|us)$/.test(word) || (word.length > 4 && word.endsWith('is'))) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(sses|ches|shes|xes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into lowercase, singular words
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function normalizeWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9+#\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(singularize);
+}
+
+/**
+ * Normalize a topic name into the alias it is looked up by
+ * @param {string} name - Topic name as written
+ * @returns {string} - Empty when nothing is left
+ */
+function normalizeTopic(name) {
+  const words = normalizeWords(name);
+  if (words.length > 1 && words[0] === 'the') words.shift();
+  return words.join(' ').slice(0, MAX_ALIAS_LENGTH);
+}
+
+/**
+ * Whether a set of words mentions a topic: all its meaningful words appear in it
+ * @param {string} alias - Normalized topic name
+ * @param {Set<string>} words - Normalized words of the text
+ * @returns {boolean}
+ */
+function mentions(alias, words) {
+  const required = alias.split(' ').filter(word => !MATCH_STOPWORDS.has(word));
+  return required.length > 0 && required.every(word => words.has(word));
+}
+
+/**
+ * Parse a stored JSONB list of names into strings
+ * @param {Array|string|null} value
+ * @returns {Array<string>}
+ */
+function toNameList(value) {
+  let list = value;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      return [list];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .map(item => (typeof item === 'string' ? item : item && (item.name || item.topic || item.text)))
+    .filter(Boolean)
+    .map(name => name.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Find the topic a name resolves to, creating it if it is new to the workspace
+ * @param {object} client - Database client in a transaction
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} name - Topic name as written
+ * @returns {Promise<object|null>} - { id, alias }, or null for an empty name
+ */
+async function resolveTopic(client, workspaceId, name) {
+  const alias = normalizeTopic(name);
+  if (!alias) return null;
+
+  const existing = await client.query(
+    'SELECT topic_id FROM topic_aliases WHERE workspace_id = $1 AND alias = $2',
+    [workspaceId, alias]
+  );
+  if (existing.rows.length > 0) {
+    return { id: existing.rows[0].topic_id, alias };
+  }
+
+  const created = await client.query(
+    'INSERT INTO topics (workspace_id, name) VALUES ($1, $2) RETURNING id',
+    [workspaceId, name.slice(0, MAX_ALIAS_LENGTH)]
+  );
+  const topicId = created.rows[0].id;
+
+  const inserted = await client.query(
+    `INSERT INTO topic_aliases (workspace_id, alias, topic_id)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (workspace_id, alias) DO NOTHING
+     RETURNING topic_id`,
+    [workspaceId, alias, topicId]
+  );
+  if (inserted.rows.length > 0) {
+    return { id: topicId, alias };
+  }
+
+  // Another indexing run created the topic first
+  await client.query('DELETE FROM topics WHERE id = $1', [topicId]);
+  const winner = await client.query(
+    'SELECT topic_id FROM topic_aliases WHERE workspace_id = $1 AND alias = $2',
+    [workspaceId, alias]
+  );
+  return { id: winner.rows[0].topic_id, alias };
+}
+
+/**
+ * Recompute a workspace's co-occurrence edges from its video topics
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<number>} - Number of edges
+ */
+async function rebuildEdges(workspaceId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM topic_edges WHERE workspace_id = $1', [workspaceId]);
+
+    const result = await client.query(
+      `INSERT INTO topic_edges (workspace_id, source_topic_id, target_topic_id, weight)
+       SELECT $1::uuid, a.topic_id, b.topic_id, COUNT(*)
+       FROM video_topics a
+       JOIN video_topics b ON b.video_id = a.video_id AND a.topic_id < b.topic_id
+       JOIN videos v ON v.id = a.video_id
+       WHERE v.workspace_id = $1
+       GROUP BY a.topic_id, b.topic_id
+       ON CONFLICT (source_topic_id, target_topic_id) DO UPDATE SET weight = EXCLUDED.weight`,
+      [workspaceId]
+    );
+
+    await client.query('COMMIT');
+    return result.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Link a save to the topics of the sections it captured and the topics named in it
+ * @param {string} saveId - Save ID
+ * @returns {Promise<object>} - { topics } count
+ */
+async function indexSave(saveId) {
+  const saveResult = await pool.query(
+    'SELECT id, video_id, title, notes FROM saves WHERE id = $1',
+    [saveId]
+  );
+  const save = saveResult.rows[0];
+  if (!save) {
+    return { topics: 0 };
+  }
+
+  const [sectionTopics, videoTopics] = await Promise.all([
+    pool.query(
+      `SELECT DISTINCT st.topic_id
+       FROM section_topics st
+       JOIN sections s ON s.id = st.section_id
+       WHERE s.video_id = $2 AND (
+         EXISTS (SELECT 1 FROM save_summaries ss WHERE ss.save_id = $1 AND ss.section_id = s.id)
+         OR EXISTS (
+           SELECT 1 FROM save_transcripts tr
+           WHERE tr.save_id = $1 AND tr.start_time < s.end_time AND tr.end_time > s.start_time
+         )
+         OR EXISTS (
+           SELECT 1 FROM save_frames sf
+           JOIN frames f ON f.id = sf.frame_id
+           WHERE sf.save_id = $1 AND f.timestamp_seconds >= s.start_time AND f.timestamp_seconds < s.end_time
+         )
+       )`,
+      [save.id, save.video_id]
+    ),
+    pool.query(
+      `SELECT vt.topic_id, array_agg(ta.alias) AS aliases
+       FROM video_topics vt
+       JOIN topic_aliases ta ON ta.topic_id = vt.topic_id
+       WHERE vt.video_id = $1
+       GROUP BY vt.topic_id`,
+      [save.video_id]
+    )
+  ]);
+
+  const words = new Set(normalizeWords(`${save.title || ''} ${save.notes || ''}`));
+  const topicIds = new Set(sectionTopics.rows.map(row => row.topic_id));
+  for (const row of videoTopics.rows) {
+    if (row.aliases.some(alias => mentions(alias, words))) {
+      topicIds.add(row.topic_id);
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM save_topics WHERE save_id = $1', [save.id]);
+    if (topicIds.size > 0) {
+      await client.query(
+        `INSERT INTO save_topics (topic_id, save_id)
+         SELECT unnest($1::uuid[]), $2::uuid`,
+        [[...topicIds], save.id]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { topics: topicIds.size };
+}
+
+/**
+ * Replace a video's topic links, without touching the workspace's edges
+ * @param {string} videoId - Video ID
+ * @returns {Promise<object>} - { workspaceId, topics, sections }
+ */
+async function linkVideoTopics(videoId) {
+  const videoResult = await pool.query(
+    `SELECT v.id, v.workspace_id, vs.topics
+     FROM videos v
+     LEFT JOIN video_summaries vs ON vs.video_id = v.id
+     WHERE v.id = $1`,
+    [videoId]
+  );
+  const video = videoResult.rows[0];
+  if (!video) {
+    throw new Error('Video not found');
+  }
+
+  const sectionsResult = await pool.query(
+    `SELECT id, title, summary, key_points
+     FROM sections
+     WHERE video_id = $1
+     ORDER BY section_order ASC`,
+    [videoId]
+  );
+  const sections = sectionsResult.rows.map(section => {
+    const text = [section.title, section.summary, ...toNameList(section.key_points)].filter(Boolean).join(' ');
+    return { id: section.id, text, words: new Set(normalizeWords(text)) };
+  });
+
+  let names = toNameList(video.topics);
+  let source = 'summary';
+  if (names.length === 0) {
+    names = extractTopics(sections.map(section => section.text).join(' ')).slice(0, LOCAL_TOPICS);
+    source = 'local';
+  }
+
+  const client = await pool.connect();
+  let sectionLinks = 0;
+  const linked = new Set();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM video_topics WHERE video_id = $1', [videoId]);
+    await client.query(
+      'DELETE FROM section_topics WHERE section_id IN (SELECT id FROM sections WHERE video_id = $1)',
+      [videoId]
+    );
+
+    for (const name of names) {
+      const topic = await resolveTopic(client, video.workspace_id, name);
+      // Two names of the same topic link it once
+      if (!topic || linked.has(topic.id)) continue;
+      linked.add(topic.id);
+
+      const covering = sections.filter(section => mentions(topic.alias, section.words));
+
+      await client.query(
+        `INSERT INTO video_topics (topic_id, video_id, weight, source)
+         VALUES ($1, $2, $3, $4)`,
+        [topic.id, videoId, 1 + covering.length, source]
+      );
+
+      if (covering.length > 0) {
+        await client.query(
+          `INSERT INTO section_topics (topic_id, section_id)
+           SELECT $1::uuid, unnest($2::uuid[])`,
+          [topic.id, covering.map(section => section.id)]
+        );
+        sectionLinks += covering.length;
+      }
+    }
+
+    // Topics no video covers any more
+    await client.query(
+      `DELETE FROM topics t
+       WHERE t.workspace_id = $1
+       AND NOT EXISTS (SELECT 1 FROM video_topics vt WHERE vt.topic_id = t.id)`,
+      [video.workspace_id]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const savesResult = await pool.query('SELECT id FROM saves WHERE video_id = $1', [videoId]);
+  for (const save of savesResult.rows) {
+    await indexSave(save.id);
+  }
+
+  return { workspaceId: video.workspace_id, topics: linked.size, sections: sectionLinks };
+}
+
+/**
+ * Link a video, its sections and its saves to their topics and refresh the edges
+ * @param {string} videoId - Video ID
+ * @returns {Promise<object>} - { topics, sections } counts
+ */
+async function indexVideo(videoId) {
+  const { workspaceId, topics, sections } = await linkVideoTopics(videoId);
+  await rebuildEdges(workspaceId);
+  return { topics, sections };
+}
+
+/**
+ * Re-index every video of a workspace (backfill, or after changing how topics are read)
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<object>} - { videos, edges } counts
+ */
+async function indexWorkspace(workspaceId) {
+  const videosResult = await pool.query('SELECT id FROM videos WHERE workspace_id = $1', [workspaceId]);
+
+  for (const video of videosResult.rows) {
+    await linkVideoTopics(video.id);
+  }
+
+  const edges = await rebuildEdges(workspaceId);
+  return { videos: videosResult.rows.length, edges };
+}
+
+/**
+ * Get the topic graph of a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {object} [options]
+ * @param {number} [options.limit=100] - Most covered topics to include
+ * @param {number} [options.minWeight=1] - Fewest shared videos for an edge
+ * @returns {Promise<object>} - { nodes, edges, total }
+ */
+async function getGraph(workspaceId, { limit = 100, minWeight = 1 } = {}) {
+  const nodesResult = await pool.query(
+    `SELECT
+       t.id,
+       t.name,
+       COUNT(vt.video_id) AS video_count,
+       (SELECT COUNT(*) FROM section_topics st WHERE st.topic_id = t.id) AS section_count,
+       (SELECT COUNT(*) FROM save_topics sv WHERE sv.topic_id = t.id) AS save_count,
+       COUNT(*) OVER () AS total
+     FROM topics t
+     JOIN video_topics vt ON vt.topic_id = t.id
+     WHERE t.workspace_id = $1
+     GROUP BY t.id
+     ORDER BY video_count DESC, section_count DESC, t.name ASC
+     LIMIT $2`,
+    [workspaceId, limit]
+  );
+
+  const nodes = nodesResult.rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    video_count: parseInt(row.video_count, 10),
+    section_count: parseInt(row.section_count, 10),
+    save_count: parseInt(row.save_count, 10)
+  }));
+
+  const edgesResult = nodes.length > 0
+    ? await pool.query(
+      `SELECT source_topic_id, target_topic_id, weight
+       FROM topic_edges
+       WHERE workspace_id = $1 AND weight >= $2
+       AND source_topic_id = ANY($3::uuid[]) AND target_topic_id = ANY($3::uuid[])`,
+      [workspaceId, minWeight, nodes.map(node => node.id)]
+    )
+    : { rows: [] };
+
+  return {
+    nodes,
+    edges: edgesResult.rows.map(row => ({
+      source: row.source_topic_id,
+      target: row.target_topic_id,
+      weight: row.weight
+    })),
+    total: nodesResult.rows.length > 0 ? parseInt(nodesResult.rows[0].total, 10) : 0
+  };
+}
+
+/**
+ * Get a topic with everything across the library that covers it
+ * @param {string} topicId - Topic ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<object|null>} - Topic with aliases, sections, videos, saves and related topics
+ */
+async function getTopic(topicId, workspaceId) {
+  const topicResult = await pool.query(
+    'SELECT id, name, created_at FROM topics WHERE id = $1 AND workspace_id = $2',
+    [topicId, workspaceId]
+  );
+  if (topicResult.rows.length === 0) {
+    return null;
+  }
+
+  const [aliases, sections, videos, saves, related] = await Promise.all([
+    pool.query('SELECT alias FROM topic_aliases WHERE topic_id = $1 ORDER BY alias ASC', [topicId]),
+    pool.query(
+      `SELECT s.id, s.title, s.start_time, s.end_time, s.summary,
+              v.id AS video_id, v.title AS video_title, v.youtube_id
+       FROM section_topics st
+       JOIN sections s ON s.id = st.section_id
+       JOIN videos v ON v.id = s.video_id
+       WHERE st.topic_id = $1
+       ORDER BY v.title ASC, s.start_time ASC`,
+      [topicId]
+    ),
+    pool.query(
+      `SELECT v.id, v.title, v.thumbnail_url, vt.weight
+       FROM video_topics vt
+       JOIN videos v ON v.id = vt.video_id
+       WHERE vt.topic_id = $1
+       ORDER BY vt.weight DESC, v.title ASC`,
+      [topicId]
+    ),
+    pool.query(
+      `SELECT sv.id, sv.title, sv.video_id, v.title AS video_title
+       FROM save_topics st
+       JOIN saves sv ON sv.id = st.save_id
+       JOIN videos v ON v.id = sv.video_id
+       WHERE st.topic_id = $1
+       ORDER BY sv.created_at DESC`,
+      [topicId]
+    ),
+    pool.query(
+      `SELECT t.id, t.name, e.weight
+       FROM topic_edges e
+       JOIN topics t ON t.id = CASE WHEN e.source_topic_id = $1 THEN e.target_topic_id ELSE e.source_topic_id END
+       WHERE e.source_topic_id = $1 OR e.target_topic_id = $1
+       ORDER BY e.weight DESC, t.name ASC
+       LIMIT 10`,
+      [topicId]
+    )
+  ]);
+
+  return {
+    ...topicResult.rows[0],
+    aliases: aliases.rows.map(row => row.alias),
+    sections: sections.rows.map(section => ({
+      ...section,
+      start_time: parseFloat(section.start_time),
+      end_time: parseFloat(section.end_time)
+    })),
+    videos: videos.rows,
+    saves: saves.rows,
+    related: related.rows
+  };
+}
+
+/**
+ * Merge topics into another; their aliases and links move to it
+ * @param {string} targetId - Topic to keep
+ * @param {Array<string>} sourceIds - Topics to merge into it
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<object>} - The merged topic, as getTopic returns it
+ */
+async function mergeTopics(targetId, sourceIds, workspaceId) {
+  if (sourceIds.includes(targetId)) {
+    throw new Error('Cannot merge a topic into itself');
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const found = await client.query(
+      'SELECT id FROM topics WHERE id = ANY($1::uuid[]) AND workspace_id = $2',
+      [[targetId, ...sourceIds], workspaceId]
+    );
+    if (found.rows.length !== sourceIds.length + 1) {
+      throw new Error('Topic not found');
+    }
+
+    await client.query(
+      `INSERT INTO video_topics (topic_id, video_id, weight, source)
+       SELECT $1::uuid, video_id, weight, source FROM video_topics WHERE topic_id = ANY($2::uuid[])
+       ON CONFLICT (topic_id, video_id) DO UPDATE SET weight = GREATEST(video_topics.weight, EXCLUDED.weight)`,
+      [targetId, sourceIds]
+    );
+    await client.query(
+      `INSERT INTO section_topics (topic_id, section_id)
+       SELECT $1::uuid, section_id FROM section_topics WHERE topic_id = ANY($2::uuid[])
+       ON CONFLICT DO NOTHING`,
+      [targetId, sourceIds]
+    );
+    await client.query(
+      `INSERT INTO save_topics (topic_id, save_id)
+       SELECT $1::uuid, save_id FROM save_topics WHERE topic_id = ANY($2::uuid[])
+       ON CONFLICT DO NOTHING`,
+      [targetId, sourceIds]
+    );
+    await client.query(
+      'UPDATE topic_aliases SET topic_id = $1 WHERE topic_id = ANY($2::uuid[])',
+      [targetId, sourceIds]
+    );
+    await client.query('DELETE FROM topics WHERE id = ANY($1::uuid[])', [sourceIds]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await rebuildEdges(workspaceId);
+  return getTopic(targetId, workspaceId);
+}
+
+module.exports = {
+  normalizeTopic,
+  indexVideo,
+  indexSave,
+  indexWorkspace,
+  getGraph,
+  getTopic,
+  mergeTopics
+};
@@ -0,0 +1,207 @@
+/**
+ * Upload Service
+ * Stores uploaded video files on disk and prepares them for analysis
+ * Uploaded videos go through the same frame/section/summary pipeline as YouTube videos,
+ * with the local file used in place of a YouTube stream
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const videoService = require('./videoService');
+const ffmpegUtils = require('../utils/ffmpeg');
+
+// Base directory for uploaded video files
+const UPLOADS_DIR = process.env.UPLOADS_DIR
+  ? path.resolve(process.env.UPLOADS_DIR)
+  : path.join(__dirname, '../../uploads');
+
+// Thumbnails generated from uploaded files
+const THUMBNAILS_DIR = path.join(UPLOADS_DIR, 'thumbnails');
+
+// Maximum upload size in bytes (default: 2 GB)
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE || String(2 * 1024 * 1024 * 1024), 10);
+
+// Accepted containers, keyed by extension
+const ALLOWED_VIDEO_TYPES = {
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska'
+};
+
+/**
+ * Multer middleware that streams a single `video` field to UPLOADS_DIR
+ */
+const uploadMiddleware = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(UPLOADS_DIR, { recursive: true })
+        .then(() => cb(null, UPLOADS_DIR))
+        .catch(cb);
+    },
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase();
+      cb(null, `${uuidv4()}${ext}`);
+    }
+  }),
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!ALLOWED_VIDEO_TYPES[ext]) {
+      return cb(new Error('Unsupported file type'));
+    }
+    cb(null, true);
+  }
+}).single('video');
+
+/**
+ * Probe an uploaded file with ffprobe and make sure it is a playable video
+ * @param {string} filePath - Path to the uploaded file
+ * @returns {Promise<Object>} Video metadata (duration, width, height, codec, ...)
+ */
+async function probeUploadedFile(filePath) {
+  let metadata;
+  try {
+    metadata = await ffmpegUtils.getVideoMetadata(filePath);
+  } catch (error) {
+    throw new Error('Uploaded file is not a readable video');
+  }
+
+  if (!metadata.width || !metadata.duration) {
+    throw new Error('Uploaded file is not a readable video');
+  }
+
+  return metadata;
+}
+
+/**
+ * Create a video record from a file stored by uploadMiddleware
+ * Removes the file again if it cannot be probed
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} userId - User UUID of the uploader
+ * @param {Object} file - Multer file object
+ * @param {string} title - Optional title (defaults to the file name)
+ * @returns {Promise<Object>} Created video record
+ */
+async function createVideoFromUpload(workspaceId, userId, file, title) {
+  try {
+    const metadata = await probeUploadedFile(file.path);
+    const ext = path.extname(file.originalname).toLowerCase();
+
+    return await videoService.createUploadedVideo(workspaceId, userId, {
+      title: title?.trim() || path.basename(file.originalname, path.extname(file.originalname)),
+      filePath: file.path,
+      originalFilename: file.originalname,
+      fileSize: file.size,
+      mimeType: ALLOWED_VIDEO_TYPES[ext] || file.mimetype,
+      duration: Math.round(metadata.duration)
+    });
+  } catch (error) {
+    await fs.unlink(file.path).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Get the thumbnail path for an uploaded video
+ * @param {string} videoId - Video UUID
+ * @returns {string} Absolute thumbnail path
+ */
+function getThumbnailPath(videoId) {
+  return path.join(THUMBNAILS_DIR, `${videoId}.jpg`);
+}
+
+/**
+ * Generate a thumbnail from an uploaded video
+ * @param {Object} video - Video record
+ * @returns {Promise<string>} Path to the thumbnail
+ */
+async function generateThumbnail(video) {
+  await fs.mkdir(THUMBNAILS_DIR, { recursive: true });
+
+  // Skip the first second, which is often a black frame
+  const timestamp = Math.min(1, (video.duration || 0) / 10);
+
+  return ffmpegUtils.extractFrameAt(video.file_path, getThumbnailPath(video.id), timestamp, {
+    width: 640,
+    quality: 4
+  });
+}
+
+/**
+ * Process an uploaded video
+ * There is no YouTube metadata or caption track, so the transcript comes from local
+ * speech-to-text when available; frame analysis is run on demand like for YouTube videos
+ * @param {Object} video - Video record from database
+ * @returns {Promise<void>}
+ */
+async function processUploadedVideo(video) {
+  console.log(`Processing uploaded video: ${video.id}`);
+
+  try {
+    await videoService.updateVideoStatus(video.id, 'processing');
+
+    try {
+      await generateThumbnail(video);
+      const serverUrl = process.env.SERVER_URL || 'http://localhost:4051';
+      await videoService.updateVideoMetadata(video.id, {
+        thumbnail_url: `${serverUrl}/api/videos/${video.id}/thumbnail`
+      });
+    } catch (thumbnailError) {
+      console.error(`Failed to generate thumbnail for ${video.id}:`, thumbnailError.message);
+    }
+
+    await videoService.updateVideoStatus(video.id, 'metadata_complete');
+
+    // Uploaded files have no caption track - transcribe locally if possible
+    const asrService = require('./asrService');
+    if (asrService.isAsrAvailable()) {
+      const analysisJobService = require('./analysisJobService');
+      await analysisJobService.queueTranscription(video);
+      await videoService.updateVideoStatus(video.id, 'transcription_queued');
+      console.log(`Queued local transcription for uploaded video: ${video.id}`);
+      return;
+    }
+
+    // Nothing left to do without a transcript; the status says why the video has none
+    await videoService.updateVideoStatus(video.id, 'transcript_unavailable');
+    console.log(`Uploaded video processed without a transcript (no speech-to-text backend): ${video.id}`);
+  } catch (error) {
+    console.error(`Uploaded video processing failed for ${video.id}:`, error.message);
+    await videoService.updateVideoStatus(video.id, 'failed');
+    throw error;
+  }
+}
+
+/**
+ * Remove the stored file and thumbnail of an uploaded video
+ * @param {Object} video - Video record
+ * @returns {Promise<void>}
+ */
+async function deleteUploadedFiles(video) {
+  if (video.source_type !== 'upload') {
+    return;
+  }
+
+  if (video.file_path) {
+    await fs.unlink(video.file_path).catch(() => {});
+  }
+  await fs.unlink(getThumbnailPath(video.id)).catch(() => {});
+}
+
+module.exports = {
+  UPLOADS_DIR,
+  MAX_UPLOAD_SIZE,
+  ALLOWED_VIDEO_TYPES,
+  uploadMiddleware,
+  probeUploadedFile,
+  createVideoFromUpload,
+  getThumbnailPath,
+  generateThumbnail,
+  processUploadedVideo,
+  deleteUploadedFiles
+};
@@ -0,0 +1,235 @@
+/**
+ * Video Chat Service
+ * Answers questions about one video from its transcript, frame OCR and scene
+ * descriptions, and section summaries. Relevant passages are retrieved by vector
+ * similarity when the video is indexed for semantic search, by keyword overlap
+ * otherwise; the answer cites them as [n] and each citation carries a timestamp
+ * (and a frame ID for frames) so the player can seek to it.
+ *
+ * Without an LLM for the "chat" task the answer is extractive: the best matching
+ * sentences from the top passages, cited the same way.
+ */
+
+const pool = require('./db');
+const llmService = require('./llmService');
+const { tokenize, retrieveSources, sourceLabel } = require('./passageRetrieval');
+
+// Passages given to the model per question
+const MAX_SOURCES = 8;
+
+// Earlier messages sent along so follow-up questions make sense
+const HISTORY_MESSAGES = 6;
+
+const MAX_SOURCE_LENGTH = 700;
+
+/**
+ * Turn a retrieved passage into a citation
+ * @param {object} passage - Retrieved passage
+ * @param {number} index - Source number as cited in the answer
+ * @returns {object}
+ */
+function toCitation(passage, index) {
+  return {
+    index,
+    type: passage.sourceType,
+    start_time: passage.startTime,
+    end_time: passage.endTime,
+    frame_id: passage.sourceType === 'frame' ? passage.sourceId : null,
+    section_id: passage.sourceType === 'section' ? passage.sourceId : null,
+    excerpt: passage.content.length > 200 ? `${passage.content.substring(0, 200)}…` : passage.content
+  };
+}
+
+/**
+ * Keep the citations an answer actually refers to
+ * @param {string} answer - Answer with [n] markers
+ * @param {Array<object>} sources - Retrieved passages, cited 1-based
+ * @returns {Array<object>}
+ */
+function extractCitations(answer, sources) {
+  const cited = new Set();
+  for (const match of answer.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    match[1].split(',').forEach(n => cited.add(parseInt(n, 10)));
+  }
+
+  return [...cited]
+    .filter(n => n >= 1 && n <= sources.length)
+    .sort((a, b) => a - b)
+    .map(n => toCitation(sources[n - 1], n));
+}
+
+/**
+ * Build the prompt for the chat task
+ * @param {object} video - { title }
+ * @param {Array<object>} sources - Retrieved passages
+ * @param {Array<object>} history - Earlier messages, oldest first
+ * @param {string} question - New question
+ * @returns {string}
+ */
+function buildPrompt(video, sources, history, question) {
+  const sourceList = sources.map((passage, i) => {
+    const content = passage.content.length > MAX_SOURCE_LENGTH
+      ? `${passage.content.substring(0, MAX_SOURCE_LENGTH)}…`
+      : passage.content;
+    return `[${i + 1}] (${sourceLabel(passage)}) ${content}`;
+  }).join('\n\n');
+
+  const conversation = history.length > 0
+    ? `Conversation so far:\n${history.map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`).join('\n')}\n\n`
+    : '';
+
+  return `You answer questions about the video "${video.title}" using only the numbered sources below, which are excerpts of its transcript, descriptions of frames (including on-screen text) and section summaries.
+
+Sources:
+${sourceList}
+
+${conversation}Question: ${question}
+
+Guidelines:
+- Answer concisely in plain prose, in the language of the question
+- Cite every claim with the number of its source in square brackets, e.g. [2] or [1, 3]
+- If the sources do not contain the answer, say that the video does not seem to cover it
+- Do not use knowledge from outside the sources`;
+}
+
+/**
+ * Answer from the sources without an LLM: the best matching sentence of each top passage
+ * @param {Array<object>} sources - Retrieved passages
+ * @param {string} question - Question
+ * @param {object} [wording] - { intro, notCovered, maxPoints } for answers about something other than one video
+ * @returns {string}
+ */
+function buildExtractiveAnswer(sources, question, {
+  intro = 'Here is what the video says about this:',
+  notCovered = 'The video does not seem to cover this.',
+  maxPoints = 3
+} = {}) {
+  const queryTerms = new Set(tokenize(question));
+
+  const ranked = sources
+    .map((passage, i) => {
+      const sentences = passage.content
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(s => s.trim())
+        .filter(s => s.length > 0);
+      const best = sentences
+        .map(sentence => ({
+          sentence,
+          overlap: tokenize(sentence).filter(term => queryTerms.has(term)).length
+        }))
+        .sort((a, b) => b.overlap - a.overlap)[0];
+      return { index: i + 1, sentence: best ? best.sentence : passage.content, overlap: best ? best.overlap : 0 };
+    })
+    .filter(item => item.overlap > 0)
+    .sort((a, b) => b.overlap - a.overlap)
+    .slice(0, maxPoints)
+    .sort((a, b) => a.index - b.index);
+
+  if (ranked.length === 0) {
+    return notCovered;
+  }
+
+  return `${intro}\n\n${ranked
+    .map(item => `- ${item.sentence.replace(/\s+/g, ' ')} [${item.index}]`)
+    .join('\n')}`;
+}
+
+/**
+ * Get the conversation about a video
+ * @param {string} videoId - Video ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>} - Messages, oldest first
+ */
+async function getMessages(videoId, userId) {
+  const result = await pool.query(
+    `SELECT id, role, content, citations, provider, created_at
+     FROM video_chat_messages
+     WHERE video_id = $1 AND user_id = $2
+     ORDER BY created_at ASC, role DESC`,
+    [videoId, userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Store a message
+ * @param {string} videoId - Video ID
+ * @param {string} userId - User ID
+ * @param {object} message - { role, content, citations, provider }
+ * @returns {Promise<object>}
+ */
+async function addMessage(videoId, userId, { role, content, citations = [], provider = null }) {
+  const result = await pool.query(
+    `INSERT INTO video_chat_messages (video_id, user_id, role, content, citations, provider)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, role, content, citations, provider, created_at`,
+    [videoId, userId, role, content, JSON.stringify(citations), provider]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Ask a question about a video
+ * The question is stored before answering, so it stays in the history even if the answer fails.
+ * @param {object} video - Video record ({ id, title })
+ * @param {string} userId - User asking
+ * @param {string} question - Question text
+ * @returns {Promise<object>} - { question, answer } stored messages
+ */
+async function ask(video, userId, question) {
+  const history = (await getMessages(video.id, userId)).slice(-HISTORY_MESSAGES);
+  const previousQuestion = [...history].reverse().find(message => message.role === 'user');
+
+  const questionMessage = await addMessage(video.id, userId, { role: 'user', content: question });
+
+  const query = previousQuestion ? `${question} ${previousQuestion.content}` : question;
+  const sources = await retrieveSources([video.id], query, userId, { limit: MAX_SOURCES });
+
+  let content;
+  let provider;
+
+  if (sources.length === 0) {
+    content = 'There is no transcript, frame text or summary for this video to answer from yet.';
+    provider = 'local';
+  } else if (llmService.isTaskAvailable('chat')) {
+    content = (await llmService.generateText('chat', buildPrompt(video, sources, history, question), {
+      videoId: video.id,
+      userId
+    })).trim();
+    provider = llmService.getTaskProvider('chat').provider.name;
+  } else {
+    content = buildExtractiveAnswer(sources, question);
+    provider = 'local';
+  }
+
+  const answerMessage = await addMessage(video.id, userId, {
+    role: 'assistant',
+    content,
+    citations: extractCitations(content, sources),
+    provider
+  });
+
+  return { question: questionMessage, answer: answerMessage };
+}
+
+/**
+ * Delete the conversation about a video
+ * @param {string} videoId - Video ID
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Messages deleted
+ */
+async function clearMessages(videoId, userId) {
+  const result = await pool.query(
+    `DELETE FROM video_chat_messages WHERE video_id = $1 AND user_id = $2`,
+    [videoId, userId]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  ask,
+  getMessages,
+  clearMessages,
+  extractCitations,
+  buildExtractiveAnswer
+};
@@ -3,22 +3,25 @@
  */
 
 const pool = require('./db');
+const socketService = require('./socketService');
 
 /**
  * Create a new video record
- * @param {number} userId - User ID
+ * @param {string} workspaceId - Workspace the video belongs to
+ * @param {number} userId - User ID of the member adding it
  * @param {string} youtubeId - YouTube video ID (11 characters)
  * @param {string} originalUrl - Original YouTube URL provided by user
+ * @param {string} importBatchId - Import batch that created the video (optional)
  * @returns {Promise<object>} - Created video record
  */
-async function createVideo(userId, youtubeId, originalUrl) {
+async function createVideo(workspaceId, userId, youtubeId, originalUrl, importBatchId = null) {
   const client = await pool.connect();
   try {
     const result = await client.query(
-      `INSERT INTO videos (user_id, youtube_id, original_url, analysis_status, created_at, updated_at)
-       VALUES ($1, $2, $3, 'pending', NOW(), NOW())
+      `INSERT INTO videos (workspace_id, user_id, youtube_id, original_url, import_batch_id, analysis_status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, 'pending', NOW(), NOW())
        RETURNING *`,
-      [userId, youtubeId, originalUrl]
+      [workspaceId, userId, youtubeId, originalUrl, importBatchId]
     );
     return result.rows[0];
   } finally {
@@ -27,17 +30,50 @@ async function createVideo(userId, youtubeId, originalUrl) {
 }
 
 /**
- * Find a video by YouTube ID for a specific user
- * @param {number} userId - User ID
+ * Create a video record for an uploaded file
+ * @param {string} workspaceId - Workspace the video belongs to
+ * @param {number} userId - User ID of the member uploading it
+ * @param {object} upload - Uploaded file details
+ * @param {string} upload.title - Video title
+ * @param {string} upload.filePath - Absolute path of the stored file
+ * @param {string} upload.originalFilename - File name as uploaded
+ * @param {number} upload.fileSize - File size in bytes
+ * @param {string} upload.mimeType - File MIME type
+ * @param {number} upload.duration - Duration in seconds (from ffprobe)
+ * @returns {Promise<object>} - Created video record
+ */
+async function createUploadedVideo(workspaceId, userId, upload) {
+  const { title, filePath, originalFilename, fileSize, mimeType, duration } = upload;
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `INSERT INTO videos (
+         workspace_id, user_id, source_type, title, duration, file_path, original_filename,
+         file_size, mime_type, analysis_status, created_at, updated_at
+       )
+       VALUES ($1, $2, 'upload', $3, $4, $5, $6, $7, $8, 'pending', NOW(), NOW())
+       RETURNING *`,
+      [workspaceId, userId, title, duration, filePath, originalFilename, fileSize, mimeType]
+    );
+    return result.rows[0];
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Find a video by YouTube ID within a workspace
+ * @param {string} workspaceId - Workspace ID
  * @param {string} youtubeId - YouTube video ID
  * @returns {Promise<object|null>} - Video record or null
  */
-async function findVideoByYoutubeId(userId, youtubeId) {
+async function findVideoByYoutubeId(workspaceId, youtubeId) {
   const client = await pool.connect();
   try {
     const result = await client.query(
-      `SELECT * FROM videos WHERE user_id = $1 AND youtube_id = $2`,
-      [userId, youtubeId]
+      `SELECT * FROM videos WHERE workspace_id = $1 AND youtube_id = $2`,
+      [workspaceId, youtubeId]
     );
     return result.rows[0] || null;
   } finally {
@@ -64,8 +100,8 @@ async function findVideoById(videoId) {
 }
 
 /**
- * Find all videos for a user with pagination
- * @param {number} userId - User ID
+ * Find all videos in a workspace with pagination
+ * @param {string} workspaceId - Workspace ID
  * @param {object} options - Query options
  * @param {number} options.limit - Number of records to return (default 10)
  * @param {number} options.offset - Number of records to skip (default 0)
@@ -73,7 +109,7 @@ async function findVideoById(videoId) {
  * @param {string} options.orderDir - Order direction 'ASC' or 'DESC' (default 'DESC')
  * @returns {Promise<{videos: Array, total: number}>} - Videos and total count
  */
-async function findVideosByUser(userId, options = {}) {
+async function findVideosByWorkspace(workspaceId, options = {}) {
   const {
     limit = 10,
     offset = 0,
@@ -91,16 +127,16 @@ async function findVideosByUser(userId, options = {}) {
     // Get videos
     const videosResult = await client.query(
       `SELECT * FROM videos
-       WHERE user_id = $1
+       WHERE workspace_id = $1
        ORDER BY ${column} ${direction}
        LIMIT $2 OFFSET $3`,
-      [userId, limit, offset]
+      [workspaceId, limit, offset]
     );
 
     // Get total count
     const countResult = await client.query(
-      `SELECT COUNT(*) FROM videos WHERE user_id = $1`,
-      [userId]
+      `SELECT COUNT(*) FROM videos WHERE workspace_id = $1`,
+      [workspaceId]
     );
 
     return {
@@ -114,6 +150,7 @@ async function findVideosByUser(userId, options = {}) {
 
 /**
  * Update video status
+ * Also pushes a video:status event to the socket room of the video's workspace
  * @param {number} videoId - Video database ID
  * @param {string} status - New status (pending, processing, completed, failed)
  * @returns {Promise<object>} - Updated video record
@@ -128,7 +165,16 @@ async function updateVideoStatus(videoId, status) {
        RETURNING *`,
       [status, videoId]
     );
-    return result.rows[0];
+
+    const video = result.rows[0];
+    if (video) {
+      socketService.emitToWorkspace(video.workspace_id, 'video:status', {
+        videoId: video.id,
+        status: video.analysis_status
+      });
+    }
+
+    return video;
   } finally {
     client.release();
   }
@@ -214,9 +260,10 @@ async function deleteVideo(videoId) {
 
 module.exports = {
   createVideo,
+  createUploadedVideo,
   findVideoByYoutubeId,
   findVideoById,
-  findVideosByUser,
+  findVideosByWorkspace,
   updateVideoStatus,
   updateVideoMetadata,
   deleteVideo
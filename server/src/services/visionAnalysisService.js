@@ -4,9 +4,25 @@
  */
 
 const pool = require('./db');
-const geminiService = require('./geminiService');
+const llmService = require('./llmService');
 const fs = require('fs').promises;
 
+const FRAME_ANALYSIS_PROMPT = `Analyze this video frame and provide a detailed JSON response with the following structure:
+{
+  "scene_description": "A brief description of the overall scene (1-2 sentences)",
+  "visual_elements": {
+    "objects": ["list of visible objects"],
+    "people": ["description of people if any"],
+    "text_elements": ["any visible text or UI elements"],
+    "colors": ["dominant colors"],
+    "composition": "brief description of visual composition"
+  },
+  "on_screen_text": "Any readable text visible in the frame",
+  "content_type": "category of content (e.g., 'tutorial', 'presentation', 'gaming', 'vlog', 'documentary', 'entertainment', 'educational', 'commercial', 'news', 'other')"
+}
+
+Provide ONLY the JSON response, no additional text.`;
+
 class VisionAnalysisService {
   constructor() {
     this.dailyLimit = 1500; // Gemini free tier daily limit
@@ -81,17 +97,57 @@ class VisionAnalysisService {
     }
   }
 
+  /**
+   * Whether the daily limit applies to the configured vision provider
+   * Only Gemini's free tier is capped; other providers are limited by their own billing or hardware
+   */
+  hasDailyLimit() {
+    return llmService.getTaskProvider('vision').provider.name === 'gemini';
+  }
+
   /**
    * Check if we're within daily limits
    */
   async checkDailyLimit() {
     const stats = await this.getUsageStats();
-    if (stats.callsToday >= this.dailyLimit) {
+    if (this.hasDailyLimit() && stats.callsToday >= this.dailyLimit) {
       throw new Error(`Daily Gemini API limit reached (${this.dailyLimit} calls per day)`);
     }
     return stats;
   }
 
+  /**
+   * Analyze a single frame with the vision provider
+   * @param {string} framePath - Path to the frame image file
+   * @param {string} videoId - Video UUID, recorded with LLM usage
+   * @returns {Object} Analysis results
+   */
+  async analyzeFrame(framePath, videoId = null) {
+    const text = await llmService.analyzeImage('vision', framePath, FRAME_ANALYSIS_PROMPT, { videoId });
+
+    let analysis;
+    try {
+      // Remove markdown code blocks if present
+      const cleanedText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+      analysis = JSON.parse(cleanedText);
+    } catch (parseError) {
+      console.error('Failed to parse vision response:', text);
+      throw new Error('Failed to parse vision response as JSON');
+    }
+
+    if (!analysis.scene_description || !analysis.visual_elements || !analysis.content_type) {
+      throw new Error('Invalid response structure from vision provider');
+    }
+
+    return {
+      scene_description: analysis.scene_description,
+      visual_elements: analysis.visual_elements,
+      on_screen_text: analysis.on_screen_text || '',
+      content_type: analysis.content_type,
+      raw_analysis: analysis
+    };
+  }
+
   /**
    * Get frames for a video
    */
@@ -99,7 +155,8 @@ class VisionAnalysisService {
     const {
       limit = 100,
       offset = 0,
-      onlyWithoutAnalysis = false
+      onlyWithoutAnalysis = false,
+      excludeDuplicates = false
     } = options;
 
     let query = `
@@ -115,6 +172,10 @@ class VisionAnalysisService {
       query += ` AND raw_analysis IS NULL`;
     }
 
+    if (excludeDuplicates) {
+      query += ` AND duplicate_of IS NULL`;
+    }
+
     query += ` ORDER BY timestamp_seconds ASC LIMIT $2 OFFSET $3`;
     params.push(limit, offset);
 
@@ -131,10 +192,11 @@ class VisionAnalysisService {
       maxFrames = 40     // Maximum frames to analyze
     } = options;
 
-    // Get all frames without analysis
+    // Get all frames without analysis; near-duplicates would only spend quota on the same image
     const allFrames = await this.getVideoFrames(videoId, {
       limit: 1000,
-      onlyWithoutAnalysis: true
+      onlyWithoutAnalysis: true,
+      excludeDuplicates: true
     });
 
     if (allFrames.length === 0) {
@@ -190,6 +252,16 @@ class VisionAnalysisService {
     } = options;
 
     try {
+      if (!llmService.isTaskAvailable('vision')) {
+        return {
+          success: true,
+          message: 'No vision provider available',
+          analyzed: 0,
+          failed: 0,
+          skipped: 0
+        };
+      }
+
       // Check daily limit
       await this.checkDailyLimit();
 
@@ -213,7 +285,7 @@ class VisionAnalysisService {
 
       // Check if we'll exceed daily limit
       const stats = await this.getUsageStats();
-      if (stats.remainingToday < frames.length) {
+      if (this.hasDailyLimit() && stats.remainingToday < frames.length) {
         console.warn(`Warning: Analyzing ${frames.length} frames but only ${stats.remainingToday} calls remaining today`);
       }
 
@@ -240,13 +312,13 @@ class VisionAnalysisService {
 
           // Check daily limit before each call
           const currentStats = await this.getUsageStats();
-          if (currentStats.callsToday >= this.dailyLimit) {
+          if (this.hasDailyLimit() && currentStats.callsToday >= this.dailyLimit) {
             console.warn('Daily limit reached during batch processing');
             break;
           }
 
           // Analyze frame
-          const analysis = await geminiService.analyzeFrame(frame.frame_path);
+          const analysis = await this.analyzeFrame(frame.frame_path, videoId);
 
           // Update frame in database
           await this.updateFrameAnalysis(frame.id, analysis);
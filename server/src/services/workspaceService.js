@@ -0,0 +1,372 @@
+/**
+ * Workspace service
+ * Workspaces own videos, folders, tags and saves; users reach them through membership.
+ * Roles rank owner > editor > viewer: viewers read, editors change content, owners manage members.
+ */
+
+const pool = require('./db');
+
+const ROLES = ['viewer', 'editor', 'owner'];
+
+/**
+ * Check whether a role is at least as strong as another
+ * @param {string} role - Member's role
+ * @param {string} minRole - Required role
+ * @returns {boolean}
+ */
+function hasRole(role, minRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+/**
+ * Create the personal workspace of a new user
+ * @param {string} userId - User ID
+ * @param {object} [db] - Database client (pass the transaction client when called inside one)
+ * @returns {Promise<object>} - Workspace record
+ */
+async function createPersonalWorkspace(userId, db = pool) {
+  const result = await db.query(
+    `INSERT INTO workspaces (name, created_by, is_personal)
+     VALUES ('Personal', $1, true)
+     RETURNING *`,
+    [userId]
+  );
+
+  const workspace = result.rows[0];
+
+  await db.query(
+    `INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'owner')`,
+    [workspace.id, userId]
+  );
+
+  return workspace;
+}
+
+/**
+ * Get a user's personal workspace, creating it if the user predates workspaces
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} - Workspace record with role 'owner'
+ */
+async function getPersonalWorkspace(userId) {
+  const result = await pool.query(
+    `SELECT w.*, wm.role
+     FROM workspaces w
+     JOIN workspace_members wm ON wm.workspace_id = w.id AND wm.user_id = $1
+     WHERE w.created_by = $1 AND w.is_personal`,
+    [userId]
+  );
+
+  if (result.rows.length > 0) {
+    return result.rows[0];
+  }
+
+  const workspace = await createPersonalWorkspace(userId);
+  return { ...workspace, role: 'owner' };
+}
+
+/**
+ * Get a workspace the user is a member of
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} - Workspace record with the user's role, or null if not a member
+ */
+async function getMembership(workspaceId, userId) {
+  const result = await pool.query(
+    `SELECT w.*, wm.role
+     FROM workspaces w
+     JOIN workspace_members wm ON wm.workspace_id = w.id
+     WHERE w.id = $1 AND wm.user_id = $2`,
+    [workspaceId, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * List the workspaces a user belongs to, personal workspace first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Workspaces with role and member_count
+ */
+async function getWorkspacesForUser(userId) {
+  const result = await pool.query(
+    `SELECT
+      w.id,
+      w.name,
+      w.is_personal,
+      w.created_at,
+      wm.role,
+      (SELECT COUNT(*) FROM workspace_members m WHERE m.workspace_id = w.id) AS member_count
+     FROM workspaces w
+     JOIN workspace_members wm ON wm.workspace_id = w.id
+     WHERE wm.user_id = $1
+     ORDER BY w.is_personal DESC, w.name ASC`,
+    [userId]
+  );
+
+  return result.rows.map(row => ({ ...row, member_count: parseInt(row.member_count, 10) }));
+}
+
+/**
+ * Create a shared workspace owned by the user
+ * @param {string} userId - Owner's user ID
+ * @param {string} name - Workspace name
+ * @returns {Promise<object>} - Workspace record with role 'owner'
+ */
+async function createWorkspace(userId, name) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO workspaces (name, created_by) VALUES ($1, $2) RETURNING *`,
+      [name.trim(), userId]
+    );
+    const workspace = result.rows[0];
+
+    await client.query(
+      `INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'owner')`,
+      [workspace.id, userId]
+    );
+
+    await client.query('COMMIT');
+    return { ...workspace, role: 'owner', member_count: 1 };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Rename a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} name - New name
+ * @returns {Promise<object|null>} - Updated workspace or null if not found
+ */
+async function renameWorkspace(workspaceId, name) {
+  const result = await pool.query(
+    `UPDATE workspaces SET name = $1 WHERE id = $2 RETURNING *`,
+    [name.trim(), workspaceId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a shared workspace and everything in it
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<boolean>} - True if deleted
+ * @throws {Error} - "Personal workspaces cannot be deleted"
+ */
+async function deleteWorkspace(workspaceId) {
+  const workspace = await pool.query('SELECT is_personal FROM workspaces WHERE id = $1', [workspaceId]);
+
+  if (workspace.rows.length === 0) {
+    return false;
+  }
+
+  if (workspace.rows[0].is_personal) {
+    throw new Error('Personal workspaces cannot be deleted');
+  }
+
+  await pool.query('DELETE FROM workspaces WHERE id = $1', [workspaceId]);
+  return true;
+}
+
+/**
+ * List the members of a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array>} - Members with user details and role
+ */
+async function getMembers(workspaceId) {
+  const result = await pool.query(
+    `SELECT u.id, u.email, u.first_name, u.last_name, u.avatar_url, wm.role, wm.created_at AS joined_at
+     FROM workspace_members wm
+     JOIN users u ON wm.user_id = u.id
+     WHERE wm.workspace_id = $1
+     ORDER BY wm.created_at ASC`,
+    [workspaceId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Count the owners of a workspace
+ * @param {object} client - Database client
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<number>}
+ */
+async function countOwners(client, workspaceId) {
+  const result = await client.query(
+    `SELECT COUNT(*) FROM workspace_members WHERE workspace_id = $1 AND role = 'owner'`,
+    [workspaceId]
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Add an existing user to a workspace by email
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} email - Email of the user to add
+ * @param {string} role - 'owner', 'editor' or 'viewer'
+ * @returns {Promise<object>} - Added member
+ * @throws {Error} - "Invalid role", "Members cannot be added to a personal workspace",
+ *   "User not found" or "User is already a member"
+ */
+async function addMember(workspaceId, email, role) {
+  if (!ROLES.includes(role)) {
+    throw new Error('Invalid role');
+  }
+
+  const workspace = await pool.query('SELECT is_personal FROM workspaces WHERE id = $1', [workspaceId]);
+  if (workspace.rows[0]?.is_personal) {
+    throw new Error('Members cannot be added to a personal workspace');
+  }
+
+  const user = await pool.query(
+    'SELECT id FROM users WHERE LOWER(email) = LOWER($1)',
+    [email.trim()]
+  );
+
+  if (user.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  const result = await pool.query(
+    `INSERT INTO workspace_members (workspace_id, user_id, role)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (workspace_id, user_id) DO NOTHING
+     RETURNING user_id`,
+    [workspaceId, user.rows[0].id, role]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('User is already a member');
+  }
+
+  const members = await getMembers(workspaceId);
+  return members.find(member => member.id === user.rows[0].id);
+}
+
+/**
+ * Change a member's role
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - Member's user ID
+ * @param {string} role - New role
+ * @returns {Promise<object|null>} - Updated member or null if not a member
+ * @throws {Error} - "Invalid role" or "A workspace needs at least one owner"
+ */
+async function updateMemberRole(workspaceId, userId, role) {
+  if (!ROLES.includes(role)) {
+    throw new Error('Invalid role');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Serialize role changes so two owners cannot demote each other at once
+    await client.query('SELECT id FROM workspaces WHERE id = $1 FOR UPDATE', [workspaceId]);
+
+    const result = await client.query(
+      `UPDATE workspace_members SET role = $1
+       WHERE workspace_id = $2 AND user_id = $3
+       RETURNING user_id`,
+      [role, workspaceId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (await countOwners(client, workspaceId) === 0) {
+      throw new Error('A workspace needs at least one owner');
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const members = await getMembers(workspaceId);
+  return members.find(member => member.id === userId);
+}
+
+/**
+ * Remove a member from a workspace (also used to leave one)
+ * Content the member created stays in the workspace.
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - Member's user ID
+ * @returns {Promise<boolean>} - True if removed
+ * @throws {Error} - "A workspace needs at least one owner" or "You cannot leave your personal workspace"
+ */
+async function removeMember(workspaceId, userId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const workspace = await client.query(
+      'SELECT created_by, is_personal FROM workspaces WHERE id = $1 FOR UPDATE',
+      [workspaceId]
+    );
+
+    if (workspace.rows[0]?.is_personal && workspace.rows[0].created_by === userId) {
+      throw new Error('You cannot leave your personal workspace');
+    }
+
+    const result = await client.query(
+      'DELETE FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+      [workspaceId, userId]
+    );
+
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    if (await countOwners(client, workspaceId) === 0) {
+      throw new Error('A workspace needs at least one owner');
+    }
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the workspace a video belongs to
+ * @param {string} videoId - Video ID
+ * @returns {Promise<string|null>} - Workspace ID or null if the video is gone
+ */
+async function getWorkspaceIdForVideo(videoId) {
+  const result = await pool.query('SELECT workspace_id FROM videos WHERE id = $1', [videoId]);
+  return result.rows[0]?.workspace_id || null;
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  createPersonalWorkspace,
+  getPersonalWorkspace,
+  getMembership,
+  getWorkspacesForUser,
+  createWorkspace,
+  renameWorkspace,
+  deleteWorkspace,
+  getMembers,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  getWorkspaceIdForVideo
+};
@@ -42,88 +42,260 @@ async function fetchAndStoreMetadata(youtubeId, dbVideoId) {
 }
 
 /**
- * Fetch transcript from YouTube and store in database
- * @param {string} youtubeId - YouTube video ID
+ * Store a transcript track for a video, replacing an existing track in the same language
  * @param {string} dbVideoId - Database video ID
+ * @param {object} transcriptData - Transcript ({ full_text, segments, type, language, source_language })
+ * @param {object} options - Storage options
+ * @param {boolean} options.primary - Make this the primary track (default: true).
+ *   The first track stored for a video is always primary.
  * @returns {Promise<object>} - Transcription record
  */
-async function fetchAndStoreTranscript(youtubeId, dbVideoId) {
-  console.log(`Fetching transcript for video: ${youtubeId}`);
+async function storeTranscript(dbVideoId, transcriptData, options = {}) {
+  const { primary = true } = options;
 
   const client = await pool.connect();
   try {
-    // Fetch transcript from Python script
-    const transcriptData = await pythonService.getTranscript(youtubeId);
+    await client.query('BEGIN');
 
-    // Check if transcript already exists
+    // Check if a track in this language already exists
     const existingResult = await client.query(
-      'SELECT id FROM transcriptions WHERE video_id = $1',
+      `SELECT id, is_primary FROM transcriptions
+       WHERE video_id = $1 AND language IS NOT DISTINCT FROM $2`,
+      [dbVideoId, transcriptData.language || null]
+    );
+    const existing = existingResult.rows[0];
+
+    const primaryResult = await client.query(
+      'SELECT id FROM transcriptions WHERE video_id = $1 AND is_primary = true',
       [dbVideoId]
     );
+    const isPrimary = primary || primaryResult.rows.length === 0 || Boolean(existing?.is_primary);
+
+    if (isPrimary) {
+      await client.query(
+        'UPDATE transcriptions SET is_primary = false WHERE video_id = $1 AND is_primary = true',
+        [dbVideoId]
+      );
+    }
+
+    const values = [
+      transcriptData.full_text,
+      JSON.stringify(transcriptData.segments),
+      transcriptData.type,
+      transcriptData.language || null,
+      isPrimary,
+      transcriptData.source_language || null
+    ];
 
     let transcription;
 
-    if (existingResult.rows.length > 0) {
-      // Update existing transcript
+    if (existing) {
+      // Update existing track
       const updateResult = await client.query(
         `UPDATE transcriptions
-         SET full_text = $1, segments = $2, transcript_type = $3, language = $4
-         WHERE video_id = $5
+         SET full_text = $1, segments = $2, transcript_type = $3, language = $4,
+             is_primary = $5, source_language = $6
+         WHERE id = $7
          RETURNING *`,
-        [
-          transcriptData.full_text,
-          JSON.stringify(transcriptData.segments),
-          transcriptData.type,
-          transcriptData.language,
-          dbVideoId
-        ]
+        [...values, existing.id]
       );
       transcription = updateResult.rows[0];
     } else {
-      // Insert new transcript
+      // Insert new track
       const insertResult = await client.query(
-        `INSERT INTO transcriptions (video_id, full_text, segments, transcript_type, language)
-         VALUES ($1, $2, $3, $4, $5)
+        `INSERT INTO transcriptions (full_text, segments, transcript_type, language, is_primary, source_language, video_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
          RETURNING *`,
-        [
-          dbVideoId,
-          transcriptData.full_text,
-          JSON.stringify(transcriptData.segments),
-          transcriptData.type,
-          transcriptData.language
-        ]
+        [...values, dbVideoId]
       );
       transcription = insertResult.rows[0];
     }
 
-    console.log(`Transcript stored for video: ${youtubeId}`);
+    await client.query('COMMIT');
     return transcription;
   } catch (error) {
-    console.error(`Failed to fetch transcript for ${youtubeId}:`, error.message);
+    await client.query('ROLLBACK');
     throw error;
   } finally {
     client.release();
   }
 }
 
+/**
+ * Fetch transcript from YouTube and store in database
+ * @param {string} youtubeId - YouTube video ID
+ * @param {string} dbVideoId - Database video ID
+ * @returns {Promise<object>} - Transcription record
+ */
+async function fetchAndStoreTranscript(youtubeId, dbVideoId) {
+  console.log(`Fetching transcript for video: ${youtubeId}`);
+
+  try {
+    // Fetch transcript from Python script
+    const transcriptData = await pythonService.getTranscript(youtubeId);
+
+    const transcription = await storeTranscript(dbVideoId, transcriptData);
+
+    console.log(`Transcript stored for video: ${youtubeId}`);
+    return transcription;
+  } catch (error) {
+    console.error(`Failed to fetch transcript for ${youtubeId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetch an additional caption track from YouTube and store it
+ * @param {object} video - Video record from database
+ * @param {string} language - Language code of the track to add
+ * @param {object} options - Options
+ * @param {boolean} options.translate - Machine-translate the primary track instead of
+ *   fetching a native track in this language
+ * @returns {Promise<object>} - Transcription record
+ */
+async function fetchAndStoreTranscriptTrack(video, language, options = {}) {
+  const { translate = false } = options;
+
+  if (!video.youtube_id) {
+    throw new Error('Caption tracks are only available for YouTube videos');
+  }
+
+  let transcriptData;
+
+  if (translate) {
+    const primaryTrack = await getTranscriptByVideoId(video.id);
+    if (!primaryTrack || primaryTrack.transcript_type === 'asr') {
+      throw new Error('No YouTube caption track to translate from');
+    }
+
+    transcriptData = await pythonService.getTranscript(video.youtube_id, {
+      language: primaryTrack.source_language || primaryTrack.language,
+      translateTo: language
+    });
+  } else {
+    transcriptData = await pythonService.getTranscript(video.youtube_id, { language });
+  }
+
+  // Carry speaker labels over from the primary track when it has been diarized
+  const primaryTrack = await getTranscriptByVideoId(video.id);
+  if (primaryTrack?.diarized_at && Array.isArray(primaryTrack.segments)) {
+    const { assignSpeakersByOverlap } = require('./diarizationService');
+    transcriptData.segments = assignSpeakersByOverlap(transcriptData.segments, primaryTrack.segments);
+  }
+
+  const transcription = await storeTranscript(video.id, transcriptData, { primary: false });
+  console.log(`Transcript track ${transcription.language} stored for video: ${video.youtube_id}`);
+  return transcription;
+}
+
 /**
  * Get transcript for a video
  * @param {string} videoId - Database video ID
+ * @param {string} language - Track language (optional, defaults to the primary track)
  * @returns {Promise<object|null>} - Transcription record or null
  */
-async function getTranscriptByVideoId(videoId) {
+async function getTranscriptByVideoId(videoId, language = null) {
+  const client = await pool.connect();
+  try {
+    const result = language
+      ? await client.query(
+        'SELECT * FROM transcriptions WHERE video_id = $1 AND language = $2',
+        [videoId, language]
+      )
+      : await client.query(
+        `SELECT * FROM transcriptions
+         WHERE video_id = $1
+         ORDER BY is_primary DESC, created_at ASC
+         LIMIT 1`,
+        [videoId]
+      );
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List the transcript tracks stored for a video
+ * @param {string} videoId - Database video ID
+ * @returns {Promise<Array>} - Tracks without segments, primary first
+ */
+async function listTranscriptTracks(videoId) {
   const client = await pool.connect();
   try {
     const result = await client.query(
-      'SELECT * FROM transcriptions WHERE video_id = $1',
+      `SELECT
+         id,
+         language,
+         transcript_type,
+         is_primary,
+         source_language,
+         jsonb_array_length(COALESCE(segments, '[]'::jsonb)) AS segment_count,
+         created_at
+       FROM transcriptions
+       WHERE video_id = $1
+       ORDER BY is_primary DESC, language ASC`,
       [videoId]
     );
-    return result.rows[0] || null;
+    return result.rows;
   } finally {
     client.release();
   }
 }
 
+/**
+ * Detect sections and generate the video summary from a stored transcript,
+ * then queue speaker detection for interviews and podcasts and semantic search indexing
+ * Failures are logged and swallowed - the transcript is still usable without them
+ * @param {object} video - Video record from database
+ * @returns {Promise<void>}
+ */
+async function generateSectionsAndSummary(video) {
+  const label = video.youtube_id || video.id;
+
+  try {
+    console.log(`Detecting sections for video: ${label}`);
+    const sectionDetectionService = require('./sectionDetectionService');
+    const result = await sectionDetectionService.detectSections(video.id);
+    console.log(`Sections detected for video ${label}: ${result.sections?.length || 0} sections`);
+
+    // Generate video summary (if sections were detected)
+    if (result.sections && result.sections.length > 0) {
+      try {
+        console.log(`Generating summary for video: ${label}`);
+        const summaryService = require('./summaryService');
+        await summaryService.generateEnhancedVideoSummary(video.id);
+        console.log(`Summary generated for video: ${label}`);
+      } catch (summaryError) {
+        console.error(`Failed to generate summary for ${label}:`, summaryError.message);
+        // Continue anyway - sections are still available
+      }
+    } else {
+      console.log(`No sections detected for ${label}, skipping summary generation`);
+    }
+  } catch (sectionError) {
+    console.error(`Failed to detect sections for ${label}:`, sectionError.message);
+    // Continue anyway - transcript is still available
+  }
+
+  try {
+    const diarizationService = require('./diarizationService');
+    const job = await diarizationService.queueIfConversation(video.id);
+    if (job) {
+      console.log(`Queued speaker detection for video: ${label}`);
+    }
+  } catch (diarizationError) {
+    console.error(`Failed to queue speaker detection for ${label}:`, diarizationError.message);
+  }
+
+  try {
+    const embeddingService = require('./embeddingService');
+    await embeddingService.queueVideoIndex(video.id);
+  } catch (embeddingError) {
+    console.error(`Failed to queue search indexing for ${label}:`, embeddingError.message);
+  }
+}
+
 /**
  * Process video - fetch metadata and transcript
  * @param {object} video - Video record from database
@@ -144,37 +316,25 @@ async function processVideo(video) {
       await videoService.updateVideoStatus(video.id, 'transcript_complete');
       transcriptAvailable = true;
     } catch (transcriptError) {
-      // Transcript might not be available - continue anyway
       console.log(`Transcript not available for ${video.youtube_id}: ${transcriptError.message}`);
+
+      // Fall back to local speech-to-text; the transcription worker finishes processing
+      const asrService = require('./asrService');
+      if (asrService.isAsrAvailable()) {
+        const analysisJobService = require('./analysisJobService');
+        await analysisJobService.queueTranscription(video);
+        await videoService.updateVideoStatus(video.id, 'transcription_queued');
+        console.log(`Queued local transcription for video: ${video.youtube_id}`);
+        return;
+      }
+
+      // No captions and no ASR - continue without a transcript
       await videoService.updateVideoStatus(video.id, 'transcript_unavailable');
     }
 
     // Step 3: Detect sections and generate summaries (if transcript is available)
     if (transcriptAvailable) {
-      try {
-        console.log(`Detecting sections for video: ${video.youtube_id}`);
-        const sectionDetectionService = require('./sectionDetectionService');
-        const result = await sectionDetectionService.detectSections(video.id);
-        console.log(`Sections detected for video ${video.youtube_id}: ${result.sections?.length || 0} sections`);
-
-        // Step 4: Generate video summary (if sections were detected)
-        if (result.sections && result.sections.length > 0) {
-          try {
-            console.log(`Generating summary for video: ${video.youtube_id}`);
-            const summaryService = require('./summaryService');
-            await summaryService.generateEnhancedVideoSummary(video.id);
-            console.log(`Summary generated for video: ${video.youtube_id}`);
-          } catch (summaryError) {
-            console.error(`Failed to generate summary for ${video.youtube_id}:`, summaryError.message);
-            // Continue anyway - sections are still available
-          }
-        } else {
-          console.log(`No sections detected for ${video.youtube_id}, skipping summary generation`);
-        }
-      } catch (sectionError) {
-        console.error(`Failed to detect sections for ${video.youtube_id}:`, sectionError.message);
-        // Continue anyway - transcript is still available
-      }
+      await generateSectionsAndSummary(video);
     }
 
     // Final status
@@ -190,37 +350,38 @@ async function processVideo(video) {
 /**
  * Search within a transcript
  * @param {string} videoId - Database video ID
- * @param {string} query - Search query
+ * @param {string} query - Search query (may be empty when filtering by speaker)
+ * @param {object} options - Filters
+ * @param {string} options.language - Track language (optional, defaults to the primary track)
+ * @param {string} options.speaker - Only segments by this speaker key (optional)
  * @returns {Promise<Array>} - Matching segments
  */
-async function searchTranscript(videoId, query) {
-  const client = await pool.connect();
-  try {
-    const result = await client.query(
-      'SELECT segments FROM transcriptions WHERE video_id = $1',
-      [videoId]
-    );
+async function searchTranscript(videoId, query, options = {}) {
+  const { language = null, speaker = null } = options;
+  const transcript = await getTranscriptByVideoId(videoId, language);
 
-    if (!result.rows[0]) {
-      return [];
-    }
+  if (!transcript) {
+    return [];
+  }
 
-    const segments = result.rows[0].segments || [];
-    const lowerQuery = query.toLowerCase();
+  const segments = transcript.segments || [];
+  const lowerQuery = (query || '').toLowerCase();
 
-    // Filter segments that contain the query
-    return segments.filter(segment =>
-      segment.text.toLowerCase().includes(lowerQuery)
-    );
-  } finally {
-    client.release();
-  }
+  // Filter segments that contain the query (and belong to the speaker)
+  return segments.filter(segment =>
+    segment.text.toLowerCase().includes(lowerQuery) &&
+    (!speaker || segment.speaker === speaker)
+  );
 }
 
 module.exports = {
   fetchAndStoreMetadata,
+  storeTranscript,
   fetchAndStoreTranscript,
+  fetchAndStoreTranscriptTrack,
+  generateSectionsAndSummary,
   getTranscriptByVideoId,
+  listTranscriptTracks,
   processVideo,
   searchTranscript
 };
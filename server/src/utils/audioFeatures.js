@@ -0,0 +1,295 @@
+const fs = require('fs').promises;
+
+/**
+ * Audio Feature Utility
+ *
+ * Reads PCM WAV files and computes MFCC voice features in plain JavaScript,
+ * so speaker diarization runs offline without native or Python dependencies
+ */
+
+const FRAME_MS = 25;
+const HOP_MS = 10;
+const FFT_SIZE = 512;
+const MEL_FILTERS = 26;
+const MFCC_COUNT = 13;
+const PRE_EMPHASIS = 0.97;
+
+/**
+ * Read a 16-bit PCM WAV file
+ * Multi-channel audio is mixed down to mono
+ *
+ * @param {string} wavPath - Path to WAV file
+ * @returns {Promise<Object>} - { sampleRate, samples: Float32Array in [-1, 1] }
+ */
+async function readWav(wavPath) {
+  const buffer = await fs.readFile(wavPath);
+
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let offset = 12;
+  let format = null;
+
+  // Walk the RIFF chunks to find the format and data
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const chunkStart = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(chunkStart),
+        channels: buffer.readUInt16LE(chunkStart + 2),
+        sampleRate: buffer.readUInt32LE(chunkStart + 4),
+        bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+      };
+    } else if (chunkId === 'data') {
+      if (!format) {
+        throw new Error('WAV data chunk found before format chunk');
+      }
+      if (format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+        throw new Error('Only 16-bit PCM WAV files are supported');
+      }
+
+      // ffmpeg writes a placeholder size when streaming; clamp to the file
+      const dataEnd = Math.min(chunkStart + chunkSize, buffer.length);
+      const frameCount = Math.floor((dataEnd - chunkStart) / (2 * format.channels));
+      const samples = new Float32Array(frameCount);
+
+      for (let i = 0; i < frameCount; i++) {
+        let sum = 0;
+        for (let c = 0; c < format.channels; c++) {
+          sum += buffer.readInt16LE(chunkStart + (i * format.channels + c) * 2);
+        }
+        samples[i] = sum / format.channels / 32768;
+      }
+
+      return { sampleRate: format.sampleRate, samples };
+    }
+
+    // Chunks are padded to an even size
+    offset = chunkStart + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error('WAV file has no data chunk');
+}
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float64Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ */
+function fft(re, im) {
+  const n = re.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = (-2 * Math.PI) / len;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+
+    for (let i = 0; i < n; i += len) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let j = 0; j < len / 2; j++) {
+        const aRe = re[i + j];
+        const aIm = im[i + j];
+        const bRe = re[i + j + len / 2] * curRe - im[i + j + len / 2] * curIm;
+        const bIm = re[i + j + len / 2] * curIm + im[i + j + len / 2] * curRe;
+
+        re[i + j] = aRe + bRe;
+        im[i + j] = aIm + bIm;
+        re[i + j + len / 2] = aRe - bRe;
+        im[i + j + len / 2] = aIm - bIm;
+
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+/**
+ * Build triangular mel filters over the FFT bins
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<Float64Array>} - One weight array per filter
+ */
+function buildMelFilterbank(sampleRate) {
+  const toMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+  const toHz = (mel) => 700 * (10 ** (mel / 2595) - 1);
+
+  const bins = FFT_SIZE / 2 + 1;
+  const maxMel = toMel(sampleRate / 2);
+  const points = [];
+
+  for (let i = 0; i < MEL_FILTERS + 2; i++) {
+    const hz = toHz((maxMel * i) / (MEL_FILTERS + 1));
+    points.push(Math.floor(((FFT_SIZE + 1) * hz) / sampleRate));
+  }
+
+  const filters = [];
+  for (let m = 1; m <= MEL_FILTERS; m++) {
+    const filter = new Float64Array(bins);
+    for (let k = points[m - 1]; k < points[m]; k++) {
+      filter[k] = (k - points[m - 1]) / Math.max(1, points[m] - points[m - 1]);
+    }
+    for (let k = points[m]; k < points[m + 1]; k++) {
+      filter[k] = (points[m + 1] - k) / Math.max(1, points[m + 1] - points[m]);
+    }
+    filters.push(filter);
+  }
+
+  return filters;
+}
+
+/**
+ * Compute MFCCs for a range of samples
+ * Frames quieter than the range's energy floor are skipped so pauses don't dilute the voice profile
+ *
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} start - First sample index
+ * @param {number} end - Sample index after the last sample
+ * @param {Array<Float64Array>} filterbank - Mel filters from buildMelFilterbank
+ * @returns {Array<Float64Array>} - MFCC vectors (c1..c12, c0 dropped as it only carries loudness)
+ */
+function computeMfccs(samples, sampleRate, start, end, filterbank) {
+  const frameLength = Math.round((sampleRate * FRAME_MS) / 1000);
+  const hop = Math.round((sampleRate * HOP_MS) / 1000);
+  const frames = [];
+  const energies = [];
+
+  for (let frameStart = start; frameStart + frameLength <= end; frameStart += hop) {
+    const re = new Float64Array(FFT_SIZE);
+    const im = new Float64Array(FFT_SIZE);
+    let energy = 0;
+
+    for (let i = 0; i < frameLength && i < FFT_SIZE; i++) {
+      const previous = frameStart + i > 0 ? samples[frameStart + i - 1] : 0;
+      const emphasized = samples[frameStart + i] - PRE_EMPHASIS * previous;
+      const hamming = 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (frameLength - 1));
+      re[i] = emphasized * hamming;
+      energy += samples[frameStart + i] * samples[frameStart + i];
+    }
+
+    frames.push({ re, im });
+    energies.push(energy / frameLength);
+  }
+
+  if (frames.length === 0) {
+    return [];
+  }
+
+  // Keep frames louder than a fraction of the median energy (voice activity)
+  const sortedEnergies = [...energies].sort((a, b) => a - b);
+  const energyFloor = sortedEnergies[Math.floor(sortedEnergies.length / 2)] * 0.3;
+
+  const mfccs = [];
+  frames.forEach(({ re, im }, index) => {
+    if (energies[index] < energyFloor || energies[index] === 0) {
+      return;
+    }
+
+    fft(re, im);
+
+    const power = new Float64Array(FFT_SIZE / 2 + 1);
+    for (let k = 0; k < power.length; k++) {
+      power[k] = (re[k] * re[k] + im[k] * im[k]) / FFT_SIZE;
+    }
+
+    const logMel = filterbank.map(filter => {
+      let sum = 0;
+      for (let k = 0; k < power.length; k++) {
+        sum += filter[k] * power[k];
+      }
+      return Math.log(sum + 1e-10);
+    });
+
+    // DCT-II of the log mel energies
+    const coefficients = new Float64Array(MFCC_COUNT - 1);
+    for (let c = 1; c < MFCC_COUNT; c++) {
+      let sum = 0;
+      for (let m = 0; m < MEL_FILTERS; m++) {
+        sum += logMel[m] * Math.cos((Math.PI * c * (m + 0.5)) / MEL_FILTERS);
+      }
+      coefficients[c - 1] = sum;
+    }
+
+    mfccs.push(coefficients);
+  });
+
+  return mfccs;
+}
+
+/**
+ * Summarize the voice in each time range as a fixed-length feature vector
+ *
+ * @param {Object} audio - Result of readWav
+ * @param {Array<Object>} ranges - Time ranges ({ start, end } in seconds)
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Called with percentage (0-100)
+ * @returns {Array<Float64Array|null>} - MFCC mean and standard deviation per range,
+ *   or null for ranges too short or quiet to describe
+ */
+function extractVoiceFeatures(audio, ranges, options = {}) {
+  const { onProgress = null } = options;
+  const { samples, sampleRate } = audio;
+  const filterbank = buildMelFilterbank(sampleRate);
+  let lastPercent = -1;
+
+  return ranges.map((range, index) => {
+    const start = Math.max(0, Math.floor(range.start * sampleRate));
+    const end = Math.min(samples.length, Math.ceil(range.end * sampleRate));
+    const mfccs = computeMfccs(samples, sampleRate, start, end, filterbank);
+
+    if (onProgress) {
+      const percent = Math.round(((index + 1) / ranges.length) * 100);
+      if (percent !== lastPercent) {
+        lastPercent = percent;
+        onProgress(percent);
+      }
+    }
+
+    // Fewer than ~0.2s of voiced frames is not enough to tell speakers apart
+    if (mfccs.length < 20) {
+      return null;
+    }
+
+    const dims = mfccs[0].length;
+    const features = new Float64Array(dims * 2);
+
+    for (let d = 0; d < dims; d++) {
+      let mean = 0;
+      mfccs.forEach(vector => { mean += vector[d]; });
+      mean /= mfccs.length;
+
+      let variance = 0;
+      mfccs.forEach(vector => { variance += (vector[d] - mean) ** 2; });
+
+      features[d] = mean;
+      features[dims + d] = Math.sqrt(variance / mfccs.length);
+    }
+
+    return features;
+  });
+}
+
+module.exports = {
+  readWav,
+  fft,
+  extractVoiceFeatures
+};
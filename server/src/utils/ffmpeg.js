@@ -4,7 +4,7 @@ const fs = require('fs').promises;
 
 /**
  * FFmpeg Utilities
- * Handles video frame extraction and video analysis using FFmpeg
+ * Handles video frame extraction, audio extraction and video analysis using FFmpeg
  */
 
 /**
@@ -119,34 +119,213 @@ async function extractFrames(videoPath, outputDir, options = {}) {
       currentTime += interval;
     }
 
-    // Extract frames at calculated timestamps
-    const frames = [];
-
-    for (let i = 0; i < timestamps.length; i++) {
-      const timestamp = timestamps[i];
-      const frameNumber = i + 1;
-      const filename = `frame_${String(frameNumber).padStart(6, '0')}_${timestamp.toFixed(2)}s.${format}`;
-      const outputPath = path.join(outputDir, filename);
-
-      try {
-        await extractFrameAt(videoPath, outputPath, timestamp, { width, quality });
-
-        frames.push({
-          frameNumber,
-          timestamp,
-          filename,
-          path: outputPath
-        });
-      } catch (error) {
-        console.error(`Failed to extract frame at ${timestamp}s:`, error.message);
-        // Continue with next frame even if one fails
-      }
+    return await extractFramesAtTimestamps(videoPath, outputDir, timestamps, { width, quality, format });
+
+  } catch (error) {
+    throw new Error(`Failed to extract frames: ${error.message}`);
+  }
+}
+
+/**
+ * Extract one frame at each of the given timestamps
+ * Frames that fail to extract are skipped
+ * @param {string} videoPath - Path to video file or URL
+ * @param {string} outputDir - Existing directory where frames should be saved
+ * @param {Array<number>} timestamps - Timestamps in seconds, in order
+ * @param {Object} options - Extraction options
+ * @param {number} options.width - Output width in pixels (maintains aspect ratio)
+ * @param {number} options.quality - JPEG quality 1-31 (2 is high quality, default: 2)
+ * @param {string} options.format - Output format (default: 'jpg')
+ * @returns {Promise<Array<Object>>} Array of extracted frame info
+ */
+async function extractFramesAtTimestamps(videoPath, outputDir, timestamps, options = {}) {
+  const {
+    width = null,
+    quality = 2,
+    format = 'jpg'
+  } = options;
+
+  const frames = [];
+
+  for (let i = 0; i < timestamps.length; i++) {
+    const timestamp = timestamps[i];
+    const frameNumber = i + 1;
+    const filename = `frame_${String(frameNumber).padStart(6, '0')}_${timestamp.toFixed(2)}s.${format}`;
+    const outputPath = path.join(outputDir, filename);
+
+    try {
+      await extractFrameAt(videoPath, outputPath, timestamp, { width, quality });
+
+      frames.push({
+        frameNumber,
+        timestamp,
+        filename,
+        path: outputPath
+      });
+    } catch (error) {
+      console.error(`Failed to extract frame at ${timestamp}s:`, error.message);
+      // Continue with next frame even if one fails
+    }
+  }
+
+  return frames;
+}
+
+/**
+ * Find scene changes with FFmpeg's scene detection score
+ * Decodes the whole range once at low resolution and reports every frame
+ * whose difference from the previous frame exceeds the threshold
+ * @param {string} videoPath - Path to video file or URL
+ * @param {Object} options - Detection options
+ * @param {number} options.threshold - Scene score threshold 0-1 (default: 0.3)
+ * @param {number} options.startTime - Start time in seconds (default: 0)
+ * @param {number} options.endTime - End time in seconds (optional)
+ * @param {Function} options.onProgress - Called with percentage (0-100) when ffmpeg reports it
+ * @returns {Promise<Array<Object>>} Scene changes ({ timestamp, score }) in time order
+ */
+function detectSceneChanges(videoPath, options = {}) {
+  return new Promise((resolve, reject) => {
+    const {
+      threshold = 0.3,
+      startTime = 0,
+      endTime = null,
+      onProgress = null
+    } = options;
+
+    const changes = [];
+    let pendingTimestamp = null;
+    let lastPercent = -1;
+
+    let command = ffmpeg(videoPath)
+      .noAudio()
+      .outputOptions([
+        // Scoring a small copy is much faster and barely changes the result
+        `-vf scale=320:-2,select='gt(scene,${threshold})',metadata=print`,
+        '-f null'
+      ]);
+
+    if (startTime > 0) {
+      command = command.seekInput(startTime);
+    }
+
+    if (endTime) {
+      command = command.duration(endTime - startTime);
+    }
+
+    command
+      .output('-')
+      .on('stderr', (line) => {
+        // metadata=print logs "frame:N pts:P pts_time:T" followed by "lavfi.scene_score=S"
+        const timeMatch = line.match(/pts_time:([\d.]+)/);
+        if (timeMatch) {
+          pendingTimestamp = startTime + parseFloat(timeMatch[1]);
+          return;
+        }
+
+        const scoreMatch = line.match(/lavfi\.scene_score=([\d.]+)/);
+        if (scoreMatch && pendingTimestamp !== null) {
+          changes.push({ timestamp: pendingTimestamp, score: parseFloat(scoreMatch[1]) });
+          pendingTimestamp = null;
+        }
+      })
+      .on('progress', (progress) => {
+        const percent = Math.min(100, Math.round(progress.percent || 0));
+        if (onProgress && percent !== lastPercent) {
+          lastPercent = percent;
+          onProgress(percent);
+        }
+      })
+      .on('end', () => {
+        resolve(changes);
+      })
+      .on('error', (err) => {
+        reject(new Error(`Failed to detect scene changes: ${err.message}`));
+      })
+      .run();
+  });
+}
+
+/**
+ * Choose frame timestamps from detected scene changes
+ * Always keeps the opening frame, merges changes closer than minGap (keeping the
+ * stronger one) and, when over budget, keeps the strongest changes across the whole video
+ * @param {Array<Object>} changes - Scene changes from detectSceneChanges
+ * @param {Object} options - Selection options
+ * @param {number} options.startTime - Time of the opening frame (default: 0)
+ * @param {number} options.minGap - Minimum seconds between frames (default: 2)
+ * @param {number} options.maxFrames - Frame budget including the opening frame (optional)
+ * @returns {Array<number>} Timestamps in seconds, in order
+ */
+function selectSceneTimestamps(changes, options = {}) {
+  const {
+    startTime = 0,
+    minGap = 2,
+    maxFrames = null
+  } = options;
+
+  // The opening frame has no score; treat it as the strongest change
+  let selected = [{ timestamp: startTime, score: Infinity }];
+
+  for (const change of changes) {
+    const previous = selected[selected.length - 1];
+
+    if (change.timestamp - previous.timestamp >= minGap) {
+      selected.push(change);
+    } else if (change.score > previous.score) {
+      selected[selected.length - 1] = change;
     }
+  }
 
-    return frames;
+  if (maxFrames && selected.length > maxFrames) {
+    selected = [...selected]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxFrames)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  return selected.map(change => change.timestamp);
+}
+
+/**
+ * Extract one frame per detected scene instead of at a fixed interval
+ * Suited to slide-based videos (few distinct frames) and fast demos (changes between intervals)
+ * @param {string} videoPath - Path to video file or URL
+ * @param {string} outputDir - Directory where frames should be saved
+ * @param {Object} options - Extraction options
+ * @param {number} options.threshold - Scene score threshold 0-1 (default: 0.3)
+ * @param {number} options.minGap - Minimum seconds between frames (default: 2)
+ * @param {number} options.maxFrames - Frame budget (optional)
+ * @param {number} options.width - Output width in pixels (maintains aspect ratio)
+ * @param {number} options.quality - JPEG quality 1-31 (2 is high quality, default: 2)
+ * @param {string} options.format - Output format (default: 'jpg')
+ * @param {number} options.startTime - Start time in seconds (default: 0)
+ * @param {number} options.endTime - End time in seconds (optional)
+ * @param {Function} options.onProgress - Scene detection progress callback (percentage)
+ * @returns {Promise<Array<Object>>} Array of extracted frame info
+ */
+async function extractSceneFrames(videoPath, outputDir, options = {}) {
+  const {
+    threshold = 0.3,
+    minGap = 2,
+    maxFrames = null,
+    width = null,
+    quality = 2,
+    format = 'jpg',
+    startTime = 0,
+    endTime = null,
+    onProgress = null
+  } = options;
+
+  try {
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const changes = await detectSceneChanges(videoPath, { threshold, startTime, endTime, onProgress });
+    const timestamps = selectSceneTimestamps(changes, { startTime, minGap, maxFrames });
+
+    return await extractFramesAtTimestamps(videoPath, outputDir, timestamps, { width, quality, format });
 
   } catch (error) {
-    throw new Error(`Failed to extract frames: ${error.message}`);
+    throw new Error(`Failed to extract scene frames: ${error.message}`);
   }
 }
 
@@ -240,10 +419,59 @@ function getVideoMetadata(videoPath) {
   });
 }
 
+/**
+ * Extract the audio track of a video as mono PCM WAV (the input format speech models expect)
+ * @param {string} videoPath - Path to video file or URL
+ * @param {string} outputPath - Path where the WAV file should be saved
+ * @param {Object} options - Extraction options
+ * @param {number} options.sampleRate - Sample rate in Hz (default: 16000)
+ * @param {number} options.channels - Number of channels (default: 1)
+ * @param {Function} options.onProgress - Called with percentage (0-100) when ffmpeg reports it
+ * @returns {Promise<string>} Path to the extracted audio file
+ */
+function extractAudio(videoPath, outputPath, options = {}) {
+  return new Promise((resolve, reject) => {
+    const {
+      sampleRate = 16000,
+      channels = 1,
+      onProgress = null
+    } = options;
+
+    let lastPercent = -1;
+
+    ffmpeg(videoPath)
+      .noVideo()
+      .audioChannels(channels)
+      .audioFrequency(sampleRate)
+      .audioCodec('pcm_s16le')
+      .format('wav')
+      .output(outputPath)
+      .on('progress', (progress) => {
+        const percent = Math.min(100, Math.round(progress.percent || 0));
+        if (onProgress && percent !== lastPercent) {
+          lastPercent = percent;
+          onProgress(percent);
+        }
+      })
+      .on('end', () => {
+        resolve(outputPath);
+      })
+      .on('error', (err) => {
+        reject(new Error(`Failed to extract audio: ${err.message}`));
+      })
+      .run();
+  });
+}
+
 module.exports = {
   getVideoDuration,
   extractFrameAt,
   extractFrames,
+  extractFramesAtTimestamps,
+  detectSceneChanges,
+  selectSceneTimestamps,
+  extractSceneFrames,
   extractFramesWithFps,
-  getVideoMetadata
+  getVideoMetadata,
+  extractAudio
 };
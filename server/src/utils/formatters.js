@@ -0,0 +1,25 @@
+/**
+ * Formatting helpers shared by exports, prompts and API responses
+ */
+
+/**
+ * Format seconds as H:MM:SS or M:SS
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - Formatted timestamp ("0:00" when seconds is missing)
+ */
+function formatTimestamp(seconds) {
+  if (!seconds && seconds !== 0) return '0:00';
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+  }
+  return `${minutes}:${String(secs).padStart(2, '0')}`;
+}
+
+module.exports = {
+  formatTimestamp
+};
@@ -0,0 +1,61 @@
+const sharp = require('sharp');
+
+/**
+ * Perceptual Hash Utility
+ *
+ * Computes difference hashes (dHash) of frame images so visually identical
+ * frames can be detected without comparing pixels
+ */
+
+// dHash compares each pixel with its right neighbour on a 9x8 grayscale thumbnail
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * Compute the 64-bit difference hash of an image
+ *
+ * @param {string} imagePath - Path to image file
+ * @returns {Promise<string>} - Hash as 16 hex characters
+ */
+async function computeDHash(imagePath) {
+  const pixels = await sharp(imagePath)
+    .grayscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < HASH_HEIGHT; row++) {
+    for (let col = 0; col < HASH_WIDTH - 1; col++) {
+      const left = pixels[row * HASH_WIDTH + col];
+      const right = pixels[row * HASH_WIDTH + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Count the bits that differ between two hashes
+ *
+ * @param {string} hashA - Hex hash from computeDHash
+ * @param {string} hashB - Hex hash from computeDHash
+ * @returns {number} - Hamming distance (0 = identical, 64 = opposite)
+ */
+function hammingDistance(hashA, hashB) {
+  let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let count = 0;
+
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+
+  return count;
+}
+
+module.exports = {
+  computeDHash,
+  hammingDistance
+};
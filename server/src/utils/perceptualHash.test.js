@@ -0,0 +1,59 @@
+/**
+ * Tests for the perceptual hash utility
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { computeDHash, hammingDistance } = require('./perceptualHash');
+
+const WIDTH = 90;
+const HEIGHT = 80;
+
+/**
+ * Encode a grayscale image as PNG
+ * @param {Function} shade - (x, y) => 0-255
+ */
+function image(shade) {
+  const pixels = Buffer.alloc(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      pixels[y * WIDTH + x] = shade(x, y);
+    }
+  }
+  return sharp(pixels, { raw: { width: WIDTH, height: HEIGHT, channels: 1 } }).png().toBuffer();
+}
+
+describe('computeDHash', () => {
+  it('sets every bit when the image darkens from left to right', async () => {
+    const hash = await computeDHash(await image(x => 255 - x * 2));
+    assert.equal(hash, 'ffffffffffffffff');
+  });
+
+  it('clears every bit when the image brightens from left to right', async () => {
+    const hash = await computeDHash(await image(x => x * 2));
+    assert.equal(hash, '0000000000000000');
+  });
+
+  it('gives the same hash to a slightly brighter copy', async () => {
+    const original = await computeDHash(await image((x, y) => (x * 7 + y * 13) % 256));
+    const brighter = await computeDHash(await image((x, y) => Math.min(255, ((x * 7 + y * 13) % 256) + 5)));
+
+    assert.ok(hammingDistance(original, brighter) <= 4);
+  });
+});
+
+describe('hammingDistance', () => {
+  it('is 0 for identical hashes', () => {
+    assert.equal(hammingDistance('0123456789abcdef', '0123456789abcdef'), 0);
+  });
+
+  it('counts differing bits', () => {
+    assert.equal(hammingDistance('0000000000000000', '0000000000000001'), 1);
+    assert.equal(hammingDistance('0000000000000000', '00000000000000ff'), 8);
+  });
+
+  it('is 64 for opposite hashes', () => {
+    assert.equal(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+  });
+});
@@ -61,6 +61,52 @@ function isValidYouTubeUrl(url) {
   return videoId !== null && videoId.length === 11;
 }
 
+/**
+ * Extract playlist ID from a youtube.com/playlist?list=... URL
+ * @param {string} url - YouTube URL
+ * @returns {string|null} - Playlist ID or null if not a playlist URL
+ */
+function extractPlaylistId(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  const match = url.trim().match(/youtube\.com\/playlist\?(?:.*&)?list=([a-zA-Z0-9_-]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Check if URL points to a YouTube channel
+ * Supports youtube.com/@handle, /channel/ID, /c/name and /user/name (optionally with a tab like /videos)
+ * @param {string} url - URL to check
+ * @returns {boolean} - True if channel URL
+ */
+function isChannelUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return false;
+  }
+
+  return /youtube\.com\/(@[^/?#]+|channel\/[^/?#]+|c\/[^/?#]+|user\/[^/?#]+)(\/(videos|streams|shorts))?\/?(\?.*)?$/.test(url.trim());
+}
+
+/**
+ * Determine what kind of YouTube source a URL is
+ * @param {string} url - URL to classify
+ * @returns {string|null} - 'playlist', 'channel', 'video' or null if not a YouTube URL
+ */
+function getSourceType(url) {
+  if (extractPlaylistId(url)) {
+    return 'playlist';
+  }
+  if (isChannelUrl(url)) {
+    return 'channel';
+  }
+  if (isValidYouTubeUrl(url)) {
+    return 'video';
+  }
+  return null;
+}
+
 /**
  * Build standard YouTube watch URL from video ID
  * @param {string} videoId - 11-character video ID
@@ -99,6 +145,9 @@ function getThumbnailUrl(videoId, quality = 'hq') {
 module.exports = {
   extractVideoId,
   isValidYouTubeUrl,
+  extractPlaylistId,
+  isChannelUrl,
+  getSourceType,
   buildYouTubeUrl,
   getThumbnailUrl
 };